@@ -0,0 +1,457 @@
+/**
+ * Workflow Analytics Admin JavaScript
+ *
+ * @package     WP_State_Machine
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /assets/js/analytics.js
+ *
+ * Description: Loads aggregated transition log data (sm_logs_analytics)
+ *              for one machine and renders it as charts and tables.
+ *              Filters match the logs page (plugin, machine, date range).
+ *
+ * Dependencies:
+ * - jQuery
+ * - Chart.js
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - Current state, time in state, throughput and transition charts
+ * - Bottleneck and path lists
+ */
+
+(function($) {
+    'use strict';
+
+    // Wait for DOM ready
+    $(document).ready(function() {
+        const AnalyticsAdmin = {
+            nonce: wpStateMachineAnalyticsData.nonce,
+            i18n: wpStateMachineAnalyticsData.i18n,
+            charts: {},
+            request: null,
+
+            /**
+             * Initialize the analytics page
+             */
+            init: function() {
+                if (!$('#filter-machine option').length) {
+                    return;
+                }
+
+                this.loadPlugins();
+                this.bindEvents();
+                this.load();
+            },
+
+            /**
+             * Load plugins for dropdown
+             */
+            loadPlugins: function() {
+                const self = this;
+
+                $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: {
+                        action: 'sm_logs_get_plugins',
+                        nonce: self.nonce
+                    },
+                    success: function(response) {
+                        if (response.success && response.data) {
+                            const $select = $('#filter-plugin');
+                            $select.find('option:not(:first)').remove();
+
+                            response.data.forEach(function(plugin) {
+                                $select.append(
+                                    $('<option>')
+                                        .val(plugin.plugin_slug)
+                                        .text(plugin.plugin_slug + ' (' + plugin.machine_count + ' machines)')
+                                );
+                            });
+                        }
+                    },
+                    error: function(xhr, status, error) {
+                        console.error('Failed to load plugins:', error);
+                    }
+                });
+            },
+
+            /**
+             * Bind event handlers
+             */
+            bindEvents: function() {
+                const self = this;
+
+                $('#btn-apply-filters').on('click', function() {
+                    self.load();
+                });
+
+                $('#btn-reset-filters').on('click', function() {
+                    $('#filter-plugin').val('all');
+                    $('#filter-date-from').val('');
+                    $('#filter-date-to').val('');
+                    self.load();
+                });
+
+                $('#filter-machine').on('change', function() {
+                    self.load();
+                });
+            },
+
+            /**
+             * Load analytics for the selected filters
+             */
+            load: function() {
+                const self = this;
+                const machineId = $('#filter-machine').val();
+
+                if (!machineId) {
+                    self.showMessage(self.i18n.selectMachine, 'info');
+                    return;
+                }
+
+                if (self.request) {
+                    self.request.abort();
+                }
+
+                $('#analytics-status').text(self.i18n.loading);
+
+                self.request = $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: {
+                        action: 'sm_logs_analytics',
+                        nonce: self.nonce,
+                        plugin_slug: $('#filter-plugin').val(),
+                        machine_id: machineId,
+                        date_from: $('#filter-date-from').val(),
+                        date_to: $('#filter-date-to').val()
+                    },
+                    success: function(response) {
+                        if (!response.success) {
+                            self.showMessage(response.data.message, 'error');
+                            return;
+                        }
+
+                        if (!response.data.summary.transitions) {
+                            self.showMessage(self.i18n.noData, 'info');
+                            return;
+                        }
+
+                        $('#analytics-message').hide();
+                        $('#analytics-content').show();
+                        self.render(response.data);
+                    },
+                    error: function(xhr, status, error) {
+                        if (status === 'abort') {
+                            return;
+                        }
+                        console.error('Failed to load analytics:', error);
+                        self.showMessage(self.i18n.loadError, 'error');
+                    },
+                    complete: function() {
+                        self.request = null;
+                        $('#analytics-status').text('');
+                    }
+                });
+            },
+
+            /**
+             * Render all panels
+             * @param {Object} data Analytics response data
+             */
+            render: function(data) {
+                $.each(data.summary, function(key, value) {
+                    $('[data-summary="' + key + '"]').text(value);
+                });
+
+                this.renderCurrentStates(data.states);
+                this.renderDwellTime(data.states);
+                this.renderThroughput(data.throughput);
+                this.renderTransitions(data.transitions);
+                this.renderBottlenecks(data.bottlenecks);
+                this.renderPaths(data.paths);
+            },
+
+            /**
+             * Entities per current state (bar, state colors)
+             * @param {Array} states State rows
+             */
+            renderCurrentStates: function(states) {
+                const self = this;
+
+                this.drawChart('chart-current-states', {
+                    type: 'bar',
+                    data: {
+                        labels: states.map(function(state) { return state.name; }),
+                        datasets: [{
+                            label: self.i18n.entities,
+                            data: states.map(function(state) { return state.current_count; }),
+                            backgroundColor: states.map(function(state) { return state.color || '#2271b1'; })
+                        }]
+                    },
+                    options: {
+                        plugins: { legend: { display: false } },
+                        scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+                    }
+                });
+            },
+
+            /**
+             * Average / median / p90 time in state, in hours
+             * @param {Array} states State rows
+             */
+            renderDwellTime: function(states) {
+                const self = this;
+                const measured = states.filter(function(state) { return state.dwell_count > 0; });
+                const hours = function(seconds) {
+                    return seconds === null ? null : Math.round(seconds / 36) / 100;
+                };
+
+                if (!measured.length) {
+                    this.destroyChart('chart-dwell-time');
+                    $('#chart-dwell-time').parent().attr('data-empty', self.i18n.noDwell);
+                    return;
+                }
+
+                $('#chart-dwell-time').parent().removeAttr('data-empty');
+
+                this.drawChart('chart-dwell-time', {
+                    type: 'bar',
+                    data: {
+                        labels: measured.map(function(state) { return state.name; }),
+                        datasets: [
+                            {
+                                label: self.i18n.average,
+                                data: measured.map(function(state) { return hours(state.dwell_avg); }),
+                                backgroundColor: '#2271b1'
+                            },
+                            {
+                                label: self.i18n.median,
+                                data: measured.map(function(state) { return hours(state.dwell_p50); }),
+                                backgroundColor: '#72aee6'
+                            },
+                            {
+                                label: self.i18n.p90,
+                                data: measured.map(function(state) { return hours(state.dwell_p90); }),
+                                backgroundColor: '#dba617'
+                            }
+                        ]
+                    },
+                    options: {
+                        scales: {
+                            y: { beginAtZero: true, title: { display: true, text: self.i18n.hours } }
+                        },
+                        plugins: {
+                            tooltip: {
+                                callbacks: {
+                                    label: function(context) {
+                                        return context.dataset.label + ': ' + self.formatDuration(context.raw * 3600);
+                                    }
+                                }
+                            }
+                        }
+                    }
+                });
+            },
+
+            /**
+             * Transitions and completions per day
+             * @param {Array} throughput Rows {date, transitions, completed}
+             */
+            renderThroughput: function(throughput) {
+                const self = this;
+
+                this.drawChart('chart-throughput', {
+                    type: 'line',
+                    data: {
+                        labels: throughput.map(function(row) { return row.date; }),
+                        datasets: [
+                            {
+                                label: self.i18n.transitions,
+                                data: throughput.map(function(row) { return row.transitions; }),
+                                borderColor: '#2271b1',
+                                backgroundColor: 'rgba(34, 113, 177, 0.1)',
+                                fill: true,
+                                tension: 0.2
+                            },
+                            {
+                                label: self.i18n.completed,
+                                data: throughput.map(function(row) { return row.completed; }),
+                                borderColor: '#00a32a',
+                                backgroundColor: 'rgba(0, 163, 42, 0.1)',
+                                fill: true,
+                                tension: 0.2
+                            }
+                        ]
+                    },
+                    options: {
+                        scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+                    }
+                });
+            },
+
+            /**
+             * Most frequent from -> to transitions (horizontal bar)
+             * @param {Array} transitions Rows {from, to, count}
+             */
+            renderTransitions: function(transitions) {
+                const self = this;
+
+                this.drawChart('chart-transitions', {
+                    type: 'bar',
+                    data: {
+                        labels: transitions.map(function(row) {
+                            return (row.from || self.i18n.initial) + ' → ' + row.to;
+                        }),
+                        datasets: [{
+                            label: self.i18n.transitions,
+                            data: transitions.map(function(row) { return row.count; }),
+                            backgroundColor: '#2271b1'
+                        }]
+                    },
+                    options: {
+                        indexAxis: 'y',
+                        plugins: { legend: { display: false } },
+                        scales: { x: { beginAtZero: true, ticks: { precision: 0 } } }
+                    }
+                });
+            },
+
+            /**
+             * Bottleneck states list
+             * @param {Array} bottlenecks State rows, longest wait first
+             */
+            renderBottlenecks: function(bottlenecks) {
+                const self = this;
+                const $list = $('#analytics-bottlenecks').empty();
+
+                if (!bottlenecks.length) {
+                    $list.append($('<li>').addClass('description').text(self.i18n.noBottlenecks));
+                    return;
+                }
+
+                bottlenecks.forEach(function(state) {
+                    const detail = self.i18n.waiting
+                        .replace('%1$d', state.current_count)
+                        .replace('%2$s', self.formatDuration(state.wait_avg));
+
+                    $list.append(
+                        '<li>' +
+                            '<span class="sm-state-badge" style="background: ' + self.escapeHtml(state.color || '#2271b1') + ';">' +
+                                self.escapeHtml(state.name) +
+                            '</span> ' +
+                            '<span class="sm-analytics-detail">' + self.escapeHtml(detail) + '</span>' +
+                        '</li>'
+                    );
+                });
+            },
+
+            /**
+             * Most frequent full paths table
+             * @param {Array} paths Rows {states[], count}
+             */
+            renderPaths: function(paths) {
+                const self = this;
+
+                $('#analytics-paths').html(paths.map(function(path) {
+                    return '<tr>' +
+                        '<td>' + path.states.map(function(name) { return self.escapeHtml(name); }).join(' <span class="sm-analytics-arrow">→</span> ') + '</td>' +
+                        '<td>' + parseInt(path.count, 10) + '</td>' +
+                    '</tr>';
+                }).join(''));
+            },
+
+            /**
+             * Create or replace a chart
+             * @param {string} canvasId Canvas element ID
+             * @param {Object} config Chart.js config
+             */
+            drawChart: function(canvasId, config) {
+                this.destroyChart(canvasId);
+
+                config.options = $.extend(true, {
+                    responsive: true,
+                    maintainAspectRatio: false
+                }, config.options);
+
+                this.charts[canvasId] = new Chart(document.getElementById(canvasId), config);
+            },
+
+            /**
+             * Destroy chart if present
+             * @param {string} canvasId Canvas element ID
+             */
+            destroyChart: function(canvasId) {
+                if (this.charts[canvasId]) {
+                    this.charts[canvasId].destroy();
+                    delete this.charts[canvasId];
+                }
+            },
+
+            /**
+             * Show message instead of the analytics content
+             * @param {string} message Message text
+             * @param {string} type Notice type (info, error)
+             */
+            showMessage: function(message, type) {
+                $('#analytics-content').hide();
+                $('#analytics-message')
+                    .html('<div class="notice notice-' + type + ' inline"><p>' + this.escapeHtml(message) + '</p></div>')
+                    .show();
+            },
+
+            /**
+             * Format seconds as a short duration (e.g. "2d 4h", "3h 12m", "45s")
+             * @param {number|null} seconds Duration in seconds
+             * @return {string} Formatted duration
+             */
+            formatDuration: function(seconds) {
+                if (seconds === null || seconds === undefined) {
+                    return '-';
+                }
+
+                seconds = Math.round(seconds);
+
+                const days = Math.floor(seconds / 86400);
+                const hours = Math.floor((seconds % 86400) / 3600);
+                const minutes = Math.floor((seconds % 3600) / 60);
+
+                if (days) {
+                    return days + 'd ' + hours + 'h';
+                }
+                if (hours) {
+                    return hours + 'h ' + minutes + 'm';
+                }
+                if (minutes) {
+                    return minutes + 'm';
+                }
+                return seconds + 's';
+            },
+
+            /**
+             * Escape HTML to prevent XSS
+             * @param {string} text Text to escape
+             * @return {string} Escaped text
+             */
+            escapeHtml: function(text) {
+                if (!text) return '';
+                const map = {
+                    '&': '&amp;',
+                    '<': '&lt;',
+                    '>': '&gt;',
+                    '"': '&quot;',
+                    "'": '&#039;'
+                };
+                return text.toString().replace(/[&<>"']/g, function(m) { return map[m]; });
+            }
+        };
+
+        // Initialize
+        AnalyticsAdmin.init();
+    });
+
+})(jQuery);
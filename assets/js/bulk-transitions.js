@@ -0,0 +1,602 @@
+/**
+ * Bulk Transitions Admin JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/bulk-transitions.js
+ *
+ * Description: Bulk transitions page. Selects entities by machine, current
+ *              state, entity type and time in state, previews the guard
+ *              check for each one (preview_bulk_transition), queues the
+ *              selected ones (start_bulk_transition) and polls the job
+ *              while WP-Cron works it off in batches.
+ *
+ * Dependencies:
+ * - jQuery
+ * - wpStateMachineBulkTransitionsData (localized script)
+ *
+ * Changelog:
+ * 1.1.0 - 2026-10-19
+ * - Preview is loaded in pages (offset / next_offset) with progress, instead of one request for every entity
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+(function($) {
+    'use strict';
+
+    const BulkTransitionsAdmin = {
+        /**
+         * Job being tracked
+         */
+        jobId: null,
+
+        /**
+         * Progress polling timer
+         */
+        pollTimer: null,
+
+        /**
+         * Milliseconds between progress requests
+         */
+        pollInterval: 2000,
+
+        /**
+         * Running preview; pages of an older one are ignored
+         */
+        previewId: 0,
+
+        /**
+         * Localized data from PHP
+         */
+        data: wpStateMachineBulkTransitionsData,
+
+        /**
+         * Initialize page
+         */
+        init: function() {
+            this.bindEvents();
+            this.loadJobs(true);
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            const self = this;
+
+            $('#bulk-machine').on('change', function() {
+                self.loadStates($(this).val());
+            });
+
+            $('#bulk-state').on('change', function() {
+                self.loadTransitions($(this).val());
+            });
+
+            $('#bulk-transition').on('change', function() {
+                $('#btn-bulk-preview').prop('disabled', !$(this).val());
+                $('#bulk-preview').hide();
+            });
+
+            $('#btn-bulk-preview').on('click', function() {
+                self.preview();
+            });
+
+            $('#bulk-select-all').on('change', function() {
+                $('#bulk-preview-rows input:checkbox:enabled').prop('checked', $(this).is(':checked'));
+                self.updateRunButton();
+            });
+
+            $('#bulk-preview-rows').on('change', 'input:checkbox', function() {
+                self.updateRunButton();
+            });
+
+            $('#btn-bulk-run').on('click', function() {
+                self.run();
+            });
+
+            $('#btn-bulk-cancel').on('click', function() {
+                self.cancel();
+            });
+
+            $('#bulk-jobs-rows').on('click', '.btn-bulk-track', function() {
+                self.track($(this).data('id'));
+            });
+        },
+
+        /**
+         * Load the states of a machine into the state dropdown
+         *
+         * @param {number|string} machineId Machine ID
+         */
+        loadStates: function(machineId) {
+            const self = this;
+            const $state = $('#bulk-state').prop('disabled', true);
+
+            $state.empty().append($('<option>').val('').text(machineId ? self.data.i18n.loading : self.data.i18n.selectMachine));
+            self.resetTransitions(self.data.i18n.selectState);
+
+            if (!machineId) {
+                return;
+            }
+
+            $.post(self.data.ajaxUrl, {
+                action: 'get_states_by_machine',
+                nonce: self.data.nonce,
+                machine_id: machineId
+            }, function(response) {
+                if (!response.success) {
+                    return;
+                }
+
+                $state.empty().append($('<option>').val('').text(self.data.i18n.selectState));
+                $.each(response.data, function(index, state) {
+                    $('<option>').val(state.id).text(state.name).appendTo($state);
+                });
+                $state.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Load the transitions leaving a state into the transition dropdown
+         *
+         * @param {number|string} stateId State ID
+         */
+        loadTransitions: function(stateId) {
+            const self = this;
+
+            self.resetTransitions(stateId ? self.data.i18n.loading : self.data.i18n.selectState);
+
+            if (!stateId) {
+                return;
+            }
+
+            $.post(self.data.ajaxUrl, {
+                action: 'get_transitions_by_state',
+                nonce: self.data.nonce,
+                state_id: stateId
+            }, function(response) {
+                if (!response.success) {
+                    return;
+                }
+
+                const $transition = $('#bulk-transition').empty();
+
+                if (!response.data.length) {
+                    $transition.append($('<option>').val('').text(self.data.i18n.noTransitions));
+                    return;
+                }
+
+                $transition.append($('<option>').val('').text(self.data.i18n.selectTransition));
+                $.each(response.data, function(index, transition) {
+                    $('<option>')
+                        .val(transition.id)
+                        .text(transition.label + ' → ' + transition.to_state_name)
+                        .appendTo($transition);
+                });
+                $transition.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Empty the transition dropdown
+         *
+         * @param {string} placeholder Placeholder option text
+         */
+        resetTransitions: function(placeholder) {
+            $('#bulk-transition').prop('disabled', true).empty().append($('<option>').val('').text(placeholder));
+            $('#btn-bulk-preview').prop('disabled', true);
+            $('#bulk-preview').hide();
+            // Drop a preview still loading for the previous selection
+            this.previewId++;
+            $('#bulk-preview-status').text('');
+        },
+
+        /**
+         * Find the matching entities and check the transition for each
+         * The server checks one page at a time; pages are collected here
+         */
+        preview: function() {
+            const filters = {
+                machine_id: $('#bulk-machine').val(),
+                transition_id: $('#bulk-transition').val(),
+                entity_type: $('#bulk-entity-type').val().trim(),
+                min_age_days: $('#bulk-min-age').val()
+            };
+
+            $('#btn-bulk-preview').prop('disabled', true);
+            $('#bulk-preview').hide();
+            $('#bulk-preview-status').text(this.data.i18n.previewing);
+
+            this.previewId++;
+            this.loadPreviewPage(this.previewId, filters, 0, {
+                entities: [],
+                allowed: 0,
+                blocked: 0
+            });
+        },
+
+        /**
+         * Check one page of entities and continue with the next
+         *
+         * @param {number} previewId Preview the page belongs to
+         * @param {Object} filters Machine, transition, entity type and minimum age
+         * @param {number} offset First entity of the page
+         * @param {Object} preview Pages collected so far
+         */
+        loadPreviewPage: function(previewId, filters, offset, preview) {
+            const self = this;
+
+            $.post(self.data.ajaxUrl, $.extend({
+                action: 'preview_bulk_transition',
+                nonce: self.data.nonce,
+                offset: offset
+            }, filters))
+                .done(function(response) {
+                    if (previewId !== self.previewId) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        $('#bulk-preview-status').text(response.data.message);
+                        $('#btn-bulk-preview').prop('disabled', false);
+                        return;
+                    }
+
+                    const page = response.data;
+                    preview.entities = preview.entities.concat(page.entities);
+                    preview.allowed += page.allowed;
+                    preview.blocked += page.blocked;
+                    preview.found = page.found;
+                    preview.limit = page.limit;
+
+                    if (page.next_offset !== null) {
+                        $('#bulk-preview-status').text(
+                            self.data.i18n.previewProgress
+                                .replace('%1$d', page.next_offset)
+                                .replace('%2$d', page.total)
+                        );
+                        self.loadPreviewPage(previewId, filters, page.next_offset, preview);
+                        return;
+                    }
+
+                    $('#bulk-preview-status').text('');
+                    $('#btn-bulk-preview').prop('disabled', false);
+                    self.renderPreview(preview);
+                })
+                .fail(function() {
+                    if (previewId !== self.previewId) {
+                        return;
+                    }
+
+                    $('#bulk-preview-status').text(self.data.i18n.previewError);
+                    $('#btn-bulk-preview').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Render preview rows; blocked entities cannot be selected
+         *
+         * @param {Object} preview Preview response
+         */
+        renderPreview: function(preview) {
+            const i18n = this.data.i18n;
+            const $rows = $('#bulk-preview-rows').empty();
+
+            let summary = i18n.previewSummary
+                .replace('%1$d', preview.found)
+                .replace('%2$d', preview.allowed)
+                .replace('%3$d', preview.blocked);
+            if (preview.found > preview.limit) {
+                summary += ' ' + i18n.previewLimited.replace('%d', preview.limit);
+            }
+            $('#bulk-preview-summary').text(summary);
+
+            if (!preview.entities.length) {
+                $rows.append($('<tr>').append($('<td colspan="5">').text(i18n.noEntities)));
+            }
+
+            $.each(preview.entities, function(index, entity) {
+                $('<tr>')
+                    .toggleClass('sm-bulk-blocked', !entity.allowed)
+                    .append($('<th scope="row" class="check-column">').append(
+                        $('<input type="checkbox">')
+                            .val(entity.entity_type + ':' + entity.entity_id)
+                            .prop('checked', entity.allowed)
+                            .prop('disabled', !entity.allowed)
+                    ))
+                    .append($('<td>').text(entity.entity_type))
+                    .append($('<td>').text(entity.entity_id))
+                    .append($('<td>').text(entity.since))
+                    .append($('<td>').text(entity.allowed ? i18n.allowed : entity.message))
+                    .appendTo($rows);
+            });
+
+            $('#bulk-select-all').prop('checked', true);
+            $('#bulk-comment').val('');
+            this.updateRunButton();
+            $('#bulk-preview').show();
+        },
+
+        /**
+         * Entities checked in the preview, as "entity_type:entity_id"
+         *
+         * @return {Array} Entity keys
+         */
+        getSelected: function() {
+            return $('#bulk-preview-rows input:checkbox:checked').map(function() {
+                return $(this).val();
+            }).get();
+        },
+
+        /**
+         * Enable the run button only with a selection
+         */
+        updateRunButton: function() {
+            $('#btn-bulk-run').prop('disabled', !this.getSelected().length || this.jobId !== null);
+        },
+
+        /**
+         * Queue the checked entities as a bulk transition job
+         */
+        run: function() {
+            const self = this;
+            const entities = self.getSelected();
+
+            if (!entities.length || !confirm(self.data.i18n.confirmRun.replace('%d', entities.length))) {
+                return;
+            }
+
+            $('#btn-bulk-run').prop('disabled', true);
+
+            $.post(self.data.ajaxUrl, {
+                action: 'start_bulk_transition',
+                nonce: self.data.nonce,
+                machine_id: $('#bulk-machine').val(),
+                transition_id: $('#bulk-transition').val(),
+                comment: $('#bulk-comment').val(),
+                entities: entities
+            })
+                .done(function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        self.updateRunButton();
+                        return;
+                    }
+
+                    $('#bulk-preview').hide();
+                    self.track(response.data.job_id);
+                    self.loadJobs(false);
+                })
+                .fail(function() {
+                    alert(self.data.i18n.startError);
+                    self.updateRunButton();
+                });
+        },
+
+        /**
+         * Show the progress of a job and poll it until it ends
+         *
+         * @param {number} jobId Job ID
+         */
+        track: function(jobId) {
+            clearTimeout(this.pollTimer);
+
+            this.jobId = parseInt(jobId, 10);
+
+            $('#bulk-progress-title').text(this.data.i18n.jobTitle.replace('%d', this.jobId));
+            $('#bulk-progress-bar').val(0);
+            $('#bulk-progress-counts').text(this.data.i18n.waiting);
+            $('#bulk-progress-failures').empty();
+            $('#btn-bulk-cancel').show().prop('disabled', false);
+            $('#btn-bulk-report').hide().attr('href', this.getReportUrl(this.jobId));
+            $('#bulk-progress').show();
+
+            this.poll();
+        },
+
+        /**
+         * Fetch the tracked job's progress
+         */
+        poll: function() {
+            const self = this;
+            const jobId = self.jobId;
+
+            $.post(self.data.ajaxUrl, {
+                action: 'get_bulk_transition_job',
+                nonce: self.data.nonce,
+                id: jobId
+            })
+                .done(function(response) {
+                    if (jobId !== self.jobId) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        $('#bulk-progress-counts').text(response.data.message);
+                        self.stopTracking();
+                        return;
+                    }
+
+                    self.renderProgress(response.data);
+
+                    if (response.data.status === 'queued' || response.data.status === 'running') {
+                        self.pollTimer = setTimeout(function() {
+                            self.poll();
+                        }, self.pollInterval);
+                    } else {
+                        self.stopTracking();
+                        self.loadJobs(false);
+                    }
+                })
+                .fail(function() {
+                    // Keep polling through a failed request
+                    self.pollTimer = setTimeout(function() {
+                        self.poll();
+                    }, self.pollInterval);
+                });
+        },
+
+        /**
+         * Render job progress and its latest failures
+         *
+         * @param {Object} job Job data
+         */
+        renderProgress: function(job) {
+            const i18n = this.data.i18n;
+            const $failures = $('#bulk-progress-failures').empty();
+
+            $('#bulk-progress-bar').val(job.total ? Math.round(job.processed / job.total * 100) : 100);
+            $('#bulk-progress-counts').text(
+                i18n.progress
+                    .replace('%1$d', job.processed)
+                    .replace('%2$d', job.total)
+                    .replace('%3$d', job.succeeded)
+                    .replace('%4$d', job.failed) +
+                ' (' + (i18n.statuses[job.status] || job.status) + ')'
+            );
+
+            $.each(job.failures, function(index, failure) {
+                $('<li>')
+                    .append($('<strong>').text(failure.entity_type + ' #' + failure.entity_id + ': '))
+                    .append(document.createTextNode(failure.message))
+                    .appendTo($failures);
+            });
+        },
+
+        /**
+         * Stop polling; the report becomes available
+         */
+        stopTracking: function() {
+            clearTimeout(this.pollTimer);
+            this.jobId = null;
+
+            $('#btn-bulk-cancel').hide();
+            $('#btn-bulk-report').show();
+            this.updateRunButton();
+        },
+
+        /**
+         * Cancel the tracked job
+         */
+        cancel: function() {
+            const self = this;
+
+            if (!self.jobId || !confirm(self.data.i18n.confirmCancel)) {
+                return;
+            }
+
+            $('#btn-bulk-cancel').prop('disabled', true);
+
+            $.post(self.data.ajaxUrl, {
+                action: 'cancel_bulk_transition',
+                nonce: self.data.nonce,
+                id: self.jobId
+            })
+                .done(function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        $('#btn-bulk-cancel').prop('disabled', false);
+                    }
+                    // The next poll picks up the cancelled status
+                })
+                .fail(function() {
+                    alert(self.data.i18n.cancelError);
+                    $('#btn-bulk-cancel').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Load the latest jobs
+         *
+         * @param {boolean} resume Track the newest unfinished job
+         */
+        loadJobs: function(resume) {
+            const self = this;
+
+            $.post(self.data.ajaxUrl, {
+                action: 'get_bulk_transition_jobs',
+                nonce: self.data.nonce
+            }, function(response) {
+                if (!response.success) {
+                    return;
+                }
+
+                self.renderJobs(response.data);
+
+                if (resume && self.jobId === null) {
+                    $.each(response.data, function(index, job) {
+                        if (job.status === 'queued' || job.status === 'running') {
+                            self.track(job.id);
+                            return false;
+                        }
+                    });
+                }
+            });
+        },
+
+        /**
+         * Render the jobs table
+         *
+         * @param {Array} jobs Jobs, newest first
+         */
+        renderJobs: function(jobs) {
+            const self = this;
+            const i18n = self.data.i18n;
+            const $rows = $('#bulk-jobs-rows').empty();
+
+            if (!jobs.length) {
+                $rows.append($('<tr>').append($('<td colspan="10">').text(i18n.noJobs)));
+                return;
+            }
+
+            $.each(jobs, function(index, job) {
+                const running = job.status === 'queued' || job.status === 'running';
+                const $action = running
+                    ? $('<button type="button" class="button button-small btn-bulk-track">').data('id', job.id).text(i18n.showProgress)
+                    : $('<a class="button button-small">').attr('href', self.getReportUrl(job.id)).text(i18n.report);
+
+                $('<tr>')
+                    .append($('<td>').text(job.id))
+                    .append($('<td>').text(job.machine_name || '-'))
+                    .append($('<td>').text(job.transition_label || '-'))
+                    .append($('<td>').append(
+                        $('<span class="sm-bulk-job-status">').addClass('is-' + job.status).text(i18n.statuses[job.status] || job.status)
+                    ))
+                    .append($('<td>').text(job.processed + ' / ' + job.total))
+                    .append($('<td>').text(job.succeeded))
+                    .append($('<td>').text(job.failed))
+                    .append($('<td>').text(job.author_name || '-'))
+                    .append($('<td>').text(job.created_at))
+                    .append($('<td>').append($action))
+                    .appendTo($rows);
+            });
+        },
+
+        /**
+         * CSV report URL of a job
+         *
+         * @param {number} jobId Job ID
+         * @return {string} URL
+         */
+        getReportUrl: function(jobId) {
+            const params = new URLSearchParams({
+                action: 'download_bulk_transition_report',
+                nonce: this.data.nonce,
+                id: jobId
+            });
+
+            return this.data.ajaxUrl + '?' + params.toString();
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        BulkTransitionsAdmin.init();
+    });
+
+})(jQuery);
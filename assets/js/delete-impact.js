@@ -0,0 +1,284 @@
+/**
+ * Delete Impact JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/delete-impact.js
+ *
+ * Description: Safe delete dialog for the admin screens (machines, states,
+ *              transitions, workflow groups). Before deleting it fetches
+ *              an impact report from the get_*_delete_impact handler and
+ *              lists what depends on the row. When something does, the
+ *              user picks a mode: block (nothing is deleted), reassign
+ *              (move dependents to a chosen target first) or cascade.
+ *              The chosen mode is posted to the delete handler, which
+ *              checks it again against a fresh report.
+ *
+ * Usage:
+ * ```js
+ * DeleteImpact.open($.extend({
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     impactAction: 'get_state_delete_impact',
+ *     deleteAction: 'delete_state',
+ *     id: id,
+ *     name: name
+ * }, data.deleteImpact)).done(function(response) {
+ *     self.table.ajax.reload();
+ * });
+ * ```
+ *
+ * Impact Structure (get_*_delete_impact AJAX handlers):
+ * ```json
+ * {
+ *     "items": [{"key": "entities", "label": "Entities currently in this state", "count": 4}],
+ *     "has_dependents": true,
+ *     "modes": ["block", "reassign", "cascade"],
+ *     "targets": [{"id": 12, "name": "Approved"}]
+ * }
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+(function($) {
+    'use strict';
+
+    const DeleteImpact = {
+        /**
+         * Fetch the impact report and show the delete dialog
+         *
+         * @param {Object} config {ajaxUrl, nonce, impactAction, deleteAction, id, name, modes, i18n}
+         * @return {Object} jQuery promise resolved with the delete response data
+         */
+        open: function(config) {
+            const deferred = $.Deferred();
+            const ui = this.buildModal(config);
+
+            ui.$modal.appendTo('body').fadeIn(200);
+
+            $.post(config.ajaxUrl, {
+                action: config.impactAction,
+                nonce: config.nonce,
+                id: config.id
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        DeleteImpact.renderImpact(ui, response.data, config);
+                    } else {
+                        DeleteImpact.showError(ui, response.data.message);
+                    }
+                })
+                .fail(function() {
+                    DeleteImpact.showError(ui, config.i18n.loadError);
+                })
+                .always(function() {
+                    ui.$loading.remove();
+                });
+
+            ui.$confirm.on('click', function() {
+                DeleteImpact.submit(ui, config, deferred);
+            });
+
+            // Close on the buttons and outside clicks
+            ui.$modal.on('click', function(e) {
+                if ($(e.target).is(ui.$modal) || $(e.target).closest('.modal-close').length) {
+                    DeleteImpact.close(ui);
+                    deferred.reject();
+                }
+            });
+
+            return deferred.promise();
+        },
+
+        /**
+         * Build the dialog markup (same classes as the page modals)
+         *
+         * @param {Object} config Dialog config
+         * @return {Object} jQuery handles
+         */
+        buildModal: function(config) {
+            const ui = {};
+
+            ui.$modal = $('<div class="wp-state-machine-modal sm-delete-impact-modal" style="display:none;">');
+            ui.$body = $('<div class="modal-body">');
+            ui.$loading = $('<p class="sm-delete-impact-loading">').text(config.i18n.loading);
+            ui.$error = $('<div class="notice notice-error inline sm-delete-impact-error" style="display:none;"><p></p></div>');
+            ui.$confirm = $('<button type="button" class="button button-primary sm-delete-impact-confirm" disabled>')
+                .text(config.i18n.delete);
+
+            const $header = $('<div class="modal-header">')
+                .append($('<h2>').text(config.i18n.title.replace('%s', config.name || '#' + config.id)))
+                .append(
+                    $('<button type="button" class="modal-close">')
+                        .attr('aria-label', config.i18n.close)
+                        .append('<span class="dashicons dashicons-no"></span>')
+                );
+
+            const $footer = $('<div class="modal-footer">')
+                .append($('<button type="button" class="button button-secondary modal-close">').text(config.i18n.cancel))
+                .append(ui.$confirm);
+
+            ui.$body.append(ui.$loading, ui.$error);
+
+            ui.$modal.append(
+                $('<div class="modal-dialog">').append(
+                    $('<div class="modal-content">').append($header, ui.$body, $footer)
+                )
+            );
+
+            return ui;
+        },
+
+        /**
+         * List the dependents and, when there are any, the delete modes
+         *
+         * @param {Object} ui jQuery handles
+         * @param {Object} impact Impact report
+         * @param {Object} config Dialog config
+         * @return {void}
+         */
+        renderImpact: function(ui, impact, config) {
+            ui.impact = impact;
+
+            if (!impact.has_dependents) {
+                $('<p>').text(config.i18n.nothingDepends).insertBefore(ui.$error);
+                ui.mode = 'block';
+                ui.$confirm.prop('disabled', false);
+                return;
+            }
+
+            const $items = $('<ul class="sm-delete-impact-items">');
+            impact.items.forEach(function(item) {
+                $('<li>')
+                    .toggleClass('is-empty', !item.count)
+                    .append($('<strong>').text(item.count), ' ', document.createTextNode(item.label))
+                    .appendTo($items);
+            });
+
+            const $modes = $('<fieldset class="sm-delete-impact-modes">')
+                .append($('<legend>').text(config.i18n.chooseMode));
+
+            impact.modes.forEach(function(mode) {
+                const $option = $('<label class="sm-delete-impact-mode">')
+                    .append($('<input type="radio" name="sm_delete_mode">').val(mode).prop('checked', mode === 'block'))
+                    .append(' ', document.createTextNode(config.modes[mode] || mode));
+
+                if (mode === 'reassign') {
+                    ui.$target = $('<select class="sm-delete-impact-target" disabled>')
+                        .append($('<option value="">').text(config.i18n.chooseTarget));
+
+                    impact.targets.forEach(function(target) {
+                        $('<option>').val(target.id).text(target.name).appendTo(ui.$target);
+                    });
+
+                    $option.append(' ', ui.$target);
+                }
+
+                $modes.append($option);
+            });
+
+            ui.$note = $('<p class="description sm-delete-impact-note">').text(config.i18n.blockedNote);
+
+            $('<p>').text(config.i18n.dependents).insertBefore(ui.$error);
+            ui.$error.before($items, $modes, ui.$note);
+
+            $modes.on('change', 'input, select', function() {
+                DeleteImpact.updateMode(ui);
+            });
+
+            this.updateMode(ui);
+        },
+
+        /**
+         * Sync the confirm button with the selected mode
+         *
+         * @param {Object} ui jQuery handles
+         * @return {void}
+         */
+        updateMode: function(ui) {
+            ui.mode = ui.$modal.find('input[name="sm_delete_mode"]:checked').val();
+
+            if (ui.$target) {
+                ui.$target.prop('disabled', ui.mode !== 'reassign');
+            }
+
+            ui.$note.toggle(ui.mode === 'block');
+            ui.$confirm.prop('disabled', ui.mode === 'block' || (ui.mode === 'reassign' && ui.$target.val() === ''));
+        },
+
+        /**
+         * Post the delete with the selected mode
+         *
+         * @param {Object} ui jQuery handles
+         * @param {Object} config Dialog config
+         * @param {Object} deferred Resolved on success
+         * @return {void}
+         */
+        submit: function(ui, config, deferred) {
+            const request = {
+                action: config.deleteAction,
+                nonce: config.nonce,
+                id: config.id,
+                mode: ui.mode
+            };
+
+            if (ui.mode === 'reassign') {
+                request.target_id = ui.$target.val();
+            }
+
+            ui.$error.hide();
+            ui.$confirm.prop('disabled', true).text(config.i18n.deleting);
+
+            $.post(config.ajaxUrl, request)
+                .done(function(response) {
+                    if (response.success) {
+                        DeleteImpact.close(ui);
+                        deferred.resolve(response.data);
+                    } else {
+                        DeleteImpact.showError(ui, response.data.message);
+                    }
+                })
+                .fail(function() {
+                    DeleteImpact.showError(ui, config.i18n.error);
+                })
+                .always(function() {
+                    ui.$confirm.text(config.i18n.delete).prop('disabled', false);
+                });
+        },
+
+        /**
+         * Show an error inside the dialog
+         *
+         * @param {Object} ui jQuery handles
+         * @param {string} message Error message
+         * @return {void}
+         */
+        showError: function(ui, message) {
+            ui.$error.find('p').text(message).end().show();
+        },
+
+        /**
+         * Remove the dialog
+         *
+         * @param {Object} ui jQuery handles
+         * @return {void}
+         */
+        close: function(ui) {
+            ui.$modal.fadeOut(200, function() {
+                $(this).remove();
+            });
+        }
+    };
+
+    window.DeleteImpact = DeleteImpact;
+
+})(jQuery);
@@ -0,0 +1,476 @@
+/**
+ * Machine History JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/machine-history.js
+ *
+ * Description: History tab of the machine view modal. Lists the revisions
+ *              of a machine definition with author and time, compares any
+ *              two side by side (details, metadata schema, states and
+ *              transitions) and rolls the machine back to a revision.
+ *              "As of" picks the revision in effect on a date and compares
+ *              it with the current definition. Comparing a revision with
+ *              itself shows its full definition.
+ *
+ * Usage:
+ * ```js
+ * MachineHistory.load($('#machine-history'), machineId, $.extend({
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     onRollback: function() { table.ajax.reload(null, false); }
+ * }, data.history));
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+(function($) {
+    'use strict';
+
+    const MachineHistory = {
+        /**
+         * Current load state {$container, machineId, config, revisions}
+         */
+        current: null,
+
+        /**
+         * Load the revision list of a machine into a container
+         *
+         * @param {Object} $container Container element
+         * @param {number} machineId Machine ID
+         * @param {Object} config {ajaxUrl, nonce, onRollback, fields, i18n}
+         * @return {void}
+         */
+        load: function($container, machineId, config) {
+            const self = this;
+
+            this.current = { $container: $container, machineId: machineId, config: config, revisions: [] };
+
+            $container.prevAll('.sm-history-result').remove();
+            $container.off('.smHistory').empty()
+                .append($('<p class="sm-history-message">').text(config.i18n.loading));
+
+            $.post(config.ajaxUrl, {
+                action: 'get_state_machine_revisions',
+                nonce: config.nonce,
+                id: machineId
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        self.current.revisions = response.data.revisions;
+                        self.render(response.data.can_rollback);
+                    } else {
+                        self.showLoadError(response.data.message);
+                    }
+                })
+                .fail(function() {
+                    self.showLoadError(config.i18n.loadError);
+                });
+        },
+
+        /**
+         * Replace the container content with an error
+         *
+         * @param {string} message Error message
+         * @return {void}
+         */
+        showLoadError: function(message) {
+            this.current.$container.empty().append(
+                $('<div class="notice notice-error inline">').append($('<p>').text(message))
+            );
+        },
+
+        /**
+         * Render the toolbar, the revision list and the diff area
+         *
+         * @param {boolean} canRollback Whether the user may roll back
+         * @return {void}
+         */
+        render: function(canRollback) {
+            const self = this;
+            const state = this.current;
+            const i18n = state.config.i18n;
+            const $container = state.$container.empty();
+
+            const $toolbar = $('<div class="sm-history-toolbar">')
+                .append(
+                    $('<label>').text(i18n.asOf + ' ').append('<input type="date" class="sm-history-date">'),
+                    ' ',
+                    $('<button type="button" class="button sm-history-as-of">').text(i18n.show),
+                    ' ',
+                    $('<button type="button" class="button button-primary sm-history-compare">').text(i18n.compare),
+                    ' ',
+                    $('<label class="sm-history-unchanged-toggle">').append(
+                        '<input type="checkbox" class="sm-history-show-unchanged">',
+                        ' ',
+                        document.createTextNode(i18n.showUnchanged)
+                    )
+                );
+
+            const $list = $('<table class="widefat striped sm-history-list">')
+                .append($('<thead>').append($('<tr>').append(
+                    $('<th class="sm-history-pick">').text(i18n.from),
+                    $('<th class="sm-history-pick">').text(i18n.to),
+                    $('<th>').text(i18n.revision),
+                    $('<th>').text(i18n.summary),
+                    $('<th>').text(i18n.author),
+                    $('<th>').text(i18n.date),
+                    $('<th>')
+                )));
+
+            const $body = $('<tbody>').appendTo($list);
+
+            state.revisions.forEach(function(revision, index) {
+                const $actions = $('<td class="sm-history-actions">');
+
+                if (index === 0) {
+                    $actions.append($('<span class="sm-history-current">').text(i18n.current));
+                } else if (canRollback) {
+                    $actions.append(
+                        $('<button type="button" class="button button-small sm-history-rollback">')
+                            .attr('data-id', revision.id)
+                            .text(i18n.rollback)
+                    );
+                }
+
+                $('<tr>')
+                    .attr('data-id', revision.id)
+                    .append(
+                        $('<td class="sm-history-pick">').append(
+                            $('<input type="radio" name="sm_history_from">').val(revision.id).prop('checked', index === 1 || state.revisions.length === 1)
+                        ),
+                        $('<td class="sm-history-pick">').append(
+                            $('<input type="radio" name="sm_history_to">').val(revision.id).prop('checked', index === 0)
+                        ),
+                        $('<td>').text('#' + revision.revision_number),
+                        $('<td>').text(revision.summary || ''),
+                        $('<td>').text(revision.author),
+                        $('<td>').text(revision.date),
+                        $actions
+                    )
+                    .appendTo($body);
+            });
+
+            $container.append(
+                $toolbar,
+                $('<div class="sm-history-notice notice inline">').hide(),
+                $list,
+                $('<div class="sm-history-diff">')
+            );
+
+            $container.on('click.smHistory', '.sm-history-compare', function() {
+                self.compare(
+                    $container.find('input[name="sm_history_from"]:checked').val(),
+                    $container.find('input[name="sm_history_to"]:checked').val()
+                );
+            });
+
+            $container.on('click.smHistory', '.sm-history-as-of', function() {
+                self.showAsOf($container.find('.sm-history-date').val());
+            });
+
+            $container.on('click.smHistory', '.sm-history-rollback', function() {
+                self.rollback($(this).data('id'));
+            });
+
+            $container.on('change.smHistory', '.sm-history-show-unchanged', function() {
+                $container.toggleClass('sm-history-show-all', this.checked);
+            });
+        },
+
+        /**
+         * Compare the revision in effect on a date with the current one
+         *
+         * @param {string} date Date (YYYY-MM-DD)
+         * @return {void}
+         */
+        showAsOf: function(date) {
+            const state = this.current;
+
+            if (!date) {
+                return;
+            }
+
+            // Revisions are newest first; created_at is "YYYY-MM-DD HH:MM:SS"
+            const inEffect = state.revisions.find(function(revision) {
+                return revision.created_at <= date + ' 23:59:59';
+            });
+
+            if (!inEffect) {
+                this.showNotice(state.config.i18n.noRevisionOnDate, 'warning');
+                state.$container.find('.sm-history-diff').empty();
+                return;
+            }
+
+            state.$container.find('input[name="sm_history_from"][value="' + inEffect.id + '"]').prop('checked', true);
+            state.$container.find('input[name="sm_history_to"][value="' + state.revisions[0].id + '"]').prop('checked', true);
+
+            this.compare(inEffect.id, state.revisions[0].id);
+        },
+
+        /**
+         * Load and render the diff between two revisions
+         *
+         * @param {number} fromId Revision ID
+         * @param {number} toId Revision ID
+         * @return {void}
+         */
+        compare: function(fromId, toId) {
+            const self = this;
+            const state = this.current;
+            const $diff = state.$container.find('.sm-history-diff');
+
+            if (!fromId || !toId) {
+                return;
+            }
+
+            state.$container.find('.sm-history-notice').hide();
+            $diff.empty().append($('<p class="sm-history-message">').text(state.config.i18n.loading));
+
+            $.post(state.config.ajaxUrl, {
+                action: 'compare_state_machine_revisions',
+                nonce: state.config.nonce,
+                from_id: fromId,
+                to_id: toId
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        self.renderDiff($diff, response.data);
+                    } else {
+                        $diff.empty();
+                        self.showNotice(response.data.message, 'error');
+                    }
+                })
+                .fail(function() {
+                    $diff.empty();
+                    self.showNotice(state.config.i18n.compareError, 'error');
+                });
+        },
+
+        /**
+         * Render a side-by-side diff
+         *
+         * @param {Object} $diff Diff container
+         * @param {Object} data {from, to, diff}
+         * @return {void}
+         */
+        renderDiff: function($diff, data) {
+            const self = this;
+            const config = this.current.config;
+            const i18n = config.i18n;
+            const diff = data.diff;
+
+            const heading = function(revision) {
+                return '#' + revision.revision_number + ' — ' + revision.author + ', ' + revision.date;
+            };
+
+            const $table = $('<table class="widefat sm-history-diff-table">')
+                .append($('<thead>').append($('<tr>').append(
+                    $('<th class="sm-history-diff-key">'),
+                    $('<th>').text(heading(data.from)),
+                    $('<th>').text(heading(data.to))
+                )));
+
+            // Details
+            const $details = this.section($table, i18n.details).addClass('sm-history-details');
+            diff.machine.forEach(function(row) {
+                $('<tr>')
+                    .addClass('sm-history-' + row.status)
+                    .append(
+                        $('<th class="sm-history-diff-key">').text(config.fields[row.field] || row.field),
+                        $('<td>').text(self.formatValue(row.from)),
+                        $('<td>').text(self.formatValue(row.to))
+                    )
+                    .appendTo($details);
+            });
+
+            // Metadata schema
+            $('<tr>')
+                .addClass('sm-history-' + diff.metadata_schema.status)
+                .append(
+                    $('<th class="sm-history-diff-key">').text(i18n.metadataSchema),
+                    $('<td>').append($('<pre>').text(diff.metadata_schema.from || '-')),
+                    $('<td>').append($('<pre>').text(diff.metadata_schema.to || '-'))
+                )
+                .appendTo(this.section($table, i18n.metadataSchema));
+
+            // States and transitions
+            [['states', i18n.states], ['transitions', i18n.transitions]].forEach(function(section) {
+                const $section = self.section($table, section[1]);
+
+                if (!diff[section[0]].length) {
+                    $('<tr>').append($('<td colspan="3" class="sm-history-empty">').text(i18n.none)).appendTo($section);
+                    return;
+                }
+
+                diff[section[0]].forEach(function(row) {
+                    $('<tr>')
+                        .addClass('sm-history-' + row.status)
+                        .append(
+                            $('<th class="sm-history-diff-key">')
+                                .text(row.key)
+                                .append(row.status !== 'unchanged' ? $('<span class="sm-history-badge">').text(i18n.status[row.status]) : ''),
+                            self.itemCell(row.from, row.changed),
+                            self.itemCell(row.to, row.changed)
+                        )
+                        .appendTo($section);
+                });
+            });
+
+            const counts = diff.counts;
+            const $summary = $('<p class="sm-history-counts">').text(
+                counts.added + counts.removed + counts.changed === 0
+                    ? i18n.identical
+                    : i18n.counts
+                        .replace('%1$d', counts.added)
+                        .replace('%2$d', counts.removed)
+                        .replace('%3$d', counts.changed)
+            );
+
+            $diff.empty().append($summary, $table);
+        },
+
+        /**
+         * Add a section heading to the diff table
+         *
+         * @param {Object} $table Diff table
+         * @param {string} title Section title
+         * @return {Object} Section tbody
+         */
+        section: function($table, title) {
+            return $('<tbody class="sm-history-section">')
+                .append($('<tr class="sm-history-section-title">').append($('<th colspan="3">').text(title)))
+                .appendTo($table);
+        },
+
+        /**
+         * Cell listing the fields of a state or transition
+         *
+         * @param {Object|null} item Snapshot item (null if absent on this side)
+         * @param {Array} changed Changed field names
+         * @return {Object} jQuery td
+         */
+        itemCell: function(item, changed) {
+            const self = this;
+            const fields = this.current.config.fields;
+            const $cell = $('<td>');
+
+            if (!item) {
+                return $cell.text('-');
+            }
+
+            const $list = $('<dl class="sm-history-fields">').appendTo($cell);
+
+            Object.keys(item).forEach(function(field) {
+                if (field === 'slug' || field === 'from_state' || field === 'to_state') {
+                    return;
+                }
+
+                $list.append(
+                    $('<dt>').text(fields[field] || field),
+                    $('<dd>').toggleClass('is-changed', changed.indexOf(field) !== -1).text(self.formatValue(item[field]))
+                );
+            });
+
+            return $cell;
+        },
+
+        /**
+         * Display value of a snapshot field
+         *
+         * @param {*} value Field value
+         * @return {string}
+         */
+        formatValue: function(value) {
+            return value === null || value === '' || typeof value === 'undefined' ? '-' : String(value);
+        },
+
+        /**
+         * Roll back to a revision after confirmation, then reload the list
+         *
+         * @param {number} revisionId Revision ID
+         * @return {void}
+         */
+        rollback: function(revisionId) {
+            const self = this;
+            const state = this.current;
+            const revision = state.revisions.find(function(item) {
+                return item.id === revisionId;
+            });
+
+            if (!revision || !confirm(state.config.i18n.confirmRollback.replace('%d', revision.revision_number))) {
+                return;
+            }
+
+            state.$container.find('.sm-history-rollback').prop('disabled', true);
+
+            $.post(state.config.ajaxUrl, {
+                action: 'rollback_state_machine',
+                nonce: state.config.nonce,
+                revision_id: revisionId
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        self.load(state.$container, state.machineId, state.config);
+                        self.showMessage(response.data.message, 'success');
+
+                        if (typeof state.config.onRollback === 'function') {
+                            state.config.onRollback(response.data);
+                        }
+                    } else {
+                        self.showNotice(response.data.message, 'error');
+                        state.$container.find('.sm-history-rollback').prop('disabled', false);
+                    }
+                })
+                .fail(function() {
+                    self.showNotice(state.config.i18n.rollbackError, 'error');
+                    state.$container.find('.sm-history-rollback').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Show a notice above the revision list
+         *
+         * @param {string} message Message text
+         * @param {string} type success, warning or error
+         * @return {void}
+         */
+        showNotice: function(message, type) {
+            this.current.$container.find('.sm-history-notice')
+                .removeClass('notice-success notice-warning notice-error')
+                .addClass('notice-' + type)
+                .empty()
+                .append($('<p>').text(message))
+                .show();
+        },
+
+        /**
+         * Show a message outside the container, so it survives the list reload
+         *
+         * @param {string} message Message text
+         * @param {string} type success or error
+         * @return {void}
+         */
+        showMessage: function(message, type) {
+            const $container = this.current.$container;
+            const $message = $('<div class="notice inline sm-history-result">')
+                .addClass('notice-' + type)
+                .append($('<p>').text(message));
+
+            $container.prevAll('.sm-history-result').remove();
+            $container.before($message);
+        }
+    };
+
+    window.MachineHistory = MachineHistory;
+
+})(jQuery);
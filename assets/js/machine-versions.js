@@ -0,0 +1,482 @@
+/**
+ * Machine Versions JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/machine-versions.js
+ *
+ * Description: Versions tab of the machine view modal. States and
+ *              transitions edited on the other screens are the draft;
+ *              Publish turns the draft into a new immutable version that
+ *              new entities start on, while running entities stay on the
+ *              version they started with. The migration tool moves
+ *              selected entities from one version to another, mapping each
+ *              old state to a state of the target version (same slug by
+ *              default).
+ *
+ * Usage:
+ * ```js
+ * MachineVersions.load($('#machine-versions'), machineId, $.extend({
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     onPublish: function() { table.ajax.reload(null, false); }
+ * }, data.versions));
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+(function($) {
+    'use strict';
+
+    const MachineVersions = {
+        /**
+         * Current load state {$container, machineId, config, versions}
+         */
+        current: null,
+
+        /**
+         * Load the versions of a machine into a container
+         *
+         * @param {Object} $container Container element
+         * @param {number} machineId Machine ID
+         * @param {Object} config {ajaxUrl, nonce, onPublish, i18n}
+         * @return {void}
+         */
+        load: function($container, machineId, config) {
+            const self = this;
+
+            this.current = { $container: $container, machineId: machineId, config: config, versions: [] };
+
+            $container.prevAll('.sm-versions-result').remove();
+            $container.off('.smVersions').empty()
+                .append($('<p class="sm-versions-message">').text(config.i18n.loading));
+
+            $.post(config.ajaxUrl, {
+                action: 'get_state_machine_versions',
+                nonce: config.nonce,
+                id: machineId
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        self.current.versions = response.data.versions;
+                        self.render(response.data.status, response.data.can_publish);
+                    } else {
+                        self.showLoadError(response.data.message);
+                    }
+                })
+                .fail(function() {
+                    self.showLoadError(config.i18n.loadError);
+                });
+        },
+
+        /**
+         * Replace the container content with an error
+         *
+         * @param {string} message Error message
+         * @return {void}
+         */
+        showLoadError: function(message) {
+            this.current.$container.empty().append(
+                $('<div class="notice notice-error inline">').append($('<p>').text(message))
+            );
+        },
+
+        /**
+         * Render the draft status, publish form, version list and migration tool
+         *
+         * @param {Object} status {version, has_changes}
+         * @param {boolean} canPublish Whether the user may publish and migrate
+         * @return {void}
+         */
+        render: function(status, canPublish) {
+            const self = this;
+            const state = this.current;
+            const i18n = state.config.i18n;
+            const $container = state.$container.empty();
+
+            let statusText = i18n.neverPublished;
+            if (status.version) {
+                statusText = (status.has_changes ? i18n.draftChanged : i18n.draftClean).replace('%d', status.version);
+            }
+
+            $container.append(
+                $('<p class="sm-versions-status">')
+                    .toggleClass('has-changes', status.has_changes)
+                    .text(statusText),
+                $('<div class="sm-versions-notice notice inline">').hide()
+            );
+
+            if (canPublish && status.has_changes) {
+                $container.append(
+                    $('<div class="sm-versions-publish">').append(
+                        $('<input type="text" class="regular-text sm-versions-notes" maxlength="255">')
+                            .attr('placeholder', i18n.notesPlaceholder),
+                        ' ',
+                        $('<button type="button" class="button button-primary sm-versions-publish-button">').text(i18n.publish)
+                    )
+                );
+            }
+
+            if (!state.versions.length) {
+                $container.append($('<p class="description">').text(i18n.noVersions));
+            } else {
+                const $list = $('<table class="widefat striped sm-versions-list">')
+                    .append($('<thead>').append($('<tr>').append(
+                        $('<th>').text(i18n.version),
+                        $('<th>').text(i18n.notes),
+                        $('<th>').text(i18n.author),
+                        $('<th>').text(i18n.date),
+                        $('<th class="sm-versions-count">').text(i18n.entities)
+                    )));
+
+                const $body = $('<tbody>').appendTo($list);
+
+                state.versions.forEach(function(version, index) {
+                    const $number = $('<td>').text('v' + version.version_number);
+                    if (index === 0) {
+                        $number.append(' ', $('<span class="sm-versions-latest">').text(i18n.latest));
+                    }
+
+                    $('<tr>').append(
+                        $number,
+                        $('<td>').text(version.notes || ''),
+                        $('<td>').text(version.author),
+                        $('<td>').text(version.date),
+                        $('<td class="sm-versions-count">').text(version.entity_count)
+                    ).appendTo($body);
+                });
+
+                $container.append($list);
+            }
+
+            if (canPublish && state.versions.length > 1) {
+                $container.append(this.buildMigrationTool());
+            }
+
+            $container.on('click.smVersions', '.sm-versions-publish-button', function() {
+                self.publish($container.find('.sm-versions-notes').val());
+            });
+
+            $container.on('click.smVersions', '.sm-versions-load', function() {
+                self.loadEntities(
+                    $container.find('.sm-versions-from').val(),
+                    $container.find('.sm-versions-to').val()
+                );
+            });
+
+            $container.on('change.smVersions', '.sm-versions-from, .sm-versions-to', function() {
+                $container.find('.sm-versions-migration-area').empty();
+            });
+
+            $container.on('change.smVersions', '.sm-versions-select-all', function() {
+                $container.find('.sm-versions-entity').prop('checked', this.checked);
+            });
+
+            $container.on('click.smVersions', '.sm-versions-migrate', function() {
+                self.migrate();
+            });
+        },
+
+        /**
+         * Build the version pickers of the migration tool
+         * Source versions are the ones entities are pinned to; the target defaults to the latest
+         *
+         * @return {Object} jQuery element
+         */
+        buildMigrationTool: function() {
+            const state = this.current;
+            const i18n = state.config.i18n;
+            const $from = $('<select class="sm-versions-from">');
+            const $to = $('<select class="sm-versions-to">');
+
+            state.versions.forEach(function(version, index) {
+                const label = 'v' + version.version_number;
+
+                if (index > 0 && version.entity_count > 0) {
+                    $from.append($('<option>').val(version.version_number)
+                        .text(label + ' (' + i18n.entityCount.replace('%d', version.entity_count) + ')'));
+                }
+                $to.append($('<option>').val(version.version_number).text(label));
+            });
+
+            const $tool = $('<div class="sm-versions-migration">')
+                .append(
+                    $('<h3>').text(i18n.migrateTitle),
+                    $('<p class="description">').text(i18n.migrateHelp)
+                );
+
+            if (!$from.children().length) {
+                return $tool.append($('<p>').text(i18n.noOldEntities));
+            }
+
+            return $tool.append(
+                $('<div class="sm-versions-toolbar">').append(
+                    $('<label>').text(i18n.fromVersion + ' ').append($from),
+                    ' ',
+                    $('<label>').text(i18n.toVersion + ' ').append($to),
+                    ' ',
+                    $('<button type="button" class="button sm-versions-load">').text(i18n.loadEntities)
+                ),
+                $('<div class="sm-versions-migration-area">')
+            );
+        },
+
+        /**
+         * Publish the draft as a new version
+         *
+         * @param {string} notes Publish notes
+         * @return {void}
+         */
+        publish: function(notes) {
+            const self = this;
+            const state = this.current;
+
+            if (!confirm(state.config.i18n.confirmPublish)) {
+                return;
+            }
+
+            state.$container.find('.sm-versions-publish-button').prop('disabled', true);
+
+            $.post(state.config.ajaxUrl, {
+                action: 'publish_state_machine',
+                nonce: state.config.nonce,
+                id: state.machineId,
+                notes: notes || ''
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        self.load(state.$container, state.machineId, state.config);
+                        self.showMessage(response.data.message, 'success');
+
+                        if (typeof state.config.onPublish === 'function') {
+                            state.config.onPublish(response.data);
+                        }
+                    } else {
+                        self.showNotice(response.data.message, 'error');
+                        state.$container.find('.sm-versions-publish-button').prop('disabled', false);
+                    }
+                })
+                .fail(function() {
+                    self.showNotice(state.config.i18n.publishError, 'error');
+                    state.$container.find('.sm-versions-publish-button').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Load the entities of the source version and the state mapping
+         *
+         * @param {string} fromVersion Source version number
+         * @param {string} toVersion Target version number
+         * @return {void}
+         */
+        loadEntities: function(fromVersion, toVersion) {
+            const self = this;
+            const state = this.current;
+            const $area = state.$container.find('.sm-versions-migration-area');
+
+            $area.empty().append($('<p class="sm-versions-message">').text(state.config.i18n.loading));
+
+            $.post(state.config.ajaxUrl, {
+                action: 'get_state_machine_version_entities',
+                nonce: state.config.nonce,
+                id: state.machineId,
+                from_version: fromVersion,
+                to_version: toVersion
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        self.renderMigration($area, response.data);
+                    } else {
+                        $area.empty();
+                        self.showNotice(response.data.message, 'error');
+                    }
+                })
+                .fail(function() {
+                    $area.empty();
+                    self.showNotice(state.config.i18n.loadError, 'error');
+                });
+        },
+
+        /**
+         * Render the state mapping and the entity checklist
+         *
+         * @param {Object} $area Migration area
+         * @param {Object} data {from, to, from_states, to_states, map, entities}
+         * @return {void}
+         */
+        renderMigration: function($area, data) {
+            const i18n = this.current.config.i18n;
+
+            $area.empty().data('migration', { from: data.from.version_number, to: data.to.version_number });
+
+            if (!data.entities.length) {
+                $area.append($('<p>').text(i18n.noEntities));
+                return;
+            }
+
+            const $mapping = $('<table class="widefat sm-versions-mapping">')
+                .append($('<thead>').append($('<tr>').append(
+                    $('<th>').text(i18n.oldState.replace('%d', data.from.version_number)),
+                    $('<th>').text(i18n.newState.replace('%d', data.to.version_number))
+                )));
+            const $mappingBody = $('<tbody>').appendTo($mapping);
+
+            data.from_states.forEach(function(fromState) {
+                const $select = $('<select class="sm-versions-map">')
+                    .attr('data-from', fromState.slug)
+                    .append($('<option value="">').text(i18n.skip));
+
+                data.to_states.forEach(function(toState) {
+                    $select.append($('<option>').val(toState.slug).text(toState.name));
+                });
+
+                $('<tr>').append(
+                    $('<td>').text(fromState.name),
+                    $('<td>').append($select.val(data.map[fromState.slug] || ''))
+                ).appendTo($mappingBody);
+            });
+
+            const $entities = $('<table class="widefat striped sm-versions-entities">')
+                .append($('<thead>').append($('<tr>').append(
+                    $('<td class="check-column">').append('<input type="checkbox" class="sm-versions-select-all" checked>'),
+                    $('<th>').text(i18n.entity),
+                    $('<th>').text(i18n.currentState),
+                    $('<th>').text(i18n.since)
+                )));
+            const $entitiesBody = $('<tbody>').appendTo($entities);
+
+            data.entities.forEach(function(entity) {
+                $('<tr>').append(
+                    $('<th class="check-column">').append(
+                        $('<input type="checkbox" class="sm-versions-entity" checked>')
+                            .val(entity.entity_type + ':' + entity.entity_id)
+                    ),
+                    $('<td>').text(entity.entity_type + ' #' + entity.entity_id),
+                    $('<td>').text(entity.state_name),
+                    $('<td>').text(entity.since)
+                ).appendTo($entitiesBody);
+            });
+
+            $area.append(
+                $('<h4>').text(i18n.stateMapping),
+                $mapping,
+                $('<h4>').text(i18n.entitiesTitle.replace('%d', data.entities.length)),
+                $entities,
+                $('<p>').append(
+                    $('<button type="button" class="button button-primary sm-versions-migrate">').text(i18n.migrate)
+                )
+            );
+        },
+
+        /**
+         * Migrate the checked entities with the chosen state mapping
+         *
+         * @return {void}
+         */
+        migrate: function() {
+            const self = this;
+            const state = this.current;
+            const i18n = state.config.i18n;
+            const $area = state.$container.find('.sm-versions-migration-area');
+            const migration = $area.data('migration');
+            const map = {};
+
+            const entities = $area.find('.sm-versions-entity:checked').map(function() {
+                return this.value;
+            }).get();
+
+            if (!entities.length) {
+                self.showNotice(i18n.selectEntities, 'warning');
+                return;
+            }
+
+            $area.find('.sm-versions-map').each(function() {
+                map[$(this).data('from')] = $(this).val();
+            });
+
+            if (!confirm(i18n.confirmMigrate.replace('%1$d', entities.length).replace('%2$d', migration.to))) {
+                return;
+            }
+
+            $area.find('.sm-versions-migrate').prop('disabled', true);
+
+            $.post(state.config.ajaxUrl, {
+                action: 'migrate_state_machine_entities',
+                nonce: state.config.nonce,
+                id: state.machineId,
+                from_version: migration.from,
+                to_version: migration.to,
+                map: map,
+                entities: entities
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        const skipped = response.data.skipped.map(function(item) {
+                            return item.entity + ': ' + item.reason;
+                        });
+
+                        self.load(state.$container, state.machineId, state.config);
+                        self.showMessage(
+                            [response.data.message].concat(skipped).join('\n'),
+                            skipped.length ? 'warning' : 'success'
+                        );
+                    } else {
+                        self.showNotice(response.data.message, 'error');
+                        $area.find('.sm-versions-migrate').prop('disabled', false);
+                    }
+                })
+                .fail(function() {
+                    self.showNotice(i18n.migrateError, 'error');
+                    $area.find('.sm-versions-migrate').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Show a notice above the version list
+         *
+         * @param {string} message Message text
+         * @param {string} type success, warning or error
+         * @return {void}
+         */
+        showNotice: function(message, type) {
+            this.current.$container.find('.sm-versions-notice')
+                .removeClass('notice-success notice-warning notice-error')
+                .addClass('notice-' + type)
+                .empty()
+                .append($('<p>').text(message))
+                .show();
+        },
+
+        /**
+         * Show a message outside the container, so it survives the reload
+         * One paragraph per line
+         *
+         * @param {string} message Message text
+         * @param {string} type success, warning or error
+         * @return {void}
+         */
+        showMessage: function(message, type) {
+            const $container = this.current.$container;
+            const $message = $('<div class="notice inline sm-versions-result">').addClass('notice-' + type);
+
+            message.split('\n').forEach(function(line) {
+                $message.append($('<p>').text(line));
+            });
+
+            $container.prevAll('.sm-versions-result').remove();
+            $container.before($message);
+        }
+    };
+
+    window.MachineVersions = MachineVersions;
+
+})(jQuery);
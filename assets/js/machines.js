@@ -3,7 +3,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Assets/JS
- * @version     1.0.0
+ * @version     1.10.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/assets/js/machines.css
@@ -14,9 +14,47 @@
  * Dependencies:
  * - jQuery
  * - DataTables
+ * - WorkflowDiagram (workflow-diagram.js)
+ * - WorkflowEditor (workflow-editor.js)
+ * - MetadataEditor (metadata-editor.js)
+ * - TableBulkActions (table-bulk-actions.js)
+ * - DeleteImpact (delete-impact.js)
+ * - TableTrash (table-trash.js)
+ * - MachineHistory (machine-history.js)
+ * - MachineVersions (machine-versions.js)
  * - wpStateMachineMachinesData (localized script)
  *
  * Changelog:
+ * 1.10.0 - 2026-10-19
+ * - Version column (published version, draft changes) and Publish action opening the view modal Versions tab (MachineVersions)
+ *
+ * 1.9.0 - 2026-10-19
+ * - View modal History tab: revisions, side-by-side compare and rollback (MachineHistory)
+ *
+ * 1.8.0 - 2026-10-19
+ * - All / Trash views with restore and delete permanently (TableTrash)
+ *
+ * 1.7.0 - 2026-10-19
+ * - Delete shows what depends on the row and offers block/cascade options (DeleteImpact)
+ *
+ * 1.6.0 - 2026-10-19
+ * - Added Duplicate action (copies states, transitions and metadata schema under a new name/slug)
+ *
+ * 1.5.0 - 2026-10-19
+ * - Row checkboxes with bulk delete, activate/deactivate and move to workflow group (TableBulkActions)
+ *
+ * 1.4.0 - 2026-10-19
+ * - Metadata schema field in the machine modal (MetadataEditor, JSON mode only)
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added Export as YAML action (export_state_machine_yaml)
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added Workflow editor action (drag-and-drop states and transitions)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added View diagram action (states, transitions, initial/final markers)
+ *
  * 1.0.0 - 2025-11-08
  * - Initial creation
  * - DataTable integration
@@ -44,6 +82,21 @@
          */
         isFiltering: false,
 
+        /**
+         * Workflow diagram instance (see workflow-diagram.js)
+         */
+        diagram: null,
+
+        /**
+         * JSON editor for #machine-metadata-schema
+         */
+        schemaEditor: null,
+
+        /**
+         * Machine shown in the view modal
+         */
+        viewMachineId: null,
+
         /**
          * Localized data from PHP
          */
@@ -53,7 +106,13 @@
          * Initialize admin functionality
          */
         init: function() {
+            this.schemaEditor = MetadataEditor.create($('#machine-metadata-schema'), $.extend({}, this.data.metadataEditor, {
+                form: false
+            }));
+
             this.initDataTable();
+            this.initTrash();
+            this.initBulkActions();
             this.bindEvents();
         },
 
@@ -78,6 +137,7 @@
                         d.action = 'handle_state_machine_datatable';
                         d.nonce = self.data.nonce;
                         d.workflow_group_id = self.currentWorkflowGroupId;
+                        d.trash = TableTrash.isTrash('#machines-table') ? 1 : 0;
                         d._cache_bust = Date.now(); // Prevent caching issues
                     },
                     error: function(xhr, error, code) {
@@ -110,6 +170,25 @@
                         }
                     },
                     { data: 'created_at' },
+                    {
+                        data: 'version',
+                        orderable: false,
+                        searchable: false,
+                        render: function(data, type, row) {
+                            if (row.deleted_at) {
+                                return '-';
+                            }
+                            if (!data) {
+                                return $('<span class="sm-version-none">').text(self.data.i18n.notPublished).prop('outerHTML');
+                            }
+
+                            let html = 'v' + data;
+                            if (row.has_draft_changes) {
+                                html += ' <span class="sm-version-draft">' + $('<span>').text(self.data.i18n.draftChanges).html() + '</span>';
+                            }
+                            return html;
+                        }
+                    },
                     { data: 'actions', orderable: false, searchable: false }
                 ],
                 order: [[1, 'asc']], // Sort by name
@@ -121,6 +200,46 @@
             });
         },
 
+        /**
+         * All / Trash views with restore and delete permanently
+         */
+        initTrash: function() {
+            TableTrash.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                restoreAction: 'restore_state_machine',
+                purgeAction: 'purge_state_machine'
+            }, this.data.trash));
+        },
+
+        /**
+         * Row selection with bulk delete, activate/deactivate and move to workflow group
+         */
+        initBulkActions: function() {
+            const i18n = this.data.bulkActions.i18n;
+            const actions = [
+                { value: 'activate', label: i18n.activate },
+                { value: 'deactivate', label: i18n.deactivate }
+            ];
+
+            // Group choices come from the modal select (absent when no groups exist)
+            const $groups = $('#machine-workflow-group').clone().removeAttr('id name');
+            if ($groups.find('option[value!=""]').length) {
+                $groups.find('option[value=""]').text(i18n.chooseGroup);
+                actions.push({ value: 'move_group', label: i18n.moveGroup, $input: $groups.val('') });
+            }
+
+            actions.push({ value: 'delete', label: i18n.delete });
+
+            TableBulkActions.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                action: 'bulk_state_machines',
+                nameField: 'name',
+                actions: actions
+            }, this.data.bulkActions));
+        },
+
         /**
          * Bind event handlers
          */
@@ -203,6 +322,66 @@
                 self.viewMachine($(this).data('id'));
             });
 
+            // View modal tabs (History and Versions load on first open)
+            $('.sm-view-machine-tabs').on('click', '.nav-tab', function(e) {
+                e.preventDefault();
+                self.showViewTab($(this).data('tab'));
+            });
+
+            // Publish opens the Versions tab
+            $(document).on('click', '.btn-publish-machine', function() {
+                self.viewMachine($(this).data('id'), 'versions');
+            });
+
+            // View machine diagram
+            $(document).on('click', '.btn-diagram-machine', function() {
+                self.viewDiagram($(this).data('id'));
+            });
+
+            // Refit diagram to canvas
+            $('#btn-diagram-fit').on('click', function() {
+                if (self.diagram) {
+                    self.diagram.fit();
+                }
+            });
+
+            // Open workflow editor
+            $(document).on('click', '.btn-workflow-editor', function() {
+                $('#editor-modal-title').text(self.data.i18n.editorTitle.replace('%s', $(this).data('name')));
+                WorkflowEditor.open($(this).data('id'), {
+                    ajaxUrl: self.data.ajaxUrl,
+                    nonce: self.data.nonce,
+                    i18n: self.data.i18n.editor
+                });
+            });
+
+            // Release editor handlers when its modal closes
+            $('#editor-machine-modal').on('click', function(e) {
+                if ($(e.target).hasClass('wp-state-machine-modal') || $(e.target).closest('.modal-close').length) {
+                    WorkflowEditor.close();
+                }
+            });
+
+            // Export machine as YAML
+            $(document).on('click', '.btn-export-machine', function() {
+                self.exportYaml($(this).data('id'));
+            });
+
+            // Duplicate machine
+            $(document).on('click', '.btn-duplicate-machine', function() {
+                self.openDuplicateModal($(this).data('id'), $(this).data('name'), $(this).data('group'));
+            });
+
+            // Auto-generate slug for the copy
+            $('#duplicate-machine-name').on('input blur', function() {
+                $('#duplicate-machine-slug').val(self.generateSlug($(this).val())).addClass('has-value');
+            });
+
+            // Save duplicate
+            $('#btn-duplicate-machine').on('click', function() {
+                self.duplicateMachine();
+            });
+
             // Edit machine
             $(document).on('click', '.btn-edit-machine', function() {
                 self.editMachine($(this).data('id'));
@@ -210,7 +389,7 @@
 
             // Delete machine
             $(document).on('click', '.btn-delete-machine', function() {
-                self.deleteMachine($(this).data('id'));
+                self.deleteMachine($(this).data('id'), $(this).data('name'));
             });
         },
 
@@ -225,7 +404,20 @@
             $('#machine-is-active').prop('checked', true);
             $('#machine-slug').val('').removeClass('has-value');
             $('#modal-title').text(this.data.i18n.addTitle);
-            $('#machine-modal').fadeIn();
+            this.schemaEditor.setValue('');
+            this.showModal();
+        },
+
+        /**
+         * Show the machine modal
+         * CodeMirror needs a visible container to measure itself
+         */
+        showModal: function() {
+            const self = this;
+
+            $('#machine-modal').fadeIn(function() {
+                self.schemaEditor.refresh();
+            });
         },
 
         /**
@@ -247,6 +439,11 @@
             const machineId = $('#machine-id').val();
             const action = machineId ? 'update_state_machine' : 'create_state_machine';
 
+            // Invalid schema JSON is reported below the editor
+            if (!self.schemaEditor.isValid()) {
+                return;
+            }
+
             const formData = {
                 action: action,
                 nonce: self.data.nonce,
@@ -257,7 +454,8 @@
                 entity_type: $('#machine-entity-type').val(),
                 description: $('#machine-description').val(),
                 workflow_group_id: $('#machine-workflow-group').val() || null,
-                is_active: $('#machine-is-active').is(':checked') ? 1 : 0
+                is_active: $('#machine-is-active').is(':checked') ? 1 : 0,
+                metadata_schema: self.schemaEditor.getValue()
             };
 
             $.post(self.data.ajaxUrl, formData)
@@ -286,8 +484,11 @@
 
         /**
          * View machine details
+         *
+         * @param {number} id Machine ID
+         * @param {string} tab Tab to open (default: details)
          */
-        viewMachine: function(id) {
+        viewMachine: function(id, tab) {
             const self = this;
 
             $.post(self.data.ajaxUrl, {
@@ -309,11 +510,150 @@
                     );
                     $('#view-machine-created').text(machine.created_at);
                     $('#view-machine-updated').text(machine.updated_at);
+                    self.viewMachineId = machine.id;
+                    $('#machine-history, #machine-versions').empty();
+                    $('#machine-versions').prevAll('.sm-versions-result').remove();
+                    self.showViewTab(tab || 'details');
                     $('#view-machine-modal').fadeIn();
                 }
             });
         },
 
+        /**
+         * Switch the view modal between Details, History and Versions
+         */
+        showViewTab: function(tab) {
+            const self = this;
+            const $modal = $('#view-machine-modal');
+
+            $modal.find('.sm-view-machine-tabs .nav-tab').removeClass('nav-tab-active')
+                .filter('[data-tab="' + tab + '"]').addClass('nav-tab-active');
+            $modal.find('.sm-view-machine-panel').hide()
+                .filter('[data-panel="' + tab + '"]').show();
+            $modal.toggleClass('sm-history-open', tab !== 'details');
+
+            if (tab === 'history' && $('#machine-history').is(':empty')) {
+                MachineHistory.load($('#machine-history'), self.viewMachineId, $.extend({
+                    ajaxUrl: self.data.ajaxUrl,
+                    nonce: self.data.nonce,
+                    onRollback: function() {
+                        self.table.ajax.reload(null, false);
+                        $('#machine-versions').empty();
+                    }
+                }, self.data.history));
+            }
+
+            if (tab === 'versions' && $('#machine-versions').is(':empty')) {
+                MachineVersions.load($('#machine-versions'), self.viewMachineId, $.extend({
+                    ajaxUrl: self.data.ajaxUrl,
+                    nonce: self.data.nonce,
+                    onPublish: function() {
+                        self.table.ajax.reload(null, false);
+                    }
+                }, self.data.versions));
+            }
+        },
+
+        /**
+         * View machine diagram
+         * Loads machine, states and transitions in parallel and renders the graph
+         */
+        viewDiagram: function(id) {
+            const self = this;
+            const $canvas = $('#machine-diagram-canvas');
+
+            WorkflowDiagram.destroy();
+            self.diagram = null;
+
+            $('#diagram-modal-title').text(self.data.i18n.diagramTitle.replace('%s', ''));
+            $('#diagram-summary').text('');
+            $canvas.html('<p class="workflow-diagram-message">' + self.data.i18n.diagramLoading + '</p>');
+            $('#diagram-machine-modal').fadeIn();
+
+            $.when(
+                $.post(self.data.ajaxUrl, {
+                    action: 'show_state_machine',
+                    nonce: self.data.nonce,
+                    id: id
+                }),
+                $.post(self.data.ajaxUrl, {
+                    action: 'get_states_by_machine',
+                    nonce: self.data.nonce,
+                    machine_id: id
+                }),
+                $.post(self.data.ajaxUrl, {
+                    action: 'handle_transition_datatable',
+                    nonce: self.data.nonce,
+                    machine_id: id,
+                    draw: 1,
+                    start: 0,
+                    length: -1
+                })
+            ).done(function(machineRes, statesRes, transitionsRes) {
+                const machineResponse = machineRes[0];
+                const statesResponse = statesRes[0];
+                const transitionsResponse = transitionsRes[0];
+
+                if (!machineResponse.success || !statesResponse.success || !transitionsResponse.data) {
+                    $canvas.html('<p class="workflow-diagram-message">' + self.data.i18n.diagramError + '</p>');
+                    return;
+                }
+
+                const machine = machineResponse.data.data;
+                const states = statesResponse.data || [];
+                const transitions = transitionsResponse.data || [];
+
+                $('#diagram-modal-title').text(self.data.i18n.diagramTitle.replace('%s', machine.name));
+                $('#diagram-summary').text(
+                    self.data.i18n.diagramSummary
+                        .replace('%1$d', states.length)
+                        .replace('%2$d', transitions.length)
+                );
+
+                if (!states.length) {
+                    $canvas.html('<p class="workflow-diagram-message">' + self.data.i18n.diagramEmpty + '</p>');
+                    return;
+                }
+
+                self.diagram = WorkflowDiagram.render($canvas, states, transitions);
+            }).fail(function() {
+                $canvas.html('<p class="workflow-diagram-message">' + self.data.i18n.diagramError + '</p>');
+            });
+        },
+
+        /**
+         * Export machine as a YML workflow definition and download it
+         */
+        exportYaml: function(id) {
+            const self = this;
+
+            $.post(self.data.ajaxUrl, {
+                action: 'export_state_machine_yaml',
+                nonce: self.data.nonce,
+                id: id
+            }).done(function(response) {
+                if (!response.success) {
+                    alert(response.data.message);
+                    return;
+                }
+
+                const blob = new Blob([response.data.content], { type: 'text/yaml;charset=utf-8' });
+                const url = URL.createObjectURL(blob);
+                const $link = $('<a>').attr({ href: url, download: response.data.filename }).appendTo('body');
+
+                $link[0].click();
+                $link.remove();
+                URL.revokeObjectURL(url);
+
+                // File is exported anyway, but tell the admin it will not seed as-is
+                if (response.data.warnings && response.data.warnings.length) {
+                    alert(self.data.i18n.exportWarnings + '\n\n' + response.data.warnings.join('\n'));
+                }
+            }).fail(function() {
+                alert(self.data.i18n.exportError);
+            });
+        },
+
         /**
          * Edit machine
          */
@@ -335,33 +675,82 @@
                     $('#machine-description').val(machine.description || '');
                     $('#machine-workflow-group').val(machine.workflow_group_id || '');
                     $('#machine-is-active').prop('checked', machine.is_active == 1);
+                    self.schemaEditor.setValue(response.data.metadata_schema || '');
                     $('#modal-title').text(self.data.i18n.editTitle);
-                    $('#machine-modal').fadeIn();
+                    self.showModal();
                 }
             });
         },
 
         /**
-         * Delete machine
+         * Open duplicate modal prefilled from the source machine
          */
-        deleteMachine: function(id) {
+        openDuplicateModal: function(id, name, groupId) {
+            const copyName = this.data.i18n.copyName.replace('%s', name);
+
+            $('#duplicate-machine-form')[0].reset();
+            $('#duplicate-machine-id').val(id);
+            $('#duplicate-modal-title').text(this.data.i18n.duplicateTitle.replace('%s', name));
+            $('#duplicate-machine-name').val(copyName);
+            $('#duplicate-machine-slug').val(this.generateSlug(copyName)).addClass('has-value');
+            $('#duplicate-machine-workflow-group').val(groupId || '');
+            $('#duplicate-machine-modal').fadeIn();
+        },
+
+        /**
+         * Duplicate machine with its states and transitions
+         */
+        duplicateMachine: function() {
             const self = this;
+            const $button = $('#btn-duplicate-machine');
 
-            if (!confirm(self.data.i18n.confirmDelete)) {
-                return;
-            }
+            $button.prop('disabled', true);
 
             $.post(self.data.ajaxUrl, {
-                action: 'delete_state_machine',
+                action: 'duplicate_state_machine',
                 nonce: self.data.nonce,
-                id: id
-            }, function(response) {
-                if (response.success) {
-                    self.table.ajax.reload();
-                    alert(response.data.message);
-                } else {
-                    alert(response.data.message);
-                }
+                id: $('#duplicate-machine-id').val(),
+                name: $('#duplicate-machine-name').val(),
+                slug: $('#duplicate-machine-slug').val(),
+                workflow_group_id: $('#duplicate-machine-workflow-group').val() || null
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        $('#duplicate-machine-modal').fadeOut(200);
+                        self.table.ajax.reload(null, false);
+                        alert(response.data.message);
+                    } else {
+                        let errorMsg = response.data.message;
+                        if (response.data.errors) {
+                            errorMsg += '\n\n' + Object.values(response.data.errors).join('\n');
+                        }
+                        alert(errorMsg);
+                    }
+                })
+                .fail(function() {
+                    alert(self.data.i18n.duplicateError);
+                })
+                .always(function() {
+                    $button.prop('disabled', false);
+                });
+        },
+
+        /**
+         * Delete machine after showing what depends on it (DeleteImpact)
+         */
+        deleteMachine: function(id, name) {
+            const self = this;
+
+            DeleteImpact.open($.extend({
+                ajaxUrl: self.data.ajaxUrl,
+                nonce: self.data.nonce,
+                impactAction: 'get_state_machine_delete_impact',
+                deleteAction: 'delete_state_machine',
+                id: id,
+                name: name
+            }, self.data.deleteImpact)).done(function(result) {
+                self.table.ajax.reload();
+                alert(result.message);
             });
         }
     };
@@ -0,0 +1,735 @@
+/**
+ * Metadata Editor JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/metadata-editor.js
+ *
+ * Description: JSON editor for state and transition metadata (and machine
+ *              metadata schemas). Wraps a textarea and keeps it in sync, so
+ *              the save handlers keep reading the textarea value.
+ *              - Syntax highlighting via wp.codeEditor (CodeMirror); plain
+ *                textarea when syntax highlighting is disabled for the user
+ *              - Live validation: JSON syntax, then the machine's metadata
+ *                schema (required keys, types, enum values, item types)
+ *              - Form mode: key/value rows, widgets follow the schema type
+ *              - Ctrl-Space (or typing a quote) suggests schema keys
+ *
+ *              Schema sections come from the get_metadata_schema AJAX
+ *              action, format: {properties: {key: {type, description,
+ *              enum, items}}, required: [keys]}.
+ *
+ * Usage:
+ * ```js
+ * const editor = MetadataEditor.create($('#state-metadata'), {
+ *     codeEditor: data.metadataEditor.codeEditor,
+ *     i18n: data.metadataEditor.i18n
+ * });
+ * editor.setSchema(schema.state);
+ * editor.setValue(state.metadata || '');
+ * if (!editor.isValid()) { return; }
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ * - wp-codemirror / code-editor (optional, from wp_enqueue_code_editor)
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - CodeMirror JSON editing, live schema validation, form mode, key hints
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Editor instance methods
+     * Instances are created with MetadataEditor.create()
+     */
+    const EditorPrototype = {
+        /**
+         * Build the editor around the textarea
+         *
+         * @param {jQuery} $textarea Metadata textarea
+         * @param {Object} config {codeEditor, i18n, form}
+         * @return {void}
+         */
+        init: function($textarea, config) {
+            const self = this;
+
+            this.$textarea = $textarea;
+            this.i18n = config.i18n || {};
+            this.schema = { properties: {}, required: [] };
+            this.mode = 'json';
+            this.cm = null;
+            this.timer = null;
+
+            this.$wrapper = $('<div class="sm-metadata-editor">').insertBefore($textarea);
+
+            if (config.form !== false) {
+                this.$tabs = $('<div class="sm-metadata-tabs">')
+                    .append(this.buildTab('json', this.i18n.json).addClass('active'))
+                    .append(this.buildTab('form', this.i18n.form))
+                    .appendTo(this.$wrapper);
+            }
+
+            this.$jsonPane = $('<div class="sm-metadata-json">').appendTo(this.$wrapper).append($textarea);
+            this.$formPane = $('<div class="sm-metadata-form">').hide().appendTo(this.$wrapper);
+            this.$messages = $('<ul class="sm-metadata-messages">').appendTo(this.$wrapper);
+            this.$datalist = $('<datalist>')
+                .attr('id', $textarea.attr('id') + '-keys')
+                .appendTo(this.$wrapper);
+
+            if (config.codeEditor && window.wp && wp.codeEditor) {
+                const settings = $.extend(true, {}, config.codeEditor);
+                settings.codemirror.extraKeys = $.extend({}, settings.codemirror.extraKeys, {
+                    'Ctrl-Space': function(cm) { self.showHint(cm); }
+                });
+
+                this.cm = wp.codeEditor.initialize($textarea[0], settings).codemirror;
+
+                this.cm.on('change', function(cm) {
+                    cm.save();
+                    self.scheduleValidation();
+                });
+
+                this.cm.on('keyup', function(cm, event) {
+                    if (event.key === '"' && !cm.state.completionActive) {
+                        self.showHint(cm);
+                    }
+                });
+            } else {
+                $textarea.on('input', function() {
+                    self.scheduleValidation();
+                });
+            }
+        },
+
+        /**
+         * Build a JSON/Form tab button
+         *
+         * @param {string} mode Tab mode
+         * @param {string} label Tab label
+         * @return {jQuery}
+         */
+        buildTab: function(mode, label) {
+            const self = this;
+
+            return $('<button type="button" class="button-link sm-metadata-tab">')
+                .attr('data-mode', mode)
+                .text(label)
+                .on('click', function() {
+                    self.setMode(mode);
+                });
+        },
+
+        /**
+         * Set editor content
+         *
+         * @param {string|Object} value JSON string or decoded metadata
+         * @return {void}
+         */
+        setValue: function(value) {
+            if (value && typeof value === 'object') {
+                value = JSON.stringify(value, null, 2);
+            }
+
+            this.showPane('json');
+            this.writeJson(value || '');
+            this.$messages.empty();
+            this.$wrapper.removeClass('has-error');
+        },
+
+        /**
+         * Get editor content as a JSON string
+         *
+         * @return {string}
+         */
+        getValue: function() {
+            if (this.mode === 'form') {
+                this.syncForm();
+            }
+            return this.cm ? this.cm.getValue() : this.$textarea.val();
+        },
+
+        /**
+         * Set the schema section used for hints, form widgets and validation
+         *
+         * @param {Object|null} schema Schema section {properties, required}
+         * @return {void}
+         */
+        setSchema: function(schema) {
+            const self = this;
+
+            this.schema = $.extend({ properties: {}, required: [] }, schema || {});
+
+            this.$datalist.empty();
+            $.each(this.schema.properties, function(key, property) {
+                self.$datalist.append($('<option>').val(key).text(property.description || property.type));
+            });
+
+            if (this.mode === 'form') {
+                this.renderForm(this.parse().value || {});
+            }
+
+            if (this.getValue().trim() !== '') {
+                this.validate();
+            }
+        },
+
+        /**
+         * Validate now and show the messages
+         *
+         * @return {boolean} True if the metadata can be saved
+         */
+        isValid: function() {
+            clearTimeout(this.timer);
+            return this.validate();
+        },
+
+        /**
+         * Refresh CodeMirror layout (call after the modal becomes visible)
+         *
+         * @return {void}
+         */
+        refresh: function() {
+            if (this.cm) {
+                this.cm.refresh();
+            }
+        },
+
+        /**
+         * Write JSON to CodeMirror and the textarea
+         *
+         * @param {string} json JSON string
+         * @return {void}
+         */
+        writeJson: function(json) {
+            if (this.cm) {
+                this.cm.setValue(json);
+                this.cm.save();
+            } else {
+                this.$textarea.val(json);
+            }
+        },
+
+        /**
+         * Parse the current JSON
+         *
+         * @return {Object} {value, error}; value is null for empty content
+         */
+        parse: function() {
+            const json = (this.cm ? this.cm.getValue() : this.$textarea.val()).trim();
+
+            if (json === '') {
+                return { value: null, error: null };
+            }
+
+            try {
+                const value = JSON.parse(json);
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return { value: null, error: this.i18n.notObject };
+                }
+                return { value: value, error: null };
+            } catch (e) {
+                return { value: null, error: this.format(this.i18n.invalidJson, e.message) };
+            }
+        },
+
+        /**
+         * Validate after typing stops
+         *
+         * @return {void}
+         */
+        scheduleValidation: function() {
+            const self = this;
+
+            clearTimeout(this.timer);
+            this.timer = setTimeout(function() {
+                self.validate();
+            }, 300);
+        },
+
+        /**
+         * Validate JSON syntax and schema, render messages
+         *
+         * @return {boolean} True if valid
+         */
+        validate: function() {
+            if (this.mode === 'form') {
+                this.syncForm();
+            }
+
+            const parsed = this.parse();
+            let errors = [];
+
+            if (parsed.error) {
+                errors = [parsed.error];
+            } else if (parsed.value !== null) {
+                errors = this.checkSchema(parsed.value);
+            }
+
+            this.renderMessages(errors, parsed.value !== null);
+            this.$wrapper.toggleClass('has-error', errors.length > 0);
+
+            return errors.length === 0;
+        },
+
+        /**
+         * Check metadata against the schema section
+         * Mirrors MetadataSchemaModel::validateMetadata(); unknown keys are allowed.
+         * Empty metadata is not checked, as on the server
+         *
+         * @param {Object} metadata Decoded metadata
+         * @return {Array} Error messages
+         */
+        checkSchema: function(metadata) {
+            const self = this;
+            const errors = [];
+
+            this.schema.required.forEach(function(key) {
+                if (!Object.prototype.hasOwnProperty.call(metadata, key)) {
+                    errors.push(self.format(self.i18n.required, key));
+                }
+            });
+
+            $.each(this.schema.properties, function(key, property) {
+                if (!Object.prototype.hasOwnProperty.call(metadata, key)) {
+                    return;
+                }
+
+                const value = metadata[key];
+
+                if (!self.matchesType(value, property.type)) {
+                    errors.push(self.format(self.i18n.type, key, property.type));
+                    return;
+                }
+
+                if (property.enum && property.enum.length && property.enum.indexOf(value) === -1) {
+                    errors.push(self.format(self.i18n.enumValue, key, property.enum.map(function(item) {
+                        return JSON.stringify(item);
+                    }).join(', ')));
+                }
+
+                if (property.items && property.items.type && Array.isArray(value)) {
+                    const invalid = value.some(function(item) {
+                        return !self.matchesType(item, property.items.type);
+                    });
+                    if (invalid) {
+                        errors.push(self.format(self.i18n.itemsType, key, property.items.type));
+                    }
+                }
+            });
+
+            return errors;
+        },
+
+        /**
+         * Check a value against a schema type
+         *
+         * @param {*} value Decoded value
+         * @param {string} type Schema type
+         * @return {boolean}
+         */
+        matchesType: function(value, type) {
+            switch (type) {
+                case 'string':
+                    return typeof value === 'string';
+                case 'number':
+                    return typeof value === 'number';
+                case 'integer':
+                    return typeof value === 'number' && Math.floor(value) === value;
+                case 'boolean':
+                    return typeof value === 'boolean';
+                case 'array':
+                    return Array.isArray(value);
+                case 'object':
+                    return value !== null && typeof value === 'object' && !Array.isArray(value);
+            }
+            return true;
+        },
+
+        /**
+         * Render validation messages below the editor
+         *
+         * @param {Array} errors Error messages
+         * @param {boolean} hasContent Whether there is metadata to report on
+         * @return {void}
+         */
+        renderMessages: function(errors, hasContent) {
+            const $list = this.$messages.empty();
+
+            errors.forEach(function(error) {
+                $list.append($('<li class="sm-metadata-error">').text(error));
+            });
+
+            if (!errors.length && hasContent) {
+                $list.append($('<li class="sm-metadata-valid">').text(this.i18n.valid));
+            }
+        },
+
+        /**
+         * Switch between JSON and form mode
+         * Form mode needs a valid JSON object (or empty content)
+         *
+         * @param {string} mode json|form
+         * @return {void}
+         */
+        setMode: function(mode) {
+            if (mode === this.mode) {
+                return;
+            }
+
+            if (mode === 'form') {
+                const parsed = this.parse();
+                if (parsed.error) {
+                    this.renderMessages([this.i18n.formNeedsJson + ' ' + parsed.error], false);
+                    return;
+                }
+                this.renderForm(parsed.value || {});
+            } else {
+                this.syncForm();
+            }
+
+            this.showPane(mode);
+        },
+
+        /**
+         * Show the JSON or form pane without converting content
+         *
+         * @param {string} mode json|form
+         * @return {void}
+         */
+        showPane: function(mode) {
+            this.mode = mode;
+            this.$jsonPane.toggle(mode === 'json');
+            this.$formPane.toggle(mode === 'form');
+
+            if (this.$tabs) {
+                this.$tabs.find('.sm-metadata-tab').removeClass('active')
+                    .filter('[data-mode="' + mode + '"]').addClass('active');
+            }
+
+            if (mode === 'json') {
+                this.refresh();
+            }
+        },
+
+        /**
+         * Render key/value rows for the metadata
+         * Required schema keys that are missing get an empty row
+         *
+         * @param {Object} metadata Decoded metadata
+         * @return {void}
+         */
+        renderForm: function(metadata) {
+            const self = this;
+            const $rows = $('<div class="sm-metadata-rows">');
+
+            $.each(metadata, function(key, value) {
+                $rows.append(self.buildRow(key, value));
+            });
+
+            this.schema.required.forEach(function(key) {
+                if (!Object.prototype.hasOwnProperty.call(metadata, key)) {
+                    $rows.append(self.buildRow(key, self.defaultValue(self.schema.properties[key])));
+                }
+            });
+
+            const $add = $('<button type="button" class="button button-small">')
+                .text(this.i18n.addField)
+                .on('click', function() {
+                    $rows.append(self.buildRow('', ''));
+                    $rows.find('.sm-metadata-key').last().trigger('focus');
+                });
+
+            this.$formPane.empty().append($rows, $add);
+        },
+
+        /**
+         * Build one key/value row
+         *
+         * @param {string} key Metadata key
+         * @param {*} value Current value
+         * @return {jQuery}
+         */
+        buildRow: function(key, value) {
+            const self = this;
+            const $row = $('<div class="sm-metadata-row">');
+
+            const $key = $('<input type="text" class="sm-metadata-key">')
+                .attr('list', this.$datalist.attr('id'))
+                .attr('placeholder', this.i18n.key)
+                .val(key)
+                .on('change', function() {
+                    const property = self.schema.properties[$(this).val().trim()];
+                    const current = self.readWidget($row.find('.sm-metadata-value'));
+                    const next = property && !self.matchesType(current, property.type) ? self.defaultValue(property) : current;
+
+                    $row.find('.sm-metadata-value').replaceWith(self.buildWidget($(this).val().trim(), next));
+                    self.updateHelp($row);
+                    self.syncForm();
+                });
+
+            const $remove = $('<button type="button" class="button-link sm-metadata-remove">')
+                .attr('aria-label', this.i18n.removeField)
+                .html('<span class="dashicons dashicons-no-alt"></span>')
+                .on('click', function() {
+                    $row.remove();
+                    self.syncForm();
+                });
+
+            $row.append($key, this.buildWidget(key, value), $remove, $('<p class="description sm-metadata-help">'));
+            this.updateHelp($row);
+
+            return $row;
+        },
+
+        /**
+         * Build the value widget for a key
+         * Type comes from the schema, or from the current value for unknown keys
+         *
+         * @param {string} key Metadata key
+         * @param {*} value Current value
+         * @return {jQuery}
+         */
+        buildWidget: function(key, value) {
+            const self = this;
+            const property = this.schema.properties[key] || {};
+            const type = property.type || this.inferType(value);
+            let $widget;
+
+            if (property.enum && property.enum.length) {
+                $widget = $('<select>');
+                property.enum.forEach(function(option) {
+                    $widget.append($('<option>').val(JSON.stringify(option)).text(String(option)));
+                });
+                $widget.val(JSON.stringify(value));
+            } else if (type === 'boolean') {
+                $widget = $('<input type="checkbox">').prop('checked', value === true);
+            } else if (type === 'number' || type === 'integer') {
+                $widget = $('<input type="number" class="small-text">')
+                    .attr('step', type === 'integer' ? '1' : 'any')
+                    .val(typeof value === 'number' ? value : '');
+            } else if (type === 'array' || type === 'object') {
+                $widget = $('<textarea rows="2" class="code">')
+                    .val(JSON.stringify(value === '' ? (type === 'array' ? [] : {}) : value));
+            } else {
+                $widget = $('<input type="text" class="regular-text">')
+                    .val(typeof value === 'string' ? value : JSON.stringify(value));
+            }
+
+            return $widget
+                .addClass('sm-metadata-value')
+                .attr('data-type', type)
+                .on('change input', function() {
+                    self.syncForm();
+                });
+        },
+
+        /**
+         * Read a widget's value, typed by its data-type
+         *
+         * @param {jQuery} $widget Value widget
+         * @return {*}
+         */
+        readWidget: function($widget) {
+            const type = $widget.attr('data-type');
+
+            if ($widget.is('select')) {
+                return JSON.parse($widget.val());
+            }
+            if ($widget.is(':checkbox')) {
+                return $widget.is(':checked');
+            }
+            if (type === 'number' || type === 'integer') {
+                return $widget.val() === '' ? 0 : Number($widget.val());
+            }
+            if (type === 'array' || type === 'object') {
+                try {
+                    return JSON.parse($widget.val());
+                } catch (e) {
+                    return $widget.val();
+                }
+            }
+            return $widget.val();
+        },
+
+        /**
+         * Show the schema description under a row
+         *
+         * @param {jQuery} $row Row element
+         * @return {void}
+         */
+        updateHelp: function($row) {
+            const property = this.schema.properties[$row.find('.sm-metadata-key').val().trim()];
+            $row.find('.sm-metadata-help').text(property && property.description ? property.description : '');
+        },
+
+        /**
+         * Write the form rows back to the JSON editor
+         *
+         * @return {void}
+         */
+        syncForm: function() {
+            const self = this;
+
+            if (this.mode !== 'form') {
+                return;
+            }
+
+            const metadata = {};
+            this.$formPane.find('.sm-metadata-row').each(function() {
+                const key = $(this).find('.sm-metadata-key').val().trim();
+                if (key !== '') {
+                    metadata[key] = self.readWidget($(this).find('.sm-metadata-value'));
+                }
+            });
+
+            this.writeJson($.isEmptyObject(metadata) ? '' : JSON.stringify(metadata, null, 2));
+            this.scheduleValidation();
+        },
+
+        /**
+         * Default value for a schema property
+         *
+         * @param {Object|undefined} property Schema property
+         * @return {*}
+         */
+        defaultValue: function(property) {
+            if (!property) {
+                return '';
+            }
+            if (property.enum && property.enum.length) {
+                return property.enum[0];
+            }
+            switch (property.type) {
+                case 'boolean': return false;
+                case 'number':
+                case 'integer': return 0;
+                case 'array': return [];
+                case 'object': return {};
+            }
+            return '';
+        },
+
+        /**
+         * Infer a schema type from a value (keys not in the schema)
+         *
+         * @param {*} value Decoded value
+         * @return {string}
+         */
+        inferType: function(value) {
+            if (Array.isArray(value)) {
+                return 'array';
+            }
+            if (value !== null && typeof value === 'object') {
+                return 'object';
+            }
+            return typeof value === 'boolean' || typeof value === 'number' ? typeof value : 'string';
+        },
+
+        /**
+         * Suggest schema keys at the cursor
+         * Only in key position; replaces the string being typed with "key": default
+         *
+         * @param {CodeMirror} cm CodeMirror instance
+         * @return {void}
+         */
+        showHint: function(cm) {
+            const self = this;
+
+            if (!cm.showHint || $.isEmptyObject(this.schema.properties)) {
+                return;
+            }
+
+            cm.showHint({
+                completeSingle: false,
+                hint: function(editor) {
+                    const cursor = editor.getCursor();
+                    const token = editor.getTokenAt(cursor);
+                    const inString = token.type === 'string' || token.string.charAt(0) === '"';
+                    const before = editor.getRange({ line: 0, ch: 0 }, { line: cursor.line, ch: token.start }).trim();
+
+                    if (inString && before !== '' && !/[{,]$/.test(before)) {
+                        return { list: [], from: cursor, to: cursor };
+                    }
+
+                    const prefix = inString ? token.string.replace(/^"|"$/g, '').slice(0, cursor.ch - token.start - 1) : '';
+                    const present = self.parse().value || {};
+
+                    const list = Object.keys(self.schema.properties).filter(function(key) {
+                        return key.indexOf(prefix) === 0 && !Object.prototype.hasOwnProperty.call(present, key);
+                    }).map(function(key) {
+                        const property = self.schema.properties[key];
+                        return {
+                            text: JSON.stringify(key) + ': ' + JSON.stringify(self.defaultValue(property)),
+                            displayText: key + ' (' + property.type + ')'
+                        };
+                    });
+
+                    return {
+                        list: list,
+                        from: inString ? { line: cursor.line, ch: token.start } : cursor,
+                        to: inString ? { line: cursor.line, ch: token.end } : cursor
+                    };
+                }
+            });
+        },
+
+        /**
+         * Replace %s / %1$s placeholders
+         *
+         * @param {string} template Template string
+         * @return {string}
+         */
+        format: function(template) {
+            const args = Array.prototype.slice.call(arguments, 1);
+            let index = 0;
+
+            return String(template || '').replace(/%(?:(\d+)\$)?s/g, function(match, position) {
+                const value = position ? args[position - 1] : args[index++];
+                return typeof value === 'undefined' ? '' : value;
+            });
+        }
+    };
+
+    const MetadataEditor = {
+        /**
+         * Wrap a textarea with a metadata editor
+         *
+         * @param {jQuery} $textarea Metadata textarea
+         * @param {Object} config {codeEditor, i18n, form: false to hide form mode}
+         * @return {Object} Editor instance
+         */
+        create: function($textarea, config) {
+            const editor = Object.create(EditorPrototype);
+            editor.init($textarea, config || {});
+            return editor;
+        },
+
+        /**
+         * Load the effective metadata schema for a machine
+         *
+         * @param {Object} config {ajaxUrl, nonce}
+         * @param {number|string} machineId Machine ID (empty for the base schema)
+         * @return {jqXHR} Resolves with the full schema {state, transition}
+         */
+        loadSchema: function(config, machineId) {
+            return $.post(config.ajaxUrl, {
+                action: 'get_metadata_schema',
+                nonce: config.nonce,
+                machine_id: machineId || 0
+            }).then(function(response) {
+                return response.success ? response.data.schema : {};
+            });
+        }
+    };
+
+    window.MetadataEditor = MetadataEditor;
+
+})(jQuery);
@@ -3,7 +3,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Assets/JS
- * @version     1.0.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/assets/js/settings.js
@@ -17,6 +17,16 @@
  * - wpStateMachineSettingsData (localized script)
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - Added Backups section: list, restore, download and delete backups
+ * - Reset toasts name the backup that was created
+ *
+ * 1.2.0 - 2026-10-19
+ * - Re-seeding a seeded workflow now shows a dry-run diff (preview_workflow_reseed) to accept or cancel
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added YML workflow upload with validation preview and import
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - Tab switching functionality
@@ -38,6 +48,16 @@
         ajaxUrl: wpStateMachineSettingsData.ajaxUrl,
         i18n: wpStateMachineSettingsData.i18n,
 
+        /**
+         * Workflow file selected for import
+         */
+        importFile: null,
+
+        /**
+         * Workflow waiting for re-seed confirmation {slug, filename, $button}
+         */
+        pendingReseed: null,
+
         /**
          * Initialize settings page
          */
@@ -46,6 +66,7 @@
             this.initTabSwitching();
             this.initResetButtonState();
             this.loadWorkflows(); // Load workflows on init
+            this.loadBackups();
         },
 
         /**
@@ -120,11 +141,40 @@
             });
 
             // Individual workflow seed button (event delegation)
+            // Seeded workflows get a dry-run diff before being overwritten
             $(document).on('click', '.seed-workflow', function(e) {
                 e.preventDefault();
                 const slug = $(this).data('slug');
                 const filename = $(this).data('filename');
-                self.seedIndividualWorkflow(slug, filename, $(this));
+                if ($(this).data('seeded')) {
+                    self.previewReseed(slug, filename, $(this));
+                } else {
+                    self.seedIndividualWorkflow(slug, filename, $(this));
+                }
+            });
+
+            // Accept re-seed from preview modal
+            $('#btn-confirm-reseed').on('click', function(e) {
+                e.preventDefault();
+                const pending = self.pendingReseed;
+                $('#reseed-preview-modal').fadeOut(200);
+                if (pending) {
+                    self.pendingReseed = null;
+                    self.seedIndividualWorkflow(pending.slug, pending.filename, pending.$button, true);
+                }
+            });
+
+            // Close re-seed preview modal
+            $('#reseed-preview-modal .modal-close').on('click', function() {
+                self.pendingReseed = null;
+                $('#reseed-preview-modal').fadeOut(200);
+            });
+
+            $('#reseed-preview-modal').on('click', function(e) {
+                if ($(e.target).hasClass('wp-state-machine-modal')) {
+                    self.pendingReseed = null;
+                    $(this).fadeOut(200);
+                }
             });
 
             // Individual workflow reset button (event delegation)
@@ -133,6 +183,48 @@
                 const slug = $(this).data('slug');
                 self.resetIndividualWorkflow(slug, $(this));
             });
+
+            // Backups: refresh, restore, download, delete
+            $('#btn-refresh-backups').on('click', function(e) {
+                e.preventDefault();
+                self.loadBackups();
+            });
+
+            $(document).on('click', '.restore-backup', function(e) {
+                e.preventDefault();
+                self.restoreBackup($(this).data('filename'), $(this));
+            });
+
+            $(document).on('click', '.download-backup', function(e) {
+                e.preventDefault();
+                self.downloadBackup($(this).data('filename'), $(this));
+            });
+
+            $(document).on('click', '.delete-backup', function(e) {
+                e.preventDefault();
+                self.deleteBackup($(this).data('filename'), $(this));
+            });
+
+            // Workflow file upload - validate and preview
+            $('#workflow-upload-file').on('change', function() {
+                if (this.files && this.files.length) {
+                    self.previewWorkflowUpload(this.files[0]);
+                } else {
+                    self.resetImport();
+                }
+            });
+
+            // Import previewed workflow (event delegation)
+            $(document).on('click', '#btn-import-workflow', function(e) {
+                e.preventDefault();
+                self.importWorkflowUpload($(this));
+            });
+
+            // Cancel import (event delegation)
+            $(document).on('click', '#btn-cancel-import', function(e) {
+                e.preventDefault();
+                self.resetImport();
+            });
         },
 
         /**
@@ -423,7 +515,7 @@
                     '<span class="workflow-status-badge not-seeded">Not Seeded</span>';
 
                 const seedButton = isSeeded ?
-                    '<button type="button" class="button seed-workflow" data-slug="' + self.escapeHtml(workflow.slug) + '" data-filename="' + self.escapeHtml(workflow.filename) + '"><span class="dashicons dashicons-update"></span> Re-seed Workflow</button>' :
+                    '<button type="button" class="button seed-workflow" data-seeded="1" data-slug="' + self.escapeHtml(workflow.slug) + '" data-filename="' + self.escapeHtml(workflow.filename) + '"><span class="dashicons dashicons-update"></span> Re-seed Workflow</button>' :
                     '<button type="button" class="button seed-workflow" data-slug="' + self.escapeHtml(workflow.slug) + '" data-filename="' + self.escapeHtml(workflow.filename) + '"><span class="dashicons dashicons-download"></span> Seed Workflow</button>';
 
                 const resetButton = isSeeded && devMode ?
@@ -462,12 +554,14 @@
 
         /**
          * Seed individual workflow
+         *
+         * @param {boolean} confirmed Skip the confirm() prompt (already accepted in preview)
          */
-        seedIndividualWorkflow: function(slug, filename, $button) {
+        seedIndividualWorkflow: function(slug, filename, $button, confirmed) {
             const self = this;
             const $card = $button.closest('.workflow-card');
 
-            if (!confirm('Are you sure you want to seed this workflow? If it already exists, it will be updated with the latest YML data.')) {
+            if (!confirmed && !confirm('Are you sure you want to seed this workflow? If it already exists, it will be updated with the latest YML data.')) {
                 return;
             }
 
@@ -503,6 +597,141 @@
             });
         },
 
+        /**
+         * Load dry-run diff for a seeded workflow and show it for review
+         */
+        previewReseed: function(slug, filename, $button) {
+            const self = this;
+            const $body = $('#reseed-preview-body');
+
+            self.pendingReseed = { slug: slug, filename: filename, $button: $button };
+
+            $('#reseed-preview-title').text(self.i18n.reseedTitle.replace('%s', slug));
+            $('#btn-confirm-reseed').prop('disabled', true);
+            $body.html('<p><span class="spinner is-active" style="float: none;"></span> ' +
+                self.escapeHtml(self.i18n.reseedLoading) + '</p>');
+            $('#reseed-preview-modal').fadeIn(200);
+
+            $.ajax({
+                url: self.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'preview_workflow_reseed',
+                    nonce: self.nonce,
+                    filename: filename
+                },
+                success: function(response) {
+                    if (response.success) {
+                        const diff = response.data.diff;
+                        $('#reseed-preview-title').text(self.i18n.reseedTitle.replace('%s', diff.machine.name));
+                        $body.html(self.renderReseedDiff(diff));
+                        $('#btn-confirm-reseed').prop('disabled', !diff.can_seed);
+                    } else {
+                        $body.html('<div class="notice notice-error inline"><p>' +
+                            self.escapeHtml(response.data.message || self.i18n.error) + '</p></div>');
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Preview re-seed error:', error);
+                    $body.html('<div class="notice notice-error inline"><p>' +
+                        self.escapeHtml(self.i18n.error) + '</p></div>');
+                }
+            });
+        },
+
+        /**
+         * Build diff HTML for the re-seed preview
+         */
+        renderReseedDiff: function(diff) {
+            const self = this;
+            let html = '';
+
+            if (!diff.can_seed) {
+                html += '<div class="notice notice-error inline"><p>' + self.escapeHtml(self.i18n.reseedCustom) + '</p></div>';
+            }
+
+            if (diff.logs_count > 0) {
+                html += '<div class="notice notice-warning inline"><p>' +
+                    self.escapeHtml(self.i18n.reseedLogsWarning.replace('%d', diff.logs_count)) + '</p></div>';
+            }
+
+            if (!diff.has_changes) {
+                return html + '<p class="reseed-no-changes">' + self.escapeHtml(self.i18n.reseedNoChanges) + '</p>';
+            }
+
+            if (diff.machine.changes.length) {
+                html += '<h3>' + self.escapeHtml(self.i18n.reseedMachine) + '</h3>' +
+                    '<ul class="reseed-diff-list">' +
+                    '<li class="reseed-diff-changed">' + self.renderFieldChanges(diff.machine.changes) + '</li>' +
+                    '</ul>';
+            }
+
+            html += self.renderDiffSection(self.i18n.states, diff.states, function(state) {
+                return '<strong>' + self.escapeHtml(state.name) + '</strong> <code>' + self.escapeHtml(state.slug) + '</code>' +
+                    (state.type ? ' &middot; ' + self.escapeHtml(state.type) : '') +
+                    (state.color ? ' <span class="reseed-color-swatch" style="background-color:' + self.escapeHtml(state.color) + ';"></span>' : '');
+            });
+
+            html += self.renderDiffSection(self.i18n.transitions, diff.transitions, function(transition) {
+                return '<strong>' + self.escapeHtml(transition.label) + '</strong> <code>' +
+                    self.escapeHtml(transition.from) + ' &rarr; ' + self.escapeHtml(transition.to) + '</code>' +
+                    (transition.guard_class ? ' &middot; guard: <code>' + self.escapeHtml(transition.guard_class) + '</code>' : '');
+            });
+
+            return html;
+        },
+
+        /**
+         * Build one diff section (added / removed / changed items)
+         */
+        renderDiffSection: function(title, section, describe) {
+            const self = this;
+            let items = '';
+
+            section.added.forEach(function(item) {
+                items += '<li class="reseed-diff-added"><span class="reseed-diff-tag">' +
+                    self.escapeHtml(self.i18n.reseedAdded) + '</span> ' + describe(item) + '</li>';
+            });
+
+            section.removed.forEach(function(item) {
+                items += '<li class="reseed-diff-removed"><span class="reseed-diff-tag">' +
+                    self.escapeHtml(self.i18n.reseedRemoved) + '</span> ' + describe(item) + '</li>';
+            });
+
+            section.changed.forEach(function(item) {
+                items += '<li class="reseed-diff-changed"><span class="reseed-diff-tag">' +
+                    self.escapeHtml(self.i18n.reseedChanged) + '</span> ' + describe(item) +
+                    self.renderFieldChanges(item.changes) + '</li>';
+            });
+
+            if (!items) {
+                return '';
+            }
+
+            return '<h3>' + self.escapeHtml(title) + '</h3><ul class="reseed-diff-list">' + items + '</ul>';
+        },
+
+        /**
+         * Build "field: old -> new" rows
+         */
+        renderFieldChanges: function(changes) {
+            const self = this;
+            const empty = '<em>' + self.escapeHtml(self.i18n.reseedEmptyValue) + '</em>';
+            const value = function(text) {
+                if (text === '') {
+                    return empty;
+                }
+                return '<code>' + self.escapeHtml(text.length > 80 ? text.substring(0, 77) + '...' : text) + '</code>';
+            };
+
+            return '<table class="reseed-field-changes">' + changes.map(function(change) {
+                return '<tr><th>' + self.escapeHtml(change.field) + '</th>' +
+                    '<td class="reseed-old">' + value(change.from) + '</td>' +
+                    '<td>&rarr;</td>' +
+                    '<td class="reseed-new">' + value(change.to) + '</td></tr>';
+            }).join('') + '</table>';
+        },
+
         /**
          * Reset individual workflow
          */
@@ -539,9 +768,14 @@
                 },
                 success: function(response) {
                     if (response.success) {
-                        self.showToast(response.data.message || 'Workflow reset successfully', 'success');
+                        let message = response.data.message || 'Workflow reset successfully';
+                        if (response.data.backup_file) {
+                            message += ' ' + self.i18n.backupSaved.replace('%s', response.data.backup_file);
+                        }
+                        self.showToast(message, 'success');
                         // Reload workflows to update UI
                         self.loadWorkflows();
+                        self.loadBackups();
                     } else {
                         self.showToast(response.data.message || self.i18n.error, 'error');
                         $button.removeClass('loading').prop('disabled', false);
@@ -643,9 +877,13 @@
                                 message += ` (${summary.success} workflows seeded)`;
                             }
                         }
+                        if (response.data.details && response.data.details.backup_file) {
+                            message += ' ' + self.i18n.backupSaved.replace('%s', response.data.details.backup_file);
+                        }
                         self.showToast(message, 'success');
                         // Reload workflows to update UI
                         self.loadWorkflows();
+                        self.loadBackups();
                     } else {
                         self.showToast(response.data.message || self.i18n.error, 'error');
                     }
@@ -660,6 +898,385 @@
             });
         },
 
+        /**
+         * Load backup list from src/Data/backups
+         */
+        loadBackups: function() {
+            const self = this;
+            const $container = $('#workflow-backups');
+
+            if (!$container.length) {
+                return;
+            }
+
+            $container.html('<p><span class="spinner is-active" style="float: none;"></span> ' +
+                self.escapeHtml(self.i18n.backupsLoading) + '</p>');
+
+            $.ajax({
+                url: self.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'get_workflow_backups',
+                    nonce: self.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.renderBackups(response.data.backups, $container);
+                    } else {
+                        $container.html('<div class="notice notice-error inline"><p>' +
+                            self.escapeHtml(response.data.message || self.i18n.error) + '</p></div>');
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Load backups error:', error);
+                    $container.html('<div class="notice notice-error inline"><p>' +
+                        self.escapeHtml(self.i18n.error) + '</p></div>');
+                }
+            });
+        },
+
+        /**
+         * Render backup list table
+         */
+        renderBackups: function(backups, $container) {
+            const self = this;
+
+            if (!backups.length) {
+                $container.html('<p class="description">' + self.escapeHtml(self.i18n.backupsEmpty) + '</p>');
+                return;
+            }
+
+            const rows = backups.map(function(backup) {
+                const filename = self.escapeHtml(backup.filename);
+                const workflows = backup.valid
+                    ? self.escapeHtml(backup.workflows.join(', ')) +
+                      `<br><span class="description">${backup.states_count} ${self.escapeHtml(self.i18n.states)}, ` +
+                      `${backup.transitions_count} ${self.escapeHtml(self.i18n.transitions)}, ` +
+                      `${backup.logs_count} ${self.escapeHtml(self.i18n.logs)}</span>`
+                    : '<span class="backup-invalid">' + self.escapeHtml(self.i18n.backupInvalid) + '</span>';
+
+                return `
+                    <tr>
+                        <td>
+                            <strong>${self.escapeHtml(backup.timestamp || backup.filename)}</strong>
+                            <br><code>${filename}</code>
+                        </td>
+                        <td>${workflows}</td>
+                        <td>${self.escapeHtml(backup.size)}</td>
+                        <td class="backup-actions">
+                            <button type="button" class="button button-small restore-backup" data-filename="${filename}"${backup.valid ? '' : ' disabled'}>
+                                <span class="dashicons dashicons-backup"></span> ${self.escapeHtml(self.i18n.backupRestore)}
+                            </button>
+                            <button type="button" class="button button-small download-backup" data-filename="${filename}">
+                                <span class="dashicons dashicons-download"></span> ${self.escapeHtml(self.i18n.backupDownload)}
+                            </button>
+                            <button type="button" class="button button-small button-link-delete delete-backup" data-filename="${filename}">
+                                <span class="dashicons dashicons-trash"></span> ${self.escapeHtml(self.i18n.backupDelete)}
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+
+            $container.html(`
+                <table class="widefat striped workflow-backups-table">
+                    <thead>
+                        <tr>
+                            <th>${self.escapeHtml(self.i18n.backupDate)}</th>
+                            <th>${self.escapeHtml(self.i18n.backupWorkflows)}</th>
+                            <th>${self.escapeHtml(self.i18n.backupSize)}</th>
+                            <th>${self.escapeHtml(self.i18n.backupActions)}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `);
+        },
+
+        /**
+         * Restore default workflows from backup
+         */
+        restoreBackup: function(filename, $button) {
+            const self = this;
+
+            if (!confirm(self.i18n.confirmRestoreBackup.replace('%s', filename))) {
+                return;
+            }
+
+            $button.addClass('loading').prop('disabled', true);
+
+            $.ajax({
+                url: self.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'restore_workflow_backup',
+                    nonce: self.nonce,
+                    filename: filename
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.showToast(response.data.message, 'success');
+                        self.loadWorkflows();
+                        self.loadBackups();
+                    } else {
+                        self.showToast(response.data.message || self.i18n.error, 'error');
+                        $button.removeClass('loading').prop('disabled', false);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Restore backup error:', error);
+                    self.showToast(self.i18n.error, 'error');
+                    $button.removeClass('loading').prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Download backup JSON file
+         */
+        downloadBackup: function(filename, $button) {
+            const self = this;
+
+            $button.addClass('loading').prop('disabled', true);
+
+            $.ajax({
+                url: self.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'download_workflow_backup',
+                    nonce: self.nonce,
+                    filename: filename
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.showToast(response.data.message || self.i18n.error, 'error');
+                        return;
+                    }
+
+                    const blob = new Blob([response.data.content], { type: 'application/json;charset=utf-8' });
+                    const url = URL.createObjectURL(blob);
+                    const $link = $('<a>').attr({ href: url, download: response.data.filename }).appendTo('body');
+
+                    $link[0].click();
+                    $link.remove();
+                    URL.revokeObjectURL(url);
+                },
+                error: function(xhr, status, error) {
+                    console.error('Download backup error:', error);
+                    self.showToast(self.i18n.error, 'error');
+                },
+                complete: function() {
+                    $button.removeClass('loading').prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Delete backup file
+         */
+        deleteBackup: function(filename, $button) {
+            const self = this;
+
+            if (!confirm(self.i18n.confirmDeleteBackup.replace('%s', filename))) {
+                return;
+            }
+
+            $button.addClass('loading').prop('disabled', true);
+
+            $.ajax({
+                url: self.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'delete_workflow_backup',
+                    nonce: self.nonce,
+                    filename: filename
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.showToast(response.data.message, 'success');
+                        self.loadBackups();
+                    } else {
+                        self.showToast(response.data.message || self.i18n.error, 'error');
+                        $button.removeClass('loading').prop('disabled', false);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Delete backup error:', error);
+                    self.showToast(self.i18n.error, 'error');
+                    $button.removeClass('loading').prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Upload workflow file for validation and preview (nothing is imported yet)
+         */
+        previewWorkflowUpload: function(file) {
+            const self = this;
+            const $preview = $('#workflow-import-preview');
+            const formData = new FormData();
+
+            self.importFile = file;
+
+            formData.append('action', 'preview_workflow_upload');
+            formData.append('nonce', self.nonce);
+            formData.append('workflow_file', file);
+
+            $preview.html('<p><span class="spinner is-active" style="float: none;"></span> ' +
+                self.escapeHtml(self.i18n.importValidating) + '</p>').show();
+
+            $.ajax({
+                url: self.ajaxUrl,
+                type: 'POST',
+                data: formData,
+                processData: false,
+                contentType: false,
+                success: function(response) {
+                    if (response.success) {
+                        self.renderImportPreview(response.data, $preview);
+                    } else {
+                        self.importFile = null;
+                        $preview.html('<div class="notice notice-error inline"><p>' +
+                            self.escapeHtml(response.data.message || self.i18n.error) + '</p></div>');
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Preview workflow upload error:', error);
+                    self.importFile = null;
+                    $preview.html('<div class="notice notice-error inline"><p>' +
+                        self.escapeHtml(self.i18n.error) + '</p></div>');
+                }
+            });
+        },
+
+        /**
+         * Render import preview (counts and slug conflicts)
+         */
+        renderImportPreview: function(preview, $container) {
+            const self = this;
+            const group = preview.workflow_group;
+            const machine = preview.state_machine;
+            const conflicts = preview.conflicts || {};
+            let conflictsHtml = '';
+
+            if (conflicts.machine) {
+                conflictsHtml += '<li class="import-conflict-error"><span class="dashicons dashicons-dismiss"></span> ' +
+                    self.escapeHtml(self.i18n.importMachineExists.replace('%s', conflicts.machine.name)) + '</li>';
+            }
+
+            if (conflicts.workflow_group) {
+                conflictsHtml += '<li class="import-conflict-info"><span class="dashicons dashicons-info"></span> ' +
+                    self.escapeHtml(self.i18n.importGroupExists.replace('%s', conflicts.workflow_group.name)) + '</li>';
+            } else {
+                conflictsHtml += '<li class="import-conflict-info"><span class="dashicons dashicons-plus-alt2"></span> ' +
+                    self.escapeHtml(self.i18n.importGroupNew) + '</li>';
+            }
+
+            if (!conflicts.machine) {
+                conflictsHtml += '<li class="import-conflict-ok"><span class="dashicons dashicons-yes-alt"></span> ' +
+                    self.escapeHtml(self.i18n.importNoConflicts) + '</li>';
+            }
+
+            const html = `
+                <div class="workflow-card workflow-import-card">
+                    <div class="workflow-card-header">
+                        <span class="workflow-status-badge not-seeded">${self.escapeHtml(preview.filename)}</span>
+                        <h4>${self.escapeHtml(self.i18n.importPreviewTitle)}: ${self.escapeHtml(machine.name)}</h4>
+                        <div class="workflow-slug">${self.escapeHtml(machine.slug)}</div>
+                    </div>
+                    <div class="workflow-card-body">
+                        <p class="description">${self.escapeHtml(machine.description || '')}</p>
+                        <table class="workflow-import-details">
+                            <tr>
+                                <th>${self.escapeHtml(self.i18n.importGroup)}</th>
+                                <td>${self.escapeHtml(group.name)} <code>${self.escapeHtml(group.slug)}</code></td>
+                            </tr>
+                            <tr>
+                                <th>${self.escapeHtml(self.i18n.importEntityType)}</th>
+                                <td><code>${self.escapeHtml(machine.entity_type)}</code></td>
+                            </tr>
+                            <tr>
+                                <th>${self.escapeHtml(self.i18n.states)}</th>
+                                <td>${self.escapeHtml(preview.states.join(', '))}</td>
+                            </tr>
+                        </table>
+                        <div class="workflow-stats">
+                            <div class="workflow-stat">
+                                <span class="stat-label">${self.escapeHtml(self.i18n.states)}</span>
+                                <span class="stat-value">${self.escapeHtml(preview.states_count.toString())}</span>
+                            </div>
+                            <div class="workflow-stat">
+                                <span class="stat-label">${self.escapeHtml(self.i18n.transitions)}</span>
+                                <span class="stat-value">${self.escapeHtml(preview.transitions_count.toString())}</span>
+                            </div>
+                        </div>
+                        <ul class="workflow-import-conflicts">${conflictsHtml}</ul>
+                    </div>
+                    <div class="workflow-card-footer">
+                        <button type="button" class="button button-primary" id="btn-import-workflow"${preview.can_import ? '' : ' disabled'}>
+                            <span class="dashicons dashicons-upload"></span> ${self.escapeHtml(self.i18n.importButton)}
+                        </button>
+                        <button type="button" class="button" id="btn-cancel-import">
+                            ${self.escapeHtml(self.i18n.importCancel)}
+                        </button>
+                    </div>
+                </div>
+            `;
+
+            $container.html(html).show();
+        },
+
+        /**
+         * Import the previewed workflow file
+         */
+        importWorkflowUpload: function($button) {
+            const self = this;
+            const formData = new FormData();
+
+            if (!self.importFile || !confirm(self.i18n.confirmImport)) {
+                return;
+            }
+
+            formData.append('action', 'import_workflow_upload');
+            formData.append('nonce', self.nonce);
+            formData.append('workflow_file', self.importFile);
+
+            $button.addClass('loading').prop('disabled', true);
+
+            $.ajax({
+                url: self.ajaxUrl,
+                type: 'POST',
+                data: formData,
+                processData: false,
+                contentType: false,
+                success: function(response) {
+                    if (response.success) {
+                        self.showToast(self.i18n.importSuccess, 'success');
+                        self.resetImport();
+                        // Reload workflows to update UI
+                        self.loadWorkflows();
+                    } else {
+                        self.showToast(response.data.message || self.i18n.error, 'error');
+                        $button.removeClass('loading').prop('disabled', false);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Import workflow upload error:', error);
+                    self.showToast(self.i18n.error, 'error');
+                    $button.removeClass('loading').prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Clear selected file and preview
+         */
+        resetImport: function() {
+            this.importFile = null;
+            $('#workflow-upload-file').val('');
+            $('#workflow-import-preview').hide().empty();
+        },
+
         /**
          * Show toast notification
          */
@@ -3,7 +3,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Assets/JS
- * @version     1.0.0
+ * @version     1.8.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/assets/js/states.js
@@ -14,9 +14,43 @@
  * Dependencies:
  * - jQuery
  * - DataTables
+ * - WorkflowValidator (workflow-validator.js)
+ * - MetadataEditor (metadata-editor.js)
+ * - TableReorder (table-reorder.js)
+ * - TableBulkActions (table-bulk-actions.js)
+ * - DeleteImpact (delete-impact.js)
+ * - TableTrash (table-trash.js)
  * - wpStateMachineStatesData (localized script)
  *
  * Changelog:
+ * 1.8.0 - 2026-10-19
+ * - Merge into... action: moves the state's entities to another state and optionally copies its transitions (merge_state)
+ *
+ * 1.7.0 - 2026-10-19
+ * - All / Trash views with restore and delete permanently (TableTrash)
+ *
+ * 1.6.0 - 2026-10-19
+ * - Delete shows what depends on the row and offers block/reassign/cascade options (DeleteImpact)
+ *
+ * 1.5.0 - 2026-10-19
+ * - Row checkboxes with bulk delete and color change (TableBulkActions)
+ *
+ * 1.4.0 - 2026-10-19
+ * - Drag-to-reorder rows (TableReorder, reorder_states)
+ *
+ * 1.3.0 - 2026-10-19
+ * - Inline editing of name, type, color and sort order in the states table
+ * - Single-field update_state saves with optimistic display and rollback on errors
+ *
+ * 1.2.0 - 2026-10-19
+ * - Metadata field uses MetadataEditor (JSON highlighting, form mode, schema checks)
+ * - Invalid metadata blocks save with an inline message
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added workflow validation panel (WorkflowValidator)
+ * - Re-validate after filter, save and delete
+ * - Handle machine_id/edit_state deep links from validation fix links
+ *
  * 1.0.0 - 2025-11-08
  * - Initial creation (extracted from states-view.php)
  * - DataTable integration
@@ -44,6 +78,21 @@
          */
         isFiltering: false,
 
+        /**
+         * Metadata editor for #state-metadata
+         */
+        metadataEditor: null,
+
+        /**
+         * Inline-editable columns (DataTable column index => field)
+         */
+        inlineColumns: { 1: 'name', 3: 'type', 4: 'color', 5: 'sort_order' },
+
+        /**
+         * Finish callback of the open inline editor
+         */
+        inlineEdit: null,
+
         /**
          * Localized data from PHP
          */
@@ -53,8 +102,27 @@
          * Initialize admin functionality
          */
         init: function() {
+            const requested = WorkflowValidator.getRequestedFix();
+
+            // Pre-select machine from a validation fix link
+            if (requested.machineId && $('#filter-machine option[value="' + requested.machineId + '"]').length) {
+                $('#filter-machine').val(requested.machineId);
+                this.currentMachineId = requested.machineId;
+            }
+
+            this.metadataEditor = MetadataEditor.create($('#state-metadata'), this.data.metadataEditor);
+
             this.initDataTable();
+            this.initTrash();
+            this.initReorder();
+            this.initBulkActions();
             this.bindEvents();
+            this.validateWorkflow();
+
+            if (requested.editState) {
+                this.editState(requested.editState);
+            }
+            WorkflowValidator.clearRequestedFix();
         },
 
         /**
@@ -78,6 +146,7 @@
                         d.action = 'handle_state_datatable';
                         d.nonce = self.data.nonce;
                         d.machine_id = self.currentMachineId;
+                        d.trash = TableTrash.isTrash('#states-table') ? 1 : 0;
                         d._cache_bust = Date.now(); // Prevent caching issues
                     },
                     error: function(xhr, error, code) {
@@ -115,6 +184,16 @@
                     { data: 'created_at' },
                     { data: 'actions', orderable: false, searchable: false }
                 ],
+                createdRow: function(row, data) {
+                    if (!data.can_edit) {
+                        return;
+                    }
+                    $.each(self.inlineColumns, function(index, field) {
+                        $('td', row).eq(index)
+                            .addClass('sm-inline-editable')
+                            .attr({ 'data-field': field, tabindex: 0, title: self.data.i18n.inlineEdit });
+                    });
+                },
                 order: [[5, 'asc']], // Sort by sort_order
                 pageLength: 25,
                 language: {
@@ -124,6 +203,70 @@
             });
         },
 
+        /**
+         * All / Trash views with restore and delete permanently
+         */
+        initTrash: function() {
+            const self = this;
+
+            TableTrash.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                restoreAction: 'restore_state',
+                purgeAction: 'purge_state',
+                onDone: function() {
+                    self.validateWorkflow();
+                }
+            }, this.data.trash));
+        },
+
+        /**
+         * Drag-to-reorder rows when filtered to one machine
+         */
+        initReorder: function() {
+            const self = this;
+
+            TableReorder.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                action: 'reorder_states',
+                sortColumn: 5,
+                getMachineId: function() {
+                    // No reordering in the Trash view
+                    return TableTrash.isTrash('#states-table') ? 0 : self.currentMachineId;
+                },
+                onSaved: function() {
+                    $('#states-inline-notice').remove();
+                },
+                onError: function(message) {
+                    self.showInlineNotice(message);
+                }
+            }, this.data.reorder));
+        },
+
+        /**
+         * Row selection with bulk delete and color change
+         */
+        initBulkActions: function() {
+            const self = this;
+            const i18n = this.data.bulkActions.i18n;
+
+            TableBulkActions.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                action: 'bulk_states',
+                nameField: 'name',
+                actions: [
+                    { value: 'color', label: i18n.color, $input: $('<input type="color" value="#2271b1">') },
+                    { value: 'delete', label: i18n.delete }
+                ],
+                onDone: function() {
+                    $('#states-inline-notice').remove();
+                    self.validateWorkflow();
+                }
+            }, this.data.bulkActions));
+        },
+
         /**
          * Bind event handlers
          */
@@ -162,6 +305,7 @@
                         clearTimeout(timeoutId);
                         self.isFiltering = false;
                         $('#btn-filter').prop('disabled', false).removeClass('loading');
+                        self.validateWorkflow();
                     }, false); // false = don't reset paging
                 } else {
                     clearTimeout(timeoutId);
@@ -196,6 +340,11 @@
                 }
             });
 
+            // Metadata schema follows the selected machine
+            $('#state-machine-id').on('change', function() {
+                self.loadMetadataSchema($(this).val());
+            });
+
             // Save state
             $('#btn-save-state').on('click', function() {
                 self.saveState();
@@ -206,6 +355,18 @@
                 self.viewState($(this).data('id'));
             });
 
+            // Inline cell editing
+            $('#states-table').on('click', 'td.sm-inline-editable:not(.is-editing)', function() {
+                self.startInlineEdit($(this));
+            });
+
+            $('#states-table').on('keydown', 'td.sm-inline-editable:not(.is-editing)', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.startInlineEdit($(this));
+                }
+            });
+
             // Edit state
             $(document).on('click', '.btn-edit-state', function() {
                 self.editState($(this).data('id'));
@@ -213,7 +374,62 @@
 
             // Delete state
             $(document).on('click', '.btn-delete-state', function() {
-                self.deleteState($(this).data('id'));
+                self.deleteState($(this).data('id'), $(this).data('name'));
+            });
+
+            // Merge state
+            $(document).on('click', '.btn-merge-state', function() {
+                self.openMergeModal($(this).data('id'), $(this).data('name'));
+            });
+
+            $('#btn-merge-state').on('click', function() {
+                self.mergeState();
+            });
+
+            // Validation fix links that can be handled on this page
+            $(document).on('click', '.workflow-validation-fix[data-fix="edit_state"]', function(e) {
+                e.preventDefault();
+                self.editState($(this).data('state-id'));
+            });
+        },
+
+        /**
+         * Re-run workflow validation for the filtered machine
+         */
+        validateWorkflow: function() {
+            WorkflowValidator.validate($('#workflow-validation-panel'), this.currentMachineId, {
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                urls: this.data.urls,
+                i18n: this.data.i18n.validation
+            });
+        },
+
+        /**
+         * Load the machine's metadata schema into the metadata editor
+         * Ignored if the machine selection changed while loading
+         *
+         * @param {number|string} machineId Machine ID
+         */
+        loadMetadataSchema: function(machineId) {
+            const self = this;
+
+            MetadataEditor.loadSchema(this.data, machineId).done(function(schema) {
+                if (String($('#state-machine-id').val() || '') === String(machineId || '')) {
+                    self.metadataEditor.setSchema(schema.state);
+                }
+            });
+        },
+
+        /**
+         * Show the state modal
+         * CodeMirror needs a visible container to measure itself
+         */
+        showModal: function() {
+            const self = this;
+
+            $('#state-modal').fadeIn(function() {
+                self.metadataEditor.refresh();
             });
         },
 
@@ -231,7 +447,9 @@
                 $('#state-machine-id').val(this.currentMachineId);
             }
 
-            $('#state-modal').fadeIn();
+            this.metadataEditor.setValue('');
+            this.loadMetadataSchema($('#state-machine-id').val());
+            this.showModal();
         },
 
         /**
@@ -253,6 +471,11 @@
             const stateId = $('#state-id').val();
             const action = stateId ? 'update_state' : 'create_state';
 
+            // Invalid metadata is reported below the editor
+            if (!self.metadataEditor.isValid()) {
+                return;
+            }
+
             const formData = {
                 action: action,
                 nonce: self.data.nonce,
@@ -263,7 +486,7 @@
                 type: $('#state-type').val(),
                 color: $('#state-color').val(),
                 sort_order: $('#state-sort-order').val(),
-                metadata: $('#state-metadata').val()
+                metadata: self.metadataEditor.getValue()
             };
 
             $.post(self.data.ajaxUrl, formData)
@@ -276,6 +499,7 @@
                                 self.table.ajax.reload(null, false);
                             }
                         }, 250);
+                        self.validateWorkflow();
                     } else {
                         let errorMsg = response.data.message;
                         if (response.data.errors) {
@@ -341,34 +565,295 @@
                     $('#state-type').val(state.type);
                     $('#state-color').val(state.color || '#3498db');
                     $('#state-sort-order').val(state.sort_order);
-                    $('#state-metadata').val(state.metadata || '');
+                    self.metadataEditor.setValue(state.metadata || '');
+                    self.loadMetadataSchema(state.machine_id);
                     $('#modal-title').text(self.data.i18n.editTitle);
-                    $('#state-modal').fadeIn();
+                    self.showModal();
                 }
             });
         },
 
         /**
-         * Delete state
+         * Replace a cell with an input for its field
+         * Enter or leaving the input saves, Escape cancels
+         *
+         * @param {jQuery} $cell Editable table cell
          */
-        deleteState: function(id) {
+        startInlineEdit: function($cell) {
             const self = this;
+            const cell = this.table.cell($cell[0]);
+            const id = this.table.row($cell.closest('tr')).data().id;
+            const field = $cell.data('field');
+            const current = this.inlineValue(field, cell.data());
+            let $input;
+
+            if (this.inlineEdit) {
+                this.inlineEdit(true);
+            }
 
-            if (!confirm(self.data.i18n.confirmDelete)) {
-                return;
+            switch (field) {
+                case 'type':
+                    $input = $('<select>').append($('#state-type option').clone());
+                    break;
+                case 'color':
+                    $input = $('<input type="color">');
+                    break;
+                case 'sort_order':
+                    $input = $('<input type="number" min="0" class="small-text">');
+                    break;
+                default:
+                    $input = $('<input type="text">');
+            }
+
+            $input.addClass('sm-inline-input').val(current);
+            $cell.addClass('is-editing').empty().append($input);
+            $input.trigger('focus');
+
+            const finish = function(save) {
+                if (self.inlineEdit !== finish) {
+                    return;
+                }
+                self.inlineEdit = null;
+                $cell.removeClass('is-editing');
+
+                const value = $input.val();
+                if (!save || String(value) === String(current)) {
+                    cell.data(cell.data()); // Re-render the original value
+                    $cell.trigger('focus');
+                    return;
+                }
+
+                self.saveInlineEdit(cell, id, field, value);
+            };
+            this.inlineEdit = finish;
+
+            $input.on('keydown', function(e) {
+                e.stopPropagation(); // Keep Enter from reopening the cell editor
+
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    finish(true);
+                } else if (e.key === 'Escape') {
+                    finish(false);
+                }
+            });
+
+            // The native color picker can take focus, so color saves on change only
+            if (field === 'color') {
+                $input.on('change', function() {
+                    finish(true);
+                });
+            } else {
+                $input.on('blur', function() {
+                    finish(true);
+                });
             }
+        },
+
+        /**
+         * Save one field through update_state
+         * The cell shows the new value at once and rolls back on errors
+         *
+         * @param {Object} cell DataTables cell API instance
+         * @param {number} id State ID
+         * @param {string} field Field name
+         * @param {string} value New value
+         */
+        saveInlineEdit: function(cell, id, field, value) {
+            const self = this;
+            const previous = cell.data();
+            const $node = $(cell.node());
+            const payload = {
+                action: 'update_state',
+                nonce: self.data.nonce,
+                id: id
+            };
+            payload[field] = value;
+
+            const rollback = function(message) {
+                cell.data(previous);
+                $node.removeClass('is-saving').addClass('sm-inline-failed').attr('title', message);
+                self.showInlineNotice(message);
+                setTimeout(function() {
+                    $node.removeClass('sm-inline-failed').attr('title', self.data.i18n.inlineEdit);
+                }, 4000);
+            };
+
+            cell.data(this.inlineDisplay(field, value));
+            $node.addClass('is-saving');
+
+            $.post(self.data.ajaxUrl, payload)
+                .done(function(response) {
+                    if (!response.success) {
+                        const errors = response.data.errors ? Object.values(response.data.errors) : [];
+                        rollback(errors.length ? errors.join(' ') : response.data.message);
+                        return;
+                    }
+
+                    cell.data(response.data.state[field]);
+                    $node.removeClass('is-saving');
+                    $('#states-inline-notice').remove();
+
+                    if (field === 'type') {
+                        self.validateWorkflow();
+                    }
+                })
+                .fail(function() {
+                    rollback(self.data.i18n.inlineError);
+                });
+        },
+
+        /**
+         * Editable value from a cell's display value
+         *
+         * @param {string} field Field name
+         * @param {*} display Cell data as sent by the DataTable request
+         * @return {string}
+         */
+        inlineValue: function(field, display) {
+            switch (field) {
+                case 'type':
+                    return String(display).toLowerCase();
+                case 'color':
+                    return display && display !== '-' ? display : '#3498db';
+                case 'name':
+                    return $('<div>').html(display).text();
+            }
+            return String(display);
+        },
+
+        /**
+         * Cell display value for an edited value (same format as the DataTable request)
+         *
+         * @param {string} field Field name
+         * @param {string} value Edited value
+         * @return {string}
+         */
+        inlineDisplay: function(field, value) {
+            const escaped = $('<div>').text(value).html();
+
+            if (field === 'type') {
+                return escaped.charAt(0).toUpperCase() + escaped.slice(1);
+            }
+            if (field === 'sort_order') {
+                return parseInt(value, 10) || 0;
+            }
+            return escaped;
+        },
+
+        /**
+         * Show an inline edit error above the table
+         *
+         * @param {string} message Error message
+         */
+        showInlineNotice: function(message) {
+            $('#states-inline-notice').remove();
+
+            $('<div id="states-inline-notice" class="notice notice-error inline"><p></p></div>')
+                .find('p').text(message).end()
+                .insertBefore($('#states-table').closest('.dataTables_wrapper'));
+        },
+
+        /**
+         * Open the merge modal
+         * Targets and counts come from the delete impact report
+         *
+         * @param {number} id State ID
+         * @param {string} name State name
+         */
+        openMergeModal: function(id, name) {
+            const self = this;
+            const i18n = self.data.i18n.merge;
 
             $.post(self.data.ajaxUrl, {
-                action: 'delete_state',
+                action: 'get_state_delete_impact',
                 nonce: self.data.nonce,
                 id: id
-            }, function(response) {
-                if (response.success) {
-                    self.table.ajax.reload();
-                    // Silent success - no alert
-                } else {
+            })
+                .done(function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    const impact = response.data;
+                    if (!impact.targets.length) {
+                        alert(i18n.noTargets);
+                        return;
+                    }
+
+                    const counts = {};
+                    $.each(impact.items, function(index, item) {
+                        counts[item.key] = item.count;
+                    });
+
+                    const $target = $('#merge-state-target').empty();
+                    $.each(impact.targets, function(index, target) {
+                        $('<option>').val(target.id).text(target.name).appendTo($target);
+                    });
+
+                    $('#merge-state-form')[0].reset();
+                    $('#merge-state-id').val(id);
+                    $('#merge-modal-title').text(i18n.title.replace('%s', name));
+                    $('#merge-state-summary').text(
+                        i18n.summary.replace('%1$d', counts.entities || 0).replace('%2$d', counts.transitions || 0)
+                    );
+                    $('#merge-state-modal').fadeIn();
+                })
+                .fail(function() {
+                    alert(i18n.error);
+                });
+        },
+
+        /**
+         * Merge state into the selected target
+         */
+        mergeState: function() {
+            const self = this;
+            const $button = $('#btn-merge-state');
+
+            $button.prop('disabled', true);
+
+            $.post(self.data.ajaxUrl, {
+                action: 'merge_state',
+                nonce: self.data.nonce,
+                id: $('#merge-state-id').val(),
+                target_id: $('#merge-state-target').val(),
+                move_transitions: $('#merge-state-transitions').is(':checked') ? 1 : 0
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        $('#merge-state-modal').fadeOut(200);
+                        self.table.ajax.reload(null, false);
+                        self.validateWorkflow();
+                    }
                     alert(response.data.message);
-                }
+                })
+                .fail(function() {
+                    alert(self.data.i18n.merge.error);
+                })
+                .always(function() {
+                    $button.prop('disabled', false);
+                });
+        },
+
+        /**
+         * Delete state after showing what depends on it (DeleteImpact)
+         */
+        deleteState: function(id, name) {
+            const self = this;
+
+            DeleteImpact.open($.extend({
+                ajaxUrl: self.data.ajaxUrl,
+                nonce: self.data.nonce,
+                impactAction: 'get_state_delete_impact',
+                deleteAction: 'delete_state',
+                id: id,
+                name: name
+            }, self.data.deleteImpact)).done(function() {
+                self.table.ajax.reload();
+                self.validateWorkflow();
+                // Silent success - no alert
             });
         }
     };
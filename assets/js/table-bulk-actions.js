@@ -0,0 +1,373 @@
+/**
+ * Table Bulk Actions JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/table-bulk-actions.js
+ *
+ * Description: Checkbox selection and bulk actions for the admin DataTables
+ *              (machines, states, transitions, workflow groups).
+ *              A checkbox is added to the first cell of every row and a
+ *              select-all box to the first header cell, so the column
+ *              layout (and the server-side order mapping) stays the same.
+ *              Selection covers the current page and is cleared on every
+ *              draw. Apply confirms with the names of the selected rows,
+ *              sends the IDs in one request and lists rows that failed.
+ *
+ * Usage:
+ * ```js
+ * TableBulkActions.attach(this.table, $.extend({
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     action: 'bulk_states',
+ *     nameField: 'name',
+ *     actions: [
+ *         { value: 'delete', label: data.bulkActions.i18n.delete },
+ *         { value: 'color', label: data.bulkActions.i18n.color, $input: $('<input type="color">') }
+ *     ],
+ *     onDone: function(result) { self.validateWorkflow(); }
+ * }, data.bulkActions));
+ * ```
+ *
+ * Response Structure (bulk_* AJAX handlers):
+ * ```json
+ * {
+ *     "message": "2 state(s) updated",
+ *     "succeeded": [12, 14],
+ *     "failed": [{"id": 15, "name": "Draft", "message": "..."}]
+ * }
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ * - DataTables
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+(function($) {
+    'use strict';
+
+    const TableBulkActions = {
+        /**
+         * Enable row selection and the bulk actions toolbar on a DataTable
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} config {ajaxUrl, nonce, action, nameField, actions, onDone, enabled, i18n}
+         * @return {void}
+         */
+        attach: function(table, config) {
+            const self = this;
+
+            if (!config.enabled || !config.actions || !config.actions.length) {
+                return;
+            }
+
+            const $table = $(table.table().node());
+            const $wrapper = $table.closest('.dataTables_wrapper');
+            const ui = this.buildToolbar(config);
+
+            ui.$toolbar.insertBefore($wrapper);
+            ui.$result.insertBefore($wrapper);
+
+            // Select-all box; clicks must not reach the header sort handler
+            ui.$selectAll = $('<input type="checkbox" class="sm-bulk-select-all">')
+                .attr('title', config.i18n.selectAll)
+                .on('click', function(e) {
+                    e.stopPropagation();
+                })
+                .on('change', function() {
+                    $table.find('tbody .sm-bulk-select').prop('checked', this.checked);
+                    self.updateCount(table, ui, config);
+                });
+
+            $table.find('thead th').first().prepend(ui.$selectAll);
+            $table.addClass('has-bulk-actions');
+
+            $table.on('change', 'tbody .sm-bulk-select', function() {
+                self.updateCount(table, ui, config);
+            });
+
+            $table.on('click', 'tbody .sm-bulk-select', function(e) {
+                e.stopPropagation();
+            });
+
+            ui.$action.on('change', function() {
+                self.showValueInput(ui, config);
+            });
+
+            ui.$apply.on('click', function() {
+                self.apply(table, ui, config);
+            });
+
+            // Rows are re-rendered on every server-side draw
+            table.on('draw', function() {
+                $table.find('tbody tr').each(function() {
+                    const row = table.row(this).data();
+
+                    if (!row) {
+                        return;
+                    }
+
+                    $(this).children('td').first().prepend(
+                        $('<input type="checkbox" class="sm-bulk-select">')
+                            .val(row.id)
+                            .attr('title', config.i18n.selectRow)
+                    );
+                });
+
+                ui.$selectAll.prop('checked', false);
+                self.updateCount(table, ui, config);
+            });
+        },
+
+        /**
+         * Build the toolbar and result notice
+         *
+         * @param {Object} config Attach config
+         * @return {Object} jQuery elements
+         */
+        buildToolbar: function(config) {
+            const $toolbar = $('<div class="sm-bulk-actions">');
+            const $action = $('<select class="sm-bulk-action">')
+                .append($('<option value="">').text(config.i18n.bulkActions));
+            const $values = $('<span class="sm-bulk-values">');
+
+            config.actions.forEach(function(item) {
+                $action.append($('<option>').val(item.value).text(item.label));
+
+                if (item.$input) {
+                    item.$input
+                        .addClass('sm-bulk-value')
+                        .attr('data-action', item.value)
+                        .hide()
+                        .appendTo($values);
+                }
+            });
+
+            const $apply = $('<button type="button" class="button sm-bulk-apply">')
+                .text(config.i18n.apply)
+                .prop('disabled', true);
+            const $count = $('<span class="sm-bulk-count">');
+
+            $toolbar.append($action, $values, $apply, $count);
+
+            return {
+                $toolbar: $toolbar,
+                $action: $action,
+                $values: $values,
+                $apply: $apply,
+                $count: $count,
+                $result: $('<div class="sm-bulk-result notice inline">').hide()
+            };
+        },
+
+        /**
+         * Show the value input belonging to the chosen action
+         *
+         * @param {Object} ui Toolbar elements
+         * @param {Object} config Attach config
+         * @return {void}
+         */
+        showValueInput: function(ui, config) {
+            const item = this.getAction(config, ui.$action.val());
+
+            ui.$values.children().hide();
+
+            if (item && item.$input) {
+                item.$input.show();
+            }
+        },
+
+        /**
+         * Refresh the selected count and the Apply button
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} ui Toolbar elements
+         * @param {Object} config Attach config
+         * @return {void}
+         */
+        updateCount: function(table, ui, config) {
+            const $boxes = $(table.table().node()).find('tbody .sm-bulk-select');
+            const count = $boxes.filter(':checked').length;
+
+            ui.$count.text(count ? config.i18n.selected.replace('%d', count) : '');
+            ui.$apply.prop('disabled', count === 0);
+            ui.$selectAll.prop('checked', count > 0 && count === $boxes.length);
+        },
+
+        /**
+         * Get the selected rows of the current page
+         *
+         * @param {Object} table DataTables API instance
+         * @return {Array} Row data objects
+         */
+        getSelectedRows: function(table) {
+            return $(table.table().node()).find('tbody .sm-bulk-select:checked').map(function() {
+                return table.row($(this).closest('tr')).data();
+            }).get();
+        },
+
+        /**
+         * Confirm, send the bulk request and report the result
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} ui Toolbar elements
+         * @param {Object} config Attach config
+         * @return {void}
+         */
+        apply: function(table, ui, config) {
+            const self = this;
+            const item = this.getAction(config, ui.$action.val());
+            const rows = this.getSelectedRows(table);
+
+            if (!item) {
+                alert(config.i18n.noAction);
+                return;
+            }
+
+            if (!rows.length) {
+                alert(config.i18n.noSelection);
+                return;
+            }
+
+            const value = item.$input ? item.$input.val() : '';
+            if (item.$input && !value) {
+                alert(config.i18n.noValue);
+                return;
+            }
+
+            if (!confirm(this.getSummary(rows, item, config))) {
+                return;
+            }
+
+            ui.$apply.prop('disabled', true).text(config.i18n.working);
+            ui.$result.hide();
+
+            $.post(config.ajaxUrl, {
+                action: config.action,
+                nonce: config.nonce,
+                bulk_action: item.value,
+                value: value,
+                ids: rows.map(function(row) {
+                    return row.id;
+                })
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        self.showResult(ui, response.data, config);
+                        if (config.onDone) {
+                            config.onDone(response.data);
+                        }
+                    } else {
+                        self.showResult(ui, { message: response.data.message, failed: [] }, config, true);
+                    }
+                })
+                .fail(function() {
+                    self.showResult(ui, { message: config.i18n.error, failed: [] }, config, true);
+                })
+                .always(function() {
+                    ui.$apply.text(config.i18n.apply);
+                    table.ajax.reload(null, false);
+                });
+        },
+
+        /**
+         * Confirmation text: action, value and the affected row names
+         *
+         * @param {Array} rows Selected row data
+         * @param {Object} item Chosen action
+         * @param {Object} config Attach config
+         * @return {string}
+         */
+        getSummary: function(rows, item, config) {
+            const limit = 10;
+            const lines = [
+                config.i18n.confirm.replace('%1$s', item.label).replace('%2$d', rows.length),
+                ''
+            ];
+
+            rows.slice(0, limit).forEach(function(row) {
+                lines.push('- ' + this.plainText(row[config.nameField]) + ' (#' + row.id + ')');
+            }, this);
+
+            if (rows.length > limit) {
+                lines.push(config.i18n.confirmMore.replace('%d', rows.length - limit));
+            }
+
+            if (item.$input) {
+                const text = item.$input.is('select') ? item.$input.find('option:selected').text() : item.$input.val();
+                lines.push('', config.i18n.confirmValue.replace('%s', $.trim(text)));
+            }
+
+            if (item.value === 'delete') {
+                lines.push('', config.i18n.confirmDelete);
+            }
+
+            return lines.join('\n');
+        },
+
+        /**
+         * Show the outcome above the table, listing failed rows
+         *
+         * @param {Object} ui Toolbar elements
+         * @param {Object} result {message, failed}
+         * @param {Object} config Attach config
+         * @param {boolean} isError Request failed as a whole
+         * @return {void}
+         */
+        showResult: function(ui, result, config, isError) {
+            const failed = result.failed || [];
+            const $result = ui.$result.empty()
+                .removeClass('notice-success notice-warning notice-error')
+                .addClass(isError ? 'notice-error' : (failed.length ? 'notice-warning' : 'notice-success'));
+
+            $result.append($('<p>').text(result.message));
+
+            if (failed.length) {
+                const $list = $('<ul class="sm-bulk-failures">');
+
+                failed.forEach(function(row) {
+                    $list.append($('<li>').text(row.name + ' (#' + row.id + '): ' + row.message));
+                });
+
+                $result.append($('<p>').text(config.i18n.failed.replace('%d', failed.length)), $list);
+            }
+
+            $result.show();
+        },
+
+        /**
+         * Find an action definition by value
+         *
+         * @param {Object} config Attach config
+         * @param {string} value Action value
+         * @return {Object|null}
+         */
+        getAction: function(config, value) {
+            return config.actions.filter(function(item) {
+                return item.value === value;
+            })[0] || null;
+        },
+
+        /**
+         * Text of an HTML-escaped cell value (row data is escaped server-side)
+         * Parsed with DOMParser so markup is never executed
+         *
+         * @param {string} html Cell value
+         * @return {string}
+         */
+        plainText: function(html) {
+            const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+            return doc.body.textContent;
+        }
+    };
+
+    window.TableBulkActions = TableBulkActions;
+
+})(jQuery);
@@ -0,0 +1,177 @@
+/**
+ * Table Reorder JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/table-reorder.js
+ *
+ * Description: Drag-to-reorder for the states and transitions DataTables.
+ *              Rows get a drag handle while the table shows a single
+ *              machine ordered by sort_order (ascending, no search), so
+ *              the visible order is the real order. A drop sends the row
+ *              IDs in one request (reorder_states / reorder_transitions);
+ *              the server renumbers the machine and the table reloads.
+ *
+ * Usage:
+ * ```js
+ * TableReorder.attach(this.table, $.extend({
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     action: 'reorder_states',
+ *     sortColumn: 5,
+ *     getMachineId: function() { return self.currentMachineId; },
+ *     onError: function(message) { alert(message); }
+ * }, data.reorder));
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ * - jQuery UI Sortable
+ * - DataTables
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+(function($) {
+    'use strict';
+
+    const TableReorder = {
+        /**
+         * Enable drag-to-reorder on a DataTable
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} config {ajaxUrl, nonce, action, sortColumn, getMachineId, onSaved, onError, enabled, i18n}
+         * @return {void}
+         */
+        attach: function(table, config) {
+            const self = this;
+
+            if (!config.enabled) {
+                return;
+            }
+
+            const $table = $(table.table().node());
+            const $hint = $('<p class="description sm-reorder-hint">')
+                .insertAfter($table.closest('.dataTables_wrapper'));
+
+            table.on('draw', function() {
+                self.toggle(table, config, $hint);
+            });
+        },
+
+        /**
+         * Turn dragging on or off after each draw
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} config Attach config
+         * @param {jQuery} $hint Hint below the table
+         * @return {void}
+         */
+        toggle: function(table, config, $hint) {
+            const self = this;
+            const $table = $(table.table().node());
+            const $tbody = $table.children('tbody');
+            const order = table.order();
+            const machineId = config.getMachineId();
+            const enabled = Boolean(machineId) &&
+                !table.search() &&
+                order.length > 0 &&
+                order[0][0] === config.sortColumn &&
+                order[0][1] === 'asc' &&
+                table.rows().count() > 1;
+
+            $table.toggleClass('is-reorderable', enabled);
+
+            if (!enabled) {
+                if ($tbody.sortable('instance')) {
+                    $tbody.sortable('disable');
+                }
+                $hint.text(machineId ? config.i18n.sortHint : config.i18n.filterHint);
+                return;
+            }
+
+            // Rows are re-rendered on every server-side draw
+            $tbody.children('tr').each(function() {
+                $(this).children('td').first().prepend(
+                    $('<span class="sm-drag-handle dashicons dashicons-menu">').attr('title', config.i18n.handle)
+                );
+            });
+
+            if (!$tbody.sortable('instance')) {
+                $tbody.sortable({
+                    handle: '.sm-drag-handle',
+                    axis: 'y',
+                    cursor: 'move',
+                    placeholder: 'sm-reorder-placeholder',
+                    forcePlaceholderSize: true,
+                    helper: function(e, $row) {
+                        // Keep cell widths while the row is detached
+                        const $helper = $row.clone();
+                        $helper.children().each(function(index) {
+                            $(this).width($row.children().eq(index).width());
+                        });
+                        return $helper;
+                    },
+                    update: function() {
+                        self.save(table, config);
+                    }
+                });
+            }
+
+            $tbody.sortable('enable');
+            $hint.text(config.i18n.dragHint);
+        },
+
+        /**
+         * Send the new row order, then reload the table
+         * The reload also restores the old order if saving failed
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} config Attach config
+         * @return {void}
+         */
+        save: function(table, config) {
+            const $table = $(table.table().node());
+            const $tbody = $table.children('tbody');
+            const ids = $tbody.children('tr').map(function() {
+                return table.row(this).data().id;
+            }).get();
+
+            $tbody.sortable('disable');
+            $table.addClass('is-saving');
+
+            $.post(config.ajaxUrl, {
+                action: config.action,
+                nonce: config.nonce,
+                machine_id: config.getMachineId(),
+                ids: ids
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        if (config.onSaved) {
+                            config.onSaved(response.data.sort_order);
+                        }
+                    } else if (config.onError) {
+                        config.onError(response.data.message);
+                    }
+                })
+                .fail(function() {
+                    if (config.onError) {
+                        config.onError(config.i18n.error);
+                    }
+                })
+                .always(function() {
+                    $table.removeClass('is-saving');
+                    table.ajax.reload(null, false);
+                });
+        }
+    };
+
+    window.TableReorder = TableReorder;
+
+})(jQuery);
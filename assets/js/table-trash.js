@@ -0,0 +1,204 @@
+/**
+ * Table Trash JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/table-trash.js
+ *
+ * Description: "All | Trash (n)" views for the admin DataTables (machines,
+ *              states, transitions, workflow groups). Deleted rows are moved
+ *              to the trash by the delete handlers; the Trash view lists
+ *              them with restore and delete permanently buttons. The page
+ *              script sends the current view with its DataTable request
+ *              and the handler returns trashCount for the link. Bulk
+ *              actions and drag-to-reorder are hidden in the Trash view.
+ *
+ * Usage:
+ * ```js
+ * // DataTable ajax.data
+ * d.trash = TableTrash.isTrash('#states-table') ? 1 : 0;
+ *
+ * // After the DataTable is created (before TableBulkActions.attach)
+ * TableTrash.attach(this.table, $.extend({
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     restoreAction: 'restore_state',
+ *     purgeAction: 'purge_state',
+ *     onDone: function() { self.validateWorkflow(); }
+ * }, data.trash));
+ * ```
+ *
+ * Row Buttons (rendered by the controllers for trashed rows):
+ * - .btn-restore-row[data-id]
+ * - .btn-purge-row[data-id][data-name]
+ *
+ * Dependencies:
+ * - jQuery
+ * - DataTables
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+(function($) {
+    'use strict';
+
+    const TableTrash = {
+        /**
+         * Whether a table shows the Trash view
+         * Safe to call from ajax.data before attach() runs
+         *
+         * @param {string|Element} table Table selector or node
+         * @return {boolean}
+         */
+        isTrash: function(table) {
+            return $(table).data('smTrashView') === true;
+        },
+
+        /**
+         * Add the All / Trash views and the restore and purge buttons to a DataTable
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} config {ajaxUrl, nonce, restoreAction, purgeAction, onDone, i18n}
+         * @return {void}
+         */
+        attach: function(table, config) {
+            const self = this;
+            const $table = $(table.table().node());
+            const $wrapper = $table.closest('.dataTables_wrapper');
+            const ui = this.buildViews(config);
+
+            ui.$views.insertBefore($wrapper);
+            ui.$notice.insertBefore($wrapper);
+
+            ui.$views.on('click', 'a', function(e) {
+                e.preventDefault();
+                self.switchView(table, ui, $(this).data('view') === 'trash');
+            });
+
+            // trashCount comes with every DataTable response
+            table.on('xhr', function(e, settings, json) {
+                if (json && typeof json.trashCount !== 'undefined') {
+                    ui.$count.text('(' + json.trashCount + ')');
+                }
+            });
+
+            $table.on('click', '.btn-restore-row', function() {
+                self.request(table, ui, config, config.restoreAction, $(this).data('id'));
+            });
+
+            $table.on('click', '.btn-purge-row', function() {
+                const name = $(this).data('name') || '#' + $(this).data('id');
+
+                if (confirm(config.i18n.confirmPurge.replace('%s', name))) {
+                    self.request(table, ui, config, config.purgeAction, $(this).data('id'));
+                }
+            });
+        },
+
+        /**
+         * Build the view links and the result notice
+         *
+         * @param {Object} config Attach config
+         * @return {Object} jQuery handles
+         */
+        buildViews: function(config) {
+            const $count = $('<span class="count">').text('(0)');
+
+            const $views = $('<ul class="subsubsub sm-trash-views">')
+                .append(
+                    $('<li>').append(
+                        $('<a href="#" class="current" data-view="all">').text(config.i18n.all),
+                        ' | '
+                    ),
+                    $('<li>').append(
+                        $('<a href="#" data-view="trash">').text(config.i18n.trash + ' ').append($count)
+                    )
+                );
+
+            return {
+                $views: $views,
+                $count: $count,
+                $notice: $('<div class="sm-trash-notice notice inline">').hide()
+            };
+        },
+
+        /**
+         * Switch between the All and Trash views and reload from the first page
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} ui jQuery handles
+         * @param {boolean} trash Show the Trash view
+         * @return {void}
+         */
+        switchView: function(table, ui, trash) {
+            const $table = $(table.table().node());
+
+            $table.data('smTrashView', trash);
+            $table.closest('.dataTables_wrapper').parent().toggleClass('sm-is-trash-view', trash);
+
+            ui.$views.find('a').removeClass('current')
+                .filter('[data-view="' + (trash ? 'trash' : 'all') + '"]').addClass('current');
+            ui.$notice.hide();
+
+            table.ajax.reload();
+        },
+
+        /**
+         * Restore or permanently delete one trashed row
+         *
+         * @param {Object} table DataTables API instance
+         * @param {Object} ui jQuery handles
+         * @param {Object} config Attach config
+         * @param {string} action AJAX action
+         * @param {number} id Row ID
+         * @return {void}
+         */
+        request: function(table, ui, config, action, id) {
+            $.post(config.ajaxUrl, {
+                action: action,
+                nonce: config.nonce,
+                id: id
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        TableTrash.showNotice(ui, 'success', response.data.message);
+                        table.ajax.reload(null, false);
+
+                        if (typeof config.onDone === 'function') {
+                            config.onDone(action, response.data);
+                        }
+                    } else {
+                        TableTrash.showNotice(ui, 'error', response.data.message);
+                    }
+                })
+                .fail(function() {
+                    TableTrash.showNotice(ui, 'error', config.i18n.error);
+                });
+        },
+
+        /**
+         * Show the result of the last restore or purge
+         *
+         * @param {Object} ui jQuery handles
+         * @param {string} type success or error
+         * @param {string} message Message text
+         * @return {void}
+         */
+        showNotice: function(ui, type, message) {
+            ui.$notice
+                .removeClass('notice-success notice-error')
+                .addClass('notice-' + type)
+                .empty()
+                .append($('<p>').text(message))
+                .show();
+        }
+    };
+
+    window.TableTrash = TableTrash;
+
+})(jQuery);
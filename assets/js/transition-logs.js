@@ -2,13 +2,14 @@
  * Transition Logs Admin JavaScript
  *
  * @package     WP_State_Machine
- * @version     1.0.0
+ * @version     1.4.0
  * @author      arisciwek
  *
  * Path: /assets/js/transition-logs.js
  *
  * Description: JavaScript for transition logs admin interface.
- *              Handles DataTable, filtering, and CSV export.
+ *              Handles DataTable, filtering, CSV export and
+ *              the per-entity timeline.
  *              Separated from view file for clean architecture.
  *
  * Dependencies:
@@ -16,6 +17,18 @@
  * - DataTables
  *
  * Changelog:
+ * 1.4.0 - 2026-10-19
+ * - Timeline and log table flag actions that failed after a transition
+ *
+ * 1.3.0 - 2026-10-19
+ * - Timeline shows system-triggered entries (timeouts) as System instead of the user
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added user, entity type, entity ID, from/to state and comment filters (getFilters), also sent to CSV export
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added entity timeline (entity type + ID or click an entity cell)
+ *
  * 1.0.0 - 2025-11-07 (TODO-6104)
  * - Initial creation
  * - Extracted from inline script
@@ -31,13 +44,16 @@
     $(document).ready(function() {
         const LogsAdmin = {
             nonce: wpStateMachineLogsData.nonce,
+            i18n: wpStateMachineLogsData.i18n,
             logsTable: null,
+            timelineRequest: null,
 
             /**
              * Initialize the logs admin interface
              */
             init: function() {
                 this.loadPlugins();
+                this.loadUsers();
                 this.initDataTable();
                 this.bindEvents();
             },
@@ -61,10 +77,7 @@
                         data: function(d) {
                             d.action = 'sm_logs_datatable';
                             d.nonce = self.nonce;
-                            d.plugin_slug = $('#filter-plugin').val();
-                            d.machine_id = $('#filter-machine').val();
-                            d.date_from = $('#filter-date-from').val();
-                            d.date_to = $('#filter-date-to').val();
+                            $.extend(d, self.getFilters());
                         },
                         error: function(xhr, error, thrown) {
                             console.error('DataTable error:', error, thrown);
@@ -96,10 +109,13 @@
                         {
                             data: 'entity_type',
                             render: function(data, type, row) {
-                                return '<div class="sm-entity-info">' +
+                                return '<a href="#" class="sm-entity-info sm-entity-link"' +
+                                       ' data-entity-type="' + self.escapeHtml(data) + '"' +
+                                       ' data-entity-id="' + parseInt(row.entity_id, 10) + '"' +
+                                       ' title="' + self.escapeHtml(self.i18n.viewTimeline) + '">' +
                                        '<span class="sm-entity-type">' + self.escapeHtml(data) + '</span>' +
                                        '<span class="sm-entity-id">#' + row.entity_id + '</span>' +
-                                       '</div>';
+                                       '</a>';
                             }
                         },
                         {
@@ -137,9 +153,20 @@
                         },
                         {
                             data: 'comment',
-                            render: function(data) {
-                                if (!data) return '-';
-                                return '<div class="sm-comment" title="' + self.escapeHtml(data) + '">' + self.escapeHtml(data) + '</div>';
+                            render: function(data, type, row) {
+                                const failed = (row.metadata && Array.isArray(row.metadata.effects) ? row.metadata.effects : [])
+                                    .filter(function(effect) {
+                                        return effect && !effect.success;
+                                    });
+                                // Actions that failed after the transition are flagged next to the comment
+                                const warning = failed.length
+                                    ? '<span class="sm-effects-failed dashicons dashicons-warning" title="' +
+                                        self.escapeHtml(self.i18n.effectsFailed.replace('%d', failed.length) + ' ' + failed.map(function(effect) {
+                                            return (effect.name || effect.type) + ': ' + effect.message;
+                                        }).join('; ')) + '"></span>'
+                                    : '';
+                                if (!data) return warning || '-';
+                                return warning + '<div class="sm-comment" title="' + self.escapeHtml(data) + '">' + self.escapeHtml(data) + '</div>';
                             }
                         }
                     ],
@@ -185,6 +212,81 @@
                 });
             },
 
+            /**
+             * Load users who made transitions for dropdown
+             */
+            loadUsers: function() {
+                const self = this;
+
+                $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: {
+                        action: 'sm_logs_get_users',
+                        nonce: self.nonce,
+                        plugin_slug: $('#filter-plugin').val()
+                    },
+                    success: function(response) {
+                        if (response.success && response.data) {
+                            const $select = $('#filter-user');
+                            const selected = $select.val();
+                            $select.find('option:not(:first)').remove();
+
+                            response.data.forEach(function(user) {
+                                $select.append(
+                                    $('<option>').val(user.id).text(user.display_name)
+                                );
+                            });
+
+                            // Keep selection if the user is still in the list
+                            $select.val($select.find('option[value="' + selected + '"]').length ? selected : '');
+                        }
+                    },
+                    error: function(xhr, status, error) {
+                        console.error('Failed to load users:', error);
+                    }
+                });
+            },
+
+            /**
+             * Current filter values, sent to sm_logs_datatable and sm_logs_export
+             * @return {Object} Filters
+             */
+            getFilters: function() {
+                return {
+                    plugin_slug: $('#filter-plugin').val(),
+                    machine_id: $('#filter-machine').val(),
+                    date_from: $('#filter-date-from').val(),
+                    date_to: $('#filter-date-to').val(),
+                    user_id: $('#filter-user').val(),
+                    entity_type: $('#filter-entity-type').val().trim(),
+                    entity_id: $('#filter-entity-id').val(),
+                    from_state_id: $('#filter-from-state').val(),
+                    to_state_id: $('#filter-to-state').val(),
+                    comment: $('#filter-comment').val().trim()
+                };
+            },
+
+            /**
+             * Limit from/to state dropdowns to the selected machine
+             */
+            filterStateOptions: function() {
+                const machineId = $('#filter-machine').val();
+
+                $('.sm-state-filter').each(function() {
+                    const $select = $(this);
+
+                    $select.find('optgroup').each(function() {
+                        const visible = !machineId || String($(this).data('machine-id')) === machineId;
+                        $(this).toggle(visible).prop('disabled', !visible);
+                    });
+
+                    if ($select.find('option:selected').parent().is(':disabled')) {
+                        $select.val('');
+                    }
+                });
+            },
+
             /**
              * Bind event handlers
              */
@@ -203,17 +305,63 @@
                     $('#filter-machine').val('');
                     $('#filter-date-from').val('');
                     $('#filter-date-to').val('');
+                    $('#filter-user').val('');
+                    $('#filter-entity-type').val('');
+                    $('#filter-entity-id').val('');
+                    $('#filter-from-state').val('');
+                    $('#filter-to-state').val('');
+                    $('#filter-comment').val('');
+                    self.filterStateOptions();
+                    self.loadUsers();
                     self.logsTable.ajax.reload();
                     self.updateFilterStatus();
                 });
 
+                // Users and states depend on plugin/machine
+                $('#filter-plugin').on('change', function() {
+                    self.loadUsers();
+                });
+
+                $('#filter-machine').on('change', function() {
+                    self.filterStateOptions();
+                });
+
                 // Export CSV
                 $('#btn-export-csv').on('click', function() {
                     self.exportCSV();
                 });
 
-                // Enter key on date fields
-                $('#filter-date-from, #filter-date-to').on('keypress', function(e) {
+                // Entity timeline
+                $('#btn-view-timeline').on('click', function() {
+                    self.loadTimeline($('#timeline-entity-type').val().trim(), $('#timeline-entity-id').val());
+                });
+
+                $('#timeline-entity-type, #timeline-entity-id').on('keypress', function(e) {
+                    if (e.which === 13) {
+                        $('#btn-view-timeline').click();
+                    }
+                });
+
+                $('#logs-table').on('click', '.sm-entity-link', function(e) {
+                    e.preventDefault();
+                    const entityType = $(this).data('entity-type');
+                    const entityId = $(this).data('entity-id');
+
+                    $('#timeline-entity-type').val(entityType);
+                    $('#timeline-entity-id').val(entityId);
+                    self.loadTimeline(entityType, entityId);
+
+                    $('html, body').animate({
+                        scrollTop: $('#entity-timeline-container').offset().top - 40
+                    }, 200);
+                });
+
+                $('#btn-close-timeline').on('click', function() {
+                    self.closeTimeline();
+                });
+
+                // Enter key on date and text fields
+                $('#filter-date-from, #filter-date-to, #filter-entity-type, #filter-entity-id, #filter-comment').on('keypress', function(e) {
                     if (e.which === 13) {
                         $('#btn-apply-filters').click();
                     }
@@ -224,32 +372,192 @@
              * Export logs to CSV
              */
             exportCSV: function() {
-                const params = new URLSearchParams({
+                const params = new URLSearchParams($.extend({
                     action: 'sm_logs_export',
-                    nonce: this.nonce,
-                    plugin_slug: $('#filter-plugin').val(),
-                    machine_id: $('#filter-machine').val(),
-                    date_from: $('#filter-date-from').val(),
-                    date_to: $('#filter-date-to').val()
-                });
+                    nonce: this.nonce
+                }, this.getFilters()));
 
                 window.location.href = ajaxurl + '?' + params.toString();
             },
 
+            /**
+             * Load timeline for one entity
+             * @param {string} entityType Entity type
+             * @param {number|string} entityId Entity ID
+             */
+            loadTimeline: function(entityType, entityId) {
+                const self = this;
+                const $timeline = $('#entity-timeline');
+
+                entityId = parseInt(entityId, 10);
+
+                if (!entityType || !entityId) {
+                    alert(self.i18n.timelineRequired);
+                    return;
+                }
+
+                if (self.timelineRequest) {
+                    self.timelineRequest.abort();
+                }
+
+                $timeline.html('<p><span class="spinner is-active" style="float: none;"></span> ' +
+                    self.escapeHtml(self.i18n.timelineLoading) + '</p>').show();
+                $('#btn-close-timeline').show();
+
+                self.timelineRequest = $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: {
+                        action: 'sm_logs_entity_timeline',
+                        nonce: self.nonce,
+                        plugin_slug: $('#filter-plugin').val(),
+                        entity_type: entityType,
+                        entity_id: entityId
+                    },
+                    success: function(response) {
+                        if (response.success) {
+                            self.renderTimeline(response.data);
+                        } else {
+                            $timeline.html('<div class="notice notice-error inline"><p>' +
+                                self.escapeHtml(response.data.message) + '</p></div>');
+                        }
+                    },
+                    error: function(xhr, status, error) {
+                        if (status === 'abort') {
+                            return;
+                        }
+                        console.error('Failed to load timeline:', error);
+                        $timeline.html('<div class="notice notice-error inline"><p>' +
+                            self.escapeHtml(self.i18n.loadError) + '</p></div>');
+                    },
+                    complete: function() {
+                        self.timelineRequest = null;
+                    }
+                });
+            },
+
+            /**
+             * Render vertical timeline, newest first
+             * @param {Object} data Response data {entity_type, entity_id, timeline}
+             */
+            renderTimeline: function(data) {
+                const self = this;
+                const title = self.i18n.timelineTitle
+                    .replace('%1$s', data.entity_type)
+                    .replace('%2$d', data.entity_id);
+
+                let html = '<h3 class="sm-timeline-title">' + self.escapeHtml(title) + '</h3>';
+
+                if (!data.timeline.length) {
+                    $('#entity-timeline').html(html + '<p class="description">' +
+                        self.escapeHtml(self.i18n.timelineEmpty) + '</p>');
+                    return;
+                }
+
+                // Machine name is only worth showing when the entity has more than one
+                const machines = {};
+                data.timeline.forEach(function(log) {
+                    machines[log.machine_id] = true;
+                });
+                const showMachine = Object.keys(machines).length > 1;
+
+                html += '<ol class="sm-timeline">';
+
+                data.timeline.forEach(function(log) {
+                    const color = log.to_state_color || '#2271b1';
+                    const fromBadge = log.from_state_name
+                        ? '<span class="sm-state-badge" style="background: ' + self.escapeHtml(log.from_state_color || '#999') + ';">' + self.escapeHtml(log.from_state_name) + '</span>'
+                        : '<span class="sm-state-badge" style="background: #999;">' + self.escapeHtml(self.i18n.timelineInitial) + '</span>';
+                    const duration = log.is_current
+                        ? self.i18n.timelineSince.replace('%s', log.duration_human)
+                        : self.i18n.timelineDuration.replace('%s', log.duration_human);
+                    // System-triggered entries (e.g. timeouts) run as a user but are not done by them
+                    const author = log.is_system
+                        ? '<span class="sm-timeline-system"><span class="dashicons dashicons-clock"></span>' +
+                            self.escapeHtml(self.i18n.timelineSystem) +
+                            (self.i18n.timelineTriggers[log.trigger] ? ' &middot; ' + self.escapeHtml(self.i18n.timelineTriggers[log.trigger]) : '') +
+                          '</span>'
+                        : self.escapeHtml(self.i18n.timelineBy.replace('%s', log.user_name || self.i18n.timelineUnknownUser));
+
+                    html += '<li class="sm-timeline-item' + (log.is_current ? ' is-current' : '') + (log.is_system ? ' is-system' : '') + '">' +
+                        '<span class="sm-timeline-marker" style="border-color: ' + self.escapeHtml(color) + ';' +
+                            (log.is_current ? ' background: ' + self.escapeHtml(color) + ';' : '') + '"></span>' +
+                        '<div class="sm-timeline-content">' +
+                            '<div class="sm-timeline-states">' +
+                                fromBadge + ' <span class="sm-timeline-arrow">→</span> ' +
+                                '<span class="sm-state-badge" style="background: ' + self.escapeHtml(color) + ';">' + self.escapeHtml(log.to_state_name) + '</span>' +
+                                (log.is_current ? ' <span class="sm-timeline-current">' + self.escapeHtml(self.i18n.timelineCurrent) + '</span>' : '') +
+                            '</div>' +
+                            '<div class="sm-timeline-meta">' +
+                                self.escapeHtml(new Date(log.created_at).toLocaleString()) + ' &middot; ' +
+                                author + ' &middot; ' +
+                                '<span class="sm-timeline-duration">' + self.escapeHtml(duration) + '</span>' +
+                                (showMachine ? ' &middot; ' + self.escapeHtml(log.machine_name) : '') +
+                            '</div>' +
+                            (log.comment ? '<div class="sm-timeline-comment">' + self.escapeHtml(log.comment) + '</div>' : '') +
+                            self.renderFailedEffects(log.failed_effects) +
+                        '</div>' +
+                    '</li>';
+                });
+
+                html += '</ol>';
+
+                $('#entity-timeline').html(html);
+            },
+
+            /**
+             * List of actions that failed after a transition
+             * @param {Array} failed Failed actions {name, message}
+             * @return {string} HTML, empty when nothing failed
+             */
+            renderFailedEffects: function(failed) {
+                const self = this;
+
+                if (!failed || !failed.length) {
+                    return '';
+                }
+
+                return '<div class="sm-timeline-effects-failed">' +
+                    '<span class="dashicons dashicons-warning"></span>' +
+                    self.escapeHtml(self.i18n.effectsFailed.replace('%d', failed.length)) +
+                    '<ul>' + failed.map(function(effect) {
+                        return '<li><strong>' + self.escapeHtml(effect.name) + '</strong>: ' + self.escapeHtml(effect.message) + '</li>';
+                    }).join('') + '</ul>' +
+                '</div>';
+            },
+
+            /**
+             * Hide timeline and clear entity fields
+             */
+            closeTimeline: function() {
+                if (this.timelineRequest) {
+                    this.timelineRequest.abort();
+                }
+
+                $('#entity-timeline').hide().empty();
+                $('#btn-close-timeline').hide();
+                $('#timeline-entity-type').val('');
+                $('#timeline-entity-id').val('');
+            },
+
             /**
              * Update filter status text
              */
             updateFilterStatus: function() {
-                const plugin = $('#filter-plugin').val();
-                const machine = $('#filter-machine').val();
-                const dateFrom = $('#filter-date-from').val();
-                const dateTo = $('#filter-date-to').val();
+                const values = this.getFilters();
 
                 const filters = [];
-                if (plugin && plugin !== 'all') filters.push('Plugin: ' + plugin);
-                if (machine) filters.push('Machine: ' + $('#filter-machine option:selected').text());
-                if (dateFrom) filters.push('From: ' + dateFrom);
-                if (dateTo) filters.push('To: ' + dateTo);
+                if (values.plugin_slug && values.plugin_slug !== 'all') filters.push('Plugin: ' + values.plugin_slug);
+                if (values.machine_id) filters.push('Machine: ' + $('#filter-machine option:selected').text().trim());
+                if (values.date_from) filters.push('From: ' + values.date_from);
+                if (values.date_to) filters.push('To: ' + values.date_to);
+                if (values.user_id) filters.push('User: ' + $('#filter-user option:selected').text());
+                if (values.entity_type || values.entity_id) {
+                    filters.push('Entity: ' + (values.entity_type || '*') + (values.entity_id ? ' #' + values.entity_id : ''));
+                }
+                if (values.from_state_id) filters.push('From state: ' + $('#filter-from-state option:selected').text());
+                if (values.to_state_id) filters.push('To state: ' + $('#filter-to-state option:selected').text());
+                if (values.comment) filters.push('Comment: "' + values.comment + '"');
 
                 if (filters.length > 0) {
                     $('#filter-status').text('Active filters: ' + filters.join(' | '));
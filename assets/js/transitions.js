@@ -3,7 +3,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Assets/JS
- * @version     1.0.0
+ * @version     1.10.0
  * @author      arisciwek
  *
  * Description: JavaScript for Transitions admin page
@@ -13,8 +13,49 @@
  * Dependencies:
  * - jQuery
  * - DataTables
+ * - WorkflowValidator (workflow-validator.js)
+ * - MetadataEditor (metadata-editor.js)
+ * - TableReorder (table-reorder.js)
+ * - TableBulkActions (table-bulk-actions.js)
+ * - DeleteImpact (delete-impact.js)
+ * - TableTrash (table-trash.js)
  *
  * Changelog:
+ * 1.10.0 - 2026-10-19
+ * - Actions builder (typed effect rows, run in order) saved as effects; actions badge in the label column and details
+ *
+ * 1.9.0 - 2026-10-19
+ * - Timeout field (number and unit) saved as timeout_minutes; timeout badge in the label column and details
+ *
+ * 1.8.0 - 2026-10-19
+ * - All / Trash views with restore and delete permanently (TableTrash)
+ *
+ * 1.7.0 - 2026-10-19
+ * - Delete shows what depends on the row and offers block/cascade options (DeleteImpact)
+ *
+ * 1.6.0 - 2026-10-19
+ * - Row checkboxes with bulk delete (TableBulkActions)
+ *
+ * 1.5.0 - 2026-10-19
+ * - Drag-to-reorder rows (TableReorder, reorder_transitions)
+ *
+ * 1.4.0 - 2026-10-19
+ * - Metadata field uses MetadataEditor (JSON highlighting, form mode, schema checks)
+ * - Invalid metadata blocks save with an inline message
+ *
+ * 1.3.0 - 2026-10-19
+ * - Test Transition simulator (simulate_transitions) with per-guard results
+ *
+ * 1.2.0 - 2026-10-19
+ * - Guard builder: guard type rows with type-specific inputs, AND/OR connectors
+ * - Inline validateConfig() errors via validate_transition_guard
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added workflow validation panel (WorkflowValidator)
+ * - Re-validate after filter, save and delete
+ * - Handle machine_id/add_transition/delete_transition deep links from validation fix links
+ * - showAddModal() accepts from/to state prefill
+ *
  * 1.0.0 - 2025-11-08
  * - Extracted from transitions-view.php
  * - Implemented object-based pattern
@@ -30,14 +71,42 @@
         currentMachineId: '',
         isEditMode: false,
         isFiltering: false,  // Prevent double-click
+        guardTimer: null,
+        guardRequest: null,
+        simulatorRequest: null,
+        metadataEditor: null,
         data: wpStateMachineTransitionsData,
 
         /**
          * Initialize the admin interface
          */
         init: function() {
+            const requested = WorkflowValidator.getRequestedFix();
+
+            // Pre-select machine from a validation fix link
+            if (requested.machineId && $('#filter-machine option[value="' + requested.machineId + '"]').length) {
+                $('#filter-machine').val(requested.machineId);
+                this.currentMachineId = requested.machineId;
+            }
+
+            this.metadataEditor = MetadataEditor.create($('#transition-metadata'), this.data.metadataEditor);
+
             this.initDataTable();
+            this.initTrash();
+            this.initReorder();
+            this.initBulkActions();
             this.bindEvents();
+            this.validateWorkflow();
+
+            if (requested.addTransition) {
+                this.showAddModal({
+                    from_state_id: requested.fromState,
+                    to_state_id: requested.toState
+                });
+            } else if (requested.deleteTransition) {
+                this.deleteTransition(requested.deleteTransition);
+            }
+            WorkflowValidator.clearRequestedFix();
         },
 
         /**
@@ -61,6 +130,7 @@
                         d.action = 'handle_transition_datatable';
                         d.nonce = self.data.nonce;
                         d.machine_id = self.currentMachineId;
+                        d.trash = TableTrash.isTrash('#transitions-table') ? 1 : 0;
                         d._cache_bust = Date.now(); // Prevent caching issues
                     },
                     error: function(xhr, error, code) {
@@ -80,7 +150,27 @@
                 },
                 columns: [
                     { data: 'id' },
-                    { data: 'label' },
+                    {
+                        data: 'label',
+                        render: function(data, type, row) {
+                            // Label is escaped server-side
+                            if (type !== 'display') {
+                                return data;
+                            }
+                            if (row.timeout_minutes) {
+                                const timeout = self.formatTimeout(row.timeout_minutes);
+                                data += ' <span class="sm-timeout-badge" title="' +
+                                    $('<div>').text(self.data.i18n.timeout.badgeTitle.replace('%s', timeout)).html() + '">' +
+                                    '<span class="dashicons dashicons-clock"></span>' + $('<div>').text(timeout).html() + '</span>';
+                            }
+                            if (row.effect_count) {
+                                data += ' <span class="sm-effects-badge" title="' +
+                                    $('<div>').text(self.data.i18n.effect.badgeTitle.replace('%d', row.effect_count)).html() + '">' +
+                                    '<span class="dashicons dashicons-controls-play"></span>' + parseInt(row.effect_count, 10) + '</span>';
+                            }
+                            return data;
+                        }
+                    },
                     { data: 'from_state_name' },
                     { data: 'to_state_name' },
                     { data: 'guard_class' },
@@ -98,6 +188,64 @@
             });
         },
 
+        /**
+         * All / Trash views with restore and delete permanently
+         */
+        initTrash: function() {
+            const self = this;
+
+            TableTrash.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                restoreAction: 'restore_transition',
+                purgeAction: 'purge_transition',
+                onDone: function() {
+                    self.validateWorkflow();
+                }
+            }, this.data.trash));
+        },
+
+        /**
+         * Drag-to-reorder rows when filtered to one machine
+         */
+        initReorder: function() {
+            const self = this;
+
+            TableReorder.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                action: 'reorder_transitions',
+                sortColumn: 5,
+                getMachineId: function() {
+                    // No reordering in the Trash view
+                    return TableTrash.isTrash('#transitions-table') ? 0 : self.currentMachineId;
+                },
+                onError: function(message) {
+                    alert(message);
+                }
+            }, this.data.reorder));
+        },
+
+        /**
+         * Row selection with bulk delete
+         */
+        initBulkActions: function() {
+            const self = this;
+
+            TableBulkActions.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                action: 'bulk_transitions',
+                nameField: 'label',
+                actions: [
+                    { value: 'delete', label: this.data.bulkActions.i18n.delete }
+                ],
+                onDone: function() {
+                    self.validateWorkflow();
+                }
+            }, this.data.bulkActions));
+        },
+
         /**
          * Bind all event handlers
          */
@@ -136,6 +284,7 @@
                         clearTimeout(timeoutId);
                         self.isFiltering = false;
                         $('#btn-filter').prop('disabled', false).removeClass('loading');
+                        self.validateWorkflow();
                     }, false); // false = don't reset paging
                 } else {
                     clearTimeout(timeoutId);
@@ -148,6 +297,7 @@
             $('#transition-machine-id').on('change', function() {
                 const machineId = $(this).val();
                 self.loadStatesForMachine(machineId);
+                self.loadMetadataSchema(machineId);
             });
 
             // Add new transition button
@@ -172,6 +322,75 @@
                 self.saveTransition();
             });
 
+            // Guard builder
+            $('#btn-add-guard').on('click', function() {
+                self.addGuardRow();
+                self.syncGuardClass();
+            });
+
+            $('#guard-builder-rows').on('change', '.guard-type', function() {
+                self.renderGuardConfig($(this).closest('.guard-row'), $(this).val(), []);
+                self.syncGuardClass();
+            });
+
+            $('#guard-builder-rows').on('change input', '.guard-connector, .guard-param', function() {
+                self.syncGuardClass();
+            });
+
+            $('#guard-builder-rows').on('click', '.guard-remove', function() {
+                $(this).closest('.guard-row').remove();
+                self.syncGuardClass();
+            });
+
+            // Actions builder
+            $('#btn-add-effect').on('click', function() {
+                self.addEffectRow();
+            });
+
+            $('#effect-builder-rows').on('change', '.effect-type', function() {
+                self.renderEffectFields($(this).closest('.effect-row'), $(this).val(), {});
+            });
+
+            $('#effect-builder-rows').on('click', '.effect-remove', function() {
+                $(this).closest('.effect-row').remove();
+                self.renumberEffects();
+            });
+
+            $('#effect-builder-rows').on('click', '.effect-move-up, .effect-move-down', function() {
+                const $row = $(this).closest('.effect-row');
+
+                if ($(this).hasClass('effect-move-up')) {
+                    $row.insertBefore($row.prev('.effect-row'));
+                } else {
+                    $row.insertAfter($row.next('.effect-row'));
+                }
+                self.renumberEffects();
+            });
+
+            // Typed guard strings are parsed back into the builder
+            $('#transition-guard-class').on('change', function() {
+                self.setGuardClass($(this).val());
+            });
+
+            // Transition simulator
+            $('#btn-toggle-simulator').on('click', function() {
+                const $machine = $('#simulate-machine');
+
+                if (!$machine.val() && self.currentMachineId) {
+                    $machine.val(self.currentMachineId).trigger('change');
+                }
+                $('#transition-simulator').slideToggle(200);
+            });
+
+            $('#simulate-machine').on('change', function() {
+                $('#simulate-entity-type').val($(this).find(':selected').data('entity-type') || '');
+                $('#simulator-results').empty();
+            });
+
+            $('#btn-run-simulator').on('click', function() {
+                self.runSimulator();
+            });
+
             // View transition
             $(document).on('click', '.btn-view-transition', function() {
                 const transitionId = $(this).data('id');
@@ -187,12 +406,40 @@
             // Delete transition
             $(document).on('click', '.btn-delete-transition', function() {
                 const transitionId = $(this).data('id');
-                self.deleteTransition(transitionId);
+                self.deleteTransition(transitionId, $(this).data('name'));
+            });
+
+            // Validation fix links that can be handled on this page
+            $(document).on('click', '.workflow-validation-fix[data-fix="add_transition"]', function(e) {
+                e.preventDefault();
+                self.showAddModal({
+                    from_state_id: $(this).data('from-state'),
+                    to_state_id: $(this).data('to-state')
+                });
+            });
+
+            $(document).on('click', '.workflow-validation-fix[data-fix="delete_transition"]', function(e) {
+                e.preventDefault();
+                self.deleteTransition($(this).data('transition-id'));
+            });
+        },
+
+        /**
+         * Re-run workflow validation for the filtered machine
+         */
+        validateWorkflow: function() {
+            WorkflowValidator.validate($('#workflow-validation-panel'), this.currentMachineId, {
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                urls: this.data.urls,
+                i18n: this.data.i18n.validation
             });
         },
 
         /**
          * Load states for a specific machine
+         *
+         * @return {jqXHR|undefined} Request, when a machine is given
          */
         loadStatesForMachine: function(machineId) {
             const self = this;
@@ -205,7 +452,7 @@
             }
 
             // Load states via AJAX
-            $.post(self.data.ajaxUrl, {
+            return $.post(self.data.ajaxUrl, {
                 action: 'get_states_by_machine',
                 nonce: self.data.nonce,
                 machine_id: machineId
@@ -221,14 +468,46 @@
             });
         },
 
+        /**
+         * Load the machine's metadata schema into the metadata editor
+         * Ignored if the machine selection changed while loading
+         *
+         * @param {number|string} machineId Machine ID
+         */
+        loadMetadataSchema: function(machineId) {
+            const self = this;
+
+            MetadataEditor.loadSchema(this.data, machineId).done(function(schema) {
+                if (String($('#transition-machine-id').val() || '') === String(machineId || '')) {
+                    self.metadataEditor.setSchema(schema.transition);
+                }
+            });
+        },
+
+        /**
+         * Show the transition modal
+         * CodeMirror needs a visible container to measure itself
+         */
+        showModal: function() {
+            const self = this;
+
+            $('#transition-modal').fadeIn(200, function() {
+                self.metadataEditor.refresh();
+            });
+        },
+
         /**
          * Show add new transition modal
+         *
+         * @param {Object} prefill Optional {from_state_id, to_state_id}
          */
-        showAddModal: function() {
+        showAddModal: function(prefill) {
             const self = this;
 
             $('#transition-form')[0].reset();
             $('#transition-id').val('');
+            self.setGuardClass('');
+            self.setEffects('');
             $('#modal-title').text(self.data.i18n.addTitle);
             self.isEditMode = false;
 
@@ -238,14 +517,22 @@
 
             // Pre-select machine if filtered
             if (self.currentMachineId) {
-                $('#transition-machine-id').val(self.currentMachineId).trigger('change');
+                $('#transition-machine-id').val(self.currentMachineId);
+                self.loadStatesForMachine(self.currentMachineId).done(function() {
+                    if (prefill) {
+                        $('#transition-from-state').val(prefill.from_state_id || '');
+                        $('#transition-to-state').val(prefill.to_state_id || '');
+                    }
+                });
             } else {
                 $('#transition-from-state, #transition-to-state').html(
                     '<option value="">' + self.data.i18n.selectMachine + '</option>'
                 );
             }
 
-            $('#transition-modal').fadeIn(200);
+            self.metadataEditor.setValue('');
+            self.loadMetadataSchema($('#transition-machine-id').val());
+            self.showModal();
         },
 
         /**
@@ -256,6 +543,11 @@
             const transitionId = $('#transition-id').val();
             const action = transitionId ? 'update_transition' : 'create_transition';
 
+            // Invalid metadata is reported below the editor
+            if (!self.metadataEditor.isValid()) {
+                return;
+            }
+
             const formData = {
                 action: action,
                 nonce: self.data.nonce,
@@ -266,7 +558,9 @@
                 label: $('#transition-label').val(),
                 guard_class: $('#transition-guard-class').val(),
                 sort_order: $('#transition-sort-order').val(),
-                metadata: $('#transition-metadata').val()
+                timeout_minutes: self.getTimeoutMinutes(),
+                effects: JSON.stringify(self.getEffects()),
+                metadata: self.metadataEditor.getValue()
             };
 
             $.post(self.data.ajaxUrl, formData)
@@ -280,6 +574,7 @@
                                 self.table.ajax.reload(null, false);
                             }
                         }, 250);
+                        self.validateWorkflow();
                     } else {
                         let errorMsg = response.data.message;
                         if (response.data.errors) {
@@ -312,6 +607,10 @@
                     $('#view-transition-to-state').text(transition.to_state_name || '-');
                     $('#view-transition-label').text(transition.label);
                     $('#view-transition-guard-class').text(transition.guard_class || '-');
+                    $('#view-transition-timeout').text(
+                        parseInt(transition.timeout_minutes, 10) ? self.formatTimeout(transition.timeout_minutes) : '-'
+                    );
+                    $('#view-transition-effects').empty().append(self.renderEffectSummary(transition.effects));
                     $('#view-transition-sort-order').text(transition.sort_order);
                     $('#view-transition-metadata').text(transition.metadata || '-');
                     $('#view-transition-created').text(transition.created_at);
@@ -340,8 +639,12 @@
                     $('#transition-machine-id').val(transition.machine_id);
                     $('#transition-label').val(transition.label);
                     $('#transition-guard-class').val(transition.guard_class || '');
+                    self.setGuardClass(transition.guard_class || '');
                     $('#transition-sort-order').val(transition.sort_order);
-                    $('#transition-metadata').val(transition.metadata || '');
+                    self.setTimeoutMinutes(transition.timeout_minutes);
+                    self.setEffects(transition.effects || '');
+                    self.metadataEditor.setValue(transition.metadata || '');
+                    self.loadMetadataSchema(transition.machine_id);
 
                     // Load states and set values
                     self.loadStatesForMachine(transition.machine_id);
@@ -355,32 +658,727 @@
                     }, 500);
 
                     $('#modal-title').text(self.data.i18n.editTitle);
-                    $('#transition-modal').fadeIn(200);
+                    self.showModal();
                 }
             });
         },
 
         /**
-         * Delete transition
+         * Timeout field in minutes (number times unit), 0 when empty
+         *
+         * @return {number} Minutes
+         */
+        getTimeoutMinutes: function() {
+            const value = parseInt($('#transition-timeout').val(), 10);
+
+            return value > 0 ? value * parseInt($('#transition-timeout-unit').val(), 10) : 0;
+        },
+
+        /**
+         * Fill the timeout field using the largest unit that divides the minutes
+         *
+         * @param {number|string} minutes Timeout in minutes (0 = none)
+         */
+        setTimeoutMinutes: function(minutes) {
+            minutes = parseInt(minutes, 10) || 0;
+
+            const unit = minutes % 1440 === 0 ? 1440 : (minutes % 60 === 0 ? 60 : 1);
+
+            $('#transition-timeout').val(minutes ? minutes / unit : '');
+            $('#transition-timeout-unit').val(minutes ? unit : 60);
+        },
+
+        /**
+         * Human-readable timeout, e.g. "48 hours" or "2 days"
+         *
+         * @param {number|string} minutes Timeout in minutes
+         * @return {string} Formatted timeout
+         */
+        formatTimeout: function(minutes) {
+            const i18n = this.data.i18n.timeout;
+            minutes = parseInt(minutes, 10) || 0;
+
+            let value = minutes;
+            let unit = 'minute';
+            if (minutes % 1440 === 0) {
+                value = minutes / 1440;
+                unit = 'day';
+            } else if (minutes % 60 === 0) {
+                value = minutes / 60;
+                unit = 'hour';
+            }
+
+            return i18n[value === 1 ? unit : unit + 's'].replace('%d', value);
+        },
+
+        /**
+         * Decode an effects value into a list of {type, config}
+         * Mirrors EffectFactory::parseEffects()
+         *
+         * @param {string|Array} effects JSON list or decoded list
+         * @return {Array} Effects
          */
-        deleteTransition: function(transitionId) {
+        parseEffects: function(effects) {
+            if (typeof effects === 'string') {
+                try {
+                    effects = effects.trim() ? JSON.parse(effects) : [];
+                } catch (e) {
+                    effects = [];
+                }
+            }
+
+            if (!Array.isArray(effects)) {
+                return [];
+            }
+
+            return effects.map(function(effect) {
+                return {
+                    type: effect && typeof effect.type === 'string' ? effect.type : '',
+                    config: effect && effect.config && typeof effect.config === 'object' ? effect.config : {}
+                };
+            });
+        },
+
+        /**
+         * Rebuild the actions builder from the effects column
+         *
+         * @param {string|Array} effects JSON list or decoded list
+         */
+        setEffects: function(effects) {
             const self = this;
 
-            if (!confirm(self.data.i18n.confirmDelete)) {
+            $('#effect-builder-rows').empty();
+            self.parseEffects(effects).forEach(function(effect) {
+                self.addEffectRow(effect);
+            });
+            self.renumberEffects();
+        },
+
+        /**
+         * Append an action row
+         *
+         * @param {Object} effect Optional {type, config}
+         */
+        addEffectRow: function(effect) {
+            const i18n = this.data.i18n.effect;
+            const types = this.data.effects.types;
+
+            effect = $.extend({
+                type: Object.keys(types)[0] || '',
+                config: {}
+            }, effect);
+
+            const $type = $('<select class="effect-type">');
+            $.each(types, function(type, info) {
+                $type.append($('<option>').val(type).text(info.name).attr('title', info.description));
+            });
+
+            // Keep types that are not registered so the server can report them
+            if (effect.type && !types[effect.type]) {
+                $type.append($('<option>').val(effect.type).text(effect.type));
+            }
+            $type.val(effect.type);
+
+            const $row = $('<li class="effect-row">').append(
+                $('<div class="effect-row-main">').append(
+                    $('<span class="effect-number">'),
+                    $type,
+                    $('<span class="effect-description description">'),
+                    $('<span class="effect-row-tools">').append(
+                        $('<button type="button" class="button-link effect-move-up">')
+                            .attr('title', i18n.moveUp)
+                            .append('<span class="dashicons dashicons-arrow-up-alt2"></span>'),
+                        $('<button type="button" class="button-link effect-move-down">')
+                            .attr('title', i18n.moveDown)
+                            .append('<span class="dashicons dashicons-arrow-down-alt2"></span>'),
+                        $('<button type="button" class="button-link effect-remove">')
+                            .attr('title', i18n.remove)
+                            .append('<span class="dashicons dashicons-no-alt"></span>')
+                    )
+                ),
+                $('<div class="effect-fields">')
+            );
+
+            $('#effect-builder-rows').append($row);
+            this.renderEffectFields($row, effect.type, effect.config);
+            this.renumberEffects();
+        },
+
+        /**
+         * Render the configuration fields of an action row
+         *
+         * @param {jQuery} $row Action row
+         * @param {string} type Effect type
+         * @param {Object} config Current config values
+         */
+        renderEffectFields: function($row, type, config) {
+            const i18n = this.data.i18n.effect;
+            const info = this.data.effects.types[type];
+            const $fields = $row.find('.effect-fields').empty();
+
+            $row.find('.effect-description').text(info ? info.description : '');
+
+            // Unknown types keep their config as JSON
+            if (!info) {
+                $fields.append(
+                    $('<label class="effect-field-wrap">').append(
+                        $('<span class="description">').text(i18n.config),
+                        $('<textarea class="effect-field large-text code" rows="3" data-key="" data-json="1">')
+                            .val(JSON.stringify(config))
+                    )
+                );
                 return;
             }
 
-            $.post(self.data.ajaxUrl, {
-                action: 'delete_transition',
+            $.each(info.fields, function(key, field) {
+                const value = config[key];
+                let $input;
+
+                switch (field.type) {
+                    case 'select':
+                    case 'multiselect': {
+                        const multiple = field.type === 'multiselect';
+                        const values = multiple ? (Array.isArray(value) ? value.map(String) : []) : [value === undefined ? '' : String(value)];
+
+                        $input = $('<select class="effect-field">');
+                        if (multiple) {
+                            $input.attr({ multiple: true, size: 4 });
+                        } else {
+                            $input.append($('<option>').val('').text(i18n.choose));
+                        }
+
+                        $.each(field.options || {}, function(optionValue, label) {
+                            $input.append($('<option>').val(optionValue).text(label));
+                        });
+
+                        // Keep configured values that are not in the list
+                        values.forEach(function(current) {
+                            if (current !== '' && !$input.find('option').filter(function() { return this.value === current; }).length) {
+                                $input.append($('<option>').val(current).text(current));
+                            }
+                        });
+
+                        $input.val(multiple ? values : values[0]);
+                        break;
+                    }
+
+                    case 'textarea':
+                        $input = $('<textarea class="effect-field large-text" rows="3">').val(value || '');
+                        break;
+
+                    default:
+                        $input = $('<input class="effect-field regular-text">')
+                            .attr('type', field.type === 'url' ? 'url' : 'text')
+                            .val(value || '');
+                }
+
+                $input.attr({ 'data-key': key, placeholder: field.placeholder || null });
+
+                const $wrap = $('<label class="effect-field-wrap">').append(
+                    $('<span class="description">').text(
+                        field.label + (field.type === 'multiselect' ? ' — ' + i18n.multiselectHint : '')
+                    ),
+                    $input
+                );
+
+                if (field.description) {
+                    $wrap.append($('<span class="description effect-field-help">').text(field.description));
+                }
+
+                $fields.append($wrap);
+            });
+        },
+
+        /**
+         * Number the action rows and disable moves past either end
+         */
+        renumberEffects: function() {
+            const $rows = $('#effect-builder-rows .effect-row');
+
+            $rows.each(function(index) {
+                $(this).find('.effect-number').text((index + 1) + '.');
+                $(this).find('.effect-move-up').prop('disabled', index === 0);
+                $(this).find('.effect-move-down').prop('disabled', index === $rows.length - 1);
+            });
+
+            $('#effect-builder-empty').toggle(!$rows.length);
+        },
+
+        /**
+         * Read the action rows in order
+         *
+         * @return {Array} Effects {type, config}
+         */
+        getEffects: function() {
+            const effects = [];
+
+            $('#effect-builder-rows .effect-row').each(function() {
+                let config = {};
+
+                $(this).find('.effect-field').each(function() {
+                    const $field = $(this);
+
+                    if ($field.data('json')) {
+                        try {
+                            config = JSON.parse($field.val()) || {};
+                        } catch (e) {
+                            config = {};
+                        }
+                        return;
+                    }
+
+                    config[$field.data('key')] = $field.is('select[multiple]') ? ($field.val() || []) : $field.val().trim();
+                });
+
+                effects.push({
+                    type: $(this).find('.effect-type').val(),
+                    config: config
+                });
+            });
+
+            return effects;
+        },
+
+        /**
+         * Ordered list of action names for the details modal
+         *
+         * @param {string} effects Effects column
+         * @return {jQuery|string} List, '-' when there are none
+         */
+        renderEffectSummary: function(effects) {
+            const types = this.data.effects.types;
+            const list = this.parseEffects(effects);
+
+            if (!list.length) {
+                return '-';
+            }
+
+            const $list = $('<ol class="effect-summary">');
+            list.forEach(function(effect) {
+                $list.append($('<li>').text(types[effect.type] ? types[effect.type].name : effect.type));
+            });
+
+            return $list;
+        },
+
+        /**
+         * Split a guard_class string into builder rows
+         * Mirrors GuardFactory::splitGuardClass() and parseGuardClass()
+         *
+         * @param {string} guardClass e.g. "RoleGuard:editor && OwnerGuard:author_id || RoleGuard:administrator"
+         * @return {Array} Rows {connector, type, config}
+         */
+        parseGuardClass: function(guardClass) {
+            const guards = [];
+
+            if (!guardClass || !guardClass.trim()) {
+                return guards;
+            }
+
+            guardClass.split('||').forEach(function(group) {
+                group.split('&&').forEach(function(part, index) {
+                    const colon = part.indexOf(':');
+
+                    guards.push({
+                        connector: index > 0 ? 'and' : 'or',
+                        type: (colon === -1 ? part : part.substring(0, colon)).trim(),
+                        config: colon === -1 ? [] : part.substring(colon + 1).split(',').map(function(value) {
+                            return value.trim();
+                        }).filter(function(value) {
+                            return value !== '';
+                        })
+                    });
+                });
+            });
+
+            return guards;
+        },
+
+        /**
+         * Rebuild the guard builder from a guard_class string
+         *
+         * @param {string} guardClass Guard class string
+         */
+        setGuardClass: function(guardClass) {
+            const self = this;
+
+            $('#guard-builder-rows').empty();
+            self.parseGuardClass(guardClass).forEach(function(guard) {
+                self.addGuardRow(guard);
+            });
+            self.validateGuard();
+        },
+
+        /**
+         * Append a guard row
+         *
+         * @param {Object} guard Optional {connector, type, config}
+         */
+        addGuardRow: function(guard) {
+            const i18n = this.data.i18n.guard;
+            const types = this.data.guards.types;
+
+            guard = $.extend({
+                connector: 'and',
+                type: Object.keys(types)[0] || '',
+                config: []
+            }, guard);
+
+            const $connector = $('<select class="guard-connector">')
+                .append($('<option>').val('and').text(i18n.and))
+                .append($('<option>').val('or').text(i18n.or))
+                .val(guard.connector);
+
+            const $type = $('<select class="guard-type">');
+            $.each(types, function(type, info) {
+                $type.append($('<option>').val(type).text(info.name).attr('title', info.description));
+            });
+
+            // Keep types that are not registered so the server can report them
+            if (guard.type && !types[guard.type]) {
+                $type.append($('<option>').val(guard.type).text(guard.type));
+            }
+            $type.val(guard.type);
+
+            const $row = $('<div class="guard-row">').append(
+                $('<div class="guard-row-main">').append(
+                    $connector,
+                    $type,
+                    $('<div class="guard-config">'),
+                    $('<button type="button" class="button-link guard-remove">')
+                        .attr('title', i18n.remove)
+                        .append('<span class="dashicons dashicons-no-alt"></span>')
+                ),
+                $('<ul class="guard-errors">')
+            );
+
+            $('#guard-builder-rows').append($row);
+            this.renderGuardConfig($row, guard.type, guard.config);
+        },
+
+        /**
+         * Render type-specific inputs for a guard row
+         *
+         * @param {jQuery} $row Guard row
+         * @param {string} type Guard type
+         * @param {Array} config Current config values
+         */
+        renderGuardConfig: function($row, type, config) {
+            const i18n = this.data.i18n.guard;
+            const $config = $row.find('.guard-config').empty();
+            let $input;
+
+            const multiselect = function(options) {
+                const $select = $('<select class="guard-param" multiple size="5">');
+
+                $.each(options, function(value, label) {
+                    $select.append($('<option>').val(value).text(label));
+                });
+
+                // Keep configured values that are not in the list
+                config.forEach(function(value) {
+                    if (!$select.find('option').filter(function() { return this.value === value; }).length) {
+                        $select.append($('<option>').val(value).text(value));
+                    }
+                });
+
+                return $select.val(config);
+            };
+
+            switch (type) {
+                case 'RoleGuard': {
+                    const roles = {};
+                    $.each(this.data.guards.roles, function(slug, name) {
+                        roles[slug] = name + ' (' + slug + ')';
+                    });
+                    $config.append($('<span class="description">').text(i18n.roles + ' — ' + i18n.multiselectHint));
+                    $input = multiselect(roles);
+                    break;
+                }
+
+                case 'CapabilityGuard': {
+                    const capabilities = {};
+                    this.data.guards.capabilities.forEach(function(capability) {
+                        capabilities[capability] = capability;
+                    });
+                    $config.append($('<span class="description">').text(i18n.capabilities + ' — ' + i18n.multiselectHint));
+                    $input = multiselect(capabilities);
+                    break;
+                }
+
+                case 'OwnerGuard':
+                    $config.append($('<span class="description">').text(i18n.ownerField));
+                    $input = $('<input type="text" class="guard-param regular-text" placeholder="author_id">').val(config.join(','));
+                    break;
+
+                case 'CallbackGuard':
+                    $config.append($('<span class="description">').text(i18n.callbackName));
+                    $input = $('<input type="text" class="guard-param regular-text" placeholder="check_business_hours">').val(config.join(','));
+                    break;
+
+                default:
+                    $config.append($('<span class="description">').text(i18n.parameters));
+                    $input = $('<input type="text" class="guard-param regular-text">').val(config.join(', '));
+            }
+
+            $config.append($input);
+        },
+
+        /**
+         * Build guard_class string from the builder rows
+         *
+         * @return {string} Guard class string
+         */
+        buildGuardClass: function() {
+            let guardClass = '';
+
+            $('#guard-builder-rows .guard-row').each(function(index) {
+                const $param = $(this).find('.guard-param');
+                const config = $param.is('select')
+                    ? ($param.val() || [])
+                    : $param.val().split(',').map(function(value) {
+                        return value.trim();
+                    }).filter(function(value) {
+                        return value !== '';
+                    });
+
+                let part = $(this).find('.guard-type').val();
+                if (config.length) {
+                    part += ':' + config.join(',');
+                }
+
+                if (index > 0) {
+                    guardClass += $(this).find('.guard-connector').val() === 'or' ? ' || ' : ' && ';
+                }
+                guardClass += part;
+            });
+
+            return guardClass;
+        },
+
+        /**
+         * Write the builder into the guard_class input and re-validate
+         */
+        syncGuardClass: function() {
+            const self = this;
+
+            $('#transition-guard-class').val(self.buildGuardClass());
+
+            clearTimeout(self.guardTimer);
+            self.guardTimer = setTimeout(function() {
+                self.validateGuard();
+            }, 400);
+        },
+
+        /**
+         * Validate guard_class and show validateConfig() errors per row
+         */
+        validateGuard: function() {
+            const self = this;
+            const i18n = self.data.i18n.guard;
+            const guardClass = $('#transition-guard-class').val().trim();
+            const $status = $('#guard-builder-status').removeClass('is-valid is-invalid');
+
+            clearTimeout(self.guardTimer);
+            if (self.guardRequest) {
+                self.guardRequest.abort();
+            }
+
+            $('#guard-builder-rows .guard-errors').empty();
+
+            if (!guardClass) {
+                $status.text(i18n.noGuards);
+                return;
+            }
+
+            $status.text(i18n.validating);
+
+            self.guardRequest = $.post(self.data.ajaxUrl, {
+                action: 'validate_transition_guard',
                 nonce: self.data.nonce,
-                id: transitionId
-            }, function(response) {
+                guard_class: guardClass
+            }).done(function(response) {
+                if (!response.success) {
+                    $status.addClass('is-invalid').text(response.data.message);
+                    return;
+                }
+
+                const $rows = $('#guard-builder-rows .guard-row');
+                response.data.guards.forEach(function(guard, index) {
+                    const $errors = $rows.eq(index).find('.guard-errors');
+                    guard.errors.forEach(function(error) {
+                        $errors.append($('<li>').text(error));
+                    });
+                });
+
+                if (response.data.valid) {
+                    $status.addClass('is-valid').text(i18n.valid);
+                } else {
+                    $status.addClass('is-invalid').text(
+                        $rows.length === response.data.guards.length ? '' : response.data.errors.join(' ')
+                    );
+                }
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    $status.addClass('is-invalid').text(i18n.validateError);
+                }
+            }).always(function() {
+                self.guardRequest = null;
+            });
+        },
+
+        /**
+         * Run the transition simulator for the chosen entity and user
+         */
+        runSimulator: function() {
+            const self = this;
+            const i18n = self.data.i18n.simulator;
+            const $results = $('#simulator-results');
+            const $button = $('#btn-run-simulator');
+
+            if (self.simulatorRequest) {
+                self.simulatorRequest.abort();
+            }
+
+            $button.prop('disabled', true);
+            $results.html($('<p class="description">').text(i18n.running));
+
+            self.simulatorRequest = $.post(self.data.ajaxUrl, {
+                action: 'simulate_transitions',
+                nonce: self.data.nonce,
+                machine_id: $('#simulate-machine').val(),
+                entity_type: $('#simulate-entity-type').val(),
+                entity_id: $('#simulate-entity-id').val(),
+                user_id: $('#simulate-user').val(),
+                entity_data: $('#simulate-entity-data').val()
+            }).done(function(response) {
                 if (response.success) {
-                    self.table.ajax.reload();
-                    // Silent success - no alert
+                    self.renderSimulation(response.data);
                 } else {
-                    alert(response.data.message);
+                    $results.html(
+                        $('<div class="notice notice-error inline">').append($('<p>').text(response.data.message))
+                    );
+                }
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    $results.html(
+                        $('<div class="notice notice-error inline">').append($('<p>').text(i18n.error))
+                    );
                 }
+            }).always(function() {
+                self.simulatorRequest = null;
+                $button.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Render simulator results
+         *
+         * @param {Object} data {current_state, has_history, used_entity_data, transitions}
+         */
+        renderSimulation: function(data) {
+            const i18n = this.data.i18n.simulator;
+            const $results = $('#simulator-results').empty();
+
+            if (!data.current_state) {
+                $results.append($('<div class="notice notice-warning inline">').append($('<p>').text(i18n.noState)));
+                return;
+            }
+
+            const $summary = $('<p class="simulator-summary">').append(
+                $('<strong>').text(i18n.currentState + ' '),
+                $('<span class="simulator-state">')
+                    .css('background-color', data.current_state.color || '#2271b1')
+                    .text(data.current_state.name)
+            );
+
+            if (!data.has_history) {
+                $summary.append(' ', $('<span class="description">').text(i18n.noHistory));
+            }
+            if (!data.used_entity_data) {
+                $summary.append(' ', $('<span class="description">').text(i18n.noEntityData));
+            }
+            $results.append($summary);
+
+            if (!data.transitions.length) {
+                $results.append($('<p>').text(i18n.noTransitions));
+                return;
+            }
+
+            const $tbody = $('<tbody>');
+
+            data.transitions.forEach(function(row) {
+                const $guards = $('<ul class="simulator-guards">');
+
+                if (!row.guards.length) {
+                    $guards.append($('<li class="description">').text(i18n.noGuard));
+                }
+
+                row.guards.forEach(function(guard, index) {
+                    if (index > 0 && guard.group !== row.guards[index - 1].group) {
+                        $guards.append($('<li class="simulator-guard-or">').text(i18n.or));
+                    }
+
+                    $guards.append(
+                        $('<li>').addClass(guard.allowed ? 'is-allowed' : 'is-blocked').append(
+                            $('<span class="dashicons">').addClass(guard.allowed ? 'dashicons-yes' : 'dashicons-no'),
+                            $('<code>').text(guard.guard_class),
+                            ' ',
+                            $('<span>').text(guard.message)
+                        )
+                    );
+                });
+
+                $tbody.append(
+                    $('<tr>').append(
+                        $('<td>').append(
+                            $('<strong>').text(row.label),
+                            $('<br>'),
+                            $('<span class="description">').text('→ ' + (row.to_state_name || '-'))
+                        ),
+                        $('<td>').append(
+                            $('<span class="simulator-result">')
+                                .addClass(row.allowed ? 'is-allowed' : 'is-blocked')
+                                .text(row.allowed ? i18n.allowed : i18n.blocked),
+                            $('<br>'),
+                            $('<span class="description">').text(row.message)
+                        ),
+                        $('<td>').append($guards)
+                    )
+                );
+            });
+
+            $results.append(
+                $('<table class="wp-list-table widefat striped simulator-table">').append(
+                    $('<thead>').append(
+                        $('<tr>').append(
+                            $('<th>').text(i18n.transition),
+                            $('<th>').text(i18n.result),
+                            $('<th>').text(i18n.guards)
+                        )
+                    ),
+                    $tbody
+                )
+            );
+        },
+
+        /**
+         * Delete transition after showing what depends on it (DeleteImpact)
+         */
+        deleteTransition: function(transitionId, name) {
+            const self = this;
+
+            DeleteImpact.open($.extend({
+                ajaxUrl: self.data.ajaxUrl,
+                nonce: self.data.nonce,
+                impactAction: 'get_transition_delete_impact',
+                deleteAction: 'delete_transition',
+                id: transitionId,
+                name: name
+            }, self.data.deleteImpact)).done(function() {
+                self.table.ajax.reload();
+                self.validateWorkflow();
+                // Silent success - no alert
             });
         }
     };
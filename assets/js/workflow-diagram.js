@@ -0,0 +1,732 @@
+/**
+ * Workflow Diagram JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/workflow-diagram.js
+ *
+ * Description: Renders a state machine as an SVG graph.
+ *              States become nodes (filled with their color),
+ *              transitions become labeled directed edges.
+ *              Layout is computed client-side (layered, left to right),
+ *              no external library or service is used.
+ *
+ * Usage:
+ * ```js
+ * const diagram = WorkflowDiagram.render($('#canvas'), states, transitions);
+ * diagram.fit();
+ *
+ * // Editable canvas with saved node positions (workflow-editor.js)
+ * WorkflowDiagram.render($canvas, states, transitions, { editable: true, positions: saved });
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ *
+ * Changelog:
+ * 1.1.0 - 2026-10-19
+ * - Instance-based drawNodes()/drawEdges() so nodes can be moved
+ * - moveNode() and toDiagramPoint() helpers
+ * - Optional connector handles for editable canvases
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - Layered layout with crossing reduction
+ * - Initial/final state markers
+ * - Pan, zoom and edge highlighting
+ */
+
+(function($) {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const WorkflowDiagram = {
+        /**
+         * Geometry settings (pixels)
+         */
+        nodeWidth: 150,
+        nodeHeight: 44,
+        columnGap: 110,
+        rowGap: 46,
+        padding: 50,
+
+        /**
+         * Compute node positions for the given graph
+         *
+         * States are placed in columns by BFS distance from the initial
+         * state(s). States unreachable from there start new BFS runs so
+         * every state still gets a column.
+         *
+         * @param {Array} states      State objects (id, type, sort_order)
+         * @param {Array} transitions Transition objects (from_state_id, to_state_id)
+         * @return {Object} Map of state ID => {x, y, level}
+         */
+        layout: function(states, transitions) {
+            const self = this;
+            const ids = states.map(function(state) { return String(state.id); });
+            const outgoing = {};
+            const incoming = {};
+
+            ids.forEach(function(id) {
+                outgoing[id] = [];
+                incoming[id] = [];
+            });
+
+            transitions.forEach(function(transition) {
+                const from = String(transition.from_state_id);
+                const to = String(transition.to_state_id);
+                if (outgoing[from] && incoming[to] && from !== to) {
+                    outgoing[from].push(to);
+                    incoming[to].push(from);
+                }
+            });
+
+            // Seed order: initial states, then states without incoming edges, then by sort order
+            const sorted = states.slice().sort(function(a, b) {
+                return (parseInt(a.sort_order, 10) || 0) - (parseInt(b.sort_order, 10) || 0);
+            });
+            const seeds = sorted.filter(function(state) { return state.type === 'initial'; })
+                .concat(sorted.filter(function(state) {
+                    return state.type !== 'initial' && incoming[String(state.id)].length === 0;
+                }))
+                .concat(sorted);
+
+            const levels = {};
+            seeds.forEach(function(seed) {
+                const seedId = String(seed.id);
+                if (levels[seedId] !== undefined) {
+                    return;
+                }
+
+                levels[seedId] = 0;
+                const queue = [seedId];
+                while (queue.length) {
+                    const current = queue.shift();
+                    outgoing[current].forEach(function(next) {
+                        if (levels[next] === undefined) {
+                            levels[next] = levels[current] + 1;
+                            queue.push(next);
+                        }
+                    });
+                }
+            });
+
+            // Group states by level, keeping sort order inside each column
+            const columns = [];
+            sorted.forEach(function(state) {
+                const id = String(state.id);
+                const level = levels[id];
+                columns[level] = columns[level] || [];
+                columns[level].push(id);
+            });
+
+            // Barycenter pass to reduce edge crossings
+            const rowIndex = {};
+            columns.forEach(function(column) {
+                column.forEach(function(id, index) { rowIndex[id] = index; });
+            });
+            for (let level = 1; level < columns.length; level++) {
+                if (!columns[level]) {
+                    continue;
+                }
+                const weight = {};
+                columns[level].forEach(function(id) {
+                    const parents = incoming[id].filter(function(parent) {
+                        return levels[parent] < level;
+                    });
+                    weight[id] = parents.length
+                        ? parents.reduce(function(sum, parent) { return sum + rowIndex[parent]; }, 0) / parents.length
+                        : rowIndex[id];
+                });
+                columns[level].sort(function(a, b) { return weight[a] - weight[b]; });
+                columns[level].forEach(function(id, index) { rowIndex[id] = index; });
+            }
+
+            // Convert to coordinates, centering each column vertically
+            const tallest = columns.reduce(function(max, column) {
+                return Math.max(max, column ? column.length : 0);
+            }, 0);
+            const positions = {};
+            columns.forEach(function(column, level) {
+                if (!column) {
+                    return;
+                }
+                const offset = (tallest - column.length) * (self.nodeHeight + self.rowGap) / 2;
+                column.forEach(function(id, index) {
+                    positions[id] = {
+                        x: self.padding + level * (self.nodeWidth + self.columnGap),
+                        y: self.padding + offset + index * (self.nodeHeight + self.rowGap),
+                        level: level
+                    };
+                });
+            });
+
+            return positions;
+        },
+
+        /**
+         * Render graph into a container
+         *
+         * Options:
+         * - positions: precomputed positions (default: layout())
+         * - editable:  draw connector handles on nodes (used by workflow-editor.js)
+         *
+         * @param {jQuery} $container  Target element (emptied first)
+         * @param {Array}  states      State objects
+         * @param {Array}  transitions Transition objects
+         * @param {Object} options     Render options
+         * @return {Object} Diagram instance
+         */
+        render: function($container, states, transitions, options) {
+            const self = this;
+            options = options || {};
+
+            $container.empty();
+
+            const svg = this.createElement('svg', {
+                'class': 'workflow-diagram-svg' + (options.editable ? ' is-editable' : ''),
+                width: '100%',
+                height: '100%'
+            });
+            svg.appendChild(this.createDefs());
+
+            const viewport = this.createElement('g', { 'class': 'workflow-diagram-viewport' });
+            const edgeLayer = this.createElement('g', { 'class': 'workflow-diagram-edges' });
+            const nodeLayer = this.createElement('g', { 'class': 'workflow-diagram-nodes' });
+            viewport.appendChild(edgeLayer);
+            viewport.appendChild(nodeLayer);
+            svg.appendChild(viewport);
+
+            $container.append(svg);
+
+            const instance = {
+                svg: svg,
+                viewport: viewport,
+                edgeLayer: edgeLayer,
+                nodeLayer: nodeLayer,
+                editable: !!options.editable,
+                states: states,
+                transitions: transitions,
+                positions: $.extend(self.layout(states, transitions), options.positions || {}),
+                scale: 1,
+                translateX: 0,
+                translateY: 0,
+                fit: function() {
+                    self.fit(instance, $container);
+                },
+                redraw: function() {
+                    self.drawNodes(instance);
+                    self.drawEdges(instance);
+                }
+            };
+
+            instance.redraw();
+            this.bindInteractions(instance, $container);
+            instance.fit();
+
+            return instance;
+        },
+
+        /**
+         * (Re)draw all state nodes of an instance
+         *
+         * @param {Object} instance Diagram instance
+         */
+        drawNodes: function(instance) {
+            const self = this;
+            $(instance.nodeLayer).empty();
+
+            instance.states.forEach(function(state) {
+                const id = String(state.id);
+                if (!instance.positions[id]) {
+                    return;
+                }
+                const node = self.createNode(state, instance.positions[id]);
+                if (instance.editable) {
+                    node.appendChild(self.createElement('circle', {
+                        'class': 'workflow-node-handle',
+                        cx: self.nodeWidth,
+                        cy: self.nodeHeight / 2,
+                        r: 6
+                    }));
+                }
+                instance.nodeLayer.appendChild(node);
+            });
+        },
+
+        /**
+         * (Re)draw all transition edges of an instance
+         * Called after nodes move so edges follow them.
+         *
+         * @param {Object} instance Diagram instance
+         */
+        drawEdges: function(instance) {
+            const self = this;
+            const positions = instance.positions;
+            $(instance.edgeLayer).empty();
+
+            // Pair counts so opposite edges between two states can be bent apart
+            const pairs = {};
+            instance.transitions.forEach(function(transition) {
+                const key = self.pairKey(transition.from_state_id, transition.to_state_id);
+                pairs[key] = (pairs[key] || 0) + 1;
+            });
+
+            const pairSeen = {};
+            instance.transitions.forEach(function(transition) {
+                const from = String(transition.from_state_id);
+                const to = String(transition.to_state_id);
+                if (!positions[from] || !positions[to]) {
+                    return;
+                }
+                const key = self.pairKey(from, to);
+                pairSeen[key] = (pairSeen[key] || 0) + 1;
+                instance.edgeLayer.appendChild(self.createEdge(transition, positions, pairs[key], pairSeen[key]));
+            });
+        },
+
+        /**
+         * Move a node and redraw its edges
+         *
+         * @param {Object} instance Diagram instance
+         * @param {string} id       State ID
+         * @param {number} x        Diagram X
+         * @param {number} y        Diagram Y
+         */
+        moveNode: function(instance, id, x, y) {
+            const position = instance.positions[String(id)];
+            if (!position) {
+                return;
+            }
+            position.x = x;
+            position.y = y;
+            $(instance.nodeLayer).find('.workflow-node[data-id="' + id + '"]')
+                .attr('transform', 'translate(' + x + ',' + y + ')');
+            this.drawEdges(instance);
+        },
+
+        /**
+         * Convert page coordinates to diagram coordinates (undo pan/zoom)
+         *
+         * @param {Object} instance Diagram instance
+         * @param {number} pageX    Mouse page X
+         * @param {number} pageY    Mouse page Y
+         * @return {Object} {x, y}
+         */
+        toDiagramPoint: function(instance, pageX, pageY) {
+            const offset = $(instance.svg).offset();
+            return {
+                x: (pageX - offset.left - instance.translateX) / instance.scale,
+                y: (pageY - offset.top - instance.translateY) / instance.scale
+            };
+        },
+
+        /**
+         * Build <defs> with arrow markers
+         *
+         * @return {SVGElement}
+         */
+        createDefs: function() {
+            const defs = this.createElement('defs');
+
+            [['workflow-arrow', 'workflow-arrow'], ['workflow-arrow-active', 'workflow-arrow is-active']].forEach(function(marker) {
+                const el = WorkflowDiagram.createElement('marker', {
+                    id: marker[0],
+                    viewBox: '0 0 10 10',
+                    refX: 9,
+                    refY: 5,
+                    markerWidth: 8,
+                    markerHeight: 8,
+                    orient: 'auto-start-reverse'
+                });
+                el.appendChild(WorkflowDiagram.createElement('path', {
+                    d: 'M 0 0 L 10 5 L 0 10 z',
+                    'class': marker[1]
+                }));
+                defs.appendChild(el);
+            });
+
+            return defs;
+        },
+
+        /**
+         * Build a node group for a state
+         *
+         * @param {Object} state    State object
+         * @param {Object} position {x, y}
+         * @return {SVGElement}
+         */
+        createNode: function(state, position) {
+            const w = this.nodeWidth;
+            const h = this.nodeHeight;
+            const color = state.color || '#cccccc';
+            const type = state.type || 'normal';
+
+            const group = this.createElement('g', {
+                'class': 'workflow-node workflow-node-' + type,
+                'data-id': state.id,
+                transform: 'translate(' + position.x + ',' + position.y + ')'
+            });
+
+            // Final states get a double border
+            if (type === 'final') {
+                group.appendChild(this.createElement('rect', {
+                    'class': 'workflow-node-outer',
+                    x: -4, y: -4, width: w + 8, height: h + 8, rx: 12, ry: 12
+                }));
+            }
+
+            // Initial states get an entry dot with an arrow
+            if (type === 'initial') {
+                group.appendChild(this.createElement('circle', {
+                    'class': 'workflow-node-start',
+                    cx: -30, cy: h / 2, r: 7
+                }));
+                group.appendChild(this.createElement('line', {
+                    'class': 'workflow-node-start-line',
+                    x1: -23, y1: h / 2, x2: -2, y2: h / 2,
+                    'marker-end': 'url(#workflow-arrow)'
+                }));
+            }
+
+            group.appendChild(this.createElement('rect', {
+                'class': 'workflow-node-body',
+                x: 0, y: 0, width: w, height: h, rx: 8, ry: 8,
+                fill: color
+            }));
+
+            const label = this.createElement('text', {
+                'class': 'workflow-node-label',
+                x: w / 2,
+                y: h / 2,
+                fill: this.getContrastColor(color)
+            });
+            label.textContent = this.truncate(this.decode(state.name), 20);
+            group.appendChild(label);
+
+            const title = this.createElement('title');
+            title.textContent = this.decode(state.name) + ' (' + type + ')';
+            group.appendChild(title);
+
+            return group;
+        },
+
+        /**
+         * Build an edge group for a transition
+         *
+         * @param {Object} transition Transition object
+         * @param {Object} positions  Node positions
+         * @param {number} pairTotal  Number of edges between the same two states
+         * @param {number} pairIndex  1-based index of this edge in its pair
+         * @return {SVGElement}
+         */
+        createEdge: function(transition, positions, pairTotal, pairIndex) {
+            const from = String(transition.from_state_id);
+            const to = String(transition.to_state_id);
+            const source = positions[from];
+            const target = positions[to];
+            const w = this.nodeWidth;
+            const h = this.nodeHeight;
+            let d;
+            let labelX;
+            let labelY;
+
+            if (from === to) {
+                // Self loop above the node
+                const x = source.x + w / 2;
+                const y = source.y;
+                d = 'M ' + (x - 18) + ' ' + y +
+                    ' C ' + (x - 40) + ' ' + (y - 55) + ', ' + (x + 40) + ' ' + (y - 55) + ', ' + (x + 18) + ' ' + y;
+                labelX = x;
+                labelY = y - 46;
+            } else {
+                const sx = source.x + w / 2;
+                const sy = source.y + h / 2;
+                const tx = target.x + w / 2;
+                const ty = target.y + h / 2;
+
+                // Bend is perpendicular to the edge direction, so A→B and B→A
+                // with the same bend end up on opposite sides.
+                let bend = pairTotal > 1 ? 22 * pairIndex : 0;
+                if (target.x <= source.x) {
+                    // Backward or same-column edges route around the nodes in between
+                    bend += target.x === source.x ? 45 : 60;
+                }
+
+                const mx = (sx + tx) / 2;
+                const my = (sy + ty) / 2;
+                const length = Math.sqrt((tx - sx) * (tx - sx) + (ty - sy) * (ty - sy)) || 1;
+                const cx = mx - (ty - sy) / length * bend * 2;
+                const cy = my + (tx - sx) / length * bend * 2;
+
+                const start = this.clipToNode(source, cx, cy);
+                const end = this.clipToNode(target, cx, cy);
+
+                d = 'M ' + start.x + ' ' + start.y + ' Q ' + cx + ' ' + cy + ' ' + end.x + ' ' + end.y;
+
+                // Point at t = 0.5 on the quadratic curve
+                labelX = 0.25 * start.x + 0.5 * cx + 0.25 * end.x;
+                labelY = 0.25 * start.y + 0.5 * cy + 0.25 * end.y;
+            }
+
+            const group = this.createElement('g', {
+                'class': 'workflow-edge',
+                'data-id': transition.id,
+                'data-from': from,
+                'data-to': to
+            });
+
+            // Wide invisible path makes the edge easier to hover/click
+            group.appendChild(this.createElement('path', { 'class': 'workflow-edge-hit', d: d }));
+            group.appendChild(this.createElement('path', {
+                'class': 'workflow-edge-line',
+                d: d,
+                'marker-end': 'url(#workflow-arrow)'
+            }));
+
+            const label = this.createElement('text', {
+                'class': 'workflow-edge-label',
+                x: labelX,
+                y: labelY
+            });
+            label.textContent = this.truncate(this.decode(transition.label), 24);
+            group.appendChild(label);
+
+            const title = this.createElement('title');
+            title.textContent = this.decode(transition.label) +
+                (transition.guard_class && transition.guard_class !== '-' ? ' [' + this.decode(transition.guard_class) + ']' : '');
+            group.appendChild(title);
+
+            return group;
+        },
+
+        /**
+         * Find the point where a line from (px, py) to the node center meets the node border
+         *
+         * @param {Object} node Node position
+         * @param {number} px   Outside point X
+         * @param {number} py   Outside point Y
+         * @return {Object} {x, y}
+         */
+        clipToNode: function(node, px, py) {
+            const cx = node.x + this.nodeWidth / 2;
+            const cy = node.y + this.nodeHeight / 2;
+            const dx = px - cx;
+            const dy = py - cy;
+            const halfW = this.nodeWidth / 2 + 2;
+            const halfH = this.nodeHeight / 2 + 2;
+
+            if (dx === 0 && dy === 0) {
+                return { x: cx, y: cy };
+            }
+
+            const scale = Math.min(
+                dx !== 0 ? halfW / Math.abs(dx) : Infinity,
+                dy !== 0 ? halfH / Math.abs(dy) : Infinity
+            );
+
+            return { x: cx + dx * scale, y: cy + dy * scale };
+        },
+
+        /**
+         * Scale and center the graph inside its container
+         *
+         * @param {Object} instance   Diagram instance
+         * @param {jQuery} $container Container element
+         */
+        fit: function(instance, $container) {
+            const box = instance.viewport.getBBox();
+            const width = $container.width() || 800;
+            const height = $container.height() || 500;
+
+            if (!box.width || !box.height) {
+                return;
+            }
+
+            const scale = Math.min(1.25, (width - 40) / box.width, (height - 40) / box.height);
+            instance.scale = scale;
+            instance.translateX = (width - box.width * scale) / 2 - box.x * scale;
+            instance.translateY = (height - box.height * scale) / 2 - box.y * scale;
+            this.applyTransform(instance);
+        },
+
+        /**
+         * Apply current pan/zoom to the viewport group
+         *
+         * @param {Object} instance Diagram instance
+         */
+        applyTransform: function(instance) {
+            instance.viewport.setAttribute(
+                'transform',
+                'translate(' + instance.translateX + ',' + instance.translateY + ') scale(' + instance.scale + ')'
+            );
+        },
+
+        /**
+         * Bind pan, zoom and highlight handlers
+         *
+         * @param {Object} instance   Diagram instance
+         * @param {jQuery} $container Container element
+         */
+        bindInteractions: function(instance, $container) {
+            const self = this;
+            const $svg = $(instance.svg);
+            let panning = null;
+
+            // Zoom around the cursor
+            $svg.on('wheel', function(e) {
+                e.preventDefault();
+                const offset = $svg.offset();
+                const mouseX = e.originalEvent.pageX - offset.left;
+                const mouseY = e.originalEvent.pageY - offset.top;
+                const factor = e.originalEvent.deltaY < 0 ? 1.1 : 1 / 1.1;
+                const scale = Math.min(3, Math.max(0.2, instance.scale * factor));
+                const ratio = scale / instance.scale;
+
+                instance.translateX = mouseX - (mouseX - instance.translateX) * ratio;
+                instance.translateY = mouseY - (mouseY - instance.translateY) * ratio;
+                instance.scale = scale;
+                self.applyTransform(instance);
+            });
+
+            // Pan by dragging empty canvas
+            $svg.on('mousedown', function(e) {
+                if (e.which !== 1 || $(e.target).closest('.workflow-node, .workflow-edge').length) {
+                    return;
+                }
+                panning = { x: e.pageX - instance.translateX, y: e.pageY - instance.translateY };
+                $container.addClass('is-panning');
+            });
+
+            $(document).on('mousemove.workflowDiagram', function(e) {
+                if (!panning) {
+                    return;
+                }
+                instance.translateX = e.pageX - panning.x;
+                instance.translateY = e.pageY - panning.y;
+                self.applyTransform(instance);
+            }).on('mouseup.workflowDiagram', function() {
+                panning = null;
+                $container.removeClass('is-panning');
+            });
+
+            // Highlight edges connected to the hovered node
+            $svg.on('mouseenter', '.workflow-node', function() {
+                const id = String($(this).data('id'));
+                $svg.find('.workflow-edge').each(function() {
+                    const $edge = $(this);
+                    const active = String($edge.data('from')) === id || String($edge.data('to')) === id;
+                    self.setEdgeActive($edge, active);
+                });
+                $svg.addClass('has-focus');
+            }).on('mouseleave', '.workflow-node', function() {
+                $svg.removeClass('has-focus');
+                $svg.find('.workflow-edge').each(function() {
+                    self.setEdgeActive($(this), false);
+                });
+            });
+
+            $svg.on('mouseenter', '.workflow-edge', function() {
+                self.setEdgeActive($(this), true);
+            }).on('mouseleave', '.workflow-edge', function() {
+                if (!$svg.hasClass('has-focus')) {
+                    self.setEdgeActive($(this), false);
+                }
+            });
+        },
+
+        /**
+         * Toggle edge highlight state
+         *
+         * @param {jQuery}  $edge  Edge group
+         * @param {boolean} active Highlight on/off
+         */
+        setEdgeActive: function($edge, active) {
+            $edge.toggleClass('is-active', active);
+            $edge.find('.workflow-edge-line').attr(
+                'marker-end',
+                active ? 'url(#workflow-arrow-active)' : 'url(#workflow-arrow)'
+            );
+        },
+
+        /**
+         * Remove document-level handlers bound by bindInteractions()
+         */
+        destroy: function() {
+            $(document).off('.workflowDiagram');
+        },
+
+        // ========================================
+        // UTILITY METHODS
+        // ========================================
+
+        /**
+         * Create an SVG element with attributes
+         *
+         * @param {string} name  Tag name
+         * @param {Object} attrs Attributes
+         * @return {SVGElement}
+         */
+        createElement: function(name, attrs) {
+            const el = document.createElementNS(SVG_NS, name);
+            $.each(attrs || {}, function(key, value) {
+                el.setAttribute(key, value);
+            });
+            return el;
+        },
+
+        /**
+         * Order-independent key for a pair of states
+         */
+        pairKey: function(a, b) {
+            a = String(a);
+            b = String(b);
+            return a < b ? a + ':' + b : b + ':' + a;
+        },
+
+        /**
+         * Pick black or white text for a background color
+         *
+         * @param {string} hex Background color (#rrggbb)
+         * @return {string} Text color
+         */
+        getContrastColor: function(hex) {
+            const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+            if (!match) {
+                return '#1d2327';
+            }
+            const r = parseInt(match[1], 16);
+            const g = parseInt(match[2], 16);
+            const b = parseInt(match[3], 16);
+            return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#1d2327' : '#ffffff';
+        },
+
+        /**
+         * Decode HTML entities (DataTable responses are already escaped)
+         *
+         * @param {string} text Possibly escaped text
+         * @return {string} Plain text
+         */
+        decode: function(text) {
+            if (text === null || text === undefined) {
+                return '';
+            }
+            return $('<textarea>').html(String(text)).text();
+        },
+
+        /**
+         * Shorten long labels to keep nodes readable
+         */
+        truncate: function(text, max) {
+            return text.length > max ? text.substring(0, max - 1) + '…' : text;
+        }
+    };
+
+    // Expose for page scripts (machines.js)
+    window.WorkflowDiagram = WorkflowDiagram;
+
+})(jQuery);
@@ -0,0 +1,764 @@
+/**
+ * Workflow Editor JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/workflow-editor.js
+ *
+ * Description: Drag-and-drop canvas editor for a machine's states and
+ *              transitions, built on top of WorkflowDiagram.
+ *              - Drag a state to move it (positions kept in localStorage)
+ *              - Drag from a state's handle onto another state to create
+ *                a transition (create_transition)
+ *              - Double-click a state to edit its fields (update_state)
+ *              - Click a transition to edit it, Delete key or the panel
+ *                button removes it (delete_transition)
+ *
+ * Usage:
+ * ```js
+ * WorkflowEditor.open(machineId, {
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     i18n: data.i18n.editor
+ * });
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ * - WorkflowDiagram (workflow-diagram.js)
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - Node dragging and connect-to-create transitions
+ * - State and transition side panel
+ * - Transition deletion via panel or Delete key
+ */
+
+(function($) {
+    'use strict';
+
+    const WorkflowEditor = {
+        /**
+         * Editor configuration (ajaxUrl, nonce, i18n)
+         */
+        config: null,
+
+        /**
+         * Machine being edited
+         */
+        machineId: null,
+
+        /**
+         * Loaded graph data
+         */
+        states: [],
+        transitions: [],
+
+        /**
+         * WorkflowDiagram instance
+         */
+        diagram: null,
+
+        /**
+         * Current selection: {type: 'state'|'transition', id}
+         */
+        selection: null,
+
+        /**
+         * Active drag operation (move or connect)
+         */
+        drag: null,
+
+        /**
+         * Canvas element
+         */
+        $canvas: null,
+
+        /**
+         * Open the editor for a machine
+         *
+         * @param {number} machineId Machine ID
+         * @param {Object} config    Editor configuration
+         */
+        open: function(machineId, config) {
+            this.config = config;
+            this.machineId = machineId;
+            this.selection = null;
+            this.$canvas = $('#workflow-editor-canvas');
+
+            this.unbindEvents();
+            this.bindEvents();
+            this.closePanel();
+            this.showNotice('');
+
+            $('#editor-machine-modal').fadeIn();
+            this.load();
+        },
+
+        /**
+         * Close editor and release handlers
+         */
+        close: function() {
+            this.unbindEvents();
+            WorkflowDiagram.destroy();
+            this.diagram = null;
+        },
+
+        /**
+         * Load states and transitions, then render
+         */
+        load: function() {
+            const self = this;
+            const i18n = self.config.i18n;
+
+            if (!self.diagram) {
+                self.$canvas.html('<p class="workflow-diagram-message">' + i18n.loading + '</p>');
+            }
+
+            $.when(
+                $.post(self.config.ajaxUrl, {
+                    action: 'get_states_by_machine',
+                    nonce: self.config.nonce,
+                    machine_id: self.machineId
+                }),
+                $.post(self.config.ajaxUrl, {
+                    action: 'handle_transition_datatable',
+                    nonce: self.config.nonce,
+                    machine_id: self.machineId,
+                    draw: 1,
+                    start: 0,
+                    length: -1
+                })
+            ).done(function(statesRes, transitionsRes) {
+                if (!statesRes[0].success || !transitionsRes[0].data) {
+                    self.$canvas.html('<p class="workflow-diagram-message">' + i18n.loadError + '</p>');
+                    return;
+                }
+
+                self.states = statesRes[0].data || [];
+                self.transitions = transitionsRes[0].data || [];
+                self.render();
+            }).fail(function() {
+                self.$canvas.html('<p class="workflow-diagram-message">' + i18n.loadError + '</p>');
+            });
+        },
+
+        /**
+         * Render (or re-render) the diagram, keeping pan/zoom
+         */
+        render: function() {
+            const previous = this.diagram;
+
+            WorkflowDiagram.destroy();
+            this.diagram = WorkflowDiagram.render(this.$canvas, this.states, this.transitions, {
+                editable: true,
+                positions: this.getSavedPositions()
+            });
+
+            if (previous) {
+                this.diagram.scale = previous.scale;
+                this.diagram.translateX = previous.translateX;
+                this.diagram.translateY = previous.translateY;
+                WorkflowDiagram.applyTransform(this.diagram);
+            }
+
+            this.highlightSelection();
+        },
+
+        /**
+         * Bind canvas, toolbar and panel handlers (namespaced)
+         */
+        bindEvents: function() {
+            const self = this;
+            const $canvas = this.$canvas;
+
+            // Move node / start connection
+            $canvas.on('mousedown.workflowEditor', '.workflow-node', function(e) {
+                if (e.which !== 1 || !self.diagram) {
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+
+                const id = String($(this).data('id'));
+                const point = WorkflowDiagram.toDiagramPoint(self.diagram, e.pageX, e.pageY);
+
+                if ($(e.target).hasClass('workflow-node-handle')) {
+                    self.startConnect(id, point);
+                } else {
+                    const position = self.diagram.positions[id];
+                    self.drag = {
+                        type: 'move',
+                        id: id,
+                        offsetX: point.x - position.x,
+                        offsetY: point.y - position.y,
+                        moved: false
+                    };
+                }
+            });
+
+            $(document).on('mousemove.workflowEditor', function(e) {
+                if (!self.drag || !self.diagram) {
+                    return;
+                }
+                const point = WorkflowDiagram.toDiagramPoint(self.diagram, e.pageX, e.pageY);
+
+                if (self.drag.type === 'move') {
+                    self.drag.moved = true;
+                    WorkflowDiagram.moveNode(
+                        self.diagram,
+                        self.drag.id,
+                        Math.round(point.x - self.drag.offsetX),
+                        Math.round(point.y - self.drag.offsetY)
+                    );
+                    self.highlightSelection();
+                } else {
+                    self.updateConnectLine(point);
+                    const $target = $(e.target).closest('.workflow-node');
+                    $canvas.find('.workflow-node').removeClass('is-drop-target');
+                    if ($target.length && String($target.data('id')) !== self.drag.id) {
+                        $target.addClass('is-drop-target');
+                    }
+                }
+            });
+
+            $(document).on('mouseup.workflowEditor', function(e) {
+                if (!self.drag) {
+                    return;
+                }
+                const drag = self.drag;
+                self.drag = null;
+
+                if (drag.type === 'move') {
+                    if (drag.moved) {
+                        self.savePositions();
+                    }
+                    return;
+                }
+
+                $(self.diagram.viewport).find('.workflow-connect-line').remove();
+                $canvas.find('.workflow-node').removeClass('is-drop-target');
+
+                const $target = $(e.target).closest('.workflow-node');
+                if ($target.length && String($target.data('id')) !== drag.id) {
+                    self.createTransition(drag.id, String($target.data('id')));
+                }
+            });
+
+            // Select / edit
+            $canvas.on('click.workflowEditor', '.workflow-node', function() {
+                self.select('state', String($(this).data('id')));
+            });
+
+            $canvas.on('dblclick.workflowEditor', '.workflow-node', function() {
+                self.editState(String($(this).data('id')));
+            });
+
+            $canvas.on('click.workflowEditor', function(e) {
+                if (!$(e.target).closest('.workflow-node, .workflow-edge').length) {
+                    self.select(null, null);
+                }
+            });
+
+            $canvas.on('click.workflowEditor', '.workflow-edge', function(e) {
+                e.stopPropagation();
+                self.editTransition(String($(this).data('id')));
+            });
+
+            // Delete selected transition with the keyboard
+            $(document).on('keydown.workflowEditor', function(e) {
+                if ((e.key === 'Delete' || e.key === 'Backspace') &&
+                    !$(e.target).is('input, textarea, select') &&
+                    self.selection && self.selection.type === 'transition') {
+                    e.preventDefault();
+                    self.deleteTransition(self.selection.id);
+                }
+            });
+
+            // Toolbar
+            $('#btn-editor-add-state').on('click.workflowEditor', function() {
+                self.newState();
+            });
+
+            $('#btn-editor-auto-layout').on('click.workflowEditor', function() {
+                self.clearSavedPositions();
+                self.render();
+                self.diagram.fit();
+            });
+
+            $('#btn-editor-fit').on('click.workflowEditor', function() {
+                if (self.diagram) {
+                    self.diagram.fit();
+                }
+            });
+
+            // Panel
+            $('#editor-state-name').on('input.workflowEditor', function() {
+                if (!$('#editor-state-id').val()) {
+                    $('#editor-state-slug').val(self.generateSlug($(this).val()));
+                }
+            });
+
+            $('#btn-editor-save-state').on('click.workflowEditor', function() {
+                self.saveState();
+            });
+
+            $('#btn-editor-save-transition').on('click.workflowEditor', function() {
+                self.saveTransition();
+            });
+
+            $('#btn-editor-delete-transition').on('click.workflowEditor', function() {
+                self.deleteTransition($('#editor-transition-id').val());
+            });
+
+            $('.btn-editor-close-panel').on('click.workflowEditor', function() {
+                self.closePanel();
+            });
+        },
+
+        /**
+         * Remove all editor handlers
+         */
+        unbindEvents: function() {
+            $(document).off('.workflowEditor');
+            $('#editor-machine-modal').find('*').off('.workflowEditor');
+        },
+
+        // ========================================
+        // CONNECT (CREATE TRANSITION)
+        // ========================================
+
+        /**
+         * Start dragging a new connection from a state
+         *
+         * @param {string} fromId Source state ID
+         * @param {Object} point  Diagram point
+         */
+        startConnect: function(fromId, point) {
+            const position = this.diagram.positions[fromId];
+            this.drag = {
+                type: 'connect',
+                id: fromId,
+                startX: position.x + WorkflowDiagram.nodeWidth,
+                startY: position.y + WorkflowDiagram.nodeHeight / 2
+            };
+
+            const line = WorkflowDiagram.createElement('path', {
+                'class': 'workflow-connect-line',
+                'marker-end': 'url(#workflow-arrow-active)'
+            });
+            this.diagram.viewport.appendChild(line);
+            this.updateConnectLine(point);
+        },
+
+        /**
+         * Update the temporary connection line
+         *
+         * @param {Object} point Diagram point under the cursor
+         */
+        updateConnectLine: function(point) {
+            $(this.diagram.viewport).find('.workflow-connect-line').attr(
+                'd',
+                'M ' + this.drag.startX + ' ' + this.drag.startY + ' L ' + point.x + ' ' + point.y
+            );
+        },
+
+        /**
+         * Create a transition between two states
+         * Label defaults to the target state name and can be renamed right after.
+         *
+         * @param {string} fromId Source state ID
+         * @param {string} toId   Target state ID
+         */
+        createTransition: function(fromId, toId) {
+            const self = this;
+            const target = this.findState(toId);
+
+            $.post(self.config.ajaxUrl, {
+                action: 'create_transition',
+                nonce: self.config.nonce,
+                machine_id: self.machineId,
+                from_state_id: fromId,
+                to_state_id: toId,
+                label: target ? target.name : self.config.i18n.newTransition,
+                guard_class: '',
+                sort_order: self.transitions.length
+            }).done(function(response) {
+                if (response.success) {
+                    self.showNotice(response.data.message, 'success');
+                    self.load();
+                    self.editTransition(String(response.data.id));
+                } else {
+                    self.showNotice(self.formatError(response), 'error');
+                }
+            }).fail(function() {
+                self.showNotice(self.config.i18n.saveError, 'error');
+            });
+        },
+
+        // ========================================
+        // STATE PANEL
+        // ========================================
+
+        /**
+         * Open panel with a blank state form
+         */
+        newState: function() {
+            $('#editor-state-form')[0].reset();
+            $('#editor-state-id').val('');
+            $('#editor-state-slug').prop('readonly', false);
+            $('#editor-state-color').val('#3498db');
+            $('#editor-state-sort-order').val(this.states.length);
+            $('#editor-state-panel-title').text(this.config.i18n.addState);
+            this.select(null, null);
+            this.openPanel('state');
+            $('#editor-state-name').trigger('focus');
+        },
+
+        /**
+         * Open panel with an existing state's fields
+         *
+         * @param {string} id State ID
+         */
+        editState: function(id) {
+            const state = this.findState(id);
+            if (!state) {
+                return;
+            }
+
+            $('#editor-state-id').val(state.id);
+            $('#editor-state-name').val(state.name);
+            $('#editor-state-slug').val(state.slug).prop('readonly', true);
+            $('#editor-state-type').val(state.type);
+            $('#editor-state-color').val(state.color || '#3498db');
+            $('#editor-state-sort-order').val(state.sort_order);
+            $('#editor-state-panel-title').text(this.config.i18n.editState);
+            this.select('state', id);
+            this.openPanel('state');
+        },
+
+        /**
+         * Create or update the state in the panel
+         */
+        saveState: function() {
+            const self = this;
+            const id = $('#editor-state-id').val();
+            const existing = id ? this.findState(id) : null;
+
+            $.post(self.config.ajaxUrl, {
+                action: id ? 'update_state' : 'create_state',
+                nonce: self.config.nonce,
+                id: id,
+                machine_id: self.machineId,
+                name: $('#editor-state-name').val(),
+                slug: $('#editor-state-slug').val(),
+                type: $('#editor-state-type').val(),
+                color: $('#editor-state-color').val(),
+                sort_order: $('#editor-state-sort-order').val(),
+                // Keep metadata untouched, update_state overwrites it otherwise
+                metadata: existing && existing.metadata ? existing.metadata : ''
+            }).done(function(response) {
+                if (response.success) {
+                    self.showNotice(response.data.message, 'success');
+
+                    // Place a new state in the middle of the visible canvas
+                    if (!id && response.data.id && self.diagram) {
+                        const offset = self.$canvas.offset();
+                        const center = WorkflowDiagram.toDiagramPoint(
+                            self.diagram,
+                            offset.left + self.$canvas.width() / 2,
+                            offset.top + self.$canvas.height() / 2
+                        );
+                        self.savePositions();
+                        const saved = self.getSavedPositions();
+                        saved[response.data.id] = {
+                            x: Math.round(center.x - WorkflowDiagram.nodeWidth / 2),
+                            y: Math.round(center.y - WorkflowDiagram.nodeHeight / 2)
+                        };
+                        self.storePositions(saved);
+                    }
+
+                    self.closePanel();
+                    self.load();
+                } else {
+                    self.showNotice(self.formatError(response), 'error');
+                }
+            }).fail(function() {
+                self.showNotice(self.config.i18n.saveError, 'error');
+            });
+        },
+
+        // ========================================
+        // TRANSITION PANEL
+        // ========================================
+
+        /**
+         * Open panel with a transition's fields
+         * Fetched via show_transition to get unescaped values and metadata.
+         *
+         * @param {string} id Transition ID
+         */
+        editTransition: function(id) {
+            const self = this;
+            self.select('transition', id);
+
+            $.post(self.config.ajaxUrl, {
+                action: 'show_transition',
+                nonce: self.config.nonce,
+                id: id
+            }, function(response) {
+                if (!response.success) {
+                    self.showNotice(response.data.message, 'error');
+                    return;
+                }
+
+                const transition = response.data.data;
+                $('#editor-transition-id').val(transition.id);
+                $('#editor-transition-route').text(
+                    (transition.from_state_name || '-') + ' → ' + (transition.to_state_name || '-')
+                );
+                $('#editor-transition-label').val(transition.label);
+                $('#editor-transition-guard-class').val(transition.guard_class || '');
+                $('#editor-transition-sort-order').val(transition.sort_order);
+                $('#editor-transition-metadata').val(transition.metadata || '');
+                self.openPanel('transition');
+                $('#editor-transition-label').trigger('focus').trigger('select');
+            });
+        },
+
+        /**
+         * Update the transition in the panel
+         */
+        saveTransition: function() {
+            const self = this;
+
+            $.post(self.config.ajaxUrl, {
+                action: 'update_transition',
+                nonce: self.config.nonce,
+                id: $('#editor-transition-id').val(),
+                label: $('#editor-transition-label').val(),
+                guard_class: $('#editor-transition-guard-class').val(),
+                sort_order: $('#editor-transition-sort-order').val(),
+                metadata: $('#editor-transition-metadata').val()
+            }).done(function(response) {
+                if (response.success) {
+                    self.showNotice(response.data.message, 'success');
+                    self.closePanel();
+                    self.load();
+                } else {
+                    self.showNotice(self.formatError(response), 'error');
+                }
+            }).fail(function() {
+                self.showNotice(self.config.i18n.saveError, 'error');
+            });
+        },
+
+        /**
+         * Delete a transition
+         *
+         * @param {string} id Transition ID
+         */
+        deleteTransition: function(id) {
+            const self = this;
+
+            if (!id || !confirm(self.config.i18n.confirmDeleteTransition)) {
+                return;
+            }
+
+            $.post(self.config.ajaxUrl, {
+                action: 'delete_transition',
+                nonce: self.config.nonce,
+                id: id
+            }, function(response) {
+                if (response.success) {
+                    self.showNotice(response.data.message, 'success');
+                    self.closePanel();
+                    self.select(null, null);
+                    self.load();
+                } else {
+                    self.showNotice(response.data.message, 'error');
+                }
+            });
+        },
+
+        // ========================================
+        // SELECTION & PANEL HELPERS
+        // ========================================
+
+        /**
+         * Set current selection and highlight it
+         *
+         * @param {string|null} type 'state', 'transition' or null
+         * @param {string|null} id   Selected ID
+         */
+        select: function(type, id) {
+            this.selection = type ? { type: type, id: String(id) } : null;
+            this.highlightSelection();
+        },
+
+        /**
+         * Apply selection classes to the diagram
+         */
+        highlightSelection: function() {
+            if (!this.diagram) {
+                return;
+            }
+            const $svg = $(this.diagram.svg);
+            $svg.find('.workflow-node, .workflow-edge').removeClass('is-selected');
+
+            if (this.selection) {
+                const selector = this.selection.type === 'state' ? '.workflow-node' : '.workflow-edge';
+                $svg.find(selector + '[data-id="' + this.selection.id + '"]').addClass('is-selected');
+            }
+        },
+
+        /**
+         * Show the state or transition form in the side panel
+         *
+         * @param {string} type 'state' or 'transition'
+         */
+        openPanel: function(type) {
+            $('.workflow-editor-panel-section').hide();
+            $('#editor-' + type + '-panel').show();
+            $('#editor-machine-modal').addClass('has-panel');
+        },
+
+        /**
+         * Hide the side panel
+         */
+        closePanel: function() {
+            $('.workflow-editor-panel-section').hide();
+            $('#editor-machine-modal').removeClass('has-panel');
+        },
+
+        /**
+         * Show a message above the canvas
+         *
+         * @param {string} message Text (empty clears)
+         * @param {string} type    'success' or 'error'
+         */
+        showNotice: function(message, type) {
+            const $notice = $('#workflow-editor-notice');
+            if (!message) {
+                $notice.hide().empty();
+                return;
+            }
+            $notice
+                .removeClass('notice-success notice-error')
+                .addClass(type === 'error' ? 'notice-error' : 'notice-success')
+                .html($('<p>').text(message))
+                .show();
+        },
+
+        /**
+         * Build error text from an AJAX error response
+         *
+         * @param {Object} response JSON response
+         * @return {string}
+         */
+        formatError: function(response) {
+            let message = response.data && response.data.message ? response.data.message : this.config.i18n.saveError;
+            if (response.data && response.data.errors) {
+                message += ' ' + Object.values(response.data.errors).join(' ');
+            }
+            return message;
+        },
+
+        // ========================================
+        // POSITION STORAGE
+        // ========================================
+
+        /**
+         * localStorage key for this machine's layout
+         */
+        getStorageKey: function() {
+            return 'wpStateMachineEditorLayout_' + this.machineId;
+        },
+
+        /**
+         * Get saved node positions
+         *
+         * @return {Object} Map of state ID => {x, y}
+         */
+        getSavedPositions: function() {
+            try {
+                return JSON.parse(window.localStorage.getItem(this.getStorageKey())) || {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        /**
+         * Save current diagram positions
+         */
+        savePositions: function() {
+            if (!this.diagram) {
+                return;
+            }
+            const positions = {};
+            $.each(this.diagram.positions, function(id, position) {
+                positions[id] = { x: position.x, y: position.y };
+            });
+            this.storePositions(positions);
+        },
+
+        /**
+         * Write positions to localStorage
+         *
+         * @param {Object} positions Map of state ID => {x, y}
+         */
+        storePositions: function(positions) {
+            try {
+                window.localStorage.setItem(this.getStorageKey(), JSON.stringify(positions));
+            } catch (e) {
+                // Storage full or disabled - layout simply won't persist
+            }
+        },
+
+        /**
+         * Forget saved positions (auto layout)
+         */
+        clearSavedPositions: function() {
+            try {
+                window.localStorage.removeItem(this.getStorageKey());
+            } catch (e) {
+                // Ignore
+            }
+        },
+
+        // ========================================
+        // UTILITY METHODS
+        // ========================================
+
+        /**
+         * Find a loaded state by ID
+         *
+         * @param {string} id State ID
+         * @return {Object|null}
+         */
+        findState: function(id) {
+            return this.states.find(function(state) {
+                return String(state.id) === String(id);
+            }) || null;
+        },
+
+        /**
+         * Generate slug from name (same rules as machines.js/states.js)
+         */
+        generateSlug: function(name) {
+            return name
+                .toLowerCase()
+                .replace(/[^a-z0-9-_]/g, '-')
+                .replace(/-+/g, '-')
+                .replace(/^-|-$/g, '');
+        }
+    };
+
+    // Expose for page scripts (machines.js)
+    window.WorkflowEditor = WorkflowEditor;
+
+})(jQuery);
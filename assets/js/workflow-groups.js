@@ -3,7 +3,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Assets/JS
- * @version     1.0.1
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/assets/js/workflow-groups.js
@@ -15,9 +15,21 @@
  * Dependencies:
  * - jQuery
  * - DataTables
+ * - TableBulkActions (table-bulk-actions.js)
+ * - DeleteImpact (delete-impact.js)
+ * - TableTrash (table-trash.js)
  * - wpStateMachineWorkflowGroupsData (localized script)
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - All / Trash views with restore and delete permanently (TableTrash)
+ *
+ * 1.2.0 - 2026-10-19
+ * - Delete shows what depends on the row and offers block/reassign/cascade options (DeleteImpact)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Row checkboxes with bulk delete and activate/deactivate (TableBulkActions)
+ *
  * 1.0.1 - 2025-11-08
  * - Updated to follow machines/states/transitions pattern
  * - Fixed initDataTable method
@@ -49,6 +61,8 @@
          */
         init: function() {
             this.initDataTable();
+            this.initTrash();
+            this.initBulkActions();
             this.bindEvents();
         },
 
@@ -72,6 +86,7 @@
                     data: function(d) {
                         d.action = 'handle_workflow_group_datatable';
                         d.nonce = self.data.nonce;
+                        d.trash = TableTrash.isTrash('#workflow-groups-table') ? 1 : 0;
                     }
                 },
                 columns: [
@@ -121,6 +136,37 @@
             });
         },
 
+        /**
+         * All / Trash views with restore and delete permanently
+         */
+        initTrash: function() {
+            TableTrash.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                restoreAction: 'restore_workflow_group',
+                purgeAction: 'purge_workflow_group'
+            }, this.data.trash));
+        },
+
+        /**
+         * Row selection with bulk delete and activate/deactivate
+         */
+        initBulkActions: function() {
+            const i18n = this.data.bulkActions.i18n;
+
+            TableBulkActions.attach(this.table, $.extend({
+                ajaxUrl: this.data.ajaxUrl,
+                nonce: this.data.nonce,
+                action: 'bulk_workflow_groups',
+                nameField: 'name',
+                actions: [
+                    { value: 'activate', label: i18n.activate },
+                    { value: 'deactivate', label: i18n.deactivate },
+                    { value: 'delete', label: i18n.delete }
+                ]
+            }, this.data.bulkActions));
+        },
+
         /**
          * Bind event handlers
          */
@@ -176,7 +222,7 @@
 
             // Delete group
             $(document).on('click', '.btn-delete-group', function() {
-                self.deleteGroup($(this).data('id'));
+                self.deleteGroup($(this).data('id'), $(this).data('name'));
             });
         },
 
@@ -332,26 +378,21 @@
         },
 
         /**
-         * Delete group
+         * Delete group after showing its machines (DeleteImpact)
          */
-        deleteGroup: function(id) {
+        deleteGroup: function(id, name) {
             const self = this;
 
-            if (!confirm(self.data.i18n.confirmDelete)) {
-                return;
-            }
-
-            $.post(self.data.ajaxUrl, {
-                action: 'delete_workflow_group',
+            DeleteImpact.open($.extend({
+                ajaxUrl: self.data.ajaxUrl,
                 nonce: self.data.nonce,
-                id: id
-            }, function(response) {
-                if (response.success) {
-                    self.table.ajax.reload();
-                    // Silent success - no alert
-                } else {
-                    alert(response.data.message);
-                }
+                impactAction: 'get_workflow_group_delete_impact',
+                deleteAction: 'delete_workflow_group',
+                id: id,
+                name: name
+            }, self.data.deleteImpact)).done(function() {
+                self.table.ajax.reload();
+                // Silent success - no alert
             });
         }
     };
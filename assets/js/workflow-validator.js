@@ -0,0 +1,494 @@
+/**
+ * Workflow Validator JavaScript
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Assets/JS
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/assets/js/workflow-validator.js
+ *
+ * Description: Client-side graph checks for a single state machine and
+ *              the validation panel shown on the states and transitions
+ *              screens. Detects:
+ *              - Machines with zero or multiple initial states
+ *              - States unreachable from the initial state(s)
+ *              - Dead ends (non-final states without outgoing transitions)
+ *              - Duplicate from/to transition pairs
+ *
+ *              Every issue carries "fix" links. Links are real URLs to the
+ *              states/transitions screen (machine_id, edit_state,
+ *              add_transition, from_state, to_state, delete_transition
+ *              query args), so they work across pages; the current page
+ *              may intercept them and handle the fix in place.
+ *
+ * Usage:
+ * ```js
+ * WorkflowValidator.validate($('#workflow-validation-panel'), machineId, {
+ *     ajaxUrl: data.ajaxUrl,
+ *     nonce: data.nonce,
+ *     urls: data.urls,
+ *     i18n: data.i18n.validation
+ * });
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - Reachability, dead-end, duplicate and initial state checks
+ * - Validation panel rendering with fix links
+ */
+
+(function($) {
+    'use strict';
+
+    const WorkflowValidator = {
+        /**
+         * Pending request, aborted when a newer validation starts
+         */
+        request: null,
+
+        /**
+         * Load a machine's states and transitions, then render the panel
+         *
+         * @param {jQuery} $panel Panel container
+         * @param {number|string} machineId Machine ID (empty hides the panel)
+         * @param {Object} config {ajaxUrl, nonce, urls, i18n}
+         * @return {void}
+         */
+        validate: function($panel, machineId, config) {
+            const self = this;
+
+            if (self.request) {
+                self.request.abort();
+                self.request = null;
+            }
+
+            if (!machineId) {
+                $panel.hide().empty();
+                return;
+            }
+
+            const statesRequest = $.post(config.ajaxUrl, {
+                action: 'get_states_by_machine',
+                nonce: config.nonce,
+                machine_id: machineId
+            });
+            const transitionsRequest = $.post(config.ajaxUrl, {
+                action: 'handle_transition_datatable',
+                nonce: config.nonce,
+                machine_id: machineId,
+                draw: 1,
+                start: 0,
+                length: -1
+            });
+
+            self.request = {
+                abort: function() {
+                    statesRequest.abort();
+                    transitionsRequest.abort();
+                }
+            };
+
+            $.when(statesRequest, transitionsRequest).done(function(statesRes, transitionsRes) {
+                self.request = null;
+
+                if (!statesRes[0].success || !transitionsRes[0].data) {
+                    $panel.hide().empty();
+                    return;
+                }
+
+                const states = statesRes[0].data || [];
+                const issues = self.analyze(states, transitionsRes[0].data || []);
+                self.render($panel, machineId, states, issues, config);
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    self.request = null;
+                    $panel.hide().empty();
+                }
+            });
+        },
+
+        /**
+         * Analyze a machine graph
+         *
+         * @param {Array} states States (id, name, type)
+         * @param {Array} transitions Transitions (id, from_state_id, to_state_id)
+         * @return {Array} Issues: {type, severity, stateIds, transitionIds}
+         */
+        analyze: function(states, transitions) {
+            const issues = [];
+            const outgoing = {};
+            const pairs = {};
+            const initialIds = [];
+
+            if (!states.length) {
+                return issues;
+            }
+
+            states.forEach(function(state) {
+                outgoing[state.id] = [];
+                if (state.type === 'initial') {
+                    initialIds.push(parseInt(state.id, 10));
+                }
+            });
+
+            transitions.forEach(function(transition) {
+                const from = parseInt(transition.from_state_id, 10);
+                const to = parseInt(transition.to_state_id, 10);
+                const key = from + '-' + to;
+
+                if (outgoing[from]) {
+                    outgoing[from].push(to);
+                }
+
+                pairs[key] = pairs[key] || [];
+                pairs[key].push(parseInt(transition.id, 10));
+            });
+
+            // Initial state count
+            if (initialIds.length === 0) {
+                issues.push({
+                    type: 'no_initial',
+                    severity: 'error',
+                    stateIds: [parseInt(states[0].id, 10)],
+                    transitionIds: []
+                });
+            } else if (initialIds.length > 1) {
+                issues.push({
+                    type: 'multiple_initial',
+                    severity: 'error',
+                    stateIds: initialIds,
+                    transitionIds: []
+                });
+            }
+
+            // Duplicate from/to pairs
+            Object.keys(pairs).forEach(function(key) {
+                if (pairs[key].length > 1) {
+                    const ids = key.split('-');
+                    issues.push({
+                        type: 'duplicate',
+                        severity: 'error',
+                        stateIds: [parseInt(ids[0], 10), parseInt(ids[1], 10)],
+                        transitionIds: pairs[key]
+                    });
+                }
+            });
+
+            // Reachability only makes sense once there is a starting point
+            if (initialIds.length) {
+                const reached = this.reachable(initialIds, outgoing);
+
+                states.forEach(function(state) {
+                    if (!reached[state.id]) {
+                        issues.push({
+                            type: 'unreachable',
+                            severity: 'warning',
+                            stateIds: [parseInt(state.id, 10)],
+                            transitionIds: []
+                        });
+                    }
+                });
+            }
+
+            // Dead ends
+            states.forEach(function(state) {
+                if (state.type !== 'final' && outgoing[state.id].length === 0) {
+                    issues.push({
+                        type: 'dead_end',
+                        severity: 'warning',
+                        stateIds: [parseInt(state.id, 10)],
+                        transitionIds: []
+                    });
+                }
+            });
+
+            return issues;
+        },
+
+        /**
+         * Breadth-first walk from the initial states
+         *
+         * @param {Array} startIds Initial state IDs
+         * @param {Object} outgoing Map of state ID => target state IDs
+         * @return {Object} Map of reached state ID => true
+         */
+        reachable: function(startIds, outgoing) {
+            const reached = {};
+            const queue = startIds.slice();
+
+            startIds.forEach(function(id) {
+                reached[id] = true;
+            });
+
+            while (queue.length) {
+                const current = queue.shift();
+                (outgoing[current] || []).forEach(function(next) {
+                    if (!reached[next]) {
+                        reached[next] = true;
+                        queue.push(next);
+                    }
+                });
+            }
+
+            return reached;
+        },
+
+        /**
+         * Render issues into the panel
+         *
+         * @param {jQuery} $panel Panel container
+         * @param {number|string} machineId Machine ID
+         * @param {Array} states States of the machine
+         * @param {Array} issues Result of analyze()
+         * @param {Object} config {urls, i18n}
+         * @return {void}
+         */
+        render: function($panel, machineId, states, issues, config) {
+            const self = this;
+            const i18n = config.i18n;
+            const names = {};
+
+            states.forEach(function(state) {
+                names[state.id] = self.escape(state.name);
+            });
+
+            if (!states.length) {
+                $panel.hide().empty();
+                return;
+            }
+
+            if (!issues.length) {
+                $panel.attr('class', 'workflow-validation-panel notice notice-success inline')
+                    .html('<p><span class="dashicons dashicons-yes-alt"></span> ' + i18n.valid + '</p>')
+                    .show();
+                return;
+            }
+
+            const hasErrors = issues.some(function(issue) {
+                return issue.severity === 'error';
+            });
+
+            let html = '<p class="workflow-validation-title"><strong>' +
+                self.format(i18n.title, issues.length) + '</strong></p><ul>';
+
+            issues.forEach(function(issue) {
+                const icon = issue.severity === 'error' ? 'dashicons-dismiss' : 'dashicons-warning';
+                const fixes = self.getFixes(issue, machineId, names, config);
+
+                html += '<li class="workflow-validation-issue is-' + issue.severity + '">' +
+                    '<span class="dashicons ' + icon + '"></span> ' +
+                    self.describe(issue, names, i18n);
+
+                if (fixes.length) {
+                    html += ' <span class="workflow-validation-fixes">' + fixes.map(function(fix) {
+                        return '<a href="' + self.escape(fix.url) + '" class="workflow-validation-fix"' +
+                            ' data-fix="' + fix.fix + '"' +
+                            ' data-state-id="' + (fix.stateId || '') + '"' +
+                            ' data-from-state="' + (fix.fromState || '') + '"' +
+                            ' data-to-state="' + (fix.toState || '') + '"' +
+                            ' data-transition-id="' + (fix.transitionId || '') + '">' +
+                            fix.label + '</a>';
+                    }).join(' | ') + '</span>';
+                }
+
+                html += '</li>';
+            });
+
+            html += '</ul>';
+
+            $panel.attr('class', 'workflow-validation-panel notice inline ' +
+                (hasErrors ? 'notice-error' : 'notice-warning'))
+                .html(html)
+                .show();
+        },
+
+        /**
+         * Human readable issue description
+         *
+         * @param {Object} issue Issue
+         * @param {Object} names Map of state ID => escaped name
+         * @param {Object} i18n Strings
+         * @return {string} HTML
+         */
+        describe: function(issue, names, i18n) {
+            const stateName = function(id) {
+                return '<strong>' + (names[id] || '#' + id) + '</strong>';
+            };
+
+            switch (issue.type) {
+                case 'no_initial':
+                    return i18n.noInitial;
+                case 'multiple_initial':
+                    return this.format(i18n.multipleInitial, issue.stateIds.map(stateName).join(', '));
+                case 'duplicate':
+                    return this.format(
+                        i18n.duplicate,
+                        issue.transitionIds.map(function(id) { return '#' + id; }).join(', '),
+                        stateName(issue.stateIds[0]),
+                        stateName(issue.stateIds[1])
+                    );
+                case 'unreachable':
+                    return this.format(i18n.unreachable, stateName(issue.stateIds[0]));
+                case 'dead_end':
+                    return this.format(i18n.deadEnd, stateName(issue.stateIds[0]));
+            }
+
+            return '';
+        },
+
+        /**
+         * Fix links for an issue
+         *
+         * @param {Object} issue Issue
+         * @param {number|string} machineId Machine ID
+         * @param {Object} names Map of state ID => escaped name
+         * @param {Object} config {urls, i18n}
+         * @return {Array} {fix, label, url, stateId, fromState, toState, transitionId}
+         */
+        getFixes: function(issue, machineId, names, config) {
+            const self = this;
+            const i18n = config.i18n;
+            const editState = function(id, label) {
+                return {
+                    fix: 'edit_state',
+                    label: label,
+                    stateId: id,
+                    url: self.buildUrl(config.urls.states, { machine_id: machineId, edit_state: id })
+                };
+            };
+            const addTransition = function(label, from, to) {
+                return {
+                    fix: 'add_transition',
+                    label: label,
+                    fromState: from,
+                    toState: to,
+                    url: self.buildUrl(config.urls.transitions, {
+                        machine_id: machineId,
+                        add_transition: 1,
+                        from_state: from,
+                        to_state: to
+                    })
+                };
+            };
+
+            switch (issue.type) {
+                case 'no_initial':
+                    return [editState(issue.stateIds[0], self.format(i18n.fixMakeInitial, names[issue.stateIds[0]]))];
+                case 'multiple_initial':
+                    return issue.stateIds.map(function(id) {
+                        return editState(id, self.format(i18n.fixEditState, names[id]));
+                    });
+                case 'duplicate':
+                    // Keep the first transition, offer to delete the rest
+                    return issue.transitionIds.slice(1).map(function(id) {
+                        return {
+                            fix: 'delete_transition',
+                            label: self.format(i18n.fixDeleteTransition, id),
+                            transitionId: id,
+                            url: self.buildUrl(config.urls.transitions, { machine_id: machineId, delete_transition: id })
+                        };
+                    });
+                case 'unreachable':
+                    return [
+                        addTransition(i18n.fixAddIncoming, '', issue.stateIds[0]),
+                        editState(issue.stateIds[0], self.format(i18n.fixEditState, names[issue.stateIds[0]]))
+                    ];
+                case 'dead_end':
+                    return [
+                        addTransition(i18n.fixAddOutgoing, issue.stateIds[0], ''),
+                        editState(issue.stateIds[0], i18n.fixMakeFinal)
+                    ];
+            }
+
+            return [];
+        },
+
+        /**
+         * Append query args to an admin URL, skipping empty values
+         *
+         * @param {string} base Base URL
+         * @param {Object} args Query args
+         * @return {string}
+         */
+        buildUrl: function(base, args) {
+            const query = Object.keys(args).filter(function(key) {
+                return args[key] !== '' && args[key] !== null && typeof args[key] !== 'undefined';
+            }).map(function(key) {
+                return encodeURIComponent(key) + '=' + encodeURIComponent(args[key]);
+            }).join('&');
+
+            return base + (base.indexOf('?') === -1 ? '?' : '&') + query;
+        },
+
+        /**
+         * Read deep-link query args set by fix links
+         *
+         * @return {Object} {machineId, editState, addTransition, fromState, toState, deleteTransition}
+         */
+        getRequestedFix: function() {
+            const params = new URLSearchParams(window.location.search);
+
+            return {
+                machineId: params.get('machine_id') || '',
+                editState: params.get('edit_state') || '',
+                addTransition: params.get('add_transition') === '1',
+                fromState: params.get('from_state') || '',
+                toState: params.get('to_state') || '',
+                deleteTransition: params.get('delete_transition') || ''
+            };
+        },
+
+        /**
+         * Drop one-shot fix args from the address bar so a reload
+         * does not reopen the same modal
+         *
+         * @return {void}
+         */
+        clearRequestedFix: function() {
+            if (!window.history || !window.history.replaceState) {
+                return;
+            }
+
+            const url = new URL(window.location.href);
+            ['edit_state', 'add_transition', 'from_state', 'to_state', 'delete_transition'].forEach(function(key) {
+                url.searchParams.delete(key);
+            });
+            window.history.replaceState(null, '', url.toString());
+        },
+
+        /**
+         * Minimal sprintf: %s / %d and positional %1$s style placeholders
+         *
+         * @param {string} text Format string
+         * @return {string}
+         */
+        format: function(text) {
+            const args = Array.prototype.slice.call(arguments, 1);
+            let index = 0;
+
+            return text.replace(/%(?:(\d+)\$)?[sd]/g, function(match, position) {
+                const value = position ? args[position - 1] : args[index++];
+                return typeof value === 'undefined' ? '' : value;
+            });
+        },
+
+        /**
+         * Escape a string for HTML output
+         *
+         * @param {string} text Raw text
+         * @return {string}
+         */
+        escape: function(text) {
+            return $('<div>').text(text === null || typeof text === 'undefined' ? '' : String(text)).html()
+                .replace(/"/g, '&quot;');
+        }
+    };
+
+    window.WorkflowValidator = WorkflowValidator;
+
+})(jQuery);
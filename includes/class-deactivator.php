@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Includes
- * @version     1.2.0
+ * @version     1.2.5
  * @author      arisciwek
  *
  * Path: /wp-state-machine/includes/class-deactivator.php
@@ -29,6 +29,21 @@
  * - PRESERVES capabilities
  *
  * Changelog:
+ * 1.2.5 - 2026-10-19
+ * - Clear the timed transitions cron event on deactivation
+ *
+ * 1.2.4 - 2026-10-19
+ * - Drop app_sm_bulk_transition_jobs table and its foreign key in development mode
+ *
+ * 1.2.3 - 2026-10-19
+ * - Drop app_sm_machine_versions table and its foreign key in development mode
+ *
+ * 1.2.2 - 2026-10-19
+ * - Drop app_sm_machine_revisions table and its foreign key in development mode
+ *
+ * 1.2.1 - 2026-10-19
+ * - Clear the wp_state_machine_purge_trash cron on deactivation
+ *
  * 1.2.0 - 2025-11-08
  * - Added double safety: requires TWO checkboxes
  * - Added enable_development flag check
@@ -91,6 +106,10 @@ class WP_State_Machine_Deactivator {
 
         $should_clear_data = self::should_clear_data();
 
+        // Stop the daily trash purge and the timed transitions
+        wp_clear_scheduled_hook('wp_state_machine_purge_trash');
+        wp_clear_scheduled_hook('wp_state_machine_run_timed_transitions');
+
         try {
             self::debug("Starting plugin deactivation (clear_data: " . ($should_clear_data ? 'yes' : 'no') . ")");
 
@@ -122,7 +141,10 @@ class WP_State_Machine_Deactivator {
 
             // Drop tables in correct order (child tables first)
             $tables = [
-                'app_sm_transition_logs',        // First - no dependencies
+                'app_sm_bulk_transition_jobs',   // First - no dependencies
+                'app_sm_machine_versions',       // No dependencies
+                'app_sm_machine_revisions',      // No dependencies
+                'app_sm_transition_logs',        // No dependencies
                 'app_sm_transitions',            // References states
                 'app_sm_states',                 // References machines
                 'app_sm_machines',               // References workflow_groups
@@ -223,6 +245,21 @@ class WP_State_Machine_Deactivator {
                 [
                     'table' => $wpdb->prefix . 'app_sm_transition_logs',
                     'constraint' => 'fk_sm_logs_to_state'
+                ],
+                // Machine revisions table
+                [
+                    'table' => $wpdb->prefix . 'app_sm_machine_revisions',
+                    'constraint' => 'fk_sm_revisions_machine'
+                ],
+                // Machine versions table
+                [
+                    'table' => $wpdb->prefix . 'app_sm_machine_versions',
+                    'constraint' => 'fk_sm_versions_machine'
+                ],
+                // Bulk transition jobs table
+                [
+                    'table' => $wpdb->prefix . 'app_sm_bulk_transition_jobs',
+                    'constraint' => 'fk_sm_bulk_jobs_machine'
                 ]
             ];
 
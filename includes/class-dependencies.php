@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Includes
- * @version     1.0.6
+ * @version     1.13.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/includes/class-dependencies.php
@@ -13,6 +13,88 @@
  *              dan library eksternal untuk State Machine plugin
  *
  * Changelog:
+ * 1.13.1 - 2026-10-19
+ * - Bulk transitions i18n previewProgress
+ *
+ * 1.13.0 - 2026-10-19
+ * - Actions builder strings and effect types in localize_transitions_scripts(); effects field label in revision history
+ * - Failed actions string in localize_logs_scripts()
+ *
+ * 1.12.0 - 2026-10-19
+ * - Timeout strings in localize_transitions_scripts(); timeout_minutes field label in revision history
+ * - System-triggered timeline strings in localize_logs_scripts()
+ *
+ * 1.11.0 - 2026-10-19
+ * - Bulk transitions page assets (bulk-transitions.css/js) and localize_bulk_transitions_scripts()
+ *
+ * 1.10.0 - 2026-10-19
+ * - States merge strings in localize_states_scripts()
+ *
+ * 1.9.0 - 2026-10-19
+ * - Machine versions assets (machine-versions.css/js) and get_machine_versions_data() on the machines page
+ *
+ * 1.8.0 - 2026-10-19
+ * - Machine history assets (machine-history.css/js) and get_machine_history_data() on the machines page
+ *
+ * 1.7.0 - 2026-10-19
+ * - Table trash assets (table-trash.css/js) and get_trash_data() on the machines, states, transitions and workflow groups pages
+ * - Delete strings say rows are moved to the Trash
+ *
+ * 1.6.0 - 2026-10-19
+ * - Delete impact assets (delete-impact.css/js) and get_delete_impact_data() on the machines, states, transitions and workflow groups pages
+ *
+ * 1.5.0 - 2026-10-19
+ * - Added duplicate machine strings to the machines i18n
+ *
+ * 1.4.0 - 2026-10-19
+ * - Bulk actions assets (table-bulk-actions.css/js) and get_bulk_actions_data() on the machines, states, transitions and workflow groups pages
+ *
+ * 1.3.0 - 2026-10-19
+ * - Drag-to-reorder assets (jQuery UI Sortable, table-reorder.css/js) and get_reorder_data() on the states and transitions pages
+ *
+ * 1.2.1 - 2026-10-19
+ * - States inline edit strings in localize_states_scripts()
+ *
+ * 1.2.0 - 2026-10-19
+ * - Metadata editor assets (metadata-editor.css/js, WordPress code editor) on the machines, states and transitions pages
+ * - get_metadata_editor_data() for the three localize methods
+ *
+ * 1.1.2 - 2026-10-19
+ * - Transition simulator strings in localize_transitions_scripts()
+ *
+ * 1.1.1 - 2026-10-19
+ * - Guard builder strings and guard types/roles/capabilities in localize_transitions_scripts()
+ *
+ * 1.1.0 - 2026-10-19
+ * - Analytics page assets (Chart.js CDN, analytics.css/js) and localize_analytics_scripts()
+ *
+ * 1.0.14 - 2026-10-19
+ * - Logs i18n for the entity timeline
+ *
+ * 1.0.13 - 2026-10-19
+ * - Settings i18n for the backups section
+ *
+ * 1.0.12 - 2026-10-19
+ * - Added re-seed preview strings to localize_settings_scripts()
+ *
+ * 1.0.11 - 2026-10-19
+ * - Added workflow import strings to localize_settings_scripts()
+ *
+ * 1.0.10 - 2026-10-19
+ * - Added YAML export strings to localize_machines_scripts()
+ *
+ * 1.0.9 - 2026-10-19
+ * - Added workflow-validator.css and workflow-validator.js to states and transitions pages
+ * - Added validation panel strings and fix link URLs to states/transitions localization
+ *
+ * 1.0.8 - 2026-10-19
+ * - Added workflow-editor.css and workflow-editor.js to machines page
+ * - Added workflow editor strings to localize_machines_scripts()
+ *
+ * 1.0.7 - 2026-10-19
+ * - Added workflow-diagram.css and workflow-diagram.js to machines page
+ * - Added diagram strings to localize_machines_scripts()
+ *
  * 1.0.6 - 2025-11-08
  * - Added transitions page assets enqueuing
  * - Added localize_transitions_scripts() method
@@ -121,40 +203,201 @@ class WP_State_Machine_Dependencies {
 
         // Machines page specific styles
         if ($screen->id === 'state-machines_page_wp-state-machine-machines') {
+            wp_enqueue_style(
+                'wp-state-machine-workflow-diagram',
+                WP_STATE_MACHINE_URL . 'assets/css/workflow-diagram.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-workflow-editor',
+                WP_STATE_MACHINE_URL . 'assets/css/workflow-editor.css',
+                ['wp-state-machine-workflow-diagram'],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-metadata-editor',
+                WP_STATE_MACHINE_URL . 'assets/css/metadata-editor.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/css/table-bulk-actions.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/css/delete-impact.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/css/table-trash.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-machine-history',
+                WP_STATE_MACHINE_URL . 'assets/css/machine-history.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-machine-versions',
+                WP_STATE_MACHINE_URL . 'assets/css/machine-versions.css',
+                [],
+                $this->version
+            );
+
             wp_enqueue_style(
                 'wp-state-machine-machines',
                 WP_STATE_MACHINE_URL . 'assets/css/machines.css',
-                [],
+                ['wp-state-machine-workflow-diagram', 'wp-state-machine-workflow-editor', 'wp-state-machine-metadata-editor', 'wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash', 'wp-state-machine-machine-history', 'wp-state-machine-machine-versions'],
                 $this->version
             );
         }
 
         // Workflow Groups page specific styles (now uses parent slug)
         if ($screen->id === 'toplevel_page_wp-state-machine') {
+            wp_enqueue_style(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/css/table-bulk-actions.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/css/delete-impact.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/css/table-trash.css',
+                [],
+                $this->version
+            );
+
             wp_enqueue_style(
                 'wp-state-machine-workflow-groups',
                 WP_STATE_MACHINE_URL . 'assets/css/workflow-groups.css',
-                [],
+                ['wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash'],
                 $this->version
             );
         }
 
         // States page specific styles
         if ($screen->id === 'state-machines_page_wp-state-machine-states') {
+            wp_enqueue_style(
+                'wp-state-machine-workflow-validator',
+                WP_STATE_MACHINE_URL . 'assets/css/workflow-validator.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-metadata-editor',
+                WP_STATE_MACHINE_URL . 'assets/css/metadata-editor.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-reorder',
+                WP_STATE_MACHINE_URL . 'assets/css/table-reorder.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/css/table-bulk-actions.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/css/delete-impact.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/css/table-trash.css',
+                [],
+                $this->version
+            );
+
             wp_enqueue_style(
                 'wp-state-machine-states',
                 WP_STATE_MACHINE_URL . 'assets/css/states.css',
-                [],
+                ['wp-state-machine-workflow-validator', 'wp-state-machine-metadata-editor', 'wp-state-machine-table-reorder', 'wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash'],
                 $this->version
             );
         }
 
         // Transitions page specific styles
         if ($screen->id === 'state-machines_page_wp-state-machine-transitions') {
+            wp_enqueue_style(
+                'wp-state-machine-workflow-validator',
+                WP_STATE_MACHINE_URL . 'assets/css/workflow-validator.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-metadata-editor',
+                WP_STATE_MACHINE_URL . 'assets/css/metadata-editor.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-reorder',
+                WP_STATE_MACHINE_URL . 'assets/css/table-reorder.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/css/table-bulk-actions.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/css/delete-impact.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/css/table-trash.css',
+                [],
+                $this->version
+            );
+
             wp_enqueue_style(
                 'wp-state-machine-transitions',
                 WP_STATE_MACHINE_URL . 'assets/css/transitions.css',
-                [],
+                ['wp-state-machine-workflow-validator', 'wp-state-machine-metadata-editor', 'wp-state-machine-table-reorder', 'wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash'],
                 $this->version
             );
         }
@@ -178,6 +421,33 @@ class WP_State_Machine_Dependencies {
                 $this->version
             );
         }
+
+        // Analytics page specific styles
+        if ($screen->id === 'state-machines_page_wp-state-machine-analytics') {
+            wp_enqueue_style(
+                'wp-state-machine-transition-logs',
+                WP_STATE_MACHINE_URL . 'assets/css/transition-logs.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_style(
+                'wp-state-machine-analytics',
+                WP_STATE_MACHINE_URL . 'assets/css/analytics.css',
+                ['wp-state-machine-transition-logs'],
+                $this->version
+            );
+        }
+
+        // Bulk transitions page specific styles
+        if ($screen->id === 'state-machines_page_wp-state-machine-bulk-transitions') {
+            wp_enqueue_style(
+                'wp-state-machine-bulk-transitions',
+                WP_STATE_MACHINE_URL . 'assets/css/bulk-transitions.css',
+                [],
+                $this->version
+            );
+        }
     }
 
     /**
@@ -243,10 +513,34 @@ class WP_State_Machine_Dependencies {
 
         // Workflow Groups page specific scripts (now uses parent slug - first position)
         if ($screen->id === 'toplevel_page_wp-state-machine') {
+            wp_enqueue_script(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/js/table-bulk-actions.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/js/delete-impact.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/js/table-trash.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
             wp_enqueue_script(
                 'wp-state-machine-workflow-groups',
                 WP_STATE_MACHINE_URL . 'assets/js/workflow-groups.js',
-                ['jquery', 'datatables'],
+                ['jquery', 'datatables', 'wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash'],
                 $this->version,
                 true
             );
@@ -257,10 +551,74 @@ class WP_State_Machine_Dependencies {
 
         // Machines page specific scripts (now uses different slug)
         if ($screen->id === 'state-machines_page_wp-state-machine-machines') {
+            wp_enqueue_script(
+                'wp-state-machine-workflow-diagram',
+                WP_STATE_MACHINE_URL . 'assets/js/workflow-diagram.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-workflow-editor',
+                WP_STATE_MACHINE_URL . 'assets/js/workflow-editor.js',
+                ['jquery', 'wp-state-machine-workflow-diagram'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-metadata-editor',
+                WP_STATE_MACHINE_URL . 'assets/js/metadata-editor.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/js/table-bulk-actions.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/js/delete-impact.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/js/table-trash.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-machine-history',
+                WP_STATE_MACHINE_URL . 'assets/js/machine-history.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-machine-versions',
+                WP_STATE_MACHINE_URL . 'assets/js/machine-versions.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
             wp_enqueue_script(
                 'wp-state-machine-machines',
                 WP_STATE_MACHINE_URL . 'assets/js/machines.js',
-                ['jquery', 'datatables'],
+                ['jquery', 'datatables', 'wp-state-machine-workflow-diagram', 'wp-state-machine-workflow-editor', 'wp-state-machine-metadata-editor', 'wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash', 'wp-state-machine-machine-history', 'wp-state-machine-machine-versions'],
                 $this->version,
                 true
             );
@@ -271,10 +629,58 @@ class WP_State_Machine_Dependencies {
 
         // States page specific scripts
         if ($screen->id === 'state-machines_page_wp-state-machine-states') {
+            wp_enqueue_script(
+                'wp-state-machine-workflow-validator',
+                WP_STATE_MACHINE_URL . 'assets/js/workflow-validator.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-metadata-editor',
+                WP_STATE_MACHINE_URL . 'assets/js/metadata-editor.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-reorder',
+                WP_STATE_MACHINE_URL . 'assets/js/table-reorder.js',
+                ['jquery', 'jquery-ui-sortable', 'datatables'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/js/table-bulk-actions.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/js/delete-impact.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/js/table-trash.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
             wp_enqueue_script(
                 'wp-state-machine-states',
                 WP_STATE_MACHINE_URL . 'assets/js/states.js',
-                ['jquery', 'datatables'],
+                ['jquery', 'datatables', 'wp-state-machine-workflow-validator', 'wp-state-machine-metadata-editor', 'wp-state-machine-table-reorder', 'wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash'],
                 $this->version,
                 true
             );
@@ -285,10 +691,58 @@ class WP_State_Machine_Dependencies {
 
         // Transitions page specific scripts
         if ($screen->id === 'state-machines_page_wp-state-machine-transitions') {
+            wp_enqueue_script(
+                'wp-state-machine-workflow-validator',
+                WP_STATE_MACHINE_URL . 'assets/js/workflow-validator.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-metadata-editor',
+                WP_STATE_MACHINE_URL . 'assets/js/metadata-editor.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-reorder',
+                WP_STATE_MACHINE_URL . 'assets/js/table-reorder.js',
+                ['jquery', 'jquery-ui-sortable', 'datatables'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-bulk-actions',
+                WP_STATE_MACHINE_URL . 'assets/js/table-bulk-actions.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-delete-impact',
+                WP_STATE_MACHINE_URL . 'assets/js/delete-impact.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-table-trash',
+                WP_STATE_MACHINE_URL . 'assets/js/table-trash.js',
+                ['jquery', 'datatables'],
+                $this->version,
+                true
+            );
+
             wp_enqueue_script(
                 'wp-state-machine-transitions',
                 WP_STATE_MACHINE_URL . 'assets/js/transitions.js',
-                ['jquery', 'datatables'],
+                ['jquery', 'datatables', 'wp-state-machine-workflow-validator', 'wp-state-machine-metadata-editor', 'wp-state-machine-table-reorder', 'wp-state-machine-table-bulk-actions', 'wp-state-machine-delete-impact', 'wp-state-machine-table-trash'],
                 $this->version,
                 true
             );
@@ -319,6 +773,43 @@ class WP_State_Machine_Dependencies {
             // Localize script for logs page
             $this->localize_logs_scripts();
         }
+
+        // Analytics page specific scripts
+        if ($screen->id === 'state-machines_page_wp-state-machine-analytics') {
+            // Chart.js
+            wp_enqueue_script(
+                'chartjs',
+                'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+                [],
+                '4.4.1',
+                true
+            );
+
+            wp_enqueue_script(
+                'wp-state-machine-analytics',
+                WP_STATE_MACHINE_URL . 'assets/js/analytics.js',
+                ['jquery', 'chartjs'],
+                $this->version,
+                true
+            );
+
+            // Localize script for analytics page
+            $this->localize_analytics_scripts();
+        }
+
+        // Bulk transitions page specific scripts
+        if ($screen->id === 'state-machines_page_wp-state-machine-bulk-transitions') {
+            wp_enqueue_script(
+                'wp-state-machine-bulk-transitions',
+                WP_STATE_MACHINE_URL . 'assets/js/bulk-transitions.js',
+                ['jquery'],
+                $this->version,
+                true
+            );
+
+            // Localize script for bulk transitions page
+            $this->localize_bulk_transitions_scripts();
+        }
     }
 
     /**
@@ -360,6 +851,22 @@ class WP_State_Machine_Dependencies {
             'nonce' => wp_create_nonce('wp_state_machine_nonce'),
             'i18n' => [
                 'loadError' => __('Failed to load logs data. Please refresh the page.', 'wp-state-machine'),
+                'timelineRequired' => __('Enter an entity type and entity ID.', 'wp-state-machine'),
+                'timelineLoading' => __('Loading timeline...', 'wp-state-machine'),
+                'timelineTitle' => __('Timeline for %1$s #%2$d', 'wp-state-machine'),
+                'timelineEmpty' => __('No transitions found for this entity.', 'wp-state-machine'),
+                'timelineCurrent' => __('Current state', 'wp-state-machine'),
+                'timelineDuration' => __('In state for %s', 'wp-state-machine'),
+                'timelineSince' => __('for %s so far', 'wp-state-machine'),
+                'timelineBy' => __('by %s', 'wp-state-machine'),
+                'timelineInitial' => __('Initial', 'wp-state-machine'),
+                'timelineUnknownUser' => __('System', 'wp-state-machine'),
+                'timelineSystem' => __('System', 'wp-state-machine'),
+                'timelineTriggers' => [
+                    'timeout' => __('applied automatically after a timeout', 'wp-state-machine'),
+                ],
+                'effectsFailed' => __('%d action(s) failed after this transition:', 'wp-state-machine'),
+                'viewTimeline' => __('View timeline', 'wp-state-machine'),
                 'dataTable' => [
                     'emptyTable' => __('No logs found', 'wp-state-machine'),
                     'info' => __('Showing _START_ to _END_ of _TOTAL_ entries', 'wp-state-machine'),
@@ -387,6 +894,89 @@ class WP_State_Machine_Dependencies {
         );
     }
 
+    /**
+     * Localize scripts for analytics page
+     *
+     * @return void
+     */
+    private function localize_analytics_scripts() {
+        $localize_data = [
+            'nonce' => wp_create_nonce('wp_state_machine_nonce'),
+            'i18n' => [
+                'loadError' => __('Failed to load analytics. Please refresh the page.', 'wp-state-machine'),
+                'loading' => __('Loading analytics...', 'wp-state-machine'),
+                'selectMachine' => __('Please select a machine', 'wp-state-machine'),
+                'noData' => __('No transition logs match these filters.', 'wp-state-machine'),
+                'entities' => __('Entities', 'wp-state-machine'),
+                'transitions' => __('Transitions', 'wp-state-machine'),
+                'completed' => __('Completed', 'wp-state-machine'),
+                'inProgress' => __('In progress', 'wp-state-machine'),
+                'average' => __('Average', 'wp-state-machine'),
+                'median' => __('Median (p50)', 'wp-state-machine'),
+                'p90' => __('90th percentile', 'wp-state-machine'),
+                'hours' => __('Hours', 'wp-state-machine'),
+                'initial' => __('Initial', 'wp-state-machine'),
+                'waiting' => __('%1$d entities now, average wait %2$s', 'wp-state-machine'),
+                'noBottlenecks' => __('No entities are waiting in non-final states.', 'wp-state-machine'),
+                'noDwell' => __('Not enough transitions to measure time in state.', 'wp-state-machine'),
+            ]
+        ];
+
+        wp_localize_script(
+            'wp-state-machine-analytics',
+            'wpStateMachineAnalyticsData',
+            $localize_data
+        );
+    }
+
+    /**
+     * Localize scripts for bulk transitions page
+     *
+     * @return void
+     */
+    private function localize_bulk_transitions_scripts() {
+        $localize_data = [
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('wp_state_machine_nonce'),
+            'i18n' => [
+                'loading' => __('Loading...', 'wp-state-machine'),
+                'selectMachine' => __('Select machine first', 'wp-state-machine'),
+                'selectState' => __('Select state first', 'wp-state-machine'),
+                'selectTransition' => __('Select Transition', 'wp-state-machine'),
+                'noTransitions' => __('No transitions leave this state', 'wp-state-machine'),
+                'previewing' => __('Checking entities...', 'wp-state-machine'),
+                'previewProgress' => __('Checking entities... %1$d of %2$d', 'wp-state-machine'),
+                'previewError' => __('Failed to load preview. Please try again.', 'wp-state-machine'),
+                'previewSummary' => __('%1$d entities found: %2$d can transition, %3$d are blocked.', 'wp-state-machine'),
+                'previewLimited' => __('Only the oldest %d are shown and can be processed in one run.', 'wp-state-machine'),
+                'noEntities' => __('No entities match this selection.', 'wp-state-machine'),
+                'allowed' => __('Allowed', 'wp-state-machine'),
+                'confirmRun' => __('Apply this transition to %d entities? It runs in the background and cannot be undone.', 'wp-state-machine'),
+                'startError' => __('Failed to start bulk transition. Please try again.', 'wp-state-machine'),
+                'jobTitle' => __('Bulk Transition #%d', 'wp-state-machine'),
+                'waiting' => __('Waiting for the first batch...', 'wp-state-machine'),
+                'progress' => __('%1$d of %2$d processed: %3$d succeeded, %4$d failed', 'wp-state-machine'),
+                'confirmCancel' => __('Cancel this bulk transition? Entities already processed keep their new state.', 'wp-state-machine'),
+                'cancelError' => __('Failed to cancel bulk transition. Please try again.', 'wp-state-machine'),
+                'noJobs' => __('No bulk transitions yet.', 'wp-state-machine'),
+                'showProgress' => __('Show Progress', 'wp-state-machine'),
+                'report' => __('Report', 'wp-state-machine'),
+                'statuses' => [
+                    'queued' => __('Queued', 'wp-state-machine'),
+                    'running' => __('Running', 'wp-state-machine'),
+                    'completed' => __('Completed', 'wp-state-machine'),
+                    'cancelled' => __('Cancelled', 'wp-state-machine'),
+                ],
+            ]
+        ];
+
+        wp_localize_script(
+            'wp-state-machine-bulk-transitions',
+            'wpStateMachineBulkTransitionsData',
+            $localize_data
+        );
+    }
+
     /**
      * Localize scripts for workflow groups page
      *
@@ -399,14 +989,20 @@ class WP_State_Machine_Dependencies {
             'i18n' => [
                 'addTitle' => __('Add New Workflow Group', 'wp-state-machine'),
                 'editTitle' => __('Edit Workflow Group', 'wp-state-machine'),
-                'confirmDelete' => __('Are you sure you want to delete this workflow group?', 'wp-state-machine'),
                 'deleteError' => __('Cannot delete group. Please reassign or remove all machines first.', 'wp-state-machine'),
                 'active' => __('Active', 'wp-state-machine'),
                 'inactive' => __('Inactive', 'wp-state-machine'),
                 'noMachines' => __('No machines assigned', 'wp-state-machine'),
                 'emptyTable' => __('No workflow groups found', 'wp-state-machine'),
                 'processing' => __('Processing...', 'wp-state-machine')
-            ]
+            ],
+            'bulkActions' => $this->get_bulk_actions_data(),
+            'deleteImpact' => $this->get_delete_impact_data([
+                'block' => __('Keep the group while machines are assigned to it', 'wp-state-machine'),
+                'reassign' => __('Move the machines to', 'wp-state-machine'),
+                'cascade' => __('Move the machines to the Trash too, with their states and transitions', 'wp-state-machine'),
+            ]),
+            'trash' => $this->get_trash_data()
         ];
 
         wp_localize_script(
@@ -437,6 +1033,42 @@ class WP_State_Machine_Dependencies {
                 'logs' => __('Logs', 'wp-state-machine'),
                 'workflowGroups' => __('Workflow Groups', 'wp-state-machine'),
                 'databaseSize' => __('Database Size', 'wp-state-machine'),
+                'importValidating' => __('Validating workflow file...', 'wp-state-machine'),
+                'importPreviewTitle' => __('Import Preview', 'wp-state-machine'),
+                'importGroup' => __('Workflow Group', 'wp-state-machine'),
+                'importMachine' => __('State Machine', 'wp-state-machine'),
+                'importEntityType' => __('Entity Type', 'wp-state-machine'),
+                'importGroupExists' => __('Workflow group "%s" already exists. The machine will be added to it.', 'wp-state-machine'),
+                'importGroupNew' => __('Workflow group will be created.', 'wp-state-machine'),
+                'importMachineExists' => __('State machine "%s" already uses this slug. Change the slug in the file or delete the existing machine first.', 'wp-state-machine'),
+                'importNoConflicts' => __('No slug conflicts found.', 'wp-state-machine'),
+                'importButton' => __('Import Workflow', 'wp-state-machine'),
+                'importCancel' => __('Cancel', 'wp-state-machine'),
+                'confirmImport' => __('Import this workflow now?', 'wp-state-machine'),
+                'importSuccess' => __('Workflow imported successfully', 'wp-state-machine'),
+                'reseedTitle' => __('Re-seed Preview: %s', 'wp-state-machine'),
+                'reseedLoading' => __('Comparing YML file with the seeded workflow...', 'wp-state-machine'),
+                'reseedNoChanges' => __('The seeded workflow already matches the YML file. Re-seeding will recreate it without changes.', 'wp-state-machine'),
+                'reseedCustom' => __('This machine is a custom workflow and cannot be overwritten by re-seeding.', 'wp-state-machine'),
+                'reseedLogsWarning' => __('%d transition log entries of this machine will be deleted.', 'wp-state-machine'),
+                'reseedMachine' => __('Machine', 'wp-state-machine'),
+                'reseedAdded' => __('Added', 'wp-state-machine'),
+                'reseedRemoved' => __('Removed', 'wp-state-machine'),
+                'reseedChanged' => __('Changed', 'wp-state-machine'),
+                'reseedEmptyValue' => __('(empty)', 'wp-state-machine'),
+                'backupsLoading' => __('Loading backups...', 'wp-state-machine'),
+                'backupsEmpty' => __('No backups yet. A backup is created automatically before workflows are reset.', 'wp-state-machine'),
+                'backupDate' => __('Created', 'wp-state-machine'),
+                'backupWorkflows' => __('Workflows', 'wp-state-machine'),
+                'backupSize' => __('Size', 'wp-state-machine'),
+                'backupActions' => __('Actions', 'wp-state-machine'),
+                'backupInvalid' => __('Unreadable backup file', 'wp-state-machine'),
+                'backupRestore' => __('Restore', 'wp-state-machine'),
+                'backupDownload' => __('Download', 'wp-state-machine'),
+                'backupDelete' => __('Delete', 'wp-state-machine'),
+                'confirmRestoreBackup' => __("Restore default workflows from %s?\n\nWorkflows in this backup replace the current ones with the same slug, including their transition logs. Custom workflows are not changed. The current data is backed up first.", 'wp-state-machine'),
+                'confirmDeleteBackup' => __('Delete backup %s? This cannot be undone.', 'wp-state-machine'),
+                'backupSaved' => __('Backup saved: %s', 'wp-state-machine'),
             ]
         ];
 
@@ -459,12 +1091,42 @@ class WP_State_Machine_Dependencies {
             'i18n' => [
                 'emptyTable' => __('No state machines found. Click "Add New State Machine" to create one.', 'wp-state-machine'),
                 'processing' => __('Loading...', 'wp-state-machine'),
-                'confirmDelete' => __('Are you sure you want to delete this state machine? This will also delete all associated states and transitions.', 'wp-state-machine'),
                 'addTitle' => __('Add New State Machine', 'wp-state-machine'),
                 'editTitle' => __('Edit State Machine', 'wp-state-machine'),
                 'active' => __('Active', 'wp-state-machine'),
                 'inactive' => __('Inactive', 'wp-state-machine'),
-            ]
+                'diagramTitle' => __('Workflow Diagram: %s', 'wp-state-machine'),
+                'diagramLoading' => __('Loading diagram...', 'wp-state-machine'),
+                'diagramEmpty' => __('This state machine has no states yet.', 'wp-state-machine'),
+                'diagramError' => __('Failed to load diagram data. Please try again.', 'wp-state-machine'),
+                'diagramSummary' => __('%1$d states, %2$d transitions', 'wp-state-machine'),
+                'exportWarnings' => __('The YAML file was exported, but it will not pass seeding validation until these issues are fixed:', 'wp-state-machine'),
+                'exportError' => __('Failed to export the state machine. Please try again.', 'wp-state-machine'),
+                'editorTitle' => __('Workflow Editor: %s', 'wp-state-machine'),
+                'duplicateTitle' => __('Duplicate: %s', 'wp-state-machine'),
+                'copyName' => __('%s (Copy)', 'wp-state-machine'),
+                'duplicateError' => __('An error occurred while duplicating. Please try again.', 'wp-state-machine'),
+                'notPublished' => __('Not published', 'wp-state-machine'),
+                'draftChanges' => __('Draft changes', 'wp-state-machine'),
+                'editor' => [
+                    'loading' => __('Loading workflow...', 'wp-state-machine'),
+                    'loadError' => __('Failed to load workflow data. Please try again.', 'wp-state-machine'),
+                    'saveError' => __('An error occurred while saving. Please try again.', 'wp-state-machine'),
+                    'addState' => __('Add State', 'wp-state-machine'),
+                    'editState' => __('Edit State', 'wp-state-machine'),
+                    'newTransition' => __('New transition', 'wp-state-machine'),
+                    'confirmDeleteTransition' => __('Are you sure you want to delete this transition?', 'wp-state-machine'),
+                ],
+            ],
+            'metadataEditor' => $this->get_metadata_editor_data(),
+            'bulkActions' => $this->get_bulk_actions_data(),
+            'deleteImpact' => $this->get_delete_impact_data([
+                'block' => __('Keep the machine while it has states, transitions or logs', 'wp-state-machine'),
+                'cascade' => __('Move the machine to the Trash with its states and transitions; logs go when it is deleted permanently', 'wp-state-machine'),
+            ]),
+            'trash' => $this->get_trash_data(),
+            'history' => $this->get_machine_history_data(),
+            'versions' => $this->get_machine_versions_data()
         ];
 
         wp_localize_script(
@@ -486,10 +1148,28 @@ class WP_State_Machine_Dependencies {
             'i18n' => [
                 'emptyTable' => __('No states found. Select a machine or click "Add New State".', 'wp-state-machine'),
                 'processing' => __('Loading...', 'wp-state-machine'),
-                'confirmDelete' => __('Are you sure you want to delete this state?', 'wp-state-machine'),
                 'addTitle' => __('Add New State', 'wp-state-machine'),
                 'editTitle' => __('Edit State', 'wp-state-machine'),
-            ]
+                'inlineEdit' => __('Click to edit', 'wp-state-machine'),
+                'inlineError' => __('The change could not be saved. Please try again.', 'wp-state-machine'),
+                'validation' => $this->get_validation_i18n(),
+                'merge' => [
+                    'title' => __('Merge "%s" into...', 'wp-state-machine'),
+                    'summary' => __('%1$d entity(ies) are currently in this state and %2$d transition(s) use it.', 'wp-state-machine'),
+                    'noTargets' => __('This machine has no other state to merge into.', 'wp-state-machine'),
+                    'error' => __('An error occurred while merging the state. Please try again.', 'wp-state-machine'),
+                ],
+            ],
+            'metadataEditor' => $this->get_metadata_editor_data(),
+            'reorder' => $this->get_reorder_data(),
+            'bulkActions' => $this->get_bulk_actions_data(),
+            'deleteImpact' => $this->get_delete_impact_data([
+                'block' => __('Keep the state while anything depends on it', 'wp-state-machine'),
+                'reassign' => __('Move its entities to', 'wp-state-machine'),
+                'cascade' => __('Move the state to the Trash with its transitions; when it is deleted permanently its logs go too and entities in it fall back to their previous state', 'wp-state-machine'),
+            ]),
+            'trash' => $this->get_trash_data(),
+            'urls' => $this->get_validation_urls()
         ];
 
         wp_localize_script(
@@ -511,12 +1191,74 @@ class WP_State_Machine_Dependencies {
             'i18n' => [
                 'emptyTable' => __('No transitions found. Select a machine or click "Add New Transition".', 'wp-state-machine'),
                 'processing' => __('Loading...', 'wp-state-machine'),
-                'confirmDelete' => __('Are you sure you want to delete this transition?', 'wp-state-machine'),
                 'addTitle' => __('Add New Transition', 'wp-state-machine'),
                 'editTitle' => __('Edit Transition', 'wp-state-machine'),
                 'selectMachine' => __('Select machine first', 'wp-state-machine'),
                 'selectState' => __('Select state', 'wp-state-machine'),
-            ]
+                'validation' => $this->get_validation_i18n(),
+                'guard' => [
+                    'noGuards' => __('No guards: anyone who can apply transitions can use this one.', 'wp-state-machine'),
+                    'and' => __('AND', 'wp-state-machine'),
+                    'or' => __('OR', 'wp-state-machine'),
+                    'remove' => __('Remove guard', 'wp-state-machine'),
+                    'roles' => __('Any of these roles', 'wp-state-machine'),
+                    'capabilities' => __('All of these capabilities', 'wp-state-machine'),
+                    'ownerField' => __('Entity field holding the owner user ID', 'wp-state-machine'),
+                    'callbackName' => __('Callback name (wp_state_machine_guard_callback_{name})', 'wp-state-machine'),
+                    'parameters' => __('Parameters, comma separated', 'wp-state-machine'),
+                    'multiselectHint' => __('Ctrl/Cmd + click to select several.', 'wp-state-machine'),
+                    'validating' => __('Checking guard configuration...', 'wp-state-machine'),
+                    'valid' => __('Guard configuration is valid.', 'wp-state-machine'),
+                    'validateError' => __('Could not validate the guard configuration.', 'wp-state-machine'),
+                ],
+                'simulator' => [
+                    'running' => __('Checking transitions...', 'wp-state-machine'),
+                    'error' => __('An error occurred while testing transitions. Please try again.', 'wp-state-machine'),
+                    'currentState' => __('Current state:', 'wp-state-machine'),
+                    'noHistory' => __('No history for this entity yet, so the initial state is used.', 'wp-state-machine'),
+                    'noEntityData' => __('No entity data was passed to guards.', 'wp-state-machine'),
+                    'noState' => __('This machine has no initial state, so there is nothing to test.', 'wp-state-machine'),
+                    'noTransitions' => __('No transitions leave the current state.', 'wp-state-machine'),
+                    'noGuard' => __('No guard', 'wp-state-machine'),
+                    'or' => __('OR', 'wp-state-machine'),
+                    'allowed' => __('Allowed', 'wp-state-machine'),
+                    'blocked' => __('Blocked', 'wp-state-machine'),
+                    'transition' => __('Transition', 'wp-state-machine'),
+                    'result' => __('Result', 'wp-state-machine'),
+                    'guards' => __('Guards', 'wp-state-machine'),
+                ],
+                'timeout' => [
+                    'minute' => __('%d minute', 'wp-state-machine'),
+                    'minutes' => __('%d minutes', 'wp-state-machine'),
+                    'hour' => __('%d hour', 'wp-state-machine'),
+                    'hours' => __('%d hours', 'wp-state-machine'),
+                    'day' => __('%d day', 'wp-state-machine'),
+                    'days' => __('%d days', 'wp-state-machine'),
+                    'badgeTitle' => __('Applied automatically after %s in the from state', 'wp-state-machine'),
+                ],
+                'effect' => [
+                    'remove' => __('Remove action', 'wp-state-machine'),
+                    'moveUp' => __('Move up', 'wp-state-machine'),
+                    'moveDown' => __('Move down', 'wp-state-machine'),
+                    'choose' => __('Select...', 'wp-state-machine'),
+                    'config' => __('Configuration (JSON)', 'wp-state-machine'),
+                    'multiselectHint' => __('Ctrl/Cmd + click to select several.', 'wp-state-machine'),
+                    'badgeTitle' => __('Runs %d action(s) after the transition', 'wp-state-machine'),
+                ],
+            ],
+            'guards' => $this->get_guard_builder_data(),
+            'effects' => [
+                'types' => \WPStateMachine\Effects\EffectFactory::getEffectInfo(),
+            ],
+            'metadataEditor' => $this->get_metadata_editor_data(),
+            'reorder' => $this->get_reorder_data(),
+            'bulkActions' => $this->get_bulk_actions_data(),
+            'deleteImpact' => $this->get_delete_impact_data([
+                'block' => __('Keep the transition while logs refer to it', 'wp-state-machine'),
+                'cascade' => __('Move the transition to the Trash; its log entries are kept', 'wp-state-machine'),
+            ]),
+            'trash' => $this->get_trash_data(),
+            'urls' => $this->get_validation_urls()
         ];
 
         wp_localize_script(
@@ -526,6 +1268,296 @@ class WP_State_Machine_Dependencies {
         );
     }
 
+    /**
+     * CodeMirror settings and strings for the metadata editor
+     * Enqueues the WordPress code editor; codeEditor is false when the
+     * user disabled syntax highlighting (the editor falls back to a textarea)
+     *
+     * @return array
+     */
+    private function get_metadata_editor_data() {
+        return [
+            'codeEditor' => wp_enqueue_code_editor(['type' => 'application/json']),
+            'i18n' => [
+                'json' => __('JSON', 'wp-state-machine'),
+                'form' => __('Form', 'wp-state-machine'),
+                'key' => __('Key', 'wp-state-machine'),
+                'addField' => __('Add field', 'wp-state-machine'),
+                'removeField' => __('Remove field', 'wp-state-machine'),
+                'valid' => __('Metadata is valid.', 'wp-state-machine'),
+                'invalidJson' => __('Invalid JSON: %s', 'wp-state-machine'),
+                'notObject' => __('Metadata must be a JSON object, e.g. {"icon": "check"}.', 'wp-state-machine'),
+                'formNeedsJson' => __('Fix the JSON before switching to form mode.', 'wp-state-machine'),
+                'required' => __('"%s" is required.', 'wp-state-machine'),
+                'type' => __('"%1$s" must be of type %2$s.', 'wp-state-machine'),
+                'enumValue' => __('"%1$s" must be one of: %2$s.', 'wp-state-machine'),
+                'itemsType' => __('Every item of "%1$s" must be of type %2$s.', 'wp-state-machine'),
+            ],
+        ];
+    }
+
+    /**
+     * Drag-to-reorder settings and strings (states and transitions pages)
+     *
+     * @return array
+     */
+    private function get_reorder_data() {
+        return [
+            'enabled' => current_user_can('manage_state_machines'),
+            'i18n' => [
+                'handle' => __('Drag to reorder', 'wp-state-machine'),
+                'dragHint' => __('Drag rows by their handle to change the order. The new order is saved at once.', 'wp-state-machine'),
+                'sortHint' => __('Sort by Sort Order (ascending) and clear the search to drag rows into a new order.', 'wp-state-machine'),
+                'filterHint' => __('Filter by a machine to drag rows into a new order.', 'wp-state-machine'),
+                'error' => __('An error occurred while saving the new order. Please try again.', 'wp-state-machine'),
+            ],
+        ];
+    }
+
+    /**
+     * Row selection and bulk action strings (machines, states, transitions and workflow groups pages)
+     * Each page script picks the actions it offers; rows are checked again on the server
+     *
+     * @return array
+     */
+    private function get_bulk_actions_data() {
+        return [
+            'enabled' => current_user_can('manage_state_machines'),
+            'i18n' => [
+                'bulkActions' => __('Bulk actions', 'wp-state-machine'),
+                'apply' => __('Apply', 'wp-state-machine'),
+                'working' => __('Applying...', 'wp-state-machine'),
+                'selectAll' => __('Select all rows on this page', 'wp-state-machine'),
+                'selectRow' => __('Select row', 'wp-state-machine'),
+                'selected' => __('%d selected', 'wp-state-machine'),
+                'delete' => __('Move to Trash', 'wp-state-machine'),
+                'activate' => __('Activate', 'wp-state-machine'),
+                'deactivate' => __('Deactivate', 'wp-state-machine'),
+                'moveGroup' => __('Move to workflow group', 'wp-state-machine'),
+                'chooseGroup' => __('Select workflow group', 'wp-state-machine'),
+                'color' => __('Change color', 'wp-state-machine'),
+                'noAction' => __('Choose a bulk action first.', 'wp-state-machine'),
+                'noSelection' => __('Select at least one row.', 'wp-state-machine'),
+                'noValue' => __('Choose a value for this action.', 'wp-state-machine'),
+                'confirm' => __('%1$s: %2$d selected row(s)', 'wp-state-machine'),
+                'confirmMore' => __('...and %d more', 'wp-state-machine'),
+                'confirmValue' => __('New value: %s', 'wp-state-machine'),
+                'confirmDelete' => __('The selected rows will be moved to the Trash. Continue?', 'wp-state-machine'),
+                'failed' => __('%d row(s) were not changed:', 'wp-state-machine'),
+                'error' => __('An error occurred while applying the bulk action. Please try again.', 'wp-state-machine'),
+            ],
+        ];
+    }
+
+    /**
+     * Delete impact dialog config shared by the admin list screens
+     *
+     * @param array $modes Description of each delete mode offered on the screen
+     * @return array
+     */
+    private function get_delete_impact_data(array $modes) {
+        return [
+            'modes' => $modes,
+            'i18n' => [
+                'title' => __('Move "%s" to the Trash', 'wp-state-machine'),
+                'loading' => __('Checking what depends on it...', 'wp-state-machine'),
+                'loadError' => __('Failed to check what depends on it. Please try again.', 'wp-state-machine'),
+                'nothingDepends' => __('Nothing depends on it. It can be restored from the Trash.', 'wp-state-machine'),
+                'dependents' => __('The following depends on it:', 'wp-state-machine'),
+                'chooseMode' => __('What should happen?', 'wp-state-machine'),
+                'chooseTarget' => __('Select...', 'wp-state-machine'),
+                'blockedNote' => __('Nothing will be moved. Choose another option to continue.', 'wp-state-machine'),
+                'delete' => __('Move to Trash', 'wp-state-machine'),
+                'deleting' => __('Moving...', 'wp-state-machine'),
+                'cancel' => __('Cancel', 'wp-state-machine'),
+                'close' => __('Close', 'wp-state-machine'),
+                'error' => __('An error occurred while deleting. Please try again.', 'wp-state-machine'),
+            ],
+        ];
+    }
+
+    /**
+     * All / Trash view strings shared by the admin list screens
+     *
+     * @return array
+     */
+    private function get_trash_data() {
+        return [
+            'i18n' => [
+                'all' => __('All', 'wp-state-machine'),
+                'trash' => __('Trash', 'wp-state-machine'),
+                'confirmPurge' => __('Delete "%s" permanently? This cannot be undone.', 'wp-state-machine'),
+                'error' => __('An error occurred. Please try again.', 'wp-state-machine'),
+            ],
+        ];
+    }
+
+    /**
+     * Versions tab strings for the machine view modal
+     *
+     * @return array
+     */
+    private function get_machine_versions_data() {
+        return [
+            'i18n' => [
+                'loading' => __('Loading...', 'wp-state-machine'),
+                'loadError' => __('Failed to load the versions. Please try again.', 'wp-state-machine'),
+                'publishError' => __('An error occurred while publishing. Please try again.', 'wp-state-machine'),
+                'migrateError' => __('An error occurred while migrating. Please try again.', 'wp-state-machine'),
+                'neverPublished' => __('Not published yet: every entity follows the current definition. Publish to pin entities to a version.', 'wp-state-machine'),
+                'draftChanged' => __('The draft has changes that are not published. Version %d is live.', 'wp-state-machine'),
+                'draftClean' => __('The draft matches version %d.', 'wp-state-machine'),
+                'notesPlaceholder' => __('What changed? (optional)', 'wp-state-machine'),
+                'publish' => __('Publish Version', 'wp-state-machine'),
+                'confirmPublish' => __('Publish the draft as a new version? New entities start on it; running entities stay on their version until migrated.', 'wp-state-machine'),
+                'noVersions' => __('No versions yet.', 'wp-state-machine'),
+                'version' => __('Version', 'wp-state-machine'),
+                'notes' => __('Notes', 'wp-state-machine'),
+                'author' => __('Published By', 'wp-state-machine'),
+                'date' => __('Date', 'wp-state-machine'),
+                'entities' => __('Entities', 'wp-state-machine'),
+                'latest' => __('Latest', 'wp-state-machine'),
+                'entityCount' => __('%d entities', 'wp-state-machine'),
+                'migrateTitle' => __('Migrate Entities', 'wp-state-machine'),
+                'migrateHelp' => __('Move entities from an older version to another one. Each current state is mapped to a state of the target version.', 'wp-state-machine'),
+                'noOldEntities' => __('No entities are on an older version.', 'wp-state-machine'),
+                'fromVersion' => __('From', 'wp-state-machine'),
+                'toVersion' => __('To', 'wp-state-machine'),
+                'loadEntities' => __('Load Entities', 'wp-state-machine'),
+                'noEntities' => __('No entities are on this version.', 'wp-state-machine'),
+                'stateMapping' => __('State Mapping', 'wp-state-machine'),
+                'oldState' => __('State in v%d', 'wp-state-machine'),
+                'newState' => __('Becomes in v%d', 'wp-state-machine'),
+                'skip' => __('— Do not migrate —', 'wp-state-machine'),
+                'entitiesTitle' => __('Entities (%d)', 'wp-state-machine'),
+                'entity' => __('Entity', 'wp-state-machine'),
+                'currentState' => __('Current State', 'wp-state-machine'),
+                'since' => __('Since', 'wp-state-machine'),
+                'selectEntities' => __('Select at least one entity to migrate.', 'wp-state-machine'),
+                'migrate' => __('Migrate Selected', 'wp-state-machine'),
+                'confirmMigrate' => __('Migrate %1$d entities to version %2$d?', 'wp-state-machine'),
+            ],
+        ];
+    }
+
+    /**
+     * Revision history strings and field labels for the machine view modal
+     *
+     * @return array
+     */
+    private function get_machine_history_data() {
+        return [
+            'fields' => [
+                'name' => __('Name', 'wp-state-machine'),
+                'slug' => __('Slug', 'wp-state-machine'),
+                'description' => __('Description', 'wp-state-machine'),
+                'plugin_slug' => __('Plugin', 'wp-state-machine'),
+                'entity_type' => __('Entity Type', 'wp-state-machine'),
+                'workflow_group_id' => __('Workflow Group ID', 'wp-state-machine'),
+                'is_active' => __('Active', 'wp-state-machine'),
+                'type' => __('Type', 'wp-state-machine'),
+                'color' => __('Color', 'wp-state-machine'),
+                'metadata' => __('Metadata', 'wp-state-machine'),
+                'sort_order' => __('Order', 'wp-state-machine'),
+                'label' => __('Label', 'wp-state-machine'),
+                'guard_class' => __('Guard', 'wp-state-machine'),
+                'timeout_minutes' => __('Timeout (minutes)', 'wp-state-machine'),
+                'effects' => __('Actions', 'wp-state-machine'),
+            ],
+            'i18n' => [
+                'loading' => __('Loading...', 'wp-state-machine'),
+                'loadError' => __('Failed to load the revision history. Please try again.', 'wp-state-machine'),
+                'compareError' => __('Failed to compare the revisions. Please try again.', 'wp-state-machine'),
+                'rollbackError' => __('An error occurred while rolling back. Please try again.', 'wp-state-machine'),
+                'asOf' => __('As of', 'wp-state-machine'),
+                'show' => __('Show', 'wp-state-machine'),
+                'compare' => __('Compare Selected', 'wp-state-machine'),
+                'showUnchanged' => __('Show unchanged', 'wp-state-machine'),
+                'from' => __('From', 'wp-state-machine'),
+                'to' => __('To', 'wp-state-machine'),
+                'revision' => __('Revision', 'wp-state-machine'),
+                'summary' => __('Changes', 'wp-state-machine'),
+                'author' => __('Author', 'wp-state-machine'),
+                'date' => __('Date', 'wp-state-machine'),
+                'current' => __('Current', 'wp-state-machine'),
+                'rollback' => __('Roll Back', 'wp-state-machine'),
+                'confirmRollback' => __('Roll the state machine back to revision #%d? States and transitions the revision does not have are moved to the Trash.', 'wp-state-machine'),
+                'noRevisionOnDate' => __('The state machine had no revision on that date.', 'wp-state-machine'),
+                'details' => __('Details', 'wp-state-machine'),
+                'metadataSchema' => __('Metadata Schema', 'wp-state-machine'),
+                'states' => __('States', 'wp-state-machine'),
+                'transitions' => __('Transitions', 'wp-state-machine'),
+                'none' => __('None', 'wp-state-machine'),
+                'identical' => __('The revisions are identical. Check "Show unchanged" to see the full definition.', 'wp-state-machine'),
+                'counts' => __('%1$d added, %2$d removed, %3$d changed', 'wp-state-machine'),
+                'status' => [
+                    'added' => __('Added', 'wp-state-machine'),
+                    'removed' => __('Removed', 'wp-state-machine'),
+                    'changed' => __('Changed', 'wp-state-machine'),
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Guard types, roles and capabilities for the transition guard builder
+     *
+     * @return array
+     */
+    private function get_guard_builder_data() {
+        $roles = [];
+        $capabilities = [];
+
+        foreach (wp_roles()->roles as $slug => $role) {
+            $roles[$slug] = translate_user_role($role['name']);
+            $capabilities = array_merge($capabilities, array_keys(array_filter($role['capabilities'])));
+        }
+
+        $capabilities = array_values(array_unique($capabilities));
+        sort($capabilities);
+
+        return [
+            'types' => \WPStateMachine\Guards\GuardFactory::getGuardInfo(),
+            'roles' => $roles,
+            'capabilities' => $capabilities,
+        ];
+    }
+
+    /**
+     * Workflow validation panel strings (states and transitions pages)
+     *
+     * @return array
+     */
+    private function get_validation_i18n() {
+        return [
+            'title' => __('Workflow validation: %d issue(s) found', 'wp-state-machine'),
+            'valid' => __('Workflow validation: no issues found.', 'wp-state-machine'),
+            'noInitial' => __('This machine has no initial state.', 'wp-state-machine'),
+            'multipleInitial' => __('This machine has more than one initial state: %s.', 'wp-state-machine'),
+            'duplicate' => __('Transitions %1$s all lead from %2$s to %3$s.', 'wp-state-machine'),
+            'unreachable' => __('%s cannot be reached from the initial state.', 'wp-state-machine'),
+            'deadEnd' => __('%s is not a final state but has no outgoing transitions.', 'wp-state-machine'),
+            'fixMakeInitial' => __('Make %s the initial state', 'wp-state-machine'),
+            'fixEditState' => __('Edit %s', 'wp-state-machine'),
+            'fixDeleteTransition' => __('Delete transition #%d', 'wp-state-machine'),
+            'fixAddIncoming' => __('Add incoming transition', 'wp-state-machine'),
+            'fixAddOutgoing' => __('Add outgoing transition', 'wp-state-machine'),
+            'fixMakeFinal' => __('Mark as final', 'wp-state-machine'),
+        ];
+    }
+
+    /**
+     * Admin URLs used by validation fix links
+     *
+     * @return array
+     */
+    private function get_validation_urls() {
+        return [
+            'states' => admin_url('admin.php?page=wp-state-machine-states'),
+            'transitions' => admin_url('admin.php?page=wp-state-machine-transitions'),
+        ];
+    }
+
     /**
      * Enqueue frontend styles (if needed)
      *
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Includes
- * @version     1.0.0
+ * @version     1.5.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/includes/class-init-hooks.php
@@ -14,6 +14,25 @@
  *              and WordPress action hooks.
  *
  * Changelog:
+ * 1.5.0 - 2026-10-19
+ * - Register TransitionEffectRunner hooks (transition actions)
+ *
+ * 1.4.0 - 2026-10-19
+ * - Register TimedTransitionRunner hooks and schedule its five-minute cron event
+ *
+ * 1.3.0 - 2026-10-19
+ * - Register BulkTransitionJobModel hooks (batch cron event)
+ *
+ * 1.2.1 - 2026-10-19
+ * - Trash purge keeps states and transitions of published versions still in use
+ *
+ * 1.2.0 - 2026-10-19
+ * - Register MachineRevisionModel hooks (revision per changed machine on shutdown)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Run Installer::maybe_upgrade on admin_init
+ * - Added daily wp_state_machine_purge_trash cron for the trash_days setting
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - Added textdomain loading
@@ -23,6 +42,18 @@
 
 defined('ABSPATH') || exit;
 
+use WPStateMachine\Database\Installer;
+use WPStateMachine\Models\StateMachine\StateMachineModel;
+use WPStateMachine\Models\StateMachine\MetadataSchemaModel;
+use WPStateMachine\Models\StateMachine\MachineRevisionModel;
+use WPStateMachine\Models\StateMachine\MachineVersionModel;
+use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Models\Transition\BulkTransitionJobModel;
+use WPStateMachine\Models\WorkflowGroup\WorkflowGroupModel;
+use WPStateMachine\Engine\TimedTransitionRunner;
+use WPStateMachine\Engine\TransitionEffectRunner;
+
 class WP_State_Machine_Init_Hooks {
 
     /**
@@ -83,5 +114,71 @@ class WP_State_Machine_Init_Hooks {
         // Fired before transition: do_action('wp_state_machine_before_transition', ...);
         // Fired after transition: do_action('wp_state_machine_after_transition', ...);
         // Fired on transition error: do_action('wp_state_machine_transition_error', ...);
+
+        // Bring existing tables up to the current schema after an update
+        add_action('admin_init', [Installer::class, 'maybe_upgrade']);
+
+        // Revision snapshot of every machine whose definition changed in this request
+        (new MachineRevisionModel())->registerHooks();
+
+        // Bulk transition jobs run in batches on WP-Cron
+        (new BulkTransitionJobModel())->registerHooks();
+
+        // Transitions with a timeout are applied on WP-Cron
+        (new TimedTransitionRunner())->registerHooks();
+
+        // Actions configured on a transition run after it is applied
+        (new TransitionEffectRunner())->registerHooks();
+
+        // Daily trash purge
+        add_action('init', [$this, 'schedule_events']);
+        add_action('wp_state_machine_purge_trash', [$this, 'purge_trash']);
+    }
+
+    /**
+     * Schedule the plugin cron events
+     *
+     * @return void
+     */
+    public function schedule_events() {
+        if (!wp_next_scheduled('wp_state_machine_purge_trash')) {
+            wp_schedule_event(time(), 'daily', 'wp_state_machine_purge_trash');
+        }
+
+        if (!wp_next_scheduled(TimedTransitionRunner::CRON_HOOK)) {
+            wp_schedule_event(time(), TimedTransitionRunner::CRON_SCHEDULE, TimedTransitionRunner::CRON_HOOK);
+        }
+    }
+
+    /**
+     * Permanently delete rows trashed longer than Settings > Database > "Empty Trash After"
+     * Children first so purged machines still have their slug for the schema cleanup
+     *
+     * @return void
+     */
+    public function purge_trash() {
+        $settings = get_option('wp_state_machine_settings', []);
+        $days = isset($settings['trash_days']) ? absint($settings['trash_days']) : 30;
+
+        if ($days === 0) {
+            return;
+        }
+
+        try {
+            // Rows of published versions that entities still follow stay in the trash
+            $protected = (new MachineVersionModel())->getProtectedIds();
+
+            (new TransitionModel())->purgeTrash($days, $protected['transition']);
+            (new StateModel())->purgeTrash($days, $protected['state']);
+
+            $schema_model = new MetadataSchemaModel();
+            foreach ((new StateMachineModel())->purgeTrash($days) as $machine) {
+                $schema_model->deleteMachineSchema($machine->slug);
+            }
+
+            (new WorkflowGroupModel())->purgeTrash($days);
+        } catch (\Exception $e) {
+            error_log('Trash Purge Error: ' . $e->getMessage());
+        }
     }
 }
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.1
+ * @version     1.5.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Controllers/LogsController.php
@@ -19,8 +19,10 @@
  * - Plugin filter dropdown
  * - Date range filtering
  * - Machine filtering
- * - User filtering
+ * - User, entity, from/to state and comment filtering
  * - Export to CSV
+ * - Entity timeline (full history of one entity)
+ * - Analytics page (current state counts, dwell time, paths, throughput, bottlenecks)
  * - Permission checks (view_state_machine_logs)
  *
  * Usage:
@@ -33,9 +35,29 @@
  * AJAX Actions:
  * - sm_logs_datatable    : Get logs for DataTable
  * - sm_logs_get_plugins  : Get available plugins for dropdown
+ * - sm_logs_get_users    : Get users who made transitions, for dropdown
  * - sm_logs_export       : Export logs to CSV
+ * - sm_logs_entity_timeline : Get timeline for one entity
+ * - sm_logs_analytics    : Get aggregated analytics for one machine
  *
  * Changelog:
+ * 1.5.0 - 2026-10-19
+ * - Entity timeline lists actions that failed after a transition (failed_effects from log metadata)
+ *
+ * 1.4.0 - 2026-10-19
+ * - Entity timeline marks system-triggered entries (is_system, trigger from log metadata)
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added user, entity type, entity ID, from/to state and comment filters to DataTable and CSV export (getFilterParams)
+ * - Added sm_logs_get_users AJAX handler
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added sm_logs_analytics AJAX handler and renderAnalyticsPage()
+ * - Filter clauses shared by DataTable, export and analytics (buildFilterClauses)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added sm_logs_entity_timeline AJAX handler (entity history with time spent in each state)
+ *
  * 1.0.1 - 2025-11-07 (TODO-6104)
  * - Moved asset enqueuing to class-dependencies.php
  * - Removed enqueueAssets() method
@@ -51,6 +73,7 @@
 namespace WPStateMachine\Controllers;
 
 use WPStateMachine\Models\TransitionLog\TransitionLogModel;
+use WPStateMachine\Engine\StateMachineEngine;
 
 defined('ABSPATH') || exit;
 
@@ -77,7 +100,10 @@ class LogsController {
     private function registerAjaxHandlers() {
         add_action('wp_ajax_sm_logs_datatable', [$this, 'handleDataTableRequest']);
         add_action('wp_ajax_sm_logs_get_plugins', [$this, 'handleGetPlugins']);
+        add_action('wp_ajax_sm_logs_get_users', [$this, 'handleGetUsers']);
         add_action('wp_ajax_sm_logs_export', [$this, 'handleExport']);
+        add_action('wp_ajax_sm_logs_entity_timeline', [$this, 'handleEntityTimeline']);
+        add_action('wp_ajax_sm_logs_analytics', [$this, 'handleAnalytics']);
     }
 
     /**
@@ -148,31 +174,8 @@ class LogsController {
         $machine_table = $wpdb->prefix . 'app_sm_machines';
         $user_table = $wpdb->prefix . 'users';
 
-        // Build WHERE clause
-        $where_clauses = ['1=1'];
-        $where_values = [];
-
-        // Machine filter
-        if (!empty($params['machine_id'])) {
-            $where_clauses[] = 'l.machine_id = %d';
-            $where_values[] = $params['machine_id'];
-        }
-
-        // Date range filter
-        if (!empty($params['date_from'])) {
-            $where_clauses[] = 'l.created_at >= %s';
-            $where_values[] = $params['date_from'] . ' 00:00:00';
-        }
-        if (!empty($params['date_to'])) {
-            $where_clauses[] = 'l.created_at <= %s';
-            $where_values[] = $params['date_to'] . ' 23:59:59';
-        }
-
-        // User filter
-        if (!empty($params['user_id'])) {
-            $where_clauses[] = 'l.user_id = %d';
-            $where_values[] = $params['user_id'];
-        }
+        // Build WHERE clause (machine, date range, user)
+        list($where_clauses, $where_values) = $this->buildFilterClauses($params);
 
         // Search filter
         if (!empty($params['search'])) {
@@ -268,6 +271,44 @@ class LogsController {
         }
     }
 
+    /**
+     * Get users who made transitions
+     * For filter dropdown
+     * @return void
+     */
+    public function handleGetUsers() {
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        if (!current_user_can('view_state_machine_logs')) {
+            wp_send_json_error(['message' => __('Access denied', 'wp-state-machine')]);
+        }
+
+        try {
+            global $wpdb;
+
+            $plugin_slug = sanitize_text_field($_POST['plugin_slug'] ?? '');
+            $plugin_slug = ($plugin_slug === 'all' || $plugin_slug === '') ? null : $plugin_slug;
+
+            $log_table = $this->getLogModel($plugin_slug)->getTableName();
+            $user_table = $wpdb->prefix . 'users';
+
+            $users = $wpdb->get_results(
+                "SELECT u.ID as id, u.display_name
+                 FROM {$user_table} u
+                 WHERE u.ID IN (SELECT DISTINCT user_id FROM {$log_table})
+                 ORDER BY u.display_name"
+            );
+
+            wp_send_json_success($users);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => __('Failed to load users', 'wp-state-machine'),
+                'error' => $e->getMessage()
+            ]);
+        }
+    }
+
     /**
      * Handle export request
      * @return void
@@ -287,13 +328,8 @@ class LogsController {
             // Get log model
             $log_model = $this->getLogModel($plugin_slug);
 
-            // Get all logs (no pagination for export)
-            $params = [
-                'machine_id' => intval($_GET['machine_id'] ?? 0),
-                'date_from' => sanitize_text_field($_GET['date_from'] ?? ''),
-                'date_to' => sanitize_text_field($_GET['date_to'] ?? ''),
-                'user_id' => intval($_GET['user_id'] ?? 0)
-            ];
+            // Get all logs (no pagination for export), same filters as the table
+            $params = $this->getFilterParams($_GET);
 
             $logs = $this->getLogsForExport($log_model, $params);
 
@@ -308,44 +344,86 @@ class LogsController {
     }
 
     /**
-     * Get logs for export (no pagination)
+     * Build WHERE clauses shared by DataTable, export and analytics
+     * Log table alias is "l"
      *
-     * @param TransitionLogModel $log_model Log model instance
-     * @param array $params Query parameters
-     * @return array Log entries
+     * @param array $params Filter parameters from getFilterParams()
+     * @return array [string[] $clauses, array $values]
      */
-    private function getLogsForExport($log_model, $params) {
-        global $wpdb;
-
-        $log_table = $log_model->getTableName();
-        $state_table = $wpdb->prefix . 'app_sm_states';
-        $machine_table = $wpdb->prefix . 'app_sm_machines';
-        $user_table = $wpdb->prefix . 'users';
-
-        // Build WHERE clause
+    private function buildFilterClauses($params) {
         $where_clauses = ['1=1'];
         $where_values = [];
 
+        // Machine filter
         if (!empty($params['machine_id'])) {
             $where_clauses[] = 'l.machine_id = %d';
             $where_values[] = $params['machine_id'];
         }
 
+        // Date range filter
         if (!empty($params['date_from'])) {
             $where_clauses[] = 'l.created_at >= %s';
             $where_values[] = $params['date_from'] . ' 00:00:00';
         }
-
         if (!empty($params['date_to'])) {
             $where_clauses[] = 'l.created_at <= %s';
             $where_values[] = $params['date_to'] . ' 23:59:59';
         }
 
+        // User filter
         if (!empty($params['user_id'])) {
             $where_clauses[] = 'l.user_id = %d';
             $where_values[] = $params['user_id'];
         }
 
+        // Entity filters
+        if (!empty($params['entity_type'])) {
+            $where_clauses[] = 'l.entity_type = %s';
+            $where_values[] = $params['entity_type'];
+        }
+        if (!empty($params['entity_id'])) {
+            $where_clauses[] = 'l.entity_id = %d';
+            $where_values[] = $params['entity_id'];
+        }
+
+        // State filters
+        if (!empty($params['from_state_id'])) {
+            $where_clauses[] = 'l.from_state_id = %d';
+            $where_values[] = $params['from_state_id'];
+        }
+        if (!empty($params['to_state_id'])) {
+            $where_clauses[] = 'l.to_state_id = %d';
+            $where_values[] = $params['to_state_id'];
+        }
+
+        // Comment text filter
+        if (!empty($params['comment'])) {
+            global $wpdb;
+            $where_clauses[] = 'l.comment LIKE %s';
+            $where_values[] = '%' . $wpdb->esc_like($params['comment']) . '%';
+        }
+
+        return [$where_clauses, $where_values];
+    }
+
+    /**
+     * Get logs for export (no pagination)
+     *
+     * @param TransitionLogModel $log_model Log model instance
+     * @param array $params Query parameters
+     * @return array Log entries
+     */
+    private function getLogsForExport($log_model, $params) {
+        global $wpdb;
+
+        $log_table = $log_model->getTableName();
+        $state_table = $wpdb->prefix . 'app_sm_states';
+        $machine_table = $wpdb->prefix . 'app_sm_machines';
+        $user_table = $wpdb->prefix . 'users';
+
+        // Build WHERE clause
+        list($where_clauses, $where_values) = $this->buildFilterClauses($params);
+
         $where_sql = implode(' AND ', $where_clauses);
 
         // Get all matching logs
@@ -421,23 +499,420 @@ class LogsController {
         exit;
     }
 
+    /**
+     * Handle entity timeline request
+     * Central table history comes from StateMachineEngine::getEntityHistory,
+     * per-plugin tables from their own log model
+     * @return void
+     */
+    public function handleEntityTimeline() {
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        if (!current_user_can('view_state_machine_logs')) {
+            wp_send_json_error(['message' => __('Access denied', 'wp-state-machine')]);
+        }
+
+        $entity_type = sanitize_text_field($_POST['entity_type'] ?? '');
+        $entity_id = intval($_POST['entity_id'] ?? 0);
+
+        if ($entity_type === '' || $entity_id <= 0) {
+            wp_send_json_error(['message' => __('Entity type and entity ID are required', 'wp-state-machine')]);
+        }
+
+        try {
+            $plugin_slug = sanitize_text_field($_POST['plugin_slug'] ?? '');
+            $plugin_slug = ($plugin_slug === 'all' || $plugin_slug === '') ? null : $plugin_slug;
+
+            $history = $plugin_slug
+                ? $this->getLogModel($plugin_slug)->getEntityHistory($entity_type, $entity_id)
+                : (new StateMachineEngine())->getEntityHistory($entity_type, $entity_id);
+
+            wp_send_json_success([
+                'entity_type' => $entity_type,
+                'entity_id' => $entity_id,
+                'timeline' => $this->buildTimeline($history),
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => __('Failed to load timeline', 'wp-state-machine'),
+                'error' => $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Add time spent in state to entity history
+     *
+     * Each log entry is the moment the entity entered to_state. It stays
+     * there until the next entry of the same machine; the latest entry per
+     * machine is the current state and its duration runs until now.
+     * System-triggered entries (metadata trigger, e.g. "timeout" from
+     * TimedTransitionRunner) get is_system and trigger; actions that
+     * failed after the transition (TransitionEffectRunner) get failed_effects
+     *
+     * @param array $history Log entries from getEntityHistory (newest first)
+     * @return array Log entries, newest first, with duration, duration_human, left_at, is_current, is_system, trigger and failed_effects
+     */
+    private function buildTimeline($history) {
+        global $wpdb;
+
+        // Same clock as the created_at column default
+        $now = strtotime($wpdb->get_var('SELECT NOW()'));
+
+        usort($history, function($a, $b) {
+            return [$a->created_at, (int) $a->id] <=> [$b->created_at, (int) $b->id];
+        });
+
+        $last_by_machine = [];
+
+        foreach ($history as $index => $log) {
+            $log->left_at = null;
+            $log->is_current = false;
+
+            if (isset($last_by_machine[$log->machine_id])) {
+                $history[$last_by_machine[$log->machine_id]]->left_at = $log->created_at;
+            }
+
+            $last_by_machine[$log->machine_id] = $index;
+        }
+
+        foreach ($last_by_machine as $index) {
+            $history[$index]->is_current = true;
+        }
+
+        foreach ($history as $log) {
+            $metadata = !empty($log->metadata) ? json_decode($log->metadata, true) : null;
+            $log->trigger = is_array($metadata) && !empty($metadata['trigger']) ? (string) $metadata['trigger'] : '';
+            $log->is_system = $log->trigger !== '';
+            $log->failed_effects = is_array($metadata) ? $this->getFailedEffects($metadata) : [];
+
+            $start = strtotime($log->created_at);
+            $end = $log->left_at ? strtotime($log->left_at) : $now;
+
+            $log->duration = max(0, $end - $start);
+            $log->duration_human = human_time_diff($start, max($start, $end));
+        }
+
+        return array_reverse($history);
+    }
+
+    /**
+     * Actions recorded as failed in a log entry's metadata
+     *
+     * @param array $metadata Decoded log metadata
+     * @return array Failed action results (name, message)
+     */
+    private function getFailedEffects(array $metadata) {
+        $failed = [];
+
+        foreach ((array) ($metadata['effects'] ?? []) as $effect) {
+            if (is_array($effect) && empty($effect['success'])) {
+                $failed[] = [
+                    'name' => (string) ($effect['name'] ?? $effect['type'] ?? ''),
+                    'message' => (string) ($effect['message'] ?? '')
+                ];
+            }
+        }
+
+        return $failed;
+    }
+
+    /**
+     * Handle analytics request
+     * Uses the same plugin/machine/date filters as the logs DataTable
+     * @return void
+     */
+    public function handleAnalytics() {
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        if (!current_user_can('view_state_machine_logs')) {
+            wp_send_json_error(['message' => __('Access denied', 'wp-state-machine')]);
+        }
+
+        $params = [
+            'machine_id' => intval($_POST['machine_id'] ?? 0),
+            'date_from' => sanitize_text_field($_POST['date_from'] ?? ''),
+            'date_to' => sanitize_text_field($_POST['date_to'] ?? ''),
+        ];
+
+        if (empty($params['machine_id'])) {
+            wp_send_json_error(['message' => __('Please select a machine', 'wp-state-machine')]);
+        }
+
+        try {
+            $plugin_slug = sanitize_text_field($_POST['plugin_slug'] ?? '');
+            $plugin_slug = ($plugin_slug === 'all' || $plugin_slug === '') ? null : $plugin_slug;
+
+            wp_send_json_success($this->getAnalytics($this->getLogModel($plugin_slug), $params));
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => __('Failed to load analytics', 'wp-state-machine'),
+                'error' => $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Aggregate logs of one machine
+     *
+     * Logs are walked per entity in time order. An entity enters to_state at
+     * each log entry and leaves it at its next entry; the time in between is
+     * one dwell sample for that state. The last entry of each entity is its
+     * current state, still open until the end of the range (or now).
+     *
+     * @param TransitionLogModel $log_model Log model instance
+     * @param array $params Query parameters (machine_id required)
+     * @return array Analytics data
+     */
+    private function getAnalytics($log_model, $params) {
+        global $wpdb;
+
+        $log_table = $log_model->getTableName();
+        $state_table = $wpdb->prefix . 'app_sm_states';
+
+        $states = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, name, slug, type, color FROM {$state_table} WHERE machine_id = %d ORDER BY sort_order, id",
+            $params['machine_id']
+        ), OBJECT_K);
+
+        list($where_clauses, $where_values) = $this->buildFilterClauses($params);
+        $where_sql = implode(' AND ', $where_clauses);
+
+        $logs = $wpdb->get_results($wpdb->prepare(
+            "SELECT l.id, l.entity_type, l.entity_id, l.from_state_id, l.to_state_id, l.created_at
+             FROM {$log_table} l
+             WHERE {$where_sql}
+             ORDER BY l.entity_type, l.entity_id, l.created_at, l.id",
+            $where_values
+        ));
+
+        // Open intervals end at the range end, or now if that is earlier
+        $now = strtotime($wpdb->get_var('SELECT NOW()'));
+        $range_end = !empty($params['date_to']) ? min($now, strtotime($params['date_to'] . ' 23:59:59')) : $now;
+
+        $dwell = [];
+        $waiting = [];
+        $current = [];
+        $transitions = [];
+        $paths = [];
+        $per_day = [];
+
+        $entity_key = null;
+        $previous = null;
+        $path = [];
+
+        foreach ($logs as $index => $log) {
+            $key = $log->entity_type . ':' . $log->entity_id;
+            $time = strtotime($log->created_at);
+            $day = substr($log->created_at, 0, 10);
+
+            if ($key !== $entity_key) {
+                $entity_key = $key;
+                $previous = null;
+                $path = [];
+            }
+
+            if ($previous) {
+                $seconds = max(0, $time - $previous['time']);
+                $dwell[$previous['state_id']][] = $seconds;
+                $waiting[$previous['state_id']][] = $seconds;
+            }
+
+            $pair = ($log->from_state_id ?: 0) . '-' . $log->to_state_id;
+            $transitions[$pair] = ($transitions[$pair] ?? 0) + 1;
+
+            if (!isset($per_day[$day])) {
+                $per_day[$day] = ['transitions' => 0, 'completed' => 0];
+            }
+            $per_day[$day]['transitions']++;
+
+            $to_state = $states[$log->to_state_id] ?? null;
+            if ($to_state && $to_state->type === 'final') {
+                $per_day[$day]['completed']++;
+            }
+
+            $path[] = (int) $log->to_state_id;
+            $previous = ['state_id' => (int) $log->to_state_id, 'time' => $time];
+
+            // Last entry of this entity: current state
+            $next = $logs[$index + 1] ?? null;
+            if (!$next || $next->entity_type . ':' . $next->entity_id !== $key) {
+                $state_id = (int) $log->to_state_id;
+                $current[$state_id] = ($current[$state_id] ?? 0) + 1;
+                $waiting[$state_id][] = max(0, $range_end - $time);
+
+                $path_key = implode(',', $path);
+                $paths[$path_key] = ($paths[$path_key] ?? 0) + 1;
+            }
+        }
+
+        $state_rows = [];
+        foreach ($states as $state) {
+            $samples = $dwell[$state->id] ?? [];
+            $waits = $waiting[$state->id] ?? [];
+
+            $state_rows[] = [
+                'id' => (int) $state->id,
+                'name' => $state->name,
+                'type' => $state->type,
+                'color' => $state->color,
+                'current_count' => $current[$state->id] ?? 0,
+                'dwell_count' => count($samples),
+                'dwell_avg' => $samples ? (int) round(array_sum($samples) / count($samples)) : null,
+                'dwell_p50' => $this->percentile($samples, 50),
+                'dwell_p90' => $this->percentile($samples, 90),
+                'wait_avg' => $waits ? (int) round(array_sum($waits) / count($waits)) : null,
+            ];
+        }
+
+        // Bottlenecks: non-final states with entities in them, longest average wait first
+        // (wait includes entities still in the state)
+        $bottlenecks = array_values(array_filter($state_rows, function($row) {
+            return $row['type'] !== 'final' && $row['wait_avg'] !== null;
+        }));
+        usort($bottlenecks, function($a, $b) {
+            return $b['wait_avg'] <=> $a['wait_avg'];
+        });
+
+        arsort($transitions);
+        $top_transitions = [];
+        foreach (array_slice($transitions, 0, 10, true) as $pair => $count) {
+            list($from_id, $to_id) = array_map('intval', explode('-', $pair));
+            $top_transitions[] = [
+                'from' => $from_id ? $this->stateName($states, $from_id) : null,
+                'to' => $this->stateName($states, $to_id),
+                'count' => $count,
+            ];
+        }
+
+        arsort($paths);
+        $top_paths = [];
+        foreach (array_slice($paths, 0, 10, true) as $path_key => $count) {
+            $top_paths[] = [
+                'states' => array_map(function($state_id) use ($states) {
+                    return $this->stateName($states, (int) $state_id);
+                }, explode(',', $path_key)),
+                'count' => $count,
+            ];
+        }
+
+        ksort($per_day);
+        $throughput = [];
+        foreach ($per_day as $day => $counts) {
+            $throughput[] = array_merge(['date' => $day], $counts);
+        }
+
+        $entities = array_sum($current);
+        $completed = 0;
+        foreach ($state_rows as $row) {
+            if ($row['type'] === 'final') {
+                $completed += $row['current_count'];
+            }
+        }
+
+        return [
+            'summary' => [
+                'transitions' => count($logs),
+                'entities' => $entities,
+                'completed' => $completed,
+                'in_progress' => $entities - $completed,
+            ],
+            'states' => $state_rows,
+            'bottlenecks' => array_slice($bottlenecks, 0, 5),
+            'transitions' => $top_transitions,
+            'paths' => $top_paths,
+            'throughput' => $throughput,
+        ];
+    }
+
+    /**
+     * Nearest-rank percentile
+     *
+     * @param array $values Numeric values
+     * @param int $percent Percentile (1-100)
+     * @return int|null Null when there are no values
+     */
+    private function percentile($values, $percent) {
+        if (empty($values)) {
+            return null;
+        }
+
+        sort($values);
+        $rank = (int) ceil($percent / 100 * count($values));
+
+        return (int) $values[max(0, $rank - 1)];
+    }
+
+    /**
+     * State name by ID, falling back to the ID for deleted states
+     *
+     * @param array $states States keyed by ID
+     * @param int $state_id State ID
+     * @return string
+     */
+    private function stateName($states, $state_id) {
+        return isset($states[$state_id]) ? $states[$state_id]->name : '#' . $state_id;
+    }
+
     /**
      * Get DataTable parameters from POST
      * @return array Parameters
      */
     private function getDataTableParams() {
-        return [
+        return array_merge([
             'draw' => intval($_POST['draw'] ?? 1),
             'start' => intval($_POST['start'] ?? 0),
             'length' => intval($_POST['length'] ?? 10),
             'search' => sanitize_text_field($_POST['search']['value'] ?? ''),
-            'machine_id' => intval($_POST['machine_id'] ?? 0),
-            'date_from' => sanitize_text_field($_POST['date_from'] ?? ''),
-            'date_to' => sanitize_text_field($_POST['date_to'] ?? ''),
-            'user_id' => intval($_POST['user_id'] ?? 0),
+        ], $this->getFilterParams($_POST));
+    }
+
+    /**
+     * Get log filter parameters from request
+     * Shared by DataTable (POST) and export (GET)
+     *
+     * @param array $request $_POST or $_GET
+     * @return array Parameters
+     */
+    private function getFilterParams($request) {
+        return [
+            'machine_id' => intval($request['machine_id'] ?? 0),
+            'date_from' => sanitize_text_field($request['date_from'] ?? ''),
+            'date_to' => sanitize_text_field($request['date_to'] ?? ''),
+            'user_id' => intval($request['user_id'] ?? 0),
+            'entity_type' => sanitize_text_field(wp_unslash($request['entity_type'] ?? '')),
+            'entity_id' => intval($request['entity_id'] ?? 0),
+            'from_state_id' => intval($request['from_state_id'] ?? 0),
+            'to_state_id' => intval($request['to_state_id'] ?? 0),
+            'comment' => sanitize_text_field(wp_unslash($request['comment'] ?? '')),
         ];
     }
 
+    /**
+     * Render analytics page
+     * Called by MenuManager
+     * @return void
+     */
+    public function renderAnalyticsPage() {
+        // Check permission
+        if (!current_user_can('view_state_machine_logs')) {
+            wp_die(__('Access denied', 'wp-state-machine'));
+        }
+
+        // Assets enqueued by class-dependencies.php
+
+        // Load view
+        $view_file = WP_STATE_MACHINE_PATH . 'src/Views/admin/logs/analytics-view.php';
+        if (file_exists($view_file)) {
+            include $view_file;
+        } else {
+            echo '<div class="wrap"><h1>' . __('Workflow Analytics', 'wp-state-machine') . '</h1>';
+            echo '<p>' . __('View file not found', 'wp-state-machine') . '</p></div>';
+        }
+    }
+
     /**
      * Render logs page
      * Called by MenuManager
@@ -5,7 +5,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Description: Manages admin menu registration for State Machine plugin
@@ -13,6 +13,12 @@
  *              Handles main menu and submenus with proper capabilities
  *
  * Changelog:
+ * 1.2.0 - 2026-10-19
+ * - Added Bulk Transitions submenu (rendered by TransitionController)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added Analytics submenu (rendered by LogsController)
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - Main menu for State Machines
@@ -176,6 +182,16 @@ class MenuManager {
             [$this, 'renderTransitionsPage']
         );
 
+        // Submenu: Bulk Transitions (rendered by TransitionController)
+        add_submenu_page(
+            'wp-state-machine',
+            __('Bulk Transitions', 'wp-state-machine'),
+            __('Bulk Transitions', 'wp-state-machine'),
+            'manage_state_machines',
+            'wp-state-machine-bulk-transitions',
+            [$this, 'renderBulkTransitionsPage']
+        );
+
         // Submenu: Transition Logs
         add_submenu_page(
             'wp-state-machine',
@@ -186,6 +202,16 @@ class MenuManager {
             [$this, 'renderLogsPage']
         );
 
+        // Submenu: Analytics (built from transition logs)
+        add_submenu_page(
+            'wp-state-machine',
+            __('Workflow Analytics', 'wp-state-machine'),
+            __('Analytics', 'wp-state-machine'),
+            'view_state_machine_logs',
+            'wp-state-machine-analytics',
+            [$this, 'renderAnalyticsPage']
+        );
+
         // Submenu: Settings - admin only
         add_submenu_page(
             'wp-state-machine',
@@ -272,6 +298,29 @@ class MenuManager {
         echo '</div>';
     }
 
+    /**
+     * Render Bulk Transitions page
+     *
+     * @return void
+     */
+    public function renderBulkTransitionsPage() {
+        // Bulk transitions are served by the transition controller
+        if ($this->transition_controller) {
+            $this->transition_controller->renderBulkPage();
+            return;
+        }
+
+        // Fallback to placeholder if controller not injected
+        echo '<div class="wrap">';
+        echo '<h1>' . esc_html__('Bulk Transitions', 'wp-state-machine') . '</h1>';
+
+        echo '<div class="notice notice-warning">';
+        echo '<p>' . esc_html__('Transition controller not initialized. Please check plugin configuration.', 'wp-state-machine') . '</p>';
+        echo '</div>';
+
+        echo '</div>';
+    }
+
     /**
      * Render Workflow Groups page
      *
@@ -320,6 +369,29 @@ class MenuManager {
         echo '</div>';
     }
 
+    /**
+     * Render Analytics page
+     *
+     * @return void
+     */
+    public function renderAnalyticsPage() {
+        // Analytics is served by the logs controller
+        if ($this->logs_controller) {
+            $this->logs_controller->renderAnalyticsPage();
+            return;
+        }
+
+        // Fallback to placeholder if controller not injected
+        echo '<div class="wrap">';
+        echo '<h1>' . esc_html__('Workflow Analytics', 'wp-state-machine') . '</h1>';
+
+        echo '<div class="notice notice-warning">';
+        echo '<p>' . esc_html__('Logs controller not initialized. Please check plugin configuration.', 'wp-state-machine') . '</p>';
+        echo '</div>';
+
+        echo '</div>';
+    }
+
     /**
      * Render Settings page
      *
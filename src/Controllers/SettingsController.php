@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Controllers/SettingsController.php
@@ -14,6 +14,9 @@
  *              Follows clean MVC pattern dengan separated assets.
  *
  * Changelog:
+ * 1.1.0 - 2026-10-19
+ * - Added trash_days database setting (default 30, 0 = never) for the automatic trash purge
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - Multi-tab settings interface
@@ -68,6 +71,7 @@ class SettingsController {
         'auto_cleanup_enabled' => false,
         'cleanup_frequency' => 'monthly',
         'keep_logs_days' => 90,
+        'trash_days' => 30, // 0 = never purge the trash
 
         // Development settings
         'enable_development' => false,
@@ -304,6 +308,7 @@ class SettingsController {
         $current['auto_cleanup_enabled'] = isset($new_data['auto_cleanup_enabled']) ? (bool) $new_data['auto_cleanup_enabled'] : false;
         $current['cleanup_frequency'] = isset($new_data['cleanup_frequency']) ? sanitize_text_field($new_data['cleanup_frequency']) : 'monthly';
         $current['keep_logs_days'] = isset($new_data['keep_logs_days']) ? absint($new_data['keep_logs_days']) : 90;
+        $current['trash_days'] = isset($new_data['trash_days']) ? absint($new_data['trash_days']) : 30;
 
         // Development settings
         $current['enable_development'] = isset($new_data['enable_development']) ? (bool) $new_data['enable_development'] : false;
@@ -331,6 +336,7 @@ class SettingsController {
         $sanitized['log_retention_days'] = isset($settings['log_retention_days']) ? absint($settings['log_retention_days']) : 90;
         $sanitized['cache_expiration'] = isset($settings['cache_expiration']) ? absint($settings['cache_expiration']) : 3600;
         $sanitized['keep_logs_days'] = isset($settings['keep_logs_days']) ? absint($settings['keep_logs_days']) : 90;
+        $sanitized['trash_days'] = isset($settings['trash_days']) ? min(absint($settings['trash_days']), 365) : 30;
 
         // Email field
         $sanitized['notification_email'] = isset($settings['notification_email']) ? sanitize_email($settings['notification_email']) : '';
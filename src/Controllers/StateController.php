@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.0
+ * @version     1.6.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Controllers/StateController.php
@@ -16,9 +16,40 @@
  * Dependencies:
  * - StateModel: Database operations
  * - StateValidator: Form and permission validation
+ * - TransitionLogModel: Reassigning entities on delete
+ * - StateMachineModel: Parent check on restore
  * - StateMachineCacheManager: Caching layer
  *
  * Changelog:
+ * 1.6.1 - 2026-10-19
+ * - Merge reports dropped "Add User to Role" actions
+ *
+ * 1.6.0 - 2026-10-19
+ * - Added merge_state AJAX handler and a Merge into... row button: entities move to the target with a system log comment, transitions are optionally copied onto it
+ *
+ * 1.5.1 - 2026-10-19
+ * - purge_state refuses states of published versions still in use
+ *
+ * 1.5.0 - 2026-10-19
+ * - delete_state and bulk delete move states to the Trash; DataTable takes a trash flag and returns trashCount
+ * - Added restore_state and purge_state AJAX handlers
+ *
+ * 1.4.0 - 2026-10-19
+ * - Added get_state_delete_impact AJAX handler; delete_state takes a mode (block, reassign with target_id, cascade)
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added bulk_states AJAX handler (delete, color) with per-row results
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added reorder_states AJAX handler (drag-to-reorder)
+ *
+ * 1.1.0 - 2026-10-19
+ * - update_state keeps current values for fields that are not posted (inline edits)
+ * - update_state returns the saved row fields; DataTable rows carry can_edit
+ *
+ * 1.0.1 - 2026-10-19
+ * - Unslash posted metadata before validation
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation following StateMachineController pattern
  * - AJAX handlers for DataTables and CRUD
@@ -30,6 +61,9 @@
 namespace WPStateMachine\Controllers;
 
 use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\StateMachine\StateMachineModel;
+use WPStateMachine\Models\StateMachine\MachineVersionModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
 use WPStateMachine\Validators\StateValidator;
 use WPStateMachine\Cache\StateMachineCacheManager;
 
@@ -71,7 +105,13 @@ class StateController {
         add_action('wp_ajax_handle_state_datatable', [$this, 'handleDataTableRequest']);
         add_action('wp_ajax_create_state', [$this, 'store']);
         add_action('wp_ajax_update_state', [$this, 'update']);
+        add_action('wp_ajax_reorder_states', [$this, 'reorder']);
         add_action('wp_ajax_delete_state', [$this, 'delete']);
+        add_action('wp_ajax_get_state_delete_impact', [$this, 'deleteImpact']);
+        add_action('wp_ajax_merge_state', [$this, 'merge']);
+        add_action('wp_ajax_restore_state', [$this, 'restore']);
+        add_action('wp_ajax_purge_state', [$this, 'purge']);
+        add_action('wp_ajax_bulk_states', [$this, 'bulkAction']);
         add_action('wp_ajax_show_state', [$this, 'show']);
         add_action('wp_ajax_get_states_by_machine', [$this, 'getStatesByMachine']);
     }
@@ -126,6 +166,7 @@ class StateController {
             $order_column_index = isset($_POST['order'][0]['column']) ? intval($_POST['order'][0]['column']) : 0;
             $order_dir = isset($_POST['order'][0]['dir']) ? sanitize_text_field($_POST['order'][0]['dir']) : 'ASC';
             $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $trash = !empty($_POST['trash']);
 
             // Map column index to database column
             $columns = ['id', 'name', 'slug', 'type', 'sort_order', 'created_at'];
@@ -157,11 +198,18 @@ class StateController {
                 'length' => $length,
                 'search' => $search,
                 'order_by' => $order_column,
-                'order_dir' => $order_dir
+                'order_dir' => $order_dir,
+                'trash' => $trash
             ];
 
             $data = $this->getForDataTable($params);
-            $total_records = $machine_id > 0 ? $this->model->countByMachine($machine_id) : $this->model->getTotalCount();
+            $trash_count = $this->getFilteredCount(['machine_id' => $machine_id, 'trash' => true]);
+
+            if ($trash) {
+                $total_records = $trash_count;
+            } else {
+                $total_records = $machine_id > 0 ? $this->model->countByMachine($machine_id) : $this->model->getTotalCount();
+            }
             $filtered_records = !empty($search) ? $this->getFilteredCount($params) : $total_records;
 
             // Format data for DataTables
@@ -176,7 +224,9 @@ class StateController {
                     'sort_order' => $state->sort_order,
                     'machine_name' => !empty($state->machine_name) ? esc_html($state->machine_name) : '-',
                     'created_at' => mysql2date(get_option('date_format'), $state->created_at),
-                    'actions' => $this->getActionButtons($state)
+                    'deleted_at' => $state->deleted_at ? mysql2date(get_option('date_format'), $state->deleted_at) : '',
+                    'actions' => $this->getActionButtons($state),
+                    'can_edit' => !$state->deleted_at && $this->validator->canUpdate($state->id)
                 ];
             }
 
@@ -184,6 +234,7 @@ class StateController {
                 'draw' => $draw,
                 'recordsTotal' => $total_records,
                 'recordsFiltered' => $filtered_records,
+                'trashCount' => $trash_count,
                 'data' => $formatted_data
             ];
 
@@ -213,8 +264,8 @@ class StateController {
         $table_name = $wpdb->prefix . 'app_sm_states';
         $machine_table = $wpdb->prefix . 'app_sm_machines';
 
-        // Build WHERE clause
-        $where = ['1=1'];
+        // Build WHERE clause (trash view shows only trashed states)
+        $where = [!empty($params['trash']) ? 's.deleted_at IS NOT NULL' : 's.deleted_at IS NULL'];
         $where_values = [];
 
         if (!empty($params['machine_id'])) {
@@ -270,7 +321,7 @@ class StateController {
         $table_name = $wpdb->prefix . 'app_sm_states';
 
         // Build WHERE clause
-        $where = ['1=1'];
+        $where = [!empty($params['trash']) ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
         $where_values = [];
 
         if (!empty($params['machine_id'])) {
@@ -321,7 +372,7 @@ class StateController {
                 'slug' => isset($_POST['slug']) ? sanitize_title($_POST['slug']) : '',
                 'type' => isset($_POST['type']) ? sanitize_text_field($_POST['type']) : 'normal',
                 'color' => isset($_POST['color']) ? sanitize_hex_color($_POST['color']) : '',
-                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field($_POST['metadata']) : '',
+                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field(wp_unslash($_POST['metadata'])) : '',
                 'sort_order' => isset($_POST['sort_order']) ? intval($_POST['sort_order']) : 0
             ];
 
@@ -389,15 +440,23 @@ class StateController {
                 ]);
             }
 
+            $current = $this->model->find($id);
+            if (!$current) {
+                wp_send_json_error([
+                    'message' => __('State not found', 'wp-state-machine')
+                ]);
+            }
+
             // Get and sanitize POST data
+            // Fields that are not posted keep their current value (inline edits post one field)
             $data = [
-                'machine_id' => isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0,
-                'name' => isset($_POST['name']) ? sanitize_text_field($_POST['name']) : '',
-                'slug' => isset($_POST['slug']) ? sanitize_title($_POST['slug']) : '',
-                'type' => isset($_POST['type']) ? sanitize_text_field($_POST['type']) : 'normal',
-                'color' => isset($_POST['color']) ? sanitize_hex_color($_POST['color']) : '',
-                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field($_POST['metadata']) : '',
-                'sort_order' => isset($_POST['sort_order']) ? intval($_POST['sort_order']) : 0
+                'machine_id' => isset($_POST['machine_id']) ? intval($_POST['machine_id']) : intval($current->machine_id),
+                'name' => isset($_POST['name']) ? sanitize_text_field($_POST['name']) : $current->name,
+                'slug' => isset($_POST['slug']) ? sanitize_title($_POST['slug']) : $current->slug,
+                'type' => isset($_POST['type']) ? sanitize_text_field($_POST['type']) : $current->type,
+                'color' => isset($_POST['color']) ? sanitize_hex_color($_POST['color']) : (string) $current->color,
+                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field(wp_unslash($_POST['metadata'])) : (string) $current->metadata,
+                'sort_order' => isset($_POST['sort_order']) ? intval($_POST['sort_order']) : intval($current->sort_order)
             ];
 
             // Validate form data
@@ -421,7 +480,13 @@ class StateController {
                 $this->cache->delete('states_by_machine', $data['machine_id']);
 
                 wp_send_json_success([
-                    'message' => __('State updated successfully', 'wp-state-machine')
+                    'message' => __('State updated successfully', 'wp-state-machine'),
+                    'state' => [
+                        'name' => esc_html($data['name']),
+                        'type' => ucfirst(esc_html($data['type'])),
+                        'color' => !empty($data['color']) ? esc_html($data['color']) : '-',
+                        'sort_order' => $data['sort_order']
+                    ]
                 ]);
             } else {
                 wp_send_json_error([
@@ -438,7 +503,64 @@ class StateController {
     }
 
     /**
-     * Delete state
+     * Reorder states of a machine (drag-to-reorder)
+     * Saves sort_order for the whole machine in one request
+     *
+     * @return void
+     */
+    public function reorder() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $ids = isset($_POST['ids']) ? array_map('intval', (array) $_POST['ids']) : [];
+
+            if (!$machine_id || empty($ids)) {
+                wp_send_json_error([
+                    'message' => __('Invalid reorder request', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission for every moved state
+            foreach ($this->validator->validateBulkOperation($ids, 'update') as $permission) {
+                if (!$permission['allowed']) {
+                    wp_send_json_error([
+                        'message' => $permission['message']
+                    ]);
+                }
+            }
+
+            $sort_data = $this->model->reorder($machine_id, $ids);
+
+            if ($sort_data === null) {
+                wp_send_json_error([
+                    'message' => __('Failed to save the new order', 'wp-state-machine')
+                ]);
+            }
+
+            // Clear list caches
+            $this->cache->invalidateDataTableCache('states_list');
+            $this->cache->delete('states_list');
+            $this->cache->delete('states_by_machine', $machine_id);
+
+            wp_send_json_success([
+                'message' => __('Order saved', 'wp-state-machine'),
+                'sort_order' => $sort_data
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Reorder States Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while saving the new order', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Move state to the trash (with the transitions that use it)
+     * Optional mode: block (refuse when anything depends on it), reassign
+     * (move its entities to target_id first) or cascade (default)
      *
      * @return void
      */
@@ -457,7 +579,7 @@ class StateController {
 
             // Get state before deletion for cache clearing
             $state = $this->model->find($id);
-            if (!$state) {
+            if (!$state || $state->deleted_at) {
                 wp_send_json_error([
                     'message' => __('State not found', 'wp-state-machine')
                 ]);
@@ -471,21 +593,66 @@ class StateController {
                 ]);
             }
 
-            // Delete state
-            $result = $this->model->delete($id);
+            // Delete mode: block (only without dependents), reassign or cascade
+            $mode = isset($_POST['mode']) ? sanitize_key($_POST['mode']) : 'cascade';
+            $impact = $this->validator->getDeleteImpact($id);
+            $mode_error = $this->validator->validateDeleteMode($impact, $mode);
+            if ($mode_error) {
+                wp_send_json_error([
+                    'message' => $mode_error
+                ]);
+            }
+
+            $target_id = isset($_POST['target_id']) ? intval($_POST['target_id']) : 0;
+            if ($mode === 'reassign' && !in_array($target_id, array_column($impact['targets'], 'id'), true)) {
+                wp_send_json_error([
+                    'message' => __('Choose a state of the same machine to move the entities to', 'wp-state-machine')
+                ]);
+            }
+
+            global $wpdb;
+            $wpdb->query('START TRANSACTION');
+
+            // Move entities out of the state before it goes
+            if ($mode === 'reassign') {
+                $log_model = new TransitionLogModel();
+                $moved = $log_model->reassignEntities(
+                    (int) $state->machine_id,
+                    $id,
+                    $target_id,
+                    sprintf(__('Reassigned: state "%s" was deleted', 'wp-state-machine'), $state->name)
+                );
+
+                if ($moved === false) {
+                    $wpdb->query('ROLLBACK');
+                    wp_send_json_error([
+                        'message' => __('Failed to reassign entities', 'wp-state-machine')
+                    ]);
+                }
+            }
+
+            // Move state to trash
+            $result = $this->model->trash($id);
 
             if ($result) {
+                $wpdb->query('COMMIT');
+
                 // Clear ALL cache variations
                 $this->cache->invalidateDataTableCache('states_list');
                 $this->cache->delete('states_list');
                 $this->cache->delete('states_count', 'total');
                 $this->cache->delete('state', $id);
                 $this->cache->delete('states_by_machine', $state->machine_id);
+                $this->cache->invalidateDataTableCache('transitions_list');
+                $this->cache->delete('transitions_by_machine', $state->machine_id);
 
                 wp_send_json_success([
-                    'message' => __('State deleted successfully', 'wp-state-machine')
+                    'message' => $mode === 'reassign'
+                        ? sprintf(__('State moved to the Trash; %d entity(ies) reassigned', 'wp-state-machine'), $moved)
+                        : __('State moved to the Trash', 'wp-state-machine')
                 ]);
             } else {
+                $wpdb->query('ROLLBACK');
                 wp_send_json_error([
                     'message' => __('Failed to delete state', 'wp-state-machine')
                 ]);
@@ -499,6 +666,370 @@ class StateController {
         }
     }
 
+    /**
+     * Get what depends on a state before deleting it
+     * Transitions, entities currently in it, log entries and reassign targets
+     *
+     * @return void
+     */
+    public function deleteImpact() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id || !$this->model->find($id)) {
+                wp_send_json_error([
+                    'message' => __('State not found', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            wp_send_json_success($this->validator->getDeleteImpact($id));
+
+        } catch (\Exception $e) {
+            error_log('State Delete Impact Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while checking what depends on the state', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Merge a state into another state of the same machine
+     * Its entities move to target_id with a log entry each; with
+     * move_transitions its transitions are copied onto the target.
+     * The merged state then goes to the Trash.
+     *
+     * @return void
+     */
+    public function merge() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+            $target_id = isset($_POST['target_id']) ? intval($_POST['target_id']) : 0;
+
+            $state = $id ? $this->model->find($id) : null;
+            if (!$state || $state->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('State not found', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission: the merged state goes, the target changes
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if ($permission['allowed'] && $target_id) {
+                $permission = $this->validator->validatePermission($target_id, 'update');
+            }
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            $merge_error = $this->validator->validateMerge($state, $target_id);
+            if ($merge_error) {
+                wp_send_json_error([
+                    'message' => $merge_error
+                ]);
+            }
+
+            $target = $this->model->find($target_id);
+            $result = $this->model->merge(
+                $id,
+                $target_id,
+                !empty($_POST['move_transitions']),
+                sprintf(__('System: state "%1$s" was merged into "%2$s"', 'wp-state-machine'), $state->name, $target->name)
+            );
+
+            if (!$result) {
+                wp_send_json_error([
+                    'message' => __('Failed to merge state', 'wp-state-machine')
+                ]);
+            }
+
+            // Clear ALL cache variations
+            $this->cache->invalidateDataTableCache('states_list');
+            $this->cache->delete('states_list');
+            $this->cache->delete('states_count', 'total');
+            $this->cache->delete('state', $id);
+            $this->cache->delete('states_by_machine', $state->machine_id);
+            $this->cache->invalidateDataTableCache('transitions_list');
+            $this->cache->delete('transitions_by_machine', $state->machine_id);
+
+            $message = sprintf(
+                __('"%1$s" merged into "%2$s": %3$d entity(ies) moved, %4$d transition(s) copied, %5$d transition(s) skipped', 'wp-state-machine'),
+                $state->name,
+                $target->name,
+                $result['entities'],
+                $result['transitions'],
+                $result['skipped_transitions']
+            );
+            if ($result['dropped_role_effects']) {
+                $message .= '. ' . sprintf(
+                    __('%d copied transition(s) lost their "Add User to Role" actions because you cannot promote users', 'wp-state-machine'),
+                    $result['dropped_role_effects']
+                );
+            }
+
+            wp_send_json_success(array_merge($result, [
+                'message' => $message
+            ]));
+
+        } catch (\Exception $e) {
+            error_log('Merge State Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while merging the state', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Restore state from the trash
+     * Transitions trashed together with it come back when both their
+     * states are out of the trash
+     *
+     * @return void
+     */
+    public function restore() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            $state = $id ? $this->model->find($id) : null;
+            if (!$state || !$state->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('State not found in the Trash', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            // The machine has to be restored first
+            $machine = (new StateMachineModel())->find((int) $state->machine_id);
+            if (!$machine || $machine->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('The state machine of this state is in the Trash. Restore the machine first.', 'wp-state-machine')
+                ]);
+            }
+
+            if ($this->model->restore($id)) {
+                // Clear ALL cache variations
+                $this->cache->invalidateDataTableCache('states_list');
+                $this->cache->delete('states_list');
+                $this->cache->delete('states_count', 'total');
+                $this->cache->delete('state', $id);
+                $this->cache->delete('states_by_machine', $state->machine_id);
+
+                wp_send_json_success([
+                    'message' => __('State restored', 'wp-state-machine')
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('Failed to restore state', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Restore State Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while restoring the state', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Permanently delete a trashed state
+     * Its transitions and log entries go with it (foreign keys)
+     *
+     * @return void
+     */
+    public function purge() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            $state = $id ? $this->model->find($id) : null;
+            if (!$state || !$state->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('State not found in the Trash', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            // Pinned entities still resolve the state through its row
+            if (in_array($id, (new MachineVersionModel())->getProtectedIds()['state'], true)) {
+                wp_send_json_error([
+                    'message' => __('This state belongs to a published version that is still in use. Migrate its entities to a newer version first.', 'wp-state-machine')
+                ]);
+            }
+
+            if ($this->model->delete($id)) {
+                // Clear ALL cache variations
+                $this->cache->invalidateDataTableCache('states_list');
+                $this->cache->delete('states_list');
+                $this->cache->delete('state', $id);
+                $this->cache->invalidateDataTableCache('transitions_list');
+                $this->cache->delete('transitions_by_machine', $state->machine_id);
+
+                wp_send_json_success([
+                    'message' => __('State deleted permanently', 'wp-state-machine')
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('Failed to delete state', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Purge State Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while deleting the state', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Apply a bulk action to several states
+     * Actions: delete (moves to the trash), color (value = hex color)
+     * Each state is checked on its own; failures are reported per row
+     *
+     * @return void
+     */
+    public function bulkAction() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        $bulk_action = isset($_POST['bulk_action']) ? sanitize_key($_POST['bulk_action']) : '';
+        $ids = isset($_POST['ids']) ? array_values(array_unique(array_filter(array_map('intval', (array) $_POST['ids'])))) : [];
+
+        if (!in_array($bulk_action, ['delete', 'color'], true)) {
+            wp_send_json_error([
+                'message' => __('Invalid bulk action', 'wp-state-machine')
+            ]);
+        }
+
+        if (empty($ids)) {
+            wp_send_json_error([
+                'message' => __('No states selected', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $color = '';
+
+            if ($bulk_action === 'color') {
+                $color = isset($_POST['value']) ? (string) sanitize_hex_color($_POST['value']) : '';
+
+                if (!preg_match('/^#[a-f0-9]{6}$/i', $color)) {
+                    wp_send_json_error([
+                        'message' => __('Color must be a valid hex color code (e.g., #ff0000)', 'wp-state-machine')
+                    ]);
+                }
+            }
+
+            $permissions = $this->validator->validateBulkOperation($ids, $bulk_action === 'delete' ? 'delete' : 'update');
+            $succeeded = [];
+            $failed = [];
+            $machine_ids = [];
+
+            foreach ($ids as $id) {
+                $state = $this->model->find($id);
+
+                if (!$state || $state->deleted_at) {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => '#' . $id,
+                        'message' => __('State not found', 'wp-state-machine')
+                    ];
+                    continue;
+                }
+
+                if (!$permissions[$id]['allowed']) {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => $state->name,
+                        'message' => $permissions[$id]['message']
+                    ];
+                    continue;
+                }
+
+                $result = $bulk_action === 'delete'
+                    ? $this->model->trash($id)
+                    : $this->model->update($id, ['color' => $color]);
+
+                if ($result) {
+                    $succeeded[] = $id;
+                    $machine_ids[$state->machine_id] = true;
+                    $this->cache->delete('state', $id);
+                } else {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => $state->name,
+                        'message' => $bulk_action === 'delete'
+                            ? __('Failed to delete state', 'wp-state-machine')
+                            : __('Failed to update state', 'wp-state-machine')
+                    ];
+                }
+            }
+
+            if (!empty($succeeded)) {
+                // Clear ALL cache variations
+                $this->cache->invalidateDataTableCache('states_list');
+                $this->cache->delete('states_list');
+                $this->cache->delete('states_count', 'total');
+
+                foreach (array_keys($machine_ids) as $machine_id) {
+                    $this->cache->delete('states_by_machine', $machine_id);
+                }
+            }
+
+            wp_send_json_success([
+                'message' => sprintf(
+                    $bulk_action === 'delete'
+                        ? __('%d state(s) moved to the Trash', 'wp-state-machine')
+                        : __('%d state(s) updated', 'wp-state-machine'),
+                    count($succeeded)
+                ),
+                'succeeded' => $succeeded,
+                'failed' => $failed
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Bulk State Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while applying the bulk action', 'wp-state-machine')
+            ]);
+        }
+    }
+
     /**
      * Get single state details
      *
@@ -555,6 +1086,29 @@ class StateController {
     private function getActionButtons($state) {
         $buttons = [];
 
+        // Trashed rows can only be restored or deleted permanently
+        if ($state->deleted_at) {
+            if ($this->validator->canDelete($state->id)) {
+                $buttons[] = sprintf(
+                    '<button type="button" class="button button-small btn-restore-row" data-id="%d" title="%s">
+                        <span class="dashicons dashicons-undo"></span>
+                    </button>',
+                    $state->id,
+                    esc_attr__('Restore', 'wp-state-machine')
+                );
+                $buttons[] = sprintf(
+                    '<button type="button" class="button button-small btn-purge-row" data-id="%d" data-name="%s" title="%s">
+                        <span class="dashicons dashicons-no"></span>
+                    </button>',
+                    $state->id,
+                    esc_attr($state->name),
+                    esc_attr__('Delete Permanently', 'wp-state-machine')
+                );
+            }
+
+            return implode(' ', $buttons);
+        }
+
         // View button
         if ($this->validator->canView($state->id)) {
             $buttons[] = sprintf(
@@ -577,14 +1131,27 @@ class StateController {
             );
         }
 
+        // Merge button
+        if ($this->validator->canDelete($state->id) && $state->type !== 'initial') {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-merge-state" data-id="%d" data-name="%s" title="%s">
+                    <span class="dashicons dashicons-migrate"></span>
+                </button>',
+                $state->id,
+                esc_attr($state->name),
+                esc_attr__('Merge into...', 'wp-state-machine')
+            );
+        }
+
         // Delete button
         if ($this->validator->canDelete($state->id)) {
             $buttons[] = sprintf(
-                '<button type="button" class="button button-small btn-delete-state" data-id="%d" title="%s">
+                '<button type="button" class="button button-small btn-delete-state" data-id="%d" data-name="%s" title="%s">
                     <span class="dashicons dashicons-trash"></span>
                 </button>',
                 $state->id,
-                esc_attr__('Delete', 'wp-state-machine')
+                esc_attr($state->name),
+                esc_attr__('Move to Trash', 'wp-state-machine')
             );
         }
 
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.0
+ * @version     1.10.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Controllers/StateMachineController.php
@@ -17,8 +17,51 @@
  * - StateMachineModel: Database operations
  * - StateMachineValidator: Form and permission validation
  * - StateMachineCacheManager: Caching layer
+ * - YmlExporter: YAML export
+ * - MetadataSchemaModel: Per-machine metadata schemas
+ * - WorkflowGroupModel: Target group of bulk moves
+ * - MachineRevisionModel: Revision history, compare and rollback
+ * - MachineVersionModel: Published versions and entity migration
  *
  * Changelog:
+ * 1.10.1 - 2026-10-19
+ * - Rollback reports "Add User to Role" conflicts; duplicate reports dropped role actions
+ *
+ * 1.10.0 - 2026-10-19
+ * - Added get_state_machine_versions, publish_state_machine, get_state_machine_version_entities and migrate_state_machine_entities AJAX handlers (MachineVersionModel)
+ * - DataTable rows report the published version and unpublished draft changes; added Publish row button
+ *
+ * 1.9.0 - 2026-10-19
+ * - Added get_state_machine_revisions, compare_state_machine_revisions and rollback_state_machine AJAX handlers (MachineRevisionModel)
+ *
+ * 1.8.0 - 2026-10-19
+ * - delete_state_machine and bulk delete move machines to the Trash; the metadata schema is removed only on permanent delete
+ * - DataTable takes a trash flag and returns trashCount
+ * - Added restore_state_machine and purge_state_machine AJAX handlers
+ *
+ * 1.7.0 - 2026-10-19
+ * - Added get_state_machine_delete_impact AJAX handler; delete_state_machine takes a mode (block, cascade)
+ *
+ * 1.6.0 - 2026-10-19
+ * - Added duplicate() AJAX handler and Duplicate row button
+ *
+ * 1.5.0 - 2026-10-19
+ * - Added bulk_state_machines AJAX handler (delete, activate, deactivate, move_group) with per-row results
+ *
+ * 1.4.0 - 2026-10-19
+ * - Added metadata_schema field to create/update/show (MetadataSchemaModel)
+ * - Added get_metadata_schema AJAX handler for the metadata editors
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added export_state_machine_yaml AJAX handler (YmlExporter)
+ * - Added Export as YAML action button to DataTable rows
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added Workflow editor action button to DataTable rows
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added View diagram action button to DataTable rows
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - AJAX handlers for DataTables and CRUD
@@ -30,8 +73,13 @@
 namespace WPStateMachine\Controllers;
 
 use WPStateMachine\Models\StateMachine\StateMachineModel;
+use WPStateMachine\Models\StateMachine\MetadataSchemaModel;
+use WPStateMachine\Models\StateMachine\MachineRevisionModel;
+use WPStateMachine\Models\StateMachine\MachineVersionModel;
+use WPStateMachine\Models\WorkflowGroup\WorkflowGroupModel;
 use WPStateMachine\Validators\StateMachineValidator;
 use WPStateMachine\Cache\StateMachineCacheManager;
+use WPStateMachine\Data\YmlExporter;
 
 defined('ABSPATH') || exit;
 
@@ -57,6 +105,27 @@ class StateMachineController {
      */
     private $cache;
 
+    /**
+     * Metadata Schema Model instance
+     *
+     * @var MetadataSchemaModel
+     */
+    private $schema_model;
+
+    /**
+     * Machine Revision Model instance
+     *
+     * @var MachineRevisionModel
+     */
+    private $revision_model;
+
+    /**
+     * Machine Version Model instance
+     *
+     * @var MachineVersionModel
+     */
+    private $version_model;
+
     /**
      * Constructor
      * Initializes model, validator, and cache manager
@@ -66,13 +135,30 @@ class StateMachineController {
         $this->model = new StateMachineModel();
         $this->validator = new StateMachineValidator();
         $this->cache = new StateMachineCacheManager();
+        $this->schema_model = new MetadataSchemaModel();
+        $this->revision_model = new MachineRevisionModel();
+        $this->version_model = new MachineVersionModel();
 
         // Register AJAX handlers
         add_action('wp_ajax_handle_state_machine_datatable', [$this, 'handleDataTableRequest']);
         add_action('wp_ajax_create_state_machine', [$this, 'store']);
         add_action('wp_ajax_update_state_machine', [$this, 'update']);
         add_action('wp_ajax_delete_state_machine', [$this, 'delete']);
+        add_action('wp_ajax_get_state_machine_delete_impact', [$this, 'deleteImpact']);
+        add_action('wp_ajax_restore_state_machine', [$this, 'restore']);
+        add_action('wp_ajax_purge_state_machine', [$this, 'purge']);
+        add_action('wp_ajax_duplicate_state_machine', [$this, 'duplicate']);
         add_action('wp_ajax_show_state_machine', [$this, 'show']);
+        add_action('wp_ajax_export_state_machine_yaml', [$this, 'exportYaml']);
+        add_action('wp_ajax_get_metadata_schema', [$this, 'getMetadataSchema']);
+        add_action('wp_ajax_bulk_state_machines', [$this, 'bulkAction']);
+        add_action('wp_ajax_get_state_machine_revisions', [$this, 'revisions']);
+        add_action('wp_ajax_compare_state_machine_revisions', [$this, 'compareRevisions']);
+        add_action('wp_ajax_rollback_state_machine', [$this, 'rollback']);
+        add_action('wp_ajax_get_state_machine_versions', [$this, 'versions']);
+        add_action('wp_ajax_publish_state_machine', [$this, 'publish']);
+        add_action('wp_ajax_get_state_machine_version_entities', [$this, 'versionEntities']);
+        add_action('wp_ajax_migrate_state_machine_entities', [$this, 'migrateEntities']);
     }
 
     /**
@@ -151,6 +237,7 @@ class StateMachineController {
             $workflow_group_id = isset($_POST['workflow_group_id']) && $_POST['workflow_group_id'] !== ''
                 ? intval($_POST['workflow_group_id'])
                 : null;
+            $trash = !empty($_POST['trash']);
 
             // Get data from model
             $params = [
@@ -159,18 +246,24 @@ class StateMachineController {
                 'search' => $search,
                 'order_by' => $order_column,
                 'order_dir' => $order_dir,
-                'workflow_group_id' => $workflow_group_id
+                'workflow_group_id' => $workflow_group_id,
+                'trash' => $trash
             ];
 
             $data = $this->model->getForDataTable($params);
-            $total_records = $this->model->getTotalCount();
+            $trash_count = $this->model->countTrashed();
+            $total_records = $trash ? $trash_count : $this->model->getTotalCount();
             $filtered_records = (!empty($search) || $workflow_group_id)
-                ? $this->model->getFilteredCount($search, $workflow_group_id)
+                ? $this->model->getFilteredCount($search, $workflow_group_id, $trash)
                 : $total_records;
 
             // Format data for DataTables
             $formatted_data = [];
             foreach ($data as $machine) {
+                $status = $machine->deleted_at
+                    ? ['version' => null, 'has_changes' => false]
+                    : $this->version_model->getStatus((int) $machine->id);
+
                 $formatted_data[] = [
                     'id' => $machine->id,
                     'name' => esc_html($machine->name),
@@ -178,7 +271,10 @@ class StateMachineController {
                     'description' => !empty($machine->description) ? esc_html($machine->description) : '-',
                     'workflow_group_name' => !empty($machine->workflow_group_name) ? esc_html($machine->workflow_group_name) : '-',
                     'is_active' => $machine->is_active,
+                    'version' => $status['version'],
+                    'has_draft_changes' => $status['has_changes'],
                     'created_at' => mysql2date(get_option('date_format'), $machine->created_at),
+                    'deleted_at' => $machine->deleted_at ? mysql2date(get_option('date_format'), $machine->deleted_at) : '',
                     'actions' => $this->getActionButtons($machine)
                 ];
             }
@@ -187,6 +283,7 @@ class StateMachineController {
                 'draw' => $draw,
                 'recordsTotal' => $total_records,
                 'recordsFiltered' => $filtered_records,
+                'trashCount' => $trash_count,
                 'data' => $formatted_data
             ];
 
@@ -234,6 +331,13 @@ class StateMachineController {
 
             // Validate form data
             $errors = $this->validator->validateForm($data);
+
+            // Validate metadata schema (optional)
+            $metadata_schema = $this->decodeMetadataSchema();
+            if (!empty($metadata_schema['errors'])) {
+                $errors['metadata_schema'] = implode(' ', $metadata_schema['errors']);
+            }
+
             if (!empty($errors)) {
                 wp_send_json_error([
                     'message' => __('Validation failed', 'wp-state-machine'),
@@ -245,6 +349,10 @@ class StateMachineController {
             $machine_id = $this->model->create($data);
 
             if ($machine_id) {
+                if ($metadata_schema['schema'] !== null) {
+                    $this->schema_model->saveMachineSchema($data['slug'], $metadata_schema['schema']);
+                }
+
                 // Clear ALL cache variations
                 $this->cache->invalidateDataTableCache('state_machines_list');
                 $this->cache->delete('state_machines_list');
@@ -308,6 +416,13 @@ class StateMachineController {
 
             // Validate form data
             $errors = $this->validator->validateForm($data, $id);
+
+            // Validate metadata schema (optional)
+            $metadata_schema = $this->decodeMetadataSchema();
+            if (!empty($metadata_schema['errors'])) {
+                $errors['metadata_schema'] = implode(' ', $metadata_schema['errors']);
+            }
+
             if (!empty($errors)) {
                 wp_send_json_error([
                     'message' => __('Validation failed', 'wp-state-machine'),
@@ -319,6 +434,10 @@ class StateMachineController {
             $result = $this->model->update($id, $data);
 
             if ($result) {
+                if ($metadata_schema['schema'] !== null) {
+                    $this->schema_model->saveMachineSchema($data['slug'], $metadata_schema['schema']);
+                }
+
                 // Clear ALL cache variations
                 $this->cache->invalidateDataTableCache('state_machines_list');
                 $this->cache->delete('state_machines_list');
@@ -343,7 +462,44 @@ class StateMachineController {
     }
 
     /**
-     * Delete state machine
+     * Get what depends on a state machine before deleting it
+     *
+     * @return void
+     */
+    public function deleteImpact() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id || !$this->model->find($id)) {
+                wp_send_json_error([
+                    'message' => __('State machine not found', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            wp_send_json_success($this->validator->getDeleteImpact($id));
+
+        } catch (\Exception $e) {
+            error_log('State Machine Delete Impact Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while checking what depends on the state machine', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Move state machine to the trash (with its states and transitions)
+     * Optional mode: block (refuse when it has states, transitions or logs) or cascade (default)
      *
      * @return void
      */
@@ -360,6 +516,13 @@ class StateMachineController {
                 ]);
             }
 
+            $machine = $this->model->find($id);
+            if (!$machine || $machine->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('State machine not found', 'wp-state-machine')
+                ]);
+            }
+
             // Validate permission
             $permission = $this->validator->validatePermission($id, 'delete');
             if (!$permission['allowed']) {
@@ -368,8 +531,17 @@ class StateMachineController {
                 ]);
             }
 
-            // Delete state machine
-            $result = $this->model->delete($id);
+            // Delete mode: block (only without dependents) or cascade
+            $mode = isset($_POST['mode']) ? sanitize_key($_POST['mode']) : 'cascade';
+            $mode_error = $this->validator->validateDeleteMode($this->validator->getDeleteImpact($id), $mode);
+            if ($mode_error) {
+                wp_send_json_error([
+                    'message' => $mode_error
+                ]);
+            }
+
+            // Move state machine to trash (the metadata schema stays until it is purged)
+            $result = $this->model->trash($id);
 
             if ($result) {
                 // Clear ALL cache variations
@@ -377,9 +549,10 @@ class StateMachineController {
                 $this->cache->delete('state_machines_list');
                 $this->cache->delete('state_machines_count', 'total');
                 $this->cache->delete('state_machine', $id);
+                $this->cache->invalidateDataTableCache('workflow_groups_list');
 
                 wp_send_json_success([
-                    'message' => __('State machine deleted successfully', 'wp-state-machine')
+                    'message' => __('State machine moved to the Trash', 'wp-state-machine')
                 ]);
             } else {
                 wp_send_json_error([
@@ -396,69 +569,1112 @@ class StateMachineController {
     }
 
     /**
-     * Get single state machine details
+     * Restore state machine from the trash
+     * States and transitions trashed together with it come back too
      *
      * @return void
      */
-    public function show() {
+    public function restore() {
         // Verify nonce
         check_ajax_referer('wp_state_machine_nonce', 'nonce');
 
         try {
             $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
 
-            if (!$id) {
+            $machine = $id ? $this->model->find($id) : null;
+            if (!$machine || !$machine->deleted_at) {
                 wp_send_json_error([
-                    'message' => __('Invalid state machine ID', 'wp-state-machine')
+                    'message' => __('State machine not found in the Trash', 'wp-state-machine')
                 ]);
             }
 
             // Validate permission
-            $permission = $this->validator->validatePermission($id, 'view');
+            $permission = $this->validator->validatePermission($id, 'delete');
             if (!$permission['allowed']) {
                 wp_send_json_error([
                     'message' => $permission['message']
                 ]);
             }
 
-            // Get state machine
-            $machine = $this->model->find($id);
+            // The workflow group has to be restored first
+            if ($machine->workflow_group_id) {
+                $group = (new WorkflowGroupModel())->find((int) $machine->workflow_group_id);
+                if ($group && $group->deleted_at) {
+                    wp_send_json_error([
+                        'message' => __('The workflow group of this state machine is in the Trash. Restore the group first.', 'wp-state-machine')
+                    ]);
+                }
+            }
+
+            if ($this->model->restore($id)) {
+                // Clear ALL cache variations
+                $this->cache->invalidateDataTableCache('state_machines_list');
+                $this->cache->delete('state_machines_list');
+                $this->cache->delete('state_machines_count', 'total');
+                $this->cache->delete('state_machine', $id);
+                $this->cache->invalidateDataTableCache('workflow_groups_list');
+
+                wp_send_json_success([
+                    'message' => __('State machine restored', 'wp-state-machine')
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('Failed to restore state machine', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Restore State Machine Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while restoring the state machine', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Permanently delete a trashed state machine
+     * States, transitions and logs go with it (foreign keys), and so does
+     * its metadata schema
+     *
+     * @return void
+     */
+    public function purge() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            $machine = $id ? $this->model->find($id) : null;
+            if (!$machine || !$machine->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('State machine not found in the Trash', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            if ($this->model->delete($id)) {
+                $this->schema_model->deleteMachineSchema($machine->slug);
+
+                // Clear ALL cache variations
+                $this->cache->invalidateDataTableCache('state_machines_list');
+                $this->cache->delete('state_machines_list');
+                $this->cache->delete('state_machine', $id);
+                $this->cache->invalidateDataTableCache('states_list');
+                $this->cache->invalidateDataTableCache('transitions_list');
 
-            if ($machine) {
                 wp_send_json_success([
-                    'data' => $machine
+                    'message' => __('State machine deleted permanently', 'wp-state-machine')
                 ]);
             } else {
+                wp_send_json_error([
+                    'message' => __('Failed to delete state machine', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Purge State Machine Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while deleting the state machine', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Apply a bulk action to several state machines
+     * Actions: delete, activate, deactivate, move_group (value = workflow group ID)
+     * Each machine is checked on its own; failures are reported per row
+     *
+     * @return void
+     */
+    public function bulkAction() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        $bulk_action = isset($_POST['bulk_action']) ? sanitize_key($_POST['bulk_action']) : '';
+        $ids = isset($_POST['ids']) ? array_values(array_unique(array_filter(array_map('intval', (array) $_POST['ids'])))) : [];
+
+        if (!in_array($bulk_action, ['delete', 'activate', 'deactivate', 'move_group'], true)) {
+            wp_send_json_error([
+                'message' => __('Invalid bulk action', 'wp-state-machine')
+            ]);
+        }
+
+        if (empty($ids)) {
+            wp_send_json_error([
+                'message' => __('No state machines selected', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $data = [];
+
+            if ($bulk_action === 'activate' || $bulk_action === 'deactivate') {
+                $data['is_active'] = $bulk_action === 'activate' ? 1 : 0;
+            } elseif ($bulk_action === 'move_group') {
+                $group_id = isset($_POST['value']) ? intval($_POST['value']) : 0;
+                $group_model = new WorkflowGroupModel();
+
+                $group = $group_id ? $group_model->find($group_id) : null;
+                if (!$group || $group->deleted_at) {
+                    wp_send_json_error([
+                        'message' => __('Workflow group not found', 'wp-state-machine')
+                    ]);
+                }
+
+                $data['workflow_group_id'] = $group_id;
+            }
+
+            $permissions = $this->validator->validateBulkOperation($ids, $bulk_action === 'delete' ? 'delete' : 'update');
+            $succeeded = [];
+            $failed = [];
+
+            foreach ($ids as $id) {
+                $machine = $this->model->find($id);
+
+                if (!$machine || $machine->deleted_at) {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => '#' . $id,
+                        'message' => __('State machine not found', 'wp-state-machine')
+                    ];
+                    continue;
+                }
+
+                if (!$permissions[$id]['allowed']) {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => $machine->name,
+                        'message' => $permissions[$id]['message']
+                    ];
+                    continue;
+                }
+
+                $result = $bulk_action === 'delete'
+                    ? $this->model->trash($id)
+                    : $this->model->update($id, $data);
+
+                if ($result) {
+                    $succeeded[] = $id;
+                    $this->cache->delete('state_machine', $id);
+                } else {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => $machine->name,
+                        'message' => $bulk_action === 'delete'
+                            ? __('Failed to delete state machine', 'wp-state-machine')
+                            : __('Failed to update state machine', 'wp-state-machine')
+                    ];
+                }
+            }
+
+            if (!empty($succeeded)) {
+                // Clear ALL cache variations
+                $this->cache->invalidateDataTableCache('state_machines_list');
+                $this->cache->delete('state_machines_list');
+                $this->cache->delete('state_machines_count', 'total');
+
+                // Machine counts on the workflow groups screen
+                $this->cache->invalidateDataTableCache('workflow_groups_list');
+            }
+
+            wp_send_json_success([
+                'message' => sprintf(
+                    $bulk_action === 'delete'
+                        ? __('%d state machine(s) moved to the Trash', 'wp-state-machine')
+                        : __('%d state machine(s) updated', 'wp-state-machine'),
+                    count($succeeded)
+                ),
+                'succeeded' => $succeeded,
+                'failed' => $failed
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Bulk State Machine Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while applying the bulk action', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Duplicate a state machine with all its states and transitions
+     * The copy gets a new name/slug and optionally another workflow group;
+     * the source metadata schema is copied to the new slug
+     *
+     * @return void
+     */
+    public function duplicate() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+            $source = $id ? $this->model->find($id) : null;
+
+            if (!$source || $source->deleted_at) {
                 wp_send_json_error([
                     'message' => __('State machine not found', 'wp-state-machine')
                 ]);
             }
 
+            $data = [
+                'name' => isset($_POST['name']) ? sanitize_text_field($_POST['name']) : '',
+                'slug' => isset($_POST['slug']) ? sanitize_title($_POST['slug']) : '',
+                'plugin_slug' => $source->plugin_slug,
+                'entity_type' => $source->entity_type,
+                'workflow_group_id' => !empty($_POST['workflow_group_id']) ? intval($_POST['workflow_group_id']) : null,
+                'description' => (string) $source->description,
+                'is_active' => (int) $source->is_active
+            ];
+
+            // Validate form data
+            $errors = $this->validator->validateForm($data);
+            if (!empty($errors)) {
+                wp_send_json_error([
+                    'message' => __('Validation failed', 'wp-state-machine'),
+                    'errors' => $errors
+                ]);
+            }
+
+            $result = $this->model->duplicate($id, $data);
+
+            if (!$result) {
+                wp_send_json_error([
+                    'message' => __('Failed to duplicate state machine', 'wp-state-machine')
+                ]);
+            }
+
+            $schema = $this->schema_model->getMachineSchema($source->slug);
+            if (!empty($schema)) {
+                $this->schema_model->saveMachineSchema($data['slug'], $schema);
+            }
+
+            // Clear ALL cache variations
+            $this->cache->invalidateDataTableCache('state_machines_list');
+            $this->cache->delete('state_machines_list');
+            $this->cache->delete('state_machines_count', 'total');
+            $this->cache->invalidateDataTableCache('states_list');
+            $this->cache->delete('states_count', 'total');
+            $this->cache->invalidateDataTableCache('transitions_list');
+            $this->cache->delete('transitions_count', 'total');
+            $this->cache->invalidateDataTableCache('workflow_groups_list');
+
+            $message = sprintf(
+                __('State machine duplicated with %1$d state(s) and %2$d transition(s)', 'wp-state-machine'),
+                $result['states_count'],
+                $result['transitions_count']
+            );
+            if ($result['dropped_role_effects']) {
+                $message .= '. ' . sprintf(
+                    __('%d copied transition(s) lost their "Add User to Role" actions because you cannot promote users', 'wp-state-machine'),
+                    $result['dropped_role_effects']
+                );
+            }
+
+            wp_send_json_success([
+                'message' => $message,
+                'id' => $result['machine_id']
+            ]);
+
         } catch (\Exception $e) {
-            error_log('Show State Machine Error: ' . $e->getMessage());
+            error_log('Duplicate State Machine Error: ' . $e->getMessage());
             wp_send_json_error([
-                'message' => __('An error occurred while loading the state machine', 'wp-state-machine')
+                'message' => __('An error occurred while duplicating the state machine', 'wp-state-machine')
             ]);
         }
     }
 
     /**
-     * Generate action buttons for DataTable row
+     * Get single state machine details
      *
-     * @param object $machine State machine object
-     * @return string HTML for action buttons
+     * @return void
      */
-    private function getActionButtons($machine) {
-        $buttons = [];
+    public function show() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
 
-        // View button
-        if ($this->validator->canView($machine->id)) {
-            $buttons[] = sprintf(
-                '<button type="button" class="button button-small btn-view-machine" data-id="%d" title="%s">
-                    <span class="dashicons dashicons-visibility"></span>
-                </button>',
-                $machine->id,
-                esc_attr__('View', 'wp-state-machine')
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id) {
+                wp_send_json_error([
+                    'message' => __('Invalid state machine ID', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'view');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            // Get state machine
+            $machine = $this->model->find($id);
+
+            if ($machine) {
+                $metadata_schema = $this->schema_model->getMachineSchema($machine->slug);
+
+                wp_send_json_success([
+                    'data' => $machine,
+                    'metadata_schema' => $metadata_schema ? wp_json_encode($metadata_schema, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES) : ''
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('State machine not found', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Show State Machine Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading the state machine', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Export state machine as a YML workflow definition
+     * Returns file name and content; the browser builds the download
+     *
+     * @return void
+     */
+    public function exportYaml() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id) {
+                wp_send_json_error([
+                    'message' => __('Invalid state machine ID', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'view');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            if (!$this->model->find($id)) {
+                wp_send_json_error([
+                    'message' => __('State machine not found', 'wp-state-machine')
+                ]);
+            }
+
+            $exporter = new YmlExporter();
+            $export = $exporter->export($id);
+
+            wp_send_json_success([
+                'filename' => $export['filename'],
+                'content' => $export['content'],
+                'warnings' => $export['warnings']
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Export State Machine Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while exporting the state machine', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Get the effective metadata schema for a machine
+     * Base schema merged with the machine's own schema; used by the metadata editors
+     *
+     * @return void
+     */
+    public function getMetadataSchema() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('view_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $machine = $machine_id ? $this->model->find($machine_id) : null;
+
+            wp_send_json_success([
+                'schema' => $this->schema_model->getSchema($machine)
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Get Metadata Schema Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading the metadata schema', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * List the revisions of a machine, newest first
+     * A machine without revisions gets a baseline of its current definition
+     *
+     * @return void
+     */
+    public function revisions() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id) {
+                wp_send_json_error([
+                    'message' => __('Invalid state machine ID', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'view');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            $this->revision_model->captureBaseline($id);
+
+            $revisions = [];
+            foreach ($this->revision_model->getByMachine($id) as $revision) {
+                $revisions[] = $this->formatRevision($revision);
+            }
+
+            wp_send_json_success([
+                'revisions' => $revisions,
+                'can_rollback' => $this->validator->validatePermission($id, 'update')['allowed']
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('State Machine Revisions Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading the revision history', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Compare two revisions of the same machine
+     * Posting the same revision twice returns its full definition unchanged
+     *
+     * @return void
+     */
+    public function compareRevisions() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $from_id = isset($_POST['from_id']) ? intval($_POST['from_id']) : 0;
+            $to_id = isset($_POST['to_id']) ? intval($_POST['to_id']) : 0;
+
+            $from = $from_id ? $this->revision_model->find($from_id) : null;
+            $to = $to_id ? $this->revision_model->find($to_id) : null;
+
+            if (!$from || !$to || $from->machine_id !== $to->machine_id) {
+                wp_send_json_error([
+                    'message' => __('Revisions not found', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission((int) $from->machine_id, 'view');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            // Older revision on the left
+            if ((int) $from->revision_number > (int) $to->revision_number) {
+                list($from, $to) = [$to, $from];
+            }
+
+            wp_send_json_success([
+                'from' => $this->formatRevision($from),
+                'to' => $this->formatRevision($to),
+                'diff' => $this->revision_model->compare(
+                    $this->revision_model->decode($from),
+                    $this->revision_model->decode($to)
+                )
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Compare State Machine Revisions Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while comparing revisions', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Roll a machine back to a revision
+     * Refused while states the revision does not have still hold entities
+     *
+     * @return void
+     */
+    public function rollback() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $revision_id = isset($_POST['revision_id']) ? intval($_POST['revision_id']) : 0;
+            $revision = $revision_id ? $this->revision_model->find($revision_id) : null;
+
+            if (!$revision) {
+                wp_send_json_error([
+                    'message' => __('Revision not found', 'wp-state-machine')
+                ]);
+            }
+
+            $id = (int) $revision->machine_id;
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'update');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            $machine = $this->model->find($id);
+            if (!$machine || $machine->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('Restore the state machine from the Trash before rolling it back', 'wp-state-machine')
+                ]);
+            }
+
+            $conflicts = $this->revision_model->getRollbackConflicts($revision);
+            if (!empty($conflicts)) {
+                wp_send_json_error([
+                    'message' => sprintf(
+                        /* translators: %s: comma separated state names */
+                        __('Entities are still in states this revision does not have: %s. Move them to another state first.', 'wp-state-machine'),
+                        implode(', ', $conflicts)
+                    )
+                ]);
+            }
+
+            $role_conflicts = $this->revision_model->getRoleEffectConflicts($revision);
+            if (!empty($role_conflicts)) {
+                wp_send_json_error([
+                    'message' => sprintf(
+                        /* translators: %s: comma separated transition labels */
+                        __('This revision adds or changes "Add User to Role" actions, which only users who can promote users may do: %s', 'wp-state-machine'),
+                        implode(', ', $role_conflicts)
+                    )
+                ]);
+            }
+
+            if ($this->revision_model->rollback($revision_id)) {
+                // Clear ALL cache variations
+                $this->cache->invalidateDataTableCache('state_machines_list');
+                $this->cache->delete('state_machines_list');
+                $this->cache->delete('state_machine', $id);
+                $this->cache->delete('states_by_machine', $id);
+                $this->cache->delete('transitions_by_machine', $id);
+                $this->cache->invalidateDataTableCache('states_list');
+                $this->cache->invalidateDataTableCache('transitions_list');
+
+                wp_send_json_success([
+                    'message' => sprintf(
+                        /* translators: %d: revision number */
+                        __('State machine rolled back to revision #%d', 'wp-state-machine'),
+                        $revision->revision_number
+                    )
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('Failed to roll back the state machine', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Rollback State Machine Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while rolling back the state machine', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * List the published versions of a machine with the draft status
+     *
+     * @return void
+     */
+    public function versions() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id) {
+                wp_send_json_error([
+                    'message' => __('Invalid state machine ID', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'view');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            $versions = [];
+            foreach ($this->version_model->getByMachine($id) as $version) {
+                $versions[] = $this->formatVersion($version);
+            }
+
+            wp_send_json_success([
+                'status' => $this->version_model->getStatus($id),
+                'versions' => $versions,
+                'can_publish' => $this->validator->validatePermission($id, 'update')['allowed']
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('State Machine Versions Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading the versions', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Publish the draft of a machine as a new version
+     * New entities start on it; entities already running keep their version
+     *
+     * @return void
+     */
+    public function publish() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+            $notes = isset($_POST['notes']) ? sanitize_text_field(wp_unslash($_POST['notes'])) : '';
+
+            if (!$id) {
+                wp_send_json_error([
+                    'message' => __('Invalid state machine ID', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'update');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            $snapshot = $this->revision_model->buildSnapshot($id);
+            if ($snapshot === null) {
+                wp_send_json_error([
+                    'message' => __('Restore the state machine from the Trash before publishing it', 'wp-state-machine')
+                ]);
+            }
+
+            $errors = $this->validator->validatePublish($snapshot);
+            if (!empty($errors)) {
+                wp_send_json_error([
+                    'message' => implode(' ', $errors),
+                    'errors' => $errors
+                ]);
+            }
+
+            if (!$this->version_model->getStatus($id)['has_changes']) {
+                wp_send_json_error([
+                    'message' => __('The draft has no changes since the latest version', 'wp-state-machine')
+                ]);
+            }
+
+            $version_id = $this->version_model->publish($id, $notes);
+
+            if ($version_id) {
+                $version = $this->version_model->find($version_id);
+
+                $this->cache->invalidateDataTableCache('state_machines_list');
+
+                wp_send_json_success([
+                    'message' => sprintf(
+                        /* translators: %d: version number */
+                        __('Version %d published. New entities start on it; running entities stay on their version until migrated.', 'wp-state-machine'),
+                        $version->version_number
+                    ),
+                    'version' => $this->formatVersion($version)
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('Failed to publish the state machine', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Publish State Machine Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while publishing the state machine', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Entities pinned to a version, with the states of the source and target versions
+     * The suggested mapping pairs states with the same slug
+     *
+     * @return void
+     */
+    public function versionEntities() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $versions = $this->getMigrationVersions();
+            if (isset($versions['error'])) {
+                wp_send_json_error([
+                    'message' => $versions['error']
+                ]);
+            }
+
+            list($from, $to) = $versions;
+
+            $to_states = [];
+            foreach ($this->version_model->getStates($to) as $state) {
+                $to_states[] = ['slug' => $state->version_slug, 'name' => $state->name];
+            }
+            $to_slugs = wp_list_pluck($to_states, 'slug');
+
+            $from_states = [];
+            foreach ($this->version_model->getStates($from) as $state) {
+                $from_states[$state->version_slug] = ['slug' => $state->version_slug, 'name' => $state->name];
+            }
+
+            $entities = [];
+            foreach ($this->version_model->getEntities($from) as $entity) {
+                // States the entity reached before the first publish
+                if (!isset($from_states[$entity->state_slug])) {
+                    $from_states[$entity->state_slug] = ['slug' => $entity->state_slug, 'name' => $entity->state_name];
+                }
+
+                $entities[] = [
+                    'entity_type' => $entity->entity_type,
+                    'entity_id' => $entity->entity_id,
+                    'state_slug' => $entity->state_slug,
+                    'state_name' => $entity->state_name,
+                    'since' => mysql2date(get_option('date_format') . ' ' . get_option('time_format'), $entity->since)
+                ];
+            }
+
+            $map = [];
+            foreach ($from_states as $slug => $state) {
+                $map[$slug] = in_array($slug, $to_slugs, true) ? $slug : '';
+            }
+
+            wp_send_json_success([
+                'from' => $this->formatVersion($from),
+                'to' => $this->formatVersion($to),
+                'from_states' => array_values($from_states),
+                'to_states' => $to_states,
+                'map' => $map,
+                'entities' => $entities
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('State Machine Version Entities Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading the entities', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Move selected entities from one version to another
+     * Each entity gets a log entry to the state its current state is mapped to
+     *
+     * @return void
+     */
+    public function migrateEntities() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $versions = $this->getMigrationVersions('update');
+            if (isset($versions['error'])) {
+                wp_send_json_error([
+                    'message' => $versions['error']
+                ]);
+            }
+
+            list($from, $to) = $versions;
+
+            $map = [];
+            foreach ((array) ($_POST['map'] ?? []) as $from_slug => $to_slug) {
+                $map[sanitize_title($from_slug)] = sanitize_title(wp_unslash($to_slug));
+            }
+
+            $entities = [];
+            foreach ((array) ($_POST['entities'] ?? []) as $entity) {
+                list($entity_type, $entity_id) = array_pad(explode(':', sanitize_text_field(wp_unslash($entity)), 2), 2, '');
+                if ($entity_type !== '' && intval($entity_id)) {
+                    $entities[] = ['entity_type' => $entity_type, 'entity_id' => intval($entity_id)];
+                }
+            }
+
+            if (empty($entities)) {
+                wp_send_json_error([
+                    'message' => __('Select at least one entity to migrate', 'wp-state-machine')
+                ]);
+            }
+
+            $result = $this->version_model->migrate($from, $to, $map, $entities);
+
+            wp_send_json_success([
+                'message' => sprintf(
+                    /* translators: 1: migrated count, 2: target version number, 3: skipped count */
+                    __('%1$d entities migrated to version %2$d, %3$d skipped', 'wp-state-machine'),
+                    count($result['migrated']),
+                    $to->version_number,
+                    count($result['skipped'])
+                ),
+                'migrated' => $result['migrated'],
+                'skipped' => $result['skipped']
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Migrate State Machine Entities Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while migrating the entities', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Load and check the source and target versions of a migration
+     *
+     * @param string $operation Permission required on the machine
+     * @return array [$from, $to] or ['error' => message]
+     */
+    private function getMigrationVersions(string $operation = 'view'): array {
+        $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+        $from_version = isset($_POST['from_version']) ? intval($_POST['from_version']) : 0;
+        $to_version = isset($_POST['to_version']) ? intval($_POST['to_version']) : 0;
+
+        $permission = $this->validator->validatePermission($id, $operation);
+        if (!$permission['allowed']) {
+            return ['error' => $permission['message']];
+        }
+
+        $from = $from_version ? $this->version_model->getByNumber($id, $from_version) : null;
+        $to = $to_version ? $this->version_model->getByNumber($id, $to_version) : null;
+
+        if (!$from || !$to) {
+            return ['error' => __('Versions not found', 'wp-state-machine')];
+        }
+
+        if ($from->id === $to->id) {
+            return ['error' => __('Choose two different versions', 'wp-state-machine')];
+        }
+
+        return [$from, $to];
+    }
+
+    /**
+     * Format a revision row for the History tab
+     *
+     * @param object $revision Revision row
+     * @return array
+     */
+    private function formatRevision($revision) {
+        if (!isset($revision->author_name)) {
+            $user = $revision->created_by ? get_userdata((int) $revision->created_by) : null;
+            $revision->author_name = $user ? $user->display_name : null;
+        }
+
+        return [
+            'id' => (int) $revision->id,
+            'revision_number' => (int) $revision->revision_number,
+            'summary' => $revision->summary,
+            'author' => $revision->author_name ?: __('System', 'wp-state-machine'),
+            'created_at' => $revision->created_at,
+            'date' => mysql2date(get_option('date_format') . ' ' . get_option('time_format'), $revision->created_at)
+        ];
+    }
+
+    /**
+     * Format a version row for the Versions tab
+     *
+     * @param object $version Version row
+     * @return array
+     */
+    private function formatVersion($version) {
+        if (!isset($version->author_name)) {
+            $user = $version->published_by ? get_userdata((int) $version->published_by) : null;
+            $version->author_name = $user ? $user->display_name : null;
+        }
+
+        return [
+            'id' => (int) $version->id,
+            'version_number' => (int) $version->version_number,
+            'notes' => $version->notes,
+            'author' => $version->author_name ?: __('System', 'wp-state-machine'),
+            'entity_count' => isset($version->entity_count) ? (int) $version->entity_count : null,
+            'published_at' => $version->published_at,
+            'date' => mysql2date(get_option('date_format') . ' ' . get_option('time_format'), $version->published_at)
+        ];
+    }
+
+    /**
+     * Decode and validate the posted metadata schema
+     * Schema is null when the field was not posted (keep the stored schema)
+     *
+     * @return array ['schema' => array|null, 'errors' => array]
+     */
+    private function decodeMetadataSchema(): array {
+        if (!isset($_POST['metadata_schema'])) {
+            return ['schema' => null, 'errors' => []];
+        }
+
+        $json = trim(wp_unslash($_POST['metadata_schema']));
+        if ($json === '') {
+            return ['schema' => [], 'errors' => []];
+        }
+
+        $schema = json_decode($json, true);
+        if (json_last_error() !== JSON_ERROR_NONE || !is_array($schema)) {
+            return [
+                'schema' => null,
+                'errors' => [__('Metadata schema must be a valid JSON object', 'wp-state-machine')]
+            ];
+        }
+
+        return ['schema' => $schema, 'errors' => $this->schema_model->validateSchema($schema)];
+    }
+
+    /**
+     * Generate action buttons for DataTable row
+     *
+     * @param object $machine State machine object
+     * @return string HTML for action buttons
+     */
+    private function getActionButtons($machine) {
+        $buttons = [];
+
+        // Trashed rows can only be restored or deleted permanently
+        if ($machine->deleted_at) {
+            if ($this->validator->canDelete($machine->id)) {
+                $buttons[] = sprintf(
+                    '<button type="button" class="button button-small btn-restore-row" data-id="%d" title="%s">
+                        <span class="dashicons dashicons-undo"></span>
+                    </button>',
+                    $machine->id,
+                    esc_attr__('Restore', 'wp-state-machine')
+                );
+                $buttons[] = sprintf(
+                    '<button type="button" class="button button-small btn-purge-row" data-id="%d" data-name="%s" title="%s">
+                        <span class="dashicons dashicons-no"></span>
+                    </button>',
+                    $machine->id,
+                    esc_attr($machine->name),
+                    esc_attr__('Delete Permanently', 'wp-state-machine')
+                );
+            }
+
+            return implode(' ', $buttons);
+        }
+
+        // View button
+        if ($this->validator->canView($machine->id)) {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-view-machine" data-id="%d" title="%s">
+                    <span class="dashicons dashicons-visibility"></span>
+                </button>',
+                $machine->id,
+                esc_attr__('View', 'wp-state-machine')
+            );
+        }
+
+        // Diagram button
+        if ($this->validator->canView($machine->id)) {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-diagram-machine" data-id="%d" title="%s">
+                    <span class="dashicons dashicons-networking"></span>
+                </button>',
+                $machine->id,
+                esc_attr__('View diagram', 'wp-state-machine')
+            );
+        }
+
+        // Workflow editor button
+        if ($this->validator->canUpdate($machine->id)) {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-workflow-editor" data-id="%d" data-name="%s" title="%s">
+                    <span class="dashicons dashicons-randomize"></span>
+                </button>',
+                $machine->id,
+                esc_attr($machine->name),
+                esc_attr__('Workflow editor', 'wp-state-machine')
+            );
+        }
+
+        // Publish button (opens the Versions tab)
+        if ($this->validator->canUpdate($machine->id)) {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-publish-machine" data-id="%d" title="%s">
+                    <span class="dashicons dashicons-upload"></span>
+                </button>',
+                $machine->id,
+                esc_attr__('Publish', 'wp-state-machine')
+            );
+        }
+
+        // Duplicate button
+        if (current_user_can('manage_state_machines')) {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-duplicate-machine" data-id="%d" data-name="%s" data-group="%s" title="%s">
+                    <span class="dashicons dashicons-admin-page"></span>
+                </button>',
+                $machine->id,
+                esc_attr($machine->name),
+                esc_attr($machine->workflow_group_id),
+                esc_attr__('Duplicate', 'wp-state-machine')
+            );
+        }
+
+        // Export button
+        if ($this->validator->canView($machine->id)) {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-export-machine" data-id="%d" title="%s">
+                    <span class="dashicons dashicons-download"></span>
+                </button>',
+                $machine->id,
+                esc_attr__('Export as YAML', 'wp-state-machine')
             );
         }
 
@@ -476,11 +1692,12 @@ class StateMachineController {
         // Delete button
         if ($this->validator->canDelete($machine->id)) {
             $buttons[] = sprintf(
-                '<button type="button" class="button button-small btn-delete-machine" data-id="%d" title="%s">
+                '<button type="button" class="button button-small btn-delete-machine" data-id="%d" data-name="%s" title="%s">
                     <span class="dashicons dashicons-trash"></span>
                 </button>',
                 $machine->id,
-                esc_attr__('Delete', 'wp-state-machine')
+                esc_attr($machine->name),
+                esc_attr__('Move to Trash', 'wp-state-machine')
             );
         }
 
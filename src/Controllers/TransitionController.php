@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.0
+ * @version     1.10.5
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Controllers/TransitionController.php
@@ -16,9 +16,67 @@
  * Dependencies:
  * - TransitionModel: Database operations
  * - TransitionValidator: Form and permission validation
+ * - StateModel: Parent check on restore
  * - StateMachineCacheManager: Caching layer
+ * - GuardFactory: Guard builder validation
+ * - EffectFactory: Transition actions
+ * - StateMachineEngine: Transition simulator
+ * - BulkTransitionJobModel, TransitionLogModel: Bulk transitions
  *
  * Changelog:
+ * 1.10.5 - 2026-10-19
+ * - Bulk report CSV prefixes entity types and messages that start like a formula with '
+ *
+ * 1.10.4 - 2026-10-19
+ * - Bulk preview checks one page of PREVIEW_PAGE_SIZE entities per request (offset, next_offset)
+ *
+ * 1.10.3 - 2026-10-19
+ * - Simulator errors are logged and answered with a generic message
+ *
+ * 1.10.2 - 2026-10-19
+ * - sanitizeEffects() uses EffectFactory::sanitizeEffects()
+ *
+ * 1.10.1 - 2026-10-19
+ * - Simulator entity data falls back to StateMachineEngine::getEntityData()
+ *
+ * 1.10.0 - 2026-10-19
+ * - create_transition and update_transition take effects (actions list), sanitized by sanitizeEffects(); DataTable rows include effect_count
+ *
+ * 1.9.0 - 2026-10-19
+ * - create_transition and update_transition take timeout_minutes; DataTable rows include it
+ *
+ * 1.8.0 - 2026-10-19
+ * - Bulk transitions page (renderBulkPage) with preview, start, progress, list, cancel and CSV report AJAX handlers
+ * - Added get_transitions_by_state AJAX handler
+ *
+ * 1.7.1 - 2026-10-19
+ * - purge_transition refuses transitions of published versions still in use
+ *
+ * 1.7.0 - 2026-10-19
+ * - delete_transition and bulk delete move transitions to the Trash; DataTable takes a trash flag and returns trashCount
+ * - Added restore_transition and purge_transition AJAX handlers
+ *
+ * 1.6.0 - 2026-10-19
+ * - Added get_transition_delete_impact AJAX handler; delete_transition takes a mode (block, cascade)
+ *
+ * 1.5.0 - 2026-10-19
+ * - Added bulk_transitions AJAX handler (delete) with per-row results
+ *
+ * 1.4.0 - 2026-10-19
+ * - Added reorder_transitions AJAX handler (drag-to-reorder)
+ *
+ * 1.3.1 - 2026-10-19
+ * - Unslash posted metadata before validation
+ *
+ * 1.3.0 - 2026-10-19
+ * - simulate_transitions AJAX handler for the transition simulator
+ *
+ * 1.2.0 - 2026-10-19
+ * - validate_transition_guard AJAX handler for the guard builder
+ *
+ * 1.1.0 - 2026-10-19
+ * - DataTable rows now include from_state_id and to_state_id (used by workflow diagram)
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation following StateController pattern
  * - AJAX handlers for DataTables and CRUD
@@ -31,8 +89,15 @@
 namespace WPStateMachine\Controllers;
 
 use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Models\Transition\BulkTransitionJobModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
+use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\StateMachine\MachineVersionModel;
 use WPStateMachine\Validators\TransitionValidator;
 use WPStateMachine\Cache\StateMachineCacheManager;
+use WPStateMachine\Guards\GuardFactory;
+use WPStateMachine\Effects\EffectFactory;
+use WPStateMachine\Engine\StateMachineEngine;
 
 defined('ABSPATH') || exit;
 
@@ -72,8 +137,22 @@ class TransitionController {
         add_action('wp_ajax_handle_transition_datatable', [$this, 'handleDataTableRequest']);
         add_action('wp_ajax_create_transition', [$this, 'store']);
         add_action('wp_ajax_update_transition', [$this, 'update']);
+        add_action('wp_ajax_reorder_transitions', [$this, 'reorder']);
         add_action('wp_ajax_delete_transition', [$this, 'delete']);
+        add_action('wp_ajax_get_transition_delete_impact', [$this, 'deleteImpact']);
+        add_action('wp_ajax_restore_transition', [$this, 'restore']);
+        add_action('wp_ajax_purge_transition', [$this, 'purge']);
+        add_action('wp_ajax_bulk_transitions', [$this, 'bulkAction']);
         add_action('wp_ajax_show_transition', [$this, 'show']);
+        add_action('wp_ajax_validate_transition_guard', [$this, 'validateGuard']);
+        add_action('wp_ajax_simulate_transitions', [$this, 'simulate']);
+        add_action('wp_ajax_get_transitions_by_state', [$this, 'getTransitionsByState']);
+        add_action('wp_ajax_preview_bulk_transition', [$this, 'bulkPreview']);
+        add_action('wp_ajax_start_bulk_transition', [$this, 'bulkStart']);
+        add_action('wp_ajax_get_bulk_transition_job', [$this, 'bulkStatus']);
+        add_action('wp_ajax_get_bulk_transition_jobs', [$this, 'bulkJobs']);
+        add_action('wp_ajax_cancel_bulk_transition', [$this, 'bulkCancel']);
+        add_action('wp_ajax_download_bulk_transition_report', [$this, 'bulkReport']);
     }
 
     /**
@@ -99,6 +178,29 @@ class TransitionController {
         }
     }
 
+    /**
+     * Render bulk transitions admin page
+     *
+     * @return void
+     */
+    public function renderBulkPage() {
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_die(__('You do not have permission to access this page.', 'wp-state-machine'));
+        }
+
+        // Load view
+        $view_path = WP_STATE_MACHINE_PATH . 'src/Views/admin/transitions/bulk-transitions-view.php';
+        if (file_exists($view_path)) {
+            include $view_path;
+        } else {
+            echo '<div class="wrap">';
+            echo '<h1>' . esc_html__('Bulk Transitions', 'wp-state-machine') . '</h1>';
+            echo '<p>' . esc_html__('View file not found', 'wp-state-machine') . '</p>';
+            echo '</div>';
+        }
+    }
+
     /**
      * Handle DataTable AJAX request
      * Supports server-side processing with pagination, search, and sorting
@@ -127,6 +229,7 @@ class TransitionController {
             $order_column_index = isset($_POST['order'][0]['column']) ? intval($_POST['order'][0]['column']) : 0;
             $order_dir = isset($_POST['order'][0]['dir']) ? sanitize_text_field($_POST['order'][0]['dir']) : 'ASC';
             $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $trash = !empty($_POST['trash']);
 
             // Map column index to database column
             $columns = ['id', 'label', 'from_state_name', 'to_state_name', 'guard_class', 'sort_order', 'created_at'];
@@ -158,11 +261,18 @@ class TransitionController {
                 'length' => $length,
                 'search' => $search,
                 'order_by' => $order_column,
-                'order_dir' => $order_dir
+                'order_dir' => $order_dir,
+                'trash' => $trash
             ];
 
             $data = $this->getForDataTable($params);
-            $total_records = $machine_id > 0 ? $this->model->countByMachine($machine_id) : $this->model->getTotalCount();
+            $trash_count = $this->getFilteredCount(['machine_id' => $machine_id, 'trash' => true]);
+
+            if ($trash) {
+                $total_records = $trash_count;
+            } else {
+                $total_records = $machine_id > 0 ? $this->model->countByMachine($machine_id) : $this->model->getTotalCount();
+            }
             $filtered_records = !empty($search) ? $this->getFilteredCount($params) : $total_records;
 
             // Format data for DataTables
@@ -171,12 +281,17 @@ class TransitionController {
                 $formatted_data[] = [
                     'id' => $transition->id,
                     'label' => esc_html($transition->label),
+                    'from_state_id' => $transition->from_state_id,
+                    'to_state_id' => $transition->to_state_id,
                     'from_state_name' => !empty($transition->from_state_name) ? esc_html($transition->from_state_name) : '-',
                     'to_state_name' => !empty($transition->to_state_name) ? esc_html($transition->to_state_name) : '-',
                     'guard_class' => !empty($transition->guard_class) ? esc_html($transition->guard_class) : '-',
                     'sort_order' => $transition->sort_order,
+                    'timeout_minutes' => (int) $transition->timeout_minutes,
+                    'effect_count' => count(EffectFactory::parseEffects($transition->effects)),
                     'machine_name' => !empty($transition->machine_name) ? esc_html($transition->machine_name) : '-',
                     'created_at' => mysql2date(get_option('date_format'), $transition->created_at),
+                    'deleted_at' => $transition->deleted_at ? mysql2date(get_option('date_format'), $transition->deleted_at) : '',
                     'actions' => $this->getActionButtons($transition)
                 ];
             }
@@ -185,6 +300,7 @@ class TransitionController {
                 'draw' => $draw,
                 'recordsTotal' => $total_records,
                 'recordsFiltered' => $filtered_records,
+                'trashCount' => $trash_count,
                 'data' => $formatted_data
             ];
 
@@ -216,8 +332,8 @@ class TransitionController {
         $state_table = $wpdb->prefix . 'app_sm_states';
         $machine_table = $wpdb->prefix . 'app_sm_machines';
 
-        // Build WHERE clause
-        $where = ['1=1'];
+        // Build WHERE clause (trash view shows only trashed transitions)
+        $where = [!empty($params['trash']) ? 't.deleted_at IS NOT NULL' : 't.deleted_at IS NULL'];
         $where_values = [];
 
         if (!empty($params['machine_id'])) {
@@ -279,8 +395,8 @@ class TransitionController {
         $table_name = $wpdb->prefix . 'app_sm_transitions';
         $state_table = $wpdb->prefix . 'app_sm_states';
 
-        // Build WHERE clause
-        $where = ['1=1'];
+        // Build WHERE clause (trash view shows only trashed transitions)
+        $where = [!empty($params['trash']) ? 't.deleted_at IS NOT NULL' : 't.deleted_at IS NULL'];
         $where_values = [];
 
         if (!empty($params['machine_id'])) {
@@ -335,8 +451,10 @@ class TransitionController {
                 'to_state_id' => isset($_POST['to_state_id']) ? intval($_POST['to_state_id']) : 0,
                 'label' => isset($_POST['label']) ? sanitize_text_field($_POST['label']) : '',
                 'guard_class' => isset($_POST['guard_class']) ? sanitize_text_field($_POST['guard_class']) : '',
-                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field($_POST['metadata']) : '',
-                'sort_order' => isset($_POST['sort_order']) ? intval($_POST['sort_order']) : 0
+                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field(wp_unslash($_POST['metadata'])) : '',
+                'sort_order' => isset($_POST['sort_order']) ? intval($_POST['sort_order']) : 0,
+                'timeout_minutes' => isset($_POST['timeout_minutes']) ? intval($_POST['timeout_minutes']) : 0,
+                'effects' => isset($_POST['effects']) ? $this->sanitizeEffects((string) wp_unslash($_POST['effects'])) : ''
             ];
 
             // Validate form data
@@ -408,10 +526,20 @@ class TransitionController {
             $data = [
                 'label' => isset($_POST['label']) ? sanitize_text_field($_POST['label']) : '',
                 'guard_class' => isset($_POST['guard_class']) ? sanitize_text_field($_POST['guard_class']) : '',
-                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field($_POST['metadata']) : '',
+                'metadata' => isset($_POST['metadata']) ? sanitize_textarea_field(wp_unslash($_POST['metadata'])) : '',
                 'sort_order' => isset($_POST['sort_order']) ? intval($_POST['sort_order']) : 0
             ];
 
+            // Only forms with a timeout field change it (the workflow editor has none)
+            if (isset($_POST['timeout_minutes'])) {
+                $data['timeout_minutes'] = intval($_POST['timeout_minutes']);
+            }
+
+            // Same for actions; an empty list clears them
+            if (isset($_POST['effects'])) {
+                $data['effects'] = $this->sanitizeEffects((string) wp_unslash($_POST['effects']));
+            }
+
             // Validate form data
             $errors = $this->validator->validateForm($data, $id);
             if (!empty($errors)) {
@@ -453,7 +581,99 @@ class TransitionController {
     }
 
     /**
-     * Delete transition
+     * Reorder transitions of a machine (drag-to-reorder)
+     * Saves sort_order for the whole machine in one request
+     *
+     * @return void
+     */
+    public function reorder() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $ids = isset($_POST['ids']) ? array_map('intval', (array) $_POST['ids']) : [];
+
+            if (!$machine_id || empty($ids)) {
+                wp_send_json_error([
+                    'message' => __('Invalid reorder request', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission for every moved transition
+            foreach ($this->validator->validateBulkOperation($ids, 'update') as $permission) {
+                if (!$permission['allowed']) {
+                    wp_send_json_error([
+                        'message' => $permission['message']
+                    ]);
+                }
+            }
+
+            $sort_data = $this->model->reorder($machine_id, $ids);
+
+            if ($sort_data === null) {
+                wp_send_json_error([
+                    'message' => __('Failed to save the new order', 'wp-state-machine')
+                ]);
+            }
+
+            // Clear list caches
+            $this->cache->invalidateDataTableCache('transitions_list');
+            $this->cache->delete('transitions_list');
+            $this->cache->delete('transitions_by_machine', $machine_id);
+
+            wp_send_json_success([
+                'message' => __('Order saved', 'wp-state-machine'),
+                'sort_order' => $sort_data
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Reorder Transitions Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while saving the new order', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Get what depends on a transition before deleting it
+     *
+     * @return void
+     */
+    public function deleteImpact() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id || !$this->model->find($id)) {
+                wp_send_json_error([
+                    'message' => __('Transition not found', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            wp_send_json_success($this->validator->getDeleteImpact($id));
+
+        } catch (\Exception $e) {
+            error_log('Transition Delete Impact Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while checking what depends on the transition', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Move transition to the trash
+     * Optional mode: block (refuse when log entries use it) or cascade (default)
      *
      * @return void
      */
@@ -472,7 +692,7 @@ class TransitionController {
 
             // Get transition before deletion for cache clearing
             $transition = $this->model->find($id);
-            if (!$transition) {
+            if (!$transition || $transition->deleted_at) {
                 wp_send_json_error([
                     'message' => __('Transition not found', 'wp-state-machine')
                 ]);
@@ -486,8 +706,17 @@ class TransitionController {
                 ]);
             }
 
-            // Delete transition
-            $result = $this->model->delete($id);
+            // Delete mode: block (only without dependents) or cascade
+            $mode = isset($_POST['mode']) ? sanitize_key($_POST['mode']) : 'cascade';
+            $mode_error = $this->validator->validateDeleteMode($this->validator->getDeleteImpact($id), $mode);
+            if ($mode_error) {
+                wp_send_json_error([
+                    'message' => $mode_error
+                ]);
+            }
+
+            // Move transition to trash
+            $result = $this->model->trash($id);
 
             if ($result) {
                 // Clear cache
@@ -498,7 +727,7 @@ class TransitionController {
                 $this->cache->delete('transitions_by_machine', $transition->machine_id);
 
                 wp_send_json_success([
-                    'message' => __('Transition deleted successfully', 'wp-state-machine')
+                    'message' => __('Transition moved to the Trash', 'wp-state-machine')
                 ]);
             } else {
                 wp_send_json_error([
@@ -514,6 +743,217 @@ class TransitionController {
         }
     }
 
+    /**
+     * Restore transition from the trash
+     *
+     * @return void
+     */
+    public function restore() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            $transition = $id ? $this->model->find($id) : null;
+            if (!$transition || !$transition->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('Transition not found in the Trash', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            // Both states have to be restored first
+            $state_model = new StateModel();
+            foreach ([$transition->from_state_id, $transition->to_state_id] as $state_id) {
+                $state = $state_model->find((int) $state_id);
+                if (!$state || $state->deleted_at) {
+                    wp_send_json_error([
+                        'message' => __('A state of this transition is in the Trash. Restore the state first.', 'wp-state-machine')
+                    ]);
+                }
+            }
+
+            if ($this->model->restore($id)) {
+                // Clear cache
+                $this->cache->invalidateDataTableCache('transitions_list');
+                $this->cache->delete('transitions_list');
+                $this->cache->delete('transitions_count', 'total');
+                $this->cache->delete('transition', $id);
+                $this->cache->delete('transitions_by_machine', $transition->machine_id);
+
+                wp_send_json_success([
+                    'message' => __('Transition restored', 'wp-state-machine')
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('Failed to restore transition', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Restore Transition Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while restoring the transition', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Permanently delete a trashed transition
+     *
+     * @return void
+     */
+    public function purge() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            $transition = $id ? $this->model->find($id) : null;
+            if (!$transition || !$transition->deleted_at) {
+                wp_send_json_error([
+                    'message' => __('Transition not found in the Trash', 'wp-state-machine')
+                ]);
+            }
+
+            // Validate permission
+            $permission = $this->validator->validatePermission($id, 'delete');
+            if (!$permission['allowed']) {
+                wp_send_json_error([
+                    'message' => $permission['message']
+                ]);
+            }
+
+            // Pinned entities still resolve the transition through its row
+            if (in_array($id, (new MachineVersionModel())->getProtectedIds()['transition'], true)) {
+                wp_send_json_error([
+                    'message' => __('This transition belongs to a published version that is still in use. Migrate its entities to a newer version first.', 'wp-state-machine')
+                ]);
+            }
+
+            if ($this->model->delete($id)) {
+                // Clear cache
+                $this->cache->invalidateDataTableCache('transitions_list');
+                $this->cache->delete('transitions_list');
+                $this->cache->delete('transition', $id);
+
+                wp_send_json_success([
+                    'message' => __('Transition deleted permanently', 'wp-state-machine')
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => __('Failed to delete transition', 'wp-state-machine')
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            error_log('Purge Transition Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while deleting the transition', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Apply a bulk action to several transitions
+     * Actions: delete (moves to the trash)
+     * Each transition is checked on its own; failures are reported per row
+     *
+     * @return void
+     */
+    public function bulkAction() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        $bulk_action = isset($_POST['bulk_action']) ? sanitize_key($_POST['bulk_action']) : '';
+        $ids = isset($_POST['ids']) ? array_values(array_unique(array_filter(array_map('intval', (array) $_POST['ids'])))) : [];
+
+        if ($bulk_action !== 'delete') {
+            wp_send_json_error([
+                'message' => __('Invalid bulk action', 'wp-state-machine')
+            ]);
+        }
+
+        if (empty($ids)) {
+            wp_send_json_error([
+                'message' => __('No transitions selected', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $permissions = $this->validator->validateBulkOperation($ids, 'delete');
+            $succeeded = [];
+            $failed = [];
+            $machine_ids = [];
+
+            foreach ($ids as $id) {
+                $transition = $this->model->find($id);
+
+                if (!$transition || $transition->deleted_at) {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => '#' . $id,
+                        'message' => __('Transition not found', 'wp-state-machine')
+                    ];
+                    continue;
+                }
+
+                if (!$permissions[$id]['allowed']) {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => $transition->label,
+                        'message' => $permissions[$id]['message']
+                    ];
+                    continue;
+                }
+
+                if ($this->model->trash($id)) {
+                    $succeeded[] = $id;
+                    $machine_ids[$transition->machine_id] = true;
+                    $this->cache->delete('transition', $id);
+                } else {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => $transition->label,
+                        'message' => __('Failed to delete transition', 'wp-state-machine')
+                    ];
+                }
+            }
+
+            if (!empty($succeeded)) {
+                // Clear cache
+                $this->cache->invalidateDataTableCache('transitions_list');
+                $this->cache->delete('transitions_list');
+                $this->cache->delete('transitions_count', 'total');
+
+                foreach (array_keys($machine_ids) as $machine_id) {
+                    $this->cache->delete('transitions_by_machine', $machine_id);
+                }
+            }
+
+            wp_send_json_success([
+                'message' => sprintf(__('%d transition(s) moved to the Trash', 'wp-state-machine'), count($succeeded)),
+                'succeeded' => $succeeded,
+                'failed' => $failed
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Bulk Transition Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while applying the bulk action', 'wp-state-machine')
+            ]);
+        }
+    }
+
     /**
      * Get single transition details
      *
@@ -562,13 +1002,598 @@ class TransitionController {
     }
 
     /**
-     * Generate action buttons for DataTable row
+     * Validate guard_class string from the guard builder
+     * Returns validateConfig() errors per guard, in string order
      *
-     * @param object $transition Transition object
-     * @return string HTML for action buttons
+     * @return void
      */
-    private function getActionButtons($transition) {
-        $buttons = [];
+    public function validateGuard() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $guard_class = isset($_POST['guard_class']) ? sanitize_text_field($_POST['guard_class']) : '';
+
+            if ($guard_class === '') {
+                wp_send_json_success([
+                    'valid' => true,
+                    'errors' => [],
+                    'guards' => []
+                ]);
+            }
+
+            $result = GuardFactory::validate($guard_class);
+
+            wp_send_json_success([
+                'valid' => $result['valid'],
+                'errors' => $result['errors'],
+                'guards' => $result['guards']
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Validate Guard Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while validating the guard', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Sanitize the effects JSON list posted by the actions builder
+     * Keeps the list shape so validation can report malformed entries;
+     * invalid JSON is passed on unchanged for the validator to reject
+     *
+     * @param string $effects Posted JSON list
+     * @return string JSON list, '' when there are no actions
+     */
+    private function sanitizeEffects(string $effects): string {
+        $decoded = json_decode($effects, true);
+
+        if (!is_array($decoded)) {
+            return trim($effects) === '' ? '' : $effects;
+        }
+
+        $sanitized = EffectFactory::sanitizeEffects($decoded);
+
+        return empty($sanitized) ? '' : wp_json_encode($sanitized);
+    }
+
+    /**
+     * Simulate transitions for an entity and user
+     * Dry run of StateMachineEngine::canTransition() for every transition
+     * from the entity's current state; nothing is applied or logged
+     *
+     * @return void
+     */
+    public function simulate() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $entity_type = isset($_POST['entity_type']) ? sanitize_text_field($_POST['entity_type']) : '';
+            $entity_id = isset($_POST['entity_id']) ? intval($_POST['entity_id']) : 0;
+            $user_id = isset($_POST['user_id']) ? intval($_POST['user_id']) : 0;
+            $entity_data = isset($_POST['entity_data']) ? trim(wp_unslash($_POST['entity_data'])) : '';
+
+            if (!$machine_id || $entity_type === '' || $entity_id <= 0) {
+                wp_send_json_error([
+                    'message' => __('Machine, entity type and entity ID are required', 'wp-state-machine')
+                ]);
+            }
+
+            if (!get_userdata($user_id)) {
+                wp_send_json_error([
+                    'message' => __('User not found', 'wp-state-machine')
+                ]);
+            }
+
+            $engine = new StateMachineEngine();
+
+            // Entity data for OwnerGuard / CallbackGuard: given JSON, else the matching post
+            if ($entity_data !== '') {
+                $entity_data = json_decode($entity_data, true);
+                if (!is_array($entity_data)) {
+                    wp_send_json_error([
+                        'message' => __('Entity data must be a JSON object', 'wp-state-machine')
+                    ]);
+                }
+            } else {
+                $entity_data = $engine->getEntityData($entity_type, $entity_id);
+            }
+
+            $simulation = $engine->simulateTransitions([
+                'machine_id' => $machine_id,
+                'entity_type' => $entity_type,
+                'entity_id' => $entity_id,
+                'user_id' => $user_id,
+                'entity_data' => $entity_data
+            ]);
+
+            $transitions = [];
+            foreach ($simulation['transitions'] as $row) {
+                $transitions[] = [
+                    'id' => (int) $row['transition']->id,
+                    'label' => $row['transition']->label,
+                    'to_state_name' => $row['transition']->to_state_name,
+                    'guard_class' => (string) $row['transition']->guard_class,
+                    'allowed' => $row['allowed'],
+                    'code' => $row['code'],
+                    'message' => $row['message'],
+                    'guards' => $row['guards']
+                ];
+            }
+
+            $current_state = $simulation['current_state'];
+
+            wp_send_json_success([
+                'current_state' => $current_state ? [
+                    'id' => (int) $current_state->id,
+                    'name' => $current_state->name,
+                    'color' => $current_state->color,
+                    'type' => $current_state->type
+                ] : null,
+                'has_history' => $simulation['has_history'],
+                'used_entity_data' => $entity_data !== null,
+                'transitions' => $transitions
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Simulate Transitions Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while simulating transitions', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Get the transitions leaving a state (bulk transitions form)
+     *
+     * @return void
+     */
+    public function getTransitionsByState() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('view_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $state_id = isset($_POST['state_id']) ? intval($_POST['state_id']) : 0;
+
+            if (!$state_id) {
+                wp_send_json_error([
+                    'message' => __('Invalid state ID', 'wp-state-machine')
+                ]);
+            }
+
+            $transitions = [];
+            foreach ($this->model->getAvailableTransitions($state_id) as $transition) {
+                $transitions[] = [
+                    'id' => (int) $transition->id,
+                    'label' => $transition->label,
+                    'to_state_name' => $transition->to_state_name
+                ];
+            }
+
+            wp_send_json_success($transitions);
+
+        } catch (\Exception $e) {
+            error_log('Get Transitions By State Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading transitions', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Find the entities a bulk transition would apply to and check one page of them
+     * Entities are those whose current state is the transition's source
+     * state, optionally of one entity type and older than min_age_days.
+     * Guards are checked for PREVIEW_PAGE_SIZE entities from offset on;
+     * the admin requests next_offset until it is null.
+     *
+     * @return void
+     */
+    public function bulkPreview() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $transition_id = isset($_POST['transition_id']) ? intval($_POST['transition_id']) : 0;
+            $entity_type = isset($_POST['entity_type']) ? sanitize_text_field(wp_unslash($_POST['entity_type'])) : '';
+            $min_age_days = isset($_POST['min_age_days']) ? absint($_POST['min_age_days']) : 0;
+            $offset = isset($_POST['offset']) ? absint($_POST['offset']) : 0;
+
+            $transition = $this->getBulkTransition($machine_id, $transition_id);
+            if (!$transition) {
+                wp_send_json_error([
+                    'message' => __('Choose a transition of the selected machine', 'wp-state-machine')
+                ]);
+            }
+
+            $entities = [];
+            foreach ((new TransitionLogModel())->getEntitiesInState($machine_id, (int) $transition->from_state_id, $entity_type, $min_age_days * DAY_IN_SECONDS / MINUTE_IN_SECONDS) as $entity) {
+                $entities[] = [
+                    'entity_type' => $entity->entity_type,
+                    'entity_id' => (int) $entity->entity_id,
+                    'since' => $entity->since
+                ];
+            }
+
+            $found = count($entities);
+            $total = min($found, BulkTransitionJobModel::MAX_ENTITIES);
+            $page = array_slice($entities, $offset, min(BulkTransitionJobModel::PREVIEW_PAGE_SIZE, max(0, $total - $offset)));
+
+            $rows = (new BulkTransitionJobModel())->preview($machine_id, $transition_id, $page, get_current_user_id());
+            $allowed = count(array_filter(array_column($rows, 'allowed')));
+            $next_offset = $offset + count($rows);
+
+            wp_send_json_success([
+                'entities' => $rows,
+                'found' => $found,
+                'total' => $total,
+                'allowed' => $allowed,
+                'blocked' => count($rows) - $allowed,
+                'next_offset' => $rows && $next_offset < $total ? $next_offset : null,
+                'limit' => BulkTransitionJobModel::MAX_ENTITIES
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Bulk Transition Preview Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while previewing the bulk transition', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Queue a bulk transition job for the selected entities
+     * Entities are posted as "entity_type:entity_id"
+     *
+     * @return void
+     */
+    public function bulkStart() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $machine_id = isset($_POST['machine_id']) ? intval($_POST['machine_id']) : 0;
+            $transition_id = isset($_POST['transition_id']) ? intval($_POST['transition_id']) : 0;
+            $comment = isset($_POST['comment']) ? sanitize_textarea_field(wp_unslash($_POST['comment'])) : '';
+
+            if (!$this->getBulkTransition($machine_id, $transition_id)) {
+                wp_send_json_error([
+                    'message' => __('Choose a transition of the selected machine', 'wp-state-machine')
+                ]);
+            }
+
+            $entities = [];
+            foreach ((array) ($_POST['entities'] ?? []) as $entity) {
+                list($entity_type, $entity_id) = array_pad(explode(':', sanitize_text_field(wp_unslash($entity)), 2), 2, '');
+                if ($entity_type !== '' && intval($entity_id)) {
+                    $entities[$entity_type . ':' . intval($entity_id)] = ['entity_type' => $entity_type, 'entity_id' => intval($entity_id)];
+                }
+            }
+
+            if (empty($entities)) {
+                wp_send_json_error([
+                    'message' => __('Select at least one entity to transition', 'wp-state-machine')
+                ]);
+            }
+
+            if (count($entities) > BulkTransitionJobModel::MAX_ENTITIES) {
+                wp_send_json_error([
+                    'message' => sprintf(
+                        __('A bulk transition can process at most %d entities at once', 'wp-state-machine'),
+                        BulkTransitionJobModel::MAX_ENTITIES
+                    )
+                ]);
+            }
+
+            $job_id = (new BulkTransitionJobModel())->create($machine_id, $transition_id, $entities, $comment);
+
+            if (!$job_id) {
+                wp_send_json_error([
+                    'message' => __('Failed to start the bulk transition', 'wp-state-machine')
+                ]);
+            }
+
+            wp_send_json_success([
+                'job_id' => $job_id,
+                'message' => sprintf(
+                    __('Bulk transition started for %d entities', 'wp-state-machine'),
+                    count($entities)
+                )
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Bulk Transition Start Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while starting the bulk transition', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Get the progress of a bulk transition job
+     * Polling also re-schedules a job whose batch event went missing
+     *
+     * @return void
+     */
+    public function bulkStatus() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+            $job_model = new BulkTransitionJobModel();
+
+            $job = $id ? $job_model->find($id) : null;
+            if (!$job) {
+                wp_send_json_error([
+                    'message' => __('Bulk transition not found', 'wp-state-machine')
+                ]);
+            }
+
+            if (in_array($job->status, ['queued', 'running'], true)) {
+                $job_model->schedule($id);
+            }
+
+            $failures = array_values(array_filter($job_model->getResults($job), function($result) {
+                return !$result['success'];
+            }));
+
+            wp_send_json_success(array_merge($this->formatBulkJob($job), [
+                'failures' => array_slice($failures, -50)
+            ]));
+
+        } catch (\Exception $e) {
+            error_log('Bulk Transition Status Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading the bulk transition', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Get the latest bulk transition jobs
+     *
+     * @return void
+     */
+    public function bulkJobs() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            wp_send_json_success(array_map([$this, 'formatBulkJob'], (new BulkTransitionJobModel())->getRecent()));
+
+        } catch (\Exception $e) {
+            error_log('Bulk Transition Jobs Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while loading bulk transitions', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Cancel a queued or running bulk transition job
+     *
+     * @return void
+     */
+    public function bulkCancel() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+            if (!$id || !(new BulkTransitionJobModel())->cancel($id)) {
+                wp_send_json_error([
+                    'message' => __('Only queued or running bulk transitions can be cancelled', 'wp-state-machine')
+                ]);
+            }
+
+            wp_send_json_success([
+                'message' => __('Bulk transition cancelled; entities already processed keep their new state', 'wp-state-machine')
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('Bulk Transition Cancel Error: ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while cancelling the bulk transition', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Download the per-entity results of a bulk transition job as CSV
+     *
+     * @return void
+     */
+    public function bulkReport() {
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        if (!current_user_can('manage_state_machines')) {
+            wp_die(__('Access denied', 'wp-state-machine'));
+        }
+
+        $id = isset($_GET['id']) ? intval($_GET['id']) : 0;
+        $job_model = new BulkTransitionJobModel();
+
+        $job = $id ? $job_model->find($id) : null;
+        if (!$job) {
+            wp_die(__('Bulk transition not found', 'wp-state-machine'));
+        }
+
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="bulk-transition-' . $id . '-' . date('Y-m-d') . '.csv"');
+
+        $output = fopen('php://output', 'w');
+
+        // UTF-8 BOM for Excel compatibility
+        fprintf($output, chr(0xEF).chr(0xBB).chr(0xBF));
+
+        fputcsv($output, [
+            'Entity Type',
+            'Entity ID',
+            'Result',
+            'Message',
+            'Log ID'
+        ]);
+
+        foreach ($job_model->getResults($job) as $result) {
+            fputcsv($output, [
+                $this->csvCell($result['entity_type']),
+                $result['entity_id'],
+                $result['success'] ? 'Success' : 'Failed',
+                $this->csvCell($result['message']),
+                $result['log_id'] ?? ''
+            ]);
+        }
+
+        fclose($output);
+        exit;
+    }
+
+    /**
+     * Keep a CSV cell from running as a spreadsheet formula
+     * Text starting with =, +, -, @, tab or carriage return gets a leading '
+     *
+     * @param mixed $value Cell value
+     * @return string Safe cell value
+     */
+    private function csvCell($value): string {
+        $value = (string) $value;
+
+        return preg_match('/^[=+\-@\t\r]/', $value) ? "'" . $value : $value;
+    }
+
+    /**
+     * Find a live transition of a machine for a bulk transition
+     *
+     * @param int $machine_id Machine ID
+     * @param int $transition_id Transition ID
+     * @return object|null Transition or null
+     */
+    private function getBulkTransition(int $machine_id, int $transition_id): ?object {
+        $transition = $transition_id ? $this->model->find($transition_id) : null;
+
+        if (!$transition || $transition->deleted_at || (int) $transition->machine_id !== $machine_id) {
+            return null;
+        }
+
+        return $transition;
+    }
+
+    /**
+     * Bulk transition job fields sent to the page
+     *
+     * @param object $job Job row
+     * @return array Job fields
+     */
+    private function formatBulkJob(object $job): array {
+        return [
+            'id' => (int) $job->id,
+            'machine_name' => $job->machine_name,
+            'transition_label' => $job->transition_label,
+            'comment' => (string) $job->comment,
+            'status' => $job->status,
+            'total' => (int) $job->total,
+            'processed' => (int) $job->processed,
+            'succeeded' => (int) $job->succeeded,
+            'failed' => (int) $job->failed,
+            'author_name' => $job->author_name ?? '',
+            'created_at' => $job->created_at,
+            'completed_at' => $job->completed_at
+        ];
+    }
+
+    /**
+     * Generate action buttons for DataTable row
+     *
+     * @param object $transition Transition object
+     * @return string HTML for action buttons
+     */
+    private function getActionButtons($transition) {
+        $buttons = [];
+
+        // Trashed rows can only be restored or deleted permanently
+        if ($transition->deleted_at) {
+            if ($this->validator->canDelete($transition->id)) {
+                $buttons[] = sprintf(
+                    '<button type="button" class="button button-small btn-restore-row" data-id="%d" title="%s">
+                        <span class="dashicons dashicons-undo"></span>
+                    </button>',
+                    $transition->id,
+                    esc_attr__('Restore', 'wp-state-machine')
+                );
+                $buttons[] = sprintf(
+                    '<button type="button" class="button button-small btn-purge-row" data-id="%d" data-name="%s" title="%s">
+                        <span class="dashicons dashicons-no"></span>
+                    </button>',
+                    $transition->id,
+                    esc_attr($transition->label),
+                    esc_attr__('Delete Permanently', 'wp-state-machine')
+                );
+            }
+
+            return implode(' ', $buttons);
+        }
 
         // View button
         if ($this->validator->canView($transition->id)) {
@@ -595,11 +1620,12 @@ class TransitionController {
         // Delete button
         if ($this->validator->canDelete($transition->id)) {
             $buttons[] = sprintf(
-                '<button type="button" class="button button-small btn-delete-transition" data-id="%d" title="%s">
+                '<button type="button" class="button button-small btn-delete-transition" data-id="%d" data-name="%s" title="%s">
                     <span class="dashicons dashicons-trash"></span>
                 </button>',
                 $transition->id,
-                esc_attr__('Delete', 'wp-state-machine')
+                esc_attr($transition->label),
+                esc_attr__('Move to Trash', 'wp-state-machine')
             );
         }
 
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Controllers/WorkflowGroupController.php
@@ -19,6 +19,17 @@
  * - StateMachineCacheManager: Caching layer
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - delete_workflow_group and bulk delete move groups to the Trash; cascade trashes the group's machines with it
+ * - DataTable takes a trash flag and returns trashCount
+ * - Added restore_workflow_group and purge_workflow_group AJAX handlers
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added get_workflow_group_delete_impact AJAX handler; delete_workflow_group takes a mode (block, reassign with target_id, cascade)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added bulk_workflow_groups AJAX handler (delete, activate, deactivate) with per-row results
+ *
  * 1.0.0 - 2025-11-07 (TODO-6102 PRIORITAS #7)
  * - Initial creation for FASE 3
  * - AJAX handlers for DataTables and CRUD
@@ -72,6 +83,10 @@ class WorkflowGroupController {
         add_action('wp_ajax_create_workflow_group', [$this, 'store']);
         add_action('wp_ajax_update_workflow_group', [$this, 'update']);
         add_action('wp_ajax_delete_workflow_group', [$this, 'delete']);
+        add_action('wp_ajax_get_workflow_group_delete_impact', [$this, 'deleteImpact']);
+        add_action('wp_ajax_restore_workflow_group', [$this, 'restore']);
+        add_action('wp_ajax_purge_workflow_group', [$this, 'purge']);
+        add_action('wp_ajax_bulk_workflow_groups', [$this, 'bulkAction']);
         add_action('wp_ajax_show_workflow_group', [$this, 'show']);
         add_action('wp_ajax_update_workflow_group_sort_order', [$this, 'updateSortOrder']);
     }
@@ -130,15 +145,17 @@ class WorkflowGroupController {
             // Map column index to database column
             $columns = ['id', 'name', 'slug', 'sort_order', 'is_active', 'created_at'];
             $order_column = isset($columns[$order_column_index]) ? $columns[$order_column_index] : 'sort_order';
+            $trash = !empty($_POST['trash']);
 
             // Build cache key
             $cache_key = sprintf(
-                'datatable_%d_%d_%s_%s_%s',
+                'datatable_%d_%d_%s_%s_%s_%d',
                 $start,
                 $length,
                 $search,
                 $order_column,
-                $order_dir
+                $order_dir,
+                $trash
             );
 
             // Try to get from cache
@@ -155,10 +172,12 @@ class WorkflowGroupController {
                 'search' => $search,
                 'order_column' => $order_column,
                 'order_dir' => $order_dir,
-                'draw' => $draw
+                'draw' => $draw,
+                'trash' => $trash
             ];
 
             $result = $this->model->getForDataTable($params);
+            $result['trashCount'] = $this->model->countTrashed();
 
             // Add action buttons to each row
             if (!empty($result['data'])) {
@@ -318,7 +337,45 @@ class WorkflowGroupController {
     }
 
     /**
-     * Delete workflow group
+     * Get what depends on a workflow group before deleting it
+     *
+     * @return void
+     */
+    public function deleteImpact() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if (!$id || !$this->model->find($id)) {
+            wp_send_json_error([
+                'message' => __('Workflow group not found', 'wp-state-machine')
+            ]);
+        }
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            wp_send_json_success($this->validator->getDeleteImpact($id));
+
+        } catch (\Exception $e) {
+            error_log('WorkflowGroupController: Delete impact error - ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while checking what depends on the workflow group', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Move workflow group to the trash
+     * Optional mode: block (default, refuse while machines are assigned),
+     * reassign (move machines to target_id, 0 = no group) or cascade
+     * (trash the machines with their states and transitions)
      *
      * @return void
      */
@@ -331,7 +388,7 @@ class WorkflowGroupController {
 
         // Check if workflow group exists
         $group = $this->model->find($id);
-        if (!$group) {
+        if (!$group || $group->deleted_at) {
             wp_send_json_error([
                 'message' => __('Workflow group not found', 'wp-state-machine')
             ]);
@@ -345,24 +402,70 @@ class WorkflowGroupController {
         }
 
         try {
+            $mode = isset($_POST['mode']) ? sanitize_key($_POST['mode']) : 'block';
+            $impact = $this->validator->getDeleteImpact($id);
+
             // Validate delete operation (check for assigned machines)
-            $errors = $this->validator->validateDelete($id);
-            if (!empty($errors)) {
+            if ($mode === 'block') {
+                $errors = $this->validator->validateDelete($id);
+                if (!empty($errors)) {
+                    wp_send_json_error([
+                        'message' => reset($errors), // Get first error message
+                        'errors' => $errors
+                    ]);
+                }
+            } else {
+                $mode_error = $this->validator->validateDeleteMode($impact, $mode);
+                if ($mode_error) {
+                    wp_send_json_error([
+                        'message' => $mode_error
+                    ]);
+                }
+            }
+
+            $target_id = isset($_POST['target_id']) ? intval($_POST['target_id']) : 0;
+            if ($mode === 'reassign' && !in_array($target_id, array_column($impact['targets'], 'id'), true)) {
                 wp_send_json_error([
-                    'message' => reset($errors), // Get first error message
-                    'errors' => $errors
+                    'message' => __('Choose a workflow group to move the machines to', 'wp-state-machine')
                 ]);
             }
 
-            // Delete workflow group
-            $deleted = $this->model->delete($id);
+            $machines = $this->model->getMachines($id);
+
+            // Machines are moved or trashed together with the group
+            global $wpdb;
+            $wpdb->query('START TRANSACTION');
+
+            if ($mode === 'reassign' && $machines) {
+                if ($this->model->moveMachines($id, $target_id ?: null) === false) {
+                    $wpdb->query('ROLLBACK');
+                    wp_send_json_error([
+                        'message' => __('Failed to move the machines to the chosen group', 'wp-state-machine')
+                    ]);
+                }
+            }
 
-            if (!$deleted) {
+            // Move workflow group to trash; in cascade mode its machines go with it
+            $trashed = $this->model->trash($id);
+
+            if (!$trashed) {
+                $wpdb->query('ROLLBACK');
                 wp_send_json_error([
                     'message' => __('Failed to delete workflow group', 'wp-state-machine')
                 ]);
             }
 
+            $wpdb->query('COMMIT');
+
+            if ($machines) {
+                $this->cache->invalidateDataTableCache('state_machines_list');
+                $this->cache->delete('state_machines_list');
+                $this->cache->delete('state_machines_count', 'total');
+                foreach ($machines as $machine) {
+                    $this->cache->delete('state_machine', $machine->id);
+                }
+            }
+
             // Clear cache
             $this->cache->invalidateDataTableCache('workflow_groups_list');
             $this->cache->delete('workflow_groups_list');
@@ -370,7 +473,7 @@ class WorkflowGroupController {
             $this->cache->delete('workflow_group', $id);
 
             wp_send_json_success([
-                'message' => __('Workflow group deleted successfully', 'wp-state-machine')
+                'message' => __('Workflow group moved to the Trash', 'wp-state-machine')
             ]);
 
         } catch (\Exception $e) {
@@ -381,6 +484,217 @@ class WorkflowGroupController {
         }
     }
 
+    /**
+     * Restore workflow group from the trash
+     * Machines trashed together with it come back too
+     *
+     * @return void
+     */
+    public function restore() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        $group = $id ? $this->model->find($id) : null;
+        if (!$group || !$group->deleted_at) {
+            wp_send_json_error([
+                'message' => __('Workflow group not found in the Trash', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            if (!$this->model->restore($id)) {
+                wp_send_json_error([
+                    'message' => __('Failed to restore workflow group', 'wp-state-machine')
+                ]);
+            }
+
+            // Clear cache
+            $this->cache->invalidateDataTableCache('workflow_groups_list');
+            $this->cache->delete('workflow_groups_list');
+            $this->cache->delete('workflow_groups_count', 'total');
+            $this->cache->delete('workflow_group', $id);
+
+            wp_send_json_success([
+                'message' => __('Workflow group restored', 'wp-state-machine')
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('WorkflowGroupController: Restore error - ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while restoring workflow group', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Permanently delete a trashed workflow group
+     * Machines still pointing at it (in the trash) lose their group
+     *
+     * @return void
+     */
+    public function purge() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        $id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        $group = $id ? $this->model->find($id) : null;
+        if (!$group || !$group->deleted_at) {
+            wp_send_json_error([
+                'message' => __('Workflow group not found in the Trash', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            if (!$this->model->delete($id)) {
+                wp_send_json_error([
+                    'message' => __('Failed to delete workflow group', 'wp-state-machine')
+                ]);
+            }
+
+            // Clear cache
+            $this->cache->invalidateDataTableCache('workflow_groups_list');
+            $this->cache->delete('workflow_groups_list');
+            $this->cache->delete('workflow_group', $id);
+            $this->cache->invalidateDataTableCache('state_machines_list');
+
+            wp_send_json_success([
+                'message' => __('Workflow group deleted permanently', 'wp-state-machine')
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('WorkflowGroupController: Purge error - ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while deleting workflow group', 'wp-state-machine')
+            ]);
+        }
+    }
+
+    /**
+     * Apply a bulk action to several workflow groups
+     * Actions: delete (moves to the trash), activate, deactivate
+     * Groups with assigned machines are not deleted (validateDelete); failures are reported per row
+     *
+     * @return void
+     */
+    public function bulkAction() {
+        // Verify nonce
+        check_ajax_referer('wp_state_machine_nonce', 'nonce');
+
+        // Check permission
+        if (!current_user_can('manage_state_machines')) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-state-machine')
+            ]);
+        }
+
+        $bulk_action = isset($_POST['bulk_action']) ? sanitize_key($_POST['bulk_action']) : '';
+        $ids = isset($_POST['ids']) ? array_values(array_unique(array_filter(array_map('intval', (array) $_POST['ids'])))) : [];
+
+        if (!in_array($bulk_action, ['delete', 'activate', 'deactivate'], true)) {
+            wp_send_json_error([
+                'message' => __('Invalid bulk action', 'wp-state-machine')
+            ]);
+        }
+
+        if (empty($ids)) {
+            wp_send_json_error([
+                'message' => __('No workflow groups selected', 'wp-state-machine')
+            ]);
+        }
+
+        try {
+            $succeeded = [];
+            $failed = [];
+
+            foreach ($ids as $id) {
+                $group = $this->model->find($id);
+
+                if (!$group || $group->deleted_at) {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => '#' . $id,
+                        'message' => __('Workflow group not found', 'wp-state-machine')
+                    ];
+                    continue;
+                }
+
+                if ($bulk_action === 'delete') {
+                    $errors = $this->validator->validateDelete($id);
+                    if (!empty($errors)) {
+                        $failed[] = [
+                            'id' => $id,
+                            'name' => $group->name,
+                            'message' => reset($errors)
+                        ];
+                        continue;
+                    }
+
+                    $result = $this->model->trash($id);
+                } else {
+                    $result = $this->model->update($id, ['is_active' => $bulk_action === 'activate' ? 1 : 0]);
+                    if ($result) {
+                        // Mark as custom (user modified)
+                        $this->model->markAsCustom($id);
+                    }
+                }
+
+                if ($result) {
+                    $succeeded[] = $id;
+                    $this->cache->delete('workflow_group', $id);
+                } else {
+                    $failed[] = [
+                        'id' => $id,
+                        'name' => $group->name,
+                        'message' => $bulk_action === 'delete'
+                            ? __('Failed to delete workflow group', 'wp-state-machine')
+                            : __('Failed to update workflow group', 'wp-state-machine')
+                    ];
+                }
+            }
+
+            if (!empty($succeeded)) {
+                // Clear cache
+                $this->cache->invalidateDataTableCache('workflow_groups_list');
+                $this->cache->delete('workflow_groups_list');
+                $this->cache->delete('workflow_groups_count', 'total');
+            }
+
+            wp_send_json_success([
+                'message' => sprintf(
+                    $bulk_action === 'delete'
+                        ? __('%d workflow group(s) moved to the Trash', 'wp-state-machine')
+                        : __('%d workflow group(s) updated', 'wp-state-machine'),
+                    count($succeeded)
+                ),
+                'succeeded' => $succeeded,
+                'failed' => $failed
+            ]);
+
+        } catch (\Exception $e) {
+            error_log('WorkflowGroupController: Bulk action error - ' . $e->getMessage());
+            wp_send_json_error([
+                'message' => __('An error occurred while applying the bulk action', 'wp-state-machine')
+            ]);
+        }
+    }
+
     /**
      * Show single workflow group details
      *
@@ -498,6 +812,27 @@ class WorkflowGroupController {
 
         $buttons = [];
 
+        // Trashed rows can only be restored or deleted permanently
+        if (!empty($group->deleted_at)) {
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-restore-row" data-id="%d" title="%s">
+                    <span class="dashicons dashicons-undo"></span>
+                </button>',
+                $group->id,
+                esc_attr__('Restore', 'wp-state-machine')
+            );
+            $buttons[] = sprintf(
+                '<button type="button" class="button button-small btn-purge-row" data-id="%d" data-name="%s" title="%s">
+                    <span class="dashicons dashicons-no"></span>
+                </button>',
+                $group->id,
+                esc_attr($group->name),
+                esc_attr__('Delete Permanently', 'wp-state-machine')
+            );
+
+            return implode(' ', $buttons);
+        }
+
         // View button
         $buttons[] = sprintf(
             '<button type="button" class="button button-small btn-view-group" data-id="%d" title="%s">
@@ -518,11 +853,12 @@ class WorkflowGroupController {
 
         // Delete button
         $buttons[] = sprintf(
-            '<button type="button" class="button button-small btn-delete-group" data-id="%d" title="%s">
+            '<button type="button" class="button button-small btn-delete-group" data-id="%d" data-name="%s" title="%s">
                 <span class="dashicons dashicons-trash"></span>
             </button>',
             $group->id,
-            esc_attr__('Delete', 'wp-state-machine')
+            esc_attr($group->name),
+            esc_attr__('Move to Trash', 'wp-state-machine')
         );
 
         return implode(' ', $buttons);
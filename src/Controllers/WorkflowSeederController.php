@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Controllers
- * @version     1.0.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Controllers/WorkflowSeederController.php
@@ -14,6 +14,9 @@
  *              - Seeding default workflows from YML files
  *              - Resetting to default workflows
  *              - Getting seeder status
+ *              - Previewing and importing uploaded YML files
+ *              - Dry-run diff before re-seeding a workflow
+ *              - Listing, restoring, downloading and deleting backups
  *
  * AJAX Endpoints:
  * - wp_ajax_seed_default_workflows
@@ -22,12 +25,30 @@
  * - wp_ajax_get_workflows_data
  * - wp_ajax_seed_individual_workflow
  * - wp_ajax_reset_individual_workflow
+ * - wp_ajax_preview_workflow_upload
+ * - wp_ajax_import_workflow_upload
+ * - wp_ajax_preview_workflow_reseed
+ * - wp_ajax_get_workflow_backups
+ * - wp_ajax_restore_workflow_backup
+ * - wp_ajax_download_workflow_backup
+ * - wp_ajax_delete_workflow_backup
  *
  * Dependencies:
  * - WorkflowSeeder: Core seeding functionality
  * - WordPress AJAX API
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - Added backup AJAX handlers: get, restore, download and delete
+ * - Individual workflow reset now creates a backup first
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added preview_workflow_reseed AJAX handler (dry-run diff)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added preview_workflow_upload and import_workflow_upload AJAX handlers
+ * - Upload checks: extension, size limit, is_uploaded_file
+ *
  * 1.0.0 - 2025-11-08
  * - Initial creation
  * - AJAX handlers for seed and reset
@@ -42,6 +63,13 @@ use WPStateMachine\Data\YmlParser;
 defined('ABSPATH') || exit;
 
 class WorkflowSeederController {
+    /**
+     * Maximum accepted upload size in bytes
+     *
+     * @var int
+     */
+    const MAX_UPLOAD_SIZE = 1048576;
+
     /**
      * Workflow Seeder instance
      *
@@ -71,6 +99,13 @@ class WorkflowSeederController {
         add_action('wp_ajax_get_workflows_data', [$this, 'getWorkflowsData']);
         add_action('wp_ajax_seed_individual_workflow', [$this, 'seedIndividualWorkflow']);
         add_action('wp_ajax_reset_individual_workflow', [$this, 'resetIndividualWorkflow']);
+        add_action('wp_ajax_preview_workflow_upload', [$this, 'previewWorkflowUpload']);
+        add_action('wp_ajax_import_workflow_upload', [$this, 'importWorkflowUpload']);
+        add_action('wp_ajax_preview_workflow_reseed', [$this, 'previewWorkflowReseed']);
+        add_action('wp_ajax_get_workflow_backups', [$this, 'getWorkflowBackups']);
+        add_action('wp_ajax_restore_workflow_backup', [$this, 'restoreWorkflowBackup']);
+        add_action('wp_ajax_download_workflow_backup', [$this, 'downloadWorkflowBackup']);
+        add_action('wp_ajax_delete_workflow_backup', [$this, 'deleteWorkflowBackup']);
     }
 
     /**
@@ -374,6 +409,55 @@ class WorkflowSeederController {
         }
     }
 
+    /**
+     * Preview re-seed of individual workflow (dry run)
+     * Returns a diff between the YML file and the seeded machine
+     * AJAX Handler
+     *
+     * @return void
+     */
+    public function previewWorkflowReseed() {
+        // Clean output buffer
+        if (ob_get_length()) {
+            ob_clean();
+        }
+
+        try {
+            // Verify nonce
+            if (!check_ajax_referer('wp_state_machine_nonce', 'nonce', false)) {
+                throw new \Exception(__('Security check failed', 'wp-state-machine'));
+            }
+
+            // Check permissions
+            if (!current_user_can('manage_state_machines')) {
+                throw new \Exception(__('Insufficient permissions', 'wp-state-machine'));
+            }
+
+            // Get filename parameter
+            $filename = isset($_POST['filename']) ? sanitize_file_name($_POST['filename']) : '';
+
+            if (empty($filename)) {
+                throw new \Exception(__('Filename is required', 'wp-state-machine'));
+            }
+
+            // Construct file path
+            $file_path = WP_STATE_MACHINE_PATH . 'src/Data/defaults/' . $filename;
+
+            if (!file_exists($file_path)) {
+                throw new \Exception(__('Workflow file not found', 'wp-state-machine'));
+            }
+
+            wp_send_json_success([
+                'diff' => $this->seeder->diffFromFile($file_path),
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
     /**
      * Reset individual workflow
      * AJAX Handler
@@ -451,6 +535,13 @@ class WorkflowSeederController {
                 throw new \Exception(__('YML file not found for this workflow', 'wp-state-machine'));
             }
 
+            // Backup before deleting, so the reset can be restored from the Backups section
+            $backup_result = $this->seeder->createBackup();
+
+            if (!$backup_result['success']) {
+                throw new \Exception(sprintf(__('Backup failed: %s', 'wp-state-machine'), $backup_result['message']));
+            }
+
             // Start transaction
             $wpdb->query('START TRANSACTION');
 
@@ -474,6 +565,7 @@ class WorkflowSeederController {
                 wp_send_json_success([
                     'message' => __('Workflow reset and re-seeded successfully', 'wp-state-machine'),
                     'details' => $result,
+                    'backup_file' => basename($backup_result['backup_file']),
                 ]);
 
             } catch (\Exception $e) {
@@ -487,4 +579,282 @@ class WorkflowSeederController {
             ]);
         }
     }
+
+    /**
+     * Preview uploaded YML workflow file
+     * Parses and validates with YmlParser rules, reports counts and slug conflicts
+     * AJAX Handler
+     *
+     * @return void
+     */
+    public function previewWorkflowUpload() {
+        // Clean output buffer
+        if (ob_get_length()) {
+            ob_clean();
+        }
+
+        try {
+            // Verify nonce
+            if (!check_ajax_referer('wp_state_machine_nonce', 'nonce', false)) {
+                throw new \Exception(__('Security check failed', 'wp-state-machine'));
+            }
+
+            // Check permissions
+            if (!current_user_can('manage_state_machines')) {
+                throw new \Exception(__('Insufficient permissions', 'wp-state-machine'));
+            }
+
+            $upload = $this->getUploadedWorkflow();
+            $data = YmlParser::parseString($upload['content'], $upload['filename']);
+            $conflicts = $this->seeder->getConflicts($data);
+
+            wp_send_json_success([
+                'filename' => $upload['filename'],
+                'workflow_group' => $data['workflow_group'],
+                'state_machine' => $data['state_machine'],
+                'states_count' => count($data['states']),
+                'transitions_count' => count($data['transitions']),
+                'states' => array_column($data['states'], 'name'),
+                'conflicts' => $conflicts,
+                'can_import' => $conflicts['machine'] === null,
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * Import uploaded YML workflow file
+     * AJAX Handler
+     *
+     * @return void
+     */
+    public function importWorkflowUpload() {
+        // Clean output buffer
+        if (ob_get_length()) {
+            ob_clean();
+        }
+
+        try {
+            // Verify nonce
+            if (!check_ajax_referer('wp_state_machine_nonce', 'nonce', false)) {
+                throw new \Exception(__('Security check failed', 'wp-state-machine'));
+            }
+
+            // Check permissions
+            if (!current_user_can('manage_state_machines')) {
+                throw new \Exception(__('Insufficient permissions', 'wp-state-machine'));
+            }
+
+            $upload = $this->getUploadedWorkflow();
+            $result = $this->seeder->importFromString($upload['content'], $upload['filename']);
+
+            if ($result['success']) {
+                wp_send_json_success([
+                    'message' => $result['message'],
+                    'details' => $result,
+                ]);
+            } else {
+                throw new \Exception($result['message']);
+            }
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * Read the uploaded workflow file from $_FILES
+     * The file is only read, never moved into the plugin directory
+     *
+     * @return array ['filename' => string, 'content' => string]
+     * @throws \Exception If upload is missing or invalid
+     */
+    private function getUploadedWorkflow(): array {
+        if (empty($_FILES['workflow_file']) || !isset($_FILES['workflow_file']['error'])) {
+            throw new \Exception(__('Please choose a YML file to upload', 'wp-state-machine'));
+        }
+
+        $file = $_FILES['workflow_file'];
+
+        if ($file['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($file['tmp_name'])) {
+            throw new \Exception(__('File upload failed', 'wp-state-machine'));
+        }
+
+        $filename = sanitize_file_name($file['name']);
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+
+        if (!in_array($extension, ['yml', 'yaml'], true)) {
+            throw new \Exception(__('Only .yml or .yaml files are allowed', 'wp-state-machine'));
+        }
+
+        if ($file['size'] > self::MAX_UPLOAD_SIZE) {
+            throw new \Exception(__('Workflow file is too large (maximum 1 MB)', 'wp-state-machine'));
+        }
+
+        $content = file_get_contents($file['tmp_name']);
+
+        if ($content === false || trim($content) === '') {
+            throw new \Exception(__('Workflow file is empty', 'wp-state-machine'));
+        }
+
+        return [
+            'filename' => $filename,
+            'content' => $content,
+        ];
+    }
+
+    /**
+     * List backups in src/Data/backups
+     * AJAX Handler
+     *
+     * @return void
+     */
+    public function getWorkflowBackups() {
+        // Clean output buffer
+        if (ob_get_length()) {
+            ob_clean();
+        }
+
+        try {
+            $this->verifyBackupRequest();
+
+            wp_send_json_success([
+                'backups' => $this->seeder->getBackups(),
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * Restore default workflows from a backup
+     * AJAX Handler
+     *
+     * @return void
+     */
+    public function restoreWorkflowBackup() {
+        // Clean output buffer
+        if (ob_get_length()) {
+            ob_clean();
+        }
+
+        try {
+            $filename = $this->verifyBackupRequest(true);
+
+            $result = $this->seeder->restoreBackup($filename);
+
+            if (!$result['success']) {
+                throw new \Exception($result['message']);
+            }
+
+            wp_send_json_success([
+                'message' => sprintf(
+                    __('Restored %1$d workflows. Data before the restore was saved to %2$s.', 'wp-state-machine'),
+                    count($result['workflows']),
+                    $result['backup_file']
+                ),
+                'details' => $result,
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * Get backup file content for download
+     * AJAX Handler
+     *
+     * @return void
+     */
+    public function downloadWorkflowBackup() {
+        // Clean output buffer
+        if (ob_get_length()) {
+            ob_clean();
+        }
+
+        try {
+            $filename = $this->verifyBackupRequest(true);
+
+            wp_send_json_success([
+                'filename' => $filename,
+                'content' => file_get_contents($this->seeder->getBackupFile($filename)),
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * Delete a backup file
+     * AJAX Handler
+     *
+     * @return void
+     */
+    public function deleteWorkflowBackup() {
+        // Clean output buffer
+        if (ob_get_length()) {
+            ob_clean();
+        }
+
+        try {
+            $filename = $this->verifyBackupRequest(true);
+
+            $result = $this->seeder->deleteBackup($filename);
+
+            if (!$result['success']) {
+                throw new \Exception($result['message']);
+            }
+
+            wp_send_json_success([
+                'message' => __('Backup deleted successfully', 'wp-state-machine'),
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * Verify nonce and permission for backup requests
+     *
+     * @param bool $require_filename Whether a backup filename must be posted
+     * @return string Sanitized backup filename (empty if not required)
+     * @throws \Exception If verification fails
+     */
+    private function verifyBackupRequest(bool $require_filename = false): string {
+        // Verify nonce
+        if (!check_ajax_referer('wp_state_machine_nonce', 'nonce', false)) {
+            throw new \Exception(__('Security check failed', 'wp-state-machine'));
+        }
+
+        // Check permissions
+        if (!current_user_can('manage_state_machines')) {
+            throw new \Exception(__('Insufficient permissions', 'wp-state-machine'));
+        }
+
+        $filename = isset($_POST['filename']) ? sanitize_file_name(wp_unslash($_POST['filename'])) : '';
+
+        if ($require_filename && empty($filename)) {
+            throw new \Exception(__('Backup file is required', 'wp-state-machine'));
+        }
+
+        return $filename;
+    }
 }
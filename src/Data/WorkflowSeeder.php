@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Data
- * @version     1.0.0
+ * @version     1.5.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Data/WorkflowSeeder.php
@@ -36,9 +36,36 @@
  *
  * // Reset to defaults (delete existing + reseed)
  * $result = $seeder->resetToDefaults();
+ *
+ * // Restore default workflows from a backup in src/Data/backups
+ * $backups = $seeder->getBackups();
+ * $result = $seeder->restoreBackup('backup_2025-11-08_07-55-16.json');
  * ```
  *
  * Changelog:
+ * 1.5.1 - 2026-10-19
+ * - Backup restore inserts states, transitions and logs under new IDs and remaps their links, so IDs now used by other machines no longer break the restore
+ *
+ * 1.5.0 - 2026-10-19
+ * - Seeds and diffs transition effects; "Add User to Role" actions need promote_users
+ *
+ * 1.4.0 - 2026-10-19
+ * - Seeds and diffs the transition timeout (timeout_minutes)
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added backup browser support: getBackups(), readBackup(), restoreBackup(), deleteBackup()
+ * - createBackup() is public and includes transition logs of default workflows
+ * - resetToDefaults() result includes backup_file
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added diffFromFile() dry run (machine, states, transitions, logs to be deleted)
+ * - Transition columns built by buildTransitionFields(), now including guard_class and sort_order
+ *
+ * 1.1.0 - 2026-10-19
+ * - Split seedFromFile() into parsing and seedData()
+ * - Added importFromString() for uploaded YML files (custom, never overwrites)
+ * - Added getConflicts() for existing workflow group/machine slugs
+ *
  * 1.0.0 - 2025-11-08
  * - Initial creation
  * - YML file seeding with transactions
@@ -52,10 +79,18 @@ use WPStateMachine\Models\WorkflowGroup\WorkflowGroupModel;
 use WPStateMachine\Models\StateMachine\StateMachineModel;
 use WPStateMachine\Models\State\StateModel;
 use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Effects\EffectFactory;
 
 defined('ABSPATH') || exit;
 
 class WorkflowSeeder {
+    /**
+     * Backup file name format (created by createBackup)
+     *
+     * @var string
+     */
+    const BACKUP_FILE_PATTERN = '/^backup_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.json$/';
+
     /**
      * Workflow Group Model
      *
@@ -101,12 +136,94 @@ class WorkflowSeeder {
      * @return array Result with success status and message
      */
     public function seedFromFile(string $file_path): array {
-        global $wpdb;
-
         try {
             // Parse YML file
             $data = YmlParser::parseFile($file_path);
+        } catch (\Exception $e) {
+            $this->log('Error seeding workflow: ' . $e->getMessage());
+
+            return [
+                'success' => false,
+                'message' => 'Failed to seed workflow: ' . $e->getMessage(),
+                'error' => $e->getMessage(),
+            ];
+        }
+
+        return $this->seedData($data);
+    }
+
+    /**
+     * Import workflow from uploaded YML content
+     * Imported machines are custom (is_default = 0) and never overwrite
+     * an existing machine with the same slug
+     *
+     * @param string $content Raw YML content
+     * @param string $source File name used in error messages
+     * @return array Result with success status and message
+     */
+    public function importFromString(string $content, string $source): array {
+        try {
+            $data = YmlParser::parseString($content, $source);
+
+            $conflicts = $this->getConflicts($data);
+            if ($conflicts['machine']) {
+                throw new \Exception(sprintf(
+                    "State machine '%s' already exists (ID: %d). Change the slug in the file or delete the existing machine first.",
+                    $data['state_machine']['slug'],
+                    $conflicts['machine']['id']
+                ));
+            }
+        } catch (\Exception $e) {
+            $this->log('Error importing workflow: ' . $e->getMessage());
+
+            return [
+                'success' => false,
+                'message' => 'Failed to import workflow: ' . $e->getMessage(),
+                'error' => $e->getMessage(),
+            ];
+        }
+
+        $data['state_machine']['is_default'] = false;
+        $data['state_machine']['is_custom'] = true;
 
+        return $this->seedData($data);
+    }
+
+    /**
+     * Find existing records that share a slug with parsed workflow data
+     *
+     * @param array $data Normalized data from YmlParser
+     * @return array ['workflow_group' => array|null, 'machine' => array|null]
+     */
+    public function getConflicts(array $data): array {
+        global $wpdb;
+
+        $group = $wpdb->get_row($wpdb->prepare(
+            "SELECT id, name FROM {$wpdb->prefix}app_sm_workflow_groups WHERE slug = %s",
+            $data['workflow_group']['slug']
+        ), ARRAY_A);
+
+        $machine = $wpdb->get_row($wpdb->prepare(
+            "SELECT id, name, is_default FROM {$wpdb->prefix}app_sm_machines WHERE slug = %s",
+            $data['state_machine']['slug']
+        ), ARRAY_A);
+
+        return [
+            'workflow_group' => $group ?: null,
+            'machine' => $machine ?: null,
+        ];
+    }
+
+    /**
+     * Seed parsed workflow data in a single transaction
+     *
+     * @param array $data Normalized data from YmlParser
+     * @return array Result with success status and message
+     */
+    private function seedData(array $data): array {
+        global $wpdb;
+
+        try {
             // Start transaction
             $wpdb->query('START TRANSACTION');
 
@@ -240,11 +357,13 @@ class WorkflowSeeder {
             }
 
             // Optional: Create backup
+            $backup_file = null;
             if ($create_backup) {
                 $backup_result = $this->createBackup();
                 if (!$backup_result['success']) {
                     throw new \Exception('Backup failed: ' . $backup_result['message']);
                 }
+                $backup_file = basename($backup_result['backup_file']);
             }
 
             // Start transaction
@@ -269,6 +388,7 @@ class WorkflowSeeder {
                 'success' => true,
                 'message' => 'Successfully reset to default workflows',
                 'seed_result' => $seed_result,
+                'backup_file' => $backup_file,
             ];
 
         } catch (\Exception $e) {
@@ -412,17 +532,16 @@ class WorkflowSeeder {
                 throw new \Exception("To state '{$transition['to_state']}' not found in state map");
             }
 
-            $transition_data = [
+            // Imported rows are new: "Add User to Role" actions need promote_users
+            if (!EffectFactory::canChangeRoleEffects('', $transition['effects'] ?? [])) {
+                throw new \Exception("Transition '{$transition['name']}' has an \"Add User to Role\" action; only users who can promote users may import it");
+            }
+
+            $transition_data = array_merge($this->buildTransitionFields($transition), [
                 'machine_id' => $machine_id,
                 'from_state_id' => $state_map[$transition['from_state']],
                 'to_state_id' => $state_map[$transition['to_state']],
-                'label' => $transition['name'],
-                'metadata' => json_encode([
-                    'conditions' => $transition['conditions'] ?? [],
-                    'actions' => $transition['actions'] ?? [],
-                    'description' => $transition['description'] ?? '',
-                ]),
-            ];
+            ]);
 
             $transition_id = $this->transition_model->create($transition_data);
 
@@ -437,6 +556,216 @@ class WorkflowSeeder {
         return $count;
     }
 
+    /**
+     * Transition columns written by the seeder for a YML transition
+     * Shared by seedTransitions() and diffFromFile() so the preview
+     * matches what a re-seed actually stores
+     *
+     * @param array $transition Normalized transition data
+     * @return array label, guard_class, sort_order, timeout_minutes, effects, metadata
+     */
+    private function buildTransitionFields(array $transition): array {
+        return [
+            'label' => $transition['name'],
+            'guard_class' => !empty($transition['guard_class']) ? $transition['guard_class'] : null,
+            'sort_order' => $transition['sort_order'] ?? 0,
+            'timeout_minutes' => $transition['timeout_minutes'] ?? 0,
+            'effects' => !empty($transition['effects']) ? wp_json_encode($transition['effects']) : null,
+            'metadata' => json_encode([
+                'conditions' => $transition['conditions'] ?? [],
+                'actions' => $transition['actions'] ?? [],
+                'description' => $transition['description'] ?? '',
+            ]),
+        ];
+    }
+
+    /**
+     * Dry run: compare a YML file with the machine currently seeded from it
+     * Nothing is written to the database
+     *
+     * @param string $file_path Path to YML file
+     * @return array Structured diff (machine, states, transitions, logs_count)
+     * @throws \Exception If the file cannot be parsed
+     */
+    public function diffFromFile(string $file_path): array {
+        global $wpdb;
+
+        $data = YmlParser::parseFile($file_path);
+        $conflicts = $this->getConflicts($data);
+        $machine = $conflicts['machine'];
+
+        $diff = [
+            'machine' => [
+                'name' => $data['state_machine']['name'],
+                'slug' => $data['state_machine']['slug'],
+                'exists' => $machine !== null,
+                'is_default' => $machine ? (bool) $machine['is_default'] : false,
+                'changes' => [],
+            ],
+            'states' => ['added' => [], 'removed' => [], 'changed' => []],
+            'transitions' => ['added' => [], 'removed' => [], 'changed' => []],
+            'logs_count' => 0,
+            'can_seed' => $machine === null || (bool) $machine['is_default'],
+            'has_changes' => false,
+        ];
+
+        // Everything is new when the machine has not been seeded yet
+        $current_machine = $machine ? $this->state_machine_model->find((int) $machine['id']) : null;
+        $current_states = $machine ? $this->state_model->getByMachine((int) $machine['id']) : [];
+        $current_transitions = $machine ? $this->transition_model->getByMachine((int) $machine['id']) : [];
+
+        if ($current_machine) {
+            foreach (['name', 'entity_type', 'description'] as $field) {
+                $this->addFieldChange(
+                    $diff['machine']['changes'],
+                    $field,
+                    $current_machine->$field,
+                    $data['state_machine'][$field]
+                );
+            }
+
+            $diff['logs_count'] = (int) $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM {$wpdb->prefix}app_sm_transition_logs WHERE machine_id = %d",
+                $machine['id']
+            ));
+        }
+
+        // States keyed by slug
+        $db_states = [];
+        foreach ($current_states as $state) {
+            $db_states[$state->slug] = $state;
+        }
+
+        $yml_slugs = [];
+        foreach ($data['states'] as $state) {
+            $yml_slugs[] = $state['slug'];
+            $type = $state['type'] === 'intermediate' ? 'normal' : $state['type'];
+
+            if (!isset($db_states[$state['slug']])) {
+                $diff['states']['added'][] = [
+                    'slug' => $state['slug'],
+                    'name' => $state['name'],
+                    'type' => $type,
+                    'color' => $state['color'],
+                ];
+                continue;
+            }
+
+            $current = $db_states[$state['slug']];
+            $changes = [];
+            $this->addFieldChange($changes, 'name', $current->name, $state['name']);
+            $this->addFieldChange($changes, 'type', $current->type, $type);
+            $this->addFieldChange($changes, 'color', strtolower((string) $current->color), strtolower((string) $state['color']));
+            $this->addFieldChange($changes, 'sort_order', (int) $current->sort_order, $state['sort_order']);
+            // The seeder does not write state metadata, so hand-added metadata is lost
+            $this->addFieldChange($changes, 'metadata', (string) $current->metadata, '');
+
+            if ($changes) {
+                $diff['states']['changed'][] = [
+                    'slug' => $state['slug'],
+                    'name' => $state['name'],
+                    'changes' => $changes,
+                ];
+            }
+        }
+
+        foreach ($db_states as $slug => $state) {
+            if (!in_array($slug, $yml_slugs, true)) {
+                $diff['states']['removed'][] = [
+                    'slug' => $slug,
+                    'name' => $state->name,
+                    'type' => $state->type,
+                    'color' => $state->color,
+                ];
+            }
+        }
+
+        // Transitions keyed by "from>to" state slugs (unique per machine)
+        $db_transitions = [];
+        foreach ($current_transitions as $transition) {
+            $db_transitions[$transition->from_state_slug . '>' . $transition->to_state_slug] = $transition;
+        }
+
+        $yml_keys = [];
+        foreach ($data['transitions'] as $transition) {
+            $key = $transition['from_state'] . '>' . $transition['to_state'];
+            $fields = $this->buildTransitionFields($transition);
+            $yml_keys[] = $key;
+
+            if (!isset($db_transitions[$key])) {
+                $diff['transitions']['added'][] = [
+                    'label' => $fields['label'],
+                    'from' => $transition['from_state'],
+                    'to' => $transition['to_state'],
+                    'guard_class' => (string) $fields['guard_class'],
+                ];
+                continue;
+            }
+
+            $current = $db_transitions[$key];
+            $changes = [];
+            $this->addFieldChange($changes, 'label', $current->label, $fields['label']);
+            $this->addFieldChange($changes, 'guard_class', (string) $current->guard_class, (string) $fields['guard_class']);
+            $this->addFieldChange($changes, 'sort_order', (int) $current->sort_order, $fields['sort_order']);
+            $this->addFieldChange($changes, 'timeout_minutes', (int) $current->timeout_minutes, $fields['timeout_minutes']);
+
+            if (EffectFactory::parseEffects($current->effects) != EffectFactory::parseEffects($fields['effects'])) {
+                $this->addFieldChange($changes, 'effects', (string) $current->effects, (string) $fields['effects']);
+            }
+
+            if (json_decode((string) $current->metadata, true) != json_decode($fields['metadata'], true)) {
+                $this->addFieldChange($changes, 'metadata', (string) $current->metadata, $fields['metadata']);
+            }
+
+            if ($changes) {
+                $diff['transitions']['changed'][] = [
+                    'label' => $fields['label'],
+                    'from' => $transition['from_state'],
+                    'to' => $transition['to_state'],
+                    'changes' => $changes,
+                ];
+            }
+        }
+
+        foreach ($db_transitions as $key => $transition) {
+            if (!in_array($key, $yml_keys, true)) {
+                $diff['transitions']['removed'][] = [
+                    'label' => $transition->label,
+                    'from' => $transition->from_state_slug,
+                    'to' => $transition->to_state_slug,
+                    'guard_class' => (string) $transition->guard_class,
+                ];
+            }
+        }
+
+        $diff['has_changes'] = !empty($diff['machine']['changes'])
+            || !empty(array_filter($diff['states']))
+            || !empty(array_filter($diff['transitions']));
+
+        return $diff;
+    }
+
+    /**
+     * Append a field change when values differ
+     *
+     * @param array $changes Change list (by reference)
+     * @param string $field Field name
+     * @param mixed $from Current value
+     * @param mixed $to Value after re-seed
+     * @return void
+     */
+    private function addFieldChange(array &$changes, string $field, $from, $to): void {
+        if ((string) $from === (string) $to) {
+            return;
+        }
+
+        $changes[] = [
+            'field' => $field,
+            'from' => (string) $from,
+            'to' => (string) $to,
+        ];
+    }
+
     /**
      * Delete all default workflows (is_default = 1)
      *
@@ -493,14 +822,25 @@ class WorkflowSeeder {
         return $count;
     }
 
+    /**
+     * Get backup directory path
+     *
+     * @return string
+     */
+    private function getBackupDir(): string {
+        return WP_STATE_MACHINE_PATH . 'src/Data/backups';
+    }
+
     /**
      * Create backup of current data
+     * Transition logs are included for default workflows only, since those
+     * are the logs deleted by reset and re-seed
      *
      * @return array Result with success status
      */
-    private function createBackup(): array {
+    public function createBackup(): array {
         try {
-            $backup_dir = WP_STATE_MACHINE_PATH . 'src/Data/backups';
+            $backup_dir = $this->getBackupDir();
 
             // Create directory if it doesn't exist
             if (!is_dir($backup_dir)) {
@@ -525,6 +865,12 @@ class WorkflowSeeder {
                 'machines' => $wpdb->get_results("SELECT * FROM {$wpdb->prefix}app_sm_machines", ARRAY_A),
                 'states' => $wpdb->get_results("SELECT * FROM {$wpdb->prefix}app_sm_states", ARRAY_A),
                 'transitions' => $wpdb->get_results("SELECT * FROM {$wpdb->prefix}app_sm_transitions", ARRAY_A),
+                'transition_logs' => $wpdb->get_results(
+                    "SELECT l.* FROM {$wpdb->prefix}app_sm_transition_logs l
+                     INNER JOIN {$wpdb->prefix}app_sm_machines m ON m.id = l.machine_id
+                     WHERE m.is_default = 1",
+                    ARRAY_A
+                ),
             ];
 
             $json = wp_json_encode($backup_data, JSON_PRETTY_PRINT);
@@ -558,6 +904,383 @@ class WorkflowSeeder {
         }
     }
 
+    /**
+     * List backup files, newest first
+     *
+     * @return array List of ['filename', 'timestamp', 'size', 'workflows', 'states_count', 'transitions_count', 'logs_count', 'valid']
+     */
+    public function getBackups(): array {
+        $files = glob($this->getBackupDir() . '/backup_*.json');
+
+        if (empty($files)) {
+            return [];
+        }
+
+        rsort($files);
+        $backups = [];
+
+        foreach ($files as $file) {
+            $filename = basename($file);
+
+            if (!preg_match(self::BACKUP_FILE_PATTERN, $filename)) {
+                continue;
+            }
+
+            $entry = [
+                'filename' => $filename,
+                'timestamp' => '',
+                'size' => size_format(filesize($file)),
+                'workflows' => [],
+                'states_count' => 0,
+                'transitions_count' => 0,
+                'logs_count' => 0,
+                'valid' => false,
+            ];
+
+            try {
+                $data = $this->readBackup($filename);
+                $machines = $this->getBackupMachines($data);
+
+                $entry['timestamp'] = $data['timestamp'] ?? '';
+                $entry['workflows'] = array_column($machines, 'name');
+                $entry['states_count'] = count($data['states']);
+                $entry['transitions_count'] = count($data['transitions']);
+                $entry['logs_count'] = count($data['transition_logs'] ?? []);
+                $entry['valid'] = true;
+            } catch (\Exception $e) {
+                $this->log("Skipping unreadable backup {$filename}: " . $e->getMessage());
+            }
+
+            $backups[] = $entry;
+        }
+
+        return $backups;
+    }
+
+    /**
+     * Resolve backup file name to a path inside the backup directory
+     *
+     * @param string $filename Backup file name (no path)
+     * @return string Absolute file path
+     * @throws \Exception If name is invalid or file does not exist
+     */
+    public function getBackupFile(string $filename): string {
+        if (!preg_match(self::BACKUP_FILE_PATTERN, $filename)) {
+            throw new \Exception("Invalid backup file name: {$filename}");
+        }
+
+        $file = $this->getBackupDir() . '/' . $filename;
+
+        if (!file_exists($file)) {
+            throw new \Exception("Backup file not found: {$filename}");
+        }
+
+        return $file;
+    }
+
+    /**
+     * Read and decode a backup file
+     *
+     * @param string $filename Backup file name
+     * @return array Backup data
+     * @throws \Exception If file is missing or not a backup
+     */
+    public function readBackup(string $filename): array {
+        $data = json_decode(file_get_contents($this->getBackupFile($filename)), true);
+
+        if (!is_array($data)) {
+            throw new \Exception("Backup file is not valid JSON: {$filename}");
+        }
+
+        foreach (['machines', 'states', 'transitions'] as $key) {
+            if (!isset($data[$key]) || !is_array($data[$key])) {
+                throw new \Exception("Backup file is missing '{$key}': {$filename}");
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Restore default workflows from a backup
+     *
+     * Only default workflows (is_default = 1) are restored, matching what
+     * reset deletes. Each one replaces the current machine with the same
+     * ID or slug. The machine keeps its original ID; its states,
+     * transitions and logs get new IDs (other machines may use the old
+     * ones) with their links remapped. Custom workflows are never touched.
+     * A backup of the current data is created first.
+     *
+     * @param string $filename Backup file name
+     * @return array Result with success status and message
+     */
+    public function restoreBackup(string $filename): array {
+        global $wpdb;
+
+        try {
+            $data = $this->readBackup($filename);
+            $machines = $this->getBackupMachines($data);
+
+            if (empty($machines)) {
+                throw new \Exception('Backup contains no default workflows');
+            }
+
+            $backup_result = $this->createBackup();
+            if (!$backup_result['success']) {
+                throw new \Exception('Backup failed: ' . $backup_result['message']);
+            }
+
+            $wpdb->query('START TRANSACTION');
+
+            $group_map = $this->restoreWorkflowGroups($data['workflow_groups'] ?? []);
+
+            foreach ($machines as $machine) {
+                $this->restoreMachine($machine, $data, $group_map);
+            }
+
+            $wpdb->query('COMMIT');
+
+            $this->log("Restored " . count($machines) . " workflows from {$filename}");
+
+            return [
+                'success' => true,
+                'message' => sprintf('Restored %d workflows from %s', count($machines), $filename),
+                'workflows' => array_column($machines, 'name'),
+                'backup_file' => basename($backup_result['backup_file']),
+            ];
+
+        } catch (\Exception $e) {
+            $wpdb->query('ROLLBACK');
+
+            $this->log('Error restoring backup: ' . $e->getMessage());
+
+            return [
+                'success' => false,
+                'message' => 'Failed to restore backup: ' . $e->getMessage(),
+                'error' => $e->getMessage(),
+            ];
+        }
+    }
+
+    /**
+     * Delete a backup file
+     *
+     * @param string $filename Backup file name
+     * @return array Result with success status and message
+     */
+    public function deleteBackup(string $filename): array {
+        try {
+            $file = $this->getBackupFile($filename);
+
+            if (!unlink($file)) {
+                throw new \Exception("Failed to delete backup file: {$filename}");
+            }
+
+            $this->log("Backup deleted: {$filename}");
+
+            return [
+                'success' => true,
+                'message' => 'Backup deleted successfully',
+            ];
+
+        } catch (\Exception $e) {
+            $this->log('Error deleting backup: ' . $e->getMessage());
+
+            return [
+                'success' => false,
+                'message' => $e->getMessage(),
+            ];
+        }
+    }
+
+    /**
+     * Get default workflow machines from backup data
+     *
+     * @param array $data Backup data
+     * @return array Machine rows
+     */
+    private function getBackupMachines(array $data): array {
+        return array_values(array_filter($data['machines'], function($machine) {
+            return !empty($machine['is_default']);
+        }));
+    }
+
+    /**
+     * Make sure backed up workflow groups exist
+     * Groups are never deleted by reset, so existing ones (by slug) are reused
+     *
+     * @param array $groups Workflow group rows from backup
+     * @return array Backup group ID => current group ID
+     * @throws \Exception If a group cannot be inserted
+     */
+    private function restoreWorkflowGroups(array $groups): array {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'app_sm_workflow_groups';
+        $map = [];
+
+        foreach ($groups as $group) {
+            $existing = $wpdb->get_var($wpdb->prepare(
+                "SELECT id FROM {$table} WHERE slug = %s",
+                $group['slug']
+            ));
+
+            if (!$existing) {
+                // Keep the original ID unless another group took it
+                $id_taken = $wpdb->get_var($wpdb->prepare("SELECT id FROM {$table} WHERE id = %d", $group['id']));
+                $row = $id_taken ? array_diff_key($group, ['id' => true]) : $group;
+
+                $this->insertBackupRow($table, $row);
+                $existing = $wpdb->insert_id;
+            }
+
+            $map[(int) $group['id']] = (int) $existing;
+        }
+
+        return $map;
+    }
+
+    /**
+     * Replace one machine with its backed up states, transitions and logs
+     * Child rows are inserted under new IDs, remapped like $group_map
+     *
+     * @param array $machine Machine row from backup
+     * @param array $data Backup data
+     * @param array $group_map Backup group ID => current group ID
+     * @return void
+     * @throws \Exception If a custom workflow holds the slug or an insert fails
+     */
+    private function restoreMachine(array $machine, array $data, array $group_map): void {
+        global $wpdb;
+
+        $machines_table = $wpdb->prefix . 'app_sm_machines';
+        $machine_id = (int) $machine['id'];
+
+        $existing = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, is_default FROM {$machines_table} WHERE id = %d OR slug = %s",
+            $machine_id,
+            $machine['slug']
+        ));
+
+        foreach ($existing as $row) {
+            if (!$row->is_default) {
+                throw new \Exception("State machine '{$machine['slug']}' conflicts with custom workflow (ID: {$row->id}). Cannot overwrite custom workflows.");
+            }
+
+            $this->deleteMachineData((int) $row->id);
+        }
+
+        if (!empty($machine['workflow_group_id'])) {
+            $machine['workflow_group_id'] = $group_map[(int) $machine['workflow_group_id']] ?? null;
+        }
+
+        $this->insertBackupRow($machines_table, $machine);
+
+        // Child IDs may belong to other machines by now, so states,
+        // transitions and logs get new IDs and their links are remapped
+        $state_map = [];
+        foreach ($this->getMachineRows($data['states'], $machine_id) as $state) {
+            $state_map[(int) $state['id']] = $this->insertChildRow($wpdb->prefix . 'app_sm_states', $state);
+        }
+
+        $transition_map = [];
+        foreach ($this->getMachineRows($data['transitions'], $machine_id) as $transition) {
+            $transition['from_state_id'] = $this->mapBackupId($state_map, $transition['from_state_id'], 'state');
+            $transition['to_state_id'] = $this->mapBackupId($state_map, $transition['to_state_id'], 'state');
+
+            $transition_map[(int) $transition['id']] = $this->insertChildRow($wpdb->prefix . 'app_sm_transitions', $transition);
+        }
+
+        foreach ($this->getMachineRows($data['transition_logs'] ?? [], $machine_id) as $log) {
+            $log['to_state_id'] = $this->mapBackupId($state_map, $log['to_state_id'], 'state');
+            // Nullable links: a state or transition missing from the backup leaves NULL, as its deletion would
+            $log['from_state_id'] = $state_map[(int) $log['from_state_id']] ?? null;
+            $log['transition_id'] = $transition_map[(int) $log['transition_id']] ?? null;
+
+            $this->insertChildRow($wpdb->prefix . 'app_sm_transition_logs', $log);
+        }
+
+        $this->log("Restored state machine: {$machine['name']} (ID: {$machine_id})");
+    }
+
+    /**
+     * Backed up rows that belong to one machine
+     *
+     * @param array $rows Rows from backup
+     * @param int $machine_id State machine ID
+     * @return array Matching rows
+     */
+    private function getMachineRows(array $rows, int $machine_id): array {
+        return array_filter($rows, function($row) use ($machine_id) {
+            return (int) $row['machine_id'] === $machine_id;
+        });
+    }
+
+    /**
+     * Current ID of a backed up row the restored row points to
+     *
+     * @param array $map Backup ID => current ID
+     * @param mixed $backup_id ID in the backup
+     * @param string $type Row type for the error message
+     * @return int Current ID
+     * @throws \Exception If the backup does not contain the row
+     */
+    private function mapBackupId(array $map, $backup_id, string $type): int {
+        if (!isset($map[(int) $backup_id])) {
+            throw new \Exception("Backup is incomplete: {$type} #{$backup_id} is referenced but not included");
+        }
+
+        return $map[(int) $backup_id];
+    }
+
+    /**
+     * Insert a backed up child row under a new ID
+     *
+     * @param string $table Table name
+     * @param array $row Row data (its id is dropped)
+     * @return int New row ID
+     * @throws \Exception If insert fails
+     */
+    private function insertChildRow(string $table, array $row): int {
+        global $wpdb;
+
+        unset($row['id']);
+        $this->insertBackupRow($table, $row);
+
+        return (int) $wpdb->insert_id;
+    }
+
+    /**
+     * Delete a machine and its relations (child to parent order)
+     *
+     * @param int $machine_id State machine ID
+     * @return void
+     */
+    private function deleteMachineData(int $machine_id): void {
+        global $wpdb;
+
+        $wpdb->query($wpdb->prepare("DELETE FROM {$wpdb->prefix}app_sm_transition_logs WHERE machine_id = %d", $machine_id));
+        $wpdb->query($wpdb->prepare("DELETE FROM {$wpdb->prefix}app_sm_transitions WHERE machine_id = %d", $machine_id));
+        $wpdb->query($wpdb->prepare("DELETE FROM {$wpdb->prefix}app_sm_states WHERE machine_id = %d", $machine_id));
+        $wpdb->query($wpdb->prepare("DELETE FROM {$wpdb->prefix}app_sm_machines WHERE id = %d", $machine_id));
+    }
+
+    /**
+     * Insert a backed up row as-is (including its ID)
+     *
+     * @param string $table Table name
+     * @param array $row Row data
+     * @return void
+     * @throws \Exception If insert fails
+     */
+    private function insertBackupRow(string $table, array $row): void {
+        global $wpdb;
+
+        if ($wpdb->insert($table, $row) === false) {
+            throw new \Exception("Failed to restore row into {$table}: {$wpdb->last_error}");
+        }
+    }
+
     /**
      * Log message
      *
@@ -0,0 +1,358 @@
+<?php
+/**
+ * YML Exporter for Workflow Definitions
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Data
+ * @version     1.2.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Data/YmlExporter.php
+ *
+ * Description: Export a state machine edited in the admin to a YML
+ *              workflow definition. Output keeps the keys required by
+ *              YmlParser (workflow_group, state_machine, states with
+ *              name/slug/type, transitions with name/from_state/to_state)
+ *              so the file can be re-seeded by WorkflowSeeder, plus the
+ *              descriptive keys used in examples/order-state-machine.yml
+ *              (label, color, weight, permissions, guard, timeout, effects).
+ *
+ * Dependencies:
+ * - Symfony YAML Component (symfony/yaml)
+ * - Model Classes: WorkflowGroupModel, StateMachineModel, StateModel, TransitionModel
+ *
+ * Usage:
+ * ```php
+ * $exporter = new YmlExporter();
+ * $result = $exporter->export($machine_id);
+ * // ['filename' => 'order-workflow.yml', 'content' => '...', 'warnings' => []]
+ * ```
+ *
+ * Changelog:
+ * 1.2.0 - 2026-10-19
+ * - Transition actions exported as effects
+ *
+ * 1.1.0 - 2026-10-19
+ * - Transition timeout exported as timeout (e.g. 48h)
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - Machine, workflow group, states and transitions export
+ * - State metadata mapped to description/permissions, transition
+ *   metadata mapped to description/conditions/actions/permissions
+ * - Seeding compatibility warnings (initial/final state rules)
+ */
+
+namespace WPStateMachine\Data;
+
+use Symfony\Component\Yaml\Yaml;
+use WPStateMachine\Models\WorkflowGroup\WorkflowGroupModel;
+use WPStateMachine\Models\StateMachine\StateMachineModel;
+use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Effects\EffectFactory;
+
+defined('ABSPATH') || exit;
+
+class YmlExporter {
+    /**
+     * Workflow Group Model
+     *
+     * @var WorkflowGroupModel
+     */
+    private $workflow_group_model;
+
+    /**
+     * State Machine Model
+     *
+     * @var StateMachineModel
+     */
+    private $state_machine_model;
+
+    /**
+     * State Model
+     *
+     * @var StateModel
+     */
+    private $state_model;
+
+    /**
+     * Transition Model
+     *
+     * @var TransitionModel
+     */
+    private $transition_model;
+
+    /**
+     * Database state type => YML state type
+     * YmlParser only accepts initial, intermediate and final
+     *
+     * @var array
+     */
+    private const STATE_TYPES = [
+        'initial' => 'initial',
+        'normal' => 'intermediate',
+        'final' => 'final',
+    ];
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->workflow_group_model = new WorkflowGroupModel();
+        $this->state_machine_model = new StateMachineModel();
+        $this->state_model = new StateModel();
+        $this->transition_model = new TransitionModel();
+    }
+
+    /**
+     * Export state machine to YML
+     *
+     * @param int $machine_id State machine ID
+     * @return array ['filename' => string, 'content' => string, 'warnings' => string[]]
+     * @throws \Exception If machine not found or YAML component missing
+     */
+    public function export(int $machine_id): array {
+        if (!class_exists('\Symfony\Component\Yaml\Yaml')) {
+            throw new \Exception("Symfony YAML component not found. Please run: composer require symfony/yaml");
+        }
+
+        $data = $this->build($machine_id);
+
+        $header = sprintf(
+            "# %s\n# Exported from WP State Machine on %s\n\n",
+            $data['state_machine']['name'],
+            current_time('mysql')
+        );
+
+        $content = Yaml::dump(
+            $data,
+            4,
+            2,
+            Yaml::DUMP_MULTI_LINE_LITERAL_BLOCK | Yaml::DUMP_COMPACT_NESTED_MAPPING | Yaml::DUMP_EMPTY_ARRAY_AS_SEQUENCE
+        );
+
+        return [
+            'filename' => $data['state_machine']['slug'] . '.yml',
+            'content' => $header . $content,
+            'warnings' => $this->getWarnings($data),
+        ];
+    }
+
+    /**
+     * Build the YML data structure for a machine
+     *
+     * @param int $machine_id State machine ID
+     * @return array
+     * @throws \Exception If machine not found
+     */
+    public function build(int $machine_id): array {
+        $machine = $this->state_machine_model->find($machine_id);
+
+        if (!$machine) {
+            throw new \Exception("State machine not found: {$machine_id}");
+        }
+
+        $states = $this->state_model->getByMachine($machine_id);
+        $transitions = $this->transition_model->getByMachine($machine_id);
+
+        $data = [
+            'workflow_group' => $this->buildWorkflowGroup($machine),
+            'state_machine' => [
+                'name' => $machine->name,
+                'slug' => $machine->slug,
+                'entity_type' => $machine->entity_type,
+                'description' => (string) $machine->description,
+                'plugin_slug' => $machine->plugin_slug ?: 'wp-state-machine',
+            ],
+        ];
+
+        foreach ($states as $state) {
+            if ($state->type === 'initial') {
+                $data['initial_state'] = $state->slug;
+                break;
+            }
+        }
+
+        $data['states'] = array_map([$this, 'buildState'], $states);
+        $data['transitions'] = array_map([$this, 'buildTransition'], $transitions);
+
+        return $data;
+    }
+
+    /**
+     * Build workflow group section
+     * YmlParser requires name, slug and description, so machines without
+     * a group fall back to a generic one
+     *
+     * @param object $machine State machine object
+     * @return array
+     */
+    private function buildWorkflowGroup(object $machine): array {
+        $group = $machine->workflow_group_id
+            ? $this->workflow_group_model->find((int) $machine->workflow_group_id)
+            : null;
+
+        if (!$group) {
+            return [
+                'name' => 'Custom Workflows',
+                'slug' => 'custom-workflows',
+                'description' => 'Workflows exported from the admin',
+            ];
+        }
+
+        return [
+            'name' => $group->name,
+            'slug' => $group->slug,
+            'description' => $group->description ?: $group->name,
+        ];
+    }
+
+    /**
+     * Build a single state entry
+     *
+     * @param object $state State object
+     * @return array
+     */
+    private function buildState(object $state): array {
+        $metadata = $this->decodeMetadata($state->metadata);
+
+        $entry = [
+            'name' => $state->name,
+            'slug' => $state->slug,
+            'type' => self::STATE_TYPES[$state->type] ?? 'intermediate',
+            'label' => $state->name,
+            'description' => $metadata['description'] ?? '',
+            'color' => $state->color ?: '',
+            'weight' => (int) $state->sort_order,
+        ];
+
+        if (isset($metadata['permissions'])) {
+            $entry['permissions'] = $metadata['permissions'];
+        }
+
+        unset($metadata['description'], $metadata['permissions']);
+
+        if (!empty($metadata)) {
+            $entry['metadata'] = $metadata;
+        }
+
+        return $entry;
+    }
+
+    /**
+     * Build a single transition entry
+     *
+     * @param object $transition Transition object (with state slugs)
+     * @return array
+     */
+    private function buildTransition(object $transition): array {
+        $metadata = $this->decodeMetadata($transition->metadata);
+
+        $entry = [
+            'name' => $transition->label,
+            'slug' => sanitize_title($transition->label),
+            'from_state' => $transition->from_state_slug,
+            'to_state' => $transition->to_state_slug,
+            'description' => $metadata['description'] ?? '',
+            'weight' => (int) $transition->sort_order,
+        ];
+
+        if (!empty($transition->guard_class)) {
+            $entry['guard'] = $transition->guard_class;
+        }
+
+        if (!empty($transition->timeout_minutes)) {
+            $entry['timeout'] = $this->formatTimeout((int) $transition->timeout_minutes);
+        }
+
+        $effects = EffectFactory::parseEffects($transition->effects ?? null);
+        if (!empty($effects)) {
+            $entry['effects'] = $effects;
+        }
+
+        if (isset($metadata['permissions'])) {
+            $entry['permissions'] = $metadata['permissions'];
+        }
+
+        $entry['conditions'] = $metadata['conditions'] ?? [];
+        $entry['actions'] = $metadata['actions'] ?? [];
+
+        unset($metadata['description'], $metadata['permissions'], $metadata['conditions'], $metadata['actions']);
+
+        if (!empty($metadata)) {
+            $entry['metadata'] = $metadata;
+        }
+
+        return $entry;
+    }
+
+    /**
+     * Timeout in the largest unit that divides it, as read by YmlParser::parseTimeout()
+     *
+     * @param int $minutes Timeout in minutes
+     * @return string e.g. "30m", "48h", "7d"
+     */
+    private function formatTimeout(int $minutes): string {
+        if ($minutes % 1440 === 0) {
+            return ($minutes / 1440) . 'd';
+        }
+
+        if ($minutes % 60 === 0) {
+            return ($minutes / 60) . 'h';
+        }
+
+        return $minutes . 'm';
+    }
+
+    /**
+     * Decode JSON metadata column
+     *
+     * @param string|null $metadata Raw metadata
+     * @return array
+     */
+    private function decodeMetadata(?string $metadata): array {
+        if (empty($metadata)) {
+            return [];
+        }
+
+        $decoded = json_decode($metadata, true);
+        return is_array($decoded) ? $decoded : [];
+    }
+
+    /**
+     * Check the exported data against YmlParser rules
+     * The file is still exported, but the admin is told it will not seed as-is
+     *
+     * @param array $data Built YML data
+     * @return array Warning messages
+     */
+    private function getWarnings(array $data): array {
+        $warnings = [];
+        $types = array_count_values(array_column($data['states'], 'type'));
+
+        if (empty($data['states'])) {
+            $warnings[] = __('The machine has no states.', 'wp-state-machine');
+        }
+
+        if (empty($types['initial'])) {
+            $warnings[] = __('The machine has no initial state.', 'wp-state-machine');
+        } elseif ($types['initial'] > 1) {
+            $warnings[] = __('The machine has more than one initial state.', 'wp-state-machine');
+        }
+
+        if (empty($types['final'])) {
+            $warnings[] = __('The machine has no final state.', 'wp-state-machine');
+        }
+
+        if (empty($data['transitions'])) {
+            $warnings[] = __('The machine has no transitions.', 'wp-state-machine');
+        }
+
+        if (empty($data['state_machine']['entity_type'])) {
+            $warnings[] = __('The machine has no entity type.', 'wp-state-machine');
+        }
+
+        return $warnings;
+    }
+}
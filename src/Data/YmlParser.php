@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Data
- * @version     1.0.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Data/YmlParser.php
@@ -42,9 +42,36 @@
  *   - name: "Submit for Review"
  *     from_state: "draft"
  *     to_state: "review"
+ *   - name: "Expire"
+ *     from_state: "review"
+ *     to_state: "draft"
+ *     timeout: "48h"     # optional: applied automatically after 48 hours in review (m, h or d)
+ *     effects:           # optional: actions run after the transition, in order (see EffectFactory)
+ *       - type: "PostStatusEffect"
+ *         config:
+ *           status: "draft"
  * ```
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - Optional transition effects validated with EffectFactory::validate() and normalized
+ *
+ * 1.2.2 - 2026-10-19
+ * - Invalid timeout that is a list or map is reported by type instead of raising an Array to string notice
+ *
+ * 1.2.1 - 2026-10-19
+ * - parseFile() reads the file and delegates to parseString(), so both share one parse and validate path
+ *
+ * 1.2.0 - 2026-10-19
+ * - Optional transition timeout (30m, 48h, 7d) validated and normalized to timeout_minutes; added parseTimeout()
+ *
+ * 1.1.1 - 2026-10-19
+ * - Map transition guard and weight to guard_class and sort_order
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added parseString() for uploaded YML content
+ * - Keep state color and weight (sort_order) when normalizing states
+ *
  * 1.0.0 - 2025-11-08
  * - Initial creation
  * - YML parsing with Symfony YAML
@@ -56,6 +83,7 @@ namespace WPStateMachine\Data;
 
 use Symfony\Component\Yaml\Yaml;
 use Symfony\Component\Yaml\Exception\ParseException;
+use WPStateMachine\Effects\EffectFactory;
 
 defined('ABSPATH') || exit;
 
@@ -73,24 +101,43 @@ class YmlParser {
             throw new \Exception("YML file not found: {$file_path}");
         }
 
+        $content = file_get_contents($file_path);
+        if ($content === false) {
+            throw new \Exception("YML file could not be read: {$file_path}");
+        }
+
+        return self::parseString($content, $file_path);
+    }
+
+    /**
+     * Parse YML content (e.g. an uploaded file)
+     *
+     * @param string $content Raw YML content
+     * @param string $source Name used in error messages
+     * @return array Parsed and validated data
+     * @throws \Exception If content is invalid
+     */
+    public static function parseString(string $content, string $source = 'uploaded file'): array {
         // Check if Symfony YAML component is available
         if (!class_exists('\Symfony\Component\Yaml\Yaml')) {
             throw new \Exception("Symfony YAML component not found. Please run: composer require symfony/yaml");
         }
 
         try {
-            // Parse YML file
-            $data = Yaml::parseFile($file_path);
+            $data = Yaml::parse($content);
+        } catch (ParseException $e) {
+            throw new \Exception("Failed to parse YML file {$source}: " . $e->getMessage());
+        }
 
-            // Validate structure
-            self::validate($data, $file_path);
+        if (!is_array($data)) {
+            throw new \Exception("Invalid YML structure in {$source}");
+        }
 
-            // Normalize data
-            return self::normalize($data);
+        // Validate structure
+        self::validate($data, $source);
 
-        } catch (ParseException $e) {
-            throw new \Exception("Failed to parse YML file {$file_path}: " . $e->getMessage());
-        }
+        // Normalize data
+        return self::normalize($data);
     }
 
     /**
@@ -257,6 +304,24 @@ class YmlParser {
                     throw new \Exception("Invalid slug format '{$transition['slug']}' in transition '{$transition['name']}' in {$file_path}");
                 }
             }
+
+            // Validate timeout if provided
+            if (isset($transition['timeout']) && self::parseTimeout($transition['timeout']) === null) {
+                $timeout = is_scalar($transition['timeout']) ? $transition['timeout'] : gettype($transition['timeout']);
+                throw new \Exception("Invalid timeout '{$timeout}' in transition '{$transition['name']}' in {$file_path}. Use minutes, hours or days, e.g. 30m, 48h, 7d");
+            }
+
+            // Validate effects (transition actions) if provided
+            if (isset($transition['effects'])) {
+                if (!is_array($transition['effects'])) {
+                    throw new \Exception("Invalid effects in transition '{$transition['name']}' in {$file_path}. Must be a list of actions with type and config");
+                }
+
+                $validation = EffectFactory::validate(EffectFactory::sanitizeEffects($transition['effects']));
+                if (!$validation['valid']) {
+                    throw new \Exception("Invalid effects in transition '{$transition['name']}' in {$file_path}: " . implode(' ', $validation['errors']));
+                }
+            }
         }
     }
 
@@ -305,6 +370,8 @@ class YmlParser {
                 'name' => sanitize_text_field($state['name']),
                 'slug' => sanitize_title($state['slug']),
                 'type' => sanitize_text_field($state['type']),
+                'color' => isset($state['color']) ? sanitize_hex_color($state['color']) : null,
+                'sort_order' => isset($state['weight']) ? (int) $state['weight'] : 0,
                 'description' => isset($state['description'])
                     ? sanitize_textarea_field($state['description'])
                     : '',
@@ -335,6 +402,10 @@ class YmlParser {
                 'description' => isset($transition['description'])
                     ? sanitize_textarea_field($transition['description'])
                     : '',
+                'guard_class' => isset($transition['guard']) ? sanitize_text_field($transition['guard']) : '',
+                'sort_order' => isset($transition['weight']) ? (int) $transition['weight'] : 0,
+                'timeout_minutes' => isset($transition['timeout']) ? self::parseTimeout($transition['timeout']) : 0,
+                'effects' => isset($transition['effects']) ? EffectFactory::sanitizeEffects($transition['effects']) : [],
                 'conditions' => isset($transition['conditions']) ? $transition['conditions'] : [],
                 'actions' => isset($transition['actions']) ? $transition['actions'] : [],
             ];
@@ -343,6 +414,28 @@ class YmlParser {
         return $normalized;
     }
 
+    /**
+     * Parse a transition timeout into minutes
+     * Accepts a number with an m, h or d suffix ("30m", "48h", "7d");
+     * a bare number is read as minutes
+     *
+     * @param mixed $timeout Raw timeout value
+     * @return int|null Minutes (0 = no timeout), null if invalid
+     */
+    public static function parseTimeout($timeout): ?int {
+        if ($timeout === null || $timeout === '') {
+            return 0;
+        }
+
+        if (!is_scalar($timeout) || !preg_match('/^\s*(\d+)\s*([mhd]?)\s*$/i', (string) $timeout, $matches)) {
+            return null;
+        }
+
+        $multipliers = ['' => 1, 'm' => 1, 'h' => 60, 'd' => 1440];
+
+        return (int) $matches[1] * $multipliers[strtolower($matches[2])];
+    }
+
     /**
      * Get all YML files from defaults directory
      *
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Database
- * @version     1.1.0
+ * @version     1.7.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Database/Installer.php
@@ -20,8 +20,30 @@
  * - app_sm_states            : States dalam setiap machine
  * - app_sm_transitions       : Allowed transitions antar states
  * - app_sm_transition_logs   : History/log setiap transition
+ * - app_sm_machine_revisions : Snapshot definisi machine (history/rollback)
+ * - app_sm_machine_versions  : Versi machine yang di-publish (entity pinning)
+ * - app_sm_bulk_transition_jobs : Job bulk transition (batch via WP-Cron)
  *
  * Changelog:
+ * 1.7.0 - 2026-10-19
+ * - Added transitions.effects column (SCHEMA_VERSION 1.7.0)
+ *
+ * 1.6.0 - 2026-10-19
+ * - Added transitions.timeout_minutes column (SCHEMA_VERSION 1.6.0)
+ *
+ * 1.5.0 - 2026-10-19
+ * - Added app_sm_bulk_transition_jobs table (SCHEMA_VERSION 1.5.0)
+ *
+ * 1.4.0 - 2026-10-19
+ * - Added app_sm_machine_versions table and transition_logs.machine_version column (SCHEMA_VERSION 1.4.0)
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added app_sm_machine_revisions table (SCHEMA_VERSION 1.3.0)
+ * - Upgrade captures baseline revisions for existing machines
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added SCHEMA_VERSION and maybe_upgrade(): re-runs dbDelta on existing installs (deleted_at columns for the trash)
+ *
  * 1.1.0 - 2025-11-07
  * - Added: app_sm_workflow_groups table for organization
  * - Added: group_id FK in app_sm_machines
@@ -37,9 +59,20 @@
 
 namespace WPStateMachine\Database;
 
+use WPStateMachine\Models\StateMachine\MachineRevisionModel;
+
 defined('ABSPATH') || exit;
 
 class Installer {
+    /**
+     * Table structure version
+     * Naikkan setiap kali skema tabel berubah; maybe_upgrade() menjalankan
+     * run() lagi (dbDelta) pada instalasi yang masih di versi lama
+     *
+     * @var string
+     */
+    const SCHEMA_VERSION = '1.7.0';
+
     /**
      * Complete list of tables to install, in dependency order
      * Parent tables first, then child tables
@@ -51,7 +84,10 @@ class Installer {
         'app_sm_machines',          // Child of workflow_groups (optional FK)
         'app_sm_states',            // Child of machines
         'app_sm_transitions',       // Child of machines and states
-        'app_sm_transition_logs'    // Child of machines, states, transitions
+        'app_sm_transition_logs',   // Child of machines, states, transitions
+        'app_sm_machine_revisions', // Child of machines
+        'app_sm_machine_versions',  // Child of machines
+        'app_sm_bulk_transition_jobs' // Child of machines
     ];
 
     /**
@@ -64,7 +100,10 @@ class Installer {
         'app_sm_machines' => Tables\StateMachinesDB::class,
         'app_sm_states' => Tables\StatesDB::class,
         'app_sm_transitions' => Tables\TransitionsDB::class,
-        'app_sm_transition_logs' => Tables\TransitionLogsDB::class
+        'app_sm_transition_logs' => Tables\TransitionLogsDB::class,
+        'app_sm_machine_revisions' => Tables\MachineRevisionsDB::class,
+        'app_sm_machine_versions' => Tables\MachineVersionsDB::class,
+        'app_sm_bulk_transition_jobs' => Tables\BulkTransitionJobsDB::class
     ];
 
     /**
@@ -161,6 +200,24 @@ class Installer {
                 Tables\TransitionLogsDB::add_foreign_keys();
             }
 
+            // Add foreign keys for MachineRevisions
+            if (method_exists(Tables\MachineRevisionsDB::class, 'add_foreign_keys')) {
+                self::debug("Adding MachineRevisions FK...");
+                Tables\MachineRevisionsDB::add_foreign_keys();
+            }
+
+            // Add foreign keys for MachineVersions
+            if (method_exists(Tables\MachineVersionsDB::class, 'add_foreign_keys')) {
+                self::debug("Adding MachineVersions FK...");
+                Tables\MachineVersionsDB::add_foreign_keys();
+            }
+
+            // Add foreign keys for BulkTransitionJobs
+            if (method_exists(Tables\BulkTransitionJobsDB::class, 'add_foreign_keys')) {
+                self::debug("Adding BulkTransitionJobs FK...");
+                Tables\BulkTransitionJobsDB::add_foreign_keys();
+            }
+
             // NOTE: Seeding removed from here
             // In decentralized pattern, each plugin seeds its own state machines via:
             // - Seeder::seedByPlugin('plugin-slug') on plugin activation
@@ -175,6 +232,7 @@ class Installer {
 
             // Update version option
             update_option('wp_state_machine_db_version', WP_STATE_MACHINE_VERSION);
+            update_option('wp_state_machine_schema_version', self::SCHEMA_VERSION);
 
             return true;
 
@@ -195,6 +253,26 @@ class Installer {
         return version_compare($installed_version, WP_STATE_MACHINE_VERSION, '<');
     }
 
+    /**
+     * Upgrade table structure when SCHEMA_VERSION is newer than the installed one
+     * Activation only runs on install, so this is checked on admin_init
+     *
+     * @return void
+     */
+    public static function maybe_upgrade() {
+        $installed = get_option('wp_state_machine_schema_version', '0.0.0');
+
+        if (version_compare($installed, self::SCHEMA_VERSION, '<')) {
+            self::debug("Upgrading schema from {$installed} to " . self::SCHEMA_VERSION);
+
+            // Existing machines start their revision history from the current definition
+            if (self::run() && version_compare($installed, '1.3.0', '<')) {
+                $count = (new MachineRevisionModel())->captureBaselines();
+                self::debug("Captured {$count} baseline revisions");
+            }
+        }
+    }
+
     /**
      * Drop all plugin tables
      * Called during uninstallation
@@ -237,6 +315,7 @@ class Installer {
 
             // Remove version option
             delete_option('wp_state_machine_db_version');
+            delete_option('wp_state_machine_schema_version');
 
             self::debug("All tables dropped successfully.");
             return true;
@@ -0,0 +1,128 @@
+<?php
+/**
+ * Bulk Transition Jobs Table Schema
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Database/Tables
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Database/Tables/BulkTransitionJobsDB.php
+ *
+ * Description: Mendefinisikan struktur tabel bulk transition jobs.
+ *              Satu job menjalankan satu transition untuk banyak entity
+ *              secara bertahap (batch via WP-Cron) dan menyimpan hasil
+ *              per entity untuk laporan.
+ *
+ * Fields:
+ * - id            : Primary key
+ * - machine_id    : Foreign key ke sm_machines
+ * - transition_id : Transition yang dijalankan
+ * - comment       : Komentar yang dipakai di setiap log entry (nullable)
+ * - status        : queued, running, completed, cancelled
+ * - entities      : JSON daftar entity (entity_type, entity_id)
+ * - results       : JSON hasil per entity (success, message, log_id)
+ * - total         : Jumlah entity
+ * - processed     : Jumlah entity yang sudah diproses
+ * - succeeded     : Jumlah yang berhasil
+ * - failed        : Jumlah yang gagal
+ * - created_by    : User yang memulai job (transition dijalankan atas nama user ini)
+ * - created_at    : Timestamp dibuat
+ * - updated_at    : Timestamp batch terakhir
+ * - completed_at  : Timestamp selesai (nullable)
+ *
+ * Foreign Keys:
+ * - machine_id    : REFERENCES app_sm_machines(id) ON DELETE CASCADE
+ *
+ * Indexes:
+ * - machine_id    : KEY untuk daftar job per machine
+ * - status        : KEY untuk job yang masih berjalan
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial version
+ */
+
+namespace WPStateMachine\Database\Tables;
+
+defined('ABSPATH') || exit;
+
+class BulkTransitionJobsDB {
+    /**
+     * Get table schema for bulk transition jobs
+     *
+     * @return string SQL schema
+     */
+    public static function get_schema() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'app_sm_bulk_transition_jobs';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        return "CREATE TABLE {$table_name} (
+            id bigint(20) UNSIGNED NOT NULL auto_increment,
+            machine_id bigint(20) UNSIGNED NOT NULL,
+            transition_id bigint(20) UNSIGNED NOT NULL,
+            comment text NULL,
+            status varchar(20) NOT NULL DEFAULT 'queued',
+            entities longtext NOT NULL,
+            results longtext NULL,
+            total int(11) UNSIGNED NOT NULL DEFAULT 0,
+            processed int(11) UNSIGNED NOT NULL DEFAULT 0,
+            succeeded int(11) UNSIGNED NOT NULL DEFAULT 0,
+            failed int(11) UNSIGNED NOT NULL DEFAULT 0,
+            created_by bigint(20) UNSIGNED NOT NULL DEFAULT 0,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            completed_at datetime NULL,
+            PRIMARY KEY  (id),
+            KEY machine_id_index (machine_id),
+            KEY status_index (status)
+        ) $charset_collate;";
+    }
+
+    /**
+     * Add foreign key constraints
+     * Called after table creation
+     *
+     * @return void
+     */
+    public static function add_foreign_keys() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'app_sm_bulk_transition_jobs';
+        $machines_table = $wpdb->prefix . 'app_sm_machines';
+
+        $constraints = [
+            [
+                'name' => 'fk_sm_bulk_jobs_machine',
+                'sql' => "ALTER TABLE {$table_name}
+                         ADD CONSTRAINT fk_sm_bulk_jobs_machine
+                         FOREIGN KEY (machine_id)
+                         REFERENCES {$machines_table}(id)
+                         ON DELETE CASCADE"
+            ]
+        ];
+
+        foreach ($constraints as $constraint) {
+            // Check if constraint already exists
+            $constraint_exists = $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM information_schema.TABLE_CONSTRAINTS
+                 WHERE CONSTRAINT_SCHEMA = DATABASE()
+                 AND TABLE_NAME = %s
+                 AND CONSTRAINT_NAME = %s",
+                $table_name,
+                $constraint['name']
+            ));
+
+            // If constraint exists, drop it first
+            if ($constraint_exists > 0) {
+                $wpdb->query("ALTER TABLE {$table_name} DROP FOREIGN KEY `{$constraint['name']}`");
+            }
+
+            // Add foreign key constraint
+            $result = $wpdb->query($constraint['sql']);
+            if ($result === false) {
+                error_log("[BulkTransitionJobsDB] Failed to add FK {$constraint['name']}: " . $wpdb->last_error);
+            }
+        }
+    }
+}
@@ -0,0 +1,116 @@
+<?php
+/**
+ * Machine Revisions Table Schema
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Database/Tables
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Database/Tables/MachineRevisionsDB.php
+ *
+ * Description: Mendefinisikan struktur tabel machine revisions.
+ *              Menyimpan snapshot definisi machine (machine, states,
+ *              transitions, metadata schema) setiap kali strukturnya
+ *              berubah. Untuk history, diff dan rollback.
+ *
+ * Fields:
+ * - id              : Primary key
+ * - machine_id      : Foreign key ke sm_machines
+ * - revision_number : Nomor revisi per machine (1, 2, 3, ...)
+ * - snapshot        : JSON definisi machine pada saat revisi
+ * - snapshot_hash   : md5 snapshot, untuk melewati revisi tanpa perubahan
+ * - summary         : Ringkasan perubahan dari revisi sebelumnya
+ * - created_by      : User yang melakukan perubahan
+ * - created_at      : Timestamp revisi
+ *
+ * Foreign Keys:
+ * - machine_id      : REFERENCES app_sm_machines(id) ON DELETE CASCADE
+ *
+ * Indexes:
+ * - unique_revision : UNIQUE KEY (machine_id, revision_number)
+ * - created_by      : KEY untuk audit
+ * - created_at      : KEY untuk query revisi per tanggal
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial version
+ */
+
+namespace WPStateMachine\Database\Tables;
+
+defined('ABSPATH') || exit;
+
+class MachineRevisionsDB {
+    /**
+     * Get table schema for machine revisions
+     *
+     * @return string SQL schema
+     */
+    public static function get_schema() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'app_sm_machine_revisions';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        return "CREATE TABLE {$table_name} (
+            id bigint(20) UNSIGNED NOT NULL auto_increment,
+            machine_id bigint(20) UNSIGNED NOT NULL,
+            revision_number int(11) UNSIGNED NOT NULL,
+            snapshot longtext NOT NULL,
+            snapshot_hash char(32) NOT NULL,
+            summary varchar(255) NULL,
+            created_by bigint(20) UNSIGNED NOT NULL DEFAULT 0,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            UNIQUE KEY unique_revision (machine_id, revision_number),
+            KEY created_by_index (created_by),
+            KEY created_at_index (created_at)
+        ) $charset_collate;";
+    }
+
+    /**
+     * Add foreign key constraints
+     * Called after table creation
+     *
+     * @return void
+     */
+    public static function add_foreign_keys() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'app_sm_machine_revisions';
+        $machines_table = $wpdb->prefix . 'app_sm_machines';
+
+        $constraints = [
+            [
+                'name' => 'fk_sm_revisions_machine',
+                'sql' => "ALTER TABLE {$table_name}
+                         ADD CONSTRAINT fk_sm_revisions_machine
+                         FOREIGN KEY (machine_id)
+                         REFERENCES {$machines_table}(id)
+                         ON DELETE CASCADE"
+            ]
+        ];
+
+        foreach ($constraints as $constraint) {
+            // Check if constraint already exists
+            $constraint_exists = $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM information_schema.TABLE_CONSTRAINTS
+                 WHERE CONSTRAINT_SCHEMA = DATABASE()
+                 AND TABLE_NAME = %s
+                 AND CONSTRAINT_NAME = %s",
+                $table_name,
+                $constraint['name']
+            ));
+
+            // If constraint exists, drop it first
+            if ($constraint_exists > 0) {
+                $wpdb->query("ALTER TABLE {$table_name} DROP FOREIGN KEY `{$constraint['name']}`");
+            }
+
+            // Add foreign key constraint
+            $result = $wpdb->query($constraint['sql']);
+            if ($result === false) {
+                error_log("[MachineRevisionsDB] Failed to add FK {$constraint['name']}: " . $wpdb->last_error);
+            }
+        }
+    }
+}
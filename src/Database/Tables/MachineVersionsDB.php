@@ -0,0 +1,114 @@
+<?php
+/**
+ * Machine Versions Table Schema
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Database/Tables
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Database/Tables/MachineVersionsDB.php
+ *
+ * Description: Mendefinisikan struktur tabel machine versions.
+ *              Menyimpan versi machine yang sudah di-publish (immutable).
+ *              States dan transitions di tabel utama adalah draft;
+ *              entity dikunci ke versi tempat mereka mulai.
+ *
+ * Fields:
+ * - id             : Primary key
+ * - machine_id     : Foreign key ke sm_machines
+ * - version_number : Nomor versi per machine (1, 2, 3, ...)
+ * - snapshot       : JSON definisi machine saat publish (format revisi)
+ * - snapshot_hash  : md5 snapshot, untuk mendeteksi perubahan draft
+ * - notes          : Catatan publish (nullable)
+ * - published_by   : User yang mem-publish
+ * - published_at   : Timestamp publish
+ *
+ * Foreign Keys:
+ * - machine_id     : REFERENCES app_sm_machines(id) ON DELETE CASCADE
+ *
+ * Indexes:
+ * - unique_version : UNIQUE KEY (machine_id, version_number)
+ * - published_by   : KEY untuk audit
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial version
+ */
+
+namespace WPStateMachine\Database\Tables;
+
+defined('ABSPATH') || exit;
+
+class MachineVersionsDB {
+    /**
+     * Get table schema for machine versions
+     *
+     * @return string SQL schema
+     */
+    public static function get_schema() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'app_sm_machine_versions';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        return "CREATE TABLE {$table_name} (
+            id bigint(20) UNSIGNED NOT NULL auto_increment,
+            machine_id bigint(20) UNSIGNED NOT NULL,
+            version_number int(11) UNSIGNED NOT NULL,
+            snapshot longtext NOT NULL,
+            snapshot_hash char(32) NOT NULL,
+            notes varchar(255) NULL,
+            published_by bigint(20) UNSIGNED NOT NULL DEFAULT 0,
+            published_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            UNIQUE KEY unique_version (machine_id, version_number),
+            KEY published_by_index (published_by)
+        ) $charset_collate;";
+    }
+
+    /**
+     * Add foreign key constraints
+     * Called after table creation
+     *
+     * @return void
+     */
+    public static function add_foreign_keys() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'app_sm_machine_versions';
+        $machines_table = $wpdb->prefix . 'app_sm_machines';
+
+        $constraints = [
+            [
+                'name' => 'fk_sm_versions_machine',
+                'sql' => "ALTER TABLE {$table_name}
+                         ADD CONSTRAINT fk_sm_versions_machine
+                         FOREIGN KEY (machine_id)
+                         REFERENCES {$machines_table}(id)
+                         ON DELETE CASCADE"
+            ]
+        ];
+
+        foreach ($constraints as $constraint) {
+            // Check if constraint already exists
+            $constraint_exists = $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM information_schema.TABLE_CONSTRAINTS
+                 WHERE CONSTRAINT_SCHEMA = DATABASE()
+                 AND TABLE_NAME = %s
+                 AND CONSTRAINT_NAME = %s",
+                $table_name,
+                $constraint['name']
+            ));
+
+            // If constraint exists, drop it first
+            if ($constraint_exists > 0) {
+                $wpdb->query("ALTER TABLE {$table_name} DROP FOREIGN KEY `{$constraint['name']}`");
+            }
+
+            // Add foreign key constraint
+            $result = $wpdb->query($constraint['sql']);
+            if ($result === false) {
+                error_log("[MachineVersionsDB] Failed to add FK {$constraint['name']}: " . $wpdb->last_error);
+            }
+        }
+    }
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Database/Tables
- * @version     1.2.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Database/Tables/StateMachinesDB.php
@@ -27,6 +27,7 @@
  * - created_by     : User ID who created
  * - created_at     : Timestamp pembuatan
  * - updated_at     : Timestamp update terakhir
+ * - deleted_at     : Timestamp masuk trash (NULL = tidak di trash)
  *
  * Foreign Keys:
  * - group_id       : REFERENCES app_sm_workflow_groups(id) ON DELETE SET NULL
@@ -40,8 +41,12 @@
  * - is_default     : KEY untuk query default workflows
  * - is_custom      : KEY untuk tracking modifications
  * - created_by     : KEY untuk audit
+ * - deleted_at     : KEY untuk trash view dan purge
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - Added deleted_at column and index (soft delete / trash)
+ *
  * 1.2.0 - 2025-11-08 (TODO-6106)
  * - Added is_default flag for YML Seeder support
  * - Added composite index for default/custom filtering
@@ -81,6 +86,7 @@ class StateMachinesDB {
             created_by bigint(20) UNSIGNED NOT NULL,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            deleted_at datetime NULL DEFAULT NULL,
             PRIMARY KEY  (id),
             UNIQUE KEY slug (slug),
             KEY workflow_group_id_index (workflow_group_id),
@@ -90,7 +96,8 @@ class StateMachinesDB {
             KEY is_default_index (is_default),
             KEY is_custom_index (is_custom),
             KEY default_custom_index (is_default, is_custom),
-            KEY created_by_index (created_by)
+            KEY created_by_index (created_by),
+            KEY deleted_at_index (deleted_at)
         ) $charset_collate;";
     }
 
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Database/Tables
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Database/Tables/StatesDB.php
@@ -24,6 +24,7 @@
  * - sort_order     : Urutan display
  * - created_at     : Timestamp pembuatan
  * - updated_at     : Timestamp update terakhir
+ * - deleted_at     : Timestamp masuk trash (NULL = tidak di trash)
  *
  * Foreign Keys:
  * - machine_id     : REFERENCES app_sm_machines(id) ON DELETE CASCADE
@@ -32,8 +33,12 @@
  * - machine_id     : KEY untuk query berdasarkan machine
  * - type           : KEY untuk filter berdasarkan tipe
  * - unique_state   : UNIQUE KEY (machine_id, slug)
+ * - deleted_at     : KEY untuk trash view dan purge
  *
  * Changelog:
+ * 1.1.0 - 2026-10-19
+ * - Added deleted_at column and index (soft delete / trash)
+ *
  * 1.0.0 - 2025-11-07
  * - Initial version
  * - Basic state structure
@@ -65,11 +70,13 @@ class StatesDB {
             sort_order int(11) NOT NULL DEFAULT 0,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            deleted_at datetime NULL DEFAULT NULL,
             PRIMARY KEY  (id),
             UNIQUE KEY unique_state (machine_id, slug),
             KEY machine_id_index (machine_id),
             KEY type_index (type),
-            KEY sort_order_index (sort_order)
+            KEY sort_order_index (sort_order),
+            KEY deleted_at_index (deleted_at)
         ) $charset_collate;";
     }
 
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Database/Tables
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Database/Tables/TransitionLogsDB.php
@@ -24,6 +24,7 @@
  * - user_id        : User yang melakukan transisi
  * - comment        : Komentar/notes untuk transisi (nullable)
  * - metadata       : JSON untuk data tambahan (nullable)
+ * - machine_version: Versi machine yang dipakai entity (nullable, NULL = belum pernah publish)
  * - created_at     : Timestamp transisi
  *
  * Foreign Keys:
@@ -39,6 +40,9 @@
  * - created_at     : KEY untuk sorting chronological
  *
  * Changelog:
+ * 1.1.0 - 2026-10-19
+ * - Added machine_version column (entity dikunci ke versi yang di-publish)
+ *
  * 1.0.0 - 2025-11-07
  * - Initial version
  * - Basic log structure
@@ -70,6 +74,7 @@ class TransitionLogsDB {
             user_id bigint(20) UNSIGNED NOT NULL,
             comment text NULL,
             metadata text NULL,
+            machine_version int(11) UNSIGNED NULL,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY  (id),
             KEY machine_id_index (machine_id),
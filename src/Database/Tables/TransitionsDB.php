@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Database/Tables
- * @version     1.0.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Database/Tables/TransitionsDB.php
@@ -22,8 +22,13 @@
  * - guard_class    : Nama class untuk validasi transition (nullable)
  * - metadata       : JSON untuk data tambahan (nullable)
  * - sort_order     : Display order
+ * - timeout_minutes: Transition dijalankan otomatis (WP-Cron) setelah entity
+ *                    berada di from_state selama ini (0 = tidak ada timeout)
+ * - effects        : JSON list actions yang dijalankan setelah transisi
+ *                    (email, post status, post meta, webhook, role) (nullable)
  * - created_at     : Timestamp pembuatan
  * - updated_at     : Timestamp update terakhir
+ * - deleted_at     : Timestamp masuk trash (NULL = tidak di trash)
  *
  * Foreign Keys:
  * - machine_id     : REFERENCES app_sm_machines(id) ON DELETE CASCADE
@@ -34,8 +39,19 @@
  * - machine_id     : KEY untuk query berdasarkan machine
  * - from_state     : KEY untuk query available transitions
  * - unique_trans   : UNIQUE KEY (machine_id, from_state_id, to_state_id)
+ * - deleted_at     : KEY untuk trash view dan purge
+ * - timeout        : KEY untuk transition dengan timeout (cron)
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - Added effects column (transition actions)
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added timeout_minutes column and index (timed transitions)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added deleted_at column and index (soft delete / trash)
+ *
  * 1.0.0 - 2025-11-07
  * - Initial version
  * - Basic transition structure
@@ -65,14 +81,19 @@ class TransitionsDB {
             guard_class varchar(255) NULL,
             metadata text NULL,
             sort_order int(11) NOT NULL DEFAULT 0,
+            timeout_minutes int(11) UNSIGNED NOT NULL DEFAULT 0,
+            effects longtext NULL,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            deleted_at datetime NULL DEFAULT NULL,
             PRIMARY KEY  (id),
             UNIQUE KEY unique_transition (machine_id, from_state_id, to_state_id),
             KEY machine_id_index (machine_id),
             KEY from_state_index (from_state_id),
             KEY to_state_index (to_state_id),
-            KEY sort_order_index (sort_order)
+            KEY sort_order_index (sort_order),
+            KEY deleted_at_index (deleted_at),
+            KEY timeout_index (timeout_minutes)
         ) $charset_collate;";
     }
 
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Database/Tables
- * @version     1.1.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Database/Tables/WorkflowGroupsDB.php
@@ -26,6 +26,7 @@
  * - is_custom      : 0=default, 1=user modified
  * - created_at     : Timestamp pembuatan
  * - updated_at     : Timestamp update terakhir
+ * - deleted_at     : Timestamp masuk trash (NULL = tidak di trash)
  *
  * Foreign Keys: None (parent table)
  *
@@ -34,8 +35,12 @@
  * - is_active      : KEY untuk filter active groups
  * - is_custom      : KEY untuk tracking modifications
  * - sort_order     : KEY untuk display ordering
+ * - deleted_at     : KEY untuk trash view dan purge
  *
  * Changelog:
+ * 1.2.0 - 2026-10-19
+ * - Added deleted_at column and index (soft delete / trash)
+ *
  * 1.1.0 - 2025-11-07
  * - Initial creation for workflow groups
  * - Added is_custom flag for tracking user modifications
@@ -69,11 +74,13 @@ class WorkflowGroupsDB {
             is_custom tinyint(1) NOT NULL DEFAULT 0,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            deleted_at datetime NULL DEFAULT NULL,
             PRIMARY KEY  (id),
             UNIQUE KEY slug (slug),
             KEY is_active_index (is_active),
             KEY is_custom_index (is_custom),
-            KEY sort_order_index (sort_order)
+            KEY sort_order_index (sort_order),
+            KEY deleted_at_index (deleted_at)
         ) $charset_collate;";
     }
 
@@ -0,0 +1,230 @@
+<?php
+/**
+ * Abstract Effect Base Class
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/AbstractEffect.php
+ *
+ * Description: Base implementation for all effects.
+ *              Provides configuration management, result formatting and
+ *              helpers to reach the entity's post and fill placeholders.
+ *
+ * Placeholders (replaceTags):
+ * - {entity_type}, {entity_id}: The transitioned entity
+ * - {from_state}, {to_state}, {transition}: Names / label of the transition
+ * - {user}: Display name of the user who applied the transition
+ * - {comment}: Transition comment
+ * - {post_title}, {post_url}: Title and edit URL of the entity's post, if any
+ * - {site_name}: Blog name
+ *
+ * Child Classes Must Implement:
+ * - execute(): Core effect logic
+ * - getName(), getDescription(), getFields()
+ * - validateConfig(): Configuration validation
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+abstract class AbstractEffect implements EffectInterface {
+
+    /**
+     * Effect configuration
+     *
+     * @var array
+     */
+    protected $config = [];
+
+    // ========================================
+    // ABSTRACT METHODS (Must be implemented)
+    // ========================================
+
+    /**
+     * Run the effect
+     *
+     * @param array $context Transition context
+     * @return array Result array
+     */
+    abstract public function execute(array $context): array;
+
+    /**
+     * Get effect name
+     *
+     * @return string Effect name
+     */
+    abstract public function getName(): string;
+
+    /**
+     * Get effect description
+     *
+     * @return string Effect description
+     */
+    abstract public function getDescription(): string;
+
+    /**
+     * Get configuration fields
+     *
+     * @return array Field definitions
+     */
+    abstract public function getFields(): array;
+
+    /**
+     * Validate configuration
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors
+     */
+    abstract public function validateConfig(array $config): array;
+
+    // ========================================
+    // CONCRETE METHODS (Inherited by children)
+    // ========================================
+
+    /**
+     * Set configuration
+     *
+     * @param array $config Configuration
+     * @return self
+     */
+    public function setConfig(array $config): self {
+        $this->config = $config;
+        return $this;
+    }
+
+    /**
+     * Get configuration
+     *
+     * @return array Configuration
+     */
+    public function getConfig(): array {
+        return $this->config;
+    }
+
+    // ========================================
+    // HELPER METHODS
+    // ========================================
+
+    /**
+     * Create success result
+     *
+     * @param string $message Success message
+     * @param array $data Additional data
+     * @return array Success result
+     */
+    protected function success(string $message = '', array $data = []): array {
+        return [
+            'success' => true,
+            'message' => $message ?: __('Action completed', 'wp-state-machine'),
+            'code' => 'success',
+            'data' => $data
+        ];
+    }
+
+    /**
+     * Create failure result
+     *
+     * @param string $message Failure message
+     * @param string $code Error code
+     * @param array $data Additional data
+     * @return array Failure result
+     */
+    protected function failure(string $message, string $code = 'effect_failed', array $data = []): array {
+        return [
+            'success' => false,
+            'message' => $message,
+            'code' => $code,
+            'data' => $data
+        ];
+    }
+
+    /**
+     * Config value as trimmed string
+     *
+     * @param string $key Config key
+     * @return string Value, '' if missing
+     */
+    protected function getString(string $key): string {
+        return isset($this->config[$key]) && is_scalar($this->config[$key])
+            ? trim((string) $this->config[$key])
+            : '';
+    }
+
+    /**
+     * The entity's post, when the entity is a post of the entity type
+     * Same rule as the entity_data passed to guards
+     *
+     * @param array $context Transition context
+     * @return \WP_Post|null Post
+     */
+    protected function getPost(array $context): ?\WP_Post {
+        $post = get_post((int) ($context['entity_id'] ?? 0));
+
+        return ($post && $post->post_type === ($context['entity_type'] ?? '')) ? $post : null;
+    }
+
+    /**
+     * Fill placeholders like {to_state} in a configured text
+     *
+     * @param string $text Text with placeholders
+     * @param array $context Transition context
+     * @return string Text
+     */
+    protected function replaceTags(string $text, array $context): string {
+        $user = get_userdata((int) ($context['user_id'] ?? 0));
+        $post = $this->getPost($context);
+
+        $tags = [
+            '{entity_type}' => (string) ($context['entity_type'] ?? ''),
+            '{entity_id}' => (string) ($context['entity_id'] ?? ''),
+            '{from_state}' => !empty($context['from_state']) ? $context['from_state']->name : __('initial', 'wp-state-machine'),
+            '{to_state}' => !empty($context['to_state']) ? $context['to_state']->name : '',
+            '{transition}' => !empty($context['transition']) ? $context['transition']->label : '',
+            '{user}' => $user ? $user->display_name : '',
+            '{comment}' => (string) ($context['comment'] ?? ''),
+            '{post_title}' => $post ? $post->post_title : '',
+            '{post_url}' => $post ? (string) get_edit_post_link($post->ID, 'raw') : '',
+            '{site_name}' => get_bloginfo('name')
+        ];
+
+        return strtr($text, $tags);
+    }
+
+    /**
+     * Check if config has required keys
+     *
+     * @param array $config Config to check
+     * @param array $required_keys Required keys
+     * @return array Missing keys
+     */
+    protected function checkRequiredKeys(array $config, array $required_keys): array {
+        $missing = [];
+
+        foreach ($required_keys as $key) {
+            if (!isset($config[$key]) || $config[$key] === '' || $config[$key] === []) {
+                $missing[] = $key;
+            }
+        }
+
+        return $missing;
+    }
+
+    /**
+     * Format validation error
+     *
+     * @param string $key Config key with error
+     * @param string $message Error message
+     * @return string Formatted error
+     */
+    protected function validationError(string $key, string $message): string {
+        return sprintf('%s: %s', $key, $message);
+    }
+}
@@ -0,0 +1,347 @@
+<?php
+/**
+ * Effect Factory
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.1.1
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/EffectFactory.php
+ *
+ * Description: Factory for transition effects (the "Actions" of a
+ *              transition). Parses the effects column, instantiates effects
+ *              by type and validates their configuration.
+ *
+ * Effects Format (transitions.effects, JSON list, run in this order):
+ * ```json
+ * [
+ *     {"type": "PostStatusEffect", "config": {"status": "publish"}},
+ *     {"type": "EmailEffect", "config": {"roles": ["editor"], "subject": "...", "message": "..."}}
+ * ]
+ * ```
+ *
+ * Supported Effects:
+ * - EmailEffect: Send email to roles
+ * - PostStatusEffect: Update post status
+ * - PostMetaEffect: Set post meta
+ * - WebhookEffect: Call a local webhook URL
+ * - UserRoleEffect: Add a user to a role
+ *
+ * Usage:
+ * ```php
+ * foreach (EffectFactory::parseEffects($transition->effects) as $entry) {
+ *     $effect = EffectFactory::create($entry['type'], $entry['config']);
+ *     $result = $effect->execute($context);
+ * }
+ * ```
+ *
+ * Custom Effects:
+ * Plugin developers can register custom effects via filter:
+ * ```php
+ * add_filter('wp_state_machine_effect_types', function($types) {
+ *     $types['CustomEffect'] = 'MyPlugin\\Effects\\CustomEffect';
+ *     return $types;
+ * });
+ * ```
+ *
+ * Changelog:
+ * 1.1.1 - 2026-10-19
+ * - Added sanitizeEffects(), shared by the actions builder and YML import
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added getRoleEffects(), canChangeRoleEffects() and copyEffects() so every path that writes effects applies the promote_users rule
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+class EffectFactory {
+
+    /**
+     * Most effects a transition may have
+     *
+     * @var int
+     */
+    const MAX_EFFECTS = 20;
+
+    /**
+     * Capability needed to add or change "Add User to Role" actions
+     *
+     * @var string
+     */
+    const ROLE_EFFECT_CAPABILITY = 'promote_users';
+
+    /**
+     * Default effect type mapping
+     *
+     * @var array
+     */
+    private static $effect_types = [
+        'EmailEffect' => EmailEffect::class,
+        'PostStatusEffect' => PostStatusEffect::class,
+        'PostMetaEffect' => PostMetaEffect::class,
+        'WebhookEffect' => WebhookEffect::class,
+        'UserRoleEffect' => UserRoleEffect::class,
+    ];
+
+    /**
+     * Create a configured effect
+     *
+     * @param string $type Effect type (e.g., "EmailEffect")
+     * @param array $config Effect configuration
+     * @return EffectInterface Effect instance
+     * @throws \Exception If the type is unknown or the configuration is invalid
+     */
+    public static function create(string $type, array $config = []): EffectInterface {
+        $effect_types = self::getTypes();
+
+        if (!isset($effect_types[$type])) {
+            throw new \Exception(
+                sprintf(
+                    __('Unknown action type: %s. Available types: %s', 'wp-state-machine'),
+                    $type,
+                    implode(', ', array_keys($effect_types))
+                )
+            );
+        }
+
+        $class = $effect_types[$type];
+        if (!class_exists($class) || !is_subclass_of($class, EffectInterface::class)) {
+            throw new \Exception(
+                sprintf(__('Action class must implement EffectInterface: %s', 'wp-state-machine'), $class)
+            );
+        }
+
+        $effect = new $class();
+        $effect->setConfig($config);
+
+        $validation_errors = $effect->validateConfig($config);
+        if (!empty($validation_errors)) {
+            throw new \Exception(
+                sprintf(
+                    __('Invalid action configuration for %s: %s', 'wp-state-machine'),
+                    $type,
+                    implode(', ', $validation_errors)
+                )
+            );
+        }
+
+        return $effect;
+    }
+
+    /**
+     * Decode the effects column into a list of entries
+     * Malformed entries are kept with an empty type so validation can report them
+     *
+     * @param string|array|null $effects JSON list or decoded list
+     * @return array Entries ['type' => string, 'config' => array]
+     */
+    public static function parseEffects($effects): array {
+        if (is_string($effects)) {
+            $effects = trim($effects) !== '' ? json_decode($effects, true) : [];
+        }
+
+        if (!is_array($effects)) {
+            return [];
+        }
+
+        $entries = [];
+        foreach (array_values($effects) as $effect) {
+            $entries[] = [
+                'type' => is_array($effect) && isset($effect['type']) && is_string($effect['type']) ? $effect['type'] : '',
+                'config' => is_array($effect) && isset($effect['config']) && is_array($effect['config']) ? $effect['config'] : []
+            ];
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Sanitize an effects list (posted by the actions builder or imported from YML)
+     * Keeps the list shape so validation can still report malformed entries
+     *
+     * @param string|array|null $effects JSON list or decoded list
+     * @return array Entries ['type' => string, 'config' => array]
+     */
+    public static function sanitizeEffects($effects): array {
+        $sanitized = [];
+
+        foreach (self::parseEffects($effects) as $effect) {
+            $config = [];
+            foreach ($effect['config'] as $key => $value) {
+                $config[sanitize_key($key)] = is_array($value)
+                    ? array_values(array_map('sanitize_text_field', array_filter($value, 'is_scalar')))
+                    : (is_scalar($value) ? sanitize_textarea_field((string) $value) : '');
+            }
+
+            $sanitized[] = [
+                'type' => sanitize_text_field($effect['type']),
+                'config' => $config
+            ];
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Validate an effects list without throwing
+     * Errors are also reported per effect, in list order, so the actions
+     * builder can show them next to the matching row.
+     *
+     * @param string|array|null $effects JSON list or decoded list
+     * @return array ['valid' => bool, 'errors' => array, 'effects' => array]
+     */
+    public static function validate($effects): array {
+        $errors = [];
+        $results = [];
+
+        if (is_string($effects) && trim($effects) !== '' && !is_array(json_decode($effects, true))) {
+            return [
+                'valid' => false,
+                'errors' => [__('Actions must be a JSON list', 'wp-state-machine')],
+                'effects' => []
+            ];
+        }
+
+        $entries = self::parseEffects($effects);
+
+        if (count($entries) > self::MAX_EFFECTS) {
+            $errors[] = sprintf(__('A transition can have at most %d actions', 'wp-state-machine'), self::MAX_EFFECTS);
+        }
+
+        $effect_types = self::getTypes();
+
+        foreach ($entries as $index => $entry) {
+            $result = $entry + ['errors' => []];
+
+            if ($entry['type'] === '') {
+                $result['errors'][] = __('Action type is missing', 'wp-state-machine');
+            } elseif (!isset($effect_types[$entry['type']])) {
+                $result['errors'][] = sprintf(__('Unknown action type: %s', 'wp-state-machine'), $entry['type']);
+            } elseif (!class_exists($effect_types[$entry['type']]) || !is_subclass_of($effect_types[$entry['type']], EffectInterface::class)) {
+                $result['errors'][] = sprintf(
+                    __('Action class must implement EffectInterface: %s', 'wp-state-machine'),
+                    $effect_types[$entry['type']]
+                );
+            } else {
+                $effect = new $effect_types[$entry['type']]();
+                $result['errors'] = array_values($effect->validateConfig($entry['config']));
+            }
+
+            foreach ($result['errors'] as $error) {
+                $errors[] = sprintf(__('Action %1$d: %2$s', 'wp-state-machine'), $index + 1, $error);
+            }
+
+            $results[] = $result;
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors,
+            'effects' => $results
+        ];
+    }
+
+    /**
+     * "Add User to Role" actions of an effects list, for comparison
+     *
+     * @param string|array|null $effects JSON list or decoded list
+     * @return array UserRoleEffect entries in order
+     */
+    public static function getRoleEffects($effects): array {
+        return array_values(array_filter(self::parseEffects($effects), function($entry) {
+            return $entry['type'] === 'UserRoleEffect';
+        }));
+    }
+
+    /**
+     * Whether the current user may turn one effects list into another
+     * Adding roles is limited to users who could do so themselves; others
+     * may write effects as long as the role actions stay as they are.
+     * Used wherever effects are written: the transition form, rollback,
+     * duplicate, merge and YML import.
+     *
+     * @param string|array|null $current Effects the row has now ('' for a new row)
+     * @param string|array|null $effects Effects about to be written
+     * @return bool True if allowed
+     */
+    public static function canChangeRoleEffects($current, $effects): bool {
+        return current_user_can(self::ROLE_EFFECT_CAPABILITY)
+            || self::getRoleEffects($current) === self::getRoleEffects($effects);
+    }
+
+    /**
+     * Effects to write on a copied transition
+     * Copies are new rows, so users who may not add "Add User to Role"
+     * actions get the list without them
+     *
+     * @param string|null $effects Effects column of the source transition
+     * @return string|null Effects column for the copy, unchanged when allowed
+     */
+    public static function copyEffects(?string $effects): ?string {
+        if (self::canChangeRoleEffects('', $effects)) {
+            return $effects;
+        }
+
+        $entries = array_values(array_filter(self::parseEffects($effects), function($entry) {
+            return $entry['type'] !== 'UserRoleEffect';
+        }));
+
+        return $entries ? wp_json_encode($entries) : '';
+    }
+
+    /**
+     * Registered effect types (filterable for custom effects)
+     *
+     * @return array Type => class name
+     */
+    public static function getTypes(): array {
+        return apply_filters('wp_state_machine_effect_types', self::$effect_types);
+    }
+
+    /**
+     * Check if effect type exists
+     *
+     * @param string $type Effect type
+     * @return bool True if effect type exists
+     */
+    public static function effectExists(string $type): bool {
+        return isset(self::getTypes()[$type]);
+    }
+
+    /**
+     * Get effect information for the actions builder
+     * Returns name, description and fields for all available effects
+     *
+     * @return array Type => ['name', 'description', 'fields', 'class']
+     */
+    public static function getEffectInfo(): array {
+        $info = [];
+
+        foreach (self::getTypes() as $type => $class) {
+            try {
+                if (class_exists($class)) {
+                    $effect = new $class();
+                    if ($effect instanceof EffectInterface) {
+                        $info[$type] = [
+                            'name' => $effect->getName(),
+                            'description' => $effect->getDescription(),
+                            'fields' => $effect->getFields(),
+                            'class' => $class
+                        ];
+                    }
+                }
+            } catch (\Exception $e) {
+                // Skip effects that can't be instantiated
+                continue;
+            }
+        }
+
+        return $info;
+    }
+}
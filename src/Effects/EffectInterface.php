@@ -0,0 +1,117 @@
+<?php
+/**
+ * Effect Interface
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/EffectInterface.php
+ *
+ * Description: Defines contract for transition effects (the "Actions" of
+ *              a transition). Effects run in order after a transition was
+ *              applied and logged; their results are written to the log entry.
+ *
+ * Effect Types:
+ * - EmailEffect: Send an email to users with given roles
+ * - PostStatusEffect: Change the status of the entity's post
+ * - PostMetaEffect: Set a meta field on the entity's post
+ * - WebhookEffect: POST the transition to a URL on this site
+ * - UserRoleEffect: Add a role to a user
+ *
+ * Usage:
+ * ```php
+ * // In transition configuration (effects column, JSON list):
+ * // [{"type": "PostStatusEffect", "config": {"status": "publish"}}]
+ *
+ * // Effect execution (TransitionEffectRunner):
+ * $effect = EffectFactory::create('PostStatusEffect', ['status' => 'publish']);
+ * $result = $effect->execute($context);
+ *
+ * if (!$result['success']) {
+ *     // $result['message'] is recorded in the log entry
+ * }
+ * ```
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+interface EffectInterface {
+
+    /**
+     * Run the effect for an applied transition
+     *
+     * @param array $context Context of wp_state_machine_after_transition
+     *                       (entity_type, entity_id, from_state, to_state,
+     *                       transition, user_id, comment, metadata,
+     *                       entity_data, log_id)
+     * @return array Result with structure:
+     *               [
+     *                   'success' => bool,      // Whether the effect ran
+     *                   'message' => string,    // Human-readable outcome
+     *                   'code' => string,       // Machine-readable code
+     *                   'data' => array         // Additional data for debugging
+     *               ]
+     */
+    public function execute(array $context): array;
+
+    /**
+     * Get effect name
+     * Used in admin UI and log entries
+     *
+     * @return string Effect name (e.g., "Send Email")
+     */
+    public function getName(): string;
+
+    /**
+     * Get effect description
+     * Used in admin UI for documentation
+     *
+     * @return string Effect description
+     */
+    public function getDescription(): string;
+
+    /**
+     * Get configuration fields for the admin actions builder
+     *
+     * @return array Field key => [
+     *                   'label' => string,
+     *                   'type' => 'text'|'textarea'|'url'|'select'|'multiselect',
+     *                   'options' => array,      // value => label, for select types
+     *                   'placeholder' => string,
+     *                   'description' => string
+     *               ]
+     */
+    public function getFields(): array;
+
+    /**
+     * Set configuration
+     *
+     * @param array $config Field key => value
+     * @return self For method chaining
+     */
+    public function setConfig(array $config): self;
+
+    /**
+     * Get configuration
+     *
+     * @return array Field key => value
+     */
+    public function getConfig(): array;
+
+    /**
+     * Validate configuration
+     * Called when the transition is saved and before the effect runs
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors (empty if valid)
+     */
+    public function validateConfig(array $config): array;
+}
@@ -0,0 +1,165 @@
+<?php
+/**
+ * Email Effect
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/EmailEffect.php
+ *
+ * Description: Sends an email to every user with one of the configured
+ *              roles after the transition. Subject and message accept the
+ *              placeholders of AbstractEffect::replaceTags(). One email is
+ *              sent per recipient, so addresses are not disclosed to others.
+ *
+ * Config:
+ * - roles   : Role slugs (e.g. ["editor", "administrator"])
+ * - subject : Email subject
+ * - message : Email body (plain text)
+ *
+ * Filters:
+ * - wp_state_machine_email_effect_recipients: ($emails, $config, $context) Recipient addresses
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+class EmailEffect extends AbstractEffect {
+
+    /**
+     * Send the email to users with the configured roles
+     *
+     * @param array $context Transition context
+     * @return array Result array
+     */
+    public function execute(array $context): array {
+        $roles = array_values(array_filter((array) ($this->config['roles'] ?? [])));
+
+        $emails = get_users([
+            'role__in' => $roles,
+            'fields' => 'user_email'
+        ]);
+        $emails = array_values(array_unique(array_filter(
+            (array) apply_filters('wp_state_machine_email_effect_recipients', $emails, $this->config, $context),
+            'is_email'
+        )));
+
+        if (empty($emails)) {
+            return $this->failure(
+                sprintf(__('No users with the roles %s to email', 'wp-state-machine'), implode(', ', $roles)),
+                'no_recipients',
+                ['roles' => $roles]
+            );
+        }
+
+        $subject = $this->replaceTags($this->getString('subject'), $context);
+        $message = $this->replaceTags($this->getString('message'), $context);
+
+        $failed = [];
+        foreach ($emails as $email) {
+            if (!wp_mail($email, $subject, $message)) {
+                $failed[] = $email;
+            }
+        }
+
+        if (!empty($failed)) {
+            return $this->failure(
+                sprintf(
+                    __('Email could not be sent to %1$d of %2$d recipient(s)', 'wp-state-machine'),
+                    count($failed),
+                    count($emails)
+                ),
+                'mail_failed',
+                ['failed' => $failed]
+            );
+        }
+
+        return $this->success(
+            sprintf(__('Email sent to %d recipient(s)', 'wp-state-machine'), count($emails)),
+            ['recipients' => count($emails)]
+        );
+    }
+
+    /**
+     * Get effect name
+     *
+     * @return string
+     */
+    public function getName(): string {
+        return __('Send Email', 'wp-state-machine');
+    }
+
+    /**
+     * Get effect description
+     *
+     * @return string
+     */
+    public function getDescription(): string {
+        return __('Emails every user with one of the selected roles', 'wp-state-machine');
+    }
+
+    /**
+     * Get configuration fields
+     *
+     * @return array
+     */
+    public function getFields(): array {
+        $roles = [];
+        foreach (wp_roles()->roles as $slug => $role) {
+            $roles[$slug] = translate_user_role($role['name']);
+        }
+
+        return [
+            'roles' => [
+                'label' => __('Recipient roles', 'wp-state-machine'),
+                'type' => 'multiselect',
+                'options' => $roles
+            ],
+            'subject' => [
+                'label' => __('Subject', 'wp-state-machine'),
+                'type' => 'text',
+                'placeholder' => __('{transition}: {entity_type} #{entity_id}', 'wp-state-machine')
+            ],
+            'message' => [
+                'label' => __('Message', 'wp-state-machine'),
+                'type' => 'textarea',
+                'placeholder' => __('{user} moved {entity_type} #{entity_id} from {from_state} to {to_state}.', 'wp-state-machine')
+            ]
+        ];
+    }
+
+    /**
+     * Validate configuration
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors
+     */
+    public function validateConfig(array $config): array {
+        $errors = [];
+
+        foreach ($this->checkRequiredKeys($config, ['roles', 'subject', 'message']) as $key) {
+            $errors[] = $this->validationError($key, __('is required', 'wp-state-machine'));
+        }
+
+        if (!empty($config['roles'])) {
+            if (!is_array($config['roles'])) {
+                $errors[] = $this->validationError('roles', __('must be a list of roles', 'wp-state-machine'));
+            } else {
+                foreach ($config['roles'] as $role) {
+                    if (!is_string($role) || !wp_roles()->is_role($role)) {
+                        $errors[] = sprintf(__('Role "%s" does not exist', 'wp-state-machine'), is_string($role) ? $role : gettype($role));
+                    }
+                }
+            }
+        }
+
+        return $errors;
+    }
+}
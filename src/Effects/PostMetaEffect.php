@@ -0,0 +1,135 @@
+<?php
+/**
+ * Post Meta Effect
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/PostMetaEffect.php
+ *
+ * Description: Sets a meta field on the transitioned entity's post, e.g.
+ *              "_approved_by" => "{user}". The value accepts the
+ *              placeholders of AbstractEffect::replaceTags(). Only runs when
+ *              the entity is a post of the entity type.
+ *
+ * Config:
+ * - key   : Meta key
+ * - value : Meta value (may be empty)
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+class PostMetaEffect extends AbstractEffect {
+
+    /**
+     * Set the post meta field
+     *
+     * @param array $context Transition context
+     * @return array Result array
+     */
+    public function execute(array $context): array {
+        $post = $this->getPost($context);
+        if (!$post) {
+            return $this->failure(
+                sprintf(
+                    __('%1$s #%2$d is not a post, so no post meta can be set', 'wp-state-machine'),
+                    $context['entity_type'] ?? '',
+                    (int) ($context['entity_id'] ?? 0)
+                ),
+                'no_post'
+            );
+        }
+
+        $key = $this->getString('key');
+        $value = $this->replaceTags($this->getString('value'), $context);
+
+        // update_post_meta() returns false for an unchanged value as well
+        if (metadata_exists('post', $post->ID, $key) && (string) get_post_meta($post->ID, $key, true) === $value) {
+            return $this->success(
+                sprintf(__('Post meta "%s" already has this value', 'wp-state-machine'), $key),
+                ['post_id' => $post->ID]
+            );
+        }
+
+        if (!update_post_meta($post->ID, $key, $value)) {
+            return $this->failure(
+                sprintf(__('Post meta "%s" could not be saved', 'wp-state-machine'), $key),
+                'update_failed',
+                ['post_id' => $post->ID]
+            );
+        }
+
+        return $this->success(
+            sprintf(__('Post meta "%s" set', 'wp-state-machine'), $key),
+            ['post_id' => $post->ID, 'value' => $value]
+        );
+    }
+
+    /**
+     * Get effect name
+     *
+     * @return string
+     */
+    public function getName(): string {
+        return __('Set Post Meta', 'wp-state-machine');
+    }
+
+    /**
+     * Get effect description
+     *
+     * @return string
+     */
+    public function getDescription(): string {
+        return __('Sets a meta field on the entity\'s post', 'wp-state-machine');
+    }
+
+    /**
+     * Get configuration fields
+     *
+     * @return array
+     */
+    public function getFields(): array {
+        return [
+            'key' => [
+                'label' => __('Meta key', 'wp-state-machine'),
+                'type' => 'text',
+                'placeholder' => '_approved_by'
+            ],
+            'value' => [
+                'label' => __('Value', 'wp-state-machine'),
+                'type' => 'text',
+                'placeholder' => '{user}'
+            ]
+        ];
+    }
+
+    /**
+     * Validate configuration
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors
+     */
+    public function validateConfig(array $config): array {
+        $errors = [];
+
+        if ($this->checkRequiredKeys($config, ['key'])) {
+            $errors[] = $this->validationError('key', __('is required', 'wp-state-machine'));
+        } elseif (!is_string($config['key']) || strlen($config['key']) > 255) {
+            $errors[] = $this->validationError('key', __('must be text of at most 255 characters', 'wp-state-machine'));
+        }
+
+        if (isset($config['value']) && !is_scalar($config['value'])) {
+            $errors[] = $this->validationError('value', __('must be text', 'wp-state-machine'));
+        }
+
+        return $errors;
+    }
+}
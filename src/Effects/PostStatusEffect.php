@@ -0,0 +1,129 @@
+<?php
+/**
+ * Post Status Effect
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/PostStatusEffect.php
+ *
+ * Description: Sets the post status of the transitioned entity, e.g.
+ *              publish the post when it reaches "approved". Only runs when
+ *              the entity is a post of the entity type (same rule as the
+ *              entity_data passed to guards).
+ *
+ * Config:
+ * - status : Post status slug (e.g. "publish", "draft", "private")
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+class PostStatusEffect extends AbstractEffect {
+
+    /**
+     * Update the post status
+     *
+     * @param array $context Transition context
+     * @return array Result array
+     */
+    public function execute(array $context): array {
+        $post = $this->getPost($context);
+        if (!$post) {
+            return $this->failure(
+                sprintf(
+                    __('%1$s #%2$d is not a post, so its status cannot be changed', 'wp-state-machine'),
+                    $context['entity_type'] ?? '',
+                    (int) ($context['entity_id'] ?? 0)
+                ),
+                'no_post'
+            );
+        }
+
+        $status = $this->getString('status');
+
+        if ($post->post_status === $status) {
+            return $this->success(
+                sprintf(__('Post status is already "%s"', 'wp-state-machine'), $status),
+                ['post_id' => $post->ID]
+            );
+        }
+
+        $result = wp_update_post([
+            'ID' => $post->ID,
+            'post_status' => $status
+        ], true);
+
+        if (is_wp_error($result)) {
+            return $this->failure($result->get_error_message(), 'update_failed', ['post_id' => $post->ID]);
+        }
+
+        return $this->success(
+            sprintf(__('Post status changed from "%1$s" to "%2$s"', 'wp-state-machine'), $post->post_status, $status),
+            ['post_id' => $post->ID]
+        );
+    }
+
+    /**
+     * Get effect name
+     *
+     * @return string
+     */
+    public function getName(): string {
+        return __('Update Post Status', 'wp-state-machine');
+    }
+
+    /**
+     * Get effect description
+     *
+     * @return string
+     */
+    public function getDescription(): string {
+        return __('Sets the status of the entity\'s post', 'wp-state-machine');
+    }
+
+    /**
+     * Get configuration fields
+     *
+     * @return array
+     */
+    public function getFields(): array {
+        $statuses = [];
+        foreach (get_post_stati(['internal' => false], 'objects') as $slug => $status) {
+            $statuses[$slug] = $status->label;
+        }
+
+        return [
+            'status' => [
+                'label' => __('New status', 'wp-state-machine'),
+                'type' => 'select',
+                'options' => $statuses
+            ]
+        ];
+    }
+
+    /**
+     * Validate configuration
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors
+     */
+    public function validateConfig(array $config): array {
+        if ($this->checkRequiredKeys($config, ['status'])) {
+            return [$this->validationError('status', __('is required', 'wp-state-machine'))];
+        }
+
+        if (!is_string($config['status']) || !get_post_status_object($config['status'])) {
+            return [sprintf(__('Post status "%s" does not exist', 'wp-state-machine'), is_string($config['status']) ? $config['status'] : gettype($config['status']))];
+        }
+
+        return [];
+    }
+}
@@ -0,0 +1,174 @@
+<?php
+/**
+ * User Role Effect
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/UserRoleEffect.php
+ *
+ * Description: Adds a role to a user after the transition, e.g. make the
+ *              applicant a "member" once their application is approved.
+ *              Existing roles are kept. Only users who can promote users
+ *              may configure it (checked by TransitionValidator).
+ *
+ * Config:
+ * - role : Role slug to add
+ * - user : Which user gets the role
+ *          - actor  : The user who applied the transition
+ *          - author : The author of the entity's post
+ *          - entity : The entity itself (entity type "user")
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+class UserRoleEffect extends AbstractEffect {
+
+    /**
+     * Users the role can be added to
+     *
+     * @var array
+     */
+    const TARGETS = ['actor', 'author', 'entity'];
+
+    /**
+     * Add the role to the target user
+     *
+     * @param array $context Transition context
+     * @return array Result array
+     */
+    public function execute(array $context): array {
+        $role = $this->getString('role');
+        $user = get_userdata($this->getTargetUserId($context));
+
+        if (!$user) {
+            return $this->failure(
+                sprintf(__('No user found to add the role "%s" to', 'wp-state-machine'), $role),
+                'no_user',
+                ['target' => $this->getString('user')]
+            );
+        }
+
+        if (in_array($role, (array) $user->roles, true)) {
+            return $this->success(
+                sprintf(__('%1$s already has the role "%2$s"', 'wp-state-machine'), $user->display_name, $role),
+                ['user_id' => $user->ID]
+            );
+        }
+
+        if (!wp_roles()->is_role($role)) {
+            return $this->failure(
+                sprintf(__('Role "%s" does not exist', 'wp-state-machine'), $role),
+                'invalid_role'
+            );
+        }
+
+        $user->add_role($role);
+
+        return $this->success(
+            sprintf(__('Role "%1$s" added to %2$s', 'wp-state-machine'), $role, $user->display_name),
+            ['user_id' => $user->ID]
+        );
+    }
+
+    /**
+     * Get effect name
+     *
+     * @return string
+     */
+    public function getName(): string {
+        return __('Add User to Role', 'wp-state-machine');
+    }
+
+    /**
+     * Get effect description
+     *
+     * @return string
+     */
+    public function getDescription(): string {
+        return __('Adds a role to a user, keeping their other roles', 'wp-state-machine');
+    }
+
+    /**
+     * Get configuration fields
+     *
+     * @return array
+     */
+    public function getFields(): array {
+        $roles = [];
+        foreach (wp_roles()->roles as $slug => $role) {
+            $roles[$slug] = translate_user_role($role['name']);
+        }
+
+        return [
+            'role' => [
+                'label' => __('Role', 'wp-state-machine'),
+                'type' => 'select',
+                'options' => $roles
+            ],
+            'user' => [
+                'label' => __('User', 'wp-state-machine'),
+                'type' => 'select',
+                'options' => [
+                    'actor' => __('User who applied the transition', 'wp-state-machine'),
+                    'author' => __('Author of the entity\'s post', 'wp-state-machine'),
+                    'entity' => __('The entity (entity type "user")', 'wp-state-machine')
+                ]
+            ]
+        ];
+    }
+
+    /**
+     * Validate configuration
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors
+     */
+    public function validateConfig(array $config): array {
+        $errors = [];
+
+        foreach ($this->checkRequiredKeys($config, ['role', 'user']) as $key) {
+            $errors[] = $this->validationError($key, __('is required', 'wp-state-machine'));
+        }
+
+        if (!empty($config['role']) && (!is_string($config['role']) || !wp_roles()->is_role($config['role']))) {
+            $errors[] = sprintf(__('Role "%s" does not exist', 'wp-state-machine'), is_string($config['role']) ? $config['role'] : gettype($config['role']));
+        }
+
+        if (!empty($config['user']) && !in_array($config['user'], self::TARGETS, true)) {
+            $errors[] = $this->validationError('user', sprintf(__('must be one of: %s', 'wp-state-machine'), implode(', ', self::TARGETS)));
+        }
+
+        return $errors;
+    }
+
+    /**
+     * ID of the user the role is added to
+     *
+     * @param array $context Transition context
+     * @return int User ID, 0 if there is none
+     */
+    protected function getTargetUserId(array $context): int {
+        switch ($this->getString('user')) {
+            case 'actor':
+                return (int) ($context['user_id'] ?? 0);
+
+            case 'author':
+                $post = $this->getPost($context);
+                return $post ? (int) $post->post_author : 0;
+
+            case 'entity':
+                return ($context['entity_type'] ?? '') === 'user' ? (int) ($context['entity_id'] ?? 0) : 0;
+        }
+
+        return 0;
+    }
+}
@@ -0,0 +1,200 @@
+<?php
+/**
+ * Webhook Effect
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Effects
+ * @version     1.0.1
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Effects/WebhookEffect.php
+ *
+ * Description: POSTs the transition as JSON to a local webhook URL, e.g. a
+ *              REST route of another plugin on this site. Only URLs on the
+ *              site's own host are accepted, so the admin cannot be used to
+ *              send data to third parties; the host is checked again when the
+ *              action runs and redirects are not followed. Any response
+ *              other than 2xx (a redirect included) is a failure.
+ *
+ * Config:
+ * - url : Webhook URL on this site
+ *
+ * Payload:
+ * ```json
+ * {
+ *     "event": "transition",
+ *     "log_id": 789,
+ *     "entity_type": "order",
+ *     "entity_id": 123,
+ *     "transition": {"id": 5, "label": "Approve"},
+ *     "from_state": "pending",
+ *     "to_state": "approved",
+ *     "user_id": 45,
+ *     "comment": "..."
+ * }
+ * ```
+ *
+ * Filters:
+ * - wp_state_machine_webhook_hosts: ($hosts) Hosts webhook URLs may point to
+ * - wp_state_machine_webhook_payload: ($payload, $context) Request body
+ *
+ * Changelog:
+ * 1.0.1 - 2026-10-19
+ * - Host checked again at run time; sent with wp_safe_remote_post() without following redirects and with SSL verification
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Effects;
+
+defined('ABSPATH') || exit;
+
+class WebhookEffect extends AbstractEffect {
+
+    /**
+     * Request timeout in seconds
+     *
+     * @var int
+     */
+    const TIMEOUT = 10;
+
+    /**
+     * POST the transition to the webhook URL
+     *
+     * @param array $context Transition context
+     * @return array Result array
+     */
+    public function execute(array $context): array {
+        $url = $this->getString('url');
+
+        // The host allowlist may have changed since the action was saved
+        $errors = $this->validateConfig(['url' => $url]);
+        if (!empty($errors)) {
+            return $this->failure(implode(', ', $errors), 'invalid_url', ['url' => $url]);
+        }
+
+        $payload = apply_filters('wp_state_machine_webhook_payload', [
+            'event' => 'transition',
+            'log_id' => (int) ($context['log_id'] ?? 0),
+            'entity_type' => $context['entity_type'] ?? '',
+            'entity_id' => (int) ($context['entity_id'] ?? 0),
+            'transition' => [
+                'id' => !empty($context['transition']) ? (int) $context['transition']->id : 0,
+                'label' => !empty($context['transition']) ? $context['transition']->label : ''
+            ],
+            'from_state' => !empty($context['from_state']) ? $context['from_state']->slug : null,
+            'to_state' => !empty($context['to_state']) ? $context['to_state']->slug : null,
+            'user_id' => (int) ($context['user_id'] ?? 0),
+            'comment' => $context['comment'] ?? ''
+        ], $context);
+
+        // No redirects: a redirect on the site could send the payload elsewhere
+        $response = wp_safe_remote_post($url, [
+            'timeout' => self::TIMEOUT,
+            'redirection' => 0,
+            'headers' => ['Content-Type' => 'application/json'],
+            'body' => wp_json_encode($payload)
+        ]);
+
+        if (is_wp_error($response)) {
+            return $this->failure(
+                sprintf(__('Webhook request failed: %s', 'wp-state-machine'), $response->get_error_message()),
+                'request_failed',
+                ['url' => $url]
+            );
+        }
+
+        $code = (int) wp_remote_retrieve_response_code($response);
+        if ($code < 200 || $code >= 300) {
+            return $this->failure(
+                sprintf(__('Webhook responded with HTTP %d', 'wp-state-machine'), $code),
+                'http_error',
+                ['url' => $url, 'status' => $code]
+            );
+        }
+
+        return $this->success(
+            sprintf(__('Webhook responded with HTTP %d', 'wp-state-machine'), $code),
+            ['url' => $url, 'status' => $code]
+        );
+    }
+
+    /**
+     * Get effect name
+     *
+     * @return string
+     */
+    public function getName(): string {
+        return __('Call Webhook', 'wp-state-machine');
+    }
+
+    /**
+     * Get effect description
+     *
+     * @return string
+     */
+    public function getDescription(): string {
+        return __('POSTs the transition as JSON to a URL on this site', 'wp-state-machine');
+    }
+
+    /**
+     * Get configuration fields
+     *
+     * @return array
+     */
+    public function getFields(): array {
+        return [
+            'url' => [
+                'label' => __('Webhook URL', 'wp-state-machine'),
+                'type' => 'url',
+                'placeholder' => rest_url('my-plugin/v1/transition'),
+                'description' => __('Must be on this site.', 'wp-state-machine')
+            ]
+        ];
+    }
+
+    /**
+     * Validate configuration
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors
+     */
+    public function validateConfig(array $config): array {
+        if ($this->checkRequiredKeys($config, ['url'])) {
+            return [$this->validationError('url', __('is required', 'wp-state-machine'))];
+        }
+
+        $url = is_string($config['url']) ? $config['url'] : '';
+        $parts = wp_parse_url($url);
+
+        if (!$parts || empty($parts['host']) || !in_array($parts['scheme'] ?? '', ['http', 'https'], true)) {
+            return [$this->validationError('url', __('must be a valid http(s) URL', 'wp-state-machine'))];
+        }
+
+        if (!in_array(strtolower($parts['host']), $this->getAllowedHosts(), true)) {
+            return [sprintf(
+                __('Webhook URL must point to this site (%s)', 'wp-state-machine'),
+                implode(', ', $this->getAllowedHosts())
+            )];
+        }
+
+        return [];
+    }
+
+    /**
+     * Hosts of this site that webhook URLs may point to
+     *
+     * @return array Lowercase host names
+     */
+    protected function getAllowedHosts(): array {
+        $hosts = [
+            wp_parse_url(home_url(), PHP_URL_HOST),
+            wp_parse_url(site_url(), PHP_URL_HOST)
+        ];
+
+        $hosts = (array) apply_filters('wp_state_machine_webhook_hosts', array_filter($hosts));
+
+        return array_values(array_unique(array_map('strtolower', $hosts)));
+    }
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Engine
- * @version     1.0.0
+ * @version     1.2.2
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Engine/StateMachineEngine.php
@@ -77,6 +77,20 @@
  * }
  * ```
  *
+ * Example 4: Dry-run every transition from the current state
+ * ```php
+ * $simulation = $engine->simulateTransitions([
+ *     'machine_slug' => 'order-workflow',
+ *     'entity_type' => 'order',
+ *     'entity_id' => 123,
+ *     'user_id' => 45
+ * ]);
+ *
+ * foreach ($simulation['transitions'] as $row) {
+ *     echo "{$row['transition']->label}: {$row['message']}";
+ * }
+ * ```
+ *
  * WordPress Hooks Fired:
  *
  * Before transition:
@@ -118,6 +132,13 @@
  * ]);
  * ```
  *
+ * Machine Versions:
+ * Once a machine is published (MachineVersionModel), each entity follows
+ * the version it started on: transitions, guards and target states come
+ * from that version's snapshot, not from the draft being edited. The
+ * version is recorded with every log entry (machine_version) and passed
+ * to hooks in the context. Never-published machines use the draft.
+ *
  * Architecture:
  * - Uses GuardFactory for permission checks
  * - Uses TransitionLogModel for audit trail
@@ -126,6 +147,25 @@
  * - Provides detailed error messages
  *
  * Changelog:
+ * 1.2.2 - 2026-10-19
+ * - getCurrentState() reads the latest log entry by id (TransitionLogModel::getLatestEntry()) instead of the whole history by created_at
+ *
+ * 1.2.1 - 2026-10-19
+ * - Added getEntityData(), shared by the simulator, bulk transitions and timed transitions
+ *
+ * 1.2.0 - 2026-10-19
+ * - Entities are pinned to the published machine version they started on (MachineVersionModel); never-published machines keep using the draft
+ * - Log entries record machine_version; hook context and simulateTransitions() report it
+ *
+ * 1.1.1 - 2026-10-19
+ * - Trashed machines, transitions and target states are treated as not found (machine lookups moved to findMachine())
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added simulateTransitions(): dry-run of every transition from the current state with per-guard results
+ * - Fixed getCurrentState() to scope to the machine and return the state, not the log row
+ * - Fixed getAvailableTransitions() model call; falls back to the initial state
+ * - machine_slug lookups use the new StateMachineModel::findBySlug()
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation for Prioritas #5
  * - Core transition methods
@@ -138,6 +178,7 @@
 namespace WPStateMachine\Engine;
 
 use WPStateMachine\Models\StateMachine\StateMachineModel;
+use WPStateMachine\Models\StateMachine\MachineVersionModel;
 use WPStateMachine\Models\State\StateModel;
 use WPStateMachine\Models\Transition\TransitionModel;
 use WPStateMachine\Models\TransitionLog\TransitionLogModel;
@@ -175,6 +216,13 @@ class StateMachineEngine {
      */
     private $log_model;
 
+    /**
+     * Machine Version Model instance
+     *
+     * @var MachineVersionModel
+     */
+    private $version_model;
+
     /**
      * Enable debug logging
      *
@@ -191,6 +239,7 @@ class StateMachineEngine {
         $this->state_model = new StateModel();
         $this->transition_model = new TransitionModel();
         $this->log_model = new TransitionLogModel();
+        $this->version_model = new MachineVersionModel();
 
         // Enable debug if WP_DEBUG is on
         $this->debug = (defined('WP_DEBUG') && WP_DEBUG);
@@ -259,7 +308,8 @@ class StateMachineEngine {
             'machine' => $machine,
             'transition' => $transition,
             'current_state' => $current_state,
-            'to_state' => $validation['to_state']
+            'to_state' => $validation['to_state'],
+            'version' => $validation['version']
         ]);
     }
 
@@ -290,6 +340,7 @@ class StateMachineEngine {
         $transition = $can_transition['data']['transition'];
         $from_state = $can_transition['data']['current_state'];
         $to_state = $can_transition['data']['to_state'];
+        $version = $can_transition['data']['version'];
         $entity_type = $params['entity_type'];
         $entity_id = $params['entity_id'];
         $user_id = $params['user_id'] ?? get_current_user_id();
@@ -308,7 +359,8 @@ class StateMachineEngine {
             'transition_id' => $transition->id,
             'user_id' => $user_id,
             'comment' => $params['comment'] ?? null,
-            'metadata' => $params['metadata'] ?? null
+            'metadata' => $params['metadata'] ?? null,
+            'machine_version' => $version ? (int) $version->version_number : null
         ]);
 
         if (!$log_id) {
@@ -363,29 +415,32 @@ class StateMachineEngine {
      */
     public function getAvailableTransitions(array $params, bool $check_guards = true): array {
         // Get machine
-        $machine = null;
-        if (!empty($params['machine_slug'])) {
-            $machine = $this->machine_model->findBySlug($params['machine_slug']);
-        } elseif (!empty($params['machine_id'])) {
-            $machine = $this->machine_model->find($params['machine_id']);
-        }
+        $machine = $this->findMachine($params);
 
         if (!$machine) {
             return [];
         }
 
-        // Get current state
+        // Get current state (initial state when the entity has no history)
         $current_state = $this->getCurrentState(
             $params['entity_type'],
             $params['entity_id'],
             $machine->id
         );
 
+        // Pinned entities follow their published version, others the draft
+        $version = $this->version_model->getEntityVersion((int) $machine->id, $params['entity_type'], (int) $params['entity_id']);
+
+        if (!$current_state) {
+            $current_state = $this->getInitialState($machine, $version);
+        }
+
+        if (!$current_state) {
+            return [];
+        }
+
         // Get available transitions from model
-        $transitions = $this->transition_model->getAvailableTransitions(
-            $machine->id,
-            $current_state ? $current_state->to_state_id : null
-        );
+        $transitions = $this->getTransitionsFrom($current_state, $version);
 
         // Filter by guard permissions if requested
         if ($check_guards && !empty($params['user_id'])) {
@@ -407,14 +462,90 @@ class StateMachineEngine {
 
     /**
      * Get current state for entity
+     * Taken from the entity's latest log entry for this machine; pinned
+     * entities get the state as published in their version
      *
      * @param string $entity_type Entity type
      * @param int $entity_id Entity ID
      * @param int $machine_id Machine ID
-     * @return object|null Current state log or null if no history
+     * @return object|null Current state or null if no history
      */
     public function getCurrentState(string $entity_type, int $entity_id, int $machine_id): ?object {
-        return $this->log_model->getCurrentState($entity_type, $entity_id);
+        // Latest by id, like bulk preview and analytics: several entries can share a second
+        $log = $this->log_model->getLatestEntry($machine_id, $entity_type, $entity_id);
+        if (!$log) {
+            return null;
+        }
+
+        $state = $this->state_model->find((int) $log->to_state_id);
+        $version = $state ? $this->version_model->getEntityVersion($machine_id, $entity_type, $entity_id) : null;
+
+        return ($version ? $this->version_model->getState($version, (int) $state->id) : null) ?: $state;
+    }
+
+    /**
+     * Simulate transitions for entity without applying anything
+     *
+     * Lists every transition leaving the entity's current state (the
+     * initial state when it has no history) with the canTransition()
+     * result, plus the result of each guard checked on its own so a
+     * failing guard in a combined guard_class can be pinpointed.
+     *
+     * @param array $params machine_id|machine_slug, entity_type, entity_id, user_id, entity_data, metadata
+     * @return array ['machine' => object, 'version' => int|null, 'current_state' => object|null, 'has_history' => bool, 'transitions' => array]
+     * @throws \Exception If machine not found
+     */
+    public function simulateTransitions(array $params): array {
+        $machine = $this->findMachine($params);
+
+        if (!$machine) {
+            throw new \Exception(__('State machine not found', 'wp-state-machine'));
+        }
+
+        $entity_id = (int) $params['entity_id'];
+        $user_id = (int) ($params['user_id'] ?? get_current_user_id());
+
+        $current_state = $this->getCurrentState($params['entity_type'], $entity_id, (int) $machine->id);
+        $has_history = (bool) $current_state;
+        $version = $this->version_model->getEntityVersion((int) $machine->id, $params['entity_type'], $entity_id);
+
+        if (!$current_state) {
+            $current_state = $this->getInitialState($machine, $version);
+        }
+
+        $results = [];
+        $transitions = $current_state ? $this->getTransitionsFrom($current_state, $version) : [];
+
+        foreach ($transitions as $transition) {
+            $check = $this->canTransition(array_merge($params, [
+                'machine_slug' => '',
+                'machine_id' => $machine->id,
+                'transition_id' => $transition->id,
+                'user_id' => $user_id
+            ]));
+
+            $results[] = [
+                'transition' => $transition,
+                'allowed' => $check['allowed'],
+                'code' => $check['code'],
+                'message' => $check['message'],
+                'guards' => $this->checkEachGuard($transition, $entity_id, $user_id, $params)
+            ];
+        }
+
+        $this->debug('Transitions simulated', [
+            'entity' => "{$params['entity_type']}:{$entity_id}",
+            'user_id' => $user_id,
+            'transitions' => count($results)
+        ]);
+
+        return [
+            'machine' => $machine,
+            'version' => $version ? (int) $version->version_number : null,
+            'current_state' => $current_state,
+            'has_history' => $has_history,
+            'transitions' => $results
+        ];
     }
 
     /**
@@ -429,6 +560,20 @@ class StateMachineEngine {
         return $this->log_model->getEntityHistory($entity_type, $entity_id, $limit);
     }
 
+    /**
+     * Entity data for OwnerGuard / CallbackGuard: the entity's post, if any
+     * Only a post whose post_type equals the entity type counts
+     *
+     * @param string $entity_type Entity type
+     * @param int $entity_id Entity ID
+     * @return array|null Post data
+     */
+    public function getEntityData(string $entity_type, int $entity_id): ?array {
+        $post = get_post($entity_id, ARRAY_A);
+
+        return ($post && $post['post_type'] === $entity_type) ? $post : null;
+    }
+
     // ========================================
     // VALIDATION & GUARD METHODS
     // ========================================
@@ -458,12 +603,7 @@ class StateMachineEngine {
         }
 
         // Get machine
-        $machine = null;
-        if (!empty($params['machine_slug'])) {
-            $machine = $this->machine_model->findBySlug($params['machine_slug']);
-        } elseif (!empty($params['machine_id'])) {
-            $machine = $this->machine_model->find($params['machine_id']);
-        }
+        $machine = $this->findMachine($params);
 
         if (!$machine) {
             return [
@@ -472,9 +612,13 @@ class StateMachineEngine {
             ];
         }
 
+        // Pinned entities use the transition as published in their version,
+        // even when the draft has changed or trashed it since
+        $version = $this->version_model->getEntityVersion((int) $machine->id, $params['entity_type'], (int) $params['entity_id']);
+
         // Get transition
         $transition = $this->transition_model->find($params['transition_id']);
-        if (!$transition) {
+        if (!$transition || (!$version && !empty($transition->deleted_at))) {
             return [
                 'valid' => false,
                 'message' => __('Transition not found', 'wp-state-machine')
@@ -496,9 +640,30 @@ class StateMachineEngine {
             $machine->id
         );
 
-        // Get from and to states
-        $from_state = $this->state_model->find($transition->from_state_id);
-        $to_state = $this->state_model->find($transition->to_state_id);
+        if ($version) {
+            $transition = $this->version_model->getTransition($version, (int) $transition->id);
+            if (!$transition) {
+                return [
+                    'valid' => false,
+                    'message' => sprintf(
+                        /* translators: %d: version number */
+                        __('Transition is not part of version %d of this state machine', 'wp-state-machine'),
+                        $version->version_number
+                    )
+                ];
+            }
+
+            $from_state = $this->version_model->getState($version, (int) $transition->from_state_id);
+            $to_state = $this->version_model->getState($version, (int) $transition->to_state_id);
+        } else {
+            // Get from and to states
+            $from_state = $this->state_model->find($transition->from_state_id);
+            $to_state = $this->state_model->find($transition->to_state_id);
+
+            if ($to_state && !empty($to_state->deleted_at)) {
+                $to_state = null;
+            }
+        }
 
         if (!$to_state) {
             return [
@@ -510,6 +675,7 @@ class StateMachineEngine {
         return [
             'valid' => true,
             'machine' => $machine,
+            'version' => $version,
             'transition' => $transition,
             'current_state' => $current_state,
             'from_state' => $from_state,
@@ -517,6 +683,50 @@ class StateMachineEngine {
         ];
     }
 
+    /**
+     * Find the machine from machine_slug or machine_id
+     * Trashed machines are treated as missing
+     *
+     * @param array $params Parameters with machine_slug or machine_id
+     * @return object|null Machine or null
+     */
+    private function findMachine(array $params): ?object {
+        $machine = null;
+        if (!empty($params['machine_slug'])) {
+            $machine = $this->machine_model->findBySlug($params['machine_slug']);
+        } elseif (!empty($params['machine_id'])) {
+            $machine = $this->machine_model->find($params['machine_id']);
+        }
+
+        return ($machine && empty($machine->deleted_at)) ? $machine : null;
+    }
+
+    /**
+     * Initial state of a published version, or of the draft when the machine was never published
+     *
+     * @param object $machine Machine
+     * @param object|null $version Version row
+     * @return object|null Initial state
+     */
+    private function getInitialState(object $machine, ?object $version): ?object {
+        return $version
+            ? $this->version_model->getInitialState($version)
+            : $this->state_model->getInitialState((int) $machine->id);
+    }
+
+    /**
+     * Transitions leaving a state in a published version, or in the draft
+     *
+     * @param object $state Current state
+     * @param object|null $version Version row
+     * @return array Transitions
+     */
+    private function getTransitionsFrom(object $state, ?object $version): array {
+        return $version
+            ? $this->version_model->getTransitionsFrom($version, (int) $state->id)
+            : $this->transition_model->getAvailableTransitions((int) $state->id);
+    }
+
     /**
      * Check guard permissions
      *
@@ -531,15 +741,8 @@ class StateMachineEngine {
             // Create guard instance
             $guard = GuardFactory::create($transition->guard_class, $this->debug);
 
-            // Build context
-            $context = [
-                'transition' => $transition,
-                'entity_data' => $params['entity_data'] ?? null,
-                'metadata' => $params['metadata'] ?? []
-            ];
-
             // Check guard
-            $result = $guard->check($entity_id, $user_id, $context);
+            $result = $guard->check($entity_id, $user_id, $this->buildGuardContext($transition, $params));
 
             $this->debug('Guard checked', [
                 'guard' => $transition->guard_class,
@@ -567,10 +770,72 @@ class StateMachineEngine {
         }
     }
 
+    /**
+     * Check every guard in guard_class on its own
+     * Unlike checkGuard(), does not stop at the first failure
+     *
+     * @param object $transition Transition object
+     * @param int $entity_id Entity ID
+     * @param int $user_id User ID
+     * @param array $params Additional parameters
+     * @return array Guard results ['group', 'guard_class', 'name', 'allowed', 'code', 'message']
+     */
+    private function checkEachGuard(object $transition, int $entity_id, int $user_id, array $params): array {
+        if (empty($transition->guard_class)) {
+            return [];
+        }
+
+        $results = [];
+        $context = $this->buildGuardContext($transition, $params);
+
+        foreach (GuardFactory::splitGuardClass($transition->guard_class) as $group_index => $group) {
+            foreach ($group as $guard_class) {
+                $result = [
+                    'group' => $group_index,
+                    'guard_class' => $guard_class,
+                    'name' => $guard_class
+                ];
+
+                try {
+                    $guard = GuardFactory::create($guard_class);
+                    $check = $guard->check($entity_id, $user_id, $context);
+
+                    $result['name'] = $guard->getName();
+                    $result['allowed'] = $check['allowed'];
+                    $result['code'] = $check['code'];
+                    $result['message'] = $check['message'];
+                } catch (\Exception $e) {
+                    $result['allowed'] = false;
+                    $result['code'] = 'guard_error';
+                    $result['message'] = $e->getMessage();
+                }
+
+                $results[] = $result;
+            }
+        }
+
+        return $results;
+    }
+
     // ========================================
     // HELPER METHODS
     // ========================================
 
+    /**
+     * Build context passed to guard checks
+     *
+     * @param object $transition Transition object
+     * @param array $params Parameters
+     * @return array Guard context
+     */
+    private function buildGuardContext(object $transition, array $params): array {
+        return [
+            'transition' => $transition,
+            'entity_data' => $params['entity_data'] ?? null,
+            'metadata' => $params['metadata'] ?? []
+        ];
+    }
+
     /**
      * Build context for hooks
      *
@@ -587,6 +852,7 @@ class StateMachineEngine {
             'from_state' => $from_state,
             'to_state' => $to_state,
             'transition' => $transition,
+            'machine_version' => $transition->machine_version ?? null,
             'user_id' => $params['user_id'] ?? get_current_user_id(),
             'comment' => $params['comment'] ?? null,
             'metadata' => $params['metadata'] ?? null,
@@ -0,0 +1,222 @@
+<?php
+/**
+ * Timed Transition Runner
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Engine
+ * @version     1.0.1
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Engine/TimedTransitionRunner.php
+ *
+ * Description: Applies transitions that carry a timeout (timeout_minutes)
+ *              to entities that have been in the transition's from state at
+ *              least that long, e.g. "after 48h in awaiting_payment, apply
+ *              expire". Runs on a WP-Cron event every five minutes and goes
+ *              through StateMachineEngine::applyTransition(), so guards,
+ *              logging and hooks behave as for a manual transition.
+ *
+ *              Transitions run as the machine's author (filterable); the log
+ *              entry is marked as system-triggered in its metadata
+ *              (trigger: timeout) and shown that way in the entity timeline.
+ *              Timeouts are read from the draft; entities pinned to a
+ *              published version only take transitions that version has.
+ *              An entity blocked by a guard is retried after RETRY_AFTER.
+ *
+ * Filters:
+ * - wp_state_machine_timed_transition_user: ($user_id, $transition) User the transition runs as
+ *
+ * Hooks Fired:
+ * - wp_state_machine_timed_transition_applied: ($transition, $entity_type, $entity_id, $log_id)
+ * - wp_state_machine_timed_transition_blocked: ($transition, $entity_type, $entity_id, $message)
+ *
+ * Changelog:
+ * 1.0.1 - 2026-10-19
+ * - Entity data comes from StateMachineEngine::getEntityData()
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Engine;
+
+use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
+
+defined('ABSPATH') || exit;
+
+class TimedTransitionRunner {
+    /**
+     * Cron hook running the overdue transitions
+     *
+     * @var string
+     */
+    const CRON_HOOK = 'wp_state_machine_run_timed_transitions';
+
+    /**
+     * Cron schedule of CRON_HOOK
+     *
+     * @var string
+     */
+    const CRON_SCHEDULE = 'wp_state_machine_five_minutes';
+
+    /**
+     * Most entities transitioned per run; the rest follow on the next run
+     *
+     * @var int
+     */
+    const BATCH_SIZE = 100;
+
+    /**
+     * Seconds before an entity blocked by a guard is tried again
+     *
+     * @var int
+     */
+    const RETRY_AFTER = HOUR_IN_SECONDS;
+
+    /**
+     * Transient marking a run in progress
+     *
+     * @var string
+     */
+    const LOCK_KEY = 'wp_state_machine_timed_transitions_lock';
+
+    /**
+     * Transient holding recently blocked entities ("transition:type:id" => retry time)
+     *
+     * @var string
+     */
+    const BLOCKED_KEY = 'wp_state_machine_timed_transitions_blocked';
+
+    /**
+     * Register the cron schedule and event callback
+     *
+     * @return void
+     */
+    public function registerHooks(): void {
+        add_filter('cron_schedules', [$this, 'addSchedule']);
+        add_action(self::CRON_HOOK, [$this, 'run']);
+    }
+
+    /**
+     * Add the five-minute cron schedule
+     *
+     * @param array $schedules Registered schedules
+     * @return array Schedules
+     */
+    public function addSchedule($schedules): array {
+        $schedules[self::CRON_SCHEDULE] = [
+            'interval' => 5 * MINUTE_IN_SECONDS,
+            'display' => __('Every five minutes (State Machine timed transitions)', 'wp-state-machine')
+        ];
+
+        return $schedules;
+    }
+
+    /**
+     * Apply every overdue timed transition (cron callback)
+     *
+     * @return void
+     */
+    public function run(): void {
+        // One run at a time, so no entity is transitioned twice
+        if (get_transient(self::LOCK_KEY)) {
+            return;
+        }
+        set_transient(self::LOCK_KEY, 1, 10 * MINUTE_IN_SECONDS);
+
+        $previous_user = get_current_user_id();
+
+        try {
+            $log_model = new TransitionLogModel();
+            $engine = new StateMachineEngine();
+            $blocked = $this->getBlocked();
+            $remaining = self::BATCH_SIZE;
+
+            foreach ((new TransitionModel())->getTimed() as $transition) {
+                if ($remaining <= 0) {
+                    break;
+                }
+
+                $user_id = (int) apply_filters('wp_state_machine_timed_transition_user', (int) $transition->machine_created_by, $transition);
+                if ($user_id <= 0) {
+                    error_log("Timed Transition Error: no user to run transition {$transition->id} as");
+                    continue;
+                }
+
+                $entities = $log_model->getEntitiesInState(
+                    (int) $transition->machine_id,
+                    (int) $transition->from_state_id,
+                    '',
+                    (int) $transition->timeout_minutes
+                );
+
+                // Guards and hooks see the user the transition runs as
+                wp_set_current_user($user_id);
+
+                foreach ($entities as $entity) {
+                    if ($remaining <= 0) {
+                        break;
+                    }
+
+                    $key = "{$transition->id}:{$entity->entity_type}:{$entity->entity_id}";
+                    if (isset($blocked[$key])) {
+                        continue;
+                    }
+
+                    $remaining--;
+
+                    $result = $engine->applyTransition([
+                        'machine_id' => (int) $transition->machine_id,
+                        'entity_type' => $entity->entity_type,
+                        'entity_id' => (int) $entity->entity_id,
+                        'transition_id' => (int) $transition->id,
+                        'user_id' => $user_id,
+                        'comment' => sprintf(
+                            __('System: applied automatically after %1$s in "%2$s"', 'wp-state-machine'),
+                            human_time_diff(0, (int) $transition->timeout_minutes * MINUTE_IN_SECONDS),
+                            $transition->from_state_name
+                        ),
+                        'metadata' => [
+                            'trigger' => 'timeout',
+                            'timeout_minutes' => (int) $transition->timeout_minutes
+                        ],
+                        'entity_data' => $engine->getEntityData($entity->entity_type, (int) $entity->entity_id)
+                    ]);
+
+                    if ($result['success']) {
+                        do_action('wp_state_machine_timed_transition_applied', $transition, $entity->entity_type, (int) $entity->entity_id, (int) $result['data']['log_id']);
+                    } else {
+                        $blocked[$key] = time() + self::RETRY_AFTER;
+                        do_action('wp_state_machine_timed_transition_blocked', $transition, $entity->entity_type, (int) $entity->entity_id, $result['message']);
+                    }
+                }
+            }
+
+            set_transient(self::BLOCKED_KEY, $blocked, DAY_IN_SECONDS);
+        } catch (\Exception $e) {
+            error_log('Timed Transition Error: ' . $e->getMessage());
+        }
+
+        wp_set_current_user($previous_user);
+        delete_transient(self::LOCK_KEY);
+    }
+
+    /**
+     * Blocked entities still waiting for their retry time
+     *
+     * @return array "transition:type:id" => retry timestamp
+     */
+    private function getBlocked(): array {
+        $blocked = get_transient(self::BLOCKED_KEY);
+        if (!is_array($blocked)) {
+            return [];
+        }
+
+        $now = time();
+
+        return array_filter($blocked, function($retry_at) use ($now) {
+            return $retry_at > $now;
+        });
+    }
+}
@@ -0,0 +1,106 @@
+<?php
+/**
+ * Transition Effect Runner
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Engine
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Engine/TransitionEffectRunner.php
+ *
+ * Description: Runs the actions configured on a transition (effects
+ *              column, see EffectFactory) after it was applied. Hooks
+ *              wp_state_machine_after_transition, so actions run for manual,
+ *              bulk and timed transitions alike, after the log entry exists.
+ *
+ *              Actions run in their configured order. A failing action does
+ *              not stop the ones after it and never undoes the transition;
+ *              every result is written to the log entry's metadata (effects)
+ *              and failures are shown in the logs and entity timeline.
+ *              Entities pinned to a published version run the actions of
+ *              that version.
+ *
+ * Hooks Fired:
+ * - wp_state_machine_effect_failed: ($result, $context) One action failed
+ * - wp_state_machine_effects_executed: ($results, $context) All actions of a transition ran
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Engine;
+
+use WPStateMachine\Effects\EffectFactory;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
+
+defined('ABSPATH') || exit;
+
+class TransitionEffectRunner {
+    /**
+     * Run actions after every applied transition
+     *
+     * @return void
+     */
+    public function registerHooks(): void {
+        add_action('wp_state_machine_after_transition', [$this, 'run']);
+    }
+
+    /**
+     * Run the transition's actions in order and record the results
+     *
+     * @param array $context Context of wp_state_machine_after_transition
+     * @return void
+     */
+    public function run($context): void {
+        if (!is_array($context) || empty($context['transition']) || empty($context['transition']->effects)) {
+            return;
+        }
+
+        $entries = EffectFactory::parseEffects($context['transition']->effects);
+        if (empty($entries)) {
+            return;
+        }
+
+        $results = [];
+
+        foreach ($entries as $entry) {
+            try {
+                $effect = EffectFactory::create($entry['type'], $entry['config']);
+                $result = $effect->execute($context);
+                $name = $effect->getName();
+            } catch (\Exception $e) {
+                $result = ['success' => false, 'message' => $e->getMessage(), 'code' => 'effect_error'];
+                $name = $entry['type'];
+            }
+
+            $result = [
+                'type' => $entry['type'],
+                'name' => $name,
+                'success' => (bool) $result['success'],
+                'message' => (string) $result['message'],
+                'code' => (string) ($result['code'] ?? '')
+            ];
+            $results[] = $result;
+
+            if (!$result['success']) {
+                error_log(sprintf(
+                    'Transition Effect Error: %s on %s #%d (log %d): %s',
+                    $entry['type'],
+                    $context['entity_type'] ?? '',
+                    (int) ($context['entity_id'] ?? 0),
+                    (int) ($context['log_id'] ?? 0),
+                    $result['message']
+                ));
+                do_action('wp_state_machine_effect_failed', $result, $context);
+            }
+        }
+
+        if (!empty($context['log_id'])) {
+            (new TransitionLogModel())->mergeMetadata((int) $context['log_id'], ['effects' => $results]);
+        }
+
+        do_action('wp_state_machine_effects_executed', $results, $context);
+    }
+}
@@ -0,0 +1,153 @@
+<?php
+/**
+ * Composite Guard
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Guards
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Guards/CompositeGuard.php
+ *
+ * Description: Combines several guards with AND / OR.
+ *              Created by GuardFactory when a guard_class string contains
+ *              "&&" or "||". AND binds tighter than OR, so the guards are
+ *              held as OR-ed groups of AND-ed guards.
+ *
+ * Configuration Format:
+ * ```
+ * "RoleGuard:editor && OwnerGuard:author_id || RoleGuard:administrator"
+ * // (editor AND owner) OR administrator
+ * ```
+ *
+ * Usage:
+ * ```php
+ * $guard = GuardFactory::create('RoleGuard:editor && CapabilityGuard:publish_posts');
+ * $result = $guard->check($entity_id, $user_id, $context);
+ * ```
+ *
+ * Return Structure:
+ * ```php
+ * [
+ *     'allowed' => true|false,
+ *     'message' => 'Message of the passing group, or failure messages joined',
+ *     'code' => 'success|guard_failed',
+ *     'data' => [
+ *         'results' => [...]  // Result of every guard that was checked
+ *     ]
+ * ]
+ * ```
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Guards;
+
+defined('ABSPATH') || exit;
+
+class CompositeGuard extends AbstractGuard {
+
+    /**
+     * OR-ed groups of AND-ed guards
+     *
+     * @var GuardInterface[][]
+     */
+    protected $groups = [];
+
+    /**
+     * Add a group of guards that must all pass
+     *
+     * @param GuardInterface[] $guards Guard instances
+     * @return self
+     */
+    public function addGroup(array $guards): self {
+        $this->groups[] = $guards;
+        return $this;
+    }
+
+    /**
+     * Get guard groups
+     *
+     * @return GuardInterface[][] Guard groups
+     */
+    public function getGroups(): array {
+        return $this->groups;
+    }
+
+    /**
+     * Check if transition is allowed
+     * Passes as soon as one group passes; a group stops at its first failure
+     *
+     * @param int $entity_id Entity being transitioned
+     * @param int $user_id User attempting transition
+     * @param array $context Additional context
+     * @return array Result array
+     */
+    public function check(int $entity_id, int $user_id, array $context = []): array {
+        $results = [];
+        $failures = [];
+
+        foreach ($this->groups as $group) {
+            $group_passed = true;
+
+            foreach ($group as $guard) {
+                $result = $guard->check($entity_id, $user_id, $context);
+                $results[] = [
+                    'guard' => $guard->getName(),
+                    'allowed' => $result['allowed'],
+                    'message' => $result['message']
+                ];
+
+                if (!$result['allowed']) {
+                    $failures[] = $result['message'];
+                    $group_passed = false;
+                    break;
+                }
+            }
+
+            if ($group_passed) {
+                return $this->success(
+                    __('All guards in a matching group passed', 'wp-state-machine'),
+                    ['results' => $results]
+                );
+            }
+        }
+
+        return $this->failure(
+            implode(' ', array_unique($failures)),
+            'guard_failed',
+            ['results' => $results]
+        );
+    }
+
+    /**
+     * Get guard name
+     *
+     * @return string Guard name
+     */
+    public function getName(): string {
+        return __('Composite Guard', 'wp-state-machine');
+    }
+
+    /**
+     * Get guard description
+     *
+     * @return string Guard description
+     */
+    public function getDescription(): string {
+        return __('Combines several guards with AND / OR', 'wp-state-machine');
+    }
+
+    /**
+     * Validate configuration
+     * Child guards are validated by GuardFactory when they are created
+     *
+     * @param array $config Configuration to validate
+     * @return array Validation errors
+     */
+    public function validateConfig(array $config): array {
+        return [];
+    }
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Guards
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Guards/GuardFactory.php
@@ -16,7 +16,10 @@
  * Guard Class Format:
  * ```
  * "GuardType:param1,param2,param3"
+ * "GuardType:param1 && GuardType:param2 || GuardType:param3"
  * ```
+ * Guards combined with "&&" / "||" become a CompositeGuard.
+ * "&&" binds tighter than "||".
  *
  * Supported Guards:
  * - RoleGuard: Check user roles
@@ -47,7 +50,13 @@
  * $guard = GuardFactory::create('CallbackGuard:check_business_hours');
  * ```
  *
- * Example 5: From transition object
+ * Example 5: Combine guards
+ * ```php
+ * // (editor AND owner) OR administrator
+ * $guard = GuardFactory::create('RoleGuard:editor && OwnerGuard:author_id || RoleGuard:administrator');
+ * ```
+ *
+ * Example 6: From transition object
  * ```php
  * $transition = $transition_model->find($transition_id);
  * if (!empty($transition->guard_class)) {
@@ -100,6 +109,10 @@
  * - Clear error messages
  *
  * Changelog:
+ * 1.1.0 - 2026-10-19
+ * - Combine guards with && / || into a CompositeGuard (splitGuardClass)
+ * - validate() runs each guard's validateConfig() and reports errors per guard
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation for Prioritas #4
  * - Support for all default guards
@@ -114,6 +127,16 @@ defined('ABSPATH') || exit;
 
 class GuardFactory {
 
+    /**
+     * Operator joining guards that must all pass
+     */
+    const OPERATOR_AND = '&&';
+
+    /**
+     * Operator joining alternative guard groups
+     */
+    const OPERATOR_OR = '||';
+
     /**
      * Default guard type mapping
      *
@@ -135,6 +158,12 @@ class GuardFactory {
      * @throws \Exception If guard type is invalid or configuration is invalid
      */
     public static function create(string $guard_class, bool $enable_logging = false): GuardInterface {
+        // Combined guards are checked by a CompositeGuard
+        $groups = self::splitGuardClass($guard_class);
+        if (count($groups) > 1 || count($groups[0]) > 1) {
+            return self::createComposite($groups, $enable_logging);
+        }
+
         // Parse guard class string
         $parsed = self::parseGuardClass($guard_class);
 
@@ -210,6 +239,48 @@ class GuardFactory {
         return $guard;
     }
 
+    /**
+     * Create composite guard from split guard groups
+     *
+     * @param array $groups Guard strings grouped by splitGuardClass()
+     * @param bool $enable_logging Enable guard logging
+     * @return CompositeGuard Composite guard instance
+     * @throws \Exception If any of the guards is invalid
+     */
+    private static function createComposite(array $groups, bool $enable_logging): CompositeGuard {
+        $composite = new CompositeGuard();
+        $composite->enableLogging($enable_logging);
+
+        foreach ($groups as $group) {
+            $guards = [];
+            foreach ($group as $guard_class) {
+                $guards[] = self::create($guard_class, $enable_logging);
+            }
+            $composite->addGroup($guards);
+        }
+
+        return $composite;
+    }
+
+    /**
+     * Split guard_class string into OR-ed groups of AND-ed guard strings
+     *
+     * Format: "A:x && B:y || C:z" => [["A:x", "B:y"], ["C:z"]]
+     * Empty parts are kept so validation can report them.
+     *
+     * @param string $guard_class Guard class string
+     * @return array Groups of guard strings
+     */
+    public static function splitGuardClass(string $guard_class): array {
+        $groups = [];
+
+        foreach (explode(self::OPERATOR_OR, $guard_class) as $group) {
+            $groups[] = array_map('trim', explode(self::OPERATOR_AND, $group));
+        }
+
+        return $groups;
+    }
+
     /**
      * Parse guard_class string into type and config
      *
@@ -301,40 +372,92 @@ class GuardFactory {
     }
 
     /**
-     * Validate guard_class string format
-     * Checks if string is valid without instantiating guard
+     * Validate guard_class string
+     * Instantiates each guard to run its validateConfig(), without
+     * throwing. Errors are also reported per guard, in string order,
+     * so the guard builder can show them next to the matching row.
      *
      * @param string $guard_class Guard class string
-     * @return array Validation result ['valid' => bool, 'errors' => array]
+     * @return array Validation result ['valid' => bool, 'errors' => array, 'parsed' => array|null, 'guards' => array]
      */
     public static function validate(string $guard_class): array {
         $errors = [];
+        $guards = [];
+
+        foreach (self::splitGuardClass($guard_class) as $group) {
+            foreach ($group as $part) {
+                $result = self::validateGuard($part);
+                $guards[] = $result;
+
+                foreach ($result['errors'] as $error) {
+                    $errors[] = $result['type'] !== '' ? sprintf('%s: %s', $result['type'], $error) : $error;
+                }
+            }
+        }
+
+        $parsed = null;
+        if (count($guards) === 1 && $guards[0]['type'] !== '') {
+            $parsed = [
+                'type' => $guards[0]['type'],
+                'config' => $guards[0]['config']
+            ];
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors,
+            'parsed' => $parsed,
+            'guards' => $guards
+        ];
+    }
+
+    /**
+     * Validate a single guard string
+     *
+     * @param string $guard_class Single guard string (no operators)
+     * @return array ['guard_class' => string, 'type' => string, 'config' => array, 'errors' => array]
+     */
+    private static function validateGuard(string $guard_class): array {
+        $result = [
+            'guard_class' => $guard_class,
+            'type' => '',
+            'config' => [],
+            'errors' => []
+        ];
 
-        // Parse guard class
         $parsed = self::parseGuardClass($guard_class);
 
         if (!$parsed) {
-            return [
-                'valid' => false,
-                'errors' => [__('Invalid guard class format', 'wp-state-machine')]
-            ];
+            $result['errors'][] = __('Invalid guard class format', 'wp-state-machine');
+            return $result;
         }
 
-        $guard_type = $parsed['type'];
-        $config = $parsed['config'];
+        $result['type'] = $parsed['type'];
+        $result['config'] = array_values($parsed['config']);
+
+        $guard_types = apply_filters('wp_state_machine_guard_types', self::$guard_types);
 
         // Check if guard type exists
-        if (!self::guardExists($guard_type)) {
-            $errors[] = sprintf(
+        if (!isset($guard_types[$parsed['type']])) {
+            $result['errors'][] = sprintf(
                 __('Unknown guard type: %s', 'wp-state-machine'),
-                $guard_type
+                $parsed['type']
             );
+            return $result;
         }
 
-        return [
-            'valid' => empty($errors),
-            'errors' => $errors,
-            'parsed' => $parsed
-        ];
+        $class = $guard_types[$parsed['type']];
+        if (!class_exists($class) || !is_subclass_of($class, GuardInterface::class)) {
+            $result['errors'][] = sprintf(
+                __('Guard class must implement GuardInterface: %s', 'wp-state-machine'),
+                $class
+            );
+            return $result;
+        }
+
+        $guard = new $class();
+        $result['errors'] = array_values($guard->validateConfig($result['config']));
+
+        return $result;
     }
 }
@@ -7,7 +7,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Models
- * @version     1.0.0
+ * @version     1.1.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Models/AbstractStateMachineModel.php
@@ -49,6 +49,7 @@
  *     // ✅ create() - inherited FREE with hooks!
  *     // ✅ update() - inherited FREE!
  *     // ✅ delete() - inherited FREE!
+ *     // ✅ trash() / restore() - inherited FREE!
  * }
  * ```
  *
@@ -59,6 +60,12 @@
  * - Single source of truth for CRUD
  *
  * Changelog:
+ * 1.1.1 - 2026-10-19
+ * - purgeTrash() takes IDs to keep
+ *
+ * 1.1.0 - 2026-10-19
+ * - Soft delete: trash(), restore(), countTrashed(), purgeTrash() with trashDependents()/restoreDependents() for child models
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation as standalone base class
  * - CRUD operations: find(), create(), update(), delete()
@@ -416,6 +423,163 @@ abstract class AbstractStateMachineModel {
         }
     }
 
+    // ========================================
+    // TRASH METHODS (Soft delete)
+    // ========================================
+
+    /**
+     * Move entity to trash
+     * Sets deleted_at; delete() removes the row for good
+     *
+     * Fires hooks:
+     * - wp_state_machine_{entity}_before_trash
+     * - wp_state_machine_{entity}_trashed
+     *
+     * @param int $id Entity ID
+     * @return bool True on success, false if missing or already trashed
+     */
+    public function trash(int $id): bool {
+        global $wpdb;
+
+        try {
+            $current = $this->find($id);
+            if (!$current || !empty($current->deleted_at)) {
+                return false;
+            }
+
+            $entity = $this->getEntityName();
+            do_action("wp_state_machine_{$entity}_before_trash", $id, $current);
+
+            $deleted_at = current_time('mysql');
+            $result = $wpdb->update(
+                $this->getTableName(),
+                ['deleted_at' => $deleted_at],
+                ['id' => $id],
+                ['%s'],
+                ['%d']
+            );
+
+            if ($result === false) {
+                return false;
+            }
+
+            $this->trashDependents($current, $deleted_at);
+            $this->invalidateCache($id);
+
+            do_action("wp_state_machine_{$entity}_trashed", $id, $current);
+
+            return true;
+
+        } catch (\Exception $e) {
+            error_log("AbstractStateMachineModel::trash() error: " . $e->getMessage());
+            return false;
+        }
+    }
+
+    /**
+     * Restore entity from trash
+     * Dependents trashed together with it are restored as well
+     *
+     * Fires hook:
+     * - wp_state_machine_{entity}_restored
+     *
+     * @param int $id Entity ID
+     * @return bool True on success, false if missing or not trashed
+     */
+    public function restore(int $id): bool {
+        global $wpdb;
+
+        try {
+            $current = $this->find($id);
+            if (!$current || empty($current->deleted_at)) {
+                return false;
+            }
+
+            $result = $wpdb->query($wpdb->prepare(
+                "UPDATE {$this->getTableName()} SET deleted_at = NULL WHERE id = %d",
+                $id
+            ));
+
+            if ($result === false) {
+                return false;
+            }
+
+            $this->restoreDependents($current, $current->deleted_at);
+            $this->invalidateCache($id);
+
+            $entity = $this->getEntityName();
+            do_action("wp_state_machine_{$entity}_restored", $id, $current);
+
+            return true;
+
+        } catch (\Exception $e) {
+            error_log("AbstractStateMachineModel::restore() error: " . $e->getMessage());
+            return false;
+        }
+    }
+
+    /**
+     * Count trashed entities
+     *
+     * @return int Number of trashed rows
+     */
+    public function countTrashed(): int {
+        global $wpdb;
+
+        return (int) $wpdb->get_var(
+            "SELECT COUNT(*) FROM {$this->getTableName()} WHERE deleted_at IS NOT NULL"
+        );
+    }
+
+    /**
+     * Permanently delete entities trashed more than $days days ago
+     *
+     * @param int $days Days an entity stays in the trash
+     * @param array $keep_ids IDs to keep in the trash regardless of age
+     * @return array Deleted entity rows
+     */
+    public function purgeTrash(int $days, array $keep_ids = []): array {
+        global $wpdb;
+
+        $ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT id FROM {$this->getTableName()}
+             WHERE deleted_at IS NOT NULL AND deleted_at < %s",
+            date('Y-m-d H:i:s', current_time('timestamp') - $days * DAY_IN_SECONDS)
+        ));
+
+        $purged = [];
+        foreach (array_diff(array_map('intval', $ids), $keep_ids) as $id) {
+            $row = $this->find((int) $id);
+            if ($row && $this->delete((int) $id)) {
+                $purged[] = $row;
+            }
+        }
+
+        return $purged;
+    }
+
+    /**
+     * Trash rows that depend on a trashed entity
+     * Child models mark them with the same deleted_at so restore() can
+     * bring back exactly what was trashed together
+     *
+     * @param object $entity Entity being trashed
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function trashDependents(object $entity, string $deleted_at): void {
+    }
+
+    /**
+     * Restore rows trashed together with an entity
+     *
+     * @param object $entity Entity being restored (still carrying deleted_at)
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function restoreDependents(object $entity, string $deleted_at): void {
+    }
+
     // ========================================
     // UTILITY METHODS
     // ========================================
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Models/State
- * @version     1.0.0
+ * @version     1.3.4
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Models/State/StateModel.php
@@ -16,6 +16,7 @@
  * Dependencies:
  * - AbstractStateMachineModel: Base CRUD operations
  * - StateMachineCacheManager: Caching layer
+ * - TransitionModel, TransitionLogModel: State merge
  * - WordPress $wpdb: Database operations
  *
  * Hooks Fired (via AbstractStateMachineModel):
@@ -25,7 +26,36 @@
  * - wp_state_machine_state_before_delete: Before state deletion
  * - wp_state_machine_state_deleted: After state deletion
  *
+ * Hooks Fired (by this model):
+ * - wp_state_machine_states_reordered: After reorder() ($machine_id, $sort_data)
+ * - wp_state_machine_state_merged: After merge() ($source_id, $target_id, $result)
+ *
  * Changelog:
+ * 1.3.4 - 2026-10-19
+ * - merge() drops "Add User to Role" actions from copies the current user may not add (dropped_role_effects)
+ *
+ * 1.3.3 - 2026-10-19
+ * - Added slugInTrash() so a slug held by a trashed state gets its own validation message
+ *
+ * 1.3.2 - 2026-10-19
+ * - Merge copies the transition effects (actions)
+ *
+ * 1.3.1 - 2026-10-19
+ * - merge() copies the transition timeout
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added merge(): moves a state's entities to another state, optionally copies its transitions onto it, then trashes it
+ *
+ * 1.2.1 - 2026-10-19
+ * - reorder() fires wp_state_machine_states_reordered
+ *
+ * 1.2.0 - 2026-10-19
+ * - Soft delete: trashing a state trashes the transitions using it, restore brings back the ones trashed with it
+ * - Machine, type and count queries skip trashed states
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added reorder(): batch sort_order for drag-to-reorder
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation extending AbstractStateMachineModel
  * - CRUD operations inherited from base class
@@ -36,7 +66,10 @@
 namespace WPStateMachine\Models\State;
 
 use WPStateMachine\Models\AbstractStateMachineModel;
+use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
 use WPStateMachine\Cache\StateMachineCacheManager;
+use WPStateMachine\Effects\EffectFactory;
 
 defined('ABSPATH') || exit;
 
@@ -180,6 +213,70 @@ class StateModel extends AbstractStateMachineModel {
         }
     }
 
+    /**
+     * Trash the transitions that use this state
+     *
+     * @param object $entity State being trashed
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function trashDependents(object $entity, string $deleted_at): void {
+        global $wpdb;
+
+        $wpdb->query($wpdb->prepare(
+            "UPDATE {$wpdb->prefix}app_sm_transitions
+             SET deleted_at = %s
+             WHERE (from_state_id = %d OR to_state_id = %d) AND deleted_at IS NULL",
+            $deleted_at,
+            $entity->id,
+            $entity->id
+        ));
+
+        $this->invalidateTransitionCaches((int) $entity->machine_id);
+    }
+
+    /**
+     * Restore transitions trashed together with this state
+     * A transition whose other state is still in the trash stays there
+     *
+     * @param object $entity State being restored
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function restoreDependents(object $entity, string $deleted_at): void {
+        global $wpdb;
+
+        $states_table = $this->getTableName();
+
+        $wpdb->query($wpdb->prepare(
+            "UPDATE {$wpdb->prefix}app_sm_transitions t
+             INNER JOIN {$states_table} fs ON t.from_state_id = fs.id
+             INNER JOIN {$states_table} ts ON t.to_state_id = ts.id
+             SET t.deleted_at = NULL
+             WHERE (t.from_state_id = %d OR t.to_state_id = %d)
+             AND t.deleted_at = %s
+             AND fs.deleted_at IS NULL
+             AND ts.deleted_at IS NULL",
+            $entity->id,
+            $entity->id,
+            $deleted_at
+        ));
+
+        $this->invalidateTransitionCaches((int) $entity->machine_id);
+    }
+
+    /**
+     * Clear transition caches after transitions moved in or out of the trash
+     *
+     * @param int $machine_id State machine ID
+     * @return void
+     */
+    private function invalidateTransitionCaches(int $machine_id): void {
+        $this->cache->delete('transitions_by_machine', $machine_id);
+        $this->cache->invalidateDataTableCache('transitions_list');
+        $this->cache->delete('transitions_count', 'total');
+    }
+
     // ========================================
     // CUSTOM METHODS (State specific)
     // ========================================
@@ -201,7 +298,7 @@ class StateModel extends AbstractStateMachineModel {
 
         $sql = $wpdb->prepare(
             "SELECT * FROM {$this->getTableName()}
-             WHERE machine_id = %d
+             WHERE machine_id = %d AND deleted_at IS NULL
              ORDER BY sort_order ASC, name ASC",
             $machine_id
         );
@@ -225,7 +322,7 @@ class StateModel extends AbstractStateMachineModel {
 
         $sql = $wpdb->prepare(
             "SELECT * FROM {$this->getTableName()}
-             WHERE machine_id = %d AND type = 'initial'
+             WHERE machine_id = %d AND type = 'initial' AND deleted_at IS NULL
              LIMIT 1",
             $machine_id
         );
@@ -244,7 +341,7 @@ class StateModel extends AbstractStateMachineModel {
 
         $sql = $wpdb->prepare(
             "SELECT * FROM {$this->getTableName()}
-             WHERE machine_id = %d AND type = 'final'
+             WHERE machine_id = %d AND type = 'final' AND deleted_at IS NULL
              ORDER BY sort_order ASC, name ASC",
             $machine_id
         );
@@ -269,7 +366,7 @@ class StateModel extends AbstractStateMachineModel {
 
         $sql = $wpdb->prepare(
             "SELECT * FROM {$this->getTableName()}
-             WHERE machine_id = %d AND type = %s
+             WHERE machine_id = %d AND type = %s AND deleted_at IS NULL
              ORDER BY sort_order ASC, name ASC",
             $machine_id,
             $type
@@ -305,6 +402,32 @@ class StateModel extends AbstractStateMachineModel {
         return $count > 0;
     }
 
+    /**
+     * Check if the state using a slug is in the Trash
+     * Trashed rows still hold the unique key, so they block the slug
+     *
+     * @param int $machine_id State machine ID
+     * @param string $slug State slug
+     * @param int|null $exclude_id State ID to exclude
+     * @return bool True if a trashed state uses the slug
+     */
+    public function slugInTrash(int $machine_id, string $slug, ?int $exclude_id = null): bool {
+        global $wpdb;
+
+        $sql = $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->getTableName()}
+             WHERE machine_id = %d AND slug = %s AND deleted_at IS NOT NULL",
+            $machine_id,
+            $slug
+        );
+
+        if ($exclude_id !== null) {
+            $sql .= $wpdb->prepare(" AND id != %d", $exclude_id);
+        }
+
+        return $wpdb->get_var($sql) > 0;
+    }
+
     /**
      * Get state by slug within a machine
      *
@@ -358,6 +481,150 @@ class StateModel extends AbstractStateMachineModel {
         return $success;
     }
 
+    /**
+     * Reorder states of a machine
+     * The ordered IDs take the positions they currently occupy in the
+     * machine's order (so a reordered page keeps its place among the other
+     * states), then the whole machine is renumbered 1..n
+     *
+     * @param int $machine_id State machine ID
+     * @param array $ordered_ids State IDs in their new order
+     * @return array|null New ['id' => sort_order] map, null if an ID is not in the machine
+     */
+    public function reorder(int $machine_id, array $ordered_ids): ?array {
+        $current_ids = array_map('intval', wp_list_pluck($this->getByMachine($machine_id), 'id'));
+        $ordered_ids = array_values(array_unique(array_map('intval', $ordered_ids)));
+
+        if (array_diff($ordered_ids, $current_ids)) {
+            return null;
+        }
+
+        // Slots held by the reordered states, filled in their new order
+        $slots = array_keys(array_intersect($current_ids, $ordered_ids));
+        foreach ($slots as $index => $slot) {
+            $current_ids[$slot] = $ordered_ids[$index];
+        }
+
+        $sort_data = [];
+        foreach ($current_ids as $position => $state_id) {
+            $sort_data[$state_id] = $position + 1;
+        }
+
+        // updateSortOrder() invalidates the per-machine list caches
+        if (!$this->updateSortOrder($sort_data)) {
+            return null;
+        }
+
+        do_action('wp_state_machine_states_reordered', $machine_id, $sort_data);
+
+        return $sort_data;
+    }
+
+    /**
+     * Merge a state into another state of the same machine
+     * Entities in the source state are moved to the target with one log
+     * entry each, then the source goes to the trash (with the transitions
+     * still using it). Transitions are never re-pointed in place: with
+     * $move_transitions each one is copied onto the target, skipping
+     * copies that would loop on the target or already exist there.
+     * Copies lose their "Add User to Role" actions when the current user
+     * may not add them (EffectFactory::copyEffects()).
+     *
+     * @param int $source_id State to merge away
+     * @param int $target_id State that takes over its entities
+     * @param bool $move_transitions Copy the source's transitions onto the target
+     * @param string $comment Log comment for the moved entities
+     * @return array|null ['entities', 'transitions', 'skipped_transitions', 'dropped_role_effects'], null on failure
+     */
+    public function merge(int $source_id, int $target_id, bool $move_transitions, string $comment = ''): ?array {
+        global $wpdb;
+
+        $source = $this->find($source_id);
+        if (!$source) {
+            return null;
+        }
+
+        $transition_model = new TransitionModel();
+        $result = [
+            'entities' => 0,
+            'transitions' => 0,
+            'skipped_transitions' => 0,
+            'dropped_role_effects' => 0
+        ];
+
+        try {
+            $wpdb->query('START TRANSACTION');
+
+            $moved = (new TransitionLogModel())->reassignEntities(
+                (int) $source->machine_id,
+                $source_id,
+                $target_id,
+                $comment
+            );
+
+            if ($moved === false) {
+                throw new \Exception('Failed to reassign entities');
+            }
+            $result['entities'] = $moved;
+
+            if ($move_transitions) {
+                $transitions = array_merge(
+                    $transition_model->getAvailableTransitions($source_id),
+                    $transition_model->getTransitionsToState($source_id)
+                );
+
+                foreach ($transitions as $transition) {
+                    $from_id = (int) $transition->from_state_id === $source_id ? $target_id : (int) $transition->from_state_id;
+                    $to_id = (int) $transition->to_state_id === $source_id ? $target_id : (int) $transition->to_state_id;
+
+                    // Trashed rows count too: (from, to) is unique per machine
+                    if ($from_id === $to_id || $transition_model->transitionExists($from_id, $to_id)) {
+                        $result['skipped_transitions']++;
+                        continue;
+                    }
+
+                    $effects = EffectFactory::copyEffects($transition->effects);
+                    if ($effects !== $transition->effects) {
+                        $result['dropped_role_effects']++;
+                    }
+
+                    $transition_id = $transition_model->create([
+                        'machine_id' => $source->machine_id,
+                        'from_state_id' => $from_id,
+                        'to_state_id' => $to_id,
+                        'label' => $transition->label,
+                        'guard_class' => $transition->guard_class,
+                        'metadata' => $transition->metadata,
+                        'sort_order' => $transition->sort_order,
+                        'timeout_minutes' => $transition->timeout_minutes,
+                        'effects' => $effects
+                    ]);
+
+                    if (!$transition_id) {
+                        throw new \Exception("Failed to copy transition: {$transition->label}");
+                    }
+
+                    $result['transitions']++;
+                }
+            }
+
+            if (!$this->trash($source_id)) {
+                throw new \Exception("Failed to trash state: {$source->name}");
+            }
+
+            $wpdb->query('COMMIT');
+
+        } catch (\Exception $e) {
+            $wpdb->query('ROLLBACK');
+            error_log('StateModel::merge() error: ' . $e->getMessage());
+            return null;
+        }
+
+        do_action('wp_state_machine_state_merged', $source_id, $target_id, $result);
+
+        return $result;
+    }
+
     /**
      * Count states for a machine
      *
@@ -369,7 +636,7 @@ class StateModel extends AbstractStateMachineModel {
 
         $sql = $wpdb->prepare(
             "SELECT COUNT(*) FROM {$this->getTableName()}
-             WHERE machine_id = %d",
+             WHERE machine_id = %d AND deleted_at IS NULL",
             $machine_id
         );
 
@@ -390,7 +657,7 @@ class StateModel extends AbstractStateMachineModel {
             return (int) $cached_count;
         }
 
-        $count = $wpdb->get_var("SELECT COUNT(*) FROM {$this->getTableName()}");
+        $count = $wpdb->get_var("SELECT COUNT(*) FROM {$this->getTableName()} WHERE deleted_at IS NULL");
 
         // Cache the count
         $this->cache->set('states_count', $count, 300, 'total');
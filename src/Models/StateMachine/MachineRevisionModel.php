@@ -0,0 +1,872 @@
+<?php
+/**
+ * Machine Revision Model Class
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Models/StateMachine
+ * @version     1.3.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Models/StateMachine/MachineRevisionModel.php
+ *
+ * Description: Revision history of machine definitions. A revision is a
+ *              snapshot of the machine details, its live states and
+ *              transitions and its metadata schema. Changes are collected
+ *              from the model hooks during a request and one revision per
+ *              changed machine is written on shutdown, so a save that
+ *              touches many rows (duplicate, reorder, bulk) is a single
+ *              revision. Snapshots identical to the previous revision are
+ *              skipped. States are keyed by slug and transitions by their
+ *              from/to slugs, so snapshots do not depend on row IDs.
+ *
+ * Snapshot Format:
+ * ```json
+ * {
+ *     "machine": {"name": "Order", "slug": "order", "workflow_group_id": 2, ...},
+ *     "metadata_schema": {"state": {...}},
+ *     "states": [{"slug": "draft", "name": "Draft", "type": "initial", ...}],
+ *     "transitions": [{"from_state": "draft", "to_state": "review", "label": "Submit", ...}]
+ * }
+ * ```
+ *
+ * Usage:
+ * ```php
+ * $revisions = new MachineRevisionModel();
+ * $revisions->registerHooks(); // once per request (Init_Hooks)
+ *
+ * $list = $revisions->getByMachine($machine_id);
+ * $diff = $revisions->compare($revisions->decode($older), $revisions->decode($newer));
+ * $revisions->rollback($revision_id);
+ * ```
+ *
+ * Hooks Fired:
+ * - wp_state_machine_revision_created: ($revision_id, $machine_id, $revision_number)
+ * - wp_state_machine_rolled_back: ($machine_id, $revision)
+ *
+ * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - Added getRoleEffectConflicts(); rollback() refuses to add or change "Add User to Role" actions without promote_users
+ *
+ * 1.2.0 - 2026-10-19
+ * - Snapshots, compare and rollback include the transition effects (actions)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Snapshots, compare and rollback include the transition timeout_minutes
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - Snapshots on shutdown, compare(), rollback() and baselines for existing machines
+ */
+
+namespace WPStateMachine\Models\StateMachine;
+
+use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
+use WPStateMachine\Models\WorkflowGroup\WorkflowGroupModel;
+use WPStateMachine\Effects\EffectFactory;
+
+defined('ABSPATH') || exit;
+
+class MachineRevisionModel {
+    /**
+     * Machine fields kept in a snapshot
+     */
+    const MACHINE_FIELDS = ['name', 'slug', 'description', 'plugin_slug', 'entity_type', 'workflow_group_id', 'is_active'];
+
+    /**
+     * State fields kept in a snapshot (slug is the key)
+     */
+    const STATE_FIELDS = ['name', 'type', 'color', 'metadata', 'sort_order'];
+
+    /**
+     * Transition fields kept in a snapshot (from_state/to_state slugs are the key)
+     */
+    const TRANSITION_FIELDS = ['label', 'guard_class', 'metadata', 'sort_order', 'timeout_minutes', 'effects'];
+
+    /**
+     * Machines changed during this request (machine ID => true)
+     *
+     * @var array
+     */
+    private $pending = [];
+
+    /**
+     * Metadata Schema Model instance
+     *
+     * @var MetadataSchemaModel
+     */
+    private $schema_model;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->schema_model = new MetadataSchemaModel();
+    }
+
+    /**
+     * Get database table name
+     *
+     * @return string Full table name with prefix
+     */
+    protected function getTableName(): string {
+        global $wpdb;
+        return $wpdb->prefix . 'app_sm_machine_revisions';
+    }
+
+    // ========================================
+    // CHANGE TRACKING
+    // ========================================
+
+    /**
+     * Listen to the machine, state and transition model hooks
+     * Revisions are written once per changed machine on shutdown
+     *
+     * @return void
+     */
+    public function registerHooks(): void {
+        foreach (['created', 'updated', 'trashed', 'restored'] as $event) {
+            add_action("wp_state_machine_state_machine_{$event}", [$this, 'trackMachine']);
+        }
+
+        foreach (['state', 'transition'] as $entity) {
+            foreach (['created', 'updated', 'deleted', 'trashed', 'restored'] as $event) {
+                add_action("wp_state_machine_{$entity}_{$event}", [$this, 'trackChild'], 10, 3);
+            }
+        }
+
+        add_action('wp_state_machine_states_reordered', [$this, 'trackMachine']);
+        add_action('wp_state_machine_transitions_reordered', [$this, 'trackMachine']);
+
+        add_action('shutdown', [$this, 'capturePending']);
+    }
+
+    /**
+     * Mark a machine as changed
+     *
+     * @param int $machine_id Machine ID
+     * @return void
+     */
+    public function trackMachine($machine_id): void {
+        $this->pending[(int) $machine_id] = true;
+    }
+
+    /**
+     * Mark the machine of a changed state or transition
+     * Hook arguments differ per event: ($id, $data), ($id, $data, $current) or ($id, $current)
+     *
+     * @param int $id State or transition ID
+     * @param array|object|null $data Inserted/updated data or the row before the change
+     * @param object|null $current Row before the update
+     * @return void
+     */
+    public function trackChild($id, $data = null, $current = null): void {
+        foreach ([$current, $data] as $row) {
+            $row = (array) $row;
+            if (!empty($row['machine_id'])) {
+                $this->trackMachine($row['machine_id']);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Write a revision for every machine changed during the request
+     *
+     * @return void
+     */
+    public function capturePending(): void {
+        $machine_ids = array_keys($this->pending);
+        $this->pending = [];
+
+        foreach ($machine_ids as $machine_id) {
+            $this->capture($machine_id);
+        }
+    }
+
+    /**
+     * Write a revision if the machine differs from its latest revision
+     * Trashed and deleted machines are skipped (their definition did not change)
+     *
+     * @param int $machine_id Machine ID
+     * @param string|null $summary Summary (default: computed from the previous revision)
+     * @return int|null New revision ID, null if nothing changed or on failure
+     */
+    public function capture(int $machine_id, ?string $summary = null): ?int {
+        global $wpdb;
+
+        $snapshot = $this->buildSnapshot($machine_id);
+        if ($snapshot === null) {
+            return null;
+        }
+
+        $hash = md5(wp_json_encode($snapshot));
+        $latest = $this->getLatest($machine_id);
+
+        if ($latest && $latest->snapshot_hash === $hash) {
+            return null;
+        }
+
+        if ($summary === null) {
+            $summary = $latest
+                ? $this->summarize($this->decode($latest), $snapshot)
+                : __('Initial revision', 'wp-state-machine');
+        }
+
+        $revision_number = $latest ? (int) $latest->revision_number + 1 : 1;
+
+        $result = $wpdb->insert(
+            $this->getTableName(),
+            [
+                'machine_id' => $machine_id,
+                'revision_number' => $revision_number,
+                'snapshot' => wp_json_encode($snapshot),
+                'snapshot_hash' => $hash,
+                'summary' => mb_substr($summary, 0, 255),
+                'created_by' => get_current_user_id(),
+                'created_at' => current_time('mysql')
+            ],
+            ['%d', '%d', '%s', '%s', '%s', '%d', '%s']
+        );
+
+        if ($result === false) {
+            error_log('MachineRevisionModel::capture() error: ' . $wpdb->last_error);
+            return null;
+        }
+
+        $revision_id = (int) $wpdb->insert_id;
+
+        do_action('wp_state_machine_revision_created', $revision_id, $machine_id, $revision_number);
+
+        return $revision_id;
+    }
+
+    /**
+     * Write a baseline revision for a machine that has none yet
+     * Machines created before the revision history start from their current definition
+     *
+     * @param int $machine_id Machine ID
+     * @return int|null New revision ID, null if the machine already has revisions
+     */
+    public function captureBaseline(int $machine_id): ?int {
+        if ($this->getLatest($machine_id)) {
+            return null;
+        }
+
+        return $this->capture($machine_id, __('Baseline (definition before revision history)', 'wp-state-machine'));
+    }
+
+    /**
+     * Write a baseline revision for every machine that has none yet
+     * Used once after upgrading
+     *
+     * @return int Number of baselines written
+     */
+    public function captureBaselines(): int {
+        global $wpdb;
+
+        $machine_ids = $wpdb->get_col(
+            "SELECT m.id FROM {$wpdb->prefix}app_sm_machines m
+             LEFT JOIN {$this->getTableName()} r ON r.machine_id = m.id
+             WHERE m.deleted_at IS NULL AND r.id IS NULL"
+        );
+
+        $count = 0;
+        foreach ($machine_ids as $machine_id) {
+            if ($this->captureBaseline((int) $machine_id)) {
+                $count++;
+            }
+        }
+
+        return $count;
+    }
+
+    // ========================================
+    // QUERIES
+    // ========================================
+
+    /**
+     * Find a revision with its snapshot
+     *
+     * @param int $id Revision ID
+     * @return object|null Revision row
+     */
+    public function find(int $id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->getTableName()} WHERE id = %d",
+            $id
+        ));
+    }
+
+    /**
+     * Get the latest revision of a machine
+     *
+     * @param int $machine_id Machine ID
+     * @return object|null Revision row
+     */
+    public function getLatest(int $machine_id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->getTableName()}
+             WHERE machine_id = %d
+             ORDER BY revision_number DESC
+             LIMIT 1",
+            $machine_id
+        ));
+    }
+
+    /**
+     * List revisions of a machine, newest first (without snapshots)
+     *
+     * @param int $machine_id Machine ID
+     * @return array Revision objects with author_name
+     */
+    public function getByMachine(int $machine_id): array {
+        global $wpdb;
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT r.id, r.machine_id, r.revision_number, r.summary, r.created_by, r.created_at,
+                    u.display_name as author_name
+             FROM {$this->getTableName()} r
+             LEFT JOIN {$wpdb->users} u ON r.created_by = u.ID
+             WHERE r.machine_id = %d
+             ORDER BY r.revision_number DESC",
+            $machine_id
+        ));
+    }
+
+    /**
+     * Decode the snapshot of a revision
+     *
+     * @param object $revision Revision row
+     * @return array Snapshot
+     */
+    public function decode(object $revision): array {
+        $snapshot = json_decode($revision->snapshot, true);
+
+        return is_array($snapshot) ? $snapshot : [];
+    }
+
+    // ========================================
+    // SNAPSHOTS AND DIFF
+    // ========================================
+
+    /**
+     * Build the current definition of a machine
+     *
+     * @param int $machine_id Machine ID
+     * @return array|null Snapshot, null if the machine is missing or trashed
+     */
+    public function buildSnapshot(int $machine_id): ?array {
+        global $wpdb;
+
+        $machine = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}app_sm_machines WHERE id = %d AND deleted_at IS NULL",
+            $machine_id
+        ), ARRAY_A);
+
+        if (!$machine) {
+            return null;
+        }
+
+        $states = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}app_sm_states
+             WHERE machine_id = %d AND deleted_at IS NULL
+             ORDER BY sort_order ASC, id ASC",
+            $machine_id
+        ), ARRAY_A);
+
+        $transitions = $wpdb->get_results($wpdb->prepare(
+            "SELECT t.*, fs.slug as from_state, ts.slug as to_state
+             FROM {$wpdb->prefix}app_sm_transitions t
+             INNER JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
+             INNER JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
+             WHERE t.machine_id = %d AND t.deleted_at IS NULL
+             ORDER BY t.sort_order ASC, t.id ASC",
+            $machine_id
+        ), ARRAY_A);
+
+        $snapshot = [
+            'machine' => $this->pick($machine, self::MACHINE_FIELDS),
+            'metadata_schema' => $this->schema_model->getMachineSchema($machine['slug']),
+            'states' => [],
+            'transitions' => []
+        ];
+
+        foreach ($states as $state) {
+            $snapshot['states'][] = ['slug' => $state['slug']] + $this->pick($state, self::STATE_FIELDS);
+        }
+
+        foreach ($transitions as $transition) {
+            $snapshot['transitions'][] = [
+                'from_state' => $transition['from_state'],
+                'to_state' => $transition['to_state']
+            ] + $this->pick($transition, self::TRANSITION_FIELDS);
+        }
+
+        return $snapshot;
+    }
+
+    /**
+     * Copy fields from a row with normalized types
+     * Empty strings and NULL are the same value; numeric fields are integers
+     *
+     * @param array $row Database row
+     * @param array $fields Field names
+     * @return array Field => value
+     */
+    private function pick(array $row, array $fields): array {
+        $values = [];
+
+        foreach ($fields as $field) {
+            $value = $row[$field] ?? null;
+
+            if (in_array($field, ['workflow_group_id', 'is_active', 'sort_order'], true)) {
+                $value = $value === null ? null : (int) $value;
+            } elseif ($field === 'timeout_minutes') {
+                // No timeout is kept as null, like snapshots taken before the column existed
+                $value = $value ? (int) $value : null;
+            } elseif ($value === '') {
+                $value = null;
+            }
+
+            $values[$field] = $value;
+        }
+
+        return $values;
+    }
+
+    /**
+     * Compare two revisions of the same machine
+     *
+     * Result:
+     * ```php
+     * [
+     *     'machine' => [['field' => 'name', 'from' => 'Order', 'to' => 'Orders', 'status' => 'changed'], ...],
+     *     'metadata_schema' => ['from' => '{...}', 'to' => '{...}', 'status' => 'unchanged'],
+     *     'states' => [['key' => 'draft', 'status' => 'changed', 'from' => [...], 'to' => [...], 'changed' => ['name']], ...],
+     *     'transitions' => [...same, key "draft → review"...],
+     *     'counts' => ['added' => 1, 'removed' => 0, 'changed' => 2]
+     * ]
+     * ```
+     *
+     * @param array $from Older snapshot
+     * @param array $to Newer snapshot
+     * @return array Diff
+     */
+    public function compare(array $from, array $to): array {
+        $diff = [
+            'machine' => [],
+            'metadata_schema' => null,
+            'states' => $this->compareList(
+                $this->keyBy($from['states'] ?? [], 'state'),
+                $this->keyBy($to['states'] ?? [], 'state'),
+                self::STATE_FIELDS
+            ),
+            'transitions' => $this->compareList(
+                $this->keyBy($from['transitions'] ?? [], 'transition'),
+                $this->keyBy($to['transitions'] ?? [], 'transition'),
+                self::TRANSITION_FIELDS
+            ),
+            'counts' => ['added' => 0, 'removed' => 0, 'changed' => 0]
+        ];
+
+        foreach (self::MACHINE_FIELDS as $field) {
+            $old = $from['machine'][$field] ?? null;
+            $new = $to['machine'][$field] ?? null;
+
+            $diff['machine'][] = [
+                'field' => $field,
+                'from' => $old,
+                'to' => $new,
+                'status' => $old === $new ? 'unchanged' : 'changed'
+            ];
+
+            if ($old !== $new) {
+                $diff['counts']['changed']++;
+            }
+        }
+
+        $old_schema = $from['metadata_schema'] ?? [];
+        $new_schema = $to['metadata_schema'] ?? [];
+        $diff['metadata_schema'] = [
+            'from' => $old_schema ? wp_json_encode($old_schema, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES) : '',
+            'to' => $new_schema ? wp_json_encode($new_schema, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES) : '',
+            'status' => $old_schema == $new_schema ? 'unchanged' : 'changed'
+        ];
+
+        if ($diff['metadata_schema']['status'] === 'changed') {
+            $diff['counts']['changed']++;
+        }
+
+        foreach (['states', 'transitions'] as $section) {
+            foreach ($diff[$section] as $item) {
+                if ($item['status'] !== 'unchanged') {
+                    $diff['counts'][$item['status']]++;
+                }
+            }
+        }
+
+        return $diff;
+    }
+
+    /**
+     * Key snapshot states by slug and transitions by "from → to"
+     *
+     * @param array $items Snapshot states or transitions
+     * @param string $type state or transition
+     * @return array Key => item
+     */
+    private function keyBy(array $items, string $type): array {
+        $keyed = [];
+
+        foreach ($items as $item) {
+            $key = $type === 'state' ? $item['slug'] : $item['from_state'] . ' → ' . $item['to_state'];
+            $keyed[$key] = $item;
+        }
+
+        return $keyed;
+    }
+
+    /**
+     * Compare keyed states or transitions field by field
+     * Items keep the order of the newer snapshot; removed items follow
+     *
+     * @param array $old Key => item
+     * @param array $new Key => item
+     * @param array $fields Compared fields
+     * @return array Diff rows
+     */
+    private function compareList(array $old, array $new, array $fields): array {
+        $rows = [];
+
+        foreach ($new as $key => $item) {
+            if (!isset($old[$key])) {
+                $rows[] = ['key' => $key, 'status' => 'added', 'from' => null, 'to' => $item, 'changed' => $fields];
+                continue;
+            }
+
+            $changed = [];
+            foreach ($fields as $field) {
+                if (($old[$key][$field] ?? null) !== ($item[$field] ?? null)) {
+                    $changed[] = $field;
+                }
+            }
+
+            $rows[] = [
+                'key' => $key,
+                'status' => $changed ? 'changed' : 'unchanged',
+                'from' => $old[$key],
+                'to' => $item,
+                'changed' => $changed
+            ];
+        }
+
+        foreach (array_diff_key($old, $new) as $key => $item) {
+            $rows[] = ['key' => $key, 'status' => 'removed', 'from' => $item, 'to' => null, 'changed' => $fields];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Describe the changes between two snapshots in one line
+     *
+     * @param array $from Previous snapshot
+     * @param array $to New snapshot
+     * @return string Summary, e.g. "Details changed; 1 state added; 2 transitions changed"
+     */
+    public function summarize(array $from, array $to): string {
+        $diff = $this->compare($from, $to);
+        $parts = [];
+
+        $details_changed = count(array_filter($diff['machine'], function($row) {
+            return $row['status'] === 'changed';
+        }));
+
+        if ($details_changed) {
+            $parts[] = __('Details changed', 'wp-state-machine');
+        }
+
+        if ($diff['metadata_schema']['status'] === 'changed') {
+            $parts[] = __('Metadata schema changed', 'wp-state-machine');
+        }
+
+        $labels = [
+            'states' => [
+                /* translators: %d: number of states */
+                'added' => _n_noop('%d state added', '%d states added', 'wp-state-machine'),
+                /* translators: %d: number of states */
+                'removed' => _n_noop('%d state removed', '%d states removed', 'wp-state-machine'),
+                /* translators: %d: number of states */
+                'changed' => _n_noop('%d state changed', '%d states changed', 'wp-state-machine')
+            ],
+            'transitions' => [
+                /* translators: %d: number of transitions */
+                'added' => _n_noop('%d transition added', '%d transitions added', 'wp-state-machine'),
+                /* translators: %d: number of transitions */
+                'removed' => _n_noop('%d transition removed', '%d transitions removed', 'wp-state-machine'),
+                /* translators: %d: number of transitions */
+                'changed' => _n_noop('%d transition changed', '%d transitions changed', 'wp-state-machine')
+            ]
+        ];
+
+        foreach ($labels as $section => $statuses) {
+            foreach ($statuses as $status => $noop) {
+                $count = count(array_filter($diff[$section], function($row) use ($status) {
+                    return $row['status'] === $status;
+                }));
+
+                if ($count) {
+                    $parts[] = sprintf(translate_nooped_plural($noop, $count, 'wp-state-machine'), $count);
+                }
+            }
+        }
+
+        return $parts ? implode('; ', $parts) : __('No structural changes', 'wp-state-machine');
+    }
+
+    // ========================================
+    // ROLLBACK
+    // ========================================
+
+    /**
+     * States that a rollback would remove while entities are still in them
+     *
+     * @param object $revision Revision row
+     * @return array State names
+     */
+    public function getRollbackConflicts(object $revision): array {
+        global $wpdb;
+
+        $slugs = wp_list_pluck($this->decode($revision)['states'] ?? [], 'slug');
+        $log_model = new TransitionLogModel();
+        $conflicts = [];
+
+        $states = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, name, slug FROM {$wpdb->prefix}app_sm_states
+             WHERE machine_id = %d AND deleted_at IS NULL",
+            $revision->machine_id
+        ));
+
+        foreach ($states as $state) {
+            if (!in_array($state->slug, $slugs, true)
+                && $log_model->getEntitiesInState((int) $revision->machine_id, (int) $state->id)) {
+                $conflicts[] = $state->name;
+            }
+        }
+
+        return $conflicts;
+    }
+
+    /**
+     * Transitions whose "Add User to Role" actions a rollback would add or
+     * change while the current user may not (EffectFactory::canChangeRoleEffects())
+     * Trashed transitions count as having no actions, since restoring them
+     * brings their actions back.
+     *
+     * @param object $revision Revision row
+     * @return array Transition labels
+     */
+    public function getRoleEffectConflicts(object $revision): array {
+        global $wpdb;
+
+        $current = [];
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT t.effects, fs.slug AS from_slug, ts.slug AS to_slug
+             FROM {$wpdb->prefix}app_sm_transitions t
+             JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
+             JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
+             WHERE t.machine_id = %d AND t.deleted_at IS NULL",
+            $revision->machine_id
+        ));
+
+        foreach ($rows as $row) {
+            $current[$row->from_slug . '|' . $row->to_slug] = $row->effects;
+        }
+
+        $conflicts = [];
+        foreach ($this->decode($revision)['transitions'] ?? [] as $transition) {
+            $key = ($transition['from_state'] ?? '') . '|' . ($transition['to_state'] ?? '');
+            if (!EffectFactory::canChangeRoleEffects($current[$key] ?? '', $transition['effects'] ?? '')) {
+                $conflicts[] = $transition['label'] ?? $key;
+            }
+        }
+
+        return $conflicts;
+    }
+
+    /**
+     * Restore a machine definition from a revision
+     *
+     * Matching rows (states by slug, transitions by from/to state) are
+     * updated and restored from the trash, missing ones are created and
+     * rows not in the revision are moved to the trash. The slug never
+     * changes; the workflow group is only set back if it still exists.
+     * A new revision records the rollback. Fails when it would add or
+     * change "Add User to Role" actions the current user may not
+     * (getRoleEffectConflicts()).
+     *
+     * @param int $revision_id Revision ID
+     * @return bool True on success
+     */
+    public function rollback(int $revision_id): bool {
+        global $wpdb;
+
+        $revision = $this->find($revision_id);
+        if (!$revision) {
+            return false;
+        }
+
+        $snapshot = $this->decode($revision);
+        $machine_model = new StateMachineModel();
+        $state_model = new StateModel();
+        $transition_model = new TransitionModel();
+
+        $machine = $machine_model->find((int) $revision->machine_id);
+        if (!$machine || !empty($machine->deleted_at) || empty($snapshot['machine'])) {
+            return false;
+        }
+
+        if ($this->getRoleEffectConflicts($revision)) {
+            return false;
+        }
+
+        try {
+            $wpdb->query('START TRANSACTION');
+
+            // 1. Machine details
+            $data = [];
+            foreach (['name', 'description', 'plugin_slug', 'entity_type', 'is_active'] as $field) {
+                $data[$field] = $snapshot['machine'][$field] ?? '';
+            }
+
+            $group_id = (int) ($snapshot['machine']['workflow_group_id'] ?? 0);
+            if ($group_id) {
+                $group = (new WorkflowGroupModel())->find($group_id);
+                if ($group && empty($group->deleted_at)) {
+                    $data['workflow_group_id'] = $group_id;
+                }
+            }
+
+            if (!$machine_model->update((int) $machine->id, $data)) {
+                throw new \Exception('Failed to update machine details');
+            }
+
+            // 2. States (slug => state ID)
+            $state_map = [];
+            foreach ($snapshot['states'] ?? [] as $state) {
+                $fields = [];
+                foreach (self::STATE_FIELDS as $field) {
+                    // update() skips NULL, so empty values are written as ''
+                    $fields[$field] = $state[$field] ?? '';
+                }
+
+                $existing = $state_model->getBySlug((int) $machine->id, $state['slug']);
+
+                if ($existing) {
+                    if (!empty($existing->deleted_at) && !$state_model->restore((int) $existing->id)) {
+                        throw new \Exception("Failed to restore state: {$state['slug']}");
+                    }
+                    if (!$state_model->update((int) $existing->id, $fields)) {
+                        throw new \Exception("Failed to update state: {$state['slug']}");
+                    }
+                    $state_map[$state['slug']] = (int) $existing->id;
+                } else {
+                    $state_id = $state_model->create([
+                        'machine_id' => (int) $machine->id,
+                        'slug' => $state['slug']
+                    ] + $fields);
+
+                    if (!$state_id) {
+                        throw new \Exception("Failed to create state: {$state['slug']}");
+                    }
+                    $state_map[$state['slug']] = $state_id;
+                }
+            }
+
+            // 3. Transitions
+            $kept_transitions = [];
+            foreach ($snapshot['transitions'] ?? [] as $transition) {
+                if (!isset($state_map[$transition['from_state']], $state_map[$transition['to_state']])) {
+                    throw new \Exception("Transition {$transition['label']} points to a state outside the revision");
+                }
+
+                $fields = [];
+                foreach (self::TRANSITION_FIELDS as $field) {
+                    $fields[$field] = $transition[$field] ?? '';
+                }
+
+                $existing = $wpdb->get_row($wpdb->prepare(
+                    "SELECT id, deleted_at FROM {$wpdb->prefix}app_sm_transitions
+                     WHERE machine_id = %d AND from_state_id = %d AND to_state_id = %d",
+                    $machine->id,
+                    $state_map[$transition['from_state']],
+                    $state_map[$transition['to_state']]
+                ));
+
+                if ($existing) {
+                    if (!empty($existing->deleted_at) && !$transition_model->restore((int) $existing->id)) {
+                        throw new \Exception("Failed to restore transition: {$transition['label']}");
+                    }
+                    if (!$transition_model->update((int) $existing->id, $fields)) {
+                        throw new \Exception("Failed to update transition: {$transition['label']}");
+                    }
+                    $kept_transitions[] = (int) $existing->id;
+                } else {
+                    $transition_id = $transition_model->create([
+                        'machine_id' => (int) $machine->id,
+                        'from_state_id' => $state_map[$transition['from_state']],
+                        'to_state_id' => $state_map[$transition['to_state']]
+                    ] + $fields);
+
+                    if (!$transition_id) {
+                        throw new \Exception("Failed to create transition: {$transition['label']}");
+                    }
+                    $kept_transitions[] = $transition_id;
+                }
+            }
+
+            // 4. Trash what the revision does not have (transitions first)
+            $live_transitions = array_map('intval', $wpdb->get_col($wpdb->prepare(
+                "SELECT id FROM {$wpdb->prefix}app_sm_transitions WHERE machine_id = %d AND deleted_at IS NULL",
+                $machine->id
+            )));
+            foreach (array_diff($live_transitions, $kept_transitions) as $transition_id) {
+                $transition_model->trash($transition_id);
+            }
+
+            $live_states = array_map('intval', $wpdb->get_col($wpdb->prepare(
+                "SELECT id FROM {$wpdb->prefix}app_sm_states WHERE machine_id = %d AND deleted_at IS NULL",
+                $machine->id
+            )));
+            foreach (array_diff($live_states, array_values($state_map)) as $state_id) {
+                $state_model->trash($state_id);
+            }
+
+            // 5. Metadata schema (stored by slug, which a rollback keeps)
+            $this->schema_model->saveMachineSchema($machine->slug, $snapshot['metadata_schema'] ?? []);
+
+            $wpdb->query('COMMIT');
+
+        } catch (\Exception $e) {
+            $wpdb->query('ROLLBACK');
+            error_log('MachineRevisionModel::rollback() error: ' . $e->getMessage());
+            return false;
+        }
+
+        $this->capture(
+            (int) $machine->id,
+            /* translators: %d: revision number */
+            sprintf(__('Rolled back to revision #%d', 'wp-state-machine'), $revision->revision_number)
+        );
+
+        do_action('wp_state_machine_rolled_back', (int) $machine->id, $revision);
+
+        return true;
+    }
+}
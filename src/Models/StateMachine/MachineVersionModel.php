@@ -0,0 +1,754 @@
+<?php
+/**
+ * Machine Version Model Class
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Models/StateMachine
+ * @version     1.0.1
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Models/StateMachine/MachineVersionModel.php
+ *
+ * Description: Published, immutable versions of a machine definition.
+ *              The states and transitions tables are the draft; publishing
+ *              stores a snapshot of the draft (same format as a revision)
+ *              as the next version. Each transition log entry records the
+ *              version it was made on, which pins the entity: it keeps
+ *              following that version's graph until it is migrated, while
+ *              new entities start on the latest version. Machines that
+ *              were never published have no versions and every entity
+ *              follows the draft, as before versioning. Entities logged
+ *              before the first publish are on version 1.
+ *
+ *              Besides the revision snapshot, a version stores the row IDs
+ *              of its states and transitions, so pinned entities still
+ *              resolve them after the draft renames, trashes or replaces
+ *              them. Trashed rows referenced by a version in use are kept
+ *              when the trash is purged (getProtectedIds()).
+ *
+ * Usage:
+ * ```php
+ * $versions = new MachineVersionModel();
+ * $versions->publish($machine_id, 'Added the review step');
+ *
+ * $version = $versions->getEntityVersion($machine_id, 'order', 123);
+ * $transitions = $version ? $versions->getTransitionsFrom($version, $state_id) : [];
+ *
+ * $versions->migrate($from, $to, ['review' => 'pending_review'], [['entity_type' => 'order', 'entity_id' => 123]]);
+ * ```
+ *
+ * Hooks Fired:
+ * - wp_state_machine_version_published: ($version_id, $machine_id, $version_number)
+ * - wp_state_machine_entities_migrated: ($machine_id, $from_version, $to_version, $migrated)
+ *
+ * Changelog:
+ * 1.0.1 - 2026-10-19
+ * - Versions published before a transition field existed read it as null
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - publish(), entity pinning lookups for the engine and migrate()
+ */
+
+namespace WPStateMachine\Models\StateMachine;
+
+use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
+
+defined('ABSPATH') || exit;
+
+class MachineVersionModel {
+    /**
+     * Decoded snapshots (version ID => snapshot); versions never change
+     *
+     * @var array
+     */
+    private $snapshots = [];
+
+    /**
+     * Machine Revision Model instance (snapshot builder)
+     *
+     * @var MachineRevisionModel
+     */
+    private $revision_model;
+
+    /**
+     * State Model instance
+     *
+     * @var StateModel
+     */
+    private $state_model;
+
+    /**
+     * Transition Model instance
+     *
+     * @var TransitionModel
+     */
+    private $transition_model;
+
+    /**
+     * Transition Log Model instance
+     *
+     * @var TransitionLogModel
+     */
+    private $log_model;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->revision_model = new MachineRevisionModel();
+        $this->state_model = new StateModel();
+        $this->transition_model = new TransitionModel();
+        $this->log_model = new TransitionLogModel();
+    }
+
+    /**
+     * Get database table name
+     *
+     * @return string Full table name with prefix
+     */
+    protected function getTableName(): string {
+        global $wpdb;
+        return $wpdb->prefix . 'app_sm_machine_versions';
+    }
+
+    // ========================================
+    // PUBLISHING
+    // ========================================
+
+    /**
+     * Publish the draft of a machine as its next version
+     *
+     * @param int $machine_id Machine ID
+     * @param string $notes Publish notes
+     * @return int|null New version ID, null if the draft matches the latest version or on failure
+     */
+    public function publish(int $machine_id, string $notes = ''): ?int {
+        global $wpdb;
+
+        $snapshot = $this->revision_model->buildSnapshot($machine_id);
+        if ($snapshot === null) {
+            return null;
+        }
+
+        $hash = md5(wp_json_encode($snapshot));
+        $latest = $this->getLatest($machine_id);
+
+        if ($latest && $latest->snapshot_hash === $hash) {
+            return null;
+        }
+
+        $version_number = $latest ? (int) $latest->version_number + 1 : 1;
+
+        $result = $wpdb->insert(
+            $this->getTableName(),
+            [
+                'machine_id' => $machine_id,
+                'version_number' => $version_number,
+                'snapshot' => wp_json_encode($snapshot + ['ids' => $this->buildIds($machine_id)]),
+                'snapshot_hash' => $hash,
+                'notes' => $notes !== '' ? mb_substr($notes, 0, 255) : null,
+                'published_by' => get_current_user_id(),
+                'published_at' => current_time('mysql')
+            ],
+            ['%d', '%d', '%s', '%s', '%s', '%d', '%s']
+        );
+
+        if ($result === false) {
+            error_log('MachineVersionModel::publish() error: ' . $wpdb->last_error);
+            return null;
+        }
+
+        $version_id = (int) $wpdb->insert_id;
+
+        do_action('wp_state_machine_version_published', $version_id, $machine_id, $version_number);
+
+        return $version_id;
+    }
+
+    /**
+     * Row IDs of the live states (by slug) and transitions (by "from|to" slugs)
+     *
+     * @param int $machine_id Machine ID
+     * @return array ['states' => [slug => id], 'transitions' => [key => id]]
+     */
+    private function buildIds(int $machine_id): array {
+        global $wpdb;
+
+        $ids = ['states' => [], 'transitions' => []];
+
+        $states = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, slug FROM {$wpdb->prefix}app_sm_states
+             WHERE machine_id = %d AND deleted_at IS NULL",
+            $machine_id
+        ));
+        foreach ($states as $state) {
+            $ids['states'][$state->slug] = (int) $state->id;
+        }
+
+        $transitions = $wpdb->get_results($wpdb->prepare(
+            "SELECT t.id, fs.slug as from_state, ts.slug as to_state
+             FROM {$wpdb->prefix}app_sm_transitions t
+             INNER JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
+             INNER JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
+             WHERE t.machine_id = %d AND t.deleted_at IS NULL",
+            $machine_id
+        ));
+        foreach ($transitions as $transition) {
+            $ids['transitions'][$transition->from_state . '|' . $transition->to_state] = (int) $transition->id;
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Publish status of a machine
+     *
+     * @param int $machine_id Machine ID
+     * @return array ['version' => int|null, 'has_changes' => bool] (never published: version null, has_changes true)
+     */
+    public function getStatus(int $machine_id): array {
+        $latest = $this->getLatest($machine_id);
+        $snapshot = $this->revision_model->buildSnapshot($machine_id);
+
+        return [
+            'version' => $latest ? (int) $latest->version_number : null,
+            'has_changes' => $snapshot !== null
+                && (!$latest || $latest->snapshot_hash !== md5(wp_json_encode($snapshot)))
+        ];
+    }
+
+    // ========================================
+    // QUERIES
+    // ========================================
+
+    /**
+     * Find a version with its snapshot
+     *
+     * @param int $id Version ID
+     * @return object|null Version row
+     */
+    public function find(int $id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->getTableName()} WHERE id = %d",
+            $id
+        ));
+    }
+
+    /**
+     * Find a version of a machine by number
+     *
+     * @param int $machine_id Machine ID
+     * @param int $version_number Version number
+     * @return object|null Version row
+     */
+    public function getByNumber(int $machine_id, int $version_number): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->getTableName()}
+             WHERE machine_id = %d AND version_number = %d",
+            $machine_id,
+            $version_number
+        ));
+    }
+
+    /**
+     * Get the latest published version of a machine
+     *
+     * @param int $machine_id Machine ID
+     * @return object|null Version row, null if the machine was never published
+     */
+    public function getLatest(int $machine_id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->getTableName()}
+             WHERE machine_id = %d
+             ORDER BY version_number DESC
+             LIMIT 1",
+            $machine_id
+        ));
+    }
+
+    /**
+     * List versions of a machine, newest first (without snapshots)
+     * entity_count is the number of entities pinned to each version
+     *
+     * @param int $machine_id Machine ID
+     * @return array Version objects with author_name and entity_count
+     */
+    public function getByMachine(int $machine_id): array {
+        global $wpdb;
+
+        $versions = $wpdb->get_results($wpdb->prepare(
+            "SELECT v.id, v.machine_id, v.version_number, v.notes, v.published_by, v.published_at,
+                    u.display_name as author_name
+             FROM {$this->getTableName()} v
+             LEFT JOIN {$wpdb->users} u ON v.published_by = u.ID
+             WHERE v.machine_id = %d
+             ORDER BY v.version_number DESC",
+            $machine_id
+        ));
+
+        $counts = [];
+        foreach ($this->log_model->getCurrentEntities($machine_id) as $entry) {
+            $number = $entry->machine_version ? (int) $entry->machine_version : 1;
+            $counts[$number] = ($counts[$number] ?? 0) + 1;
+        }
+
+        foreach ($versions as $version) {
+            $version->entity_count = $counts[(int) $version->version_number] ?? 0;
+        }
+
+        return $versions;
+    }
+
+    /**
+     * Decode the snapshot of a version
+     *
+     * @param object $version Version row
+     * @return array Snapshot (revision format plus "ids")
+     */
+    public function decode(object $version): array {
+        $id = (int) $version->id;
+
+        if (!isset($this->snapshots[$id])) {
+            $snapshot = json_decode($version->snapshot, true);
+            $this->snapshots[$id] = is_array($snapshot) ? $snapshot : [];
+        }
+
+        return $this->snapshots[$id];
+    }
+
+    // ========================================
+    // PINNING (used by StateMachineEngine)
+    // ========================================
+
+    /**
+     * Version an entity follows
+     *
+     * The version of its latest log entry; version 1 for entries made
+     * before the machine was first published; the latest version for
+     * entities without history.
+     *
+     * @param int $machine_id Machine ID
+     * @param string $entity_type Entity type
+     * @param int $entity_id Entity ID
+     * @return object|null Version row, null if the machine was never published (follow the draft)
+     */
+    public function getEntityVersion(int $machine_id, string $entity_type, int $entity_id): ?object {
+        $latest = $this->getLatest($machine_id);
+        if (!$latest) {
+            return null;
+        }
+
+        $entry = $this->log_model->getLatestEntry($machine_id, $entity_type, $entity_id);
+        if (!$entry) {
+            return $latest;
+        }
+
+        $number = $entry->machine_version ? (int) $entry->machine_version : 1;
+
+        return $number === (int) $latest->version_number
+            ? $latest
+            : ($this->getByNumber($machine_id, $number) ?: $latest);
+    }
+
+    /**
+     * State of a version by row ID
+     * The row with the name, type, color and metadata it had in the version
+     *
+     * @param object $version Version row
+     * @param int $state_id State ID
+     * @return object|null State, null if the version does not have it
+     */
+    public function getState(object $version, int $state_id): ?object {
+        $slug = array_search($state_id, $this->decode($version)['ids']['states'] ?? [], true);
+
+        if ($slug === false) {
+            $row = $this->state_model->find($state_id);
+            if (!$row || (int) $row->machine_id !== (int) $version->machine_id) {
+                return null;
+            }
+            $slug = $row->slug;
+        }
+
+        return $this->getStateBySlug($version, $slug);
+    }
+
+    /**
+     * State of a version by slug
+     *
+     * @param object $version Version row
+     * @param string $slug State slug in the version
+     * @return object|null State, null if the version does not have it or its row is gone
+     */
+    public function getStateBySlug(object $version, string $slug): ?object {
+        $snapshot = $this->decode($version);
+
+        foreach ($snapshot['states'] ?? [] as $state) {
+            if ($state['slug'] !== $slug) {
+                continue;
+            }
+
+            $row = isset($snapshot['ids']['states'][$slug])
+                ? $this->state_model->find((int) $snapshot['ids']['states'][$slug])
+                : $this->state_model->getBySlug((int) $version->machine_id, $slug);
+
+            if (!$row) {
+                return null;
+            }
+
+            $row = clone $row;
+            foreach (MachineRevisionModel::STATE_FIELDS as $field) {
+                $row->$field = $state[$field];
+            }
+            $row->version_slug = $slug;
+            $row->machine_version = (int) $version->version_number;
+
+            return $row;
+        }
+
+        return null;
+    }
+
+    /**
+     * Initial state of a version
+     *
+     * @param object $version Version row
+     * @return object|null State
+     */
+    public function getInitialState(object $version): ?object {
+        foreach ($this->decode($version)['states'] ?? [] as $state) {
+            if ($state['type'] === 'initial') {
+                return $this->getStateBySlug($version, $state['slug']);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * States of a version in their published order
+     *
+     * @param object $version Version row
+     * @return array States (see getStateBySlug())
+     */
+    public function getStates(object $version): array {
+        $states = [];
+
+        foreach ($this->decode($version)['states'] ?? [] as $state) {
+            $row = $this->getStateBySlug($version, $state['slug']);
+            if ($row) {
+                $states[] = $row;
+            }
+        }
+
+        return $states;
+    }
+
+    /**
+     * Transitions of a version leaving a state
+     *
+     * @param object $version Version row
+     * @param int $state_id State ID
+     * @return array Transitions (see getTransition())
+     */
+    public function getTransitionsFrom(object $version, int $state_id): array {
+        $state = $this->getState($version, $state_id);
+        if (!$state) {
+            return [];
+        }
+
+        $transitions = [];
+        foreach ($this->decode($version)['transitions'] ?? [] as $transition) {
+            if ($transition['from_state'] !== $state->version_slug) {
+                continue;
+            }
+
+            $row = $this->findTransitionRow($version, $transition);
+            if ($row) {
+                $transitions[] = $this->applyVersion($version, $row, $transition);
+            }
+        }
+
+        return $transitions;
+    }
+
+    /**
+     * Transition of a version by row ID
+     * The row with the label, guard and metadata it had in the version and
+     * the version's state names, even if the draft changed or trashed it
+     *
+     * @param object $version Version row
+     * @param int $transition_id Transition ID
+     * @return object|null Transition, null if the version does not have it
+     */
+    public function getTransition(object $version, int $transition_id): ?object {
+        $row = $this->transition_model->find($transition_id);
+        if (!$row || (int) $row->machine_id !== (int) $version->machine_id) {
+            return null;
+        }
+
+        $from = $this->getState($version, (int) $row->from_state_id);
+        $to = $this->getState($version, (int) $row->to_state_id);
+        if (!$from || !$to) {
+            return null;
+        }
+
+        foreach ($this->decode($version)['transitions'] ?? [] as $transition) {
+            if ($transition['from_state'] === $from->version_slug && $transition['to_state'] === $to->version_slug) {
+                return $this->applyVersion($version, $row, $transition);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the row of a version transition
+     *
+     * @param object $version Version row
+     * @param array $transition Snapshot transition
+     * @return object|null Transition row
+     */
+    private function findTransitionRow(object $version, array $transition): ?object {
+        global $wpdb;
+
+        $key = $transition['from_state'] . '|' . $transition['to_state'];
+        $ids = $this->decode($version)['ids']['transitions'] ?? [];
+
+        if (isset($ids[$key])) {
+            return $this->transition_model->find((int) $ids[$key]);
+        }
+
+        $from = $this->getStateBySlug($version, $transition['from_state']);
+        $to = $this->getStateBySlug($version, $transition['to_state']);
+        if (!$from || !$to) {
+            return null;
+        }
+
+        $id = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$wpdb->prefix}app_sm_transitions
+             WHERE machine_id = %d AND from_state_id = %d AND to_state_id = %d",
+            $version->machine_id,
+            $from->id,
+            $to->id
+        ));
+
+        return $id ? $this->transition_model->find((int) $id) : null;
+    }
+
+    /**
+     * Copy the published values of a transition onto its row
+     *
+     * @param object $version Version row
+     * @param object $row Transition row
+     * @param array $transition Snapshot transition
+     * @return object Transition
+     */
+    private function applyVersion(object $version, object $row, array $transition): object {
+        $row = clone $row;
+
+        foreach (MachineRevisionModel::TRANSITION_FIELDS as $field) {
+            $row->$field = $transition[$field] ?? null;
+        }
+
+        foreach (['from_state', 'to_state'] as $side) {
+            $state = $this->getStateBySlug($version, $transition[$side]);
+            $row->{$side . '_slug'} = $transition[$side];
+            $row->{$side . '_name'} = $state ? $state->name : $transition[$side];
+        }
+
+        $row->machine_version = (int) $version->version_number;
+
+        return $row;
+    }
+
+    // ========================================
+    // MIGRATION
+    // ========================================
+
+    /**
+     * Entities pinned to a version with their current state
+     *
+     * @param object $version Version row
+     * @return array Objects with entity_type, entity_id, state_id, state_slug, state_name, in_version, since
+     */
+    public function getEntities(object $version): array {
+        $entities = [];
+
+        foreach ($this->log_model->getCurrentEntities((int) $version->machine_id) as $entry) {
+            $number = $entry->machine_version ? (int) $entry->machine_version : 1;
+            if ($number !== (int) $version->version_number) {
+                continue;
+            }
+
+            $state = $this->getState($version, (int) $entry->to_state_id);
+
+            $entities[] = (object) [
+                'entity_type' => $entry->entity_type,
+                'entity_id' => (int) $entry->entity_id,
+                'state_id' => (int) $entry->to_state_id,
+                'state_slug' => $state ? $state->version_slug : $entry->state_slug,
+                'state_name' => $state ? $state->name : $entry->state_name,
+                'in_version' => (bool) $state,
+                'since' => $entry->created_at
+            ];
+        }
+
+        return $entities;
+    }
+
+    /**
+     * Move entities from one version to another
+     *
+     * Every entity gets a log entry on the target version, from its
+     * current state to the state mapped to it. Entities that are not on
+     * the source version or whose state has no target are skipped.
+     *
+     * @param object $from Source version row
+     * @param object $to Target version row
+     * @param array $state_map Source state slug => target state slug
+     * @param array $entities Arrays with entity_type and entity_id
+     * @param string $comment Log comment (default: "Migrated from version X to Y")
+     * @return array ['migrated' => [...], 'skipped' => [['entity' => 'order:12', 'reason' => '...'], ...]]
+     */
+    public function migrate(object $from, object $to, array $state_map, array $entities, string $comment = ''): array {
+        $machine_id = (int) $from->machine_id;
+        $result = ['migrated' => [], 'skipped' => []];
+
+        if ($comment === '') {
+            $comment = sprintf(
+                /* translators: 1: source version number, 2: target version number */
+                __('Migrated from version %1$d to version %2$d', 'wp-state-machine'),
+                $from->version_number,
+                $to->version_number
+            );
+        }
+
+        foreach ($entities as $entity) {
+            $entity_type = (string) ($entity['entity_type'] ?? '');
+            $entity_id = (int) ($entity['entity_id'] ?? 0);
+            $label = "{$entity_type}:{$entity_id}";
+
+            $version = $this->getEntityVersion($machine_id, $entity_type, $entity_id);
+            $entry = $this->log_model->getLatestEntry($machine_id, $entity_type, $entity_id);
+
+            if (!$entry || !$version || (int) $version->version_number !== (int) $from->version_number) {
+                $result['skipped'][] = [
+                    'entity' => $label,
+                    'reason' => sprintf(
+                        /* translators: %d: version number */
+                        __('Not on version %d', 'wp-state-machine'),
+                        $from->version_number
+                    )
+                ];
+                continue;
+            }
+
+            // Entities logged before the first publish may sit in a state version 1 does not have
+            $state = $this->getState($from, (int) $entry->to_state_id)
+                ?: $this->state_model->find((int) $entry->to_state_id);
+            $slug = $state ? ($state->version_slug ?? $state->slug) : '';
+            $target_slug = $state_map[$slug] ?? '';
+            $target = $target_slug !== '' ? $this->getStateBySlug($to, $target_slug) : null;
+
+            if (!$target) {
+                $result['skipped'][] = [
+                    'entity' => $label,
+                    'reason' => sprintf(
+                        /* translators: %s: state name */
+                        __('No target state for "%s"', 'wp-state-machine'),
+                        $state ? $state->name : $entry->to_state_id
+                    )
+                ];
+                continue;
+            }
+
+            $log_id = $this->log_model->create([
+                'machine_id' => $machine_id,
+                'entity_id' => $entity_id,
+                'entity_type' => $entity_type,
+                'from_state_id' => (int) $entry->to_state_id,
+                'to_state_id' => (int) $target->id,
+                'machine_version' => (int) $to->version_number,
+                'comment' => $comment
+            ]);
+
+            if (!$log_id) {
+                $result['skipped'][] = [
+                    'entity' => $label,
+                    'reason' => __('Failed to log the migration', 'wp-state-machine')
+                ];
+                continue;
+            }
+
+            $result['migrated'][] = $label;
+        }
+
+        if (!empty($result['migrated'])) {
+            do_action(
+                'wp_state_machine_entities_migrated',
+                $machine_id,
+                (int) $from->version_number,
+                (int) $to->version_number,
+                $result['migrated']
+            );
+        }
+
+        return $result;
+    }
+
+    // ========================================
+    // TRASH
+    // ========================================
+
+    /**
+     * State and transition IDs that versions still in use reference
+     * A version is in use when it is the latest one or entities are pinned to it
+     *
+     * @return array ['state' => int[], 'transition' => int[]]
+     */
+    public function getProtectedIds(): array {
+        global $wpdb;
+
+        $log_table = $wpdb->prefix . 'app_sm_transition_logs';
+
+        $rows = $wpdb->get_results(
+            "SELECT v.* FROM {$this->getTableName()} v
+             WHERE v.version_number = (
+                 SELECT MAX(latest.version_number) FROM {$this->getTableName()} latest
+                 WHERE latest.machine_id = v.machine_id
+             )
+             OR EXISTS (
+                 SELECT 1 FROM {$log_table} l
+                 WHERE l.machine_id = v.machine_id
+                 AND COALESCE(l.machine_version, 1) = v.version_number
+                 AND l.id = (
+                     SELECT MAX(entry.id) FROM {$log_table} entry
+                     WHERE entry.machine_id = l.machine_id
+                     AND entry.entity_type = l.entity_type
+                     AND entry.entity_id = l.entity_id
+                 )
+             )"
+        );
+
+        $ids = ['state' => [], 'transition' => []];
+        foreach ($rows as $version) {
+            $snapshot = $this->decode($version);
+            $ids['state'] = array_merge($ids['state'], array_values($snapshot['ids']['states'] ?? []));
+            $ids['transition'] = array_merge($ids['transition'], array_values($snapshot['ids']['transitions'] ?? []));
+        }
+
+        return [
+            'state' => array_values(array_unique(array_map('intval', $ids['state']))),
+            'transition' => array_values(array_unique(array_map('intval', $ids['transition'])))
+        ];
+    }
+}
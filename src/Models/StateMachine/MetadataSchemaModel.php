@@ -0,0 +1,356 @@
+<?php
+/**
+ * Metadata Schema Model Class
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Models/StateMachine
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Models/StateMachine/MetadataSchemaModel.php
+ *
+ * Description: Schemas for the JSON metadata of states and transitions.
+ *              A base schema describes the keys used by the bundled YML
+ *              workflows; each machine can add or override properties.
+ *              Machine schemas are stored in one option, keyed by machine
+ *              slug (slugs cannot change after creation and survive
+ *              re-seeding, IDs do not).
+ *
+ * Schema Format (JSON Schema subset):
+ * ```json
+ * {
+ *     "state": {
+ *         "properties": {
+ *             "icon": {"type": "string", "description": "Icon name"},
+ *             "sla_hours": {"type": "integer"}
+ *         },
+ *         "required": ["icon"]
+ *     },
+ *     "transition": {
+ *         "properties": {
+ *             "priority": {"type": "string", "enum": ["low", "high"]},
+ *             "notify_roles": {"type": "array", "items": {"type": "string"}}
+ *         }
+ *     }
+ * }
+ * ```
+ * Types: string, number, integer, boolean, array, object.
+ *
+ * Filters:
+ * - wp_state_machine_metadata_schema: ($schema, $machine) merged schema for a machine
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ * - Base schema, per-machine schemas, schema and metadata validation
+ */
+
+namespace WPStateMachine\Models\StateMachine;
+
+defined('ABSPATH') || exit;
+
+class MetadataSchemaModel {
+    /**
+     * Option holding machine schemas (machine slug => schema)
+     */
+    const OPTION_NAME = 'wp_state_machine_metadata_schemas';
+
+    /**
+     * Metadata owners a schema can describe
+     */
+    const SECTIONS = ['state', 'transition'];
+
+    /**
+     * Supported property types
+     */
+    const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+    /**
+     * Base schema: keys used by the bundled YML workflows
+     *
+     * @return array Schema
+     */
+    public function getBaseSchema(): array {
+        return [
+            'state' => [
+                'properties' => [
+                    'description' => [
+                        'type' => 'string',
+                        'description' => __('State description (exported to YML)', 'wp-state-machine'),
+                    ],
+                    'icon' => [
+                        'type' => 'string',
+                        'description' => __('Icon name, e.g. "check-circle"', 'wp-state-machine'),
+                    ],
+                    'permissions' => [
+                        'type' => 'object',
+                        'description' => __('Roles per action, e.g. {"view": ["administrator"]}', 'wp-state-machine'),
+                    ],
+                    'notify_roles' => [
+                        'type' => 'array',
+                        'items' => ['type' => 'string'],
+                        'description' => __('Roles notified when an entity enters this state', 'wp-state-machine'),
+                    ],
+                    'requires_comment' => [
+                        'type' => 'boolean',
+                        'description' => __('A comment is required when entering this state', 'wp-state-machine'),
+                    ],
+                ],
+                'required' => [],
+            ],
+            'transition' => [
+                'properties' => [
+                    'description' => [
+                        'type' => 'string',
+                        'description' => __('Transition description (exported to YML)', 'wp-state-machine'),
+                    ],
+                    'conditions' => [
+                        'type' => 'array',
+                        'description' => __('Conditions checked before the transition', 'wp-state-machine'),
+                    ],
+                    'actions' => [
+                        'type' => 'array',
+                        'items' => ['type' => 'string'],
+                        'description' => __('Actions run after the transition', 'wp-state-machine'),
+                    ],
+                    'permissions' => [
+                        'type' => 'array',
+                        'items' => ['type' => 'string'],
+                        'description' => __('Roles allowed to apply the transition', 'wp-state-machine'),
+                    ],
+                    'notify_roles' => [
+                        'type' => 'array',
+                        'items' => ['type' => 'string'],
+                        'description' => __('Roles notified when the transition is applied', 'wp-state-machine'),
+                    ],
+                    'requires_comment' => [
+                        'type' => 'boolean',
+                        'description' => __('A comment is required to apply the transition', 'wp-state-machine'),
+                    ],
+                    'metadata_required' => [
+                        'type' => 'array',
+                        'items' => ['type' => 'string'],
+                        'description' => __('Metadata keys that must be passed when applying the transition', 'wp-state-machine'),
+                    ],
+                ],
+                'required' => [],
+            ],
+        ];
+    }
+
+    /**
+     * Get the custom schema stored for a machine
+     *
+     * @param string $machine_slug Machine slug
+     * @return array Schema (empty if none)
+     */
+    public function getMachineSchema(string $machine_slug): array {
+        $schemas = get_option(self::OPTION_NAME, []);
+        return isset($schemas[$machine_slug]) && is_array($schemas[$machine_slug]) ? $schemas[$machine_slug] : [];
+    }
+
+    /**
+     * Save the custom schema for a machine
+     * An empty schema removes the machine entry
+     *
+     * @param string $machine_slug Machine slug
+     * @param array $schema Schema (validate with validateSchema() first)
+     * @return bool True if the stored schemas changed
+     */
+    public function saveMachineSchema(string $machine_slug, array $schema): bool {
+        if (empty($schema)) {
+            return $this->deleteMachineSchema($machine_slug);
+        }
+
+        $schemas = get_option(self::OPTION_NAME, []);
+        $schemas[$machine_slug] = $schema;
+
+        return update_option(self::OPTION_NAME, $schemas, false);
+    }
+
+    /**
+     * Delete the custom schema for a machine
+     *
+     * @param string $machine_slug Machine slug
+     * @return bool True if a schema was removed
+     */
+    public function deleteMachineSchema(string $machine_slug): bool {
+        $schemas = get_option(self::OPTION_NAME, []);
+
+        if (!isset($schemas[$machine_slug])) {
+            return false;
+        }
+
+        unset($schemas[$machine_slug]);
+
+        return update_option(self::OPTION_NAME, $schemas, false);
+    }
+
+    /**
+     * Get the effective schema for a machine
+     * Machine properties override base properties; required keys are merged
+     *
+     * @param object|null $machine State machine object (null for base schema only)
+     * @return array Schema with both sections
+     */
+    public function getSchema(?object $machine): array {
+        $schema = $this->getBaseSchema();
+        $custom = $machine ? $this->getMachineSchema($machine->slug) : [];
+
+        foreach (self::SECTIONS as $section) {
+            if (empty($custom[$section])) {
+                continue;
+            }
+
+            $schema[$section]['properties'] = array_merge(
+                $schema[$section]['properties'],
+                $custom[$section]['properties'] ?? []
+            );
+            $schema[$section]['required'] = array_values(array_unique(array_merge(
+                $schema[$section]['required'],
+                $custom[$section]['required'] ?? []
+            )));
+        }
+
+        return apply_filters('wp_state_machine_metadata_schema', $schema, $machine);
+    }
+
+    /**
+     * Validate a schema definition
+     *
+     * @param array $schema Schema to validate
+     * @return array Validation errors
+     */
+    public function validateSchema(array $schema): array {
+        $errors = [];
+
+        foreach ($schema as $section => $definition) {
+            if (!in_array($section, self::SECTIONS, true)) {
+                $errors[] = sprintf(
+                    __('Unknown schema section "%1$s". Use %2$s.', 'wp-state-machine'),
+                    $section,
+                    implode(', ', self::SECTIONS)
+                );
+                continue;
+            }
+
+            if (!is_array($definition)) {
+                $errors[] = sprintf(__('Schema section "%s" must be an object', 'wp-state-machine'), $section);
+                continue;
+            }
+
+            $properties = $definition['properties'] ?? [];
+            if (!is_array($properties)) {
+                $errors[] = sprintf(__('"%s.properties" must be an object', 'wp-state-machine'), $section);
+                $properties = [];
+            }
+
+            foreach ($properties as $key => $property) {
+                $type = is_array($property) ? ($property['type'] ?? null) : null;
+
+                if (!in_array($type, self::TYPES, true)) {
+                    $errors[] = sprintf(
+                        __('"%1$s.%2$s" needs a type: %3$s', 'wp-state-machine'),
+                        $section,
+                        $key,
+                        implode(', ', self::TYPES)
+                    );
+                    continue;
+                }
+
+                if (isset($property['enum']) && !is_array($property['enum'])) {
+                    $errors[] = sprintf(__('"%1$s.%2$s.enum" must be a list', 'wp-state-machine'), $section, $key);
+                }
+
+                $item_type = $property['items']['type'] ?? null;
+                if ($item_type !== null && !in_array($item_type, self::TYPES, true)) {
+                    $errors[] = sprintf(__('"%1$s.%2$s.items.type" is not a supported type', 'wp-state-machine'), $section, $key);
+                }
+            }
+
+            if (isset($definition['required']) && !is_array($definition['required'])) {
+                $errors[] = sprintf(__('"%s.required" must be a list of keys', 'wp-state-machine'), $section);
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate decoded metadata against one schema section
+     * Keys that are not in the schema are allowed
+     *
+     * @param array $metadata Decoded metadata
+     * @param array $section Schema section ['properties' => [...], 'required' => [...]]
+     * @return array Validation errors
+     */
+    public function validateMetadata(array $metadata, array $section): array {
+        $errors = [];
+
+        foreach ($section['required'] ?? [] as $key) {
+            if (!array_key_exists($key, $metadata)) {
+                $errors[] = sprintf(__('"%s" is required', 'wp-state-machine'), $key);
+            }
+        }
+
+        foreach ($section['properties'] ?? [] as $key => $property) {
+            if (!array_key_exists($key, $metadata)) {
+                continue;
+            }
+
+            $value = $metadata[$key];
+
+            if (!$this->matchesType($value, $property['type'])) {
+                $errors[] = sprintf(__('"%1$s" must be of type %2$s', 'wp-state-machine'), $key, $property['type']);
+                continue;
+            }
+
+            if (!empty($property['enum']) && !in_array($value, $property['enum'], true)) {
+                $errors[] = sprintf(
+                    __('"%1$s" must be one of: %2$s', 'wp-state-machine'),
+                    $key,
+                    implode(', ', array_map('wp_json_encode', $property['enum']))
+                );
+            }
+
+            $item_type = $property['items']['type'] ?? null;
+            if ($item_type && is_array($value)) {
+                foreach ($value as $item) {
+                    if (!$this->matchesType($item, $item_type)) {
+                        $errors[] = sprintf(__('Every item of "%1$s" must be of type %2$s', 'wp-state-machine'), $key, $item_type);
+                        break;
+                    }
+                }
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Check a decoded JSON value against a schema type
+     * An empty array matches both array and object ({} decodes to [])
+     *
+     * @param mixed $value Decoded value
+     * @param string $type Schema type
+     * @return bool
+     */
+    private function matchesType($value, string $type): bool {
+        switch ($type) {
+            case 'string':
+                return is_string($value);
+            case 'number':
+                return is_int($value) || is_float($value);
+            case 'integer':
+                return is_int($value);
+            case 'boolean':
+                return is_bool($value);
+            case 'array':
+                return is_array($value) && array_values($value) === $value;
+            case 'object':
+                return is_array($value) && ($value === [] || array_values($value) !== $value);
+        }
+
+        return true;
+    }
+}
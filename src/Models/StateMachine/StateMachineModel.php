@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Models/StateMachine
- * @version     1.1.0
+ * @version     1.4.3
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Models/StateMachine/StateMachineModel.php
@@ -16,6 +16,7 @@
  * Dependencies:
  * - AbstractStateMachineModel: Base CRUD operations
  * - StateMachineCacheManager: Caching layer
+ * - StateModel, TransitionModel: Copied by duplicate()
  * - WordPress $wpdb: Database operations
  *
  * Hooks Fired (via AbstractStateMachineModel):
@@ -26,6 +27,25 @@
  * - wp_state_machine_state_machine_deleted: After machine deletion
  *
  * Changelog:
+ * 1.4.3 - 2026-10-19
+ * - duplicate() drops "Add User to Role" actions from copies the current user may not add (dropped_role_effects)
+ *
+ * 1.4.2 - 2026-10-19
+ * - Duplicate copies the transition effects (actions)
+ *
+ * 1.4.1 - 2026-10-19
+ * - Duplicating a machine copies transition timeouts
+ *
+ * 1.4.0 - 2026-10-19
+ * - Soft delete: trashing a machine trashes its states and transitions, restore brings back the ones trashed with it
+ * - List, count, plugin, group and active queries skip trashed machines; getForDataTable() and getFilteredCount() take a trash flag
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added duplicate(): copies a machine with its states and transitions in one transaction
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added findBySlug() (used by StateMachineEngine machine_slug lookups)
+ *
  * 1.1.0 - 2025-11-07
  * - Refactored to extend AbstractStateMachineModel
  * - 60%+ code reduction by inheriting CRUD operations
@@ -40,7 +60,10 @@
 namespace WPStateMachine\Models\StateMachine;
 
 use WPStateMachine\Models\AbstractStateMachineModel;
+use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\Transition\TransitionModel;
 use WPStateMachine\Cache\StateMachineCacheManager;
+use WPStateMachine\Effects\EffectFactory;
 
 defined('ABSPATH') || exit;
 
@@ -208,6 +231,61 @@ class StateMachineModel extends AbstractStateMachineModel {
         $this->cache->delete('state_machines_count', 'total');
     }
 
+    /**
+     * Trash the machine's states and transitions along with it
+     *
+     * @param object $entity Machine being trashed
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function trashDependents(object $entity, string $deleted_at): void {
+        $this->setChildrenDeletedAt((int) $entity->id, $deleted_at, null);
+    }
+
+    /**
+     * Restore states and transitions trashed together with the machine
+     *
+     * @param object $entity Machine being restored
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function restoreDependents(object $entity, string $deleted_at): void {
+        $this->setChildrenDeletedAt((int) $entity->id, null, $deleted_at);
+    }
+
+    /**
+     * Move states and transitions of a machine in or out of the trash
+     * Rows trashed earlier on their own keep their own timestamp
+     *
+     * @param int $machine_id Machine ID
+     * @param string|null $new_value deleted_at to set (NULL restores)
+     * @param string|null $current_value deleted_at to match (NULL = not trashed)
+     * @return void
+     */
+    private function setChildrenDeletedAt(int $machine_id, ?string $new_value, ?string $current_value): void {
+        global $wpdb;
+
+        $tables = [
+            $wpdb->prefix . 'app_sm_states',
+            $wpdb->prefix . 'app_sm_transitions'
+        ];
+
+        foreach ($tables as $table) {
+            $set = $new_value === null ? "deleted_at = NULL" : $wpdb->prepare("deleted_at = %s", $new_value);
+            $match = $current_value === null ? "deleted_at IS NULL" : $wpdb->prepare("deleted_at = %s", $current_value);
+
+            $wpdb->query($wpdb->prepare(
+                "UPDATE {$table} SET {$set} WHERE machine_id = %d AND {$match}",
+                $machine_id
+            ));
+        }
+
+        $this->cache->delete('states_by_machine', $machine_id);
+        $this->cache->delete('transitions_by_machine', $machine_id);
+        $this->cache->invalidateDataTableCache('states_list');
+        $this->cache->invalidateDataTableCache('transitions_list');
+    }
+
     // ========================================
     // CUSTOM METHODS (State Machine specific)
     // ========================================
@@ -238,8 +316,10 @@ class StateMachineModel extends AbstractStateMachineModel {
                 FROM {$this->getTableName()} sm
                 LEFT JOIN {$wpdb->prefix}app_sm_workflow_groups wg ON sm.workflow_group_id = wg.id";
 
-        // Build WHERE conditions
-        $where_conditions = [];
+        // Build WHERE conditions (trash view shows only trashed rows)
+        $where_conditions = [
+            !empty($params['trash']) ? "sm.deleted_at IS NOT NULL" : "sm.deleted_at IS NULL"
+        ];
 
         // Add workflow group filter
         if (isset($params['workflow_group_id']) && $params['workflow_group_id'] !== null) {
@@ -265,10 +345,7 @@ class StateMachineModel extends AbstractStateMachineModel {
             );
         }
 
-        // Combine WHERE conditions
-        if (!empty($where_conditions)) {
-            $sql .= " WHERE " . implode(" AND ", $where_conditions);
-        }
+        $sql .= " WHERE " . implode(" AND ", $where_conditions);
 
         // Add ordering
         $sql .= " ORDER BY sm.{$order_by} {$order_dir}";
@@ -293,7 +370,7 @@ class StateMachineModel extends AbstractStateMachineModel {
             return (int) $cached_count;
         }
 
-        $count = $wpdb->get_var("SELECT COUNT(*) FROM {$this->getTableName()}");
+        $count = $wpdb->get_var("SELECT COUNT(*) FROM {$this->getTableName()} WHERE deleted_at IS NULL");
 
         // Cache the count
         $this->cache->set('state_machines_count', $count, 300, 'total');
@@ -306,13 +383,14 @@ class StateMachineModel extends AbstractStateMachineModel {
      *
      * @param string $search Search term
      * @param int|null $workflow_group_id Workflow group filter
+     * @param bool $trash Count trashed machines instead
      * @return int Filtered count
      */
-    public function getFilteredCount(string $search = '', ?int $workflow_group_id = null): int {
+    public function getFilteredCount(string $search = '', ?int $workflow_group_id = null, bool $trash = false): int {
         global $wpdb;
 
         if (empty($search) && !$workflow_group_id) {
-            return $this->getTotalCount();
+            return $trash ? $this->countTrashed() : $this->getTotalCount();
         }
 
         $sql = "SELECT COUNT(*)
@@ -320,7 +398,7 @@ class StateMachineModel extends AbstractStateMachineModel {
                 LEFT JOIN {$wpdb->prefix}app_sm_workflow_groups wg ON sm.workflow_group_id = wg.id";
 
         // Build WHERE conditions
-        $where_conditions = [];
+        $where_conditions = [$trash ? "sm.deleted_at IS NOT NULL" : "sm.deleted_at IS NULL"];
 
         // Add workflow group filter
         if ($workflow_group_id !== null) {
@@ -346,10 +424,7 @@ class StateMachineModel extends AbstractStateMachineModel {
             );
         }
 
-        // Combine WHERE conditions
-        if (!empty($where_conditions)) {
-            $sql .= " WHERE " . implode(" AND ", $where_conditions);
-        }
+        $sql .= " WHERE " . implode(" AND ", $where_conditions);
 
         return (int) $wpdb->get_var($sql);
     }
@@ -370,6 +445,7 @@ class StateMachineModel extends AbstractStateMachineModel {
              FROM {$this->getTableName()} sm
              LEFT JOIN {$wpdb->prefix}app_sm_workflow_groups wg ON sm.workflow_group_id = wg.id
              WHERE sm.plugin_slug = %s
+             AND sm.deleted_at IS NULL
              ORDER BY sm.created_at DESC",
             $plugin_slug
         );
@@ -389,6 +465,7 @@ class StateMachineModel extends AbstractStateMachineModel {
         $sql = $wpdb->prepare(
             "SELECT * FROM {$this->getTableName()}
              WHERE workflow_group_id = %d
+             AND deleted_at IS NULL
              ORDER BY name ASC",
             $workflow_group_id
         );
@@ -420,6 +497,114 @@ class StateMachineModel extends AbstractStateMachineModel {
         return $count > 0;
     }
 
+    /**
+     * Find state machine by slug
+     *
+     * @param string $slug State machine slug
+     * @return object|null State machine object or null if not found
+     */
+    public function findBySlug(string $slug): ?object {
+        global $wpdb;
+
+        $id = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$this->getTableName()} WHERE slug = %s",
+            $slug
+        ));
+
+        return $id ? $this->find((int) $id) : null;
+    }
+
+    /**
+     * Copy a state machine with all its states and transitions
+     * Runs in one transaction; transitions are re-pointed to the copied states.
+     * Copies lose their "Add User to Role" actions when the current user
+     * may not add them (EffectFactory::copyEffects()).
+     *
+     * @param int $source_id State machine to copy
+     * @param array $data New machine data (name, slug, workflow_group_id, ...)
+     * @return array|null ['machine_id', 'states_count', 'transitions_count', 'dropped_role_effects'], null on failure
+     */
+    public function duplicate(int $source_id, array $data): ?array {
+        global $wpdb;
+
+        $state_model = new StateModel();
+        $transition_model = new TransitionModel();
+
+        $states = $state_model->getByMachine($source_id);
+        $transitions = $transition_model->getByMachine($source_id);
+
+        try {
+            $wpdb->query('START TRANSACTION');
+
+            $machine_id = $this->create($data);
+            if (!$machine_id) {
+                throw new \Exception('Failed to create state machine');
+            }
+
+            // Old state ID => new state ID
+            $state_map = [];
+            $dropped_role_effects = 0;
+            foreach ($states as $state) {
+                $state_id = $state_model->create([
+                    'machine_id' => $machine_id,
+                    'name' => $state->name,
+                    'slug' => $state->slug,
+                    'type' => $state->type,
+                    'color' => $state->color,
+                    'metadata' => $state->metadata,
+                    'sort_order' => $state->sort_order
+                ]);
+
+                if (!$state_id) {
+                    throw new \Exception("Failed to copy state: {$state->name}");
+                }
+
+                $state_map[$state->id] = $state_id;
+            }
+
+            foreach ($transitions as $transition) {
+                if (!isset($state_map[$transition->from_state_id], $state_map[$transition->to_state_id])) {
+                    throw new \Exception("Transition {$transition->label} points to a state outside the machine");
+                }
+
+                $effects = EffectFactory::copyEffects($transition->effects);
+                if ($effects !== $transition->effects) {
+                    $dropped_role_effects++;
+                }
+
+                $transition_id = $transition_model->create([
+                    'machine_id' => $machine_id,
+                    'from_state_id' => $state_map[$transition->from_state_id],
+                    'to_state_id' => $state_map[$transition->to_state_id],
+                    'label' => $transition->label,
+                    'guard_class' => $transition->guard_class,
+                    'metadata' => $transition->metadata,
+                    'sort_order' => $transition->sort_order,
+                    'timeout_minutes' => $transition->timeout_minutes,
+                    'effects' => $effects
+                ]);
+
+                if (!$transition_id) {
+                    throw new \Exception("Failed to copy transition: {$transition->label}");
+                }
+            }
+
+            $wpdb->query('COMMIT');
+
+            return [
+                'machine_id' => $machine_id,
+                'states_count' => count($state_map),
+                'transitions_count' => count($transitions),
+                'dropped_role_effects' => $dropped_role_effects
+            ];
+
+        } catch (\Exception $e) {
+            $wpdb->query('ROLLBACK');
+            error_log('StateMachineModel::duplicate() error: ' . $e->getMessage());
+            return null;
+        }
+    }
+
     /**
      * Get active state machines
      *
@@ -440,6 +625,7 @@ class StateMachineModel extends AbstractStateMachineModel {
                 FROM {$this->getTableName()} sm
                 LEFT JOIN {$wpdb->prefix}app_sm_workflow_groups wg ON sm.workflow_group_id = wg.id
                 WHERE sm.is_active = 1
+                AND sm.deleted_at IS NULL
                 ORDER BY sm.name ASC";
 
         $results = $wpdb->get_results($sql);
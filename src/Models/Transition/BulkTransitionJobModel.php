@@ -0,0 +1,410 @@
+<?php
+/**
+ * Bulk Transition Job Model Class
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Models/Transition
+ * @version     1.0.2
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Models/Transition/BulkTransitionJobModel.php
+ *
+ * Description: Applies one transition to many entities in the background.
+ *              A job stores the selected entities and is worked off in
+ *              batches of BATCH_SIZE by a single WP-Cron event that
+ *              re-schedules itself until every entity is processed. Each
+ *              entity goes through StateMachineEngine::applyTransition() as
+ *              the user who started the job, so guards, logging and hooks
+ *              behave as for a manual transition; guard failures are
+ *              recorded per entity instead of stopping the job.
+ *
+ * Usage:
+ * ```php
+ * $jobs = new BulkTransitionJobModel();
+ * $preview = $jobs->preview($machine_id, $transition_id, $entities, get_current_user_id());
+ * $job_id = $jobs->create($machine_id, $transition_id, $entities, 'Auto-cancelled after 30 days');
+ * ```
+ *
+ * Hooks Fired:
+ * - wp_state_machine_bulk_transition_queued: ($job_id, $machine_id, $transition_id, $total)
+ * - wp_state_machine_bulk_transition_completed: ($job_id, $succeeded, $failed)
+ *
+ * Changelog:
+ * 1.0.2 - 2026-10-19
+ * - Added PREVIEW_PAGE_SIZE for the paged preview
+ *
+ * 1.0.1 - 2026-10-19
+ * - Entity data comes from StateMachineEngine::getEntityData()
+ *
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+namespace WPStateMachine\Models\Transition;
+
+use WPStateMachine\Engine\StateMachineEngine;
+
+defined('ABSPATH') || exit;
+
+class BulkTransitionJobModel {
+    /**
+     * Entities processed per cron event
+     *
+     * @var int
+     */
+    const BATCH_SIZE = 25;
+
+    /**
+     * Most entities a single job (and its preview) may hold
+     *
+     * @var int
+     */
+    const MAX_ENTITIES = 2000;
+
+    /**
+     * Entities guard-checked per preview request
+     * The preview is paged so no single request checks all of them
+     *
+     * @var int
+     */
+    const PREVIEW_PAGE_SIZE = 100;
+
+    /**
+     * Cron hook running one batch ($job_id)
+     *
+     * @var string
+     */
+    const BATCH_HOOK = 'wp_state_machine_bulk_transition_batch';
+
+    /**
+     * Get database table name
+     *
+     * @return string Full table name with prefix
+     */
+    protected function getTableName(): string {
+        global $wpdb;
+        return $wpdb->prefix . 'app_sm_bulk_transition_jobs';
+    }
+
+    /**
+     * Listen to the batch cron event
+     *
+     * @return void
+     */
+    public function registerHooks(): void {
+        add_action(self::BATCH_HOOK, [$this, 'runBatch']);
+    }
+
+    // ========================================
+    // PREVIEW AND QUEUEING
+    // ========================================
+
+    /**
+     * Check the transition for each entity without applying it
+     *
+     * @param int $machine_id Machine ID
+     * @param int $transition_id Transition ID
+     * @param array $entities Arrays with entity_type and entity_id
+     * @param int $user_id User the guards are checked for
+     * @return array Entities with allowed (bool) and message added
+     */
+    public function preview(int $machine_id, int $transition_id, array $entities, int $user_id): array {
+        $engine = new StateMachineEngine();
+        $rows = [];
+
+        foreach ($entities as $entity) {
+            $result = $engine->canTransition([
+                'machine_id' => $machine_id,
+                'entity_type' => $entity['entity_type'],
+                'entity_id' => (int) $entity['entity_id'],
+                'transition_id' => $transition_id,
+                'user_id' => $user_id,
+                'entity_data' => $engine->getEntityData($entity['entity_type'], (int) $entity['entity_id'])
+            ]);
+
+            $rows[] = array_merge($entity, [
+                'allowed' => $result['allowed'],
+                'message' => $result['message']
+            ]);
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Queue a job and schedule its first batch
+     *
+     * @param int $machine_id Machine ID
+     * @param int $transition_id Transition to apply
+     * @param array $entities Arrays with entity_type and entity_id
+     * @param string $comment Comment for every log entry
+     * @return int|null Job ID, null on failure
+     */
+    public function create(int $machine_id, int $transition_id, array $entities, string $comment = ''): ?int {
+        global $wpdb;
+
+        $entities = array_map(function($entity) {
+            return [
+                'entity_type' => (string) $entity['entity_type'],
+                'entity_id' => (int) $entity['entity_id']
+            ];
+        }, array_values($entities));
+
+        $result = $wpdb->insert(
+            $this->getTableName(),
+            [
+                'machine_id' => $machine_id,
+                'transition_id' => $transition_id,
+                'comment' => $comment !== '' ? $comment : null,
+                'status' => 'queued',
+                'entities' => wp_json_encode($entities),
+                'results' => wp_json_encode([]),
+                'total' => count($entities),
+                'created_by' => get_current_user_id(),
+                'created_at' => current_time('mysql')
+            ],
+            ['%d', '%d', '%s', '%s', '%s', '%s', '%d', '%d', '%s']
+        );
+
+        if ($result === false) {
+            error_log('BulkTransitionJobModel::create() error: ' . $wpdb->last_error);
+            return null;
+        }
+
+        $job_id = (int) $wpdb->insert_id;
+
+        $this->schedule($job_id);
+
+        do_action('wp_state_machine_bulk_transition_queued', $job_id, $machine_id, $transition_id, count($entities));
+
+        return $job_id;
+    }
+
+    /**
+     * Schedule the next batch of a job unless one is pending or running
+     * Also picks up jobs whose cron event was lost (e.g. a fatal error mid-batch)
+     *
+     * @param int $job_id Job ID
+     * @return void
+     */
+    public function schedule(int $job_id): void {
+        if (get_transient($this->getLockKey($job_id)) || wp_next_scheduled(self::BATCH_HOOK, [$job_id])) {
+            return;
+        }
+
+        wp_schedule_single_event(time(), self::BATCH_HOOK, [$job_id]);
+    }
+
+    /**
+     * Stop a queued or running job
+     * Entities already processed keep their new state
+     *
+     * @param int $job_id Job ID
+     * @return bool True if the job was stopped
+     */
+    public function cancel(int $job_id): bool {
+        global $wpdb;
+
+        $updated = $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->getTableName()}
+             SET status = 'cancelled', completed_at = %s
+             WHERE id = %d AND status IN ('queued', 'running')",
+            current_time('mysql'),
+            $job_id
+        ));
+
+        if (!$updated) {
+            return false;
+        }
+
+        wp_clear_scheduled_hook(self::BATCH_HOOK, [$job_id]);
+
+        return true;
+    }
+
+    // ========================================
+    // PROCESSING
+    // ========================================
+
+    /**
+     * Process the next batch of a job (cron callback)
+     *
+     * @param int $job_id Job ID
+     * @return void
+     */
+    public function runBatch($job_id): void {
+        global $wpdb;
+
+        $job_id = (int) $job_id;
+        $job = $this->find($job_id);
+        if (!$job || !in_array($job->status, ['queued', 'running'], true)) {
+            return;
+        }
+
+        // One batch per job at a time, so no entity is processed twice
+        $lock = $this->getLockKey($job_id);
+        if (get_transient($lock)) {
+            return;
+        }
+        set_transient($lock, 1, 5 * MINUTE_IN_SECONDS);
+
+        if ($job->status === 'queued') {
+            $wpdb->update($this->getTableName(), ['status' => 'running'], ['id' => $job_id], ['%s'], ['%d']);
+        }
+
+        $results = $this->getResults($job);
+        $batch = array_slice($this->getEntities($job), (int) $job->processed, self::BATCH_SIZE);
+        $succeeded = 0;
+        $failed = 0;
+
+        // Guards, hooks and the log see the user who started the job
+        $previous_user = get_current_user_id();
+        wp_set_current_user((int) $job->created_by);
+
+        $engine = new StateMachineEngine();
+
+        foreach ($batch as $entity) {
+            try {
+                $result = $engine->applyTransition([
+                    'machine_id' => (int) $job->machine_id,
+                    'entity_type' => $entity['entity_type'],
+                    'entity_id' => $entity['entity_id'],
+                    'transition_id' => (int) $job->transition_id,
+                    'user_id' => (int) $job->created_by,
+                    'comment' => $job->comment,
+                    'metadata' => ['bulk_job_id' => $job_id],
+                    'entity_data' => $engine->getEntityData($entity['entity_type'], $entity['entity_id'])
+                ]);
+            } catch (\Exception $e) {
+                $result = ['success' => false, 'message' => $e->getMessage(), 'data' => []];
+            }
+
+            $results[] = [
+                'entity_type' => $entity['entity_type'],
+                'entity_id' => $entity['entity_id'],
+                'success' => $result['success'],
+                'message' => $result['message'],
+                'log_id' => $result['success'] ? (int) $result['data']['log_id'] : null
+            ];
+
+            $result['success'] ? $succeeded++ : $failed++;
+        }
+
+        wp_set_current_user($previous_user);
+
+        $processed = (int) $job->processed + count($batch);
+
+        $wpdb->update(
+            $this->getTableName(),
+            [
+                'results' => wp_json_encode($results),
+                'processed' => $processed,
+                'succeeded' => (int) $job->succeeded + $succeeded,
+                'failed' => (int) $job->failed + $failed,
+                'updated_at' => current_time('mysql')
+            ],
+            ['id' => $job_id],
+            ['%s', '%d', '%d', '%d', '%s'],
+            ['%d']
+        );
+
+        delete_transient($lock);
+
+        // A job cancelled during the batch stays cancelled
+        $job = $this->find($job_id);
+        if (!$job || $job->status !== 'running') {
+            return;
+        }
+
+        if ($processed < (int) $job->total) {
+            $this->schedule($job_id);
+            return;
+        }
+
+        $wpdb->update(
+            $this->getTableName(),
+            ['status' => 'completed', 'completed_at' => current_time('mysql')],
+            ['id' => $job_id],
+            ['%s', '%s'],
+            ['%d']
+        );
+
+        do_action('wp_state_machine_bulk_transition_completed', $job_id, (int) $job->succeeded, (int) $job->failed);
+    }
+
+    // ========================================
+    // QUERIES
+    // ========================================
+
+    /**
+     * Find a job
+     *
+     * @param int $id Job ID
+     * @return object|null Job row with machine name and transition label
+     */
+    public function find(int $id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT j.*, m.name as machine_name, t.label as transition_label
+             FROM {$this->getTableName()} j
+             LEFT JOIN {$wpdb->prefix}app_sm_machines m ON j.machine_id = m.id
+             LEFT JOIN {$wpdb->prefix}app_sm_transitions t ON j.transition_id = t.id
+             WHERE j.id = %d",
+            $id
+        ));
+    }
+
+    /**
+     * Latest jobs, newest first (without entity lists and results)
+     *
+     * @param int $limit Number of jobs
+     * @return array Job rows with machine name, transition label and author name
+     */
+    public function getRecent(int $limit = 20): array {
+        global $wpdb;
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT j.id, j.machine_id, j.transition_id, j.comment, j.status, j.total, j.processed,
+                    j.succeeded, j.failed, j.created_by, j.created_at, j.completed_at,
+                    m.name as machine_name, t.label as transition_label, u.display_name as author_name
+             FROM {$this->getTableName()} j
+             LEFT JOIN {$wpdb->prefix}app_sm_machines m ON j.machine_id = m.id
+             LEFT JOIN {$wpdb->prefix}app_sm_transitions t ON j.transition_id = t.id
+             LEFT JOIN {$wpdb->users} u ON j.created_by = u.ID
+             ORDER BY j.id DESC
+             LIMIT %d",
+            $limit
+        ));
+    }
+
+    /**
+     * Entities of a job
+     *
+     * @param object $job Job row
+     * @return array Arrays with entity_type and entity_id
+     */
+    public function getEntities(object $job): array {
+        return json_decode((string) $job->entities, true) ?: [];
+    }
+
+    /**
+     * Per-entity results of a job, in processing order
+     *
+     * @param object $job Job row
+     * @return array Arrays with entity_type, entity_id, success, message and log_id
+     */
+    public function getResults(object $job): array {
+        return json_decode((string) $job->results, true) ?: [];
+    }
+
+    /**
+     * Transient key marking a batch of the job as running
+     *
+     * @param int $job_id Job ID
+     * @return string Transient key
+     */
+    private function getLockKey(int $job_id): string {
+        return "wp_state_machine_bulk_job_{$job_id}_lock";
+    }
+}
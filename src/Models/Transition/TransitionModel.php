@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Models/Transition
- * @version     1.0.0
+ * @version     1.3.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Models/Transition/TransitionModel.php
@@ -25,7 +25,29 @@
  * - wp_state_machine_transition_before_delete: Before transition deletion
  * - wp_state_machine_transition_deleted: After transition deletion
  *
+ * Hooks Fired (by this model):
+ * - wp_state_machine_transitions_reordered: After reorder() ($machine_id, $sort_data)
+ *
  * Changelog:
+ * 1.3.1 - 2026-10-19
+ * - Added transitionInTrash() so a trashed duplicate gets its own validation message
+ *
+ * 1.3.0 - 2026-10-19
+ * - effects field (transition actions, JSON list)
+ *
+ * 1.2.0 - 2026-10-19
+ * - timeout_minutes field (timed transitions)
+ * - Added getTimed(): live transitions with a timeout
+ *
+ * 1.1.2 - 2026-10-19
+ * - reorder() fires wp_state_machine_transitions_reordered
+ *
+ * 1.1.1 - 2026-10-19
+ * - Machine, state, lookup and count queries skip trashed transitions
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added reorder(): batch sort_order for drag-to-reorder
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation extending AbstractStateMachineModel
  * - CRUD operations inherited from base class
@@ -92,7 +114,9 @@ class TransitionModel extends AbstractStateMachineModel {
             'label',
             'guard_class',
             'metadata',
-            'sort_order'
+            'sort_order',
+            'timeout_minutes',
+            'effects'
         ];
     }
 
@@ -111,6 +135,14 @@ class TransitionModel extends AbstractStateMachineModel {
                 : json_encode($data['metadata']);
         }
 
+        // Effects are stored as a JSON list, NULL when there are none
+        $effects = null;
+        if (!empty($data['effects'])) {
+            $effects = is_string($data['effects'])
+                ? $data['effects']
+                : wp_json_encode(array_values($data['effects']));
+        }
+
         return [
             'machine_id' => (int) $data['machine_id'],
             'from_state_id' => (int) $data['from_state_id'],
@@ -119,6 +151,8 @@ class TransitionModel extends AbstractStateMachineModel {
             'guard_class' => $data['guard_class'] ?? null,
             'metadata' => $metadata,
             'sort_order' => isset($data['sort_order']) ? (int) $data['sort_order'] : 0,
+            'timeout_minutes' => !empty($data['timeout_minutes']) ? (int) $data['timeout_minutes'] : 0,
+            'effects' => $effects,
             'created_at' => current_time('mysql'),
             'updated_at' => current_time('mysql')
         ];
@@ -139,6 +173,8 @@ class TransitionModel extends AbstractStateMachineModel {
             'guard_class' => '%s',
             'metadata' => '%s',
             'sort_order' => '%d',
+            'timeout_minutes' => '%d',
+            'effects' => '%s',
             'created_at' => '%s',
             'updated_at' => '%s'
         ];
@@ -248,7 +284,7 @@ class TransitionModel extends AbstractStateMachineModel {
              FROM {$this->getTableName()} t
              LEFT JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
              LEFT JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
-             WHERE t.machine_id = %d
+             WHERE t.machine_id = %d AND t.deleted_at IS NULL
              ORDER BY t.sort_order ASC, t.label ASC",
             $machine_id
         );
@@ -285,7 +321,7 @@ class TransitionModel extends AbstractStateMachineModel {
              FROM {$this->getTableName()} t
              LEFT JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
              LEFT JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
-             WHERE t.from_state_id = %d
+             WHERE t.from_state_id = %d AND t.deleted_at IS NULL
              ORDER BY t.sort_order ASC, t.label ASC",
             $from_state_id
         );
@@ -298,6 +334,34 @@ class TransitionModel extends AbstractStateMachineModel {
         return $results;
     }
 
+    /**
+     * Get live transitions with a timeout, for the timed transition runner
+     * Only transitions of active, non-trashed machines leaving a live state;
+     * shortest timeout first so it wins when a state has several
+     *
+     * @return array Transition objects with from_state_name and machine_created_by
+     */
+    public function getTimed(): array {
+        global $wpdb;
+
+        return $wpdb->get_results(
+            "SELECT t.*,
+                    fs.name as from_state_name,
+                    ts.name as to_state_name,
+                    m.created_by as machine_created_by
+             FROM {$this->getTableName()} t
+             INNER JOIN {$wpdb->prefix}app_sm_machines m ON t.machine_id = m.id
+             INNER JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
+             LEFT JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
+             WHERE t.timeout_minutes > 0
+             AND t.deleted_at IS NULL
+             AND fs.deleted_at IS NULL
+             AND m.is_active = 1
+             AND m.deleted_at IS NULL
+             ORDER BY t.timeout_minutes ASC, t.sort_order ASC, t.id ASC"
+        );
+    }
+
     /**
      * Get transitions that lead to a specific state
      *
@@ -322,7 +386,7 @@ class TransitionModel extends AbstractStateMachineModel {
              FROM {$this->getTableName()} t
              LEFT JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
              LEFT JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
-             WHERE t.to_state_id = %d
+             WHERE t.to_state_id = %d AND t.deleted_at IS NULL
              ORDER BY t.sort_order ASC, t.label ASC",
             $to_state_id
         );
@@ -354,7 +418,7 @@ class TransitionModel extends AbstractStateMachineModel {
              FROM {$this->getTableName()} t
              LEFT JOIN {$wpdb->prefix}app_sm_states fs ON t.from_state_id = fs.id
              LEFT JOIN {$wpdb->prefix}app_sm_states ts ON t.to_state_id = ts.id
-             WHERE t.from_state_id = %d AND t.to_state_id = %d
+             WHERE t.from_state_id = %d AND t.to_state_id = %d AND t.deleted_at IS NULL
              LIMIT 1",
             $from_state_id,
             $to_state_id
@@ -390,6 +454,32 @@ class TransitionModel extends AbstractStateMachineModel {
         return $count > 0;
     }
 
+    /**
+     * Check if the transition between two states is in the Trash
+     * Trashed rows still hold the unique key, so they block a new one
+     *
+     * @param int $from_state_id Source state ID
+     * @param int $to_state_id Target state ID
+     * @param int|null $exclude_id Transition ID to exclude
+     * @return bool True if a trashed transition exists
+     */
+    public function transitionInTrash(int $from_state_id, int $to_state_id, ?int $exclude_id = null): bool {
+        global $wpdb;
+
+        $sql = $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->getTableName()}
+             WHERE from_state_id = %d AND to_state_id = %d AND deleted_at IS NOT NULL",
+            $from_state_id,
+            $to_state_id
+        );
+
+        if ($exclude_id !== null) {
+            $sql .= $wpdb->prepare(" AND id != %d", $exclude_id);
+        }
+
+        return $wpdb->get_var($sql) > 0;
+    }
+
     /**
      * Update sort order for multiple transitions
      *
@@ -422,6 +512,45 @@ class TransitionModel extends AbstractStateMachineModel {
         return $success;
     }
 
+    /**
+     * Reorder transitions of a machine
+     * The ordered IDs take the positions they currently occupy in the
+     * machine's order (so a reordered page keeps its place among the other
+     * transitions), then the whole machine is renumbered 1..n
+     *
+     * @param int $machine_id State machine ID
+     * @param array $ordered_ids Transition IDs in their new order
+     * @return array|null New ['id' => sort_order] map, null if an ID is not in the machine
+     */
+    public function reorder(int $machine_id, array $ordered_ids): ?array {
+        $current_ids = array_map('intval', wp_list_pluck($this->getByMachine($machine_id), 'id'));
+        $ordered_ids = array_values(array_unique(array_map('intval', $ordered_ids)));
+
+        if (array_diff($ordered_ids, $current_ids)) {
+            return null;
+        }
+
+        // Slots held by the reordered transitions, filled in their new order
+        $slots = array_keys(array_intersect($current_ids, $ordered_ids));
+        foreach ($slots as $index => $slot) {
+            $current_ids[$slot] = $ordered_ids[$index];
+        }
+
+        $sort_data = [];
+        foreach ($current_ids as $position => $transition_id) {
+            $sort_data[$transition_id] = $position + 1;
+        }
+
+        // updateSortOrder() invalidates the per-machine list caches
+        if (!$this->updateSortOrder($sort_data)) {
+            return null;
+        }
+
+        do_action('wp_state_machine_transitions_reordered', $machine_id, $sort_data);
+
+        return $sort_data;
+    }
+
     /**
      * Count transitions for a machine
      *
@@ -433,7 +562,7 @@ class TransitionModel extends AbstractStateMachineModel {
 
         $sql = $wpdb->prepare(
             "SELECT COUNT(*) FROM {$this->getTableName()}
-             WHERE machine_id = %d",
+             WHERE machine_id = %d AND deleted_at IS NULL",
             $machine_id
         );
 
@@ -454,7 +583,7 @@ class TransitionModel extends AbstractStateMachineModel {
             return (int) $cached_count;
         }
 
-        $count = $wpdb->get_var("SELECT COUNT(*) FROM {$this->getTableName()}");
+        $count = $wpdb->get_var("SELECT COUNT(*) FROM {$this->getTableName()} WHERE deleted_at IS NULL");
 
         // Cache the count
         $this->cache->set('transitions_count', $count, 300, 'total');
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Models/TransitionLog
- * @version     1.0.1
+ * @version     1.4.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Models/TransitionLog/TransitionLogModel.php
@@ -26,6 +26,7 @@
  * - user_id         : User who performed transition
  * - comment         : Optional comment/note
  * - metadata        : JSON additional data
+ * - machine_version : Published machine version the entity is pinned to (nullable)
  * - created_at      : Transition timestamp
  *
  * Per-Plugin Tables:
@@ -72,6 +73,23 @@
  * ```
  *
  * Changelog:
+ * 1.4.0 - 2026-10-19
+ * - Added mergeMetadata(): add keys (e.g. action results) to a log entry's metadata
+ *
+ * 1.3.1 - 2026-10-19
+ * - getEntitiesInState() takes the minimum time in state in minutes
+ *
+ * 1.3.0 - 2026-10-19
+ * - getEntitiesInState() takes optional entity type and minimum age filters and returns since (for bulk transitions)
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added machine_version field (published version the entity is pinned to)
+ * - Added getLatestEntry() and getCurrentEntities() for version pinning and migration
+ * - reassignEntities() keeps each entity's machine_version
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added getEntitiesInState(), countByState(), countByTransition() and reassignEntities() for delete impact reports
+ *
  * 1.0.1 - 2025-11-07 (TODO-6104)
  * - Added per-plugin table support
  * - Dynamic table name resolution
@@ -211,6 +229,7 @@ class TransitionLogModel extends AbstractStateMachineModel {
             user_id bigint(20) UNSIGNED NOT NULL,
             comment text NULL,
             metadata text NULL,
+            machine_version int(11) UNSIGNED NULL,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY  (id),
             KEY machine_id_index (machine_id),
@@ -352,6 +371,7 @@ class TransitionLogModel extends AbstractStateMachineModel {
                 '%d', // user_id
                 '%s', // comment
                 '%s', // metadata
+                '%d', // machine_version (nullable handled by prepare)
             ]
         );
 
@@ -371,6 +391,89 @@ class TransitionLogModel extends AbstractStateMachineModel {
         return $log_id;
     }
 
+    /**
+     * Move every entity currently in a state to another state
+     * Writes one log entry per entity, so history shows the move; entities
+     * stay on their machine version
+     *
+     * @param int $machine_id Machine ID
+     * @param int $from_state_id State the entities currently sit in
+     * @param int $to_state_id State to move them to
+     * @param string $comment Log comment
+     * @return int|false Number of entities moved, false if a log entry failed
+     */
+    public function reassignEntities(int $machine_id, int $from_state_id, int $to_state_id, string $comment = '') {
+        $moved = 0;
+
+        foreach ($this->getEntitiesInState($machine_id, $from_state_id) as $entity) {
+            $log_id = $this->create([
+                'machine_id' => $machine_id,
+                'entity_id' => $entity->entity_id,
+                'entity_type' => $entity->entity_type,
+                'from_state_id' => $from_state_id,
+                'to_state_id' => $to_state_id,
+                'machine_version' => $entity->machine_version,
+                'comment' => $comment
+            ]);
+
+            if (!$log_id) {
+                return false;
+            }
+
+            $moved++;
+        }
+
+        return $moved;
+    }
+
+    // ========================================
+    // UPDATE METHODS
+    // ========================================
+
+    /**
+     * Add keys to the metadata of a log entry
+     * Used to record what happened after the transition (e.g. action results);
+     * existing keys with the same name are replaced
+     *
+     * @param int $log_id Log entry ID
+     * @param array $metadata Keys to add
+     * @return bool True on success
+     */
+    public function mergeMetadata(int $log_id, array $metadata): bool {
+        global $wpdb;
+
+        $log = $wpdb->get_row($wpdb->prepare(
+            "SELECT id, machine_id, entity_type, entity_id, user_id, metadata FROM {$this->getTableName()} WHERE id = %d",
+            $log_id
+        ));
+
+        if (!$log) {
+            return false;
+        }
+
+        $current = !empty($log->metadata) ? json_decode($log->metadata, true) : [];
+        if (!is_array($current)) {
+            $current = [];
+        }
+
+        $result = $wpdb->update(
+            $this->getTableName(),
+            ['metadata' => wp_json_encode(array_merge($current, $metadata))],
+            ['id' => $log_id],
+            ['%s'],
+            ['%d']
+        );
+
+        if ($result === false) {
+            error_log('[TransitionLogModel] Metadata update failed: ' . $wpdb->last_error);
+            return false;
+        }
+
+        $this->invalidateCaches((array) $log);
+
+        return true;
+    }
+
     // ========================================
     // READ METHODS
     // ========================================
@@ -558,6 +661,130 @@ class TransitionLogModel extends AbstractStateMachineModel {
         return $stats;
     }
 
+    /**
+     * Get entities whose current state is the given state
+     * The current state is the destination of the entity's latest log
+     * entry for the machine (highest ID, i.e. last inserted)
+     *
+     * @param int $machine_id Machine ID
+     * @param int $state_id State ID
+     * @param string $entity_type Only this entity type ('' = all)
+     * @param int $min_age_minutes Only entities in the state for at least this many minutes
+     * @return array Objects with entity_type, entity_id, machine_version and since (entered the state)
+     */
+    public function getEntitiesInState(int $machine_id, int $state_id, string $entity_type = '', int $min_age_minutes = 0): array {
+        global $wpdb;
+
+        $log_table = $this->getTableName();
+
+        $sql = $wpdb->prepare(
+            "SELECT l.entity_type, l.entity_id, l.machine_version, l.created_at as since
+             FROM {$log_table} l
+             WHERE l.machine_id = %d
+             AND l.to_state_id = %d
+             AND l.id = (
+                 SELECT MAX(latest.id) FROM {$log_table} latest
+                 WHERE latest.machine_id = l.machine_id
+                 AND latest.entity_type = l.entity_type
+                 AND latest.entity_id = l.entity_id
+             )",
+            $machine_id,
+            $state_id
+        );
+
+        if ($entity_type !== '') {
+            $sql .= $wpdb->prepare(" AND l.entity_type = %s", $entity_type);
+        }
+
+        if ($min_age_minutes > 0) {
+            $sql .= $wpdb->prepare(" AND l.created_at <= DATE_SUB(NOW(), INTERVAL %d MINUTE)", $min_age_minutes);
+        }
+
+        return $wpdb->get_results($sql . " ORDER BY l.created_at ASC, l.id ASC");
+    }
+
+    /**
+     * Get the latest log entry of an entity for a machine
+     *
+     * @param int $machine_id Machine ID
+     * @param string $entity_type Entity type
+     * @param int $entity_id Entity ID
+     * @return object|null Log entry or null if the entity has no history
+     */
+    public function getLatestEntry(int $machine_id, string $entity_type, int $entity_id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->getTableName()}
+             WHERE machine_id = %d AND entity_type = %s AND entity_id = %d
+             ORDER BY id DESC
+             LIMIT 1",
+            $machine_id,
+            $entity_type,
+            $entity_id
+        ));
+    }
+
+    /**
+     * Get every entity of a machine with its latest log entry
+     * (current state and pinned machine version)
+     *
+     * @param int $machine_id Machine ID
+     * @return array Latest log entries with state name and slug
+     */
+    public function getCurrentEntities(int $machine_id): array {
+        global $wpdb;
+
+        $log_table = $this->getTableName();
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT l.*, s.name as state_name, s.slug as state_slug
+             FROM {$log_table} l
+             LEFT JOIN {$wpdb->prefix}app_sm_states s ON l.to_state_id = s.id
+             WHERE l.machine_id = %d
+             AND l.id = (
+                 SELECT MAX(latest.id) FROM {$log_table} latest
+                 WHERE latest.machine_id = l.machine_id
+                 AND latest.entity_type = l.entity_type
+                 AND latest.entity_id = l.entity_id
+             )
+             ORDER BY l.entity_type ASC, l.entity_id ASC",
+            $machine_id
+        ));
+    }
+
+    /**
+     * Count log entries that reference a state as source or destination
+     *
+     * @param int $state_id State ID
+     * @return int Number of log entries
+     */
+    public function countByState(int $state_id): int {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->getTableName()}
+             WHERE from_state_id = %d OR to_state_id = %d",
+            $state_id,
+            $state_id
+        ));
+    }
+
+    /**
+     * Count log entries recorded for a transition
+     *
+     * @param int $transition_id Transition ID
+     * @return int Number of log entries
+     */
+    public function countByTransition(int $transition_id): int {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->getTableName()} WHERE transition_id = %d",
+            $transition_id
+        ));
+    }
+
     // ========================================
     // HELPER METHODS
     // ========================================
@@ -594,6 +821,8 @@ class TransitionLogModel extends AbstractStateMachineModel {
             $prepared['metadata'] = null;
         }
 
+        $prepared['machine_version'] = !empty($data['machine_version']) ? intval($data['machine_version']) : null;
+
         return $prepared;
     }
 
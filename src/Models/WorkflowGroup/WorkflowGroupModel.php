@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Models/WorkflowGroup
- * @version     1.0.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Models/WorkflowGroup/WorkflowGroupModel.php
@@ -27,6 +27,13 @@
  * - wp_state_machine_workflow_group_deleted: After group deletion
  *
  * Changelog:
+ * 1.2.0 - 2026-10-19
+ * - Soft delete: trashing a group trashes the machines still in it, restore brings back the ones trashed with it
+ * - DataTable takes a trash flag; machine counts and lists skip trashed machines
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added moveMachines() (reassign a group's machines before deleting it)
+ *
  * 1.0.0 - 2025-11-07 (TODO-6102 PRIORITAS #7)
  * - Initial creation for FASE 3
  * - Extends AbstractStateMachineModel
@@ -162,11 +169,15 @@ class WorkflowGroupModel extends AbstractStateMachineModel {
                 g.*,
                 COUNT(m.id) as machine_count
             FROM {$table} g
-            LEFT JOIN {$machines_table} m ON g.id = m.workflow_group_id
+            LEFT JOIN {$machines_table} m ON g.id = m.workflow_group_id AND m.deleted_at IS NULL
         ";
 
+        // Trash view shows only trashed groups
+        $where = [
+            !empty($params['trash']) ? "g.deleted_at IS NOT NULL" : "g.deleted_at IS NULL"
+        ];
+
         // Search
-        $where = [];
         if (!empty($params['search'])) {
             $search = '%' . $wpdb->esc_like($params['search']) . '%';
             $where[] = $wpdb->prepare(
@@ -181,9 +192,7 @@ class WorkflowGroupModel extends AbstractStateMachineModel {
         }
 
         // Combine WHERE
-        if (!empty($where)) {
-            $query .= " WHERE " . implode(" AND ", $where);
-        }
+        $query .= " WHERE " . implode(" AND ", $where);
 
         // Group by
         $query .= " GROUP BY g.id";
@@ -238,7 +247,7 @@ class WorkflowGroupModel extends AbstractStateMachineModel {
         $results = $wpdb->get_results(
             "SELECT id, name, slug, icon, sort_order
              FROM {$table}
-             WHERE is_active = 1
+             WHERE is_active = 1 AND deleted_at IS NULL
              ORDER BY sort_order ASC, name ASC"
         );
 
@@ -335,12 +344,103 @@ class WorkflowGroupModel extends AbstractStateMachineModel {
         return $wpdb->get_results($wpdb->prepare(
             "SELECT id, name, slug, plugin_slug, entity_type
              FROM {$machines_table}
-             WHERE workflow_group_id = %d
+             WHERE workflow_group_id = %d AND deleted_at IS NULL
              ORDER BY name ASC",
             $group_id
         ));
     }
 
+    /**
+     * Move all machines of a group to another group
+     *
+     * @param int $group_id Group ID
+     * @param int|null $target_id Target group ID, null to ungroup
+     * @return int|false Number of machines moved, false on error
+     */
+    public function moveMachines(int $group_id, ?int $target_id) {
+        global $wpdb;
+        $machines_table = $wpdb->prefix . 'app_sm_machines';
+
+        if ($target_id) {
+            return $wpdb->query($wpdb->prepare(
+                "UPDATE {$machines_table} SET workflow_group_id = %d WHERE workflow_group_id = %d",
+                $target_id,
+                $group_id
+            ));
+        }
+
+        return $wpdb->query($wpdb->prepare(
+            "UPDATE {$machines_table} SET workflow_group_id = NULL WHERE workflow_group_id = %d",
+            $group_id
+        ));
+    }
+
+    /**
+     * Trash the group's machines together with their states and transitions
+     * Only machines still in the group at this point are trashed (block and
+     * reassign delete modes have already moved them away)
+     *
+     * @param object $entity Group being trashed
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function trashDependents(object $entity, string $deleted_at): void {
+        $this->setMachinesDeletedAt((int) $entity->id, $deleted_at, null);
+    }
+
+    /**
+     * Restore machines trashed together with the group
+     *
+     * @param object $entity Group being restored
+     * @param string $deleted_at Trash timestamp
+     * @return void
+     */
+    protected function restoreDependents(object $entity, string $deleted_at): void {
+        $this->setMachinesDeletedAt((int) $entity->id, null, $deleted_at);
+    }
+
+    /**
+     * Move a group's machines, states and transitions in or out of the trash
+     *
+     * @param int $group_id Group ID
+     * @param string|null $new_value deleted_at to set (NULL restores)
+     * @param string|null $current_value deleted_at to match (NULL = not trashed)
+     * @return void
+     */
+    private function setMachinesDeletedAt(int $group_id, ?string $new_value, ?string $current_value): void {
+        global $wpdb;
+        $machines_table = $wpdb->prefix . 'app_sm_machines';
+
+        $set = $new_value === null ? "deleted_at = NULL" : $wpdb->prepare("deleted_at = %s", $new_value);
+        $match = $current_value === null ? "deleted_at IS NULL" : $wpdb->prepare("deleted_at = %s", $current_value);
+
+        $machine_ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT id FROM {$machines_table} WHERE workflow_group_id = %d AND {$match}",
+            $group_id
+        ));
+
+        if (empty($machine_ids)) {
+            return;
+        }
+
+        $ids = implode(',', array_map('intval', $machine_ids));
+
+        $wpdb->query("UPDATE {$machines_table} SET {$set} WHERE id IN ({$ids})");
+        $wpdb->query("UPDATE {$wpdb->prefix}app_sm_states SET {$set} WHERE machine_id IN ({$ids}) AND {$match}");
+        $wpdb->query("UPDATE {$wpdb->prefix}app_sm_transitions SET {$set} WHERE machine_id IN ({$ids}) AND {$match}");
+
+        foreach ($machine_ids as $machine_id) {
+            $this->cache->delete('state_machine', (int) $machine_id);
+            $this->cache->delete('states_by_machine', (int) $machine_id);
+            $this->cache->delete('transitions_by_machine', (int) $machine_id);
+        }
+
+        $this->cache->invalidateDataTableCache('state_machines_list');
+        $this->cache->invalidateDataTableCache('states_list');
+        $this->cache->invalidateDataTableCache('transitions_list');
+        $this->cache->delete('state_machines_count', 'total');
+    }
+
     /**
      * Mark group as custom (user modified)
      * Called after any update operation
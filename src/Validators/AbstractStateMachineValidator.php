@@ -7,7 +7,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Validators
- * @version     1.0.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Validators/AbstractStateMachineValidator.php
@@ -54,6 +54,12 @@
  * - 3,780+ lines saved across 18+ plugins
  *
  * Changelog:
+ * 1.2.0 - 2026-10-19
+ * - buildDeleteImpact() and validateDeleteMode() shared by the delete impact reports
+ *
+ * 1.1.0 - 2026-10-19
+ * - validateMetadata(): metadata JSON checked against the machine's metadata schema
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation as standalone base class
  * - Permission validation methods
@@ -64,6 +70,8 @@
 
 namespace WPStateMachine\Validators;
 
+use WPStateMachine\Models\StateMachine\MetadataSchemaModel;
+
 defined('ABSPATH') || exit;
 
 abstract class AbstractStateMachineValidator {
@@ -288,4 +296,95 @@ abstract class AbstractStateMachineValidator {
 
         return $results;
     }
+
+    // ========================================
+    // DELETE IMPACT
+    // ========================================
+
+    /**
+     * Build a delete impact report
+     * Items with a count above zero block a delete in 'block' mode
+     *
+     * @param array $items Dependents: [['key' => string, 'label' => string, 'count' => int], ...]
+     * @param array $modes Allowed delete modes: block, reassign, cascade
+     * @param array $targets Reassign targets: [['id' => int, 'name' => string], ...]
+     * @return array ['items', 'has_dependents', 'modes', 'targets']
+     */
+    protected function buildDeleteImpact(array $items, array $modes, array $targets = []): array {
+        $has_dependents = false;
+        foreach ($items as $item) {
+            if ($item['count'] > 0) {
+                $has_dependents = true;
+            }
+        }
+
+        return [
+            'items' => $items,
+            'has_dependents' => $has_dependents,
+            'modes' => $modes,
+            'targets' => $targets
+        ];
+    }
+
+    /**
+     * Check a delete mode against an impact report
+     *
+     * @param array $impact Report from the child's getDeleteImpact()
+     * @param string $mode Requested mode
+     * @return string|null Error message, null if the delete may go ahead
+     */
+    public function validateDeleteMode(array $impact, string $mode): ?string {
+        if (!in_array($mode, $impact['modes'], true)) {
+            return __('Invalid delete option', 'wp-state-machine');
+        }
+
+        if ($mode !== 'block' || !$impact['has_dependents']) {
+            return null;
+        }
+
+        $dependents = [];
+        foreach ($impact['items'] as $item) {
+            if ($item['count'] > 0) {
+                $dependents[] = sprintf('%s: %d', $item['label'], $item['count']);
+            }
+        }
+
+        return sprintf(
+            __('Delete blocked by dependent data (%s)', 'wp-state-machine'),
+            implode(', ', $dependents)
+        );
+    }
+
+    // ========================================
+    // SHARED FIELD VALIDATION
+    // ========================================
+
+    /**
+     * Validate a metadata JSON string against the machine's metadata schema
+     *
+     * @param string $metadata Metadata JSON (empty string is valid)
+     * @param object|null $machine State machine (null checks the base schema only)
+     * @param string $section Schema section: state|transition
+     * @return string|null Error message, null if valid
+     */
+    protected function validateMetadata(string $metadata, ?object $machine, string $section): ?string {
+        if ($metadata === '') {
+            return null;
+        }
+
+        $decoded = json_decode($metadata, true);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            return __('Metadata must be valid JSON', 'wp-state-machine');
+        }
+
+        if (!is_array($decoded)) {
+            return __('Metadata must be a JSON object', 'wp-state-machine');
+        }
+
+        $schema_model = new MetadataSchemaModel();
+        $schema = $schema_model->getSchema($machine);
+        $errors = $schema_model->validateMetadata($decoded, $schema[$section] ?? []);
+
+        return $errors ? implode(' ', $errors) : null;
+    }
 }
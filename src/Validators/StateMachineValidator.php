@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Validators
- * @version     1.0.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Validators/StateMachineValidator.php
@@ -15,6 +15,7 @@
  *
  * Dependencies:
  * - StateMachineModel: For data verification
+ * - StateModel, TransitionModel, TransitionLogModel: For delete impact
  *
  * Methods:
  * - validateForm(): Validate form input data
@@ -23,8 +24,19 @@
  * - canView(): Check if user can view
  * - canUpdate(): Check if user can update
  * - canDelete(): Check if user can delete
+ * - getDeleteImpact(): States, transitions, entities and log entries of a machine
+ * - validatePublish(): Definition checks before publishing a version
  *
  * Changelog:
+ * 1.2.0 - 2026-10-19
+ * - Added validatePublish() (states, one initial state, transitions)
+ *
+ * 1.1.1 - 2026-10-19
+ * - A trashed workflow group is rejected like a missing one
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added getDeleteImpact() (states, transitions, tracked entities, log entries)
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - Form validation with error handling
@@ -35,6 +47,9 @@
 namespace WPStateMachine\Validators;
 
 use WPStateMachine\Models\StateMachine\StateMachineModel;
+use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\Transition\TransitionModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
 
 defined('ABSPATH') || exit;
 
@@ -143,7 +158,7 @@ class StateMachineValidator extends AbstractStateMachineValidator {
                 global $wpdb;
                 $wg_table = $wpdb->prefix . 'app_sm_workflow_groups';
                 $wg_exists = $wpdb->get_var($wpdb->prepare(
-                    "SELECT COUNT(*) FROM {$wg_table} WHERE id = %d",
+                    "SELECT COUNT(*) FROM {$wg_table} WHERE id = %d AND deleted_at IS NULL",
                     $workflow_group_id
                 ));
                 if (!$wg_exists) {
@@ -211,5 +226,71 @@ class StateMachineValidator extends AbstractStateMachineValidator {
         return $errors;
     }
 
+    /**
+     * Get what depends on a state machine before it is deleted
+     * States, transitions and log entries are removed with the machine
+     *
+     * @param int $machine_id Machine ID
+     * @return array Impact report (see buildDeleteImpact())
+     */
+    public function getDeleteImpact(int $machine_id): array {
+        $state_model = new StateModel();
+        $transition_model = new TransitionModel();
+        $stats = (new TransitionLogModel())->getMachineStats($machine_id);
+
+        return $this->buildDeleteImpact([
+            [
+                'key' => 'states',
+                'label' => __('States', 'wp-state-machine'),
+                'count' => $state_model->countByMachine($machine_id)
+            ],
+            [
+                'key' => 'transitions',
+                'label' => __('Transitions', 'wp-state-machine'),
+                'count' => $transition_model->countByMachine($machine_id)
+            ],
+            [
+                'key' => 'entities',
+                'label' => __('Entities tracked by this machine', 'wp-state-machine'),
+                'count' => (int) $stats['unique_entities']
+            ],
+            [
+                'key' => 'logs',
+                'label' => __('Log entries', 'wp-state-machine'),
+                'count' => (int) $stats['total_transitions']
+            ]
+        ], ['block', 'cascade']);
+    }
+
+    /**
+     * Validate a machine definition before it is published as a version
+     * Entities start on the initial state, so exactly one is required
+     *
+     * @param array $snapshot Definition from MachineRevisionModel::buildSnapshot()
+     * @return array Validation errors
+     */
+    public function validatePublish(array $snapshot): array {
+        $errors = [];
+        $states = $snapshot['states'] ?? [];
+
+        if (empty($states)) {
+            $errors['states'] = __('State machine must have at least one state', 'wp-state-machine');
+        } else {
+            $initial = count(array_filter($states, function($state) {
+                return ($state['type'] ?? '') === 'initial';
+            }));
+
+            if ($initial !== 1) {
+                $errors['states_initial'] = __('State machine must have exactly one initial state', 'wp-state-machine');
+            }
+        }
+
+        if (empty($snapshot['transitions'])) {
+            $errors['transitions'] = __('State machine must have at least one transition', 'wp-state-machine');
+        }
+
+        return $errors;
+    }
+
     // validateBulkOperation() inherited from AbstractStateMachineValidator
 }
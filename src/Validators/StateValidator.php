@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Validators
- * @version     1.0.0
+ * @version     1.3.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Validators/StateValidator.php
@@ -16,6 +16,8 @@
  * Dependencies:
  * - StateModel: For data verification
  * - StateMachineModel: For machine verification
+ * - MetadataSchemaModel: For metadata validation (via parent)
+ * - TransitionLogModel: For delete impact (entities and log entries)
  *
  * Methods:
  * - validateForm(): Validate form input data
@@ -24,8 +26,25 @@
  * - canView(): Check if user can view
  * - canUpdate(): Check if user can update
  * - canDelete(): Check if user can delete
+ * - getDeleteImpact(): Transitions, entities and log entries depending on a state
+ * - validateMerge(): Check a state can be merged into another
  *
  * Changelog:
+ * 1.3.1 - 2026-10-19
+ * - Slug check says when the slug is used by a state in the Trash
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added validateMerge() (target in the same machine, not the initial state)
+ *
+ * 1.2.1 - 2026-10-19
+ * - Trashed transitions no longer count as dependents; a trashed machine is rejected like a missing one
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added getDeleteImpact() (transitions, entities in the state, log entries, reassign targets)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Metadata is validated against the machine's metadata schema
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation following StateMachineValidator pattern
  * - Form validation with error handling
@@ -37,6 +56,7 @@ namespace WPStateMachine\Validators;
 
 use WPStateMachine\Models\State\StateModel;
 use WPStateMachine\Models\StateMachine\StateMachineModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
 
 defined('ABSPATH') || exit;
 
@@ -99,6 +119,7 @@ class StateValidator extends AbstractStateMachineValidator {
      */
     public function validateForm(array $data, ?int $id = null): array {
         $errors = [];
+        $machine = null;
 
         // Validate machine_id
         if (empty($data['machine_id'])) {
@@ -110,7 +131,7 @@ class StateValidator extends AbstractStateMachineValidator {
             } else {
                 // Check if machine exists
                 $machine = $this->machine_model->find($machine_id);
-                if (!$machine) {
+                if (!$machine || !empty($machine->deleted_at)) {
                     $errors['machine_id'] = __('State machine does not exist', 'wp-state-machine');
                 }
             }
@@ -138,7 +159,9 @@ class StateValidator extends AbstractStateMachineValidator {
             // Check slug uniqueness within the machine
             if (!empty($data['machine_id'])) {
                 $machine_id = intval($data['machine_id']);
-                if ($this->model->slugExists($machine_id, $data['slug'], $id)) {
+                if ($this->model->slugInTrash($machine_id, $data['slug'], $id)) {
+                    $errors['slug'] = __('This slug is used by a state in the Trash. Restore it or delete it permanently first', 'wp-state-machine');
+                } elseif ($this->model->slugExists($machine_id, $data['slug'], $id)) {
                     $errors['slug'] = __('This slug is already in use for this machine', 'wp-state-machine');
                 }
             }
@@ -171,14 +194,11 @@ class StateValidator extends AbstractStateMachineValidator {
             }
         }
 
-        // Validate metadata (optional)
-        if (!empty($data['metadata'])) {
-            // If metadata is a string, check if it's valid JSON
-            if (is_string($data['metadata'])) {
-                $decoded = json_decode($data['metadata']);
-                if (json_last_error() !== JSON_ERROR_NONE && $data['metadata'] !== '') {
-                    $errors['metadata'] = __('Metadata must be valid JSON', 'wp-state-machine');
-                }
+        // Validate metadata (optional, JSON checked against the machine's metadata schema)
+        if (!empty($data['metadata']) && is_string($data['metadata'])) {
+            $metadata_error = $this->validateMetadata($data['metadata'], $machine, 'state');
+            if ($metadata_error) {
+                $errors['metadata'] = $metadata_error;
             }
         }
 
@@ -218,7 +238,7 @@ class StateValidator extends AbstractStateMachineValidator {
 
         $count = $wpdb->get_var($wpdb->prepare(
             "SELECT COUNT(*) FROM {$transition_table}
-             WHERE from_state_id = %d OR to_state_id = %d",
+             WHERE (from_state_id = %d OR to_state_id = %d) AND deleted_at IS NULL",
             $state_id,
             $state_id
         ));
@@ -243,5 +263,81 @@ class StateValidator extends AbstractStateMachineValidator {
         ];
     }
 
+    /**
+     * Get what depends on a state before it is deleted
+     * Entities can be reassigned to another state of the same machine
+     *
+     * @param int $state_id State ID
+     * @return array Impact report (see buildDeleteImpact())
+     */
+    public function getDeleteImpact(int $state_id): array {
+        global $wpdb;
+
+        $state = $this->state_model->find($state_id);
+        $log_model = new TransitionLogModel();
+        $transition_table = $wpdb->prefix . 'app_sm_transitions';
+
+        $transitions = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$transition_table}
+             WHERE (from_state_id = %d OR to_state_id = %d) AND deleted_at IS NULL",
+            $state_id,
+            $state_id
+        ));
+
+        $targets = [];
+        foreach ($this->state_model->getByMachine((int) $state->machine_id) as $other) {
+            if ((int) $other->id !== $state_id) {
+                $targets[] = ['id' => (int) $other->id, 'name' => $other->name];
+            }
+        }
+
+        $modes = $targets ? ['block', 'reassign', 'cascade'] : ['block', 'cascade'];
+
+        return $this->buildDeleteImpact([
+            [
+                'key' => 'transitions',
+                'label' => __('Transitions using this state', 'wp-state-machine'),
+                'count' => $transitions
+            ],
+            [
+                'key' => 'entities',
+                'label' => __('Entities currently in this state', 'wp-state-machine'),
+                'count' => count($log_model->getEntitiesInState((int) $state->machine_id, $state_id))
+            ],
+            [
+                'key' => 'logs',
+                'label' => __('Log entries referencing this state', 'wp-state-machine'),
+                'count' => $log_model->countByState($state_id)
+            ]
+        ], $modes, $targets);
+    }
+
+    /**
+     * Check a state can be merged into another state
+     * The target has to be a different, live state of the same machine;
+     * the initial state cannot be merged away
+     *
+     * @param object $state State being merged
+     * @param int $target_id State taking over its entities
+     * @return string|null Error message, null if the merge may go ahead
+     */
+    public function validateMerge(object $state, int $target_id): ?string {
+        $target = $target_id ? $this->state_model->find($target_id) : null;
+
+        if (!$target || $target->deleted_at || (int) $target->machine_id !== (int) $state->machine_id) {
+            return __('Choose a state of the same machine to merge into', 'wp-state-machine');
+        }
+
+        if ((int) $target->id === (int) $state->id) {
+            return __('A state cannot be merged into itself', 'wp-state-machine');
+        }
+
+        if ($state->type === 'initial') {
+            return __('The initial state cannot be merged. Make another state the initial state first.', 'wp-state-machine');
+        }
+
+        return null;
+    }
+
     // validateBulkOperation() inherited from AbstractStateMachineValidator
 }
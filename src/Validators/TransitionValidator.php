@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Validators
- * @version     1.0.0
+ * @version     1.5.2
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Validators/TransitionValidator.php
@@ -17,6 +17,10 @@
  * - TransitionModel: For data verification
  * - StateMachineModel: For machine verification
  * - StateModel: For state verification
+ * - GuardFactory: For guard_class validation
+ * - EffectFactory: For effects (actions) validation
+ * - MetadataSchemaModel: For metadata validation (via parent)
+ * - TransitionLogModel: For delete impact (log entries)
  *
  * Methods:
  * - validateForm(): Validate form input data
@@ -25,8 +29,33 @@
  * - canView(): Check if user can view
  * - canUpdate(): Check if user can update
  * - canDelete(): Check if user can delete
+ * - getDeleteImpact(): Log entries recorded for a transition
  *
  * Changelog:
+ * 1.5.2 - 2026-10-19
+ * - Role action check moved to EffectFactory::canChangeRoleEffects()
+ *
+ * 1.5.1 - 2026-10-19
+ * - Duplicate check says when the existing transition is in the Trash
+ *
+ * 1.5.0 - 2026-10-19
+ * - Validate effects with EffectFactory::validate(); Add User to Role actions need promote_users
+ *
+ * 1.4.0 - 2026-10-19
+ * - Validate timeout_minutes (0 to MAX_TIMEOUT_MINUTES)
+ *
+ * 1.3.1 - 2026-10-19
+ * - Trashed machines and states are rejected like missing ones
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added getDeleteImpact() (log entries recorded for the transition)
+ *
+ * 1.2.0 - 2026-10-19
+ * - Metadata is validated against the machine's metadata schema
+ *
+ * 1.1.0 - 2026-10-19
+ * - guard_class is validated with GuardFactory::validate()
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation following StateValidator pattern
  * - Form validation with error handling
@@ -40,10 +69,20 @@ namespace WPStateMachine\Validators;
 use WPStateMachine\Models\Transition\TransitionModel;
 use WPStateMachine\Models\StateMachine\StateMachineModel;
 use WPStateMachine\Models\State\StateModel;
+use WPStateMachine\Models\TransitionLog\TransitionLogModel;
+use WPStateMachine\Guards\GuardFactory;
+use WPStateMachine\Effects\EffectFactory;
 
 defined('ABSPATH') || exit;
 
 class TransitionValidator extends AbstractStateMachineValidator {
+    /**
+     * Longest allowed timeout (365 days)
+     *
+     * @var int
+     */
+    const MAX_TIMEOUT_MINUTES = 525600;
+
     /**
      * Transition Model instance
      * Note: Also available as protected $model from parent class
@@ -125,7 +164,7 @@ class TransitionValidator extends AbstractStateMachineValidator {
                 } else {
                     // Check if machine exists
                     $machine = $this->machine_model->find($machine_id);
-                    if (!$machine) {
+                    if (!$machine || !empty($machine->deleted_at)) {
                         $errors['machine_id'] = __('State machine does not exist', 'wp-state-machine');
                     }
                 }
@@ -143,7 +182,7 @@ class TransitionValidator extends AbstractStateMachineValidator {
                 } else {
                     // Check if state exists
                     $from_state = $this->state_model->find($from_state_id);
-                    if (!$from_state) {
+                    if (!$from_state || !empty($from_state->deleted_at)) {
                         $errors['from_state_id'] = __('From state does not exist', 'wp-state-machine');
                     } elseif (!empty($data['machine_id']) && $from_state->machine_id != $data['machine_id']) {
                         $errors['from_state_id'] = __('From state does not belong to the selected machine', 'wp-state-machine');
@@ -163,7 +202,7 @@ class TransitionValidator extends AbstractStateMachineValidator {
                 } else {
                     // Check if state exists
                     $to_state = $this->state_model->find($to_state_id);
-                    if (!$to_state) {
+                    if (!$to_state || !empty($to_state->deleted_at)) {
                         $errors['to_state_id'] = __('To state does not exist', 'wp-state-machine');
                     } elseif (!empty($data['machine_id']) && $to_state->machine_id != $data['machine_id']) {
                         $errors['to_state_id'] = __('To state does not belong to the selected machine', 'wp-state-machine');
@@ -180,7 +219,9 @@ class TransitionValidator extends AbstractStateMachineValidator {
             // Check for duplicate transitions
             if (!empty($data['from_state_id']) && !empty($data['to_state_id']) &&
                 empty($errors['from_state_id']) && empty($errors['to_state_id'])) {
-                if ($this->model->transitionExists($data['from_state_id'], $data['to_state_id'], $id)) {
+                if ($this->model->transitionInTrash($data['from_state_id'], $data['to_state_id'], $id)) {
+                    $errors['to_state_id'] = __('A transition between these states is in the Trash. Restore it or delete it permanently first', 'wp-state-machine');
+                } elseif ($this->model->transitionExists($data['from_state_id'], $data['to_state_id'], $id)) {
                     $errors['to_state_id'] = __('A transition between these states already exists', 'wp-state-machine');
                 }
             }
@@ -199,18 +240,26 @@ class TransitionValidator extends AbstractStateMachineValidator {
         if (!empty($data['guard_class'])) {
             if (strlen($data['guard_class']) > 255) {
                 $errors['guard_class'] = __('Guard class must not exceed 255 characters', 'wp-state-machine');
+            } else {
+                $guard_validation = GuardFactory::validate($data['guard_class']);
+                if (!$guard_validation['valid']) {
+                    $errors['guard_class'] = implode(' ', $guard_validation['errors']);
+                }
             }
-            // TODO: Validate that guard class exists when Guard system is implemented
         }
 
-        // Validate metadata (optional)
-        if (!empty($data['metadata'])) {
-            // If metadata is a string, check if it's valid JSON
-            if (is_string($data['metadata'])) {
-                $decoded = json_decode($data['metadata']);
-                if (json_last_error() !== JSON_ERROR_NONE && $data['metadata'] !== '') {
-                    $errors['metadata'] = __('Metadata must be valid JSON', 'wp-state-machine');
-                }
+        // Validate metadata (optional, JSON checked against the machine's metadata schema)
+        if (!empty($data['metadata']) && is_string($data['metadata'])) {
+            if ($is_update) {
+                $current = $this->transition_model->find($id);
+                $machine = $current ? $this->machine_model->find(intval($current->machine_id)) : null;
+            } else {
+                $machine = !empty($data['machine_id']) ? $this->machine_model->find(intval($data['machine_id'])) : null;
+            }
+
+            $metadata_error = $this->validateMetadata($data['metadata'], $machine, 'transition');
+            if ($metadata_error) {
+                $errors['metadata'] = $metadata_error;
             }
         }
 
@@ -222,6 +271,29 @@ class TransitionValidator extends AbstractStateMachineValidator {
             }
         }
 
+        // Validate timeout_minutes (optional, 0 = no timeout)
+        if (isset($data['timeout_minutes'])) {
+            $timeout = intval($data['timeout_minutes']);
+            if ($timeout < 0) {
+                $errors['timeout_minutes'] = __('Timeout must be a positive number', 'wp-state-machine');
+            } elseif ($timeout > self::MAX_TIMEOUT_MINUTES) {
+                $errors['timeout_minutes'] = __('Timeout must not exceed one year', 'wp-state-machine');
+            }
+        }
+
+        // Validate effects (optional JSON list of actions)
+        if (!empty($data['effects'])) {
+            $effect_validation = EffectFactory::validate($data['effects']);
+            if (!$effect_validation['valid']) {
+                $errors['effects'] = implode(' ', $effect_validation['errors']);
+            } else {
+                $current = $is_update ? $this->transition_model->find($id) : null;
+                if (!EffectFactory::canChangeRoleEffects($current->effects ?? '', $data['effects'])) {
+                    $errors['effects'] = __('Only users who can promote users may add or change an "Add User to Role" action', 'wp-state-machine');
+                }
+            }
+        }
+
         return $errors;
     }
 
@@ -234,4 +306,23 @@ class TransitionValidator extends AbstractStateMachineValidator {
     // - canDelete(int $id): bool
     // - validateBulkOperation(array $ids, string $operation): array
     // ========================================
+
+    /**
+     * Get what depends on a transition before it is deleted
+     * Log entries are kept on cascade, without the transition link
+     *
+     * @param int $transition_id Transition ID
+     * @return array Impact report (see buildDeleteImpact())
+     */
+    public function getDeleteImpact(int $transition_id): array {
+        $log_model = new TransitionLogModel();
+
+        return $this->buildDeleteImpact([
+            [
+                'key' => 'logs',
+                'label' => __('Log entries recorded for this transition', 'wp-state-machine'),
+                'count' => $log_model->countByTransition($transition_id)
+            ]
+        ], ['block', 'cascade']);
+    }
 }
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Validators
- * @version     1.0.0
+ * @version     1.1.1
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Validators/WorkflowGroupValidator.php
@@ -23,8 +23,15 @@
  * - canView(): Check if user can view (inherited)
  * - canUpdate(): Check if user can update (inherited)
  * - canDelete(): Check if user can delete (inherited)
+ * - getDeleteImpact(): Machines assigned to a group
  *
  * Changelog:
+ * 1.1.1 - 2026-10-19
+ * - Reassign targets skip trashed groups
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added getDeleteImpact() (assigned machines, reassign targets)
+ *
  * 1.0.0 - 2025-11-07 (TODO-6102 PRIORITAS #7)
  * - Initial creation for FASE 3
  * - Extends AbstractStateMachineValidator
@@ -176,6 +183,35 @@ class WorkflowGroupValidator extends AbstractStateMachineValidator {
         return $errors;
     }
 
+    /**
+     * Get what depends on a workflow group before it is deleted
+     * Machines can be moved to another group (or to no group)
+     *
+     * @param int $id Group ID
+     * @return array Impact report (see buildDeleteImpact())
+     */
+    public function getDeleteImpact(int $id): array {
+        global $wpdb;
+        $table = $wpdb->prefix . 'app_sm_workflow_groups';
+
+        $targets = [['id' => 0, 'name' => __('No group', 'wp-state-machine')]];
+        $groups = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, name FROM {$table} WHERE id != %d AND deleted_at IS NULL ORDER BY sort_order ASC, name ASC",
+            $id
+        ));
+        foreach ($groups as $group) {
+            $targets[] = ['id' => (int) $group->id, 'name' => $group->name];
+        }
+
+        return $this->buildDeleteImpact([
+            [
+                'key' => 'machines',
+                'label' => __('State machines in this group', 'wp-state-machine'),
+                'count' => count($this->group_model->getMachines($id))
+            ]
+        ], ['block', 'reassign', 'cascade'], $targets);
+    }
+
     /**
      * Sanitize form data
      * Clean and prepare data for database insertion
@@ -0,0 +1,185 @@
+<?php
+/**
+ * Workflow Analytics View
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Views/Admin/Logs
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Views/admin/logs/analytics-view.php
+ *
+ * Description: Analytics dashboard built from transition logs.
+ *              Uses the same plugin/machine/date filters as the logs page.
+ *              Charts and tables are rendered by analytics.js.
+ *
+ *              CSS: /assets/css/analytics.css
+ *              JS:  /assets/js/analytics.js
+ *
+ * Features:
+ * - Entities per current state
+ * - Average, median and p90 time in state
+ * - Throughput per day
+ * - Most frequent transitions and paths
+ * - Bottleneck states
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+defined('ABSPATH') || exit;
+
+// Get machines for filter dropdown
+global $wpdb;
+$machines_table = $wpdb->prefix . 'app_sm_machines';
+$machines = $wpdb->get_results("SELECT id, name, plugin_slug FROM {$machines_table} ORDER BY name");
+?>
+
+<div class="wrap">
+    <h1 class="wp-heading-inline">
+        <span class="dashicons dashicons-chart-area" style="font-size: 28px; margin-right: 8px;"></span>
+        <?php echo esc_html__('Workflow Analytics', 'wp-state-machine'); ?>
+    </h1>
+
+    <p class="description">
+        <?php echo esc_html__('How entities move through a state machine, aggregated from its transition logs.', 'wp-state-machine'); ?>
+    </p>
+
+    <hr class="wp-header-end">
+
+    <!-- Filters Section -->
+    <div class="sm-filters-container" style="background: #fff; padding: 15px; margin: 20px 0; border: 1px solid #ccd0d4; box-shadow: 0 1px 1px rgba(0,0,0,.04);">
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 15px;">
+
+            <!-- Plugin Filter -->
+            <div>
+                <label for="filter-plugin" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('Plugin', 'wp-state-machine'); ?>
+                </label>
+                <select id="filter-plugin" class="regular-text" style="width: 100%;">
+                    <option value="all"><?php echo esc_html__('All Plugins', 'wp-state-machine'); ?></option>
+                    <!-- Populated via AJAX -->
+                </select>
+            </div>
+
+            <!-- Machine Filter (required) -->
+            <div>
+                <label for="filter-machine" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('Machine', 'wp-state-machine'); ?>
+                </label>
+                <select id="filter-machine" class="regular-text" style="width: 100%;">
+                    <?php foreach ($machines as $machine): ?>
+                        <option value="<?php echo esc_attr($machine->id); ?>">
+                            <?php echo esc_html($machine->name); ?>
+                            (<?php echo esc_html($machine->plugin_slug); ?>)
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+
+            <!-- Date From -->
+            <div>
+                <label for="filter-date-from" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('Date From', 'wp-state-machine'); ?>
+                </label>
+                <input type="date" id="filter-date-from" class="regular-text" style="width: 100%;">
+            </div>
+
+            <!-- Date To -->
+            <div>
+                <label for="filter-date-to" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('Date To', 'wp-state-machine'); ?>
+                </label>
+                <input type="date" id="filter-date-to" class="regular-text" style="width: 100%;">
+            </div>
+
+        </div>
+
+        <!-- Action Buttons -->
+        <div style="display: flex; gap: 10px; align-items: center;">
+            <button type="button" id="btn-apply-filters" class="button button-primary">
+                <span class="dashicons dashicons-filter" style="margin-top: 3px;"></span>
+                <?php echo esc_html__('Apply Filters', 'wp-state-machine'); ?>
+            </button>
+            <button type="button" id="btn-reset-filters" class="button">
+                <span class="dashicons dashicons-image-rotate" style="margin-top: 3px;"></span>
+                <?php echo esc_html__('Reset', 'wp-state-machine'); ?>
+            </button>
+            <span id="analytics-status" style="margin-left: auto; color: #666; font-size: 13px;"></span>
+        </div>
+    </div>
+
+    <?php if (empty($machines)): ?>
+        <div class="notice notice-info inline">
+            <p><?php echo esc_html__('No state machines found. Create or seed a workflow first.', 'wp-state-machine'); ?></p>
+        </div>
+    <?php else: ?>
+        <div id="analytics-message" style="display: none;"></div>
+
+        <div id="analytics-content" style="display: none;">
+            <!-- Summary -->
+            <div class="sm-analytics-summary">
+                <div class="sm-analytics-card">
+                    <span class="sm-analytics-value" data-summary="transitions">0</span>
+                    <span class="sm-analytics-label"><?php echo esc_html__('Transitions', 'wp-state-machine'); ?></span>
+                </div>
+                <div class="sm-analytics-card">
+                    <span class="sm-analytics-value" data-summary="entities">0</span>
+                    <span class="sm-analytics-label"><?php echo esc_html__('Entities', 'wp-state-machine'); ?></span>
+                </div>
+                <div class="sm-analytics-card">
+                    <span class="sm-analytics-value" data-summary="in_progress">0</span>
+                    <span class="sm-analytics-label"><?php echo esc_html__('In Progress', 'wp-state-machine'); ?></span>
+                </div>
+                <div class="sm-analytics-card">
+                    <span class="sm-analytics-value" data-summary="completed">0</span>
+                    <span class="sm-analytics-label"><?php echo esc_html__('Completed', 'wp-state-machine'); ?></span>
+                </div>
+            </div>
+
+            <div class="sm-analytics-grid">
+                <div class="sm-analytics-panel">
+                    <h2><?php echo esc_html__('Entities per Current State', 'wp-state-machine'); ?></h2>
+                    <div class="sm-analytics-chart"><canvas id="chart-current-states"></canvas></div>
+                </div>
+
+                <div class="sm-analytics-panel">
+                    <h2><?php echo esc_html__('Time in State', 'wp-state-machine'); ?></h2>
+                    <div class="sm-analytics-chart"><canvas id="chart-dwell-time"></canvas></div>
+                </div>
+
+                <div class="sm-analytics-panel sm-analytics-panel-wide">
+                    <h2><?php echo esc_html__('Throughput per Day', 'wp-state-machine'); ?></h2>
+                    <div class="sm-analytics-chart"><canvas id="chart-throughput"></canvas></div>
+                </div>
+
+                <div class="sm-analytics-panel">
+                    <h2><?php echo esc_html__('Most Frequent Transitions', 'wp-state-machine'); ?></h2>
+                    <div class="sm-analytics-chart"><canvas id="chart-transitions"></canvas></div>
+                </div>
+
+                <div class="sm-analytics-panel">
+                    <h2><?php echo esc_html__('Bottleneck States', 'wp-state-machine'); ?></h2>
+                    <p class="description">
+                        <?php echo esc_html__('Non-final states ranked by average wait, including entities still in them.', 'wp-state-machine'); ?>
+                    </p>
+                    <ol id="analytics-bottlenecks" class="sm-analytics-list"></ol>
+                </div>
+
+                <div class="sm-analytics-panel sm-analytics-panel-wide">
+                    <h2><?php echo esc_html__('Most Frequent Paths', 'wp-state-machine'); ?></h2>
+                    <table class="wp-list-table widefat striped">
+                        <thead>
+                            <tr>
+                                <th><?php echo esc_html__('Path', 'wp-state-machine'); ?></th>
+                                <th style="width: 100px;"><?php echo esc_html__('Entities', 'wp-state-machine'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody id="analytics-paths"></tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    <?php endif; ?>
+</div>
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Views/Admin/Logs
- * @version     1.0.1
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Views/admin/logs/transition-logs-view.php
@@ -21,12 +21,19 @@
  * - Plugin filter dropdown
  * - Date range filtering
  * - Machine filtering
- * - User filtering
+ * - User, entity, from/to state and comment filtering
  * - Search functionality
  * - Export to CSV
+ * - Entity timeline
  * - Responsive design
  *
  * Changelog:
+ * 1.2.0 - 2026-10-19
+ * - Added user, entity type, entity ID, from/to state and comment filters
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added Entity Timeline panel (entity type + ID lookup)
+ *
  * 1.0.1 - 2025-11-07 (TODO-6104)
  * - Extracted CSS and JS to separate files
  * - Renamed from index.php to transition-logs-view.php
@@ -43,7 +50,24 @@ defined('ABSPATH') || exit;
 // Get machines for filter dropdown
 global $wpdb;
 $machines_table = $wpdb->prefix . 'app_sm_machines';
-$machines = $wpdb->get_results("SELECT id, name, plugin_slug FROM {$machines_table} ORDER BY name");
+$machines = $wpdb->get_results("SELECT id, name, plugin_slug, entity_type FROM {$machines_table} ORDER BY name");
+$entity_types = array_unique(array_filter(wp_list_pluck($machines, 'entity_type')));
+sort($entity_types);
+
+// States for from/to filters, grouped by machine in the dropdowns
+$states_table = $wpdb->prefix . 'app_sm_states';
+$states = $wpdb->get_results(
+    "SELECT s.id, s.name, s.machine_id, m.name as machine_name
+     FROM {$states_table} s
+     INNER JOIN {$machines_table} m ON s.machine_id = m.id
+     ORDER BY m.name, s.sort_order, s.name"
+);
+
+$states_by_machine = [];
+foreach ($states as $state) {
+    $states_by_machine[$state->machine_id]['name'] = $state->machine_name;
+    $states_by_machine[$state->machine_id]['states'][] = $state;
+}
 ?>
 
 <div class="wrap">
@@ -105,6 +129,75 @@ $machines = $wpdb->get_results("SELECT id, name, plugin_slug FROM {$machines_tab
                 <input type="date" id="filter-date-to" class="regular-text" style="width: 100%;">
             </div>
 
+            <!-- User Filter -->
+            <div>
+                <label for="filter-user" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('User', 'wp-state-machine'); ?>
+                </label>
+                <select id="filter-user" class="regular-text" style="width: 100%;">
+                    <option value=""><?php echo esc_html__('All Users', 'wp-state-machine'); ?></option>
+                    <!-- Populated via AJAX -->
+                </select>
+            </div>
+
+            <!-- Entity Type Filter -->
+            <div>
+                <label for="filter-entity-type" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('Entity Type', 'wp-state-machine'); ?>
+                </label>
+                <input type="text" id="filter-entity-type" class="regular-text" list="timeline-entity-types" style="width: 100%;">
+            </div>
+
+            <!-- Entity ID Filter -->
+            <div>
+                <label for="filter-entity-id" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('Entity ID', 'wp-state-machine'); ?>
+                </label>
+                <input type="number" id="filter-entity-id" class="regular-text" min="1" style="width: 100%;">
+            </div>
+
+            <!-- From State Filter -->
+            <div>
+                <label for="filter-from-state" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('From State', 'wp-state-machine'); ?>
+                </label>
+                <select id="filter-from-state" class="regular-text sm-state-filter" style="width: 100%;">
+                    <option value=""><?php echo esc_html__('Any State', 'wp-state-machine'); ?></option>
+                    <?php foreach ($states_by_machine as $machine_id => $group): ?>
+                        <optgroup label="<?php echo esc_attr($group['name']); ?>" data-machine-id="<?php echo esc_attr($machine_id); ?>">
+                            <?php foreach ($group['states'] as $state): ?>
+                                <option value="<?php echo esc_attr($state->id); ?>"><?php echo esc_html($state->name); ?></option>
+                            <?php endforeach; ?>
+                        </optgroup>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+
+            <!-- To State Filter -->
+            <div>
+                <label for="filter-to-state" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('To State', 'wp-state-machine'); ?>
+                </label>
+                <select id="filter-to-state" class="regular-text sm-state-filter" style="width: 100%;">
+                    <option value=""><?php echo esc_html__('Any State', 'wp-state-machine'); ?></option>
+                    <?php foreach ($states_by_machine as $machine_id => $group): ?>
+                        <optgroup label="<?php echo esc_attr($group['name']); ?>" data-machine-id="<?php echo esc_attr($machine_id); ?>">
+                            <?php foreach ($group['states'] as $state): ?>
+                                <option value="<?php echo esc_attr($state->id); ?>"><?php echo esc_html($state->name); ?></option>
+                            <?php endforeach; ?>
+                        </optgroup>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+
+            <!-- Comment Filter -->
+            <div>
+                <label for="filter-comment" style="display: block; margin-bottom: 5px; font-weight: 600;">
+                    <?php echo esc_html__('Comment Contains', 'wp-state-machine'); ?>
+                </label>
+                <input type="text" id="filter-comment" class="regular-text" style="width: 100%;">
+            </div>
+
         </div>
 
         <!-- Action Buttons -->
@@ -125,6 +218,45 @@ $machines = $wpdb->get_results("SELECT id, name, plugin_slug FROM {$machines_tab
         </div>
     </div>
 
+    <!-- Entity Timeline -->
+    <div id="entity-timeline-container" class="sm-entity-timeline-container">
+        <div class="sm-entity-timeline-form">
+            <strong><?php echo esc_html__('Entity Timeline', 'wp-state-machine'); ?></strong>
+
+            <label for="timeline-entity-type" class="screen-reader-text">
+                <?php echo esc_html__('Entity Type', 'wp-state-machine'); ?>
+            </label>
+            <input type="text" id="timeline-entity-type" list="timeline-entity-types"
+                   placeholder="<?php echo esc_attr__('Entity type', 'wp-state-machine'); ?>">
+            <datalist id="timeline-entity-types">
+                <?php foreach ($entity_types as $entity_type): ?>
+                    <option value="<?php echo esc_attr($entity_type); ?>"></option>
+                <?php endforeach; ?>
+            </datalist>
+
+            <label for="timeline-entity-id" class="screen-reader-text">
+                <?php echo esc_html__('Entity ID', 'wp-state-machine'); ?>
+            </label>
+            <input type="number" id="timeline-entity-id" min="1"
+                   placeholder="<?php echo esc_attr__('Entity ID', 'wp-state-machine'); ?>">
+
+            <button type="button" id="btn-view-timeline" class="button">
+                <span class="dashicons dashicons-backup" style="margin-top: 3px;"></span>
+                <?php echo esc_html__('View Timeline', 'wp-state-machine'); ?>
+            </button>
+            <button type="button" id="btn-close-timeline" class="button-link" style="display: none;">
+                <?php echo esc_html__('Close', 'wp-state-machine'); ?>
+            </button>
+
+            <span class="description">
+                <?php echo esc_html__('Or click an entity in the table below.', 'wp-state-machine'); ?>
+            </span>
+        </div>
+
+        <!-- Timeline (rendered by transition-logs.js) -->
+        <div id="entity-timeline" class="sm-entity-timeline" style="display: none;"></div>
+    </div>
+
     <!-- DataTable -->
     <table id="logs-table" class="wp-list-table widefat fixed striped" style="margin-top: 20px;">
         <thead>
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Views/Admin/Settings
- * @version     1.0.0
+ * @version     1.4.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Views/admin/settings/settings-view.php
@@ -18,6 +18,18 @@
  * @var string $nonce Security nonce
  *
  * Changelog:
+ * 1.4.0 - 2026-10-19
+ * - Database tab: Empty Trash After (Days) field
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added Backups section to Database tab
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added re-seed preview modal
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added Import Workflow section (YML upload with preview) to Database tab
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - Multi-tab interface: General, Permissions, Cache, Database
@@ -383,6 +395,26 @@ defined('ABSPATH') || exit;
                             </td>
                         </tr>
 
+                        <tr>
+                            <th scope="row">
+                                <label for="trash_days">
+                                    <?php echo esc_html__('Empty Trash After (Days)', 'wp-state-machine'); ?>
+                                </label>
+                            </th>
+                            <td>
+                                <input type="number"
+                                       id="trash_days"
+                                       name="settings[trash_days]"
+                                       value="<?php echo esc_attr($settings['trash_days']); ?>"
+                                       min="0"
+                                       max="365"
+                                       class="small-text">
+                                <p class="description">
+                                    <?php echo esc_html__('Trashed machines, states, transitions and workflow groups are deleted permanently after this many days (0 = never, max 365)', 'wp-state-machine'); ?>
+                                </p>
+                            </td>
+                        </tr>
+
                         <!-- Development Settings -->
                         <tr>
                             <th scope="row" colspan="2" style="background-color: #f0f0f0; padding: 15px;">
@@ -537,6 +569,60 @@ defined('ABSPATH') || exit;
                                 </div>
                             </td>
                         </tr>
+
+                        <!-- Workflow Import Section -->
+                        <tr>
+                            <th scope="row" colspan="2" style="background-color: #f0f0f0; padding: 15px;">
+                                <h3 style="margin: 0;">
+                                    <span class="dashicons dashicons-upload"></span>
+                                    <?php echo esc_html__('Import Workflow', 'wp-state-machine'); ?>
+                                </h3>
+                            </th>
+                        </tr>
+
+                        <tr>
+                            <td colspan="2">
+                                <p class="description" style="margin-bottom: 15px;">
+                                    <?php echo esc_html__('Upload a YML workflow file (same format as the default workflows or an exported machine). The file is validated and previewed before anything is imported. Imported workflows are saved as custom workflows.', 'wp-state-machine'); ?>
+                                </p>
+
+                                <div class="workflow-import-controls">
+                                    <label for="workflow-upload-file" class="screen-reader-text">
+                                        <?php echo esc_html__('Workflow YML file', 'wp-state-machine'); ?>
+                                    </label>
+                                    <input type="file" id="workflow-upload-file" accept=".yml,.yaml">
+                                </div>
+
+                                <!-- Import Preview (rendered by settings.js) -->
+                                <div id="workflow-import-preview" class="workflow-import-preview" style="display:none;"></div>
+                            </td>
+                        </tr>
+
+                        <!-- Workflow Backups Section -->
+                        <tr>
+                            <th scope="row" colspan="2" style="background-color: #f0f0f0; padding: 15px;">
+                                <h3 style="margin: 0;">
+                                    <span class="dashicons dashicons-backup"></span>
+                                    <?php echo esc_html__('Backups', 'wp-state-machine'); ?>
+                                </h3>
+                            </th>
+                        </tr>
+
+                        <tr>
+                            <td colspan="2">
+                                <p class="description" style="margin-bottom: 15px;">
+                                    <?php echo esc_html__('Backups are created before workflows are reset or restored. Restoring a backup brings back the default workflows it contains, including their transition logs.', 'wp-state-machine'); ?>
+                                </p>
+
+                                <button type="button" class="button button-secondary" id="btn-refresh-backups">
+                                    <span class="dashicons dashicons-update"></span>
+                                    <?php echo esc_html__('Refresh', 'wp-state-machine'); ?>
+                                </button>
+
+                                <!-- Backup List (rendered by settings.js) -->
+                                <div id="workflow-backups" class="workflow-backups"></div>
+                            </td>
+                        </tr>
                     </tbody>
                 </table>
 
@@ -552,3 +638,27 @@ defined('ABSPATH') || exit;
     <!-- Toast Notification -->
     <div id="sm-toast" class="sm-toast"></div>
 </div>
+
+<!-- Re-seed Preview Modal (diff rendered by settings.js) -->
+<div id="reseed-preview-modal" class="wp-state-machine-modal" style="display:none;">
+    <div class="modal-dialog modal-dialog-diff">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="reseed-preview-title"><?php echo esc_html__('Re-seed Preview', 'wp-state-machine'); ?></h2>
+                <button type="button" class="modal-close" aria-label="<?php esc_attr_e('Close', 'wp-state-machine'); ?>">
+                    <span class="dashicons dashicons-no"></span>
+                </button>
+            </div>
+            <div class="modal-body" id="reseed-preview-body">
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="button modal-close">
+                    <?php echo esc_html__('Cancel', 'wp-state-machine'); ?>
+                </button>
+                <button type="button" class="button button-primary" id="btn-confirm-reseed">
+                    <?php echo esc_html__('Accept and Re-seed', 'wp-state-machine'); ?>
+                </button>
+            </div>
+        </div>
+    </div>
+</div>
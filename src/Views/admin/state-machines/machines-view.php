@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Views/Admin/StateMachines
- * @version     1.0.0
+ * @version     1.6.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Views/admin/state-machines/machines-view.php
@@ -14,6 +14,27 @@
  *              Assets loaded via class-dependencies.php
  *
  * Changelog:
+ * 1.6.0 - 2026-10-19
+ * - Added Version column and Versions tab (MachineVersions) to the view modal
+ *
+ * 1.5.0 - 2026-10-19
+ * - View modal: Details and History tabs (MachineHistory)
+ *
+ * 1.4.1 - 2026-10-19
+ * - Workflow group dropdowns skip trashed groups
+ *
+ * 1.4.0 - 2026-10-19
+ * - Added duplicate machine modal
+ *
+ * 1.3.0 - 2026-10-19
+ * - Added metadata schema field to the machine modal
+ *
+ * 1.2.0 - 2026-10-19
+ * - Added workflow editor modal (canvas and state/transition side panel)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added workflow diagram modal
+ *
  * 1.0.0 - 2025-11-08
  * - Initial creation
  * - Clean HTML structure
@@ -26,7 +47,7 @@ defined('ABSPATH') || exit;
 // Get all workflow groups for the filter and form dropdown
 global $wpdb;
 $workflow_groups_table = $wpdb->prefix . 'app_sm_workflow_groups';
-$workflow_groups = $wpdb->get_results("SELECT id, name FROM {$workflow_groups_table} ORDER BY name ASC");
+$workflow_groups = $wpdb->get_results("SELECT id, name FROM {$workflow_groups_table} WHERE deleted_at IS NULL ORDER BY name ASC");
 
 // Note: wpStateMachineMachinesData is localized in class-dependencies.php
 ?>
@@ -71,6 +92,7 @@ $workflow_groups = $wpdb->get_results("SELECT id, name FROM {$workflow_groups_ta
                 <th><?php _e('Workflow Group', 'wp-state-machine'); ?></th>
                 <th><?php _e('Active', 'wp-state-machine'); ?></th>
                 <th><?php _e('Created', 'wp-state-machine'); ?></th>
+                <th><?php _e('Version', 'wp-state-machine'); ?></th>
                 <th><?php _e('Actions', 'wp-state-machine'); ?></th>
             </tr>
         </thead>
@@ -155,6 +177,17 @@ $workflow_groups = $wpdb->get_results("SELECT id, name FROM {$workflow_groups_ta
                                 </label>
                             </td>
                         </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="machine-metadata-schema"><?php _e('Metadata Schema', 'wp-state-machine'); ?></label>
+                            </th>
+                            <td>
+                                <textarea id="machine-metadata-schema" name="metadata_schema" class="large-text code" rows="6"></textarea>
+                                <p class="description">
+                                    <?php _e('Optional JSON describing extra metadata keys for this machine\'s states and transitions, e.g. {"state": {"properties": {"sla_hours": {"type": "integer"}}, "required": ["sla_hours"]}}. Types: string, number, integer, boolean, array, object.', 'wp-state-machine'); ?>
+                                </p>
+                            </td>
+                        </tr>
                     </table>
                 </form>
             </div>
@@ -170,6 +203,78 @@ $workflow_groups = $wpdb->get_results("SELECT id, name FROM {$workflow_groups_ta
     </div>
 </div>
 
+<!-- Duplicate Modal -->
+<div id="duplicate-machine-modal" class="wp-state-machine-modal" style="display:none;">
+    <div class="modal-dialog">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="duplicate-modal-title"><?php _e('Duplicate State Machine', 'wp-state-machine'); ?></h2>
+                <button type="button" class="modal-close" aria-label="<?php esc_attr_e('Close', 'wp-state-machine'); ?>">
+                    <span class="dashicons dashicons-no"></span>
+                </button>
+            </div>
+            <div class="modal-body">
+                <form id="duplicate-machine-form">
+                    <input type="hidden" id="duplicate-machine-id" name="id" value="">
+
+                    <p class="description">
+                        <?php _e('All states, transitions and the metadata schema of the source machine are copied to the new machine.', 'wp-state-machine'); ?>
+                    </p>
+
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row">
+                                <label for="duplicate-machine-name"><?php _e('Name', 'wp-state-machine'); ?> <span class="required">*</span></label>
+                            </th>
+                            <td>
+                                <input type="text" id="duplicate-machine-name" name="name" class="regular-text" required>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="duplicate-machine-slug"><?php _e('Slug', 'wp-state-machine'); ?> <span class="required">*</span></label>
+                            </th>
+                            <td>
+                                <input type="text" id="duplicate-machine-slug" name="slug" class="regular-text" pattern="[a-z0-9_\-]+" readonly required>
+                                <p class="description">
+                                    <span class="dashicons dashicons-info"></span>
+                                    <?php _e('Auto-generated from name', 'wp-state-machine'); ?>
+                                </p>
+                            </td>
+                        </tr>
+                        <?php if (!empty($workflow_groups)): ?>
+                        <tr>
+                            <th scope="row">
+                                <label for="duplicate-machine-workflow-group"><?php _e('Workflow Group', 'wp-state-machine'); ?></label>
+                            </th>
+                            <td>
+                                <select id="duplicate-machine-workflow-group" name="workflow_group_id" class="regular-text">
+                                    <option value=""><?php _e('None', 'wp-state-machine'); ?></option>
+                                    <?php foreach ($workflow_groups as $group): ?>
+                                        <option value="<?php echo esc_attr($group->id); ?>">
+                                            <?php echo esc_html($group->name); ?>
+                                        </option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <p class="description"><?php _e('Defaults to the group of the source machine', 'wp-state-machine'); ?></p>
+                            </td>
+                        </tr>
+                        <?php endif; ?>
+                    </table>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="button button-secondary modal-close">
+                    <?php _e('Cancel', 'wp-state-machine'); ?>
+                </button>
+                <button type="button" class="button button-primary" id="btn-duplicate-machine">
+                    <?php _e('Duplicate', 'wp-state-machine'); ?>
+                </button>
+            </div>
+        </div>
+    </div>
+</div>
+
 <!-- View Modal -->
 <div id="view-machine-modal" class="wp-state-machine-modal" style="display:none;">
     <div class="modal-dialog">
@@ -181,40 +286,212 @@ $workflow_groups = $wpdb->get_results("SELECT id, name FROM {$workflow_groups_ta
                 </button>
             </div>
             <div class="modal-body">
-                <table class="form-table">
-                    <tr>
-                        <th><?php _e('ID', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-id"></td>
-                    </tr>
-                    <tr>
-                        <th><?php _e('Name', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-name"></td>
-                    </tr>
-                    <tr>
-                        <th><?php _e('Slug', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-slug"></td>
-                    </tr>
-                    <tr>
-                        <th><?php _e('Description', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-description"></td>
-                    </tr>
-                    <tr>
-                        <th><?php _e('Workflow Group', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-workflow-group"></td>
-                    </tr>
-                    <tr>
-                        <th><?php _e('Active', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-is-active"></td>
-                    </tr>
-                    <tr>
-                        <th><?php _e('Created', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-created"></td>
-                    </tr>
-                    <tr>
-                        <th><?php _e('Updated', 'wp-state-machine'); ?>:</th>
-                        <td id="view-machine-updated"></td>
-                    </tr>
-                </table>
+                <nav class="nav-tab-wrapper wp-clearfix sm-view-machine-tabs">
+                    <a href="#" class="nav-tab nav-tab-active" data-tab="details"><?php _e('Details', 'wp-state-machine'); ?></a>
+                    <a href="#" class="nav-tab" data-tab="history"><?php _e('History', 'wp-state-machine'); ?></a>
+                    <a href="#" class="nav-tab" data-tab="versions"><?php _e('Versions', 'wp-state-machine'); ?></a>
+                </nav>
+
+                <div class="sm-view-machine-panel" data-panel="details">
+                    <table class="form-table">
+                        <tr>
+                            <th><?php _e('ID', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-id"></td>
+                        </tr>
+                        <tr>
+                            <th><?php _e('Name', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-name"></td>
+                        </tr>
+                        <tr>
+                            <th><?php _e('Slug', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-slug"></td>
+                        </tr>
+                        <tr>
+                            <th><?php _e('Description', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-description"></td>
+                        </tr>
+                        <tr>
+                            <th><?php _e('Workflow Group', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-workflow-group"></td>
+                        </tr>
+                        <tr>
+                            <th><?php _e('Active', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-is-active"></td>
+                        </tr>
+                        <tr>
+                            <th><?php _e('Created', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-created"></td>
+                        </tr>
+                        <tr>
+                            <th><?php _e('Updated', 'wp-state-machine'); ?>:</th>
+                            <td id="view-machine-updated"></td>
+                        </tr>
+                    </table>
+                </div>
+
+                <div class="sm-view-machine-panel" data-panel="history" style="display:none;">
+                    <div id="machine-history"></div>
+                </div>
+
+                <div class="sm-view-machine-panel" data-panel="versions" style="display:none;">
+                    <div id="machine-versions"></div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="button button-secondary modal-close">
+                    <?php _e('Close', 'wp-state-machine'); ?>
+                </button>
+            </div>
+        </div>
+    </div>
+</div>
+
+<!-- Diagram Modal -->
+<div id="diagram-machine-modal" class="wp-state-machine-modal" style="display:none;">
+    <div class="modal-dialog modal-dialog-wide">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="diagram-modal-title"><?php _e('Workflow Diagram', 'wp-state-machine'); ?></h2>
+                <button type="button" class="modal-close" aria-label="<?php esc_attr_e('Close', 'wp-state-machine'); ?>">
+                    <span class="dashicons dashicons-no"></span>
+                </button>
+            </div>
+            <div class="modal-body modal-body-diagram">
+                <div class="workflow-diagram-toolbar">
+                    <span id="diagram-summary" class="workflow-diagram-summary"></span>
+                    <ul class="workflow-diagram-legend">
+                        <li><span class="legend-marker legend-initial"></span> <?php _e('Initial', 'wp-state-machine'); ?></li>
+                        <li><span class="legend-marker legend-normal"></span> <?php _e('Normal', 'wp-state-machine'); ?></li>
+                        <li><span class="legend-marker legend-final"></span> <?php _e('Final', 'wp-state-machine'); ?></li>
+                    </ul>
+                    <button type="button" class="button button-small" id="btn-diagram-fit" title="<?php esc_attr_e('Fit to screen', 'wp-state-machine'); ?>">
+                        <span class="dashicons dashicons-editor-expand"></span>
+                    </button>
+                </div>
+                <div id="machine-diagram-canvas" class="workflow-diagram-canvas"></div>
+                <p class="description">
+                    <span class="dashicons dashicons-info"></span>
+                    <?php _e('Scroll to zoom, drag the background to pan, hover a state to highlight its transitions.', 'wp-state-machine'); ?>
+                </p>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="button button-secondary modal-close">
+                    <?php _e('Close', 'wp-state-machine'); ?>
+                </button>
+            </div>
+        </div>
+    </div>
+</div>
+
+<!-- Workflow Editor Modal -->
+<div id="editor-machine-modal" class="wp-state-machine-modal" style="display:none;">
+    <div class="modal-dialog modal-dialog-wide">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="editor-modal-title"><?php _e('Workflow Editor', 'wp-state-machine'); ?></h2>
+                <button type="button" class="modal-close" aria-label="<?php esc_attr_e('Close', 'wp-state-machine'); ?>">
+                    <span class="dashicons dashicons-no"></span>
+                </button>
+            </div>
+            <div class="modal-body modal-body-diagram">
+                <div class="workflow-diagram-toolbar">
+                    <button type="button" class="button button-secondary" id="btn-editor-add-state">
+                        <span class="dashicons dashicons-plus-alt2"></span>
+                        <?php _e('Add State', 'wp-state-machine'); ?>
+                    </button>
+                    <button type="button" class="button button-secondary" id="btn-editor-auto-layout">
+                        <span class="dashicons dashicons-image-rotate"></span>
+                        <?php _e('Auto Layout', 'wp-state-machine'); ?>
+                    </button>
+                    <button type="button" class="button button-small" id="btn-editor-fit" title="<?php esc_attr_e('Fit to screen', 'wp-state-machine'); ?>">
+                        <span class="dashicons dashicons-editor-expand"></span>
+                    </button>
+                </div>
+
+                <div id="workflow-editor-notice" class="notice inline" style="display:none;"></div>
+
+                <div class="workflow-editor-layout">
+                    <div id="workflow-editor-canvas" class="workflow-diagram-canvas"></div>
+
+                    <div class="workflow-editor-panel">
+                        <!-- State fields -->
+                        <div id="editor-state-panel" class="workflow-editor-panel-section" style="display:none;">
+                            <h3 id="editor-state-panel-title"><?php _e('Edit State', 'wp-state-machine'); ?></h3>
+                            <form id="editor-state-form">
+                                <input type="hidden" id="editor-state-id" value="">
+                                <p>
+                                    <label for="editor-state-name"><?php _e('Name', 'wp-state-machine'); ?> <span class="required">*</span></label>
+                                    <input type="text" id="editor-state-name" class="widefat" required>
+                                </p>
+                                <p>
+                                    <label for="editor-state-slug"><?php _e('Slug', 'wp-state-machine'); ?> <span class="required">*</span></label>
+                                    <input type="text" id="editor-state-slug" class="widefat" pattern="[a-z0-9_\-]+" required>
+                                </p>
+                                <p>
+                                    <label for="editor-state-type"><?php _e('Type', 'wp-state-machine'); ?></label>
+                                    <select id="editor-state-type" class="widefat">
+                                        <option value="initial"><?php _e('Initial', 'wp-state-machine'); ?></option>
+                                        <option value="normal" selected><?php _e('Normal', 'wp-state-machine'); ?></option>
+                                        <option value="final"><?php _e('Final', 'wp-state-machine'); ?></option>
+                                    </select>
+                                </p>
+                                <p class="workflow-editor-inline-fields">
+                                    <label>
+                                        <?php _e('Color', 'wp-state-machine'); ?>
+                                        <input type="color" id="editor-state-color" value="#3498db">
+                                    </label>
+                                    <label>
+                                        <?php _e('Sort Order', 'wp-state-machine'); ?>
+                                        <input type="number" id="editor-state-sort-order" class="small-text" value="0" min="0">
+                                    </label>
+                                </p>
+                            </form>
+                            <p class="workflow-editor-panel-actions">
+                                <button type="button" class="button button-secondary btn-editor-close-panel">
+                                    <?php _e('Cancel', 'wp-state-machine'); ?>
+                                </button>
+                                <button type="button" class="button button-primary" id="btn-editor-save-state">
+                                    <?php _e('Save State', 'wp-state-machine'); ?>
+                                </button>
+                            </p>
+                        </div>
+
+                        <!-- Transition fields -->
+                        <div id="editor-transition-panel" class="workflow-editor-panel-section" style="display:none;">
+                            <h3><?php _e('Edit Transition', 'wp-state-machine'); ?></h3>
+                            <p id="editor-transition-route" class="workflow-editor-route"></p>
+                            <form id="editor-transition-form">
+                                <input type="hidden" id="editor-transition-id" value="">
+                                <input type="hidden" id="editor-transition-metadata" value="">
+                                <p>
+                                    <label for="editor-transition-label"><?php _e('Label', 'wp-state-machine'); ?> <span class="required">*</span></label>
+                                    <input type="text" id="editor-transition-label" class="widefat" required>
+                                </p>
+                                <p>
+                                    <label for="editor-transition-guard-class"><?php _e('Guard', 'wp-state-machine'); ?></label>
+                                    <input type="text" id="editor-transition-guard-class" class="widefat" placeholder="RoleGuard:administrator,editor">
+                                </p>
+                                <p>
+                                    <label for="editor-transition-sort-order"><?php _e('Sort Order', 'wp-state-machine'); ?></label>
+                                    <input type="number" id="editor-transition-sort-order" class="small-text" value="0" min="0">
+                                </p>
+                            </form>
+                            <p class="workflow-editor-panel-actions">
+                                <button type="button" class="button button-link-delete" id="btn-editor-delete-transition">
+                                    <?php _e('Delete', 'wp-state-machine'); ?>
+                                </button>
+                                <button type="button" class="button button-primary" id="btn-editor-save-transition">
+                                    <?php _e('Save Transition', 'wp-state-machine'); ?>
+                                </button>
+                            </p>
+                        </div>
+                    </div>
+                </div>
+
+                <p class="description">
+                    <span class="dashicons dashicons-info"></span>
+                    <?php _e('Drag a state to move it. Drag from the dot on its right edge onto another state to add a transition. Double-click a state to edit it, click a transition to edit or delete it (Delete key works too).', 'wp-state-machine'); ?>
+                </p>
             </div>
             <div class="modal-footer">
                 <button type="button" class="button button-secondary modal-close">
@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Views/Admin/States
- * @version     1.0.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Views/admin/states/index.php
@@ -14,6 +14,18 @@
  *              Follows wp-agency admin view pattern.
  *
  * Changelog:
+ * 1.3.0 - 2026-10-19
+ * - Added Merge State modal (target state, copy transitions option)
+ *
+ * 1.2.1 - 2026-10-19
+ * - Machine dropdown skips trashed machines
+ *
+ * 1.2.0 - 2026-10-19
+ * - Metadata field is wrapped by the metadata editor (metadata-editor.js)
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added workflow validation panel above the states table
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - DataTable integration
@@ -26,7 +38,7 @@ defined('ABSPATH') || exit;
 // Get all machines for the filter dropdown
 global $wpdb;
 $machine_table = $wpdb->prefix . 'app_sm_machines';
-$machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_active = 1 ORDER BY name ASC");
+$machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_active = 1 AND deleted_at IS NULL ORDER BY name ASC");
 ?>
 
 <div class="wrap wp-state-machine-admin">
@@ -56,6 +68,9 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
         </div>
     </div>
 
+    <!-- Workflow Validation (rendered by workflow-validator.js) -->
+    <div id="workflow-validation-panel" class="workflow-validation-panel" style="display:none;"></div>
+
     <!-- DataTable -->
     <table id="states-table" class="wp-list-table widefat fixed striped">
         <thead>
@@ -168,7 +183,7 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
                             </th>
                             <td>
                                 <textarea id="state-metadata" name="metadata" class="large-text code" rows="4"></textarea>
-                                <p class="description"><?php _e('Optional JSON metadata for custom data', 'wp-state-machine'); ?></p>
+                                <p class="description"><?php _e('Optional JSON metadata, checked against the machine\'s metadata schema. Press Ctrl+Space for key suggestions.', 'wp-state-machine'); ?></p>
                             </td>
                         </tr>
                     </table>
@@ -249,5 +264,59 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
     </div>
 </div>
 
+<!-- Merge Modal -->
+<div id="merge-state-modal" class="wp-state-machine-modal" style="display:none;">
+    <div class="modal-dialog">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="merge-modal-title"><?php _e('Merge State', 'wp-state-machine'); ?></h2>
+                <button type="button" class="modal-close" aria-label="<?php esc_attr_e('Close', 'wp-state-machine'); ?>">
+                    <span class="dashicons dashicons-no"></span>
+                </button>
+            </div>
+            <div class="modal-body">
+                <form id="merge-state-form">
+                    <input type="hidden" id="merge-state-id" name="id" value="">
+
+                    <p class="description">
+                        <?php _e('Entities in this state are moved to the chosen state with a log entry each. The merged state is then moved to the Trash.', 'wp-state-machine'); ?>
+                    </p>
+
+                    <p id="merge-state-summary"></p>
+
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row">
+                                <label for="merge-state-target"><?php _e('Merge into', 'wp-state-machine'); ?> <span class="required">*</span></label>
+                            </th>
+                            <td>
+                                <select id="merge-state-target" name="target_id" class="regular-text" required></select>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><?php _e('Transitions', 'wp-state-machine'); ?></th>
+                            <td>
+                                <label for="merge-state-transitions">
+                                    <input type="checkbox" id="merge-state-transitions" name="move_transitions" value="1" checked>
+                                    <?php _e('Copy the transitions of this state onto the target state', 'wp-state-machine'); ?>
+                                </label>
+                                <p class="description"><?php _e('Transitions the target already has, or that would lead from the target to itself, are skipped.', 'wp-state-machine'); ?></p>
+                            </td>
+                        </tr>
+                    </table>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="button button-secondary modal-close">
+                    <?php _e('Cancel', 'wp-state-machine'); ?>
+                </button>
+                <button type="button" class="button button-primary" id="btn-merge-state">
+                    <?php _e('Merge State', 'wp-state-machine'); ?>
+                </button>
+            </div>
+        </div>
+    </div>
+</div>
+
 <!-- Assets (states.css and states.js) are loaded via class-dependencies.php -->
 <!-- JavaScript data is localized via wpStateMachineStatesData -->
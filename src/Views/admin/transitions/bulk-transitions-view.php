@@ -0,0 +1,183 @@
+<?php
+/**
+ * Bulk Transitions View
+ *
+ * @package     WP_State_Machine
+ * @subpackage  Views/Admin/Transitions
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-state-machine/src/Views/admin/transitions/bulk-transitions-view.php
+ *
+ * Description: Applies one transition to many entities at once.
+ *              Entities are selected by machine, current state, entity
+ *              type and time in state, previewed against the transition's
+ *              guards and processed in background batches.
+ *
+ *              CSS: /assets/css/bulk-transitions.css
+ *              JS:  /assets/js/bulk-transitions.js
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-19
+ * - Initial creation
+ */
+
+defined('ABSPATH') || exit;
+
+// Get machines for the selection dropdown
+global $wpdb;
+$machine_table = $wpdb->prefix . 'app_sm_machines';
+$machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_active = 1 AND deleted_at IS NULL ORDER BY name ASC");
+?>
+
+<div class="wrap">
+    <h1 class="wp-heading-inline">
+        <span class="dashicons dashicons-controls-forward" style="font-size: 28px; margin-right: 8px;"></span>
+        <?php echo esc_html__('Bulk Transitions', 'wp-state-machine'); ?>
+    </h1>
+
+    <p class="description">
+        <?php echo esc_html__('Move many entities at once. Only entities with transition history are found; each one is checked against the transition\'s guards and logged like a manual transition.', 'wp-state-machine'); ?>
+    </p>
+
+    <hr class="wp-header-end">
+
+    <?php if (empty($machines)): ?>
+        <div class="notice notice-info inline">
+            <p><?php echo esc_html__('No state machines found. Create or seed a workflow first.', 'wp-state-machine'); ?></p>
+        </div>
+    <?php else: ?>
+
+    <!-- Selection -->
+    <div class="sm-bulk-panel">
+        <h2><?php echo esc_html__('1. Select Entities', 'wp-state-machine'); ?></h2>
+
+        <div class="sm-bulk-fields">
+            <div>
+                <label for="bulk-machine"><?php echo esc_html__('Machine', 'wp-state-machine'); ?></label>
+                <select id="bulk-machine">
+                    <option value=""><?php echo esc_html__('Select Machine', 'wp-state-machine'); ?></option>
+                    <?php foreach ($machines as $machine): ?>
+                        <option value="<?php echo esc_attr($machine->id); ?>">
+                            <?php echo esc_html($machine->name); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+
+            <div>
+                <label for="bulk-state"><?php echo esc_html__('Current State', 'wp-state-machine'); ?></label>
+                <select id="bulk-state" disabled>
+                    <option value=""><?php echo esc_html__('Select machine first', 'wp-state-machine'); ?></option>
+                </select>
+            </div>
+
+            <div>
+                <label for="bulk-transition"><?php echo esc_html__('Transition', 'wp-state-machine'); ?></label>
+                <select id="bulk-transition" disabled>
+                    <option value=""><?php echo esc_html__('Select state first', 'wp-state-machine'); ?></option>
+                </select>
+            </div>
+
+            <div>
+                <label for="bulk-entity-type"><?php echo esc_html__('Entity Type', 'wp-state-machine'); ?></label>
+                <input type="text" id="bulk-entity-type" placeholder="<?php esc_attr_e('All types', 'wp-state-machine'); ?>">
+            </div>
+
+            <div>
+                <label for="bulk-min-age"><?php echo esc_html__('In State For At Least (days)', 'wp-state-machine'); ?></label>
+                <input type="number" id="bulk-min-age" min="0" step="1" value="0">
+            </div>
+        </div>
+
+        <p>
+            <button type="button" id="btn-bulk-preview" class="button button-primary" disabled>
+                <span class="dashicons dashicons-search" style="margin-top: 3px;"></span>
+                <?php echo esc_html__('Preview', 'wp-state-machine'); ?>
+            </button>
+            <span id="bulk-preview-status" class="sm-bulk-status"></span>
+        </p>
+    </div>
+
+    <!-- Preview -->
+    <div id="bulk-preview" class="sm-bulk-panel" style="display: none;">
+        <h2><?php echo esc_html__('2. Review and Run', 'wp-state-machine'); ?></h2>
+
+        <p id="bulk-preview-summary" class="sm-bulk-summary"></p>
+
+        <div class="sm-bulk-table-wrap">
+            <table class="wp-list-table widefat striped">
+                <thead>
+                    <tr>
+                        <td class="check-column"><input type="checkbox" id="bulk-select-all" checked></td>
+                        <th><?php echo esc_html__('Entity Type', 'wp-state-machine'); ?></th>
+                        <th><?php echo esc_html__('Entity ID', 'wp-state-machine'); ?></th>
+                        <th><?php echo esc_html__('In State Since', 'wp-state-machine'); ?></th>
+                        <th><?php echo esc_html__('Guard Check', 'wp-state-machine'); ?></th>
+                    </tr>
+                </thead>
+                <tbody id="bulk-preview-rows"></tbody>
+            </table>
+        </div>
+
+        <p>
+            <label for="bulk-comment"><strong><?php echo esc_html__('Comment', 'wp-state-machine'); ?></strong></label><br>
+            <textarea id="bulk-comment" rows="2" class="large-text" placeholder="<?php esc_attr_e('Added to the log entry of every entity', 'wp-state-machine'); ?>"></textarea>
+        </p>
+
+        <p>
+            <button type="button" id="btn-bulk-run" class="button button-primary">
+                <span class="dashicons dashicons-controls-play" style="margin-top: 3px;"></span>
+                <?php echo esc_html__('Run Bulk Transition', 'wp-state-machine'); ?>
+            </button>
+        </p>
+    </div>
+
+    <!-- Progress -->
+    <div id="bulk-progress" class="sm-bulk-panel" style="display: none;">
+        <h2 id="bulk-progress-title"></h2>
+
+        <progress id="bulk-progress-bar" class="sm-bulk-progress" max="100" value="0"></progress>
+        <p id="bulk-progress-counts" class="sm-bulk-summary"></p>
+
+        <ul id="bulk-progress-failures" class="sm-bulk-failures"></ul>
+
+        <p>
+            <button type="button" id="btn-bulk-cancel" class="button">
+                <?php echo esc_html__('Cancel', 'wp-state-machine'); ?>
+            </button>
+            <a href="#" id="btn-bulk-report" class="button" style="display: none;">
+                <span class="dashicons dashicons-download" style="margin-top: 3px;"></span>
+                <?php echo esc_html__('Download Report', 'wp-state-machine'); ?>
+            </a>
+        </p>
+    </div>
+
+    <?php endif; ?>
+
+    <!-- Recent jobs -->
+    <div class="sm-bulk-panel">
+        <h2><?php echo esc_html__('Recent Bulk Transitions', 'wp-state-machine'); ?></h2>
+
+        <table class="wp-list-table widefat striped">
+            <thead>
+                <tr>
+                    <th><?php echo esc_html__('ID', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Machine', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Transition', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Status', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Progress', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Succeeded', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Failed', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Started By', 'wp-state-machine'); ?></th>
+                    <th><?php echo esc_html__('Started', 'wp-state-machine'); ?></th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody id="bulk-jobs-rows"></tbody>
+        </table>
+    </div>
+</div>
+
+<!-- Assets (bulk-transitions.css and bulk-transitions.js) are loaded via class-dependencies.php -->
+<!-- JavaScript data is localized via wpStateMachineBulkTransitionsData -->
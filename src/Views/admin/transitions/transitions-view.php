@@ -4,7 +4,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Views/Admin/Transitions
- * @version     1.0.1
+ * @version     1.6.0
  * @author      arisciwek
  *
  * Path: /wp-state-machine/src/Views/admin/transitions/transitions-view.php
@@ -15,6 +15,27 @@
  *              All CSS and JS extracted to separate files.
  *
  * Changelog:
+ * 1.6.0 - 2026-10-19
+ * - Actions builder in the transition modal and actions in the details
+ *
+ * 1.5.0 - 2026-10-19
+ * - Timeout field (number and unit) in the transition modal and details
+ *
+ * 1.4.1 - 2026-10-19
+ * - Machine dropdown skips trashed machines
+ *
+ * 1.4.0 - 2026-10-19
+ * - Metadata field is wrapped by the metadata editor (metadata-editor.js)
+ *
+ * 1.3.0 - 2026-10-19
+ * - Test Transition simulator panel
+ *
+ * 1.2.0 - 2026-10-19
+ * - Guard builder in the transition modal; guard_class input kept as the generated string
+ *
+ * 1.1.0 - 2026-10-19
+ * - Added workflow validation panel above the transitions table
+ *
  * 1.0.1 - 2025-11-08
  * - Renamed from index.php to transitions-view.php
  * - Extracted all inline CSS to transitions.css
@@ -34,7 +55,7 @@ defined('ABSPATH') || exit;
 // Get all machines for the filter dropdown
 global $wpdb;
 $machine_table = $wpdb->prefix . 'app_sm_machines';
-$machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_active = 1 ORDER BY name ASC");
+$machines = $wpdb->get_results("SELECT id, name, entity_type FROM {$machine_table} WHERE is_active = 1 AND deleted_at IS NULL ORDER BY name ASC");
 ?>
 
 <div class="wrap wp-state-machine-admin">
@@ -42,6 +63,9 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
     <button type="button" class="page-title-action" id="btn-add-transition">
         <?php _e('Add New Transition', 'wp-state-machine'); ?>
     </button>
+    <button type="button" class="page-title-action" id="btn-toggle-simulator">
+        <?php _e('Test Transition', 'wp-state-machine'); ?>
+    </button>
     <hr class="wp-header-end">
 
     <!-- Machine Filter -->
@@ -64,6 +88,64 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
         </div>
     </div>
 
+    <!-- Workflow Validation (rendered by workflow-validator.js) -->
+    <div id="workflow-validation-panel" class="workflow-validation-panel" style="display:none;"></div>
+
+    <!-- Transition Simulator -->
+    <div id="transition-simulator" class="transition-simulator" style="display:none;">
+        <h2><?php _e('Test Transition', 'wp-state-machine'); ?></h2>
+        <p class="description">
+            <?php _e('Check which transitions an entity could take as a given user. Guards are evaluated exactly as when applying a transition, but nothing is changed or logged.', 'wp-state-machine'); ?>
+        </p>
+
+        <div class="transition-simulator-fields">
+            <div>
+                <label for="simulate-machine"><?php _e('Machine', 'wp-state-machine'); ?></label>
+                <select id="simulate-machine">
+                    <option value=""><?php _e('Select Machine', 'wp-state-machine'); ?></option>
+                    <?php foreach ($machines as $machine): ?>
+                        <option value="<?php echo esc_attr($machine->id); ?>" data-entity-type="<?php echo esc_attr($machine->entity_type); ?>">
+                            <?php echo esc_html($machine->name); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+            <div>
+                <label for="simulate-entity-type"><?php _e('Entity Type', 'wp-state-machine'); ?></label>
+                <input type="text" id="simulate-entity-type" class="regular-text">
+            </div>
+            <div>
+                <label for="simulate-entity-id"><?php _e('Entity ID', 'wp-state-machine'); ?></label>
+                <input type="number" id="simulate-entity-id" class="small-text" min="1">
+            </div>
+            <div>
+                <label for="simulate-user"><?php _e('Test as User', 'wp-state-machine'); ?></label>
+                <?php
+                wp_dropdown_users([
+                    'id' => 'simulate-user',
+                    'name' => 'simulate_user',
+                    'selected' => get_current_user_id(),
+                    'show' => 'display_name_with_login',
+                ]);
+                ?>
+            </div>
+        </div>
+
+        <p>
+            <label for="simulate-entity-data"><?php _e('Entity Data (optional JSON)', 'wp-state-machine'); ?></label>
+            <textarea id="simulate-entity-data" class="large-text code" rows="3" placeholder='{"author_id": 12}'></textarea>
+            <span class="description"><?php _e('Passed to guards as entity_data (e.g. for OwnerGuard). When empty, the post with this ID is used if its post type matches the entity type.', 'wp-state-machine'); ?></span>
+        </p>
+
+        <p>
+            <button type="button" class="button button-primary" id="btn-run-simulator">
+                <?php _e('Run Test', 'wp-state-machine'); ?>
+            </button>
+        </p>
+
+        <div id="simulator-results"></div>
+    </div>
+
     <!-- DataTable -->
     <table id="transitions-table" class="wp-list-table widefat fixed striped">
         <thead>
@@ -157,8 +239,48 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
                                 <label for="transition-guard-class"><?php _e('Guard Class', 'wp-state-machine'); ?></label>
                             </th>
                             <td>
-                                <input type="text" id="transition-guard-class" name="guard_class" class="regular-text">
-                                <p class="description"><?php _e('Optional guard class for permission checking (e.g., "RoleGuard", "CapabilityGuard")', 'wp-state-machine'); ?></p>
+                                <div id="guard-builder" class="guard-builder">
+                                    <div id="guard-builder-rows" class="guard-builder-rows"></div>
+                                    <button type="button" id="btn-add-guard" class="button button-small">
+                                        <span class="dashicons dashicons-plus-alt2"></span>
+                                        <?php _e('Add Guard', 'wp-state-machine'); ?>
+                                    </button>
+                                    <p class="description"><?php _e('Optional permission checks. Guards joined with AND must all pass; AND is evaluated before OR.', 'wp-state-machine'); ?></p>
+                                </div>
+                                <input type="text" id="transition-guard-class" name="guard_class" class="large-text code">
+                                <p class="description"><?php _e('Guard class string built from the guards above (e.g., "RoleGuard:editor && OwnerGuard:author_id"). It can also be edited directly.', 'wp-state-machine'); ?></p>
+                                <div id="guard-builder-status" class="guard-builder-status"></div>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="transition-timeout"><?php _e('Timeout', 'wp-state-machine'); ?></label>
+                            </th>
+                            <td>
+                                <input type="number" id="transition-timeout" class="small-text" min="0" step="1" value="">
+                                <select id="transition-timeout-unit">
+                                    <option value="1"><?php _e('Minutes', 'wp-state-machine'); ?></option>
+                                    <option value="60" selected><?php _e('Hours', 'wp-state-machine'); ?></option>
+                                    <option value="1440"><?php _e('Days', 'wp-state-machine'); ?></option>
+                                </select>
+                                <p class="description"><?php _e('Optional. Apply this transition automatically once an entity has been in the from state this long. Guards are still checked; leave empty for manual transitions only.', 'wp-state-machine'); ?></p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="btn-add-effect"><?php _e('Actions', 'wp-state-machine'); ?></label>
+                            </th>
+                            <td>
+                                <div id="effect-builder" class="effect-builder">
+                                    <p id="effect-builder-empty" class="description"><?php _e('No actions.', 'wp-state-machine'); ?></p>
+                                    <ol id="effect-builder-rows" class="effect-builder-rows"></ol>
+                                    <button type="button" id="btn-add-effect" class="button button-small">
+                                        <span class="dashicons dashicons-plus-alt2"></span>
+                                        <?php _e('Add Action', 'wp-state-machine'); ?>
+                                    </button>
+                                    <p class="description"><?php _e('Optional. Run in this order after the transition is applied. A failing action does not stop the others and is recorded in the transition log.', 'wp-state-machine'); ?></p>
+                                    <p class="description"><?php _e('Placeholders: {entity_type}, {entity_id}, {from_state}, {to_state}, {transition}, {user}, {comment}, {post_title}, {post_url}, {site_name}', 'wp-state-machine'); ?></p>
+                                </div>
                             </td>
                         </tr>
                         <tr>
@@ -176,7 +298,7 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
                             </th>
                             <td>
                                 <textarea id="transition-metadata" name="metadata" class="large-text code" rows="4"></textarea>
-                                <p class="description"><?php _e('Optional JSON metadata for custom data', 'wp-state-machine'); ?></p>
+                                <p class="description"><?php _e('Optional JSON metadata, checked against the machine\'s metadata schema. Press Ctrl+Space for key suggestions.', 'wp-state-machine'); ?></p>
                             </td>
                         </tr>
                     </table>
@@ -230,6 +352,14 @@ $machines = $wpdb->get_results("SELECT id, name FROM {$machine_table} WHERE is_a
                         <th><?php _e('Guard Class', 'wp-state-machine'); ?>:</th>
                         <td id="view-transition-guard-class"></td>
                     </tr>
+                    <tr>
+                        <th><?php _e('Timeout', 'wp-state-machine'); ?>:</th>
+                        <td id="view-transition-timeout"></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Actions', 'wp-state-machine'); ?>:</th>
+                        <td id="view-transition-effects"></td>
+                    </tr>
                     <tr>
                         <th><?php _e('Sort Order', 'wp-state-machine'); ?>:</th>
                         <td id="view-transition-sort-order"></td>
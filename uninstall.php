@@ -6,7 +6,7 @@
  *
  * @package     WP_State_Machine
  * @subpackage  Root
- * @version     1.0.0
+ * @version     1.0.1
  * @author      arisciwek
  *
  * Description: Handles complete plugin removal:
@@ -22,6 +22,9 @@
  *       - This file is called by WordPress during plugin deletion
  *
  * Changelog:
+ * 1.0.1 - 2026-10-19
+ * - Delete the wp_state_machine_schema_version option
+ *
  * 1.0.0 - 2025-11-07
  * - Initial creation
  * - Drop all tables and FK constraints
@@ -81,6 +84,7 @@ try {
     $options = [
         'wp_state_machine_version',
         'wp_state_machine_db_version',
+        'wp_state_machine_schema_version',
         'wp_state_machine_activated_time',
     ];
 